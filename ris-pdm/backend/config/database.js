@@ -1,17 +1,23 @@
-// Database configuration placeholder
-// In a real implementation, this would contain database connection logic
+/**
+ * PostgreSQL Data Access Layer
+ * Connection pool and query helpers for the ris_dashboard schema
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
 
 const config = {
   development: {
-    // For now, using mock data
-    // In production, configure your database here
-    type: 'mock',
+    // Set DB_TYPE=postgresql (or DATABASE_URL) to use a local database
+    type: process.env.DB_TYPE || (process.env.DATABASE_URL ? 'postgresql' : 'mock'),
+    url: process.env.DATABASE_URL,
     host: process.env.DB_HOST || 'localhost',
     port: process.env.DB_PORT || 5432,
     database: process.env.DB_NAME || 'ris_performance',
     username: process.env.DB_USER || 'ris_user',
     password: process.env.DB_PASSWORD || 'password',
     ssl: process.env.DB_SSL === 'true',
+    schema: process.env.DB_SCHEMA || 'ris_dashboard',
     pool: {
       max: 20,
       min: 5,
@@ -19,14 +25,26 @@ const config = {
       idle: 10000,
     },
   },
+  test: {
+    type: 'mock',
+    schema: 'ris_dashboard',
+    pool: {
+      max: 5,
+      min: 0,
+      acquire: 5000,
+      idle: 1000,
+    },
+  },
   production: {
     type: 'postgresql',
+    url: process.env.DATABASE_URL,
     host: process.env.DB_HOST,
     port: process.env.DB_PORT || 5432,
     database: process.env.DB_NAME,
     username: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     ssl: true,
+    schema: process.env.DB_SCHEMA || 'ris_dashboard',
     pool: {
       max: 50,
       min: 10,
@@ -36,4 +54,182 @@ const config = {
   },
 };
 
-module.exports = config[process.env.NODE_ENV || 'development'];
\ No newline at end of file
+class Database {
+  constructor(dbConfig) {
+    this.config = dbConfig;
+    this.pool = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * Whether a real database is configured for this environment
+   */
+  isEnabled() {
+    return this.config.type === 'postgresql';
+  }
+
+  /**
+   * Check if the pool is connected and usable
+   */
+  isReady() {
+    return this.isConnected && this.pool !== null;
+  }
+
+  /**
+   * Build pg Pool options from the environment config
+   * @private
+   */
+  buildPoolOptions() {
+    const { url, host, port, database, username, password, ssl, schema, pool } = this.config;
+    const connection = url
+      ? { connectionString: url }
+      : { host, port: parseInt(port, 10), database, user: username, password };
+
+    return {
+      ...connection,
+      ssl: ssl ? { rejectUnauthorized: false } : false,
+      max: pool.max,
+      min: pool.min,
+      idleTimeoutMillis: pool.idle,
+      connectionTimeoutMillis: pool.acquire,
+      // Tables live in the ris_dashboard schema (see database/init/01-init-db.sql)
+      options: `-c search_path=${schema},public`,
+    };
+  }
+
+  /**
+   * Create the connection pool and verify connectivity
+   * @returns {Promise<boolean>} true when the database is usable
+   */
+  async connect() {
+    if (!this.isEnabled()) {
+      logger.info('🗄️ Database disabled (type: mock), using Azure DevOps directly');
+      return false;
+    }
+
+    if (this.isReady()) {
+      return true;
+    }
+
+    try {
+      this.pool = new Pool(this.buildPoolOptions());
+
+      this.pool.on('error', (err) => {
+        logger.error('PostgreSQL pool error:', err);
+      });
+
+      await this.pool.query('SELECT 1');
+      this.isConnected = true;
+      logger.info('✅ PostgreSQL connection established successfully');
+      return true;
+    } catch (error) {
+      logger.warn('⚠️ PostgreSQL unavailable, falling back to Azure DevOps:', error.message);
+      this.isConnected = false;
+      if (this.pool) {
+        await this.pool.end().catch(() => {});
+        this.pool = null;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Execute a parameterized query
+   * @param {string} text - SQL with $1..$n placeholders
+   * @param {Array} params - Parameter values
+   * @returns {Promise<object>} pg result
+   */
+  async query(text, params = []) {
+    if (!this.isReady()) {
+      throw new Error('Database is not connected');
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await this.pool.query(text, params);
+      const duration = Date.now() - startTime;
+      if (duration > 1000) {
+        logger.warn(`🐌 Slow query (${duration}ms): ${text.split('\n')[0].trim()}`);
+      }
+      return result;
+    } catch (error) {
+      logger.error('Database query failed:', { error: error.message, query: text.split('\n')[0].trim() });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a callback inside a transaction; rolls back on error
+   * @param {Function} callback - async (client) => result
+   */
+  async transaction(callback) {
+    if (!this.isReady()) {
+      throw new Error('Database is not connected');
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Health check for monitoring endpoints
+   */
+  async healthCheck() {
+    if (!this.isEnabled()) {
+      return { status: 'disabled' };
+    }
+    if (!this.isReady()) {
+      return { status: 'disconnected' };
+    }
+
+    try {
+      const startTime = Date.now();
+      await this.pool.query('SELECT 1');
+      return {
+        status: 'healthy',
+        latency: Date.now() - startTime,
+        totalConnections: this.pool.totalCount,
+        idleConnections: this.pool.idleCount,
+      };
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message };
+    }
+  }
+
+  /**
+   * Close the pool
+   */
+  async disconnect() {
+    if (this.pool) {
+      try {
+        await this.pool.end();
+        logger.info('🔌 PostgreSQL pool closed');
+      } catch (error) {
+        logger.error('Error closing PostgreSQL pool:', error);
+      }
+    }
+    this.pool = null;
+    this.isConnected = false;
+  }
+}
+
+const dbConfig = config[process.env.NODE_ENV || 'development'] || config.development;
+
+// Singleton instance
+const database = new Database(dbConfig);
+
+module.exports = {
+  config: dbConfig,
+  database,
+  Database
+};
@@ -0,0 +1,37 @@
+const auditService = require('../src/services/auditService');
+
+/**
+ * Audit middleware: records the request once the response is sent, including
+ * denied and failed attempts (the status code is part of the record)
+ * @param {string} action - Audited action, e.g. individual.view
+ * @param {object} options - How to describe the request
+ * @param {Function} options.target - (req) => whose data or which object was touched
+ * @param {Function} options.parameters - (req) => parameters worth keeping (defaults to the query string)
+ * @param {Function} options.when - (req) => whether this request should be recorded at all
+ * @returns {Function} Middleware function
+ */
+const auditRequest = (action, { target = () => null, parameters = (req) => ({ ...req.query }), when = () => true } = {}) => {
+  return (req, res, next) => {
+    if (!when(req)) {
+      return next();
+    }
+
+    // Describe the request now; route params aren't reliable once the response has finished
+    const event = {
+      action,
+      target: target(req),
+      parameters: parameters(req),
+      sourceIp: req.ip,
+    };
+
+    res.on('finish', () => {
+      auditService.record({ ...event, actor: req.user, statusCode: res.statusCode });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditRequest,
+};
@@ -1,5 +1,7 @@
 const { Client } = require('@azure/msal-node');
 const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const accessPolicyService = require('../src/services/accessPolicyService');
 
 // MSAL configuration
 const msalConfig = {
@@ -12,6 +14,22 @@ const msalConfig = {
 
 // const msalInstance = new Client(msalConfig); // Commented out - not used in current implementation
 
+/**
+ * Whether authentication is bypassed for local development
+ */
+const isAuthSkipped = () => process.env.NODE_ENV === 'development' && process.env.SKIP_AUTH === 'true';
+
+/**
+ * User attached to requests when authentication is skipped; DEV_USER_ROLES
+ * (comma separated) lets developers try other roles
+ */
+const developmentUser = () => ({
+  id: 'dev-user',
+  email: 'dev@example.com',
+  name: 'Development User',
+  roles: (process.env.DEV_USER_ROLES || 'Developer').split(',').map(role => role.trim()).filter(Boolean),
+});
+
 /**
  * Authentication middleware for Azure AD
  * Validates Bearer tokens from Azure AD
@@ -19,14 +37,9 @@ const msalConfig = {
 const authMiddleware = async (req, res, next) => {
   try {
     // Skip authentication in development mode if specified
-    if (process.env.NODE_ENV === 'development' && process.env.SKIP_AUTH === 'true') {
-      req.user = {
-        id: 'dev-user',
-        email: 'dev@example.com',
-        name: 'Development User',
-        roles: ['Developer'],
-      };
-      return next();
+    if (isAuthSkipped()) {
+      req.user = developmentUser();
+      return requestContext.runForUser(req.user, next);
     }
 
     const authHeader = req.headers.authorization;
@@ -78,7 +91,8 @@ const authMiddleware = async (req, res, next) => {
       path: req.originalUrl,
     });
 
-    next();
+    // Downstream services read the caller from the request context (e.g. to use their Azure DevOps token)
+    return requestContext.runForUser(req.user, next);
   } catch (error) {
     logger.error('Authentication error:', error);
     return res.status(500).json({
@@ -134,13 +148,29 @@ async function validateAzureToken(token) {
   }
 }
 
+/**
+ * Whether the user holds one of the roles. The role comes from the access policy
+ * (a provisioned users row, otherwise the token's role claims), so every check agrees.
+ * @param {object} user - Authenticated user
+ * @param {string[]} allowedRoles - user_role values: admin, manager, developer, viewer
+ * @returns {Promise<boolean>}
+ */
+const hasRole = async (user, allowedRoles) => {
+  if (!user?.id) return false;
+  return allowedRoles.includes(await accessPolicyService.resolveRole(user));
+};
+
 /**
  * Role-based authorization middleware
- * @param {string[]} allowedRoles - Array of allowed roles
+ * @param {string[]} allowedRoles - user_role values: admin, manager, developer, viewer
+ * @param {object} options - { appRoles }: token role claims that also pass, for app tokens
+ *   with no user behind them (e.g. the finance export job)
  * @returns {Function} Middleware function
  */
-const requireRoles = (allowedRoles) => {
-  return (req, res, next) => {
+const requireRoles = (allowedRoles, { appRoles = [] } = {}) => {
+  const appClaims = appRoles.map(role => role.toLowerCase());
+
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'User not authenticated',
@@ -150,11 +180,27 @@ const requireRoles = (allowedRoles) => {
     }
 
     const userRoles = req.user.roles || [];
-    const hasRequiredRole = allowedRoles.some(role => userRoles.includes(role));
+    if (userRoles.some(role => appClaims.includes(String(role).toLowerCase()))) {
+      return next();
+    }
 
-    if (!hasRequiredRole) {
+    let role;
+    try {
+      role = await accessPolicyService.resolveRole(req.user);
+    } catch (error) {
+      // Fail closed, like the individual access check
+      logger.error('Access policy evaluation failed:', error);
+      return res.status(503).json({
+        error: 'Access policy unavailable',
+        code: 'ACCESS_POLICY_UNAVAILABLE',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!allowedRoles.includes(role)) {
       logger.warn(`Access denied for user ${req.user.email}`, {
         userId: req.user.id,
+        role,
         userRoles,
         requiredRoles: allowedRoles,
         path: req.originalUrl,
@@ -168,12 +214,92 @@ const requireRoles = (allowedRoles) => {
       });
     }
 
+    req.user.accessRole = role;
+    next();
+  };
+};
+
+/**
+ * Individual performance authorization middleware; the user in the given route
+ * parameter must be viewable under the access policy
+ * @param {string} paramName - Route parameter holding the target user
+ * @returns {Function} Middleware function
+ */
+const requireIndividualAccess = (paramName = 'userId') => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'User not authenticated',
+        code: 'NOT_AUTHENTICATED',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    let decision;
+    try {
+      decision = await accessPolicyService.canViewIndividual(req.user, req.params[paramName]);
+    } catch (error) {
+      // Fail closed: never serve individual data when the policy can't be evaluated
+      logger.error('Access policy evaluation failed:', error);
+      return res.status(503).json({
+        error: 'Access policy unavailable',
+        code: 'ACCESS_POLICY_UNAVAILABLE',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!decision.allowed) {
+      logger.warn(`Individual performance access denied for user ${req.user.email}`, {
+        userId: req.user.id,
+        role: decision.role,
+        targetUserId: req.params[paramName],
+        path: req.originalUrl,
+      });
+
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED',
+        message: decision.reason,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    req.user.accessRole = decision.role;
     next();
   };
 };
 
+/**
+ * Socket.IO middleware attaching the authenticated user to socket.data.user.
+ * Connections without a valid token are still accepted (dashboard updates are
+ * not user specific); handlers that need a user check for it.
+ * @param {Socket} socket - Socket.IO socket
+ * @param {Function} next - Continue the handshake
+ */
+const authenticateSocket = async (socket, next) => {
+  socket.data.user = null;
+
+  if (isAuthSkipped()) {
+    socket.data.user = developmentUser();
+    return next();
+  }
+
+  const token = socket.handshake.auth?.token;
+  if (token) {
+    const result = await validateAzureToken(token);
+    if (result.valid) {
+      socket.data.user = result.user;
+    }
+  }
+
+  next();
+};
+
 module.exports = {
   authMiddleware,
+  hasRole,
   requireRoles,
+  requireIndividualAccess,
+  authenticateSocket,
   validateAzureToken,
 };
\ No newline at end of file
@@ -0,0 +1,258 @@
+const express = require('express');
+const { param, body, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireRoles } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
+const alertRuleStore = require('../src/services/alertRuleStore');
+const alertRuleService = require('../src/services/alertRuleService');
+const { METRICS, OPERATORS, SEVERITIES } = require('../src/services/alertRuleService');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const projectRegistry = require('../src/services/projectRegistry');
+
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const SCOPE_TYPES = ['product', 'team', 'user'];
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Alert rule not found',
+  code: 'RULE_NOT_FOUND',
+  timestamp: new Date().toISOString(),
+});
+
+const requireStore = (req, res, next) => {
+  if (alertRuleStore.isAvailable()) {
+    return next();
+  }
+
+  return res.status(503).json({
+    error: 'Alert rule store unavailable',
+    code: 'STORE_UNAVAILABLE',
+    message: 'Alert rules require a database connection; the default thresholds apply',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Why a metric can't be watched at a scope, or null when it can
+ */
+const scopeProblem = ({ metric, scopeType, scopeId }) => {
+  if (!METRICS[metric].scopes.includes(scopeType)) {
+    return `${METRICS[metric].label} rules apply to ${METRICS[metric].scopes.join(' or ')} scope`;
+  }
+  if (scopeType === 'product' && scopeId && !projectRegistry.has(scopeId)) {
+    return 'Unknown product';
+  }
+  return null;
+};
+
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Name is required (at most 255 characters)'),
+    field('metric').isIn(Object.keys(METRICS)).withMessage(`Metric must be one of ${Object.keys(METRICS).join(', ')}`),
+    field('scopeType').isIn(SCOPE_TYPES).withMessage(`Scope must be one of ${SCOPE_TYPES.join(', ')}`),
+    body('scopeId').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+    field('operator').isIn(OPERATORS).withMessage(`Operator must be one of ${OPERATORS.join(' ')}`),
+    field('threshold').isFloat().toFloat().withMessage('Threshold must be a number'),
+    body('windowMinutes').optional().isInt({ min: 0, max: MAX_WINDOW_MINUTES }).toInt()
+      .withMessage(`Window must be between 0 and ${MAX_WINDOW_MINUTES} minutes`),
+    body('severity').optional().isIn(SEVERITIES).withMessage(`Severity must be one of ${SEVERITIES.join(', ')}`),
+    body('enabled').optional().isBoolean().toBoolean().withMessage('enabled must be a boolean'),
+  ];
+};
+
+const pickRule = ({ name, metric, scopeType, scopeId, operator, threshold, windowMinutes, severity, enabled }) => ({
+  name, metric, scopeType, scopeId, operator, threshold, windowMinutes, severity, enabled
+});
+
+/**
+ * @route   GET /api/alert-rules
+ * @desc    Configured alert rules (rules for one user only if the caller may view that user)
+ *          and the built-in defaults used where no rule applies
+ * @access  Private
+ */
+router.get('/', requireStore, async (req, res, next) => {
+  try {
+    const rules = [];
+    for (const rule of await alertRuleStore.list()) {
+      if (rule.scopeType !== 'user' || !rule.scopeId ||
+        (await accessPolicyService.canViewIndividual(req.user, rule.scopeId)).allowed) {
+        rules.push(rule);
+      }
+    }
+
+    res.json({
+      data: rules,
+      defaults: alertRuleService.getOptions().defaults,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/alert-rules/options
+ * @desc    Metrics (with the scopes they support), operators and severities for rule editors
+ * @access  Private
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    data: alertRuleService.getOptions(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @route   GET /api/alert-rules/active
+ * @desc    Alerts currently raised by the rules (user alerts only for users the caller may view)
+ * @access  Private
+ */
+router.get('/active', async (req, res, next) => {
+  try {
+    const alerts = [];
+    for (const alert of alertRuleService.getActiveAlerts()) {
+      if (!alert.userId || (await accessPolicyService.canViewIndividual(req.user, alert.userId)).allowed) {
+        alerts.push(alert);
+      }
+    }
+
+    res.json({
+      data: alerts,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/alert-rules
+ * @desc    Create an alert rule
+ * @access  Private (Admin)
+ * @body    { name, metric, scopeType: product|team|user, scopeId, operator: < <= > >=, threshold, windowMinutes, severity, enabled }
+ */
+router.post('/',
+  requireRoles(['admin']),
+  auditRequest('alert_rules.create', {
+    target: (req) => req.body.metric,
+    parameters: (req) => ({ ...req.body }),
+  }),
+  ruleValidators(false),
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+      const problem = scopeProblem(req.body);
+      if (problem) {
+        return sendValidationError(res, [{ path: 'scopeType', msg: problem }]);
+      }
+
+      const rule = await alertRuleStore.create(pickRule(req.body), req.user.email);
+      alertRuleService.invalidate();
+
+      logger.info(`Alert rule ${rule.id} created by ${req.user.email}`, { metric: rule.metric, scopeType: rule.scopeType });
+
+      res.status(201).json({
+        data: rule,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/alert-rules/:id
+ * @desc    Change an alert rule
+ * @access  Private (Admin)
+ */
+router.put('/:id',
+  requireRoles(['admin']),
+  auditRequest('alert_rules.update', {
+    target: (req) => req.params.id,
+    parameters: (req) => ({ ...req.body }),
+  }),
+  [
+    param('id').isUUID().withMessage('Rule ID must be a UUID'),
+    ...ruleValidators(true),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const existing = await alertRuleStore.get(req.params.id);
+      if (!existing) {
+        return sendNotFound(res);
+      }
+      const changes = pickRule(req.body);
+      const problem = scopeProblem({
+        metric: changes.metric || existing.metric,
+        scopeType: changes.scopeType || existing.scopeType,
+        scopeId: changes.scopeId !== undefined ? changes.scopeId : existing.scopeId,
+      });
+      if (problem) {
+        return sendValidationError(res, [{ path: 'scopeType', msg: problem }]);
+      }
+
+      const rule = await alertRuleStore.update(req.params.id, changes, req.user.email);
+      alertRuleService.invalidate();
+
+      res.json({
+        data: rule,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/alert-rules/:id
+ * @desc    Delete an alert rule
+ * @access  Private (Admin)
+ */
+router.delete('/:id',
+  requireRoles(['admin']),
+  auditRequest('alert_rules.delete', { target: (req) => req.params.id }),
+  [
+    param('id').isUUID().withMessage('Rule ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const deleted = await alertRuleStore.remove(req.params.id);
+      if (!deleted) {
+        return sendNotFound(res);
+      }
+      alertRuleService.invalidate();
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireRoles } = require('../middleware/auth');
+const auditService = require('../src/services/auditService');
+
+const { MAX_QUERY_LIMIT } = auditService;
+
+const filterValidators = [
+  query('actor').optional().isString().trim().notEmpty().withMessage('Actor cannot be empty'),
+  query('action').optional().matches(/^[a-z_]+(\.[a-z_]+|\.\*)?$/).withMessage('Action must look like individual.view or export.*'),
+  query('target').optional().isString().trim().notEmpty().withMessage('Target cannot be empty'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+];
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const requireStore = (req, res, next) => {
+  if (auditService.isAvailable()) {
+    return next();
+  }
+
+  return res.status(503).json({
+    error: 'Audit log unavailable',
+    code: 'STORE_UNAVAILABLE',
+    message: 'The audit log requires a database connection',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const readFilters = (req) => {
+  const { actor, action, target, from, to } = req.query;
+  return { actor, action, target, from, to };
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query the audit log (views, exports, work item updates, configuration changes)
+ * @access  Private (Admin only)
+ * @query   ?actor=lead@company.com&action=export.*&target=dev@company.com&from=2025-01-01&to=2025-01-31&limit=100&offset=0
+ */
+router.get('/',
+  requireRoles(['admin']),
+  [
+    ...filterValidators,
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const { entries, total } = await auditService.query({ ...readFilters(req), limit, offset });
+
+      res.json({
+        data: entries,
+        pagination: { total, limit, offset },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Download the filtered audit log as CSV
+ * @access  Private (Admin only)
+ * @query   Same filters as GET /api/audit
+ */
+router.get('/export',
+  requireRoles(['admin']),
+  filterValidators,
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const filters = readFilters(req);
+      const { entries, total } = await auditService.query({ ...filters, limit: MAX_QUERY_LIMIT });
+
+      // Downloading the log is itself worth a trace
+      await auditService.record({
+        action: 'audit.export',
+        actor: req.user,
+        parameters: { ...filters, rows: entries.length },
+        statusCode: 200,
+        sourceIp: req.ip,
+      });
+
+      if (total > entries.length) {
+        logger.warn(`Audit CSV truncated to ${entries.length} of ${total} entries; narrow the filters`, { userId: req.user.id });
+      }
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="ris-audit-log-${new Date().toISOString().split('T')[0]}.csv"`,
+        'X-Total-Count': String(total),
+      });
+      res.send(auditService.toCsv(entries));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
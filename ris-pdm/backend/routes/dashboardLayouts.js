@@ -0,0 +1,196 @@
+const express = require('express');
+const { query, body, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireRoles } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
+const dashboardLayoutService = require('../src/services/dashboardLayoutService');
+const { DASHBOARD_WIDGETS, WIDGET_WIDTHS, isLayout } = require('../src/services/userPreferenceService');
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const sendServiceError = (res, error) => res.status(error.statusCode).json({
+  error: error.message,
+  code: error.code,
+  timestamp: new Date().toISOString(),
+});
+
+const productQuery = () => query('productId').optional().isString().isLength({ min: 1, max: 255 })
+  .withMessage('Product ID must be at most 255 characters');
+
+const layoutValidators = [
+  body('productId').optional({ nullable: true }).isString().isLength({ min: 1, max: 255 })
+    .withMessage('Product ID must be a product id or null'),
+  body('widgets').isArray({ min: 1 }).withMessage('Widgets must be a non-empty list').bail()
+    .custom(isLayout)
+    .withMessage(`Widgets must be ids or { id, width } of ${DASHBOARD_WIDGETS.join(', ')}; width one of ${WIDGET_WIDTHS.join(', ')}`),
+];
+
+/**
+ * @route   GET /api/dashboard-layouts
+ * @desc    The dashboard layout of the current user for a product
+ * @access  Private
+ * @query   productId - Omit for the all-products layout
+ */
+router.get('/', [productQuery()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    res.json({
+      data: await dashboardLayoutService.resolve(req.user, req.query.productId || null),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/dashboard-layouts/mine
+ * @desc    Save the current user's layout for a product, or for all products
+ * @access  Private
+ * @body    { productId, widgets: [{ id, width }] }
+ */
+router.put('/mine', layoutValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const layout = await dashboardLayoutService.saveUserLayout(req.user, req.body.productId || null, req.body.widgets);
+    res.json({
+      data: layout,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.code === 'STORE_UNAVAILABLE') {
+      return sendServiceError(res, error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/dashboard-layouts/mine
+ * @desc    Go back to the team default (or built-in) layout
+ * @access  Private
+ * @query   productId - Omit to remove the all-products layout
+ */
+router.delete('/mine', [productQuery()], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const layout = await dashboardLayoutService.resetUserLayout(req.user, req.query.productId || null);
+    res.json({
+      data: layout,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.code === 'STORE_UNAVAILABLE') {
+      return sendServiceError(res, error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/dashboard-layouts/team
+ * @desc    Team default layouts
+ * @access  Private
+ */
+router.get('/team', async (req, res, next) => {
+  try {
+    res.json({
+      data: await dashboardLayoutService.teamLayouts(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/dashboard-layouts/team
+ * @desc    Create or replace the team default layout of a product, or of all products
+ * @access  Private (Admin)
+ * @body    { productId, widgets: [{ id, width }] }
+ */
+router.put('/team',
+  requireRoles(['admin']),
+  auditRequest('dashboard_layouts.update', {
+    target: (req) => req.body.productId || null,
+    parameters: (req) => ({ ...req.body }),
+  }),
+  layoutValidators,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const layout = await dashboardLayoutService.saveTeamLayout(req.body.productId || null, req.body.widgets, req.user);
+      logger.info(`Team dashboard layout saved by ${req.user.email}`, { productId: layout.productId });
+
+      res.json({
+        data: layout,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      if (error.code === 'STORE_UNAVAILABLE') {
+        return sendServiceError(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/dashboard-layouts/team
+ * @desc    Remove a team default layout
+ * @access  Private (Admin)
+ * @query   productId - Omit to remove the all-products layout
+ */
+router.delete('/team',
+  requireRoles(['admin']),
+  auditRequest('dashboard_layouts.delete', { target: (req) => req.query.productId || null }),
+  [productQuery()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const deleted = await dashboardLayoutService.removeTeamLayout(req.query.productId || null);
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Team layout not found',
+          code: 'LAYOUT_NOT_FOUND',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === 'STORE_UNAVAILABLE') {
+        return sendServiceError(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
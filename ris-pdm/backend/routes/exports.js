@@ -2,7 +2,81 @@ const express = require('express');
 const { query, param, validationResult } = require('express-validator');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { requireIndividualAccess } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
 const ExportService = require('../src/services/exportService');
+const reportArchiveStore = require('../src/services/reportArchiveStore');
+const projectRegistry = require('../src/services/projectRegistry');
+
+/**
+ * Audit an export with the report it produced and, for individual reports, whose data it holds
+ */
+const auditExport = (format, report) => auditRequest(`export.${format}`, {
+  target: (req) => req.params.userId || report,
+  parameters: (req) => ({ report, ...req.query }),
+});
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+const REPORT_NAMES = {
+  dashboard: 'Dashboard Overview',
+  individual: 'Individual Performance',
+  'team-data': 'Team Data',
+};
+
+/**
+ * Keep a copy of an export in the report archive so it can be downloaded again as it was.
+ * Archiving never fails the export; without a database the file is just streamed.
+ * @returns {Promise<object|null>} The archive entry
+ */
+const archiveExport = async (req, { report, format, fileName, content }) => {
+  if (!reportArchiveStore.isAvailable()) {
+    return null;
+  }
+
+  const { period = 'sprint', startDate, endDate, productId } = req.query;
+  try {
+    return await reportArchiveStore.save({
+      name: req.params.userId ? `${REPORT_NAMES[report]} - ${req.params.userId}` : REPORT_NAMES[report],
+      reportType: report,
+      format,
+      productId,
+      subjectUserId: req.params.userId,
+      period,
+      startDate,
+      endDate,
+      parameters: { ...req.query },
+      fileName,
+      contentType: CONTENT_TYPES[format],
+      content: Buffer.from(content),
+      source: 'export',
+      generatedBy: req.user?.email || req.user?.id,
+    });
+  } catch (error) {
+    logger.warn(`Could not archive ${report} ${format} export: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Send an export, pointing at its archived copy when there is one
+ */
+const sendExport = async (req, res, { report, format, fileName, content }) => {
+  const entry = await archiveExport(req, { report, format, fileName, content });
+
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': content.length,
+    ...(entry && { 'X-Report-Archive-Id': entry.id, 'X-Report-Checksum': `sha256=${entry.checksum}` }),
+  });
+
+  res.send(content);
+};
 
 /**
  * @route   GET /api/exports/dashboard/pdf
@@ -10,8 +84,10 @@ const ExportService = require('../src/services/exportService');
  * @access  Private
  */
 router.get('/dashboard/pdf',
+  auditExport('pdf', 'dashboard'),
   [
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
+    query('productId').optional().custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
     query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
   ],
@@ -27,12 +103,13 @@ router.get('/dashboard/pdf',
         });
       }
 
-      const { period = 'sprint', startDate, endDate } = req.query;
+      const { period = 'sprint', startDate, endDate, productId } = req.query;
       
       logger.info(`Generating PDF export for dashboard overview`, {
         period,
         startDate,
         endDate,
+        productId,
         userId: req.user?.id,
       });
 
@@ -40,16 +117,16 @@ router.get('/dashboard/pdf',
         period,
         startDate,
         endDate,
+        productId,
         user: req.user
       });
 
-      res.set({
-        'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename="ris-dashboard-${period}-${new Date().toISOString().split('T')[0]}.pdf"`,
-        'Content-Length': pdfBuffer.length,
+      await sendExport(req, res, {
+        report: 'dashboard',
+        format: 'pdf',
+        fileName: `ris-dashboard-${period}-${new Date().toISOString().split('T')[0]}.pdf`,
+        content: pdfBuffer,
       });
-
-      res.send(pdfBuffer);
     } catch (error) {
       logger.error('PDF export failed:', error);
       next(error);
@@ -63,8 +140,10 @@ router.get('/dashboard/pdf',
  * @access  Private
  */
 router.get('/dashboard/excel',
+  auditExport('excel', 'dashboard'),
   [
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
+    query('productId').optional().custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
     query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
     query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
   ],
@@ -80,12 +159,13 @@ router.get('/dashboard/excel',
         });
       }
 
-      const { period = 'sprint', startDate, endDate } = req.query;
+      const { period = 'sprint', startDate, endDate, productId } = req.query;
       
       logger.info(`Generating Excel export for dashboard overview`, {
         period,
         startDate,
         endDate,
+        productId,
         userId: req.user?.id,
       });
 
@@ -93,16 +173,16 @@ router.get('/dashboard/excel',
         period,
         startDate,
         endDate,
+        productId,
         user: req.user
       });
 
-      res.set({
-        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'Content-Disposition': `attachment; filename="ris-dashboard-${period}-${new Date().toISOString().split('T')[0]}.xlsx"`,
-        'Content-Length': excelBuffer.length,
+      await sendExport(req, res, {
+        report: 'dashboard',
+        format: 'excel',
+        fileName: `ris-dashboard-${period}-${new Date().toISOString().split('T')[0]}.xlsx`,
+        content: excelBuffer,
       });
-
-      res.send(excelBuffer);
     } catch (error) {
       logger.error('Excel export failed:', error);
       next(error);
@@ -110,12 +190,70 @@ router.get('/dashboard/excel',
   }
 );
 
+/**
+ * @route   GET /api/exports/dashboard/pptx
+ * @desc    Export dashboard overview as a PowerPoint deck
+ * @access  Private
+ */
+router.get('/dashboard/pptx',
+  auditExport('pptx', 'dashboard'),
+  [
+    query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
+    query('productId').optional().custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { period = 'sprint', startDate, endDate, productId } = req.query;
+
+      logger.info(`Generating PPTX export for dashboard overview`, {
+        period,
+        startDate,
+        endDate,
+        productId,
+        userId: req.user?.id,
+      });
+
+      const pptxBuffer = await ExportService.generateDashboardPPTX({
+        period,
+        startDate,
+        endDate,
+        productId,
+        user: req.user
+      });
+
+      await sendExport(req, res, {
+        report: 'dashboard',
+        format: 'pptx',
+        fileName: `ris-dashboard-${period}-${new Date().toISOString().split('T')[0]}.pptx`,
+        content: pptxBuffer,
+      });
+    } catch (error) {
+      logger.error('PPTX export failed:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/exports/individual/:userId/pdf
  * @desc    Export individual performance as PDF
- * @access  Private
+ * @access  Private (self, managers of the user's team, Admin)
  */
 router.get('/individual/:userId/pdf',
+  auditExport('pdf', 'individual'),
+  requireIndividualAccess('userId'),
   [
     param('userId').notEmpty().withMessage('User ID is required'),
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
@@ -154,13 +292,12 @@ router.get('/individual/:userId/pdf',
       });
 
       const sanitizedUserId = userId.replace(/[^a-zA-Z0-9-_.]/g, '-');
-      res.set({
-        'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename="ris-individual-${sanitizedUserId}-${period}-${new Date().toISOString().split('T')[0]}.pdf"`,
-        'Content-Length': pdfBuffer.length,
+      await sendExport(req, res, {
+        report: 'individual',
+        format: 'pdf',
+        fileName: `ris-individual-${sanitizedUserId}-${period}-${new Date().toISOString().split('T')[0]}.pdf`,
+        content: pdfBuffer,
       });
-
-      res.send(pdfBuffer);
     } catch (error) {
       logger.error('Individual PDF export failed:', error);
       next(error);
@@ -171,9 +308,11 @@ router.get('/individual/:userId/pdf',
 /**
  * @route   GET /api/exports/individual/:userId/excel
  * @desc    Export individual performance as Excel
- * @access  Private
+ * @access  Private (self, managers of the user's team, Admin)
  */
 router.get('/individual/:userId/excel',
+  auditExport('excel', 'individual'),
+  requireIndividualAccess('userId'),
   [
     param('userId').notEmpty().withMessage('User ID is required'),
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
@@ -212,13 +351,12 @@ router.get('/individual/:userId/excel',
       });
 
       const sanitizedUserId = userId.replace(/[^a-zA-Z0-9-_.]/g, '-');
-      res.set({
-        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'Content-Disposition': `attachment; filename="ris-individual-${sanitizedUserId}-${period}-${new Date().toISOString().split('T')[0]}.xlsx"`,
-        'Content-Length': excelBuffer.length,
+      await sendExport(req, res, {
+        report: 'individual',
+        format: 'excel',
+        fileName: `ris-individual-${sanitizedUserId}-${period}-${new Date().toISOString().split('T')[0]}.xlsx`,
+        content: excelBuffer,
       });
-
-      res.send(excelBuffer);
     } catch (error) {
       logger.error('Individual Excel export failed:', error);
       next(error);
@@ -226,12 +364,72 @@ router.get('/individual/:userId/excel',
   }
 );
 
+/**
+ * @route   GET /api/exports/individual/:userId/pptx
+ * @desc    Export individual performance as a PowerPoint deck
+ * @access  Private (self, managers of the user's team, Admin)
+ */
+router.get('/individual/:userId/pptx',
+  auditExport('pptx', 'individual'),
+  requireIndividualAccess('userId'),
+  [
+    param('userId').notEmpty().withMessage('User ID is required'),
+    query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { userId } = req.params;
+      const { period = 'sprint', startDate, endDate } = req.query;
+
+      logger.info(`Generating PPTX export for individual performance`, {
+        userId,
+        period,
+        startDate,
+        endDate,
+        requesterId: req.user?.id,
+      });
+
+      const pptxBuffer = await ExportService.generateIndividualPPTX({
+        userId,
+        period,
+        startDate,
+        endDate,
+        user: req.user
+      });
+
+      const sanitizedUserId = userId.replace(/[^a-zA-Z0-9-_.]/g, '-');
+      await sendExport(req, res, {
+        report: 'individual',
+        format: 'pptx',
+        fileName: `ris-individual-${sanitizedUserId}-${period}-${new Date().toISOString().split('T')[0]}.pptx`,
+        content: pptxBuffer,
+      });
+    } catch (error) {
+      logger.error('Individual PPTX export failed:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/exports/team-data/excel
  * @desc    Export complete team data as Excel
  * @access  Private
  */
 router.get('/team-data/excel',
+  auditExport('excel', 'team-data'),
   [
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
     query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
@@ -265,13 +463,12 @@ router.get('/team-data/excel',
         user: req.user
       });
 
-      res.set({
-        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'Content-Disposition': `attachment; filename="ris-team-data-${period}-${new Date().toISOString().split('T')[0]}.xlsx"`,
-        'Content-Length': excelBuffer.length,
+      await sendExport(req, res, {
+        report: 'team-data',
+        format: 'excel',
+        fileName: `ris-team-data-${period}-${new Date().toISOString().split('T')[0]}.xlsx`,
+        content: excelBuffer,
       });
-
-      res.send(excelBuffer);
     } catch (error) {
       logger.error('Team data Excel export failed:', error);
       next(error);
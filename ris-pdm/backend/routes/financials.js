@@ -0,0 +1,232 @@
+const express = require('express');
+const { query, param, body, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireRoles } = require('../middleware/auth');
+const financialStore = require('../src/services/financialStore');
+const FinancialImportService = require('../src/services/financialImportService');
+const ProfitLossService = require('../src/services/profitLossService');
+
+const { parsePeriod } = FinancialImportService;
+
+const importService = new FinancialImportService();
+const profitLossService = new ProfitLossService();
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const FINANCE_WRITERS = ['admin', 'manager'];
+// Finance export jobs authenticate with an app token carrying the Finance role
+const FINANCE_APP_ROLES = ['Finance'];
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const requireStore = (req, res, next) => {
+  if (financialStore.isAvailable()) {
+    return next();
+  }
+
+  return res.status(503).json({
+    error: 'Financial data store unavailable',
+    code: 'STORE_UNAVAILABLE',
+    message: 'Financial data requires a database connection',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Validate and store rows, or only validate them when dryRun is set
+ */
+const importRows = async (req, res, rows, source) => {
+  const { records, errors } = importService.normalize(rows);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const dryRun = req.query.dryRun === 'true';
+  const imported = dryRun
+    ? 0
+    : await financialStore.upsertRecords(records, { source, importedBy: req.user.email });
+
+  logger.info(`${dryRun ? 'Validated' : 'Imported'} ${records.length} financial records`, {
+    source,
+    products: [...new Set(records.map(record => record.productId))],
+    userId: req.user.id,
+  });
+
+  res.status(dryRun ? 200 : 201).json({
+    data: {
+      received: records.length,
+      imported,
+      dryRun,
+      products: [...new Set(records.map(record => record.productId))],
+      records,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * @route   GET /api/financials
+ * @desc    Get a product's imported financial records and its P/L summary
+ * @access  Private
+ * @query   ?productId=Product-Name&from=2025-01-01&to=2025-12-31
+ */
+router.get('/',
+  [
+    query('productId').notEmpty().withMessage('Product ID is required'),
+    query('from').optional().isISO8601().withMessage('From must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('To must be a date (YYYY-MM-DD)'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const { productId, from, to } = req.query;
+      const records = await financialStore.getRecords(productId, { from, to });
+
+      res.json({
+        data: {
+          productId,
+          records,
+          summary: profitLossService.summarize(records),
+        },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/financials
+ * @desc    Push financial records as JSON (finance export job)
+ * @access  Private (Admin, Manager, Finance app token)
+ * @query   ?dryRun=true validates without storing
+ * @body    { records: [{ productId, period, revenue, cost, target, currency }] }
+ */
+router.post('/',
+  requireRoles(FINANCE_WRITERS, { appRoles: FINANCE_APP_ROLES }),
+  [
+    body('records').isArray({ min: 1 }).withMessage('Records must be a non-empty array'),
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      await importRows(req, res, req.body.records, 'api');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/financials/import
+ * @desc    Upload a CSV or XLSX file with product, period, revenue, cost, target and currency columns
+ * @access  Private (Admin, Manager, Finance app token)
+ * @query   ?format=csv|xlsx (defaults from Content-Type)&dryRun=true
+ */
+router.post('/import',
+  requireRoles(FINANCE_WRITERS, { appRoles: FINANCE_APP_ROLES }),
+  express.raw({ type: ['text/csv', XLSX_MIME], limit: '2mb' }),
+  [
+    query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return sendValidationError(res, [{ msg: `Send the file as the request body with Content-Type text/csv or ${XLSX_MIME}` }]);
+      }
+
+      const format = req.query.format || (req.is(XLSX_MIME) ? 'xlsx' : 'csv');
+
+      let rows;
+      try {
+        rows = await importService.parseFile(req.body, format);
+      } catch (parseError) {
+        return sendValidationError(res, [{ msg: parseError.statusCode ? parseError.message : `Could not read ${format.toUpperCase()} file` }]);
+      }
+
+      if (rows.length === 0) {
+        return sendValidationError(res, [{ msg: 'File has no data rows' }]);
+      }
+
+      await importRows(req, res, rows, 'upload');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/financials/:productId/:period
+ * @desc    Remove a product's figures for one month (2025-03) or quarter (2025-Q1)
+ * @access  Private (Admin, Manager, Finance app token)
+ */
+router.delete('/:productId/:period',
+  requireRoles(FINANCE_WRITERS, { appRoles: FINANCE_APP_ROLES }),
+  [
+    param('productId').notEmpty().withMessage('Product ID is required'),
+    param('period').custom(value => Boolean(parsePeriod(value))).withMessage('Period must be YYYY-MM or YYYY-Qn'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const { productId, period } = req.params;
+      const { periodType, periodStart } = parsePeriod(period);
+      const deleted = await financialStore.deleteRecord(productId, periodType, periodStart);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Financial record not found',
+          code: 'RECORD_NOT_FOUND',
+          message: `No ${periodType} figures for '${productId}' starting ${periodStart}`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      logger.info(`Financial record ${productId} ${period} removed by ${req.user.email}`, {
+        productId,
+        period,
+        userId: req.user.id,
+      });
+
+      res.json({
+        data: { productId, periodType, periodStart },
+        message: 'Financial record removed',
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -6,14 +6,20 @@ const NodeCache = require('node-cache');
 const AzureDevOpsService = require('../src/services/azureDevOpsService');
 const cacheService = require('../src/services/cacheService');
 const MetricsCalculatorService = require('../src/services/metricsCalculator');
+const ForecastService = require('../src/services/forecastService');
 const BugClassificationService = require('../src/services/bugClassificationService');
 const TaskDistributionService = require('../src/services/taskDistributionService');
 const ProjectResolutionService = require('../src/services/projectResolutionService');
 const { azureDevOpsConfig } = require('../src/config/azureDevOpsConfig');
+const { requireRoles, requireIndividualAccess } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const deliveryEventStore = require('../src/services/deliveryEventStore');
+const { scopedCache } = require('../utils/requestContext');
 const { mapFrontendProjectToTeam, mapFrontendProjectToAzure } = require('../src/config/projectMapping');
 
-// Cache for metrics data (TTL: 5 minutes)
-const metricsCache = new NodeCache({ stdTTL: 300 });
+// Cache for metrics data (TTL: 5 minutes), keyed per Azure DevOps identity of the caller
+const metricsCache = scopedCache(new NodeCache({ stdTTL: 300 }));
 
 // Simple rate limiter for team-members endpoint
 const rateLimitCache = new NodeCache({ stdTTL: 60 }); // 1 minute window
@@ -29,6 +35,12 @@ const metricsCalculator = new MetricsCalculatorService(azureService, projectReso
 const bugClassificationService = new BugClassificationService(azureService);
 const taskDistributionService = new TaskDistributionService(azureDevOpsConfig);
 
+// noCache=true drops shared cache entries for every user, so it is audited as a cache clear
+router.use(auditRequest('cache.clear', {
+  target: (req) => req.path,
+  when: (req) => req.query.noCache === 'true',
+}));
+
 /**
  * @route   GET /api/metrics/overview
  * @desc    Get high-level performance overview
@@ -278,14 +290,17 @@ router.get('/teams/:teamId',
 
 /**
  * @route   GET /api/metrics/trends
- * @desc    Get historical trends data
+ * @desc    Get historical trends data from completed sprints
  * @access  Private
+ * @query   ?metric=velocity&period=sprint&range=6&productId=Product-Name
  */
 router.get('/trends',
   [
-    query('metric').notEmpty().withMessage('Metric type is required'),
+    query('metric').notEmpty().withMessage('Metric type is required')
+      .isIn(['velocity', 'commitment', 'predictability', 'throughput']).withMessage('Invalid metric'),
     query('period').optional().isIn(['sprint', 'month', 'quarter']).withMessage('Invalid period'),
     query('range').optional().isInt({ min: 1, max: 12 }).withMessage('Range must be between 1 and 12'),
+    query('productId').optional().notEmpty().withMessage('Product ID cannot be empty if provided'),
   ],
   async (req, res, next) => {
     try {
@@ -299,35 +314,34 @@ router.get('/trends',
         });
       }
 
-      const { metric, period = 'sprint', range = 6 } = req.query;
+      const { metric, period = 'sprint', range = 6, productId } = req.query;
 
       logger.info(`Fetching trends for metric ${metric}`, {
         metric,
         period,
         range,
+        productId,
         userId: req.user?.id,
       });
 
-      // For now, return structured mock data while we develop historical trends
-      // TODO: Implement historical data analysis from Azure DevOps
-      const trends = {
-        metric,
-        period,
-        range: parseInt(range),
-        data: Array.from({ length: parseInt(range) }, (_, i) => ({
-          period: `${period}-${i + 1}`,
-          value: Math.random() * 100,
-          target: 75,
-          timestamp: new Date(Date.now() - (range - i) * 7 * 24 * 60 * 60 * 1000).toISOString(),
-        })),
-        summary: {
-          current: 78.5,
-          average: 72.3,
-          trend: 'increasing',
-          variance: 8.2,
-        },
-        note: 'Historical trends analysis coming in next phase'
-      };
+      let trends;
+      try {
+        trends = await metricsCalculator.calculateHistoricalTrends({
+          metric,
+          period,
+          range: parseInt(range),
+          productId,
+        });
+      } catch (azureError) {
+        logger.error('Azure DevOps service error for trends:', azureError);
+        return res.status(503).json({
+          error: 'Azure DevOps service unavailable',
+          message: 'Unable to fetch historical sprint data',
+          details: azureError.message,
+          timestamp: new Date().toISOString(),
+          retryAfter: 60
+        });
+      }
 
       res.json({
         data: trends,
@@ -342,9 +356,11 @@ router.get('/trends',
 /**
  * @route   GET /api/metrics/individual/:userId
  * @desc    Get individual performance metrics for a specific user
- * @access  Private
+ * @access  Private (self, managers of the user's team, Admin)
  */
 router.get('/individual/:userId',
+  auditRequest('individual.view', { target: (req) => req.params.userId }),
+  requireIndividualAccess('userId'),
   [
     param('userId').notEmpty().withMessage('User ID is required'),
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
@@ -428,9 +444,23 @@ router.get('/individual/:userId',
   }
 );
 
+/**
+ * Restrict a team members response to the people the caller may view individually
+ * @param {object} user - Authenticated user
+ * @param {object} response - Cached or fresh { data: { members, count }, timestamp }
+ */
+const scopeTeamMembersResponse = async (user, response) => {
+  const members = await accessPolicyService.filterViewableMembers(user, response.data.members || []);
+  return {
+    ...response,
+    data: { ...response.data, members, count: members.length }
+  };
+};
+
 /**
  * @route   GET /api/metrics/team-members
- * @desc    Get list of available team members for individual performance views
+ * @desc    Get list of available team members for individual performance views,
+ *          limited to the members the caller may view
  * @access  Private
  * @query   ?productId=team-product-management&sprintId=current
  */
@@ -514,7 +544,7 @@ router.get('/team-members',
     const cachedData = metricsCache.get(cacheKey);
     if (cachedData && noCache !== 'true') {
       logger.info('Returning cached team members list');
-      return res.json(cachedData);
+      return res.json(await scopeTeamMembersResponse(req.user, cachedData));
     }
 
     // Get team members from work items filtered by product
@@ -548,7 +578,7 @@ router.get('/team-members',
 
     // Cache for 15 minutes
     metricsCache.set(cacheKey, response, 900);
-    res.json(response);
+    res.json(await scopeTeamMembersResponse(req.user, response));
     
   } catch (error) {
     next(error);
@@ -643,13 +673,15 @@ router.get('/kpis',
 
 /**
  * @route   GET /api/metrics/burndown
- * @desc    Get sprint burndown chart data
+ * @desc    Get sprint burndown chart data, replayed day by day from work item revisions
  * @access  Private
+ * @query   ?productId=Product-Name&sprintId=current&metric=storyPoints|remainingWork
  */
 router.get('/burndown',
   [
     query('sprintId').optional().notEmpty().withMessage('Sprint ID cannot be empty'),
     query('productId').optional().notEmpty().withMessage('Product ID cannot be empty'),
+    query('metric').optional().isIn(['storyPoints', 'remainingWork']).withMessage('Metric must be storyPoints or remainingWork'),
   ],
   async (req, res, next) => {
     try {
@@ -663,13 +695,14 @@ router.get('/burndown',
         });
       }
 
-      const { sprintId, productId, noCache } = req.query;
-      const cacheKey = `burndown-${sprintId}-${productId}`;
+      const { sprintId, productId, metric = 'storyPoints', noCache } = req.query;
+      const cacheKey = `burndown-${sprintId}-${productId}-${metric}`;
 
       if (noCache === 'true') {
         metricsCache.del(cacheKey);
         await cacheService.clearPattern('ris:cache:iterations:*');
         await cacheService.clearPattern('ris:cache:workItems:*');
+        metricsCalculator.clearCache();
       } else {
         const cachedData = metricsCache.get(cacheKey);
         if (cachedData) {
@@ -681,6 +714,7 @@ router.get('/burndown',
       logger.info('Fetching sprint burndown data', {
         sprintId,
         productId,
+        metric,
         userId: req.user?.id,
       });
 
@@ -689,7 +723,8 @@ router.get('/burndown',
       try {
         burndownData = await metricsCalculator.calculateSprintBurndown({
           sprintId,
-          productId
+          productId,
+          metric
         });
       } catch (azureError) {
         logger.error('Azure DevOps API error for burndown:', {
@@ -722,6 +757,438 @@ router.get('/burndown',
   }
 );
 
+/**
+ * @route   GET /api/metrics/cumulative-flow
+ * @desc    Get daily work item counts per state, replayed from revision history
+ * @access  Private
+ * @query   ?productId=Product-Name&startDate=2025-06-01&endDate=2025-06-30&workItemType=User Story
+ */
+router.get('/cumulative-flow',
+  [
+    query('productId').optional().notEmpty().withMessage('Product ID cannot be empty'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+    query('workItemType').optional().isIn(['User Story', 'Bug', 'Task', 'Feature']).withMessage('Invalid work item type'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId, workItemType, noCache } = req.query;
+      const startDate = req.query.startDate ? req.query.startDate.split('T')[0] : undefined;
+      const endDate = req.query.endDate ? req.query.endDate.split('T')[0] : undefined;
+
+      if (startDate && endDate) {
+        const days = (new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000);
+        if (days < 0 || days > 180) {
+          return res.status(400).json({
+            error: 'Validation failed',
+            code: 'VALIDATION_ERROR',
+            details: [{ msg: 'Date range must be between 0 and 180 days', param: 'endDate' }],
+            timestamp: new Date().toISOString(),
+          });
+        }
+      }
+
+      const cacheKey = `cumulative-flow-${productId}-${startDate}-${endDate}-${workItemType}`;
+
+      if (noCache === 'true') {
+        metricsCache.del(cacheKey);
+        await cacheService.clearPattern('ris:cache:workItems:*');
+        metricsCalculator.clearCache();
+      } else {
+        const cachedData = metricsCache.get(cacheKey);
+        if (cachedData) {
+          logger.info('Returning cached cumulative flow data');
+          return res.json(cachedData);
+        }
+      }
+
+      logger.info('Fetching cumulative flow data', {
+        productId,
+        startDate,
+        endDate,
+        workItemType,
+        userId: req.user?.id,
+      });
+
+      let flow;
+      try {
+        flow = await metricsCalculator.calculateCumulativeFlow({
+          productId,
+          startDate,
+          endDate,
+          workItemType
+        });
+      } catch (azureError) {
+        logger.error('Azure DevOps API error for cumulative flow:', {
+          error: azureError.message,
+          productId
+        });
+
+        return res.status(503).json({
+          error: 'Azure DevOps service unavailable',
+          message: 'Unable to fetch work item history from Azure DevOps. Please check your configuration and try again.',
+          details: azureError.message,
+          timestamp: new Date().toISOString(),
+          retryAfter: 60
+        });
+      }
+
+      const response = {
+        data: flow,
+        timestamp: new Date().toISOString(),
+      };
+
+      metricsCache.set(cacheKey, response);
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/metrics/cycle-time
+ * @desc    Get per-item cycle time (first Active to Closed) and lead time (created to Closed) with 50th/85th/95th percentiles; ranges up to 180 days
+ * @access  Private
+ * @query   ?productId=Product-Name&workItemType=Bug&startDate=2025-04-01&endDate=2025-06-30
+ */
+router.get('/cycle-time',
+  [
+    query('productId').optional().notEmpty().withMessage('Product ID cannot be empty'),
+    query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+    query('endDate').optional().isISO8601().withMessage('Invalid end date format'),
+    query('workItemType').optional().isIn(['User Story', 'Bug', 'Task', 'Feature']).withMessage('Invalid work item type'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId, workItemType, noCache } = req.query;
+      const startDate = req.query.startDate ? req.query.startDate.split('T')[0] : undefined;
+      const endDate = req.query.endDate ? req.query.endDate.split('T')[0] : undefined;
+
+      if (startDate) {
+        // Without an end date the range runs to today
+        const rangeEnd = endDate || new Date().toISOString().split('T')[0];
+        const days = (new Date(rangeEnd) - new Date(startDate)) / (24 * 60 * 60 * 1000);
+        if (days < 0 || days > 180) {
+          return res.status(400).json({
+            error: 'Validation failed',
+            code: 'VALIDATION_ERROR',
+            details: [{ msg: 'Date range must be between 0 and 180 days', param: 'endDate' }],
+            timestamp: new Date().toISOString(),
+          });
+        }
+      }
+
+      const cacheKey = `cycle-time-${productId}-${startDate}-${endDate}-${workItemType}`;
+
+      if (noCache === 'true') {
+        metricsCache.del(cacheKey);
+        await cacheService.clearPattern('ris:cache:workItems:*');
+        metricsCalculator.clearCache();
+      } else {
+        const cachedData = metricsCache.get(cacheKey);
+        if (cachedData) {
+          logger.info('Returning cached cycle time data');
+          return res.json(cachedData);
+        }
+      }
+
+      logger.info('Fetching cycle time data', {
+        productId,
+        startDate,
+        endDate,
+        workItemType,
+        userId: req.user?.id,
+      });
+
+      let distribution;
+      try {
+        distribution = await metricsCalculator.calculateCycleTimeDistribution({
+          productId,
+          startDate,
+          endDate,
+          workItemType
+        });
+      } catch (azureError) {
+        logger.error('Azure DevOps API error for cycle time:', {
+          error: azureError.message,
+          productId
+        });
+
+        return res.status(503).json({
+          error: 'Azure DevOps service unavailable',
+          message: 'Unable to fetch work item history from Azure DevOps. Please check your configuration and try again.',
+          details: azureError.message,
+          timestamp: new Date().toISOString(),
+          retryAfter: 60
+        });
+      }
+
+      const response = {
+        data: distribution,
+        timestamp: new Date().toISOString(),
+      };
+
+      metricsCache.set(cacheKey, response);
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/metrics/forecast
+ * @desc    Monte Carlo forecast of deliveries needed for remaining work, and work done by a date
+ * @access  Private
+ * @query   ?productId=Product-Name&remainingPoints=120&remainingItems=30&areaPath=Project\\Area&targetDate=2025-09-30&range=10
+ */
+router.get('/forecast',
+  [
+    query('productId').optional().notEmpty().withMessage('Product ID cannot be empty'),
+    query('remainingPoints').optional().isFloat({ min: 0 }).withMessage('Remaining points must be a non-negative number'),
+    query('remainingItems').optional().isInt({ min: 0 }).withMessage('Remaining items must be a non-negative integer'),
+    query('areaPath').optional().notEmpty().withMessage('Area path cannot be empty'),
+    query('targetDate').optional().isISO8601().withMessage('Invalid target date format').bail()
+      .custom(value => ForecastService.isWithinHorizon(value))
+      .withMessage(`Target date must be within ${ForecastService.MAX_FORECAST_YEARS} years`),
+    query('range').optional().isInt({ min: 1, max: 30 }).withMessage('Range must be between 1 and 30 sprints'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId, areaPath, noCache } = req.query;
+      const remainingPoints = req.query.remainingPoints !== undefined ? parseFloat(req.query.remainingPoints) : undefined;
+      const remainingItems = req.query.remainingItems !== undefined ? parseInt(req.query.remainingItems, 10) : undefined;
+      const targetDate = req.query.targetDate ? req.query.targetDate.split('T')[0] : undefined;
+      const range = parseInt(req.query.range, 10) || 10;
+
+      const cacheKey = `forecast-${productId}-${areaPath}-${remainingPoints}-${remainingItems}-${targetDate}-${range}`;
+
+      if (noCache === 'true') {
+        metricsCache.del(cacheKey);
+        await cacheService.clearPattern('ris:cache:workItems:*');
+        metricsCalculator.clearCache();
+      } else {
+        const cachedData = metricsCache.get(cacheKey);
+        if (cachedData) {
+          logger.info('Returning cached forecast data');
+          return res.json(cachedData);
+        }
+      }
+
+      logger.info('Calculating delivery forecast', {
+        productId,
+        areaPath,
+        remainingPoints,
+        remainingItems,
+        targetDate,
+        range,
+        userId: req.user?.id,
+      });
+
+      let forecast;
+      try {
+        forecast = await metricsCalculator.calculateForecast({
+          productId,
+          remainingPoints,
+          remainingItems,
+          areaPath,
+          targetDate,
+          range
+        });
+      } catch (azureError) {
+        logger.error('Azure DevOps API error for forecast:', {
+          error: azureError.message,
+          productId
+        });
+
+        return res.status(503).json({
+          error: 'Azure DevOps service unavailable',
+          message: 'Unable to fetch sprint history from Azure DevOps. Please check your configuration and try again.',
+          details: azureError.message,
+          timestamp: new Date().toISOString(),
+          retryAfter: 60
+        });
+      }
+
+      const response = {
+        data: forecast,
+        timestamp: new Date().toISOString(),
+      };
+
+      metricsCache.set(cacheKey, response);
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/metrics/capacity
+ * @desc    Per-member available hours vs. remaining work assigned in a delivery
+ * @access  Private
+ * @query   ?productId=Product-Name&sprintId=current
+ */
+router.get('/capacity',
+  [
+    query('productId').notEmpty().withMessage('Product ID is required'),
+    query('sprintId').optional().notEmpty().withMessage('Sprint ID cannot be empty'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId, sprintId = 'current', noCache } = req.query;
+      const cacheKey = `capacity-${productId}-${sprintId}`;
+
+      if (noCache === 'true') {
+        metricsCache.del(cacheKey);
+        metricsCalculator.clearCache();
+      } else {
+        const cachedData = metricsCache.get(cacheKey);
+        if (cachedData) {
+          logger.info('Returning cached capacity data');
+          return res.json(cachedData);
+        }
+      }
+
+      logger.info('Calculating team capacity', {
+        productId,
+        sprintId,
+        userId: req.user?.id,
+      });
+
+      let capacity;
+      try {
+        capacity = await metricsCalculator.calculateCapacity({ productId, sprintId });
+      } catch (azureError) {
+        logger.error('Azure DevOps API error for capacity:', {
+          error: azureError.message,
+          productId,
+          sprintId
+        });
+
+        return res.status(503).json({
+          error: 'Azure DevOps service unavailable',
+          message: 'Unable to fetch team capacity from Azure DevOps. Please check your configuration and try again.',
+          details: azureError.message,
+          timestamp: new Date().toISOString(),
+          retryAfter: 60
+        });
+      }
+
+      const response = {
+        data: capacity,
+        timestamp: new Date().toISOString(),
+      };
+
+      metricsCache.set(cacheKey, response);
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/metrics/dora
+ * @desc    DORA metrics (pull request review time, deployment frequency, change failure rate)
+ *          and build coverage from Azure DevOps pull request, build and release service hooks
+ * @access  Private
+ * @query   ?productId=Product%20-%20Data%20as%20a%20Service&days=30
+ */
+router.get('/dora',
+  [
+    query('productId').optional().notEmpty().withMessage('Product ID cannot be empty'),
+    query('days').optional().isInt({ min: 7, max: 180 }).withMessage('Days must be between 7 and 180'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!deliveryEventStore.isAvailable()) {
+        return res.status(503).json({
+          error: 'Delivery event store unavailable',
+          code: 'STORE_UNAVAILABLE',
+          message: 'DORA metrics require a database connection',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId, noCache } = req.query;
+      const days = parseInt(req.query.days, 10) || 30;
+      const cacheKey = `dora-${productId || 'all'}-${days}`;
+
+      if (noCache === 'true') {
+        metricsCache.del(cacheKey);
+      } else {
+        const cachedData = metricsCache.get(cacheKey);
+        if (cachedData) {
+          logger.info('Returning cached DORA metrics');
+          return res.json(cachedData);
+        }
+      }
+
+      const response = {
+        data: await metricsCalculator.calculateDoraMetrics(productId, { days }),
+        timestamp: new Date().toISOString(),
+      };
+
+      metricsCache.set(cacheKey, response);
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/metrics/velocity-trend
  * @desc    Get team velocity trend data
@@ -891,6 +1358,81 @@ router.get('/task-distribution',
   }
 );
 
+/**
+ * @route   GET /api/metrics/sync/status
+ * @desc    Get local work item store sync status
+ * @access  Private
+ */
+router.get('/sync/status', async (req, res, next) => {
+  try {
+    const syncService = req.app.get('workItemSyncService');
+    if (!syncService) {
+      return res.json({
+        data: { enabled: false, running: false, projects: [] },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      data: await syncService.getStatus(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/metrics/sync
+ * @desc    Trigger a work item sync from Azure DevOps into the local store
+ * @access  Private (Admin only)
+ * @query   ?full=true to reload everything instead of only changed items
+ */
+router.post('/sync',
+  requireRoles(['admin']),
+  [
+    query('full').optional().isBoolean().withMessage('full must be a boolean'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const syncService = req.app.get('workItemSyncService');
+      const status = syncService ? await syncService.getStatus() : { enabled: false };
+      if (!status.enabled) {
+        return res.status(503).json({
+          error: 'Work item store unavailable',
+          code: 'STORE_UNAVAILABLE',
+          message: 'Configure DATABASE_URL (or DB_TYPE=postgresql) to enable the local work item store',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      logger.info(`Work item sync triggered by ${req.user?.email || 'unknown'}`, { full: req.query.full === 'true' });
+      const results = await syncService.syncAll({ full: req.query.full === 'true' });
+
+      // Stored data changed, drop calculated responses
+      metricsCache.flushAll();
+      metricsCalculator.clearCache();
+
+      res.json({
+        data: results,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/metrics/health
  * @desc    Check Azure DevOps service health
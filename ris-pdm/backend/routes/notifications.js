@@ -0,0 +1,264 @@
+const express = require('express');
+const { param, body, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const notificationStore = require('../src/services/notificationStore');
+const notificationService = require('../src/services/notificationService');
+const { ALERT_TYPES, MODES } = require('../src/services/notificationService');
+const { CHANNELS, validateTarget } = require('../src/services/notificationChannels');
+const projectRegistry = require('../src/services/projectRegistry');
+
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Subscription not found',
+  code: 'SUBSCRIPTION_NOT_FOUND',
+  timestamp: new Date().toISOString(),
+});
+
+const requireStore = (req, res, next) => {
+  if (notificationStore.isAvailable()) {
+    return next();
+  }
+
+  return res.status(503).json({
+    error: 'Notification store unavailable',
+    code: 'STORE_UNAVAILABLE',
+    message: 'Alert notifications require a database connection',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Check the channel/target pair and that the channel can deliver; responds and returns false when not
+ */
+const checkDestination = (res, channel, target) => {
+  const problem = validateTarget(channel, target);
+  if (problem) {
+    sendValidationError(res, [{ path: 'target', msg: problem }]);
+    return false;
+  }
+
+  if (!notificationService.channels.isConfigured(channel)) {
+    res.status(400).json({
+      error: `The ${channel} channel is not configured on this server`,
+      code: 'CHANNEL_UNAVAILABLE',
+      timestamp: new Date().toISOString(),
+    });
+    return false;
+  }
+  return true;
+};
+
+const subscriptionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('productId').optional({ nullable: true }).isString()
+      .custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
+    field('alertTypes').isArray({ min: 1 }).withMessage('Select at least one alert type'),
+    body('alertTypes.*').isIn(Object.keys(ALERT_TYPES)).withMessage('Unknown alert type'),
+    field('channel').isIn(CHANNELS).withMessage(`Channel must be one of ${CHANNELS.join(', ')}`),
+    field('target').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Target is required'),
+    body('mode').optional().isIn(MODES).withMessage(`Mode must be one of ${MODES.join(', ')}`),
+    body('cooldownMinutes').optional().isInt({ min: 0, max: MAX_COOLDOWN_MINUTES }).toInt()
+      .withMessage(`Cooldown must be between 0 and ${MAX_COOLDOWN_MINUTES} minutes`),
+    body('enabled').optional().isBoolean().toBoolean().withMessage('enabled must be a boolean'),
+  ];
+};
+
+const pickSubscription = ({ productId, alertTypes, channel, target, mode, cooldownMinutes, enabled }) => ({
+  productId, alertTypes, channel, target, mode, cooldownMinutes, enabled
+});
+
+/**
+ * @route   GET /api/notifications/options
+ * @desc    Alert types, channels and delivery modes available for subscriptions
+ * @access  Private
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    data: notificationService.getOptions(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * @route   GET /api/notifications/subscriptions
+ * @desc    The current user's alert subscriptions
+ * @access  Private
+ */
+router.get('/subscriptions', requireStore, async (req, res, next) => {
+  try {
+    const subscriptions = await notificationStore.listSubscriptions(req.user.id);
+
+    res.json({
+      data: subscriptions,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/notifications/subscriptions
+ * @desc    Subscribe the current user to alert types of a product (no productId = every product)
+ * @access  Private
+ * @body    { productId, alertTypes, channel: teams|slack|email, target, mode: immediate|digest, cooldownMinutes, enabled }
+ */
+router.post('/subscriptions',
+  subscriptionValidators(false),
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+      if (!checkDestination(res, req.body.channel, req.body.target)) {
+        return undefined;
+      }
+
+      const subscription = await notificationStore.createSubscription(req.user, pickSubscription(req.body));
+
+      logger.info(`Alert subscription created by ${req.user.email}`, {
+        subscriptionId: subscription.id,
+        channel: subscription.channel,
+        productId: subscription.productId,
+      });
+
+      res.status(201).json({
+        data: subscription,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/notifications/subscriptions/:id
+ * @desc    Change one of the current user's alert subscriptions
+ * @access  Private
+ */
+router.put('/subscriptions/:id',
+  [
+    param('id').isUUID().withMessage('Subscription ID must be a UUID'),
+    ...subscriptionValidators(true),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const existing = await notificationStore.getSubscription(req.params.id, req.user.id);
+      if (!existing) {
+        return sendNotFound(res);
+      }
+
+      const channel = req.body.channel || existing.channel;
+      const target = req.body.target || existing.target;
+      if ((req.body.channel || req.body.target) && !checkDestination(res, channel, target)) {
+        return undefined;
+      }
+
+      const subscription = await notificationStore.updateSubscription(req.params.id, req.user.id, pickSubscription(req.body), {
+        userRoles: req.user.roles || []
+      });
+      if (!subscription) {
+        return sendNotFound(res);
+      }
+
+      res.json({
+        data: subscription,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/notifications/subscriptions/:id
+ * @desc    Remove one of the current user's alert subscriptions
+ * @access  Private
+ */
+router.delete('/subscriptions/:id',
+  [
+    param('id').isUUID().withMessage('Subscription ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const deleted = await notificationStore.deleteSubscription(req.params.id, req.user.id);
+      if (!deleted) {
+        return sendNotFound(res);
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/notifications/subscriptions/:id/test
+ * @desc    Send a sample alert through a subscription's channel
+ * @access  Private
+ */
+router.post('/subscriptions/:id/test',
+  [
+    param('id').isUUID().withMessage('Subscription ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const subscription = await notificationStore.getSubscription(req.params.id, req.user.id);
+      if (!subscription) {
+        return sendNotFound(res);
+      }
+
+      const result = await notificationService.sendTest(subscription);
+      if (!result.sent) {
+        return res.status(502).json({
+          error: 'Test notification failed',
+          code: 'DELIVERY_FAILED',
+          message: result.error,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      res.json({
+        data: { sent: true },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
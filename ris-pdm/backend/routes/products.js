@@ -1,14 +1,53 @@
 const express = require('express');
-const { query, param, validationResult } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 const router = express.Router();
 const logger = require('../utils/logger');
 const { requireRoles } = require('../middleware/auth');
 const AzureDevOpsService = require('../src/services/azureDevOpsService');
-const { isProjectEnabled, getProjectConfig, getFrontendProjects } = require('../src/config/projectMapping');
+const { isProjectEnabled, getProjectConfig, getAzureProjects } = require('../src/config/projectMapping');
+const projectRegistry = require('../src/services/projectRegistry');
 
 // Initialize Azure DevOps service
 const azureDevOpsService = new AzureDevOpsService();
 
+const REGISTRY_ERROR_CODES = ['PRODUCT_EXISTS', 'PRODUCT_NOT_FOUND', 'STORE_UNAVAILABLE', 'VALIDATION_ERROR'];
+
+// Field rules shared by create and update; create additionally requires id and azureProject
+const registryFieldValidators = [
+  body('teamName').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Team name must be at most 255 characters'),
+  body('iterationPrefix').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Iteration prefix must be at most 100 characters'),
+  body('iterationPattern').optional({ nullable: true }).isString().withMessage('Iteration pattern must be a string'),
+  body('iterationFormat').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Iteration format must be at most 100 characters'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('priority').optional().isInt({ min: 0, max: 9999 }).withMessage('Priority must be between 0 and 9999').toInt(),
+];
+
+/**
+ * Registry fields present in a request body
+ */
+const pickRegistryFields = (source) => {
+  const fields = ['id', 'azureProject', 'teamName', 'iterationPrefix', 'iterationPattern', 'iterationFormat', 'enabled', 'priority'];
+  return fields.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+};
+
+/**
+ * Respond to known registry errors; anything else goes to the error handler
+ */
+const handleRegistryError = (error, res, next) => {
+  if (!REGISTRY_ERROR_CODES.includes(error.code)) {
+    return next(error);
+  }
+
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    timestamp: new Date().toISOString(),
+  });
+};
+
 /**
  * @route   GET /api/products
  * @desc    Get all products from Azure DevOps projects
@@ -55,9 +94,8 @@ router.get('/',
 
       let products = projectsData.projects
         .filter(project => {
-          // Filter projects based on enabled configuration
-          // Check if the project name is enabled in our configuration
-          return isProjectEnabled(project.name);
+          // Show Azure DevOps projects that back an enabled product in the registry
+          return isProjectEnabled(project.name) || getAzureProjects().includes(project.name);
         })
         .map(project => ({
           id: project.id,
@@ -134,6 +172,44 @@ router.get('/',
   }
 );
 
+/**
+ * @route   GET /api/products/registry
+ * @desc    List registered products and their Azure DevOps mapping
+ * @access  Private (Admin, Manager)
+ * @query   ?enabled=true
+ */
+router.get('/registry',
+  requireRoles(['admin', 'manager']),
+  [
+    query('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { enabled } = req.query;
+      const entries = projectRegistry.list()
+        .filter(entry => enabled === undefined || entry.enabled === (enabled === 'true'));
+
+      res.json({
+        data: entries,
+        persistent: projectRegistry.isPersistent(),
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/products/:productId
  * @desc    Get product by ID from Azure DevOps
@@ -462,10 +538,10 @@ router.get('/config',
         data: {
           stats,
           enabledProjects,
-          configuration: 'PMP and DaaS projects only',
+          configuration: projectRegistry.isPersistent() ? 'product registry' : 'built-in defaults',
           lastUpdated: new Date().toISOString()
         },
-        message: 'Currently showing only Partner Management Platform (PMP) and Data as a Service (DaaS) projects',
+        message: `Currently showing ${enabledProjects.length} enabled projects`,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
@@ -483,22 +559,131 @@ router.get('/config',
 
 /**
  * @route   POST /api/products
- * @desc    Create new product (Admin only)
- * @access  Private (Admin)
+ * @desc    Register a product and its Azure DevOps project, team and iteration naming
+ * @access  Private (Admin, Manager)
+ * @body    { id, azureProject, teamName, iterationPrefix, iterationPattern, iterationFormat, enabled, priority }
  */
 router.post('/',
-  requireRoles(['Admin', 'ProductManager']),
+  requireRoles(['admin', 'manager']),
+  [
+    body('id').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Product id is required (max 255 characters)'),
+    body('azureProject').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Azure DevOps project name is required'),
+    ...registryFieldValidators,
+  ],
   async (req, res, next) => {
     try {
-      // Implementation for creating a new product
-      res.status(501).json({
-        error: 'Not implemented',
-        code: 'NOT_IMPLEMENTED',
-        message: 'Product creation endpoint not yet implemented',
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const product = await projectRegistry.create(pickRegistryFields(req.body), { updatedBy: req.user.email });
+
+      logger.info(`Product ${product.id} registered by ${req.user.email}`, {
+        productId: product.id,
+        azureProject: product.azureProject,
+        userId: req.user.id,
+      });
+
+      res.status(201).json({
+        data: product,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      next(error);
+      handleRegistryError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/products/:productId
+ * @desc    Update a registered product's mapping or enable/disable it
+ * @access  Private (Admin, Manager)
+ * @body    { azureProject, teamName, iterationPrefix, iterationPattern, iterationFormat, enabled, priority }
+ */
+router.put('/:productId',
+  requireRoles(['admin', 'manager']),
+  [
+    param('productId').notEmpty().withMessage('Product ID is required'),
+    body('azureProject').optional().isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Azure DevOps project name cannot be empty'),
+    ...registryFieldValidators,
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId } = req.params;
+      const changes = pickRegistryFields(req.body);
+      delete changes.id; // the id is the key and cannot be renamed
+
+      const product = await projectRegistry.update(productId, changes, { updatedBy: req.user.email });
+
+      logger.info(`Product ${productId} updated by ${req.user.email}`, {
+        productId,
+        changes: Object.keys(changes),
+        userId: req.user.id,
+      });
+
+      res.json({
+        data: product,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleRegistryError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/products/:productId
+ * @desc    Remove a product from the registry
+ * @access  Private (Admin, Manager)
+ */
+router.delete('/:productId',
+  requireRoles(['admin', 'manager']),
+  [
+    param('productId').notEmpty().withMessage('Product ID is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { productId } = req.params;
+      const product = await projectRegistry.remove(productId);
+
+      logger.info(`Product ${productId} removed by ${req.user.email}`, {
+        productId,
+        userId: req.user.id,
+      });
+
+      res.json({
+        data: product,
+        message: `Product '${productId}' removed from the registry`,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleRegistryError(error, res, next);
     }
   }
 );
@@ -0,0 +1,473 @@
+const express = require('express');
+const { param, query, body, validationResult } = require('express-validator');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { hasRole } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
+const reportStore = require('../src/services/reportStore');
+const reportArchiveStore = require('../src/services/reportArchiveStore');
+const reportScheduleService = require('../src/services/reportScheduleService');
+const { REPORT_TYPES, DATE_RANGES, DELIVERIES, RESTRICTED_REPORT_TYPES } = require('../src/services/reportScheduleService');
+const { validateCron, nextRun } = require('../src/utils/cronSchedule');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const projectRegistry = require('../src/services/projectRegistry');
+
+const MAX_RECIPIENTS = 20;
+const PRIVILEGED_ROLES = ['admin', 'manager'];
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const sendNotFound = (res, what = 'Report definition') => res.status(404).json({
+  error: `${what} not found`,
+  code: 'REPORT_NOT_FOUND',
+  timestamp: new Date().toISOString(),
+});
+
+const requireStore = (req, res, next) => {
+  if (reportStore.isAvailable()) {
+    return next();
+  }
+
+  return res.status(503).json({
+    error: 'Report store unavailable',
+    code: 'STORE_UNAVAILABLE',
+    message: 'Saved and archived reports require a database connection',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Whether the user may see reports holding individual performance data (department comparisons)
+ */
+const canSeeRestricted = (user) => hasRole(user, PRIVILEGED_ROLES);
+
+/**
+ * Whether the user may see an archived report: individual reports follow the individual access
+ * policy, reports covering every member need the Admin or Manager role
+ */
+const canAccessEntry = async (user, entry) => {
+  if (entry.subjectUserId) {
+    return (await accessPolicyService.canViewIndividual(user, entry.subjectUserId)).allowed;
+  }
+  return !RESTRICTED_REPORT_TYPES.includes(entry.reportType) || canSeeRestricted(user);
+};
+
+/**
+ * Problems with a report that the field validators can't see, or null when it's fine
+ */
+const reportProblem = async (report, user) => {
+  const type = REPORT_TYPES[report.reportType];
+  if (report.format && !type.formats.includes(report.format)) {
+    return { path: 'format', msg: `${type.label} reports are available as ${type.formats.join(', ')}` };
+  }
+  if (report.productId && !projectRegistry.has(report.productId)) {
+    return { path: 'productId', msg: 'Unknown product' };
+  }
+  if (report.delivery === 'email' && !(report.recipients?.length > 0)) {
+    return { path: 'recipients', msg: 'Email delivery needs at least one recipient' };
+  }
+  if (report.delivery === 'email' && !reportScheduleService.channels.isConfigured('email')) {
+    return { path: 'delivery', msg: 'Email delivery is not configured on this server' };
+  }
+  if (type.restricted && !(await canSeeRestricted(user))) {
+    return { path: 'reportType', msg: `${type.label} reports include individual performance and need the Admin or Manager role` };
+  }
+  return null;
+};
+
+const reportValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('reportType').isIn(Object.keys(REPORT_TYPES)).withMessage(`Report type must be one of ${Object.keys(REPORT_TYPES).join(', ')}`),
+    body('format').optional().isIn(['pdf', 'excel']).withMessage('Format must be pdf or excel'),
+    body('productId').optional({ nullable: true }).isString().withMessage('Product must be a product id'),
+    body('dateRange').optional({ nullable: true }).isIn(Object.keys(DATE_RANGES))
+      .withMessage(`Date range must be one of ${Object.keys(DATE_RANGES).join(', ')}`),
+    body('delivery').optional().isIn(DELIVERIES).withMessage(`Delivery must be one of ${DELIVERIES.join(', ')}`),
+    body('recipients').optional().isArray({ max: MAX_RECIPIENTS }).withMessage(`At most ${MAX_RECIPIENTS} recipients`),
+    body('recipients.*').isEmail().withMessage('Recipients must be email addresses'),
+  ];
+};
+
+const definitionValidators = (optional) => [
+  ...reportValidators(optional),
+  (optional ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 255 })
+    .withMessage('Name is required (at most 255 characters)'),
+  body('schedule').optional({ nullable: true }).custom((value) => {
+    const problem = value ? validateCron(value) : null;
+    if (problem) throw new Error(problem);
+    return true;
+  }),
+  body('enabled').optional().isBoolean().toBoolean().withMessage('enabled must be a boolean'),
+];
+
+const pickDefinition = ({ name, reportType, format, productId, dateRange, schedule, delivery, recipients, enabled }) => ({
+  name, reportType, format, productId, dateRange, schedule, delivery, recipients, enabled
+});
+
+/**
+ * @route   GET /api/reports/options
+ * @desc    Report types, date ranges, formats, delivery channels, schedule presets and what the user may do
+ * @access  Private
+ */
+router.get('/options', async (req, res, next) => {
+  try {
+    const privileged = await canSeeRestricted(req.user);
+    res.json({
+      data: { ...reportScheduleService.getOptions(), canGenerateRestricted: privileged, canPinOfficial: privileged },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/reports/generate
+ * @desc    Generate a report now and add it to the archive (and email it, for email delivery)
+ * @access  Private (department comparisons: Admin, Manager)
+ * @body    { reportType, format, productId, dateRange, delivery: archive|email, recipients }
+ */
+router.post('/generate',
+  auditRequest('report.generate', {
+    target: (req) => req.body.reportType,
+    parameters: (req) => ({ ...req.body }),
+  }),
+  reportValidators(false),
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+      const problem = await reportProblem(req.body, req.user);
+      if (problem) {
+        return sendValidationError(res, [problem]);
+      }
+
+      const entry = await reportScheduleService.run(pickDefinition(req.body), { source: 'manual', user: req.user });
+
+      res.status(201).json({
+        data: entry,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Report generation failed:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/definitions
+ * @desc    The signed-in user's saved and scheduled reports
+ * @access  Private
+ */
+router.get('/definitions', requireStore, async (req, res, next) => {
+  try {
+    const definitions = await reportStore.listDefinitions(req.user.id);
+
+    res.json({
+      data: definitions,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/reports/definitions
+ * @desc    Save a report, optionally on a cron schedule
+ * @access  Private
+ * @body    { name, reportType, format, productId, dateRange, schedule, delivery, recipients, enabled }
+ */
+router.post('/definitions',
+  definitionValidators(false),
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+      const problem = await reportProblem(req.body, req.user);
+      if (problem) {
+        return sendValidationError(res, [problem]);
+      }
+
+      const definition = await reportStore.createDefinition(req.user, {
+        ...pickDefinition(req.body),
+        nextRunAt: req.body.schedule ? nextRun(req.body.schedule) : null,
+      });
+
+      res.status(201).json({
+        data: definition,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/reports/definitions/:id
+ * @desc    Change one of the user's saved reports
+ * @access  Private
+ */
+router.put('/definitions/:id',
+  [
+    param('id').isUUID().withMessage('Report ID must be a UUID'),
+    ...definitionValidators(true),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const existing = await reportStore.getDefinition(req.params.id, req.user.id);
+      if (!existing) {
+        return sendNotFound(res);
+      }
+      const changes = pickDefinition(req.body);
+      const merged = { ...existing, ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)) };
+      const problem = await reportProblem(merged, req.user);
+      if (problem) {
+        return sendValidationError(res, [problem]);
+      }
+
+      // Re-plan the next run from now when the schedule changes or the report is resumed
+      if (changes.schedule !== undefined || changes.enabled === true) {
+        changes.nextRunAt = merged.schedule ? nextRun(merged.schedule) : null;
+      }
+
+      const definition = await reportStore.updateDefinition(req.params.id, req.user.id, changes);
+
+      res.json({
+        data: definition,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/reports/definitions/:id
+ * @desc    Delete one of the user's saved reports (its archived files are kept)
+ * @access  Private
+ */
+router.delete('/definitions/:id',
+  [
+    param('id').isUUID().withMessage('Report ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const deleted = await reportStore.deleteDefinition(req.params.id, req.user.id);
+      if (!deleted) {
+        return sendNotFound(res);
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/reports/definitions/:id/run
+ * @desc    Generate a saved report now, outside its schedule
+ * @access  Private
+ */
+router.post('/definitions/:id/run',
+  auditRequest('report.generate', { target: (req) => req.params.id }),
+  [
+    param('id').isUUID().withMessage('Report ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const definition = await reportStore.getDefinition(req.params.id, req.user.id);
+      if (!definition) {
+        return sendNotFound(res);
+      }
+      const problem = await reportProblem(definition, req.user);
+      if (problem) {
+        return sendValidationError(res, [problem]);
+      }
+
+      let entry;
+      try {
+        entry = await reportScheduleService.run(definition, { source: 'manual', user: req.user });
+      } catch (error) {
+        await reportStore.recordRun(definition.id, 'failed', error.message);
+        throw error;
+      }
+      await reportStore.recordRun(definition.id, 'success');
+
+      res.status(201).json({
+        data: entry,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Report run failed:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/archive
+ * @desc    Archived reports and exports, newest first. Reports covering every member are listed for
+ *          Admin and Manager only, individual reports for the people the user may view.
+ * @access  Private
+ */
+router.get('/archive',
+  [
+    query('definitionId').optional().isUUID().withMessage('definitionId must be a UUID'),
+    query('official').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const { definitionId, official = false, limit = 50, offset = 0 } = req.query;
+      const reportTypes = (await canSeeRestricted(req.user))
+        ? null
+        : ['dashboard', ...Object.keys(REPORT_TYPES)].filter(type => !RESTRICTED_REPORT_TYPES.includes(type));
+      const subjects = await accessPolicyService.getViewableIdentities(req.user);
+      const { entries, total } = await reportArchiveStore.list({
+        reportTypes, subjects, definitionId, officialOnly: official, limit, offset
+      });
+
+      res.json({
+        data: entries,
+        pagination: { total, limit, offset },
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/reports/archive/:id/download
+ * @desc    Download an archived report file, byte for byte as it was generated
+ * @access  Private (same visibility as the archive list)
+ */
+router.get('/archive/:id/download',
+  auditRequest('report.download', { target: (req) => req.params.id }),
+  [
+    param('id').isUUID().withMessage('Report ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const entry = await reportArchiveStore.getWithContent(req.params.id);
+      if (!entry || !(await canAccessEntry(req.user, entry))) {
+        return sendNotFound(res, 'Archived report');
+      }
+
+      res.set({
+        'Content-Type': entry.contentType,
+        'Content-Disposition': `attachment; filename="${entry.fileName}"`,
+        'Content-Length': entry.content.length,
+        'X-Report-Checksum': `sha256=${entry.checksum}`,
+      });
+
+      res.send(entry.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/reports/archive/:id/official
+ * @desc    Pin an archived report as the official one presented at a review, or unpin it
+ * @access  Private (Admin, Manager)
+ * @body    { official: boolean, note }
+ */
+router.put('/archive/:id/official',
+  auditRequest('report.pin', {
+    target: (req) => req.params.id,
+    parameters: (req) => ({ ...req.body }),
+  }),
+  [
+    param('id').isUUID().withMessage('Report ID must be a UUID'),
+    body('official').isBoolean().toBoolean().withMessage('official must be a boolean'),
+    body('note').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+      .withMessage('Note must be at most 500 characters'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+      if (!(await canSeeRestricted(req.user))) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Only Admin and Manager users can pin official reports',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const existing = await reportArchiveStore.get(req.params.id);
+      if (!existing || !(await canAccessEntry(req.user, existing))) {
+        return sendNotFound(res, 'Archived report');
+      }
+
+      const entry = await reportArchiveStore.setOfficial(req.params.id, req.body.official, {
+        note: req.body.note || null,
+        actor: req.user.email || req.user.id,
+      });
+
+      res.json({
+        data: entry,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const { query, param, body, validationResult } = require('express-validator');
+const router = express.Router();
+const publicRouter = express.Router();
+const logger = require('../utils/logger');
+const { requireRoles } = require('../middleware/auth');
+const surveyService = require('../src/services/surveyService');
+const projectRegistry = require('../src/services/projectRegistry');
+
+const SURVEY_ERROR_CODES = ['SURVEY_EXISTS', 'SURVEY_NOT_FOUND', 'SURVEY_CLOSED', 'VALIDATION_ERROR'];
+
+const sendValidationError = (res, details) => res.status(400).json({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details,
+  timestamp: new Date().toISOString(),
+});
+
+const requireStore = (req, res, next) => {
+  if (surveyService.isAvailable()) {
+    return next();
+  }
+
+  return res.status(503).json({
+    error: 'Survey store unavailable',
+    code: 'STORE_UNAVAILABLE',
+    message: 'Stakeholder surveys require a database connection',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Respond to known survey errors; anything else goes to the error handler
+ */
+const handleSurveyError = (error, res, next) => {
+  if (!SURVEY_ERROR_CODES.includes(error.code)) {
+    return next(error);
+  }
+
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * @route   GET /api/surveys
+ * @desc    List a product's stakeholder surveys with their scores
+ * @access  Private
+ * @query   ?productId=Product-Name
+ */
+router.get('/',
+  [
+    query('productId').notEmpty().withMessage('Product ID is required'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const surveys = await surveyService.listSurveys(req.query.productId);
+
+      res.json({
+        data: surveys,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/surveys
+ * @desc    Create a stakeholder survey for a product delivery
+ * @access  Private (Admin, Manager)
+ * @body    { productId, delivery, title, questions: [{ id, type: csat|nps|text, text }], closesAt }
+ */
+router.post('/',
+  requireRoles(['admin', 'manager']),
+  [
+    body('productId').isString().trim().notEmpty().withMessage('Product ID is required')
+      .custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
+    body('delivery').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Delivery (iteration name) is required'),
+    body('title').optional().isString().trim().isLength({ max: 500 }).withMessage('Title must be at most 500 characters'),
+    body('questions').optional().isArray().withMessage('Questions must be an array'),
+    body('closesAt').optional({ nullable: true }).isISO8601().withMessage('closesAt must be a date'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const { productId, delivery, title, questions, closesAt } = req.body;
+      const survey = await surveyService.createSurvey(
+        { productId, delivery, title, questions, closesAt },
+        { createdBy: req.user.email }
+      );
+
+      logger.info(`Survey created for ${productId} ${delivery} by ${req.user.email}`, {
+        surveyId: survey.id,
+        userId: req.user.id,
+      });
+
+      res.status(201).json({
+        data: survey,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleSurveyError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/surveys/:surveyId
+ * @desc    Get a survey with its scores and comments
+ * @access  Private
+ */
+router.get('/:surveyId',
+  [
+    param('surveyId').isUUID().withMessage('Survey ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const survey = await surveyService.getSurvey(req.params.surveyId);
+
+      res.json({
+        data: survey,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleSurveyError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/surveys/:surveyId/close
+ * @desc    Stop accepting responses for a survey
+ * @access  Private (Admin, Manager)
+ */
+router.post('/:surveyId/close',
+  requireRoles(['admin', 'manager']),
+  [
+    param('surveyId').isUUID().withMessage('Survey ID must be a UUID'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const survey = await surveyService.closeSurvey(req.params.surveyId);
+
+      logger.info(`Survey ${survey.id} closed by ${req.user.email}`, { userId: req.user.id });
+
+      res.json({
+        data: survey,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleSurveyError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/surveys/public/:token
+ * @desc    Survey questions for the shareable link page
+ * @access  Public (share token)
+ */
+publicRouter.get('/:token',
+  [
+    param('token').isLength({ min: 16, max: 64 }).withMessage('Invalid survey link'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const survey = await surveyService.getPublicSurvey(req.params.token);
+
+      res.json({
+        data: survey,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleSurveyError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/surveys/public/:token/responses
+ * @desc    Submit a stakeholder's answers
+ * @access  Public (share token)
+ * @body    { answers: { [questionId]: value }, name, email }
+ */
+publicRouter.post('/:token/responses',
+  [
+    param('token').isLength({ min: 16, max: 64 }).withMessage('Invalid survey link'),
+    body('answers').isObject().withMessage('Answers are required'),
+    body('name').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Name must be at most 255 characters'),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  ],
+  requireStore,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors.array());
+      }
+
+      const { answers, name, email } = req.body;
+      const result = await surveyService.submitResponse(req.params.token, { answers, name, email });
+
+      res.status(201).json({
+        data: result,
+        message: 'Thank you for your feedback',
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleSurveyError(error, res, next);
+    }
+  }
+);
+
+module.exports = { router, publicRouter };
@@ -1,9 +1,15 @@
 const express = require('express');
-const { query, param, validationResult } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { requireRoles } = require('../middleware/auth');
+const { requireRoles, requireIndividualAccess } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
 const AzureDevOpsService = require('../src/services/azureDevOpsService');
+const userPreferenceService = require('../src/services/userPreferenceService');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const {
+  DASHBOARD_WIDGETS, WIDGET_WIDTHS, SPRINT_MODES, THEMES, MAX_SAVED_VIEWS, DEFAULT_PREFERENCES, isLayout
+} = require('../src/services/userPreferenceService');
 
 // Initialize Azure DevOps service
 const azureDevOpsService = new AzureDevOpsService();
@@ -19,20 +25,19 @@ router.get('/profile', async (req, res, next) => {
       userId: req.user.id,
     });
 
-    // In a real implementation, fetch additional user data from database
+    // The role every server-side check uses, so the UI offers the same actions
+    const role = await accessPolicyService.resolveRole(req.user);
+    const privileged = ['admin', 'manager'].includes(role);
+
     const userProfile = {
       ...req.user,
-      preferences: {
-        theme: 'light',
-        notifications: true,
-        dashboardLayout: 'default',
-        timeZone: 'UTC',
-      },
+      role,
+      preferences: await userPreferenceService.get(req.user),
       permissions: {
-        canViewAllProducts: req.user.roles.includes('Admin') || req.user.roles.includes('Manager'),
-        canEditProducts: req.user.roles.includes('Admin') || req.user.roles.includes('ProductManager'),
+        canViewAllProducts: privileged,
+        canEditProducts: privileged,
         canViewTeamMetrics: true,
-        canExportData: req.user.roles.includes('Admin') || req.user.roles.includes('Manager'),
+        canExportData: privileged,
       },
       lastLogin: new Date().toISOString(),
     };
@@ -49,9 +54,11 @@ router.get('/profile', async (req, res, next) => {
 /**
  * @route   GET /api/users/:userId/performance
  * @desc    Get individual performance metrics
- * @access  Private
+ * @access  Private (self, managers of the user's team, Admin)
  */
 router.get('/:userId/performance',
+  auditRequest('individual.view', { target: (req) => req.params.userId }),
+  requireIndividualAccess('userId'),
   [
     param('userId').notEmpty().withMessage('User ID is required'),
     query('period').optional().isIn(['sprint', 'month', 'quarter', 'year']).withMessage('Invalid period'),
@@ -73,16 +80,6 @@ router.get('/:userId/performance',
       const { userId } = req.params;
       const { period = 'sprint', startDate, endDate } = req.query;
 
-      // Check if user can access this data
-      if (userId !== req.user.id && !req.user.roles.includes('Manager') && !req.user.roles.includes('Admin')) {
-        return res.status(403).json({
-          error: 'Access denied',
-          code: 'ACCESS_DENIED',
-          message: 'You can only view your own performance data',
-          timestamp: new Date().toISOString(),
-        });
-      }
-
       logger.info(`Fetching performance for user ${userId}`, {
         userId,
         period,
@@ -238,7 +235,7 @@ router.get('/:userId/performance',
  * @access  Private (Manager, Admin)
  */
 router.get('/',
-  requireRoles(['Manager', 'Admin']),
+  requireRoles(['admin', 'manager']),
   [
     query('team').optional().notEmpty().withMessage('Team filter cannot be empty'),
     query('role').optional().notEmpty().withMessage('Role filter cannot be empty'),
@@ -475,41 +472,91 @@ router.get('/:userId',
   }
 );
 
+const isWidgetList = (value) => Array.isArray(value) && value.every(widget => DASHBOARD_WIDGETS.includes(widget));
+const layoutMessage = `Widgets must be ids or { id, width } of ${DASHBOARD_WIDGETS.join(', ')}; width one of ${WIDGET_WIDTHS.join(', ')}`;
+
 /**
  * @route   PUT /api/users/profile
- * @desc    Update current user profile
+ * @desc    Update current user profile. Preferences not given keep their saved value;
+ *          savedViews replaces the whole list.
  * @access  Private
+ * @body    preferences - { theme, notifications, timeZone, defaultProductId, defaultSprintMode,
+ *          dashboardLayout: { widgets: [{ id, width }] }, productLayouts: { <productId>: { widgets } | null },
+ *          savedViews: [{ name, productId, sprintId, startDate, endDate, widgets }] }
  */
-router.put('/profile', async (req, res, next) => {
-  try {
-    const { preferences, skills } = req.body;
+router.put('/profile',
+  [
+    body('preferences').optional().isObject().withMessage('Preferences must be an object')
+      .custom(preferences => Object.keys(preferences).every(key => key in DEFAULT_PREFERENCES))
+      .withMessage(`Preferences can only contain ${Object.keys(DEFAULT_PREFERENCES).join(', ')}`),
+    body('preferences.theme').optional().isIn(THEMES).withMessage(`Theme must be one of ${THEMES.join(', ')}`),
+    body('preferences.notifications').optional().isBoolean({ strict: true }).withMessage('Notifications must be true or false'),
+    body('preferences.timeZone').optional().isString().isLength({ min: 1, max: 64 }).withMessage('Invalid time zone'),
+    body('preferences.defaultProductId').optional({ nullable: true }).isString().isLength({ min: 1, max: 255 })
+      .withMessage('Default product must be a product id or null'),
+    body('preferences.defaultSprintMode').optional().isIn(SPRINT_MODES)
+      .withMessage(`Default sprint mode must be one of ${SPRINT_MODES.join(', ')}`),
+    body('preferences.dashboardLayout').optional({ nullable: true }).isObject().withMessage('Dashboard layout must be an object or null'),
+    body('preferences.dashboardLayout.widgets').if(body('preferences.dashboardLayout').isObject())
+      .custom(isLayout).withMessage(layoutMessage),
+    body('preferences.productLayouts').optional().isObject().withMessage('Product layouts must be an object')
+      .custom(layouts => Object.values(layouts).every(layout => layout === null || isLayout(layout?.widgets)))
+      .withMessage(`Each product layout must be null or { widgets }; ${layoutMessage}`),
+    body('preferences.savedViews').optional().isArray({ max: MAX_SAVED_VIEWS })
+      .withMessage(`Saved views must be a list of at most ${MAX_SAVED_VIEWS} views`),
+    body('preferences.savedViews.*.name').isString().withMessage('Each saved view needs a name').bail()
+      .trim().isLength({ min: 1, max: 100 }).withMessage('Each saved view needs a name of at most 100 characters'),
+    body('preferences.savedViews.*.productId').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('preferences.savedViews.*.sprintId').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('preferences.savedViews.*.startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date format'),
+    body('preferences.savedViews.*.endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date format'),
+    body('preferences.savedViews.*.widgets').optional({ nullable: true })
+      .custom(isWidgetList).withMessage(`Widgets must be a list of ${DASHBOARD_WIDGETS.join(', ')}`),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-    logger.info(`Updating profile for user ${req.user.email}`, {
-      userId: req.user.id,
-      updates: { preferences: !!preferences, skills: !!skills },
-    });
+      const { preferences, skills } = req.body;
 
-    // Mock update response
-    const updatedProfile = {
-      ...req.user,
-      preferences: preferences || {
-        theme: 'light',
-        notifications: true,
-        dashboardLayout: 'default',
-        timeZone: 'UTC',
-      },
-      skills: skills || ['JavaScript', 'React', 'Node.js'],
-      lastUpdated: new Date().toISOString(),
-    };
+      logger.info(`Updating profile for user ${req.user.email}`, {
+        userId: req.user.id,
+        updates: { preferences: !!preferences, skills: !!skills },
+      });
 
-    res.json({
-      data: updatedProfile,
-      message: 'Profile updated successfully',
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    next(error);
+      const updatedProfile = {
+        ...req.user,
+        preferences: preferences
+          ? await userPreferenceService.update(req.user, preferences)
+          : await userPreferenceService.get(req.user),
+        skills: skills || ['JavaScript', 'React', 'Node.js'],
+        lastUpdated: new Date().toISOString(),
+      };
+
+      res.json({
+        data: updatedProfile,
+        message: 'Profile updated successfully',
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      if (['STORE_UNAVAILABLE', 'DUPLICATE_VIEW_NAME'].includes(error.code)) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      next(error);
+    }
   }
-});
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
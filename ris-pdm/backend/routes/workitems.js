@@ -1,25 +1,75 @@
 const express = require('express');
-const { query, param, validationResult } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { requireRoles } = require('../middleware/auth');
+const { hasRole, requireRoles } = require('../middleware/auth');
+const { auditRequest } = require('../middleware/audit');
+const AzureDevOpsService = require('../src/services/azureDevOpsService');
+const WorkItemQueryService = require('../src/services/workItemQueryService');
+const WorkItemUpdateService = require('../src/services/workItemUpdateService');
+const projectRegistry = require('../src/services/projectRegistry');
+const { azureDevOpsConfig } = require('../src/config/azureDevOpsConfig');
+
+const { SORT_FIELDS, MAX_PAGE_SIZE } = WorkItemQueryService;
+const { EDITABLE_FIELDS, BULK_ACTIONS, MAX_BULK_ITEMS } = WorkItemUpdateService;
+const WORK_ITEM_ERROR_CODES = [
+  'INVALID_CURSOR', 'ITERATION_NOT_FOUND', 'NO_CHANGES', 'REVISION_CONFLICT', 'INVALID_ACTION', 'TOO_MANY_ITEMS',
+];
+// Editing is for leads running triage; everyone else edits in Azure DevOps
+const EDITOR_ROLES = ['admin', 'manager'];
+
+const azureService = new AzureDevOpsService(azureDevOpsConfig);
+const workItemQueryService = new WorkItemQueryService(azureService);
+const workItemUpdateService = new WorkItemUpdateService(azureService);
+
+// Comma-separated filter values, e.g. state=Active,Resolved
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+
+/**
+ * Respond to known work item errors (bad cursor, unknown iteration, revision conflict...);
+ * anything else goes to the error handler. Conflicts include the item as it is now.
+ */
+const handleWorkItemError = (error, res, next) => {
+  if (!WORK_ITEM_ERROR_CODES.includes(error.code)) {
+    return next(error);
+  }
+
+  return res.status(error.statusCode).json({
+    error: error.message,
+    code: error.code,
+    ...(error.current !== undefined && { current: error.current }),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Tag lists: Azure DevOps separates tags with ';', so a tag can't contain one
+const isTagList = (value) => Array.isArray(value) && value.length <= 50
+  && value.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.length <= 100 && !tag.includes(';'));
 
 /**
  * @route   GET /api/workitems
- * @desc    Get work items from Azure DevOps
+ * @desc    Browse work items from Azure DevOps, one page at a time
  * @access  Private
- * @query   ?assignedTo=userId&state=Active&workItemType=Feature&limit=50&offset=0
+ * @query   ?productId=&assignedTo=user@company.com&state=Active,Resolved&workItemType=Bug&iteration=current
+ *          &area=Project\Team&priority=1&search=login&sort=changedDate&order=desc&limit=50&cursor=<nextCursor>
  */
 router.get('/',
   [
+    query('productId').optional().custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
     query('assignedTo').optional().notEmpty().withMessage('Assigned to cannot be empty'),
-    query('state').optional().isIn(['New', 'Active', 'Resolved', 'Closed', 'Removed']).withMessage('Invalid state'),
-    query('workItemType').optional().isIn(['Epic', 'Feature', 'User Story', 'Task', 'Bug']).withMessage('Invalid work item type'),
+    query('state').optional().custom(value => splitList(value).length > 0 && splitList(value).every(item => item.length <= 50))
+      .withMessage('Invalid state'),
+    query('workItemType').optional().custom(value => splitList(value).length > 0 && splitList(value).every(item => item.length <= 50))
+      .withMessage('Invalid work item type'),
     query('iteration').optional().notEmpty().withMessage('Iteration cannot be empty'),
     query('area').optional().notEmpty().withMessage('Area cannot be empty'),
     query('priority').optional().isIn(['1', '2', '3', '4']).withMessage('Invalid priority'),
-    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
-    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+    query('search').optional().isLength({ min: 1, max: 200 }).withMessage('Search must be 1 to 200 characters'),
+    query('sort').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`Sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('cursor').optional().isLength({ min: 1, max: 500 }).withMessage('Invalid cursor'),
   ],
   async (req, res, next) => {
     try {
@@ -33,208 +83,37 @@ router.get('/',
         });
       }
 
-      const {
+      const { productId, assignedTo, iteration, area, priority, search, sort, order, limit = 50, cursor } = req.query;
+      const filters = {
+        productId,
         assignedTo,
-        state,
-        workItemType,
+        states: splitList(req.query.state),
+        types: splitList(req.query.workItemType),
         iteration,
         area,
         priority,
-        limit = 50,
-        offset = 0,
-      } = req.query;
+        search: search?.trim(),
+        sort,
+        order,
+      };
 
       logger.info(`Fetching work items for user ${req.user.email}`, {
-        filters: { assignedTo, state, workItemType, iteration, area, priority, limit, offset },
+        filters,
+        limit,
+        page: cursor ? 'next' : 'first',
         userId: req.user.id,
       });
 
-      // Mock work items data - replace with actual Azure DevOps API calls
-      const mockWorkItems = [
-        {
-          id: 12345,
-          title: 'Implement user authentication service',
-          type: 'Feature',
-          state: 'Active',
-          assignedTo: {
-            id: 'user-1',
-            name: 'Alice Johnson',
-            email: 'alice.johnson@company.com',
-          },
-          createdBy: {
-            id: 'user-manager',
-            name: 'John Doe',
-            email: 'john.doe@company.com',
-          },
-          priority: 2,
-          severity: 'Medium',
-          storyPoints: 8,
-          effort: 13,
-          businessValue: 50,
-          tags: ['authentication', 'security', 'backend'],
-          iteration: 'Sprint 24.3',
-          area: 'RIS Core Platform\\Security',
-          createdDate: '2024-01-15T10:30:00Z',
-          changedDate: '2024-01-20T14:45:00Z',
-          description: 'Implement OAuth 2.0 authentication service with Azure AD integration',
-          acceptanceCriteria: [
-            'Users can login with Azure AD credentials',
-            'JWT tokens are issued upon successful authentication',
-            'Token refresh mechanism is implemented',
-          ],
-          links: [
-            {
-              rel: 'System.LinkTypes.Hierarchy-Reverse',
-              url: 'https://dev.azure.com/org/project/_apis/wit/workItems/12300',
-              title: 'Authentication Epic',
-            },
-          ],
-          comments: [
-            {
-              id: 1,
-              text: 'Started implementation of OAuth flow',
-              createdBy: 'Alice Johnson',
-              createdDate: '2024-01-18T09:15:00Z',
-            },
-          ],
-        },
-        {
-          id: 12346,
-          title: 'Fix login redirect issue',
-          type: 'Bug',
-          state: 'New',
-          assignedTo: {
-            id: 'user-2',
-            name: 'Bob Wilson',
-            email: 'bob.wilson@company.com',
-          },
-          createdBy: {
-            id: 'user-qa',
-            name: 'Carol Davis',
-            email: 'carol.davis@company.com',
-          },
-          priority: 1,
-          severity: 'High',
-          storyPoints: 3,
-          effort: 5,
-          businessValue: 20,
-          tags: ['bug', 'authentication', 'frontend'],
-          iteration: 'Sprint 24.3',
-          area: 'RIS Core Platform\\UI',
-          createdDate: '2024-01-20T16:20:00Z',
-          changedDate: '2024-01-20T16:20:00Z',
-          description: 'Users are not redirected to the correct page after login',
-          reproducationSteps: [
-            'Navigate to login page',
-            'Enter valid credentials',
-            'Click login button',
-            'Observe incorrect redirect',
-          ],
-          links: [],
-          comments: [],
-        },
-        {
-          id: 12347,
-          title: 'Update claims processing workflow',
-          type: 'User Story',
-          state: 'Active',
-          assignedTo: {
-            id: 'user-3',
-            name: 'David Chen',
-            email: 'david.chen@company.com',
-          },
-          createdBy: {
-            id: 'user-po',
-            name: 'Emma Product Owner',
-            email: 'emma.po@company.com',
-          },
-          priority: 2,
-          severity: 'Medium',
-          storyPoints: 5,
-          effort: 8,
-          businessValue: 30,
-          tags: ['claims', 'workflow', 'process'],
-          iteration: 'Sprint 24.3',
-          area: 'Claims Processing\\Workflow',
-          createdDate: '2024-01-12T11:00:00Z',
-          changedDate: '2024-01-19T13:30:00Z',
-          description: 'As a claims processor, I want an updated workflow to handle complex claims more efficiently',
-          acceptanceCriteria: [
-            'New workflow handles multi-step approvals',
-            'Automated routing based on claim type',
-            'Email notifications for status changes',
-          ],
-          links: [],
-          comments: [
-            {
-              id: 1,
-              text: 'Working on workflow design document',
-              createdBy: 'David Chen',
-              createdDate: '2024-01-19T13:30:00Z',
-            },
-          ],
-        },
-      ];
-
-      // Apply filters
-      let filteredWorkItems = [...mockWorkItems];
-
-      if (assignedTo) {
-        filteredWorkItems = filteredWorkItems.filter(item => 
-          item.assignedTo && item.assignedTo.id === assignedTo
-        );
-      }
-
-      if (state) {
-        filteredWorkItems = filteredWorkItems.filter(item => item.state === state);
-      }
-
-      if (workItemType) {
-        filteredWorkItems = filteredWorkItems.filter(item => item.type === workItemType);
-      }
-
-      if (iteration) {
-        filteredWorkItems = filteredWorkItems.filter(item => 
-          item.iteration && item.iteration.includes(iteration)
-        );
-      }
-
-      if (area) {
-        filteredWorkItems = filteredWorkItems.filter(item => 
-          item.area && item.area.includes(area)
-        );
-      }
-
-      if (priority) {
-        filteredWorkItems = filteredWorkItems.filter(item => 
-          item.priority === parseInt(priority)
-        );
-      }
-
-      // Apply pagination
-      const total = filteredWorkItems.length;
-      const workItems = filteredWorkItems.slice(offset, offset + parseInt(limit));
+      const { workItems, pagination } = await workItemQueryService.query(filters, { limit, cursor });
 
       res.json({
         data: workItems,
-        pagination: {
-          total,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: offset + workItems.length < total,
-        },
-        filters: {
-          assignedTo,
-          state,
-          workItemType,
-          iteration,
-          area,
-          priority,
-        },
+        pagination,
+        filters,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      next(error);
+      handleWorkItemError(error, res, next);
     }
   }
 );
@@ -528,13 +407,121 @@ router.get('/meta/areas', async (req, res, next) => {
 });
 
 /**
- * @route   PUT /api/workitems/:workItemId
- * @desc    Update work item (limited fields)
+ * @route   GET /api/workitems/meta/edit-options
+ * @desc    Whether the user may edit work items, and the fields and bulk actions on offer
  * @access  Private
  */
+router.get('/meta/edit-options', async (req, res, next) => {
+  try {
+    res.json({
+      data: { ...workItemUpdateService.getOptions(), canEdit: await hasRole(req.user, EDITOR_ROLES) },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/workitems/bulk
+ * @desc    Reassign, move to another iteration, retag or change the state of several work items
+ * @access  Private (Admin, Manager)
+ * @body    { ids: [1, 2], action: 'assign' | 'move' | 'retag' | 'state', assignedTo, iterationPath,
+ *          state, addTags, removeTags, comment, productId }
+ */
+router.post('/bulk',
+  auditRequest('workitem.bulk_update', {
+    target: (req) => (Array.isArray(req.body.ids) ? req.body.ids.join(',') : null),
+    parameters: (req) => {
+      const { action, assignedTo, iterationPath, state, addTags, removeTags, productId } = req.body;
+      return { action, assignedTo, iterationPath, state, addTags, removeTags, productId };
+    },
+  }),
+  requireRoles(EDITOR_ROLES),
+  [
+    body('ids').isArray({ min: 1, max: MAX_BULK_ITEMS }).withMessage(`Select between 1 and ${MAX_BULK_ITEMS} work items`),
+    body('ids.*').isInt({ min: 1 }).toInt().withMessage('Work item IDs must be positive integers'),
+    body('action').isIn(BULK_ACTIONS).withMessage(`Action must be one of ${BULK_ACTIONS.join(', ')}`),
+    body('assignedTo').optional({ nullable: true }).isString().isLength({ max: 256 }).withMessage('Invalid assignee'),
+    body('iterationPath')
+      .if(body('action').equals('move'))
+      .isString().withMessage('Moving needs an iteration path').bail()
+      .trim().isLength({ min: 1, max: 512 }).withMessage('Moving needs an iteration path'),
+    body('state')
+      .if(body('action').equals('state'))
+      .isString().withMessage('Changing state needs a state').bail()
+      .trim().isLength({ min: 1, max: 50 }).withMessage('Changing state needs a state'),
+    body('addTags').optional().custom(isTagList).withMessage('Tags must be up to 50 names without ";"'),
+    body('removeTags').optional().custom(isTagList).withMessage('Tags must be up to 50 names without ";"'),
+    body('action').custom((action, { req }) => action !== 'retag'
+      || (req.body.addTags?.length || 0) + (req.body.removeTags?.length || 0) > 0)
+      .withMessage('Retagging needs tags to add or remove'),
+    body('comment').optional().isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be 1 to 2000 characters'),
+    body('productId').optional().custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const { ids, action, assignedTo, iterationPath, state, addTags = [], removeTags = [], comment, productId } = req.body;
+
+      logger.info(`Bulk ${action} of ${ids.length} work items for user ${req.user.email}`, {
+        ids,
+        userId: req.user.id,
+      });
+
+      const result = await workItemUpdateService.bulkUpdate(
+        ids,
+        { type: action, assignedTo, iterationPath, state, addTags, removeTags },
+        { productId, comment }
+      );
+
+      res.json({
+        data: result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      handleWorkItemError(error, res, next);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/workitems/:workItemId
+ * @desc    Update work item (limited fields) if it is still at the given revision
+ * @access  Private (Admin, Manager)
+ * @body    { rev, title, state, assignedTo, priority, storyPoints, tags, iterationPath, areaPath, comment, productId }
+ */
 router.put('/:workItemId',
+  auditRequest('workitem.update', {
+    target: (req) => req.params.workItemId,
+    parameters: (req) => ({ fields: req.body }),
+  }),
+  requireRoles(EDITOR_ROLES),
   [
     param('workItemId').isInt({ min: 1 }).withMessage('Work item ID must be a positive integer'),
+    body().custom(value => Object.keys(value || {})
+      .every(field => [...EDITABLE_FIELDS, 'rev', 'comment', 'productId'].includes(field)))
+      .withMessage(`Only ${EDITABLE_FIELDS.join(', ')} can be edited`),
+    body('rev').isInt({ min: 1 }).toInt().withMessage('rev (the revision being edited) is required'),
+    body('title').optional().isString().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1 to 255 characters'),
+    body('state').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid state'),
+    body('assignedTo').optional({ nullable: true }).isString().isLength({ max: 256 }).withMessage('Invalid assignee'),
+    body('priority').optional().isInt({ min: 1, max: 4 }).toInt().withMessage('Priority must be 1 to 4'),
+    body('storyPoints').optional().isFloat({ min: 0, max: 1000 }).toFloat().withMessage('Story points must be 0 to 1000'),
+    body('tags').optional().custom(isTagList).withMessage('Tags must be up to 50 names without ";"'),
+    body('iterationPath').optional().isString().trim().isLength({ min: 1, max: 512 }).withMessage('Invalid iteration path'),
+    body('areaPath').optional().isString().trim().isLength({ min: 1, max: 512 }).withMessage('Invalid area path'),
+    body('comment').optional().isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be 1 to 2000 characters'),
+    body('productId').optional().custom(value => projectRegistry.has(value)).withMessage('Unknown product'),
   ],
   async (req, res, next) => {
     try {
@@ -548,24 +535,24 @@ router.put('/:workItemId',
         });
       }
 
-      const { workItemId } = req.params;
-      const updates = req.body;
+      const workItemId = parseInt(req.params.workItemId, 10);
+      const { rev, comment, productId, ...changes } = req.body;
 
       logger.info(`Updating work item ${workItemId} for user ${req.user.email}`, {
         workItemId,
-        updates: Object.keys(updates),
+        rev,
+        updates: Object.keys(changes),
         userId: req.user.id,
       });
 
-      // In a real implementation, validate updates and call Azure DevOps API
-      res.status(501).json({
-        error: 'Not implemented',
-        code: 'NOT_IMPLEMENTED',
-        message: 'Work item updates not yet implemented',
+      const workItem = await workItemUpdateService.update(workItemId, changes, { rev, productId, comment });
+
+      res.json({
+        data: workItem,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      next(error);
+      handleWorkItemError(error, res, next);
     }
   }
 );
@@ -10,7 +10,7 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, authenticateSocket } = require('./middleware/auth');
 const { 
   azureDevOpsLogger, 
   azureDevOpsHealthMonitor, 
@@ -24,8 +24,20 @@ const metricRoutes = require('./routes/metrics');
 const userRoutes = require('./routes/users');
 const workItemRoutes = require('./routes/workitems');
 const exportRoutes = require('./routes/exports');
+const financialRoutes = require('./routes/financials');
+const { router: surveyRoutes, publicRouter: publicSurveyRoutes } = require('./routes/surveys');
+const auditRoutes = require('./routes/audit');
+const notificationRoutes = require('./routes/notifications');
+const alertRuleRoutes = require('./routes/alertRules');
+const reportRoutes = require('./routes/reports');
+const dashboardLayoutRoutes = require('./routes/dashboardLayouts');
 const iterationTestRoutes = require('./routes/iterationTest');
-const { router: webhookRoutes, initializeWebhookService } = require('./src/routes/webhooks');
+const {
+  router: webhookRoutes,
+  adminRouter: webhookAdminRoutes,
+  initializeWebhookService,
+  shutdownWebhookService
+} = require('./src/routes/webhooks');
 const { router: authRoutes, initializeOAuthService } = require('./src/routes/auth');
 
 // Import services
@@ -33,6 +45,12 @@ const AzureDevOpsService = require('./src/services/azureDevOpsService');
 const RealtimeService = require('./src/services/realtimeService');
 const ProjectResolutionService = require('./src/services/projectResolutionService');
 const MetricsCalculatorService = require('./src/services/metricsCalculator');
+const WorkItemSyncService = require('./src/services/workItemSyncService');
+const projectRegistry = require('./src/services/projectRegistry');
+const accessPolicyService = require('./src/services/accessPolicyService');
+const notificationService = require('./src/services/notificationService');
+const reportScheduleService = require('./src/services/reportScheduleService');
+const { database } = require('./config/database');
 
 const app = express();
 const server = createServer(app);
@@ -49,10 +67,14 @@ const io = new Server(server, {
   transports: ['websocket', 'polling']
 });
 
+// Identify socket users so per-user subscriptions (individual performance) can be authorized
+io.use(authenticateSocket);
+
 const PORT = process.env.PORT || 3001;
 
 // Initialize services with enhanced performance features
 const azureDevOpsService = new AzureDevOpsService();
+accessPolicyService.setAzureService(azureDevOpsService);
 const projectResolutionService = new ProjectResolutionService(azureDevOpsService);
 const RequestBatchingService = require('./src/services/requestBatchingService');
 const cacheService = require('./src/services/cacheService');
@@ -75,6 +97,19 @@ const initializeServices = async () => {
     // Initialize Azure DevOps service with caching
     await azureDevOpsService.initialize();
     
+    // Connect local work item store and start incremental sync from Azure DevOps
+    if (await database.connect()) {
+      // Product registry decides which projects get synced, so load it first
+      try {
+        await projectRegistry.load();
+      } catch (registryError) {
+        logger.error('⚠️ Failed to load product registry, using built-in defaults:', registryError.message);
+      }
+      workItemSyncService.start();
+      notificationService.start();
+      reportScheduleService.start();
+    }
+    
     // Initialize project resolution service
     logger.info('🔧 Initializing project resolution service');
     
@@ -132,6 +167,7 @@ const initializeServices = async () => {
 const projectResolver = new ProjectResolutionService();
 const metricsCalculator = new MetricsCalculatorService(azureDevOpsService);
 const realtimeService = new RealtimeService(azureDevOpsService, io, metricsCalculator);
+const workItemSyncService = new WorkItemSyncService(azureDevOpsService);
 
 // Global error handlers
 process.on('uncaughtException', (error) => {
@@ -209,7 +245,13 @@ const initializeSecurityMiddleware = async () => {
 
 // Enhanced body size protection and content-type validation
 app.use(createBodySizeLimit('2mb')); // Reduced from 10mb for better DoS protection
-app.use(validateContentType(['application/json', 'application/x-www-form-urlencoded']));
+app.use(validateContentType([
+  'application/json',
+  'application/x-www-form-urlencoded',
+  // Finance uploads (/api/financials/import)
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+]));
 
 // CORS is now handled by enhanced security headers middleware
 
@@ -262,6 +304,8 @@ app.get('/health', async (req, res) => {
     healthData.cache = cacheHealth;
   }
   
+  healthData.database = await database.healthCheck();
+  
   const statusCode = healthData.status === 'OK' ? 200 : 503;
   res.status(statusCode).json(healthData);
 });
@@ -270,6 +314,7 @@ app.get('/health', async (req, res) => {
 app.set('socketio', io);
 app.set('realtimeService', realtimeService);
 app.set('cacheService', cacheService);
+app.set('workItemSyncService', workItemSyncService);
 app.set('requestBatchingService', () => requestBatchingService);
 
 // Authentication Routes (no middleware required for auth endpoints)
@@ -281,6 +326,16 @@ app.use('/api/metrics', authMiddleware, metricRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/workitems', authMiddleware, workItemRoutes);
 app.use('/api/exports', authMiddleware, exportRoutes);
+app.use('/api/financials', authMiddleware, financialRoutes);
+// Stakeholders answer through a share link without signing in
+app.use('/api/surveys/public', publicSurveyRoutes);
+app.use('/api/surveys', authMiddleware, surveyRoutes);
+app.use('/api/audit', authMiddleware, auditRoutes);
+app.use('/api/notifications', authMiddleware, notificationRoutes);
+app.use('/api/alert-rules', authMiddleware, alertRuleRoutes);
+app.use('/api/reports', authMiddleware, reportRoutes);
+app.use('/api/dashboard-layouts', authMiddleware, dashboardLayoutRoutes);
+app.use('/api/webhooks', authMiddleware, webhookAdminRoutes);
 
 // Test Routes for iteration mapping (development only)
 if (process.env.NODE_ENV !== 'production') {
@@ -314,7 +369,12 @@ const gracefulShutdown = async () => {
   try {
     // Cleanup services
     realtimeService.cleanup();
+    workItemSyncService.stop();
+    notificationService.stop();
+    reportScheduleService.stop();
+    await shutdownWebhookService();
     await cacheService.shutdown();
+    await database.disconnect();
     
     if (performanceMonitor) {
       performanceMonitor.shutdown();
@@ -0,0 +1,41 @@
+/**
+ * Default Product Registry Entries
+ * Seeds the product registry on first start and serves as the registry when
+ * no database is configured. Once seeded, products are managed through
+ * POST/PUT/DELETE /api/products.
+ *
+ * iterationPattern is a case-insensitive regex whose first capture group is the
+ * iteration number; iterationFormat builds a name from a number ("Delivery {n}").
+ */
+
+const DEFAULT_PRODUCTS = [
+  {
+    id: 'Product - Data as a Service',
+    azureProject: 'Product - Data as a Service',
+    teamName: 'Product - Data as a Service Team',
+    iterationPrefix: 'Delivery',
+    iterationPattern: '^(?:Delivery|Sprint|DaaS)[-_\\s]*(\\d+)',
+    iterationFormat: 'Delivery {n}',
+    enabled: true,
+    priority: 1
+  },
+  {
+    id: 'Product - Partner Management Platform',
+    azureProject: 'Product - Partner Management Platform',
+    teamName: 'PMP Developer Team',
+    iterationPrefix: 'Delivery',
+    iterationPattern: '^(?:Delivery|Sprint)[-_\\s]*(\\d+)',
+    iterationFormat: 'Delivery {n}',
+    enabled: true,
+    priority: 2
+  },
+  { id: 'Team - Product Management', azureProject: 'Product - Partner Management Platform', teamName: 'PMP Developer Team', enabled: true, priority: 3 },
+  { id: 'Team - Engineering', azureProject: 'Product - Partner Management Platform', teamName: 'PMP Developer Team', enabled: true, priority: 4 },
+  { id: 'Team - QA Testing', azureProject: 'Product - Partner Management Platform', teamName: 'PMP QA Team', enabled: true, priority: 5 },
+  { id: 'Team - DevOps', azureProject: 'Product - Partner Management Platform', teamName: 'PMP Developer Team', enabled: true, priority: 6 },
+  { id: 'Product - Supplier Connect', azureProject: 'Product - Supplier Connect', enabled: false, priority: 999 },
+  { id: 'Product - CFG Workflow', azureProject: 'Product - CFG Workflow', enabled: false, priority: 999 },
+  { id: 'Product - New OMS', azureProject: 'Product - New OMS', enabled: false, priority: 999 }
+];
+
+module.exports = { DEFAULT_PRODUCTS };
@@ -1,69 +1,11 @@
 /**
  * Project Mapping Configuration
- * Maps frontend project IDs to actual Azure DevOps projects
- * Currently configured to show only PMP and DaaS projects
+ * Maps frontend project IDs to actual Azure DevOps projects.
+ * Mappings come from the product registry (product_registry table, managed via
+ * /api/products); these helpers keep the synchronous lookups callers rely on.
  */
 
-// Project enablement configuration - controls which projects are shown in the dashboard
-const PROJECT_CONFIG = {
-  // ✅ ENABLED PROJECTS - Only PMP and DaaS as requested
-  'Product - Data as a Service': { 
-    enabled: true, 
-    priority: 1,
-    iterationPrefix: 'Delivery',
-    iterationPattern: /^Delivery\s+(\d+)$/i,
-    currentIterationFormat: 'Delivery {n}'
-  },
-  'Product - Partner Management Platform': { 
-    enabled: true, 
-    priority: 2,
-    iterationPrefix: 'Delivery',
-    iterationPattern: /^Delivery\s+(\d+)$/i,
-    currentIterationFormat: 'Delivery {n}'
-  },
-  'Team - Product Management': { enabled: true, priority: 3 },
-  'Team - Engineering': { enabled: true, priority: 4 },
-  'Team - QA Testing': { enabled: true, priority: 5 },
-  'Team - DevOps': { enabled: true, priority: 6 },
-  
-  // ❌ DISABLED PROJECTS - Hidden from dashboard as requested
-  'Product - Supplier Connect': { enabled: false, priority: 999 },
-  'Product - CFG Workflow': { enabled: false, priority: 999 },
-  'Product - New OMS': { enabled: false, priority: 999 }
-};
-
-// Azure DevOps Project → Team mapping - CRITICAL: Team names must match Azure DevOps exactly
-// Based on actual teams from Azure DevOps screenshot
-const TEAM_MAPPING = {
-  // ✅ ENABLED PROJECTS - Using EXACT team names from Azure DevOps
-  'Product - Data as a Service': 'Product - Data as a Service Team', // Map to DaaS own team
-  'Product - Partner Management Platform': 'PMP Developer Team', // 🎯 CONFIRMED: Exact team name from screenshot
-  'Team - Product Management': 'PMP Developer Team', // Map to PMP Developer Team
-  'Team - Engineering': 'PMP Developer Team', // Map to PMP Developer Team  
-  'Team - QA Testing': 'PMP QA Team', // 🎯 CONFIRMED: Exact team name from screenshot
-  'Team - DevOps': 'PMP Developer Team', // Map to PMP Developer Team
-  
-  // ❌ DISABLED PROJECTS - Commented out to hide from dashboard
-  // 'Product - Supplier Connect': 'Product - Supplier Connect', 
-  // 'Product - CFG Workflow': 'Product - CFG Workflow',
-  // 'Product - New OMS': 'Product - New OMS'
-};
-
-const PROJECT_MAPPING = {
-  // ✅ ENABLED PROJECTS - PMP and DaaS only
-  // DaaS maps to its own Azure DevOps project (Product - Data as a Service)
-  'Product - Data as a Service': 'Product - Data as a Service',
-  'Product - Partner Management Platform': 'Product - Partner Management Platform',
-  'Team - Product Management': 'Product - Partner Management Platform',
-  'Team - Engineering': 'Product - Partner Management Platform',
-  'Team - QA Testing': 'Product - Partner Management Platform',
-  'Team - DevOps': 'Product - Partner Management Platform',
-  
-  // ❌ DISABLED PROJECTS - Commented out to hide from dashboard
-  // 'Product - Supplier Connect': 'Product - Supplier Connect', 
-  // 'Product - CFG Workflow': 'Product - CFG Workflow',
-  // 'Product - New OMS': 'Product - New OMS'
-};
+const projectRegistry = require('../services/projectRegistry');
 
 /**
  * Maps frontend project ID to actual Azure DevOps project name
@@ -75,7 +17,7 @@ const mapFrontendProjectToAzure = (frontendProjectId) => {
     return null;
   }
   
-  const mappedProject = PROJECT_MAPPING[frontendProjectId];
+  const mappedProject = projectRegistry.getAzureProject(frontendProjectId);
   if (!mappedProject) {
     console.warn(`⚠️ No Azure DevOps mapping found for frontend project: ${frontendProjectId}`);
     return frontendProjectId; // Fallback to original name
@@ -94,7 +36,7 @@ const mapFrontendProjectToTeam = (frontendProjectId) => {
     return null;
   }
   
-  const mappedTeam = TEAM_MAPPING[frontendProjectId];
+  const mappedTeam = projectRegistry.getTeamName(frontendProjectId);
   if (!mappedTeam) {
     console.warn(`⚠️ No Azure DevOps team mapping found for frontend project: ${frontendProjectId}`);
     // Fallback to project mapping for backward compatibility
@@ -105,19 +47,19 @@ const mapFrontendProjectToTeam = (frontendProjectId) => {
 };
 
 /**
- * Gets all available frontend project IDs
+ * Gets all enabled frontend project IDs
  * @returns {string[]} Array of frontend project IDs
  */
 const getFrontendProjects = () => {
-  return Object.keys(PROJECT_MAPPING);
+  return projectRegistry.list({ includeDisabled: false }).map(entry => entry.id);
 };
 
 /**
- * Gets all unique Azure DevOps projects
+ * Gets all unique Azure DevOps projects behind enabled products
  * @returns {string[]} Array of unique Azure DevOps project names
  */
 const getAzureProjects = () => {
-  return [...new Set(Object.values(PROJECT_MAPPING))];
+  return projectRegistry.getAzureProjects();
 };
 
 /**
@@ -126,13 +68,7 @@ const getAzureProjects = () => {
  * @returns {boolean} True if project is enabled
  */
 const isProjectEnabled = (projectId) => {
-  // First check if it exists in PROJECT_CONFIG
-  if (PROJECT_CONFIG[projectId]) {
-    return PROJECT_CONFIG[projectId].enabled;
-  }
-  
-  // Fallback: if it's in PROJECT_MAPPING, it's enabled
-  return PROJECT_MAPPING.hasOwnProperty(projectId);
+  return projectRegistry.isEnabled(projectId);
 };
 
 /**
@@ -141,7 +77,7 @@ const isProjectEnabled = (projectId) => {
  * @returns {object|null} Project configuration or null if not found
  */
 const getProjectConfig = (projectId) => {
-  return PROJECT_CONFIG[projectId] || null;
+  return projectRegistry.get(projectId);
 };
 
 /**
@@ -149,9 +85,7 @@ const getProjectConfig = (projectId) => {
  * @returns {string[]} Array of enabled frontend project IDs
  */
 const getEnabledProjects = () => {
-  return Object.keys(PROJECT_CONFIG)
-    .filter(projectId => PROJECT_CONFIG[projectId].enabled)
-    .sort((a, b) => PROJECT_CONFIG[a].priority - PROJECT_CONFIG[b].priority);
+  return getFrontendProjects();
 };
 
 /**
@@ -160,14 +94,7 @@ const getEnabledProjects = () => {
  * @returns {object|null} Iteration configuration for the project
  */
 const getProjectIterationConfig = (projectId) => {
-  const config = PROJECT_CONFIG[projectId];
-  if (!config) return null;
-  
-  return {
-    prefix: config.iterationPrefix,
-    pattern: config.iterationPattern,
-    format: config.currentIterationFormat
-  };
+  return projectRegistry.getIterationConfig(projectId);
 };
 
 /**
@@ -177,7 +104,10 @@ const getProjectIterationConfig = (projectId) => {
  * @returns {string|null} Current iteration name
  */
 const findCurrentIterationForProject = (projectId, iterations) => {
-  const config = getProjectIterationConfig(projectId);
+  // Callers pass either a frontend product ID or an Azure DevOps project name
+  const config = getProjectIterationConfig(projectId) ||
+    projectRegistry.getIterationRulesByAzureProject()[projectId] ||
+    null;
   if (!config) {
     // Fallback: find by date
     const now = new Date();
@@ -243,11 +173,12 @@ const findCurrentIterationForProject = (projectId, iterations) => {
  * @returns {object} Statistics about project configuration
  */
 const getProjectStats = () => {
-  const enabled = Object.values(PROJECT_CONFIG).filter(config => config.enabled).length;
-  const disabled = Object.values(PROJECT_CONFIG).filter(config => !config.enabled).length;
+  const entries = projectRegistry.list();
+  const enabled = entries.filter(entry => entry.enabled).length;
+  const disabled = entries.length - enabled;
   
   return {
-    total: Object.keys(PROJECT_CONFIG).length,
+    total: entries.length,
     enabled,
     disabled,
     enabledProjects: getEnabledProjects()
@@ -255,9 +186,6 @@ const getProjectStats = () => {
 };
 
 module.exports = {
-  PROJECT_MAPPING,
-  PROJECT_CONFIG,
-  TEAM_MAPPING,
   mapFrontendProjectToAzure,
   mapFrontendProjectToTeam,
   getFrontendProjects,
@@ -12,6 +12,10 @@ const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const AzureOAuthService = require('../services/azureOAuthService');
+const AzureDevOpsService = require('../services/azureDevOpsService');
+const { factory } = require('../services/azureDevOpsServiceFactory');
+const { authMiddleware } = require('../../middleware/auth');
+const requestContext = require('../../utils/requestContext');
 const logger = require('../../utils/logger');
 
 const router = express.Router();
@@ -34,6 +38,15 @@ let oauthService = null;
  */
 function initializeOAuthService(config = {}) {
   oauthService = new AzureOAuthService(config);
+
+  // Share the per-user tokens with every Azure DevOps client; requests from users who
+  // connected their account then run under that account instead of the PAT
+  AzureDevOpsService.useOAuthService(oauthService);
+  factory.setOAuthService(oauthService);
+  requestContext.setAzureIdentityResolver(oauthService.isConfigured()
+    ? async (userId) => ((await oauthService.loadTokens(userId)) ? userId : null)
+    : null);
+
   logger.info('OAuth service initialized', {
     isConfigured: oauthService.isConfigured(),
     scopes: oauthService.scopes
@@ -46,7 +59,7 @@ function initializeOAuthService(config = {}) {
  */
 const ensureOAuthService = (req, res, next) => {
   if (!oauthService) {
-    oauthService = new AzureOAuthService();
+    initializeOAuthService();
   }
   next();
 };
@@ -79,9 +92,10 @@ router.get('/status', ensureOAuthService, (req, res) => {
 
 /**
  * GET /auth/oauth/authorize
- * Generate OAuth authorization URL
+ * Generate OAuth authorization URL; the returned state can only be redeemed by the same user
  */
 router.get('/oauth/authorize', 
+  authMiddleware,
   ensureOAuthService,
   authLimiter,
   [
@@ -109,11 +123,12 @@ router.get('/oauth/authorize',
         });
       }
 
-      const { state } = req.query;
-      const authUrl = oauthService.getAuthorizationUrl(state);
+      const authUrl = oauthService.getAuthorizationUrl(req.query.state, req.user.id);
+      const state = new URL(authUrl).searchParams.get('state');
 
       logger.info('OAuth authorization URL generated', {
         clientId: oauthService.clientId,
+        userId: req.user.id,
         sourceIp: req.ip,
         userAgent: req.get('User-Agent')
       });
@@ -143,14 +158,15 @@ router.get('/oauth/authorize',
 
 /**
  * POST /auth/oauth/token
- * Exchange authorization code for access token
+ * Exchange authorization code for access token and store it (encrypted) for the signed-in user
  */
 router.post('/oauth/token',
+  authMiddleware,
   ensureOAuthService,
   authLimiter,
   [
     body('code').isString().notEmpty().withMessage('Authorization code is required'),
-    body('state').optional().isString().trim()
+    body('state').isString().trim().notEmpty().withMessage('State is required')
   ],
   async (req, res) => {
     try {
@@ -177,26 +193,20 @@ router.post('/oauth/token',
       const { code, state } = req.body;
 
       logger.info('OAuth token exchange requested', {
+        userId: req.user.id,
         sourceIp: req.ip,
-        userAgent: req.get('User-Agent'),
-        hasState: !!state
+        userAgent: req.get('User-Agent')
       });
 
-      const tokenResponse = await oauthService.exchangeCodeForToken(code, state);
-
-      // Don't log the actual tokens for security
-      logger.info('OAuth token exchange successful', {
-        expiresIn: tokenResponse.expiresIn,
-        tokenType: tokenResponse.tokenType,
-        scope: tokenResponse.scope
-      });
+      const tokenData = await oauthService.exchangeCodeForToken(code, state, req.user);
 
+      // Tokens stay server-side; the client only learns that the account is connected
       res.json({
         success: true,
         data: {
-          tokenType: tokenResponse.tokenType,
-          expiresIn: tokenResponse.expiresIn,
-          scope: tokenResponse.scope
+          tokenType: tokenData.token_type,
+          expiresIn: tokenData.expires_in,
+          scope: tokenData.scope
         },
         message: 'Authentication successful',
         timestamp: new Date().toISOString()
@@ -215,17 +225,55 @@ router.post('/oauth/token',
   }
 );
 
+/**
+ * GET /auth/oauth/session
+ * Whether the signed-in user has connected their Azure DevOps account
+ */
+router.get('/oauth/session',
+  authMiddleware,
+  ensureOAuthService,
+  async (req, res) => {
+    try {
+      const status = await oauthService.getTokenStatus(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          connected: status.hasAccessToken,
+          tokenExpiry: status.tokenExpiry,
+          isExpired: status.isExpired,
+          canRefresh: status.hasRefreshToken,
+          scopes: status.scopes
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error getting OAuth session:', error.message);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get OAuth session',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
 /**
  * POST /auth/logout
- * Clear authentication tokens
+ * Remove the signed-in user's Azure DevOps tokens
  */
 router.post('/logout',
+  authMiddleware,
   ensureOAuthService,
-  (req, res) => {
+  async (req, res) => {
     try {
-      oauthService.clearTokens();
+      await oauthService.revokeToken(req.user.id);
 
       logger.info('User logged out', {
+        userId: req.user.id,
         sourceIp: req.ip,
         userAgent: req.get('User-Agent')
       });
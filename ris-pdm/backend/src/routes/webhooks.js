@@ -9,12 +9,19 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const AzureDevOpsWebhookService = require('../services/azureDevOpsWebhookService');
+const WebhookEventQueue = require('../services/webhookEventQueue');
+const deliveryEventStore = require('../services/deliveryEventStore');
+const notificationService = require('../services/notificationService');
 const logger = require('../../utils/logger');
+const { authMiddleware, requireRoles } = require('../../middleware/auth');
+const { auditRequest } = require('../../middleware/audit');
 
 const router = express.Router();
+// Dead-letter management, mounted under /api/webhooks behind authentication
+const adminRouter = express.Router();
 
 // Rate limiting for webhook endpoints
 const webhookLimiter = rateLimit({
@@ -38,17 +45,35 @@ let webhookService = null;
  * @param {Object} dependencies - Service dependencies
  */
 function initializeWebhookService(dependencies) {
+  // Without Redis (or with WEBHOOK_QUEUE_MODE=memory) events stay in process and are lost on restart
+  const inMemory = process.env.WEBHOOK_QUEUE_MODE === 'memory' || process.env.REDIS_ENABLED === 'false';
+  const durableQueue = inMemory
+    ? null
+    : new WebhookEventQueue({ redisUrl: process.env.REDIS_URL });
+  
   webhookService = new AzureDevOpsWebhookService({
     cacheService: dependencies.cacheService,
     webSocketService: dependencies.webSocketService,
     azureDevOpsService: dependencies.azureDevOpsService,
+    deliveryEventStore,
+    notificationService,
+    durableQueue,
     logger: logger.child({ component: 'WebhookRoutes' })
   });
   
-  logger.info('Webhook service initialized');
+  logger.info(`Webhook service initialized (${durableQueue ? 'durable' : 'in-memory'} queue)`);
   return webhookService;
 }
 
+/**
+ * Stop the webhook queue during shutdown so in-flight events finish
+ */
+async function shutdownWebhookService() {
+  if (webhookService) {
+    await webhookService.shutdown();
+  }
+}
+
 /**
  * Middleware to ensure webhook service is initialized
  */
@@ -159,13 +184,14 @@ router.post('/azure/workitems',
  * GET /webhooks/azure/status
  * Get webhook service status and statistics
  */
-router.get('/azure/status', ensureWebhookService, (req, res) => {
+router.get('/azure/status', ensureWebhookService, async (req, res) => {
   try {
     const statistics = webhookService.getStatistics();
+    const queue = await webhookService.getQueueStatus();
     
     res.json({
       success: true,
-      data: statistics,
+      data: { ...statistics, queue },
       timestamp: new Date().toISOString()
     });
     
@@ -316,9 +342,9 @@ router.post('/azure/test',
  * DELETE /webhooks/azure/queue
  * Clear webhook event queue
  */
-router.delete('/azure/queue', ensureWebhookService, (req, res) => {
+router.delete('/azure/queue', ensureWebhookService, async (req, res) => {
   try {
-    webhookService.clearQueue();
+    await webhookService.clearQueue();
     
     res.json({
       success: true,
@@ -392,9 +418,15 @@ router.get('/azure/alerts', ensureWebhookService, (req, res) => {
 
 /**
  * POST /webhooks/azure/alerts/configure
- * Configure webhook monitoring alerts and thresholds
+ * Configure webhook monitoring alerts and thresholds (signed-in users only; changes are audited)
  */
-router.post('/azure/alerts/configure', ensureWebhookService, [
+router.post('/azure/alerts/configure',
+  authMiddleware,
+  auditRequest('webhook_alerts.configure', {
+    target: () => 'webhook-alerts',
+    parameters: (req) => ({ ...req.body }),
+  }),
+  ensureWebhookService, [
   body('successRateThreshold').optional().isNumeric().withMessage('Success rate threshold must be a number'),
   body('processingTimeThreshold').optional().isNumeric().withMessage('Processing time threshold must be a number'),
   body('errorRateThreshold').optional().isNumeric().withMessage('Error rate threshold must be a number'),
@@ -450,7 +482,11 @@ router.get('/azure/config', (req, res) => {
         'workitem.updated', 
         'workitem.deleted',
         'workitem.restored',
-        'workitem.commented'
+        'workitem.commented',
+        'git.pullrequest.created',
+        'git.pullrequest.merged',
+        'build.complete',
+        'ms.vss-release.deployment-completed-event'
       ],
       configuration: {
         signatureValidation: process.env.AZURE_DEVOPS_WEBHOOK_SECRET ? 'enabled' : 'disabled',
@@ -464,7 +500,7 @@ router.get('/azure/config', (req, res) => {
         step2: 'Create a new service hook subscription',
         step3: 'Select "Web Hooks" as the service',
         step4: `Set URL to: ${webhookUrl}`,
-        step5: 'Configure events: Work item created, updated, deleted, restored, commented',
+        step5: 'Configure events: Work item created, updated, deleted, restored, commented; Pull request created, merged; Build completed; Release deployment completed',
         step6: 'Set secret token if signature validation is enabled',
         step7: 'Test the webhook to ensure it works'
       }
@@ -473,8 +509,136 @@ router.get('/azure/config', (req, res) => {
   });
 });
 
-// Export router and initialization function
+/**
+ * Respond to failures of the dead-letter endpoints
+ */
+const sendQueueError = (res, error, message) => {
+  if (error.code === 'QUEUE_UNAVAILABLE') {
+    return res.status(503).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  logger.error(`${message}:`, error.message);
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const sendValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: errors.array(),
+  timestamp: new Date().toISOString()
+});
+
+adminRouter.use(requireRoles(['admin']));
+
+/**
+ * GET /api/webhooks/azure/dead-letter
+ * List events that failed every retry
+ */
+adminRouter.get('/azure/dead-letter',
+  ensureWebhookService,
+  [
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors);
+    }
+    
+    try {
+      const limit = parseInt(req.query.limit, 10) || 50;
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const [events, queue] = await Promise.all([
+        webhookService.getDeadLetters({ limit, offset }),
+        webhookService.getQueueStatus()
+      ]);
+      
+      res.json({
+        success: true,
+        data: { events, queue },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendQueueError(res, error, 'Failed to list dead-lettered webhook events');
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/azure/dead-letter/replay
+ * Replay every dead-lettered event
+ */
+adminRouter.post('/azure/dead-letter/replay',
+  ensureWebhookService,
+  auditRequest('webhook_events.replay', { target: () => 'all' }),
+  async (req, res) => {
+    try {
+      const replayed = await webhookService.replayDeadLetters();
+      
+      res.json({
+        success: true,
+        message: `Replayed ${replayed} webhook event(s)`,
+        data: { replayed },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendQueueError(res, error, 'Failed to replay webhook events');
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/azure/dead-letter/:eventId/replay
+ * Replay one dead-lettered event
+ */
+adminRouter.post('/azure/dead-letter/:eventId/replay',
+  ensureWebhookService,
+  [param('eventId').isString().trim().notEmpty().withMessage('Event id is required')],
+  auditRequest('webhook_events.replay', { target: (req) => req.params.eventId }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors);
+    }
+    
+    try {
+      const replayed = await webhookService.replayDeadLetters(req.params.eventId);
+      if (!replayed) {
+        return res.status(404).json({
+          success: false,
+          error: `No dead-lettered event ${req.params.eventId}`,
+          code: 'EVENT_NOT_FOUND',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `Replayed webhook event ${req.params.eventId}`,
+        data: { replayed },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      sendQueueError(res, error, 'Failed to replay webhook event');
+    }
+  }
+);
+
+// Export routers and lifecycle functions
 module.exports = {
   router,
-  initializeWebhookService
+  adminRouter,
+  initializeWebhookService,
+  shutdownWebhookService
 };
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * Access Policy Service
+ * Decides whose individual performance a user may see. Roles follow the user_role
+ * enum (admin, manager, developer, viewer): admins see everyone, managers see the
+ * members of product teams they administer in Azure DevOps, everyone else only
+ * themselves.
+ */
+
+const { database } = require('../../config/database');
+const projectRegistry = require('./projectRegistry');
+const logger = require('../../utils/logger').child({ component: 'AccessPolicyService' });
+
+const ROLES = ['admin', 'manager', 'developer', 'viewer'];
+
+// Token role claims that map onto the user_role enum; the first match in ROLES order wins
+const CLAIM_ROLES = {
+  admin: ['admin'],
+  manager: ['manager', 'productmanager', 'teamlead'],
+  developer: ['developer'],
+  viewer: ['viewer']
+};
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const normalizeIdentity = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+/**
+ * Map token role claims onto a user_role
+ * @param {string[]} claims - Roles from the token
+ * @returns {string} Role (viewer when nothing matches)
+ */
+const roleFromClaims = (claims = []) => {
+  const normalized = claims.map(normalizeIdentity);
+  return ROLES.find(role => CLAIM_ROLES[role].some(claim => normalized.includes(claim))) || 'viewer';
+};
+
+class AccessPolicyService {
+  constructor(db = database, registry = projectRegistry) {
+    this.db = db;
+    this.registry = registry;
+    this.azureService = null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Azure DevOps client used to read team membership
+   * @param {AzureDevOpsService} azureService - Client
+   */
+  setAzureService(azureService) {
+    this.azureService = azureService;
+  }
+
+  /**
+   * Role of a user: their provisioned users row when there is one, otherwise the token's
+   * role claims. Rows the work item sync creates for assignees are not provisioned and
+   * only carry the column's default role, so they never override the claims.
+   * @param {object} user - Authenticated user ({ id, email, roles })
+   * @returns {Promise<string>} admin | manager | developer | viewer
+   */
+  async resolveRole(user) {
+    return this.cached(`role:${user.id}`, async () => {
+      if (this.db.isReady()) {
+        const result = await this.db.query(
+          `SELECT role FROM users
+           WHERE is_active = true AND provisioned = true
+           AND (azure_id = $1 OR LOWER(email) = LOWER($2))
+           LIMIT 1`,
+          [user.id, user.email || '']
+        );
+        if (result.rows[0]) {
+          return result.rows[0].role;
+        }
+      }
+      return roleFromClaims(user.roles);
+    });
+  }
+
+  /**
+   * Identities (lower-cased emails and ids) of everyone on the product teams the user administers
+   * @param {object} user - Authenticated user
+   * @returns {Promise<Set<string>>}
+   */
+  async getLedMembers(user) {
+    return this.cached(`led:${user.id}`, async () => {
+      const led = new Set();
+      if (!this.azureService) {
+        logger.warn('No Azure DevOps client registered; managers cannot be matched to teams');
+        return led;
+      }
+
+      const self = [normalizeIdentity(user.email), normalizeIdentity(user.id)];
+      const teams = new Map();
+      for (const entry of this.registry.list({ includeDisabled: false })) {
+        if (entry.azureProject && entry.teamName) {
+          teams.set(`${entry.azureProject}/${entry.teamName}`, entry);
+        }
+      }
+
+      for (const { azureProject, teamName } of teams.values()) {
+        let members;
+        try {
+          members = await this.azureService.getTeamMembership(azureProject, teamName);
+        } catch (error) {
+          logger.warn(`Could not read membership of ${azureProject}/${teamName}: ${error.message}`);
+          continue;
+        }
+
+        const leads = members.some(member => member.isTeamAdmin &&
+          (self.includes(normalizeIdentity(member.email)) || self.includes(normalizeIdentity(member.id))));
+        if (leads) {
+          members.forEach(member => {
+            led.add(normalizeIdentity(member.email));
+            led.add(normalizeIdentity(member.id));
+          });
+        }
+      }
+
+      return led;
+    });
+  }
+
+  /**
+   * Whether a user may see another user's individual performance
+   * @param {object} user - Authenticated user
+   * @param {string} targetUserId - Email or id from the request
+   * @returns {Promise<object>} { allowed, role, reason }
+   */
+  async canViewIndividual(user, targetUserId) {
+    if (!user?.id) {
+      return { allowed: false, role: null, reason: 'Authentication required' };
+    }
+
+    const role = await this.resolveRole(user);
+    const target = normalizeIdentity(targetUserId);
+
+    if (role === 'admin') {
+      return { allowed: true, role };
+    }
+    if ([normalizeIdentity(user.email), normalizeIdentity(user.id)].includes(target)) {
+      return { allowed: true, role };
+    }
+    if (role === 'manager' && (await this.getLedMembers(user)).has(target)) {
+      return { allowed: true, role };
+    }
+
+    return {
+      allowed: false,
+      role,
+      reason: role === 'manager'
+        ? 'You can only view members of teams you lead'
+        : 'You can only view your own performance data'
+    };
+  }
+
+  /**
+   * Everyone whose individual performance the user may see, for filtering stored records
+   * @param {object} user - Authenticated user
+   * @returns {Promise<string[]|null>} Lower-cased emails and ids, or null when the user may see everyone
+   */
+  async getViewableIdentities(user) {
+    const role = await this.resolveRole(user);
+    if (role === 'admin') {
+      return null;
+    }
+
+    const identities = new Set([normalizeIdentity(user.email), normalizeIdentity(user.id)].filter(Boolean));
+    if (role === 'manager') {
+      (await this.getLedMembers(user)).forEach(identity => identity && identities.add(identity));
+    }
+    return [...identities];
+  }
+
+  /**
+   * Narrow a member list to the people the user may see individually
+   * @param {object} user - Authenticated user
+   * @param {Array} members - Members with email and/or id
+   * @returns {Promise<Array>}
+   */
+  async filterViewableMembers(user, members) {
+    const decisions = await Promise.all(
+      members.map(member => this.canViewIndividual(user, member.email || member.id))
+    );
+    return members.filter((member, index) => decisions[index].allowed);
+  }
+
+  /**
+   * Forget cached roles and team leadership (e.g. after a role change)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * @private
+   */
+  async cached(key, load) {
+    const hit = this.cache.get(key);
+    if (hit && Date.now() - hit.timestamp < CACHE_TTL_MS) {
+      return hit.data;
+    }
+
+    const data = await load();
+    this.cache.set(key, { data, timestamp: Date.now() });
+    return data;
+  }
+}
+
+const accessPolicyService = new AccessPolicyService();
+
+module.exports = accessPolicyService;
+module.exports.AccessPolicyService = AccessPolicyService;
+module.exports.roleFromClaims = roleFromClaims;
+module.exports.ROLES = ROLES;
@@ -0,0 +1,294 @@
+/**
+ * Alert Rule Service
+ * Decides which KPI values raise alerts. Admins define rules (metric, scope, operator,
+ * threshold, evaluation window) per product, team or user; the most specific rules for a
+ * metric win, and the thresholds that used to be hard-coded apply when no rule covers it.
+ *
+ * The real-time service calls evaluate() on every metrics refresh. A breach only becomes an
+ * active alert once it has lasted the rule's window, and resolves when the value recovers.
+ */
+
+const alertRuleStore = require('./alertRuleStore');
+const projectRegistry = require('./projectRegistry');
+const logger = require('../../utils/logger').child({ component: 'AlertRuleService' });
+
+// Metrics a rule can watch. alertMetric is the metric name alerts have always carried.
+const METRICS = {
+  deliveryPredictability: { label: 'Delivery predictability', unit: '%', scopes: ['product', 'team'], alertMetric: 'deliveryPredictability' },
+  openBugs: { label: 'Open bugs', unit: '', scopes: ['product', 'team'], alertMetric: 'bugCount' },
+  cycleTime: { label: 'Cycle time', unit: ' days', scopes: ['product', 'team'], alertMetric: 'cycleTime' },
+  completionRate: { label: 'Task completion rate', unit: '%', scopes: ['user'], alertMetric: 'completion_rate' },
+  bugRatio: { label: 'Bug-to-task ratio', unit: '', scopes: ['user'], alertMetric: 'bug_ratio' },
+  userCycleTime: { label: 'Individual cycle time', unit: ' days', scopes: ['user'], alertMetric: 'cycle_time' }
+};
+
+const OPERATORS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold
+};
+
+const OPERATOR_TEXT = { '<': 'below', '<=': 'at or below', '>': 'above', '>=': 'at or above' };
+
+const SEVERITY_TYPES = { high: 'error', medium: 'warning', low: 'info' };
+
+const SEVERITIES = Object.keys(SEVERITY_TYPES);
+
+// Thresholds that applied before rules could be configured
+const DEFAULT_RULES = [
+  { metric: 'deliveryPredictability', scopeType: 'product', operator: '<', threshold: 70, severity: 'medium' },
+  { metric: 'openBugs', scopeType: 'product', operator: '>', threshold: 20, severity: 'high' },
+  { metric: 'cycleTime', scopeType: 'product', operator: '>', threshold: 10, severity: 'medium' },
+  { metric: 'completionRate', scopeType: 'user', operator: '<', threshold: 60, severity: 'medium' },
+  { metric: 'bugRatio', scopeType: 'user', operator: '>', threshold: 0.2, severity: 'high' },
+  { metric: 'userCycleTime', scopeType: 'user', operator: '>', threshold: 10, severity: 'low' }
+].map(rule => ({
+  ...rule,
+  id: `default-${rule.metric}`,
+  name: `Default ${METRICS[rule.metric].label.toLowerCase()} threshold`,
+  scopeId: null,
+  windowMinutes: 0,
+  enabled: true,
+  builtIn: true
+}));
+
+const sameId = (a, b) => Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+
+class AlertRuleService {
+  /**
+   * @param {object} options - { store, registry, cacheTtlMs }
+   */
+  constructor(options = {}) {
+    this.store = options.store || alertRuleStore;
+    this.registry = options.registry || projectRegistry;
+    this.cacheTtlMs = options.cacheTtlMs ?? 60 * 1000;
+    this.cachedRules = null;
+    this.cachedAt = 0;
+    this.states = new Map(); // rule + subject -> { since, active, alert }
+  }
+
+  /**
+   * Metrics, operators and built-in rules, for rule editors
+   */
+  getOptions() {
+    return {
+      metrics: Object.entries(METRICS).map(([id, metric]) => ({ id, label: metric.label, unit: metric.unit.trim(), scopes: metric.scopes })),
+      operators: Object.keys(OPERATORS),
+      severities: SEVERITIES,
+      defaults: DEFAULT_RULES
+    };
+  }
+
+  /**
+   * Stored rules (cached briefly, since every metrics calculation reads them)
+   * @returns {Promise<Array<object>>}
+   */
+  async getRules() {
+    if (!this.store.isAvailable()) {
+      return [];
+    }
+    if (this.cachedRules && Date.now() - this.cachedAt < this.cacheTtlMs) {
+      return this.cachedRules;
+    }
+
+    try {
+      this.cachedRules = await this.store.list({ enabledOnly: true });
+      this.cachedAt = Date.now();
+    } catch (error) {
+      logger.warn(`Could not load alert rules, using ${this.cachedRules ? 'cached' : 'default'} rules: ${error.message}`);
+    }
+    return this.cachedRules || [];
+  }
+
+  /**
+   * Drop cached rules after a rule changed
+   */
+  invalidate() {
+    this.cachedRules = null;
+  }
+
+  /**
+   * Rules that apply to one subject for a metric: user rules for the user, else product rules
+   * for the product, else team rules for its team, else scope-wide rules, else the defaults
+   * @param {Array<object>} rules - Enabled rules
+   * @param {string} metric - Metric id
+   * @param {object} context - { productId, teamName, userId }
+   * @returns {Array<object>}
+   */
+  selectRules(rules, metric, { productId = null, teamName = null, userId = null } = {}) {
+    const candidates = rules.filter(rule => rule.enabled && rule.metric === metric);
+    const levels = METRICS[metric].scopes.includes('user')
+      ? [
+        rule => rule.scopeType === 'user' && sameId(rule.scopeId, userId),
+        rule => rule.scopeType === 'user' && !rule.scopeId
+      ]
+      : [
+        rule => rule.scopeType === 'product' && sameId(rule.scopeId, productId),
+        rule => rule.scopeType === 'team' && sameId(rule.scopeId, teamName),
+        rule => rule.scopeType !== 'user' && !rule.scopeId
+      ];
+
+    for (const level of levels) {
+      const selected = candidates.filter(level);
+      if (selected.length > 0) return selected;
+    }
+    return DEFAULT_RULES.filter(rule => rule.metric === metric);
+  }
+
+  /**
+   * Alerts raised by metric values of one product or user
+   * @param {object} values - Metric id -> current value (null/undefined values are skipped)
+   * @param {object} context - { productId, teamName, userId }
+   * @returns {Promise<Array<object>>} Alerts ({ type, message, severity, metric, value, threshold, ruleId, ... })
+   */
+  async check(values, context = {}) {
+    const rules = await this.getRules();
+    const alerts = [];
+
+    for (const [metric, raw] of Object.entries(values)) {
+      const value = raw === null || raw === undefined ? NaN : Number(raw);
+      if (!METRICS[metric] || Number.isNaN(value)) continue;
+
+      for (const rule of this.selectRules(rules, metric, context)) {
+        if (OPERATORS[rule.operator](value, rule.threshold)) {
+          alerts.push(this.toAlert(rule, value, context));
+        }
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Evaluate the rules for every enabled product and every user with a rule of their own,
+   * and work out which alerts started or stopped
+   * @param {object} metricsCalculator - MetricsCalculatorService
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<object>} { triggered, resolved } alerts
+   */
+  async evaluate(metricsCalculator, now = new Date()) {
+    const rules = await this.getRules();
+    const observed = [];
+    const evaluated = new Set();
+
+    for (const product of this.registry.list({ includeDisabled: false })) {
+      try {
+        const overview = await metricsCalculator.calculateOverviewMetrics({ productId: product.id });
+        observed.push(...(overview.alerts || []));
+        evaluated.add(this.subjectKey({ productId: product.id }));
+      } catch (error) {
+        logger.warn(`Could not evaluate alert rules for ${product.id}: ${error.message}`);
+      }
+    }
+
+    const users = new Set(rules
+      .filter(rule => rule.scopeType === 'user' && rule.scopeId)
+      .map(rule => rule.scopeId.toLowerCase()));
+    for (const userId of users) {
+      try {
+        const individual = await metricsCalculator.calculateIndividualMetrics(userId, {});
+        observed.push(...(individual.alerts || []));
+        evaluated.add(this.subjectKey({ userId }));
+      } catch (error) {
+        logger.warn(`Could not evaluate alert rules for ${userId}: ${error.message}`);
+      }
+    }
+
+    return this.track(observed.filter(alert => alert.ruleId), evaluated, now);
+  }
+
+  /**
+   * Apply evaluation windows to the alerts seen in one evaluation
+   * @param {Array<object>} alerts - Alerts from check()
+   * @param {Set<string>} evaluated - Subjects that were evaluated; alerts of other subjects are left as they are
+   * @param {Date} now - Evaluation time
+   * @returns {object} { triggered, resolved }
+   */
+  track(alerts, evaluated, now = new Date()) {
+    const seen = new Set();
+    const triggered = [];
+
+    for (const alert of alerts) {
+      const key = `${alert.ruleId}|${this.subjectKey(alert)}`;
+      seen.add(key);
+
+      let state = this.states.get(key);
+      if (!state) {
+        state = { since: now, active: false };
+        this.states.set(key, state);
+      }
+      state.alert = { ...alert, since: state.since.toISOString(), triggeredAt: state.alert?.triggeredAt || null };
+
+      if (!state.active && now - state.since >= (alert.windowMinutes || 0) * 60 * 1000) {
+        state.active = true;
+        state.alert.triggeredAt = now.toISOString();
+        triggered.push(state.alert);
+      }
+    }
+
+    const resolved = [];
+    for (const [key, state] of this.states.entries()) {
+      const subject = key.slice(key.indexOf('|') + 1);
+      if (seen.has(key) || !evaluated.has(subject)) continue;
+
+      if (state.active) {
+        resolved.push({ ...state.alert, resolvedAt: now.toISOString() });
+      }
+      this.states.delete(key);
+    }
+
+    if (triggered.length > 0 || resolved.length > 0) {
+      logger.info(`Alert rules: ${triggered.length} triggered, ${resolved.length} resolved`);
+    }
+    return { triggered, resolved };
+  }
+
+  /**
+   * Alerts that have been breached for their whole window and not yet recovered
+   * @returns {Array<object>}
+   */
+  getActiveAlerts() {
+    return [...this.states.values()].filter(state => state.active).map(state => state.alert);
+  }
+
+  /**
+   * @private
+   */
+  subjectKey({ productId = null, userId = null }) {
+    return userId ? `user:${String(userId).toLowerCase()}` : `product:${productId || 'all'}`;
+  }
+
+  /**
+   * @private
+   */
+  toAlert(rule, value, { productId = null, userId = null } = {}) {
+    const metric = METRICS[rule.metric];
+    const shown = Math.round(value * 100) / 100;
+
+    return {
+      type: SEVERITY_TYPES[rule.severity] || 'warning',
+      message: `${metric.label} is ${shown}${metric.unit}, ${OPERATOR_TEXT[rule.operator]} the ${rule.threshold}${metric.unit} threshold`,
+      severity: rule.severity,
+      metric: metric.alertMetric,
+      value: shown,
+      threshold: rule.threshold,
+      operator: rule.operator,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      windowMinutes: rule.windowMinutes || 0,
+      productId: productId && productId !== 'all-projects' ? productId : null,
+      userId
+    };
+  }
+}
+
+// Singleton instance shared by the metrics calculator, real-time service and routes
+const alertRuleService = new AlertRuleService();
+
+module.exports = alertRuleService;
+module.exports.AlertRuleService = AlertRuleService;
+module.exports.METRICS = METRICS;
+module.exports.OPERATORS = Object.keys(OPERATORS);
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
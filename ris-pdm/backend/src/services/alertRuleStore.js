@@ -0,0 +1,151 @@
+/**
+ * Alert Rule Store
+ * Persists admin-defined KPI alert rules (alert_rules)
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'AlertRuleStore' });
+
+const RULE_COLUMNS = `id, name, metric, scope_type, scope_id, operator, threshold, window_minutes,
+  severity, enabled, created_by, updated_by, created_at, updated_at`;
+
+// Columns an admin may change on an existing rule
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  metric: 'metric',
+  scopeType: 'scope_type',
+  scopeId: 'scope_id',
+  operator: 'operator',
+  threshold: 'threshold',
+  windowMinutes: 'window_minutes',
+  severity: 'severity',
+  enabled: 'enabled'
+};
+
+class AlertRuleStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * @param {object} options - { enabledOnly }
+   * @returns {Promise<Array<object>>} Rules ordered by metric and scope
+   */
+  async list({ enabledOnly = false } = {}) {
+    const result = await this.db.query(
+      `SELECT ${RULE_COLUMNS} FROM alert_rules
+       WHERE ($1::boolean = false OR enabled = true)
+       ORDER BY metric, scope_type, scope_id NULLS FIRST, threshold`,
+      [enabledOnly]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const result = await this.db.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = $1`, [id]);
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @param {object} rule - { name, metric, scopeType, scopeId, operator, threshold, windowMinutes, severity, enabled }
+   * @param {string} actor - Email of the admin creating the rule
+   * @returns {Promise<object>} The stored rule
+   */
+  async create(rule, actor) {
+    const result = await this.db.query(
+      `INSERT INTO alert_rules (
+         name, metric, scope_type, scope_id, operator, threshold, window_minutes, severity, enabled,
+         created_by, updated_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10)
+       RETURNING ${RULE_COLUMNS}`,
+      [
+        rule.name,
+        rule.metric,
+        rule.scopeType,
+        rule.scopeId || null,
+        rule.operator,
+        rule.threshold,
+        rule.windowMinutes ?? 0,
+        rule.severity || 'medium',
+        rule.enabled !== false,
+        actor || null
+      ]
+    );
+
+    logger.info(`Alert rule created: ${rule.metric} ${rule.operator} ${rule.threshold} (${rule.scopeType}:${rule.scopeId || '*'})`);
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * @param {object} changes - Any of the fields accepted by create
+   * @returns {Promise<object|null>} The updated rule, or null when it doesn't exist
+   */
+  async update(id, changes, actor) {
+    const assignments = [];
+    const params = [id, actor || null];
+    for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (changes[field] !== undefined) {
+        params.push(field === 'scopeId' ? changes[field] || null : changes[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const result = await this.db.query(
+      `UPDATE alert_rules SET ${[...assignments, 'updated_by = $2'].join(', ')}
+       WHERE id = $1
+       RETURNING ${RULE_COLUMNS}`,
+      params
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a rule was deleted
+   */
+  async remove(id) {
+    const result = await this.db.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      name: row.name,
+      metric: row.metric,
+      scopeType: row.scope_type,
+      scopeId: row.scope_id || null,
+      operator: row.operator,
+      // NUMERIC columns come back from pg as strings
+      threshold: Number(row.threshold),
+      windowMinutes: row.window_minutes,
+      severity: row.severity,
+      enabled: row.enabled === true,
+      createdBy: row.created_by || null,
+      updatedBy: row.updated_by || null,
+      createdAt: timestamp(row.created_at),
+      updatedAt: timestamp(row.updated_at)
+    };
+  }
+}
+
+// Singleton instance shared by the rule engine and routes
+const alertRuleStore = new AlertRuleStore();
+
+module.exports = alertRuleStore;
+module.exports.AlertRuleStore = AlertRuleStore;
@@ -0,0 +1,165 @@
+/**
+ * Audit Service
+ * Records who viewed, exported or changed what in audit.audit_log and serves the
+ * filtered log to admins. Recording never fails the audited request: without a
+ * database (or when the insert fails) the event goes to the application log instead.
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'AuditService' });
+
+const MAX_QUERY_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  ['timestamp', 'Timestamp'],
+  ['action', 'Action'],
+  ['actorEmail', 'User'],
+  ['actorId', 'User ID'],
+  ['target', 'Target'],
+  ['statusCode', 'Status'],
+  ['parameters', 'Parameters'],
+  ['sourceIp', 'Source IP']
+];
+
+/**
+ * Quote a CSV cell; values starting with a formula character are prefixed so
+ * spreadsheets don't evaluate them
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+class AuditService {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the log can be written to and queried
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Record an event
+   * @param {object} event - { action, actor, target, parameters, statusCode, sourceIp }
+   * @param {string} event.action - "<resource>.<verb>", e.g. individual.view, export.pdf
+   * @param {object} event.actor - Authenticated user ({ id, email })
+   */
+  async record({ action, actor = null, target = null, parameters = {}, statusCode = null, sourceIp = null }) {
+    const [resource, verb = 'event'] = action.split('.');
+    const entry = {
+      action,
+      actorId: actor?.id || null,
+      actorEmail: actor?.email || null,
+      target: target === null || target === undefined ? null : String(target),
+      parameters,
+      statusCode,
+      sourceIp
+    };
+
+    if (!this.isAvailable()) {
+      logger.info(`Audit: ${action}`, entry);
+      return;
+    }
+
+    try {
+      await this.db.query(
+        `INSERT INTO audit.audit_log
+           (table_name, operation, action, actor_id, actor_email, target, parameters, status_code, source_ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          resource,
+          verb.toUpperCase().slice(0, 10),
+          action,
+          entry.actorId,
+          entry.actorEmail,
+          entry.target,
+          JSON.stringify(parameters || {}),
+          statusCode,
+          sourceIp
+        ]
+      );
+    } catch (error) {
+      logger.error(`Failed to write audit event ${action}, logging instead: ${error.message}`, entry);
+    }
+  }
+
+  /**
+   * Query application events, newest first
+   * @param {object} filters - { actor, action (exact or "resource.*"), target, from, to, limit, offset }
+   * @returns {Promise<object>} { entries, total }
+   */
+  async query({ actor, action, target, from, to, limit = 100, offset = 0 } = {}) {
+    const conditions = ['action IS NOT NULL'];
+    const params = [];
+    // Every ? in a condition binds the same value
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (actor) add('(LOWER(actor_email) = LOWER(?) OR actor_id = ?)', actor);
+    if (action?.endsWith('.*')) {
+      // "export.*" matches every export
+      add('action LIKE ?', `${action.slice(0, -1)}%`);
+    } else if (action) {
+      add('action = ?', action);
+    }
+    if (target) add('LOWER(target) = LOWER(?)', target);
+    if (from) add('timestamp >= ?', from);
+    if (to) add('timestamp <= ?', to);
+
+    const where = conditions.join(' AND ');
+    const countResult = await this.db.query(`SELECT COUNT(*) AS total FROM audit.audit_log WHERE ${where}`, params);
+
+    const result = await this.db.query(
+      `SELECT id, timestamp, action, actor_id, actor_email, target, parameters, status_code, source_ip
+       FROM audit.audit_log
+       WHERE ${where}
+       ORDER BY timestamp DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Math.min(limit, MAX_QUERY_LIMIT), offset]
+    );
+
+    return {
+      entries: result.rows.map(row => ({
+        id: row.id,
+        timestamp: new Date(row.timestamp).toISOString(),
+        action: row.action,
+        actorId: row.actor_id,
+        actorEmail: row.actor_email,
+        target: row.target,
+        parameters: row.parameters || {},
+        statusCode: row.status_code,
+        sourceIp: row.source_ip
+      })),
+      total: parseInt(countResult.rows[0].total, 10)
+    };
+  }
+
+  /**
+   * Render entries as CSV
+   * @param {Array} entries - Entries from query()
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const header = CSV_COLUMNS.map(([, label]) => csvCell(label)).join(',');
+    const rows = entries.map(entry => CSV_COLUMNS.map(([key]) => csvCell(entry[key])).join(','));
+    return [header, ...rows].join('\r\n');
+  }
+}
+
+const auditService = new AuditService();
+
+module.exports = auditService;
+module.exports.AuditService = AuditService;
+module.exports.MAX_QUERY_LIMIT = MAX_QUERY_LIMIT;
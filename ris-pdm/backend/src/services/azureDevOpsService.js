@@ -11,10 +11,22 @@ const logger = require('../../utils/logger');
 // Using built-in fetch from Node.js 18+
 const fetch = globalThis.fetch;
 const cacheService = require('./cacheService');
+const requestContext = require('../../utils/requestContext');
 const AzureIterationResolver = require('./azureIterationResolver');
 const IterationMappingService = require('./iterationMappingService');
 
+// OAuth service holding per-user tokens; set once at startup so every instance can act as the caller
+let sharedOAuthService = null;
+
 class AzureDevOpsService {
+  /**
+   * Register the OAuth service used for requests made on behalf of a signed-in user
+   * @param {AzureOAuthService|null} oauthService - Shared OAuth service
+   */
+  static useOAuthService(oauthService) {
+    sharedOAuthService = oauthService;
+  }
+
   constructor(config = {}) {
     // Check if Azure DevOps is disabled
     this.isDisabled = process.env.DISABLE_AZURE_DEVOPS === 'true';
@@ -59,6 +71,7 @@ class AzureDevOpsService {
       teamCapacity: 900,   // 15 minutes (seconds)
       metrics: 300,        // 5 minutes (seconds)
       teamMembers: 1800,   // 30 minutes (seconds)
+      workItemRevisions: 86400, // 24 hours (seconds) - keyed by rev, so never stale
     };
     
     // Initialize iteration resolver and mapping service
@@ -120,27 +133,41 @@ class AzureDevOpsService {
     }
   }
 
+  /**
+   * Azure DevOps identity this call runs under: the configured user for OAuth
+   * instances, otherwise the signed-in caller if they connected their account
+   * @returns {string|null} User id, or null for the PAT service identity
+   */
+  getActingUserId() {
+    return this.authType === 'OAuth' ? this.userId : requestContext.getAzureUserId();
+  }
+
   /**
    * Get authentication headers for current request
    * @returns {Promise<object>} Authentication headers
    */
   async getAuthHeaders() {
-    if (this.authType === 'PAT') {
-      return this.authHeaders;
-    } else if (this.authType === 'OAuth') {
-      // Get valid OAuth access token
-      const accessToken = await this.oauthService.getValidAccessToken(this.userId);
-      
+    const userId = this.getActingUserId();
+    const oauthService = this.oauthService || sharedOAuthService;
+
+    if (userId && oauthService) {
+      // Get valid OAuth access token (refreshed per user when close to expiry)
+      const accessToken = await oauthService.getValidAccessToken(userId);
+
       if (!accessToken) {
         throw new Error('OAuth authentication failed: No valid access token');
       }
-      
+
       return {
         ...this.authHeaders,
         'Authorization': `Bearer ${accessToken}`
       };
     }
-    
+
+    if (this.authType === 'PAT') {
+      return this.authHeaders;
+    }
+
     throw new Error(`Unsupported authentication type: ${this.authType}`);
   }
 
@@ -232,7 +259,7 @@ class AzureDevOpsService {
     if (!this.cacheService) {
       return null;
     }
-    const key = this.cacheService.generateKey(namespace, identifier, params);
+    const key = requestContext.scopeKey(this.cacheService.generateKey(namespace, identifier, params), this.getActingUserId());
     return await this.cacheService.get(key);
   }
 
@@ -248,7 +275,7 @@ class AzureDevOpsService {
     if (!this.cacheService) {
       return;
     }
-    const key = this.cacheService.generateKey(namespace, identifier, params);
+    const key = requestContext.scopeKey(this.cacheService.generateKey(namespace, identifier, params), this.getActingUserId());
     return await this.cacheService.set(key, data, { ttl });
   }
 
@@ -269,6 +296,7 @@ class AzureDevOpsService {
       assignedTo = null,
       customQuery = null,
       maxResults = 1000,
+      top = null, // Ask Azure DevOps itself for at most this many ids
       projectName = null // New parameter for project-specific queries
     } = queryOptions;
 
@@ -343,7 +371,7 @@ class AzureDevOpsService {
 
       // Use specific project if provided, otherwise use default
       const targetProject = projectName || this.project;
-      const endpoint = `/${encodeURIComponent(targetProject)}/_apis/wit/wiql?api-version=${this.apiVersion}`;
+      const endpoint = `/${encodeURIComponent(targetProject)}/_apis/wit/wiql?${top ? `$top=${top}&` : ''}api-version=${this.apiVersion}`;
       const response = await this.makeRequest(endpoint, {
         method: 'POST',
         body: { query: wiqlQuery }
@@ -521,6 +549,58 @@ class AzureDevOpsService {
     }
   }
 
+  /**
+   * Get the full revision history of a work item
+   * Each revision is a complete field snapshot, oldest first.
+   * @param {number} workItemId - Work item ID
+   * @param {string} projectName - Project name for work item context
+   * @param {number} currentRev - Latest known revision (System.Rev); used to key the cache
+   * @returns {Promise<Array>} Revisions as { id, rev, fields }
+   */
+  async getWorkItemRevisions(workItemId, projectName = null, currentRev = null) {
+    if (this.isDisabled) {
+      return [];
+    }
+
+    const targetProject = projectName || this.project;
+    const cacheParams = { project: targetProject, rev: currentRev || 'latest' };
+    if (currentRev) {
+      const cached = await this.getFromCache('workItemRevisions', workItemId, cacheParams);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    try {
+      const pageSize = 200;
+      const revisions = [];
+      let skip = 0;
+
+      // The revisions endpoint caps $top at 200, so page until a short page comes back
+      for (;;) {
+        const endpoint = `/${encodeURIComponent(targetProject)}/_apis/wit/workItems/${workItemId}/revisions?$top=${pageSize}&$skip=${skip}&api-version=${this.apiVersion}`;
+        const response = await this.makeRequest(endpoint);
+        const page = response.value || [];
+        revisions.push(...page.map(revision => ({
+          id: revision.id,
+          rev: revision.rev,
+          fields: revision.fields || {}
+        })));
+
+        if (page.length < pageSize) break;
+        skip += pageSize;
+      }
+
+      const ttl = currentRev ? this.cacheTTL.workItemRevisions : this.cacheTTL.workItemDetails;
+      await this.setCache('workItemRevisions', workItemId, cacheParams, revisions, ttl);
+      return revisions;
+
+    } catch (error) {
+      logger.error(`Error fetching revisions for work item ${workItemId}:`, error);
+      throw new Error(`Failed to fetch work item revisions: ${error.message}`);
+    }
+  }
+
   /**
    * Get sprint/iteration data for a team
    * @param {string} teamName - Team name (optional, uses project default if not provided)
@@ -673,22 +753,25 @@ class AzureDevOpsService {
    * Get team capacity for a specific iteration
    * @param {string} teamName - Team name
    * @param {string} iterationId - Iteration ID
+   * @param {string} projectName - Project name (defaults to the configured project)
    * @returns {Promise<object>} Team capacity data
    */
-  async getTeamCapacity(teamName, iterationId) {
+  async getTeamCapacity(teamName, iterationId, projectName = null) {
     if (!teamName || !iterationId) {
       throw new Error('Team name and iteration ID are required');
     }
 
+    const targetProject = projectName || this.project;
+
     // Check enhanced cache
-    const cached = await this.getFromCache('teamCapacity', teamName, { iterationId });
+    const cached = await this.getFromCache('teamCapacity', teamName, { iterationId, project: targetProject });
     if (cached) {
       logger.debug('Returning cached team capacity');
       return cached;
     }
 
     try {
-      const endpoint = `/${encodeURIComponent(this.project)}/${encodeURIComponent(teamName)}/_apis/work/teamsettings/iterations/${encodeURIComponent(iterationId)}/capacities?api-version=${this.apiVersion}`;
+      const endpoint = `/${encodeURIComponent(targetProject)}/${encodeURIComponent(teamName)}/_apis/work/teamsettings/iterations/${encodeURIComponent(iterationId)}/capacities?api-version=${this.apiVersion}`;
       const response = await this.makeRequest(endpoint);
       
       // Calculate total capacity and utilization
@@ -709,7 +792,7 @@ class AzureDevOpsService {
       };
 
       // Cache the result
-      await this.setCache('teamCapacity', teamName, { iterationId }, result, this.cacheTTL.teamCapacity);
+      await this.setCache('teamCapacity', teamName, { iterationId, project: targetProject }, result, this.cacheTTL.teamCapacity);
       return result;
       
     } catch (error) {
@@ -718,6 +801,40 @@ class AzureDevOpsService {
     }
   }
 
+  /**
+   * Get days off that apply to the whole team in an iteration (holidays, team events)
+   * @param {string} teamName - Team name
+   * @param {string} iterationId - Iteration ID
+   * @param {string} projectName - Project name (defaults to the configured project)
+   * @returns {Promise<Array>} Date ranges as { start, end }
+   */
+  async getTeamDaysOff(teamName, iterationId, projectName = null) {
+    if (!teamName || !iterationId) {
+      throw new Error('Team name and iteration ID are required');
+    }
+
+    const targetProject = projectName || this.project;
+
+    const cached = await this.getFromCache('teamDaysOff', teamName, { iterationId, project: targetProject });
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const endpoint = `/${encodeURIComponent(targetProject)}/${encodeURIComponent(teamName)}/_apis/work/teamsettings/iterations/${encodeURIComponent(iterationId)}/teamdaysoff?api-version=${this.apiVersion}`;
+      const response = await this.makeRequest(endpoint);
+      const daysOff = response.daysOff || [];
+
+      await this.setCache('teamDaysOff', teamName, { iterationId, project: targetProject }, daysOff, this.cacheTTL.teamCapacity);
+      return daysOff;
+
+    } catch (error) {
+      // Capacity is still meaningful without team holidays, so don't fail the caller
+      logger.warn(`Could not fetch team days off for ${teamName}: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Calculate utilization percentage for a team member
    * @param {object} member - Team member capacity data
@@ -797,6 +914,7 @@ class AzureDevOpsService {
     
     return {
       id: fields['System.Id'],
+      rev: azureWorkItem.rev ?? fields['System.Rev'],
       title: fields['System.Title'],
       type: fields['System.WorkItemType'],
       assignee: fields['System.AssignedTo']?.displayName || 'Unassigned',
@@ -1136,6 +1254,81 @@ class AzureDevOpsService {
     }
   }
 
+  /**
+   * Get the members of one team, including who administers it
+   * @param {string} projectName - Azure DevOps project
+   * @param {string} teamName - Team name
+   * @returns {Promise<Array>} Members ({ id, name, email, isTeamAdmin })
+   */
+  async getTeamMembership(projectName, teamName) {
+    const cached = await this.getFromCache('teamMembers', teamName, { project: projectName, scope: 'membership' });
+    if (cached) {
+      return cached;
+    }
+
+    const endpoint = `/_apis/projects/${encodeURIComponent(projectName)}/teams/${encodeURIComponent(teamName)}/members?api-version=${this.apiVersion}`;
+    const response = await this.makeRequest(endpoint);
+
+    const members = (response.value || []).map(member => ({
+      id: member.identity.id,
+      name: member.identity.displayName || member.identity.uniqueName,
+      email: member.identity.uniqueName,
+      isTeamAdmin: member.isTeamAdmin === true
+    }));
+
+    await this.setCache('teamMembers', teamName, { project: projectName, scope: 'membership' }, members, this.cacheTTL.teamMembers);
+    return members;
+  }
+
+  /**
+   * Ids of the work items linked to a pull request
+   * @param {string} projectName - Azure DevOps project
+   * @param {string} repositoryId - Repository id or name
+   * @param {number} pullRequestId - Pull request id
+   * @returns {Promise<Array<number>>}
+   */
+  async getPullRequestWorkItemIds(projectName, repositoryId, pullRequestId) {
+    const endpoint = `/${encodeURIComponent(projectName)}/_apis/git/repositories/${encodeURIComponent(repositoryId)}/pullRequests/${pullRequestId}/workitems?api-version=${this.apiVersion}`;
+    const response = await this.makeRequest(endpoint);
+    return (response.value || []).map(ref => parseInt(ref.id, 10)).filter(Number.isInteger);
+  }
+
+  /**
+   * Ids of the work items associated with a build
+   * @param {string} projectName - Azure DevOps project
+   * @param {number} buildId - Build id
+   * @returns {Promise<Array<number>>}
+   */
+  async getBuildWorkItemIds(projectName, buildId) {
+    const endpoint = `/${encodeURIComponent(projectName)}/_apis/build/builds/${buildId}/workitems?api-version=${this.apiVersion}`;
+    const response = await this.makeRequest(endpoint);
+    return (response.value || []).map(ref => parseInt(ref.id, 10)).filter(Number.isInteger);
+  }
+
+  /**
+   * Line coverage published by a build
+   * @param {string} projectName - Azure DevOps project
+   * @param {number} buildId - Build id
+   * @returns {Promise<number|null>} Covered lines in percent, or null when the build published no coverage
+   */
+  async getBuildCoverage(projectName, buildId) {
+    const endpoint = `/${encodeURIComponent(projectName)}/_apis/test/codecoverage?buildId=${buildId}&api-version=${this.apiVersion}`;
+    const response = await this.makeRequest(endpoint);
+
+    let covered = 0;
+    let total = 0;
+    for (const data of response.coverageData || []) {
+      for (const stat of data.coverageStats || []) {
+        if (/^lines?$/i.test(stat.label)) {
+          covered += stat.covered || 0;
+          total += stat.total || 0;
+        }
+      }
+    }
+
+    return total > 0 ? Math.round((covered / total) * 10000) / 100 : null;
+  }
+
   /**
    * Get all team members from the configured Azure DevOps project
    * @returns {Promise<Array>} Array of team member objects
@@ -1289,11 +1482,14 @@ class AzureDevOpsService {
    * @param {number} workItemId - Work item ID to update
    * @param {object} updates - Fields to update
    * @param {string} projectName - Optional project name
+   * @param {object} options - { rev }: only apply the update if the work item is still at this revision
    * @returns {Promise<object>} Updated work item
+   * @throws {Error} With code REVISION_CONFLICT when the work item has moved past options.rev
    */
-  async updateWorkItem(workItemId, updates, projectName = null) {
+  async updateWorkItem(workItemId, updates, projectName = null, options = {}) {
     const project = projectName || this.project;
     const startTime = performance.now();
+    const { rev } = options;
 
     try {
       // Prepare the JSON Patch document for work item updates
@@ -1404,6 +1600,11 @@ class AzureDevOpsService {
         throw new Error('No valid fields provided for update');
       }
 
+      // Azure DevOps rejects the whole patch when the test operation fails
+      if (rev !== undefined && rev !== null) {
+        patchDocument.unshift({ op: 'test', path: '/rev', value: rev });
+      }
+
       const endpoint = `/${encodeURIComponent(project)}/_apis/wit/workitems/${workItemId}?api-version=${this.apiVersion}`;
       
       const response = await this.makeRequest(endpoint, {
@@ -1431,7 +1632,11 @@ class AzureDevOpsService {
 
     } catch (error) {
       logger.error(`Failed to update work item ${workItemId}: ${error.message}`);
-      throw new Error(`Failed to update work item ${workItemId}: ${error.message}`);
+      const updateError = new Error(`Failed to update work item ${workItemId}: ${error.message}`);
+      if (rev !== undefined && rev !== null && /API error: (409|412)\b|TF26071|\/rev/i.test(error.message)) {
+        updateError.code = 'REVISION_CONFLICT';
+      }
+      throw updateError;
     }
   }
 
@@ -2292,7 +2497,7 @@ class AzureDevOpsService {
    * @returns {Promise<Array>} User's work items
    */
   async getUserWorkItems(userId, options = {}) {
-    const cacheKey = `user-workitems-${userId}-${JSON.stringify(options)}`;
+    const cacheKey = requestContext.scopeKey(`user-workitems-${userId}-${JSON.stringify(options)}`, this.getActingUserId());
     const cached = this.cache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < 5 * 60 * 1000) {
       return cached.data;
@@ -2388,7 +2593,7 @@ class AzureDevOpsService {
    * @returns {Promise<object>} User capacity information
    */
   async getUserCapacityData(userId, sprintPath, projectName) {
-    const cacheKey = `user-capacity-${userId}-${sprintPath}-${projectName}`;
+    const cacheKey = requestContext.scopeKey(`user-capacity-${userId}-${sprintPath}-${projectName}`, this.getActingUserId());
     const cached = this.cache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < 10 * 60 * 1000) {
       return cached.data;
@@ -2478,7 +2683,7 @@ class AzureDevOpsService {
    */
   async getUserPerformanceHistory(userId, options = {}) {
     const { timeRange = '6months', productId } = options;
-    const cacheKey = `user-history-${userId}-${timeRange}-${productId || 'all'}`;
+    const cacheKey = requestContext.scopeKey(`user-history-${userId}-${timeRange}-${productId || 'all'}`, this.getActingUserId());
     const cached = this.cache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < 15 * 60 * 1000) {
       return cached.data;
@@ -2576,11 +2781,12 @@ class AzureDevOpsService {
   }
 
   /**
-   * Get accessible projects for the current user/PAT
+   * Get projects the caller can access: their own Azure DevOps account when
+   * connected through OAuth, otherwise the PAT identity
    * @returns {Promise<Array>} List of accessible projects
    */
   async getAccessibleProjects() {
-    const cacheKey = 'accessible-projects';
+    const cacheKey = requestContext.scopeKey('accessible-projects', this.getActingUserId());
     const cached = this.cache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < 30 * 60 * 1000) {
       return cached.data;
@@ -6,10 +6,12 @@
  * 
  * Features:
  * - Work item event processing (created, updated, deleted)
+ * - Pull request, build and deployment events linked to work items (DORA metrics)
  * - Real-time cache invalidation
  * - WebSocket broadcasting for live updates
  * - Event filtering and validation
  * - Conflict resolution for concurrent updates
+ * - Durable queue (Redis) with retries, dead-lettering and replay
  * 
  * @author RIS Performance Dashboard Management
  * @version 1.0.0
@@ -31,14 +33,26 @@ class AzureDevOpsWebhookService extends EventEmitter {
       'workitem.updated',
       'workitem.deleted',
       'workitem.restored',
-      'workitem.commented'
+      'workitem.commented',
+      'git.pullrequest.created',
+      'git.pullrequest.merged',
+      'build.complete',
+      'ms.vss-release.deployment-completed-event'
     ]);
     
+    // Release environments whose deployments count towards the DORA metrics
+    this.productionEnvironmentPattern = new RegExp(
+      options.productionEnvironmentPattern || process.env.DORA_PRODUCTION_ENVIRONMENT_PATTERN || 'prod',
+      'i'
+    );
+    
     // Services
     this.cacheService = options.cacheService;
     this.webSocketService = options.webSocketService;
     this.azureDevOpsService = options.azureDevOpsService;
     this.realtimeService = options.realtimeService;
+    this.deliveryEventStore = options.deliveryEventStore;
+    this.notificationService = options.notificationService;
     
     // Event processing configuration
     this.eventProcessingConfig = {
@@ -48,10 +62,19 @@ class AzureDevOpsWebhookService extends EventEmitter {
       retryDelay: 1000 // ms
     };
     
-    // Event queue for batch processing
+    // Event queue for batch processing (used when no durable queue is available)
     this.eventQueue = [];
     this.processingTimer = null;
     
+    // Durable queue (WebhookEventQueue); retries use maxRetries/retryDelay above
+    this.durableQueue = options.durableQueue || null;
+    if (this.durableQueue) {
+      this.durableQueue.start(event => this.processQueuedEvent(event), {
+        attempts: this.eventProcessingConfig.maxRetries + 1,
+        backoffDelay: this.eventProcessingConfig.retryDelay
+      });
+    }
+    
     // Statistics
     this.stats = {
       eventsReceived: 0,
@@ -165,20 +188,27 @@ class AzureDevOpsWebhookService extends EventEmitter {
         };
       }
       
-      // Update statistics
-      this.stats.eventsReceived++;
-      this.stats.lastEventTime = new Date().toISOString();
-      this.stats.eventsByType[payload.eventType] = (this.stats.eventsByType[payload.eventType] || 0) + 1;
-      
-      // Add to processing queue
-      this.eventQueue.push({
+      const event = {
         ...payload,
         receivedAt: Date.now(),
         id: this.generateEventId(payload)
-      });
+      };
+      
+      const { duplicate, durable } = await this.enqueueEvent(event);
+      if (duplicate) {
+        this.logger.info(`Ignoring duplicate webhook event ${event.id}`, { eventType: payload.eventType });
+        return {
+          success: true,
+          duplicate: true,
+          eventType: payload.eventType,
+          eventId: event.id
+        };
+      }
       
-      // Start batch processing if not already running
-      this.scheduleBatchProcessing();
+      // Update statistics
+      this.stats.eventsReceived++;
+      this.stats.lastEventTime = new Date().toISOString();
+      this.stats.eventsByType[payload.eventType] = (this.stats.eventsByType[payload.eventType] || 0) + 1;
       
       const processingTime = Date.now() - startTime;
       this.stats.processingTimes.push(processingTime);
@@ -190,7 +220,8 @@ class AzureDevOpsWebhookService extends EventEmitter {
       
       this.logger.info('Webhook event queued for processing', {
         eventType: payload.eventType,
-        eventId: payload.id,
+        eventId: event.id,
+        durable,
         processingTime: `${processingTime}ms`,
         queueSize: this.eventQueue.length
       });
@@ -198,7 +229,8 @@ class AzureDevOpsWebhookService extends EventEmitter {
       return {
         success: true,
         eventType: payload.eventType,
-        eventId: payload.id,
+        eventId: event.id,
+        durable,
         queuedAt: Date.now(),
         queueSize: this.eventQueue.length
       };
@@ -215,6 +247,44 @@ class AzureDevOpsWebhookService extends EventEmitter {
     }
   }
 
+  /**
+   * Queue an event on the durable queue, or in memory when Redis is unreachable
+   * @param {Object} event - Event with id
+   * @returns {Promise<Object>} { duplicate, durable }
+   */
+  async enqueueEvent(event) {
+    if (this.durableQueue?.isReady()) {
+      try {
+        const { duplicate } = await this.durableQueue.enqueue(event);
+        return { duplicate, durable: true };
+      } catch (error) {
+        this.logger.warn(`Durable webhook queue unavailable, processing event ${event.id} in memory: ${error.message}`);
+      }
+    } else if (this.durableQueue) {
+      this.logger.warn(`Durable webhook queue not connected, processing event ${event.id} in memory`);
+    }
+    
+    if (this.eventQueue.some(queued => queued.id === event.id)) {
+      return { duplicate: true, durable: false };
+    }
+    
+    this.eventQueue.push(event);
+    this.scheduleBatchProcessing();
+    return { duplicate: false, durable: false };
+  }
+
+  /**
+   * Process an event taken off the durable queue. Errors propagate so the queue
+   * retries the event and eventually dead-letters it.
+   * @param {Object} event - Event payload
+   * @returns {Promise<Object>} Processing result
+   */
+  async processQueuedEvent(event) {
+    const result = await this.processEvent(event);
+    this.stats.eventsProcessed++;
+    return result;
+  }
+
   /**
    * Schedule batch processing of queued events
    */
@@ -288,6 +358,16 @@ class AzureDevOpsWebhookService extends EventEmitter {
         case 'workitem.commented':
           result = await this.handleWorkItemCommented(event);
           break;
+        case 'git.pullrequest.created':
+        case 'git.pullrequest.merged':
+          result = await this.handlePullRequestEvent(event);
+          break;
+        case 'build.complete':
+          result = await this.handleBuildCompleted(event);
+          break;
+        case 'ms.vss-release.deployment-completed-event':
+          result = await this.handleDeploymentCompleted(event);
+          break;
         default:
           throw new Error(`Unsupported event type: ${event.eventType}`);
       }
@@ -297,6 +377,7 @@ class AzureDevOpsWebhookService extends EventEmitter {
         eventType: event.eventType,
         eventId: event.id,
         workItemId: result.workItemId,
+        workItemIds: result.workItemIds,
         processingTime: `${processingTime}ms`
       });
       
@@ -449,6 +530,206 @@ class AzureDevOpsWebhookService extends EventEmitter {
     };
   }
 
+  /**
+   * Handle pull request created and merged events
+   * @param {Object} event - Event payload
+   */
+  async handlePullRequestEvent(event) {
+    const pullRequest = event.resource;
+    const azureProject = pullRequest?.repository?.project?.name;
+    
+    if (!pullRequest?.pullRequestId || !azureProject) {
+      throw new Error('Unable to extract pull request from event');
+    }
+    
+    // The merge event fires on merge attempts too; only a completed merge counts
+    const merged = event.eventType === 'git.pullrequest.merged' &&
+      (pullRequest.status === 'completed' || pullRequest.mergeStatus === 'succeeded');
+    const action = merged ? 'merged' : 'created';
+    
+    const workItemIds = await this.findLinkedWorkItems(`pull request ${pullRequest.pullRequestId}`,
+      () => this.azureDevOpsService.getPullRequestWorkItemIds(azureProject, pullRequest.repository.id, pullRequest.pullRequestId));
+    
+    const record = {
+      eventId: event.id,
+      kind: 'pull_request',
+      azureProject,
+      sourceId: pullRequest.pullRequestId,
+      repository: pullRequest.repository.name,
+      title: pullRequest.title,
+      status: merged ? 'merged' : pullRequest.status || 'active',
+      startedAt: pullRequest.creationDate,
+      completedAt: merged ? pullRequest.closedDate || event.createdDate : null,
+      workItemIds,
+      actor: pullRequest.createdBy?.uniqueName
+    };
+    
+    await this.recordDeliveryEvent(record);
+    this.emit(merged ? 'pullRequestMerged' : 'pullRequestCreated', record);
+    
+    return {
+      pullRequestId: pullRequest.pullRequestId,
+      action,
+      title: pullRequest.title,
+      workItemIds
+    };
+  }
+
+  /**
+   * Handle build completed event; successful builds also report their line coverage
+   * @param {Object} event - Event payload
+   */
+  async handleBuildCompleted(event) {
+    const build = event.resource;
+    const azureProject = build?.project?.name;
+    
+    if (!build?.id || !azureProject) {
+      throw new Error('Unable to extract build from event');
+    }
+    
+    const workItemIds = await this.findLinkedWorkItems(`build ${build.id}`,
+      () => this.azureDevOpsService.getBuildWorkItemIds(azureProject, build.id));
+    
+    let coverage = null;
+    if (['succeeded', 'partiallySucceeded'].includes(build.result) && this.azureDevOpsService?.getBuildCoverage) {
+      try {
+        coverage = await this.azureDevOpsService.getBuildCoverage(azureProject, build.id);
+      } catch (error) {
+        this.logger.warn(`Could not read coverage of build ${build.id}: ${error.message}`);
+      }
+    }
+    
+    const record = {
+      eventId: event.id,
+      kind: 'build',
+      azureProject,
+      sourceId: build.id,
+      repository: build.repository?.name || build.definition?.name,
+      title: build.buildNumber,
+      status: build.result || build.status || 'completed',
+      startedAt: build.startTime || build.queueTime,
+      completedAt: build.finishTime || event.createdDate,
+      coverage,
+      workItemIds,
+      actor: build.requestedFor?.uniqueName
+    };
+    
+    await this.recordDeliveryEvent(record);
+    this.emit('buildCompleted', record);
+    
+    return {
+      buildId: build.id,
+      action: 'completed',
+      title: build.buildNumber,
+      result: record.status,
+      coverage,
+      workItemIds
+    };
+  }
+
+  /**
+   * Handle release deployment completed event. Deployments are linked to the work
+   * items of the builds they ship.
+   * @param {Object} event - Event payload
+   */
+  async handleDeploymentCompleted(event) {
+    const { deployment, environment, release, project } = event.resource || {};
+    const azureProject = project?.name || release?.projectReference?.name;
+    const releaseId = deployment?.release?.id || release?.id;
+    const environmentName = environment?.name || deployment?.releaseEnvironment?.name;
+    
+    if (!releaseId || !environmentName || !azureProject) {
+      throw new Error('Unable to extract deployment from event');
+    }
+    
+    const buildIds = (release?.artifacts || deployment?.release?.artifacts || [])
+      .filter(artifact => artifact.type === 'Build')
+      .map(artifact => String(artifact.definitionReference?.version?.id))
+      .filter(id => id && id !== 'undefined');
+    const workItemIds = await this.findDeployedWorkItems(azureProject, buildIds);
+    
+    const record = {
+      eventId: event.id,
+      kind: 'deployment',
+      azureProject,
+      sourceId: `${releaseId}:${environment?.id || environmentName}:${deployment?.attempt || 1}`,
+      title: release?.name || deployment?.release?.name,
+      status: deployment?.deploymentStatus || environment?.status || 'undefined',
+      environment: environmentName,
+      isProduction: this.productionEnvironmentPattern.test(environmentName),
+      startedAt: deployment?.startedOn || deployment?.queuedOn,
+      completedAt: deployment?.completedOn || event.createdDate,
+      workItemIds,
+      actor: deployment?.requestedFor?.uniqueName
+    };
+    
+    await this.recordDeliveryEvent(record);
+    this.emit('deploymentCompleted', record);
+    
+    return {
+      releaseId,
+      action: 'deployed',
+      title: record.title,
+      environment: environmentName,
+      result: record.status,
+      workItemIds
+    };
+  }
+
+  /**
+   * Look up linked work items; without them the event is still worth recording
+   * @param {string} label - What is being looked up, for logging
+   * @param {Function} lookup - async () => work item ids
+   * @returns {Promise<Array<number>>}
+   */
+  async findLinkedWorkItems(label, lookup) {
+    if (!this.azureDevOpsService) {
+      return [];
+    }
+    
+    try {
+      return await lookup();
+    } catch (error) {
+      this.logger.warn(`Could not read work items linked to ${label}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Work items shipped by a deployment: those of its build artifacts, from recorded
+   * build events where possible
+   * @param {string} azureProject - Azure DevOps project
+   * @param {Array<string>} buildIds - Build artifact versions
+   * @returns {Promise<Array<number>>}
+   */
+  async findDeployedWorkItems(azureProject, buildIds) {
+    const known = this.deliveryEventStore?.isAvailable()
+      ? await this.deliveryEventStore.getBuildWorkItemIds(azureProject, buildIds)
+      : new Map();
+    
+    const ids = new Set();
+    for (const buildId of buildIds) {
+      const workItemIds = known.get(buildId) || await this.findLinkedWorkItems(`build ${buildId}`,
+        () => this.azureDevOpsService.getBuildWorkItemIds(azureProject, buildId));
+      workItemIds.forEach(id => ids.add(id));
+    }
+    return [...ids];
+  }
+
+  /**
+   * Persist a pull request, build or deployment event. Store errors propagate so the
+   * queue retries the event.
+   * @param {Object} record - Delivery event
+   */
+  async recordDeliveryEvent(record) {
+    if (!this.deliveryEventStore?.isAvailable()) {
+      this.logger.warn(`Delivery event store unavailable; ${record.kind} ${record.sourceId} not recorded`);
+      return;
+    }
+    
+    await this.deliveryEventStore.record(record);
+  }
+
   /**
    * Extract work item data from webhook event
    * @param {Object} event - Webhook event
@@ -587,6 +868,11 @@ class AzureDevOpsWebhookService extends EventEmitter {
    * @returns {string} Unique event ID
    */
   generateEventId(event) {
+    // Azure DevOps gives every notification an id that stays the same on redelivery
+    if (event.id) {
+      return String(event.id);
+    }
+    
     const eventString = JSON.stringify({
       eventType: event.eventType,
       workItemId: event.resource?.id,
@@ -780,18 +1066,81 @@ class AzureDevOpsWebhookService extends EventEmitter {
   }
 
   /**
-   * Clear all queued events and reset statistics
+   * Clear all queued events (dead-lettered events are kept for replay)
    */
-  clearQueue() {
+  async clearQueue() {
     this.eventQueue.length = 0;
     if (this.processingTimer) {
       clearTimeout(this.processingTimer);
       this.processingTimer = null;
     }
     
+    if (this.durableQueue) {
+      await this.durableQueue.empty();
+    }
+    
     this.logger.info('Event queue cleared');
   }
 
+  /**
+   * Queue mode and job counts
+   * @returns {Promise<Object>} { mode, connected, waiting, active, delayed, deadLettered, ... }
+   */
+  async getQueueStatus() {
+    if (!this.durableQueue) {
+      return { mode: 'memory', waiting: this.eventQueue.length };
+    }
+    
+    if (!this.durableQueue.isReady()) {
+      return { mode: 'durable', connected: false, waiting: this.eventQueue.length };
+    }
+    
+    return { mode: 'durable', connected: true, ...(await this.durableQueue.getCounts()) };
+  }
+
+  /**
+   * Dead-lettered events
+   * @param {Object} options - { offset, limit }
+   * @returns {Promise<Array>}
+   */
+  async getDeadLetters(options) {
+    this.requireDurableQueue();
+    return this.durableQueue.listDeadLetters(options);
+  }
+
+  /**
+   * Replay one dead-lettered event, or all of them when no id is given
+   * @param {string} eventId - Event id (optional)
+   * @returns {Promise<number>} Number of events replayed
+   */
+  async replayDeadLetters(eventId = null) {
+    this.requireDurableQueue();
+    if (eventId) {
+      return (await this.durableQueue.replay(eventId)) ? 1 : 0;
+    }
+    return this.durableQueue.replayAll();
+  }
+
+  /**
+   * @private
+   */
+  requireDurableQueue() {
+    if (!this.durableQueue?.isReady()) {
+      const error = new Error('Durable webhook queue is not available');
+      error.code = 'QUEUE_UNAVAILABLE';
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the durable queue, letting in-flight events finish
+   */
+  async shutdown() {
+    if (this.durableQueue) {
+      await this.durableQueue.close();
+    }
+  }
+
   /**
    * Reset statistics
    */
@@ -900,6 +1249,7 @@ class AzureDevOpsWebhookService extends EventEmitter {
     }
     
     // Process new alerts
+    const raisedAlerts = [];
     newAlerts.forEach(alert => {
       // Check if this type of alert is already active
       const existingAlert = this.alerts.active.find(a => a.type === alert.type);
@@ -907,8 +1257,13 @@ class AzureDevOpsWebhookService extends EventEmitter {
         this.alerts.active.push(alert);
         this.alerts.history.push({...alert, action: 'raised'});
         this.logger.warn(`Alert raised: ${alert.message}`);
+        raisedAlerts.push(alert);
       }
     });
+
+    if (this.notificationService) {
+      this.notificationService.notify(raisedAlerts, { source: 'webhook' });
+    }
     
     // Clear resolved alerts
     const alertTypesToKeep = new Set(newAlerts.map(a => a.type));
@@ -14,6 +14,7 @@ const {
   mapFrontendProjectToAzure,
   findCurrentIterationForProject 
 } = require('../config/projectMapping');
+const projectRegistry = require('./projectRegistry');
 // Using built-in fetch from Node.js 18+
 const fetch = globalThis.fetch;
 
@@ -37,20 +38,24 @@ class AzureIterationResolver {
       'DaaS {n}',
       'Delivery {n}'
     ];
-    
-    // Project-specific iteration patterns
-    this.projectPatterns = {
-      'Product - Data as a Service': {
-        patterns: ['Delivery {n}', 'Sprint {n}', 'DaaS {n}'],
-        // Allow optional suffixes like "Delivery 12 – DaaS" by matching the start only
-        regex: /^(Delivery|Sprint|DaaS)\s+(\d+)(\b|\s|\W|$)/i
-      },
-      'Product - Partner Management Platform': {
-        patterns: ['Delivery {n}', 'Sprint {n}'],
-        // Allow optional suffixes after the number
-        regex: /^(Delivery|Sprint)\s+(\d+)(\b|\s|\W|$)/i
-      }
-    };
+  }
+
+  /**
+   * Project-specific iteration patterns, keyed by Azure DevOps project and
+   * read from the product registry on each access
+   */
+  get projectPatterns() {
+    const patterns = {};
+    const rules = projectRegistry.getIterationRulesByAzureProject();
+
+    Object.entries(rules).forEach(([azureProject, config]) => {
+      patterns[azureProject] = {
+        patterns: [config.format || `${config.prefix || 'Sprint'} {n}`],
+        regex: config.pattern
+      };
+    });
+
+    return patterns;
   }
 
   /**
@@ -2,21 +2,28 @@
  * Azure DevOps OAuth 2.0 Authentication Service
  * 
  * Provides OAuth 2.0 authentication flow for Azure DevOps integration.
- * Implements automatic token refresh and secure token management.
+ * Tokens are held per signed-in user, refreshed automatically and persisted
+ * encrypted through the OAuth token store.
  * 
  * @author RIS Performance Dashboard Management
  * @version 1.0.0
  */
 
 const crypto = require('crypto');
+const oauthTokenStore = require('./oauthTokenStore');
 const logger = require('../../utils/logger').child({ component: 'AzureOAuthService' });
 
+// Refresh this long before expiry so a token never lapses mid-request
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+// How long an authorization state stays redeemable
+const STATE_TTL_MS = 10 * 60 * 1000;
+
 /**
  * Azure DevOps OAuth 2.0 Service
- * Handles authentication flow and token management
+ * Handles authentication flow and per-user token management
  */
 class AzureOAuthService {
-  constructor(config = {}) {
+  constructor(config = {}, tokenStore = oauthTokenStore) {
     this.clientId = config.clientId || process.env.AZURE_OAUTH_CLIENT_ID;
     this.clientSecret = config.clientSecret || process.env.AZURE_OAUTH_CLIENT_SECRET;
     this.redirectUri = config.redirectUri || process.env.AZURE_OAUTH_REDIRECT_URI;
@@ -26,10 +33,11 @@ class AzureOAuthService {
     this.authBaseUrl = 'https://app.vssps.visualstudio.com/oauth2/authorize';
     this.tokenUrl = 'https://app.vssps.visualstudio.com/oauth2/token';
     
-    // Token storage
-    this.accessToken = null;
-    this.refreshToken = null;
-    this.tokenExpiry = null;
+    // Token storage: decrypted tokens by user id, backed by the encrypted store
+    this.tokenStore = tokenStore;
+    this.tokens = new Map();
+    this.refreshing = new Map();
+    this.pendingStates = new Map();
     
     this.validateConfig();
   }
@@ -58,9 +66,10 @@ class AzureOAuthService {
   /**
    * Generate OAuth authorization URL
    * @param {string} state - Optional state parameter for CSRF protection
+   * @param {string} userId - User the resulting tokens will belong to
    * @returns {string} Authorization URL
    */
-  getAuthorizationUrl(state = null) {
+  getAuthorizationUrl(state = null, userId = null) {
     if (!this.isConfigured()) {
       throw new Error('OAuth not configured. Please set AZURE_OAUTH_CLIENT_ID, AZURE_OAUTH_CLIENT_SECRET, and AZURE_OAUTH_REDIRECT_URI');
     }
@@ -73,6 +82,11 @@ class AzureOAuthService {
       redirect_uri: this.redirectUri
     });
 
+    if (userId) {
+      this.pruneStates();
+      this.pendingStates.set(params.get('state'), { userId, expiresAt: Date.now() + STATE_TTL_MS });
+    }
+
     const authUrl = `${this.authBaseUrl}?${params.toString()}`;
     
     logger.info('Generated OAuth authorization URL', {
@@ -85,109 +99,217 @@ class AzureOAuthService {
   }
 
   /**
-   * Exchange authorization code for access token
+   * Drop authorization states that were never redeemed
+   */
+  pruneStates() {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingStates) {
+      if (pending.expiresAt <= now) {
+        this.pendingStates.delete(state);
+      }
+    }
+  }
+
+  /**
+   * Redeem an authorization state; it must have been issued to the same user
+   * @param {string} state - State returned by Azure DevOps
+   * @param {string} userId - User completing the flow
+   */
+  consumeState(state, userId) {
+    const pending = state ? this.pendingStates.get(state) : null;
+    if (state) {
+      this.pendingStates.delete(state);
+    }
+
+    if (!pending || pending.userId !== userId || pending.expiresAt <= Date.now()) {
+      throw new Error('Invalid state parameter - possible CSRF attack');
+    }
+  }
+
+  /**
+   * Exchange authorization code for access token and store it for the user
    * @param {string} authorizationCode - Authorization code from OAuth callback
-   * @param {string} state - State parameter for validation
-   * @returns {Promise<Object>} Token response
+   * @param {string} state - State parameter issued by getAuthorizationUrl
+   * @param {Object} user - Authenticated user ({ id, email })
+   * @returns {Promise<Object>} Token data
    */
-  async exchangeCodeForToken(authorizationCode, state = null) {
+  async exchangeCodeForToken(authorizationCode, state, user) {
     if (!this.isConfigured()) {
       throw new Error('OAuth not configured');
     }
 
+    this.consumeState(state, user.id);
+
+    let response;
     try {
-      const tokenData = {
+      response = await this.makeTokenRequest({
         client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
         client_assertion: this.clientSecret,
         grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
         assertion: authorizationCode,
         redirect_uri: this.redirectUri
-      };
-
-      const response = await this.makeTokenRequest(tokenData);
-      
-      // Store tokens
-      this.accessToken = response.access_token;
-      this.refreshToken = response.refresh_token;
-      this.tokenExpiry = new Date(Date.now() + (response.expires_in * 1000));
-
-      logger.info('OAuth token exchange successful', {
-        expiresIn: response.expires_in,
-        tokenType: response.token_type,
-        scope: response.scope
       });
-
-      return {
-        success: true,
-        accessToken: this.accessToken,
-        refreshToken: this.refreshToken,
-        expiresIn: response.expires_in,
-        tokenType: response.token_type,
-        scope: response.scope
-      };
-
     } catch (error) {
       logger.error('OAuth token exchange failed:', error.message);
-      throw new Error(`Token exchange failed: ${error.message}`);
+      throw new Error(`OAuth token exchange failed: ${error.message}`);
     }
+
+    const tokenData = this.buildTokenData(response);
+    await this.storeTokens(user.id, tokenData, { email: user.email });
+
+    logger.info('OAuth token exchange successful', {
+      userId: user.id,
+      expiresIn: response.expires_in,
+      tokenType: response.token_type,
+      scope: response.scope
+    });
+
+    return tokenData;
+  }
+
+  /**
+   * Normalise a token endpoint response
+   * @param {Object} response - Token endpoint response
+   * @param {string} previousRefreshToken - Kept when the response doesn't rotate it
+   * @returns {Object} Token data
+   */
+  buildTokenData(response, previousRefreshToken = null) {
+    const receivedAt = Date.now();
+
+    return {
+      access_token: response.access_token,
+      refresh_token: response.refresh_token || previousRefreshToken,
+      token_type: response.token_type,
+      scope: response.scope,
+      expires_in: response.expires_in,
+      received_at: new Date(receivedAt).toISOString(),
+      expires_at: new Date(receivedAt + (response.expires_in * 1000)).toISOString()
+    };
   }
 
   /**
-   * Get valid access token (refresh if needed)
-   * @returns {Promise<string>} Valid access token
+   * Keep a user's tokens in memory and persist them encrypted when the store is available
+   * @param {string} userId - Authenticated user id
+   * @param {Object} tokenData - Token data
+   * @param {Object} options - { email }
+   * @returns {Promise<void>} Resolves once persisted
    */
-  async getValidAccessToken() {
-    // Check if token exists and is still valid
-    if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-      return this.accessToken;
+  storeTokens(userId, tokenData, { email = null } = {}) {
+    this.tokens.set(userId, { ...tokenData, stored_at: new Date().toISOString() });
+
+    if (!this.tokenStore?.isAvailable()) {
+      return Promise.resolve();
     }
 
-    // Try to refresh if we have a refresh token
-    if (this.refreshToken) {
-      try {
-        await this.refreshAccessToken();
-        return this.accessToken;
-      } catch (error) {
-        logger.warn('Token refresh failed, authentication required');
-        throw new Error('Authentication required: Token expired and refresh failed');
-      }
+    return this.tokenStore.save(userId, tokenData, { email }).catch(error => {
+      logger.warn(`Failed to persist Azure DevOps tokens for ${userId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Tokens held in memory for a user
+   * @param {string} userId - Authenticated user id
+   * @returns {Object|null} Token data
+   */
+  getStoredTokens(userId) {
+    return this.tokens.get(userId) || null;
+  }
+
+  /**
+   * Tokens for a user, reading the encrypted store on a miss (e.g. after a restart)
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<Object|null>} Token data
+   */
+  async loadTokens(userId) {
+    const tokens = this.getStoredTokens(userId);
+    if (tokens || !this.tokenStore?.isAvailable()) {
+      return tokens;
+    }
+
+    const stored = await this.tokenStore.load(userId);
+    if (stored) {
+      this.tokens.set(userId, stored);
+    }
+    return stored;
+  }
+
+  /**
+   * Whether a token is expired or about to expire
+   * @param {Object} tokenData - Token data
+   * @returns {boolean} True when it should be refreshed
+   */
+  isTokenExpired(tokenData) {
+    if (!tokenData?.expires_at) {
+      return false;
+    }
+    return new Date(tokenData.expires_at).getTime() - EXPIRY_MARGIN_MS <= Date.now();
+  }
+
+  /**
+   * Get a valid access token for a user, refreshing it if needed
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<string|null>} Access token, or null when the user must sign in again
+   */
+  async getValidAccessToken(userId) {
+    const tokens = await this.loadTokens(userId);
+    if (!tokens) {
+      return null;
     }
 
-    throw new Error('Authentication required: No valid tokens available');
+    if (!this.isTokenExpired(tokens)) {
+      return tokens.access_token;
+    }
+
+    if (!tokens.refresh_token) {
+      await this.revokeToken(userId);
+      return null;
+    }
+
+    // Concurrent requests for the same user share one refresh; a refresh token is single-use
+    if (!this.refreshing.has(userId)) {
+      const refresh = this.refreshAccessToken(tokens.refresh_token)
+        .then(async tokenData => {
+          await this.storeTokens(userId, tokenData);
+          return tokenData.access_token;
+        })
+        .catch(async error => {
+          logger.warn(`Token refresh failed for ${userId}, authentication required: ${error.message}`);
+          await this.revokeToken(userId);
+          return null;
+        })
+        .finally(() => this.refreshing.delete(userId));
+
+      this.refreshing.set(userId, refresh);
+    }
+
+    return this.refreshing.get(userId);
   }
 
   /**
    * Refresh access token using refresh token
-   * @returns {Promise<Object>} New token response
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} New token data
    */
-  async refreshAccessToken() {
-    if (!this.refreshToken) {
+  async refreshAccessToken(refreshToken) {
+    if (!refreshToken) {
       throw new Error('No refresh token available');
     }
 
     try {
-      const tokenData = {
+      const response = await this.makeTokenRequest({
         client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
         client_assertion: this.clientSecret,
         grant_type: 'refresh_token',
-        assertion: this.refreshToken,
+        assertion: refreshToken,
         redirect_uri: this.redirectUri
-      };
-
-      const response = await this.makeTokenRequest(tokenData);
-      
-      // Update tokens
-      this.accessToken = response.access_token;
-      this.refreshToken = response.refresh_token || this.refreshToken;
-      this.tokenExpiry = new Date(Date.now() + (response.expires_in * 1000));
+      });
 
       logger.info('OAuth token refresh successful');
-      return { success: true, accessToken: this.accessToken };
+      return this.buildTokenData(response, refreshToken);
 
     } catch (error) {
       logger.error('OAuth token refresh failed:', error.message);
-      this.clearTokens();
-      throw new Error(`Token refresh failed: ${error.message}`);
+      throw new Error(`OAuth token refresh failed: ${error.message}`);
     }
   }
 
@@ -217,25 +339,43 @@ class AzureOAuthService {
   }
 
   /**
-   * Clear stored tokens
+   * Forget a user's tokens, in memory and in the store
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<boolean>} True once removed
    */
-  clearTokens() {
-    this.accessToken = null;
-    this.refreshToken = null;
-    this.tokenExpiry = null;
-    logger.info('OAuth tokens cleared');
+  async revokeToken(userId) {
+    this.tokens.delete(userId);
+
+    if (this.tokenStore?.isAvailable()) {
+      await this.tokenStore.remove(userId);
+    }
+
+    logger.info(`OAuth tokens cleared for ${userId}`);
+    return true;
   }
 
   /**
-   * Get current token status
-   * @returns {Object} Token status information
+   * Drop every token and pending state held in memory (persisted tokens are kept)
    */
-  getTokenStatus() {
+  clearAllTokens() {
+    this.tokens.clear();
+    this.refreshing.clear();
+    this.pendingStates.clear();
+  }
+
+  /**
+   * Get token status for a user
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<Object>} Token status information
+   */
+  async getTokenStatus(userId) {
+    const tokens = await this.loadTokens(userId);
+
     return {
-      hasAccessToken: !!this.accessToken,
-      hasRefreshToken: !!this.refreshToken,
-      tokenExpiry: this.tokenExpiry,
-      isExpired: this.tokenExpiry ? new Date() >= this.tokenExpiry : null,
+      hasAccessToken: !!tokens?.access_token,
+      hasRefreshToken: !!tokens?.refresh_token,
+      tokenExpiry: tokens?.expires_at || null,
+      isExpired: tokens?.expires_at ? new Date(tokens.expires_at) <= new Date() : null,
       isConfigured: this.isConfigured(),
       scopes: this.scopes
     };
@@ -246,18 +386,15 @@ class AzureOAuthService {
    * @returns {Object} Health status
    */
   healthCheck() {
-    const status = this.getTokenStatus();
-    
     return {
       service: 'AzureOAuthService',
-      status: status.isConfigured ? 'configured' : 'not_configured',
-      authentication: status.hasAccessToken ? 'authenticated' : 'not_authenticated',
-      tokenExpiry: status.tokenExpiry,
-      isExpired: status.isExpired,
-      scopes: status.scopes,
+      status: this.isConfigured() ? 'configured' : 'not_configured',
+      connectedUsers: this.tokens.size,
+      persistence: this.tokenStore?.isAvailable() ? 'encrypted_store' : 'memory',
+      scopes: this.scopes,
       timestamp: new Date().toISOString()
     };
   }
 }
 
-module.exports = AzureOAuthService;
\ No newline at end of file
+module.exports = AzureOAuthService;
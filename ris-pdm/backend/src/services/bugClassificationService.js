@@ -95,6 +95,7 @@ class BugClassificationService {
         states: options.states || null,
         iterationPath: options.iterationPath,
         assignedTo: options.assignedTo,
+        projectName: options.projectName || null,
         maxResults: options.maxResults || 1000
       };
 
@@ -111,7 +112,7 @@ class BugClassificationService {
 
       // Get detailed information for all bugs
       const bugIds = bugs.workItems.map(bug => bug.id);
-      const detailedBugs = await this.azureService.getWorkItemDetails(bugIds);
+      const detailedBugs = await this.azureService.getWorkItemDetails(bugIds, null, bugQuery.projectName);
       
       // Classify each bug
       const classifiedBugs = detailedBugs.workItems.map(bug => 
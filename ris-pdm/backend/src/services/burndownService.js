@@ -0,0 +1,200 @@
+/**
+ * Burndown Service
+ * Rebuilds a sprint burndown by replaying each work item's revision history
+ * day by day, so scope changes and re-estimates show up on the day they happened.
+ */
+
+const { buildTimeline, fetchRevisionHistories, fieldsAt } = require('../utils/revisionHistory');
+const logger = require('../../utils/logger').child({ component: 'BurndownService' });
+
+const DONE_STATES = ['Closed', 'Done', 'Resolved', 'Completed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(value.toFixed(1));
+
+const METRICS = {
+  storyPoints: {
+    unit: 'pts',
+    value: (fields) => Number(
+      fields['Microsoft.VSTS.Scheduling.StoryPoints'] ??
+      fields['Microsoft.VSTS.Scheduling.Effort'] ??
+      0
+    ) || 0
+  },
+  remainingWork: {
+    unit: 'hrs',
+    value: (fields) => Number(fields['Microsoft.VSTS.Scheduling.RemainingWork'] ?? 0) || 0
+  }
+};
+
+class BurndownService {
+  constructor(azureDevOpsService) {
+    this.azureService = azureDevOpsService;
+  }
+
+  /**
+   * Calculate the burndown for a sprint from revision history
+   * @param {object} options - Calculation options
+   * @param {object} options.sprint - { path, startDate, endDate }
+   * @param {string} options.projectName - Azure DevOps project name
+   * @param {string} options.metric - storyPoints | remainingWork
+   * @param {Date} options.today - Days after this are left blank
+   * @returns {Promise<Array>} One point per sprint day
+   */
+  async calculate({ sprint, projectName, metric = 'storyPoints', today = new Date() }) {
+    const histories = await this.getSprintHistories(sprint, projectName);
+    return this.replay(histories, sprint, { metric, today });
+  }
+
+  /**
+   * Fetch revisions for every work item that was ever planned into the sprint
+   * @private
+   */
+  async getSprintHistories(sprint, projectName) {
+    // EVER also catches items that were moved out of the sprint (scope removed)
+    const query = `
+      SELECT [System.Id]
+      FROM WorkItems
+      WHERE [System.TeamProject] = '${projectName.replace(/'/g, "''")}'
+      AND EVER [System.IterationPath] = '${sprint.path.replace(/'/g, "''")}'
+    `.trim();
+
+    const response = await this.azureService.getWorkItems({
+      projectName,
+      customQuery: query,
+      maxResults: 5000
+    });
+    const ids = (response.workItems || []).map(wi => wi.id);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const details = await this.azureService.getWorkItemDetails(ids, null, projectName);
+    const histories = [];
+
+    for (const { workItem, revisions, error } of await fetchRevisionHistories(this.azureService, details.workItems || [], projectName)) {
+      if (error) {
+        logger.warn(`Skipping work item ${workItem.id} in burndown: ${error.message}`);
+        continue;
+      }
+      histories.push({ id: workItem.id, revisions });
+    }
+
+    return histories;
+  }
+
+  /**
+   * Replay revision histories into daily burndown points
+   * @param {Array} histories - [{ id, revisions: [{ rev, fields }] }], revisions oldest first
+   * @param {object} sprint - { path, startDate, endDate }
+   * @param {object} options - { metric, today }
+   * @returns {Array} Burndown points
+   */
+  replay(histories, sprint, { metric = 'storyPoints', today = new Date() } = {}) {
+    const metricConfig = METRICS[metric] || METRICS.storyPoints;
+    const start = new Date(sprint.startDate);
+    const end = new Date(sprint.endDate);
+    const duration = Math.max(1, Math.ceil((end - start) / DAY_MS));
+
+    const timelines = histories.map(history => buildTimeline(history.revisions));
+
+    const snapshotAt = (timeline, time) => {
+      const fields = fieldsAt(timeline, time);
+      if (!fields) return null;
+
+      const iterationPath = fields['System.IterationPath'] || '';
+      const inSprint = fields['System.State'] !== 'Removed' &&
+        (iterationPath === sprint.path || iterationPath.startsWith(`${sprint.path}\\`));
+
+      return {
+        inSprint,
+        done: DONE_STATES.includes(fields['System.State']),
+        value: metricConfig.value(fields),
+        completedWork: Number(fields['Microsoft.VSTS.Scheduling.CompletedWork'] ?? 0) || 0
+      };
+    };
+
+    const points = [];
+    let previous = null;
+    let baseline = 0;
+
+    for (let day = 0; day <= duration; day++) {
+      const dayStart = new Date(start.getTime() + day * DAY_MS);
+      const endOfDay = dayStart.getTime() + DAY_MS - 1;
+      const point = {
+        day: `Day ${day}`,
+        dayNumber: day,
+        date: dayStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+        isoDate: dayStart.toISOString().split('T')[0],
+        idealRemaining: 0,
+        actualRemaining: null,
+        completed: null,
+        totalScope: null,
+        scopeAdded: null,
+        scopeRemoved: null
+      };
+
+      if (dayStart.getTime() <= today.getTime()) {
+        const snapshots = timelines.map(timeline => snapshotAt(timeline, endOfDay));
+        let remaining = 0;
+        let scope = 0;
+        let added = 0;
+        let removed = 0;
+
+        snapshots.forEach((snapshot, i) => {
+          const inSprint = Boolean(snapshot?.inSprint);
+          if (inSprint) {
+            if (!snapshot.done) remaining += snapshot.value;
+            scope += metric === 'remainingWork'
+              ? snapshot.value + snapshot.completedWork
+              : snapshot.value;
+          }
+
+          if (!previous) return;
+          const before = previous[i];
+          const wasInSprint = Boolean(before?.inSprint);
+
+          if (inSprint && !wasInSprint) {
+            added += snapshot.value;
+          } else if (!inSprint && wasInSprint) {
+            removed += before.value;
+          } else if (inSprint && wasInSprint && metric === 'storyPoints') {
+            // Re-estimating planned work changes scope; burning remaining hours does not
+            const delta = snapshot.value - before.value;
+            if (delta > 0) added += delta;
+            if (delta < 0) removed += -delta;
+          }
+        });
+
+        if (day === 0) {
+          baseline = remaining;
+        }
+
+        point.actualRemaining = round(remaining);
+        point.totalScope = round(scope);
+        point.completed = round(Math.max(0, scope - remaining));
+        point.scopeAdded = round(added);
+        point.scopeRemoved = round(removed);
+        previous = snapshots;
+      }
+
+      points.push(point);
+    }
+
+    // Ideal line burns the day-0 commitment evenly over the sprint
+    points.forEach(point => {
+      point.idealRemaining = round(Math.max(0, baseline - (baseline * point.dayNumber / duration)));
+    });
+
+    return points;
+  }
+
+  /**
+   * Display unit for a burndown metric
+   */
+  getUnit(metric) {
+    return (METRICS[metric] || METRICS.storyPoints).unit;
+  }
+}
+
+module.exports = BurndownService;
@@ -403,8 +403,9 @@ class CacheService {
   async shutdown() {
     logger.info('🔄 Shutting down cache service...');
     
-    // Clear in-memory cache
+    // Clear in-memory cache and stop its expiry timer
     this.memoryCache.flushAll();
+    this.memoryCache.close();
     
     // Disconnect Redis
     await redisConfig.disconnect();
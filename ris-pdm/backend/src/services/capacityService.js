@@ -0,0 +1,140 @@
+/**
+ * Capacity Service
+ * Compares each team member's available hours in a delivery with the remaining
+ * work assigned to them, the way sprint planning reads Azure DevOps' capacity tab.
+ */
+
+// Members above this share of their available hours are flagged as over-allocated
+const OVER_ALLOCATION_PERCENT = 100;
+// Below this share there is room to pull in more work
+const UNDER_ALLOCATION_PERCENT = 80;
+
+const CLOSED_STATES = ['Closed', 'Done', 'Removed', 'Resolved'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const memberKey = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+class CapacityService {
+  /**
+   * Allocation for every member with capacity, plus open work nobody has capacity for
+   * @param {Array<object>} members - { id, displayName, uniqueName, imageUrl, activities: [{ name, capacityPerDay }], workingDays, daysOff }
+   * @param {Array<object>} workItems - Work items in the delivery (remainingWork in hours)
+   * @returns {object} { members, unplanned, totals }
+   */
+  allocate(members = [], workItems = []) {
+    const remainingByAssignee = this.remainingByAssignee(workItems);
+    const claimed = new Set();
+
+    const allocations = members.map(member => {
+      const keys = [member.uniqueName, member.displayName].map(memberKey).filter(Boolean);
+      const assigned = keys.map(key => remainingByAssignee.get(key)).find(Boolean);
+      if (assigned) claimed.add(assigned);
+
+      const capacityPerDay = (member.activities || []).reduce((sum, activity) => sum + (activity.capacityPerDay || 0), 0);
+      const availableHours = round1(capacityPerDay * member.workingDays);
+      const remainingWork = round1(assigned?.remainingWork || 0);
+
+      return {
+        id: member.id,
+        displayName: member.displayName,
+        uniqueName: member.uniqueName,
+        imageUrl: member.imageUrl || null,
+        capacityPerDay,
+        workingDays: member.workingDays,
+        daysOff: member.daysOff || 0,
+        activities: (member.activities || [])
+          .filter(activity => activity.capacityPerDay > 0)
+          .map(activity => ({
+            name: activity.name || 'Unassigned',
+            capacityPerDay: activity.capacityPerDay,
+            availableHours: round1(activity.capacityPerDay * member.workingDays)
+          })),
+        availableHours,
+        remainingWork,
+        openItems: assigned?.items || 0,
+        ...this.classify(availableHours, remainingWork)
+      };
+    });
+
+    const unplanned = [...new Set(remainingByAssignee.values())]
+      .filter(entry => !claimed.has(entry) && entry.remainingWork > 0)
+      .map(entry => ({ assignee: entry.assignee, remainingWork: round1(entry.remainingWork), openItems: entry.items }))
+      .sort((a, b) => b.remainingWork - a.remainingWork);
+
+    const availableHours = round1(allocations.reduce((sum, member) => sum + member.availableHours, 0));
+    const remainingWork = round1(allocations.reduce((sum, member) => sum + member.remainingWork, 0));
+
+    return {
+      members: allocations.sort((a, b) => this.sortKey(b) - this.sortKey(a)),
+      unplanned,
+      totals: {
+        members: allocations.length,
+        availableHours,
+        remainingWork,
+        unplannedWork: round1(unplanned.reduce((sum, entry) => sum + entry.remainingWork, 0)),
+        overAllocated: allocations.filter(member => member.status === 'over').length,
+        ...this.classify(availableHours, remainingWork)
+      }
+    };
+  }
+
+  /**
+   * Most allocated first; work with no hours left at the top, no capacity and no work last
+   * @private
+   */
+  sortKey(member) {
+    if (member.allocation !== null) return member.allocation;
+    return member.status === 'over' ? Infinity : -1;
+  }
+
+  /**
+   * Allocation percentage and over/under status for available vs. remaining hours
+   * @private
+   */
+  classify(availableHours, remainingWork) {
+    const balance = round1(availableHours - remainingWork);
+
+    if (availableHours <= 0) {
+      // No capacity left: any remaining work is over-allocation
+      return { allocation: null, balance, status: remainingWork > 0 ? 'over' : 'none' };
+    }
+
+    const allocation = Math.round((remainingWork / availableHours) * 100);
+    let status = 'balanced';
+    if (allocation > OVER_ALLOCATION_PERCENT) status = 'over';
+    else if (allocation < UNDER_ALLOCATION_PERCENT) status = 'under';
+
+    return { allocation, balance, status };
+  }
+
+  /**
+   * Open remaining work grouped by assignee, keyed by email and display name
+   * @private
+   */
+  remainingByAssignee(workItems) {
+    const byAssignee = new Map();
+
+    for (const item of workItems) {
+      if (CLOSED_STATES.includes(item.state) || !item.assignee || item.assignee === 'Unassigned') continue;
+
+      const emailKey = memberKey(item.assigneeEmail);
+      const nameKey = memberKey(item.assignee);
+      let entry = (emailKey && byAssignee.get(emailKey)) || byAssignee.get(nameKey);
+      if (!entry) {
+        entry = { assignee: item.assignee, remainingWork: 0, items: 0 };
+      }
+
+      entry.remainingWork += Number(item.remainingWork) || 0;
+      entry.items++;
+      if (emailKey) byAssignee.set(emailKey, entry);
+      byAssignee.set(nameKey, entry);
+    }
+
+    return byAssignee;
+  }
+}
+
+module.exports = CapacityService;
+module.exports.OVER_ALLOCATION_PERCENT = OVER_ALLOCATION_PERCENT;
+module.exports.UNDER_ALLOCATION_PERCENT = UNDER_ALLOCATION_PERCENT;
@@ -0,0 +1,170 @@
+/**
+ * Cumulative Flow Service
+ * Counts work items per state for each day of a date range by replaying
+ * revision history. Items untouched since before the range keep their
+ * current state, so only recently changed items need their revisions fetched.
+ */
+
+const { buildTimeline, fetchRevisionHistories, fieldsAt } = require('../utils/revisionHistory');
+const logger = require('../../utils/logger').child({ component: 'CumulativeFlowService' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Workflow order for stacking (earliest state at the bottom of the legend)
+const STATE_ORDER = [
+  'New', 'Proposed', 'To Do', 'Approved', 'Committed',
+  'Active', 'In Progress', 'Resolved', 'Done', 'Closed'
+];
+const FINISHED_STATES = ['Done', 'Closed', 'Resolved'];
+
+class CumulativeFlowService {
+  constructor(azureDevOpsService) {
+    this.azureService = azureDevOpsService;
+  }
+
+  /**
+   * Calculate daily state counts
+   * @param {object} options - Calculation options
+   * @param {string} options.projectName - Azure DevOps project name
+   * @param {string} options.startDate - First day (YYYY-MM-DD)
+   * @param {string} options.endDate - Last day (YYYY-MM-DD)
+   * @param {Array<string>} options.workItemTypes - Work item types to include
+   * @param {string} options.areaPath - Optional area path filter
+   * @returns {Promise<object>} { states, data }
+   */
+  async calculate({ projectName, startDate, endDate, workItemTypes = ['User Story', 'Bug', 'Task', 'Feature'], areaPath = null }) {
+    const query = this.buildQuery(projectName, { startDate, endDate, workItemTypes, areaPath });
+    const response = await this.azureService.getWorkItems({
+      projectName,
+      customQuery: query,
+      maxResults: 5000
+    });
+
+    const ids = (response.workItems || []).map(wi => wi.id);
+    if (ids.length === 0) {
+      return { states: [], data: this.buildDays(startDate, endDate).map(day => ({ date: day.date })) };
+    }
+
+    const details = await this.azureService.getWorkItemDetails(ids, null, projectName);
+    const rangeStart = new Date(`${startDate}T00:00:00Z`).getTime();
+    const histories = [];
+    const changed = [];
+
+    for (const item of details.workItems || []) {
+      if (new Date(item.changedDate).getTime() < rangeStart) {
+        // No revisions inside the range: the current state held for the whole range
+        histories.push({ id: item.id, createdAt: new Date(item.createdDate).getTime(), state: item.state });
+      } else {
+        changed.push(item);
+      }
+    }
+
+    for (const { workItem, revisions, error } of await fetchRevisionHistories(this.azureService, changed, projectName)) {
+      if (error) {
+        logger.warn(`Skipping work item ${workItem.id} in cumulative flow: ${error.message}`);
+        continue;
+      }
+      histories.push({ id: workItem.id, timeline: buildTimeline(revisions) });
+    }
+
+    return this.aggregate(histories, startDate, endDate);
+  }
+
+  /**
+   * WIQL for items that could be in any non-removed state during the range
+   * @private
+   */
+  buildQuery(projectName, { startDate, endDate, workItemTypes, areaPath }) {
+    const escape = (value) => String(value).replace(/'/g, "''");
+    const typeFilter = workItemTypes.map(type => `'${escape(type)}'`).join(', ');
+    const finished = FINISHED_STATES.map(state => `'${state}'`).join(', ');
+    const areaFilter = areaPath ? `AND [System.AreaPath] UNDER '${escape(areaPath)}'` : '';
+
+    return `
+      SELECT [System.Id]
+      FROM WorkItems
+      WHERE [System.TeamProject] = '${escape(projectName)}'
+      AND [System.WorkItemType] IN (${typeFilter})
+      AND [System.CreatedDate] <= '${endDate}'
+      AND (
+        [System.ChangedDate] >= '${startDate}'
+        OR [System.State] NOT IN (${finished}, 'Removed')
+      )
+      ${areaFilter}
+    `.trim();
+  }
+
+  /**
+   * Count states per day
+   * @param {Array} histories - { timeline } for replayed items or { createdAt, state } for static ones
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {object} { states, data }
+   */
+  aggregate(histories, startDate, endDate) {
+    const days = this.buildDays(startDate, endDate);
+    const seenStates = new Set();
+
+    const data = days.map(day => {
+      const counts = {};
+
+      for (const history of histories) {
+        let state;
+        if (history.timeline) {
+          state = fieldsAt(history.timeline, day.endOfDay)?.['System.State'];
+        } else if (history.createdAt <= day.endOfDay) {
+          state = history.state;
+        }
+
+        if (!state || state === 'Removed') continue;
+        counts[state] = (counts[state] || 0) + 1;
+        seenStates.add(state);
+      }
+
+      return { date: day.date, ...counts };
+    });
+
+    const states = this.orderStates([...seenStates]);
+    // Fill gaps so every series is continuous for stacked charts
+    data.forEach(point => {
+      states.forEach(state => {
+        if (point[state] === undefined) point[state] = 0;
+      });
+    });
+
+    return { states, data };
+  }
+
+  /**
+   * Order states by workflow position; unknown states sit before the finished ones
+   * @private
+   */
+  orderStates(states) {
+    const rank = (state) => {
+      const index = STATE_ORDER.indexOf(state);
+      if (index >= 0) return index;
+      return STATE_ORDER.indexOf('Resolved') - 0.5;
+    };
+    return states.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  }
+
+  /**
+   * @private
+   */
+  buildDays(startDate, endDate) {
+    const start = new Date(`${startDate}T00:00:00Z`).getTime();
+    const end = new Date(`${endDate}T00:00:00Z`).getTime();
+    const days = [];
+
+    for (let time = start; time <= end; time += DAY_MS) {
+      days.push({
+        date: new Date(time).toISOString().split('T')[0],
+        endOfDay: time + DAY_MS - 1
+      });
+    }
+
+    return days;
+  }
+}
+
+module.exports = CumulativeFlowService;
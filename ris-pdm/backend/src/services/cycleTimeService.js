@@ -0,0 +1,154 @@
+/**
+ * Cycle Time Service
+ * Measures per-item cycle time from the first transition into an active state
+ * to the final close, and lead time from creation to the final close, using
+ * each work item's revision history.
+ */
+
+const { buildTimeline, fetchRevisionHistories, stateTransitions } = require('../utils/revisionHistory');
+const { calculatePercentiles } = require('../utils/dataTransformers');
+const logger = require('../../utils/logger').child({ component: 'CycleTimeService' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Agile uses Active/Closed; Scrum and Basic processes use Committed/In Progress/Doing and Done
+const ACTIVE_STATES = ['Active', 'Committed', 'In Progress', 'Doing'];
+const CLOSED_STATES = ['Closed', 'Done'];
+
+class CycleTimeService {
+  constructor(azureDevOpsService) {
+    this.azureService = azureDevOpsService;
+  }
+
+  /**
+   * Cycle and lead time for every item closed within a date range
+   * @param {object} options - Calculation options
+   * @param {string} options.projectName - Azure DevOps project name
+   * @param {string} options.startDate - First close day (YYYY-MM-DD)
+   * @param {string} options.endDate - Last close day (YYYY-MM-DD)
+   * @param {Array<string>} options.workItemTypes - Work item types to include
+   * @returns {Promise<object>} { items, percentiles, leadTimePercentiles, byType, excluded }
+   */
+  async calculate({ projectName, startDate, endDate, workItemTypes = ['User Story', 'Bug', 'Task', 'Feature'] }) {
+    const query = this.buildQuery(projectName, { startDate, endDate, workItemTypes });
+    const response = await this.azureService.getWorkItems({
+      projectName,
+      customQuery: query,
+      maxResults: 5000
+    });
+
+    const ids = (response.workItems || []).map(wi => wi.id);
+    if (ids.length === 0) {
+      return this.summarize([], 0);
+    }
+
+    const details = await this.azureService.getWorkItemDetails(ids, null, projectName);
+    const histories = await fetchRevisionHistories(this.azureService, details.workItems || [], projectName);
+    const items = [];
+    let excluded = 0;
+
+    for (const { workItem: item, revisions, error } of histories) {
+      if (error) {
+        logger.warn(`Skipping work item ${item.id} in cycle time: ${error.message}`);
+        excluded++;
+        continue;
+      }
+
+      const measured = this.measure(buildTimeline(revisions));
+      if (!measured) {
+        // Closed without ever being worked on (e.g. duplicates closed from New)
+        excluded++;
+        continue;
+      }
+
+      items.push({
+        id: item.id,
+        title: item.title,
+        type: item.type,
+        assignee: item.assignee,
+        storyPoints: item.storyPoints || 0,
+        ...measured
+      });
+    }
+
+    return this.summarize(items, excluded);
+  }
+
+  /**
+   * WIQL for items closed within the range
+   * @private
+   */
+  buildQuery(projectName, { startDate, endDate, workItemTypes }) {
+    const escape = (value) => String(value).replace(/'/g, "''");
+    const typeFilter = workItemTypes.map(type => `'${escape(type)}'`).join(', ');
+    const closed = CLOSED_STATES.map(state => `'${state}'`).join(', ');
+
+    return `
+      SELECT [System.Id]
+      FROM WorkItems
+      WHERE [System.TeamProject] = '${escape(projectName)}'
+      AND [System.WorkItemType] IN (${typeFilter})
+      AND [System.State] IN (${closed})
+      AND [Microsoft.VSTS.Common.ClosedDate] >= '${startDate}'
+      AND [Microsoft.VSTS.Common.ClosedDate] <= '${endDate}'
+    `.trim();
+  }
+
+  /**
+   * Creation, activation and close times for one item
+   * @param {Array} timeline - Result of buildTimeline
+   * @returns {object|null} { createdDate, activatedDate, closedDate, cycleTimeDays, leadTimeDays }, or null if never active
+   */
+  measure(timeline) {
+    const transitions = stateTransitions(timeline);
+    const activated = transitions.find(t => ACTIVE_STATES.includes(t.to));
+
+    // Reopened items count until their final close
+    const closed = [...transitions].reverse().find(t => CLOSED_STATES.includes(t.to));
+    const last = transitions[transitions.length - 1];
+
+    if (!activated || !closed || closed !== last || closed.changedAt < activated.changedAt) {
+      return null;
+    }
+
+    const createdField = new Date(timeline[0].fields['System.CreatedDate']).getTime();
+    const created = Number.isNaN(createdField) ? timeline[0].changedAt : createdField;
+    const days = (from, to) => parseFloat(((to - from) / DAY_MS).toFixed(1));
+
+    return {
+      createdDate: new Date(created).toISOString(),
+      activatedDate: new Date(activated.changedAt).toISOString(),
+      closedDate: new Date(closed.changedAt).toISOString(),
+      cycleTimeDays: days(activated.changedAt, closed.changedAt),
+      leadTimeDays: days(created, closed.changedAt)
+    };
+  }
+
+  /**
+   * Cycle and lead time percentiles overall and per work item type
+   * @private
+   */
+  summarize(items, excluded) {
+    const byType = {};
+    items.forEach(item => {
+      (byType[item.type] = byType[item.type] || []).push(item);
+    });
+
+    return {
+      items: items.sort((a, b) => new Date(a.closedDate) - new Date(b.closedDate)),
+      count: items.length,
+      excluded,
+      percentiles: calculatePercentiles(items.map(item => item.cycleTimeDays)),
+      leadTimePercentiles: calculatePercentiles(items.map(item => item.leadTimeDays)),
+      byType: Object.fromEntries(
+        Object.entries(byType).map(([type, typeItems]) => [type, {
+          count: typeItems.length,
+          ...calculatePercentiles(typeItems.map(item => item.cycleTimeDays)),
+          leadTime: calculatePercentiles(typeItems.map(item => item.leadTimeDays))
+        }])
+      )
+    };
+  }
+}
+
+module.exports = CycleTimeService;
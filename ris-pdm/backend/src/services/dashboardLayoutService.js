@@ -0,0 +1,142 @@
+/**
+ * Dashboard Layout Service
+ * Decides which widgets the dashboard shows, in what order and how wide. A user's own layout
+ * for the product comes first, then their layout for all products, then the team default for
+ * the product, the team default for all products, and finally the built-in layout.
+ * Users keep their layouts in their preferences; admins manage the team defaults.
+ */
+
+const dashboardLayoutStore = require('./dashboardLayoutStore');
+const userPreferenceService = require('./userPreferenceService');
+const { DEFAULT_LAYOUT } = require('./userPreferenceService');
+const logger = require('../../utils/logger').child({ component: 'DashboardLayoutService' });
+
+const layoutError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+class DashboardLayoutService {
+  /**
+   * @param {object} options - { store, preferences }
+   */
+  constructor(options = {}) {
+    this.store = options.store || dashboardLayoutStore;
+    this.preferences = options.preferences || userPreferenceService;
+  }
+
+  /**
+   * The layout a user sees for a product
+   * @param {object} user - { id, email }
+   * @param {string|null} productId - null for the all-products layout
+   * @returns {Promise<object>} { source: user|team|default, productId, widgets: [{ id, width }] };
+   *   productId is the product the layout was saved for, null when it applies to all products
+   */
+  async resolve(user, productId = null) {
+    const preferences = await this.preferences.get(user);
+    const own = productId && preferences.productLayouts?.[productId];
+    if (own) {
+      return this.layout('user', productId, own.widgets);
+    }
+    if (preferences.dashboardLayout) {
+      return this.layout('user', null, preferences.dashboardLayout.widgets);
+    }
+
+    const teamLayouts = await this.teamLayouts();
+    const team = (productId && teamLayouts.find(layout => layout.productId === productId))
+      || teamLayouts.find(layout => layout.productId === null);
+    if (team) {
+      return this.layout('team', team.productId, team.widgets);
+    }
+    return this.layout('default', null, DEFAULT_LAYOUT);
+  }
+
+  /**
+   * Team default layouts; none without a database
+   * @returns {Promise<Array<object>>}
+   */
+  async teamLayouts() {
+    if (!this.store.isAvailable()) {
+      return [];
+    }
+    return this.store.list();
+  }
+
+  /**
+   * Save a user's own layout
+   * @param {object} user - { id, email }
+   * @param {string|null} productId - null for all products
+   * @param {Array<string|object>} widgets
+   * @returns {Promise<object>} The resolved layout after the change
+   * @throws {Error} STORE_UNAVAILABLE (503)
+   */
+  async saveUserLayout(user, productId, widgets) {
+    await this.preferences.update(user, productId
+      ? { productLayouts: { [productId]: { widgets } } }
+      : { dashboardLayout: { widgets } });
+    return this.resolve(user, productId);
+  }
+
+  /**
+   * Drop a user's own layout, so the next one in line applies again
+   * @param {object} user - { id, email }
+   * @param {string|null} productId - null for all products
+   * @returns {Promise<object>} The resolved layout after the change
+   * @throws {Error} STORE_UNAVAILABLE (503)
+   */
+  async resetUserLayout(user, productId) {
+    await this.preferences.update(user, productId
+      ? { productLayouts: { [productId]: null } }
+      : { dashboardLayout: null });
+    return this.resolve(user, productId);
+  }
+
+  /**
+   * Create or replace a team default layout
+   * @param {string|null} productId - null for all products
+   * @param {Array<string|object>} widgets
+   * @param {object} actor - The admin making the change
+   * @returns {Promise<object>}
+   * @throws {Error} STORE_UNAVAILABLE (503)
+   */
+  async saveTeamLayout(productId, widgets, actor) {
+    this.requireStore();
+    const layout = await this.store.save(productId, this.preferences.normalizeLayout(widgets), actor.email);
+    logger.info(`Team dashboard layout for ${productId || 'all products'} saved by ${actor.email}`);
+    return layout;
+  }
+
+  /**
+   * @param {string|null} productId - null for all products
+   * @returns {Promise<boolean>} Whether there was a layout to remove
+   * @throws {Error} STORE_UNAVAILABLE (503)
+   */
+  async removeTeamLayout(productId) {
+    this.requireStore();
+    return this.store.remove(productId);
+  }
+
+  /**
+   * @private
+   */
+  requireStore() {
+    if (!this.store.isAvailable()) {
+      throw layoutError('Team layouts require a database connection', 'STORE_UNAVAILABLE', 503);
+    }
+  }
+
+  /**
+   * @private
+   */
+  layout(source, productId, widgets) {
+    return { source, productId, widgets: this.preferences.normalizeLayout(widgets) };
+  }
+}
+
+// Singleton instance shared by the layout routes
+const dashboardLayoutService = new DashboardLayoutService();
+
+module.exports = dashboardLayoutService;
+module.exports.DashboardLayoutService = DashboardLayoutService;
@@ -0,0 +1,81 @@
+/**
+ * Dashboard Layout Store
+ * Persists the admin-managed team default dashboard layouts (team_dashboard_layouts)
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'DashboardLayoutStore' });
+
+const LAYOUT_COLUMNS = 'product_id, widgets, updated_by, updated_at';
+
+class DashboardLayoutStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} Team layouts, the all-products layout first
+   */
+  async list() {
+    const result = await this.db.query(
+      `SELECT ${LAYOUT_COLUMNS} FROM team_dashboard_layouts ORDER BY product_id NULLS FIRST`
+    );
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Create or replace the team layout of a product
+   * @param {string|null} productId - null for every product without a layout of its own
+   * @param {Array<object>} widgets - [{ id, width }]
+   * @param {string} actor - Email of the admin making the change
+   * @returns {Promise<object>}
+   */
+  async save(productId, widgets, actor) {
+    const result = await this.db.query(
+      `INSERT INTO team_dashboard_layouts (product_id, widgets, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT ((COALESCE(product_id, ''))) DO UPDATE SET widgets = EXCLUDED.widgets, updated_by = EXCLUDED.updated_by
+       RETURNING ${LAYOUT_COLUMNS}`,
+      [productId, JSON.stringify(widgets), actor || null]
+    );
+
+    logger.debug(`Team layout for ${productId || 'all products'} saved by ${actor}`);
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * @param {string|null} productId
+   * @returns {Promise<boolean>} Whether a layout was deleted
+   */
+  async remove(productId) {
+    const result = await this.db.query(
+      'DELETE FROM team_dashboard_layouts WHERE product_id IS NOT DISTINCT FROM $1',
+      [productId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    return {
+      productId: row.product_id || null,
+      widgets: row.widgets || [],
+      updatedBy: row.updated_by || null,
+      updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+  }
+}
+
+// Singleton instance shared by the layout service and routes
+const dashboardLayoutStore = new DashboardLayoutStore();
+
+module.exports = dashboardLayoutStore;
@@ -0,0 +1,158 @@
+/**
+ * Delivery Event Store
+ * Persists pull request, build and deployment events from Azure DevOps service
+ * hooks (delivery_events) together with the work items they are linked to
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'DeliveryEventStore' });
+
+class DeliveryEventStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Insert an event, or update the row of the same pull request, build or deployment.
+   * Start time, coverage and linked work items from earlier events are kept when the
+   * new event doesn't carry them.
+   * @param {object} event - { eventId, kind, azureProject, sourceId, repository, title, status,
+   *   environment, isProduction, startedAt, completedAt, coverage, workItemIds, actor }
+   */
+  async record(event) {
+    await this.db.query(
+      `INSERT INTO delivery_events (
+         kind, azure_project, source_id, event_id, repository, title, status, environment,
+         is_production, started_at, completed_at, coverage, work_item_ids, actor
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       ON CONFLICT (kind, azure_project, source_id) DO UPDATE SET
+         event_id = EXCLUDED.event_id,
+         repository = COALESCE(EXCLUDED.repository, delivery_events.repository),
+         title = COALESCE(EXCLUDED.title, delivery_events.title),
+         status = EXCLUDED.status,
+         environment = COALESCE(EXCLUDED.environment, delivery_events.environment),
+         is_production = EXCLUDED.is_production,
+         started_at = COALESCE(delivery_events.started_at, EXCLUDED.started_at),
+         completed_at = COALESCE(EXCLUDED.completed_at, delivery_events.completed_at),
+         coverage = COALESCE(EXCLUDED.coverage, delivery_events.coverage),
+         work_item_ids = CASE WHEN cardinality(EXCLUDED.work_item_ids) > 0
+                              THEN EXCLUDED.work_item_ids ELSE delivery_events.work_item_ids END,
+         actor = COALESCE(EXCLUDED.actor, delivery_events.actor)`,
+      [
+        event.kind,
+        event.azureProject,
+        String(event.sourceId),
+        event.eventId,
+        event.repository || null,
+        event.title ? String(event.title).slice(0, 500) : null,
+        event.status,
+        event.environment || null,
+        Boolean(event.isProduction),
+        event.startedAt || null,
+        event.completedAt || null,
+        event.coverage ?? null,
+        event.workItemIds || [],
+        event.actor || null
+      ]
+    );
+
+    logger.debug(`Recorded ${event.kind} ${event.sourceId} (${event.status})`, { azureProject: event.azureProject });
+  }
+
+  /**
+   * Events of a project, oldest first
+   * @param {string} azureProject - Azure DevOps project
+   * @param {object} options - { kind, from, to } bounds apply to the start time of open
+   *   pull requests and the completion time of everything else
+   * @returns {Promise<Array<object>>}
+   */
+  async getEvents(azureProject, { kind = null, from = null, to = null } = {}) {
+    const result = await this.db.query(
+      `SELECT kind, azure_project, source_id, event_id, repository, title, status, environment,
+              is_production, started_at, completed_at, coverage, work_item_ids, actor
+       FROM delivery_events
+       WHERE azure_project = $1
+         AND ($2::varchar IS NULL OR kind = $2)
+         AND ($3::timestamptz IS NULL OR COALESCE(completed_at, started_at) >= $3)
+         AND ($4::timestamptz IS NULL OR COALESCE(completed_at, started_at) <= $4)
+       ORDER BY COALESCE(completed_at, started_at)`,
+      [azureProject, kind, from, to]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Most recent completed build of a project that reported coverage
+   * @param {string} azureProject - Azure DevOps project
+   * @returns {Promise<object|null>}
+   */
+  async getLatestCoverage(azureProject) {
+    const result = await this.db.query(
+      `SELECT kind, azure_project, source_id, event_id, repository, title, status, environment,
+              is_production, started_at, completed_at, coverage, work_item_ids, actor
+       FROM delivery_events
+       WHERE azure_project = $1 AND kind = 'build' AND coverage IS NOT NULL
+       ORDER BY completed_at DESC NULLS LAST
+       LIMIT 1`,
+      [azureProject]
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Work items linked to recorded builds
+   * @param {string} azureProject - Azure DevOps project
+   * @param {Array<string>} buildIds - Build ids
+   * @returns {Promise<Map<string, Array<number>>>} Build id -> work item ids (unknown builds are absent)
+   */
+  async getBuildWorkItemIds(azureProject, buildIds = []) {
+    if (buildIds.length === 0) return new Map();
+
+    const result = await this.db.query(
+      `SELECT source_id, work_item_ids FROM delivery_events
+       WHERE azure_project = $1 AND kind = 'build' AND source_id = ANY($2)`,
+      [azureProject, buildIds.map(String)]
+    );
+
+    return new Map(result.rows.map(row => [row.source_id, row.work_item_ids || []]));
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      kind: row.kind,
+      azureProject: row.azure_project,
+      sourceId: row.source_id,
+      eventId: row.event_id,
+      repository: row.repository || null,
+      title: row.title || null,
+      status: row.status,
+      environment: row.environment || null,
+      isProduction: row.is_production === true,
+      startedAt: timestamp(row.started_at),
+      completedAt: timestamp(row.completed_at),
+      // NUMERIC columns come back from pg as strings
+      coverage: row.coverage === null || row.coverage === undefined ? null : Number(row.coverage),
+      workItemIds: row.work_item_ids || [],
+      actor: row.actor || null
+    };
+  }
+}
+
+// Singleton instance shared by the webhook handlers and metric calculators
+const deliveryEventStore = new DeliveryEventStore();
+
+module.exports = deliveryEventStore;
+module.exports.DeliveryEventStore = DeliveryEventStore;
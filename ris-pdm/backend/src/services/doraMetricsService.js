@@ -0,0 +1,96 @@
+/**
+ * DORA Metrics Service
+ * Summarises recorded pull request and deployment events into pull request review
+ * time, deployment frequency and change failure rate. Only production deployments
+ * count towards the DORA figures; a deployment that failed or partially succeeded
+ * counts as a change failure.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FAILED_DEPLOYMENT_STATUSES = ['failed', 'partiallySucceeded'];
+const FINISHED_DEPLOYMENT_STATUSES = ['succeeded', ...FAILED_DEPLOYMENT_STATUSES];
+
+// Performance bands from the DORA State of DevOps report
+const rateDeploymentFrequency = (perDay) => {
+  if (perDay >= 1) return 'elite';
+  if (perDay >= 1 / 7) return 'high';
+  if (perDay >= 1 / 30) return 'medium';
+  return 'low';
+};
+
+const rateChangeFailureRate = (percentage) => {
+  if (percentage <= 5) return 'elite';
+  if (percentage <= 10) return 'high';
+  if (percentage <= 15) return 'medium';
+  return 'low';
+};
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+class DoraMetricsService {
+  /**
+   * DORA metrics for one period
+   * @param {Array<object>} events - Delivery events (pull requests and deployments) from DeliveryEventStore
+   * @param {object} options - { from, to } period bounds (Date)
+   * @returns {object} { period, pullRequestReviewTime, deploymentFrequency, changeFailureRate, status }
+   */
+  summarize(events = [], { from, to = new Date() }) {
+    const days = Math.max(1, Math.round((to - from) / DAY_MS));
+    const inPeriod = (timestamp) => {
+      const time = timestamp ? new Date(timestamp).getTime() : NaN;
+      return time >= from.getTime() && time <= to.getTime();
+    };
+
+    const merged = events.filter(event => event.kind === 'pull_request' && event.status === 'merged' &&
+      event.startedAt && inPeriod(event.completedAt));
+    const reviewHours = merged.map(event => (new Date(event.completedAt) - new Date(event.startedAt)) / (60 * 60 * 1000));
+
+    const deployments = events.filter(event => event.kind === 'deployment' && event.isProduction &&
+      FINISHED_DEPLOYMENT_STATUSES.includes(event.status) && inPeriod(event.completedAt));
+    const failed = deployments.filter(event => FAILED_DEPLOYMENT_STATUSES.includes(event.status));
+    const succeeded = deployments.length - failed.length;
+    const perDay = succeeded / days;
+    const failurePercentage = deployments.length > 0 ? round((failed.length / deployments.length) * 100) : null;
+
+    return {
+      period: { from: from.toISOString(), to: to.toISOString(), days },
+      pullRequestReviewTime: {
+        merged: merged.length,
+        medianHours: reviewHours.length > 0 ? round(median(reviewHours)) : null,
+        averageHours: reviewHours.length > 0 ? round(reviewHours.reduce((sum, hours) => sum + hours, 0) / reviewHours.length) : null
+      },
+      deploymentFrequency: {
+        deployments: succeeded,
+        perDay: round(perDay, 2),
+        perWeek: round(perDay * 7, 1),
+        rating: deployments.length > 0 ? rateDeploymentFrequency(perDay) : null
+      },
+      changeFailureRate: {
+        deployments: deployments.length,
+        failed: failed.length,
+        percentage: failurePercentage,
+        rating: failurePercentage === null ? null : rateChangeFailureRate(failurePercentage),
+        failures: failed.map(event => ({
+          deploymentId: event.sourceId,
+          environment: event.environment,
+          status: event.status,
+          completedAt: event.completedAt,
+          workItemIds: event.workItemIds
+        }))
+      },
+      status: merged.length > 0 || deployments.length > 0 ? 'ok' : 'no_data'
+    };
+  }
+}
+
+module.exports = DoraMetricsService;
@@ -2,6 +2,10 @@ const ExcelJS = require('exceljs');
 const puppeteer = require('puppeteer');
 const AzureDevOpsService = require('./azureDevOpsService');
 const MetricsCalculatorService = require('./metricsCalculator');
+const BugClassificationService = require('./bugClassificationService');
+const pptxReportBuilder = require('./pptxReportBuilder');
+const projectRegistry = require('./projectRegistry');
+const { dashboardLink } = require('../utils/dashboardLinks');
 const { azureDevOpsConfig } = require('../config/azureDevOpsConfig');
 const logger = require('../../utils/logger');
 
@@ -9,24 +13,26 @@ class ExportService {
   constructor() {
     this.azureService = new AzureDevOpsService(azureDevOpsConfig);
     this.metricsCalculator = new MetricsCalculatorService(this.azureService);
+    this.bugClassificationService = new BugClassificationService(this.azureService);
   }
 
   /**
    * Generate Dashboard PDF Report
    */
   async generateDashboardPDF(options) {
-    const { period, startDate, endDate, user } = options;
+    const { period, startDate, endDate, productId, user } = options;
     
     try {
       // Get dashboard data
       const dashboardData = await this.metricsCalculator.calculateOverviewMetrics({
         period,
         startDate,
-        endDate
+        endDate,
+        productId
       });
 
       // Generate HTML for PDF
-      const html = this.generateDashboardHTML(dashboardData, period);
+      const html = this.generateDashboardHTML(dashboardData, period, dashboardLink({ productId, startDate, endDate }));
       
       // Convert to PDF using Puppeteer
       const browser = await puppeteer.launch({
@@ -69,14 +75,15 @@ class ExportService {
    * Generate Dashboard Excel Report
    */
   async generateDashboardExcel(options) {
-    const { period, startDate, endDate, user } = options;
+    const { period, startDate, endDate, productId, user } = options;
     
     try {
       // Get dashboard data
       const dashboardData = await this.metricsCalculator.calculateOverviewMetrics({
         period,
         startDate,
-        endDate
+        endDate,
+        productId
       });
 
       // Get team members data for detailed sheet
@@ -87,7 +94,7 @@ class ExportService {
       
       // Summary Sheet
       const summarySheet = workbook.addWorksheet('Dashboard Summary');
-      await this.createDashboardSummarySheet(summarySheet, dashboardData, period);
+      await this.createDashboardSummarySheet(summarySheet, dashboardData, period, dashboardLink({ productId, startDate, endDate }));
       
       // KPI Details Sheet
       const kpiSheet = workbook.addWorksheet('KPI Details');
@@ -129,7 +136,7 @@ class ExportService {
       });
 
       // Generate HTML for PDF
-      const html = this.generateIndividualHTML(individualData, period);
+      const html = this.generateIndividualHTML(individualData, period, dashboardLink({ userId }));
       
       // Convert to PDF using Puppeteer
       const browser = await puppeteer.launch({
@@ -188,7 +195,7 @@ class ExportService {
       
       // Individual Summary Sheet
       const summarySheet = workbook.addWorksheet('Performance Summary');
-      await this.createIndividualSummarySheet(summarySheet, individualData, period);
+      await this.createIndividualSummarySheet(summarySheet, individualData, period, dashboardLink({ userId }));
       
       // Work Items Detail Sheet
       const workItemsSheet = workbook.addWorksheet('Work Items');
@@ -277,10 +284,109 @@ class ExportService {
     }
   }
 
+  /**
+   * Generate Dashboard PowerPoint deck for management reviews
+   */
+  async generateDashboardPPTX(options) {
+    const { period, startDate, endDate, productId, user } = options;
+
+    try {
+      const overview = await this.metricsCalculator.calculateOverviewMetrics({
+        period,
+        startDate,
+        endDate,
+        productId
+      });
+
+      // Charts are optional: a deck without one beats no deck for the review
+      const [burndown, velocity, bugs] = await Promise.all([
+        this.optionalSlideData('burndown', () => this.metricsCalculator.calculateSprintBurndown({ sprintId: 'current', productId })),
+        this.optionalSlideData('velocity', () => this.metricsCalculator.calculateVelocityTrend({ productId })),
+        this.optionalSlideData('bug classification', () => this.bugClassificationService.getBugClassificationStats({
+          projectName: productId ? this.metricsCalculator.resolveProductTeam(productId).azureProjectName : null
+        }))
+      ]);
+
+      const pptxBuffer = await pptxReportBuilder.buildDashboard({
+        overview,
+        burndown,
+        velocity,
+        bugs,
+        productName: productId ? projectRegistry.get(productId)?.name || productId : null,
+        period,
+        link: dashboardLink({ productId, startDate, endDate })
+      });
+
+      logger.info(`Dashboard PPTX generated successfully`, {
+        period,
+        productId,
+        bufferSize: pptxBuffer.length,
+        userId: user?.id
+      });
+
+      return pptxBuffer;
+
+    } catch (error) {
+      logger.error('Dashboard PPTX generation failed:', error);
+      throw new Error(`Failed to generate dashboard PPTX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate Individual Performance PowerPoint deck
+   */
+  async generateIndividualPPTX(options) {
+    const { userId, period, startDate, endDate, user } = options;
+
+    try {
+      const individual = await this.metricsCalculator.calculateIndividualMetrics(userId, {
+        period,
+        startDate,
+        endDate
+      });
+
+      const bugs = await this.optionalSlideData('bug classification', () =>
+        this.bugClassificationService.getBugClassificationStats({ assignedTo: userId }));
+
+      const pptxBuffer = await pptxReportBuilder.buildIndividual({
+        individual,
+        bugs,
+        period,
+        link: dashboardLink({ userId })
+      });
+
+      logger.info(`Individual PPTX generated successfully`, {
+        userId,
+        period,
+        bufferSize: pptxBuffer.length,
+        requesterId: user?.id
+      });
+
+      return pptxBuffer;
+
+    } catch (error) {
+      logger.error('Individual PPTX generation failed:', error);
+      throw new Error(`Failed to generate individual PPTX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the data for one slide, or null when it is unavailable
+   * @private
+   */
+  async optionalSlideData(name, load) {
+    try {
+      return await load();
+    } catch (error) {
+      logger.warn(`PPTX ${name} slide has no data: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Generate HTML for Dashboard PDF
    */
-  generateDashboardHTML(data, period) {
+  generateDashboardHTML(data, period, link = null) {
     const currentDate = new Date().toLocaleDateString();
     
     return `
@@ -397,6 +503,7 @@ class ExportService {
         <div class="header">
             <h1>RIS Performance Dashboard</h1>
             <p>Period: ${period.toUpperCase()} | Generated: ${currentDate}</p>
+            ${link ? `<p><a href="${link}">Open in dashboard</a></p>` : ''}
         </div>
 
         <div class="metrics-grid">
@@ -459,7 +566,7 @@ class ExportService {
   /**
    * Generate HTML for Individual PDF
    */
-  generateIndividualHTML(data, period) {
+  generateIndividualHTML(data, period, link = null) {
     const currentDate = new Date().toLocaleDateString();
     const userName = data.userInfo?.name || 'Unknown User';
     
@@ -614,6 +721,7 @@ class ExportService {
         <div class="header">
             <h1>Individual Performance Report</h1>
             <p>Period: ${period.toUpperCase()} | Generated: ${currentDate}</p>
+            ${link ? `<p><a href="${link}">Open in dashboard</a></p>` : ''}
         </div>
 
         <div class="user-info">
@@ -680,7 +788,7 @@ class ExportService {
   /**
    * Create Dashboard Summary Sheet for Excel
    */
-  async createDashboardSummarySheet(sheet, data, period) {
+  async createDashboardSummarySheet(sheet, data, period, link = null) {
     // Set column widths
     sheet.columns = [
       { header: 'Metric', key: 'metric', width: 30 },
@@ -692,6 +800,9 @@ class ExportService {
     sheet.addRow(['RIS Performance Dashboard Summary', '', '']);
     sheet.addRow(['Period:', period.toUpperCase(), '']);
     sheet.addRow(['Generated:', new Date().toLocaleDateString(), '']);
+    if (link) {
+      sheet.addRow(['Dashboard:', { text: 'Open in dashboard', hyperlink: link }, '']);
+    }
     sheet.addRow(['', '', '']); // Empty row
 
     // Style header
@@ -827,7 +938,7 @@ class ExportService {
   /**
    * Helper functions for individual reports
    */
-  async createIndividualSummarySheet(sheet, data, period) {
+  async createIndividualSummarySheet(sheet, data, period, link = null) {
     const userName = data.userInfo?.name || 'Unknown User';
     
     sheet.columns = [
@@ -842,6 +953,9 @@ class ExportService {
     sheet.addRow(['Role:', data.userInfo?.role || 'Developer']);
     sheet.addRow(['Period:', period.toUpperCase()]);
     sheet.addRow(['Generated:', new Date().toLocaleDateString()]);
+    if (link) {
+      sheet.addRow(['Dashboard:', { text: 'Open in dashboard', hyperlink: link }]);
+    }
     sheet.addRow(['', '']); // Empty row
 
     // Performance metrics
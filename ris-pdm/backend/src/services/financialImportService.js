@@ -0,0 +1,253 @@
+/**
+ * Financial Import Service
+ * Turns finance uploads (CSV/XLSX) and JSON pushes into validated product_financials records.
+ * Each row needs a product, a period (2025-03, 2025-Q1 or Q1 2025), revenue and cost;
+ * target and currency are optional.
+ */
+
+const ExcelJS = require('exceljs');
+const projectRegistry = require('./projectRegistry');
+
+// Header spellings accepted in uploaded files, compared lowercase without spaces or punctuation
+const HEADER_ALIASES = {
+  product: 'productId',
+  productid: 'productId',
+  productname: 'productId',
+  period: 'period',
+  month: 'period',
+  quarter: 'period',
+  revenue: 'revenue',
+  income: 'revenue',
+  cost: 'cost',
+  costs: 'cost',
+  expense: 'cost',
+  expenses: 'cost',
+  target: 'target',
+  pltarget: 'target',
+  currency: 'currency'
+};
+
+const MAX_RECORDS = 5000;
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  error.statusCode = 400;
+  return error;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Parse a period label into its type and first day
+ * @param {string|Date} value - 2025-03, 2025-03-01, 2025-Q1, Q1 2025 or a spreadsheet date
+ * @returns {object|null} { periodType, periodStart: 'YYYY-MM-DD' }
+ */
+const parsePeriod = (value) => {
+  if (value instanceof Date && !isNaN(value)) {
+    return { periodType: 'month', periodStart: `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-01` };
+  }
+
+  const text = String(value ?? '').trim().toUpperCase();
+  let match = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?$/);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return { periodType: 'month', periodStart: `${match[1]}-${pad(match[2])}-01` };
+  }
+
+  match = text.match(/^(\d{4})[-\s]?Q([1-4])$/) || text.match(/^Q([1-4])[-\s]?(\d{4})$/);
+  if (match) {
+    const [year, quarter] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+    return { periodType: 'quarter', periodStart: `${year}-${pad((quarter - 1) * 3 + 1)}-01` };
+  }
+
+  return null;
+};
+
+/**
+ * Parse an amount, tolerating thousands separators and currency symbols
+ * @returns {number|null} null when empty, NaN when not a number
+ */
+const parseAmount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (!text) return null;
+  // Accounting negatives: (1,200)
+  const negative = /^\(.*\)$/.test(text);
+  const cleaned = text.replace(/[(),\s฿$€£]|THB|USD/gi, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  return negative ? -Number(cleaned) : Number(cleaned);
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => String(value).trim() !== ''));
+};
+
+class FinancialImportService {
+  constructor(registry = projectRegistry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Read an uploaded file into row objects keyed by record field
+   * @param {Buffer} buffer - File content
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<Array<object>>} Rows with a 1-based spreadsheet row number in `row`
+   */
+  async parseFile(buffer, format) {
+    const table = format === 'xlsx'
+      ? await this.readWorkbook(buffer)
+      : parseCsv(buffer.toString('utf8'));
+
+    if (table.length === 0) {
+      return [];
+    }
+
+    const [header, ...body] = table;
+    const fields = header.map(name => HEADER_ALIASES[String(name ?? '').toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+    if (!['productId', 'period', 'revenue', 'cost'].every(field => fields.includes(field))) {
+      throw importError('File must have a header row with at least product, period, revenue and cost columns');
+    }
+
+    return body.map((cells, index) => {
+      const row = { row: index + 2 };
+      fields.forEach((field, column) => {
+        if (field) row[field] = cells[column];
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Validate rows and convert them to records; nothing should be stored when errors come back
+   * @param {Array<object>} rows - { productId, period, revenue, cost, target, currency, row }
+   * @returns {object} { records, errors: [{ row, field, message }] }
+   */
+  normalize(rows) {
+    const records = [];
+    const errors = [];
+    const seen = new Set();
+
+    if (rows.length > MAX_RECORDS) {
+      return { records, errors: [{ row: null, field: null, message: `At most ${MAX_RECORDS} records can be imported at once` }] };
+    }
+
+    rows.forEach((input, index) => {
+      const row = input.row ?? index + 1;
+      const fail = (field, message) => errors.push({ row, field, message });
+
+      const productId = String(input.productId ?? '').trim();
+      if (!productId) {
+        return fail('productId', 'Product is required');
+      }
+      if (!this.registry.has(productId)) {
+        return fail('productId', `Unknown product '${productId}'`);
+      }
+
+      const period = parsePeriod(input.period);
+      if (!period) {
+        return fail('period', `Unrecognised period '${input.period ?? ''}', use YYYY-MM or YYYY-Qn`);
+      }
+
+      const revenue = parseAmount(input.revenue);
+      const cost = parseAmount(input.cost);
+      const target = parseAmount(input.target);
+      if (revenue === null || Number.isNaN(revenue)) {
+        return fail('revenue', 'Revenue must be a number');
+      }
+      if (cost === null || Number.isNaN(cost)) {
+        return fail('cost', 'Cost must be a number');
+      }
+      if (Number.isNaN(target)) {
+        return fail('target', 'Target must be a number');
+      }
+
+      const currency = String(input.currency ?? '').trim().toUpperCase() || 'THB';
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        return fail('currency', 'Currency must be a 3-letter ISO code');
+      }
+
+      const key = `${productId}|${period.periodType}|${period.periodStart}`;
+      if (seen.has(key)) {
+        return fail('period', `Duplicate ${period.periodType} ${period.periodStart} for '${productId}'`);
+      }
+      seen.add(key);
+
+      records.push({ productId, ...period, revenue, cost, target, currency });
+    });
+
+    return { records, errors };
+  }
+
+  /**
+   * First worksheet as rows of plain cell values
+   * @private
+   */
+  async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+      // row.values is 1-based; formulas and rich text carry their value in result/text
+      const cells = row.values.slice(1).map(value => {
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+          return value.result ?? value.text ?? (value.richText ? value.richText.map(part => part.text).join('') : null);
+        }
+        return value;
+      });
+      rows.push(cells);
+    });
+    return rows;
+  }
+}
+
+module.exports = FinancialImportService;
+module.exports.parsePeriod = parsePeriod;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,122 @@
+/**
+ * Financial Store
+ * Persists per-product revenue, cost and P/L target figures (product_financials)
+ * loaded from finance uploads or the finance export job
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'FinancialStore' });
+
+class FinancialStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Insert or replace financial records; a record is keyed by product, period type and period start
+   * @param {Array<object>} records - Normalized records ({ productId, periodType, periodStart, revenue, cost, target, currency })
+   * @param {object} options - { source, importedBy }
+   * @returns {Promise<number>} Records written
+   */
+  async upsertRecords(records = [], { source = 'api', importedBy = null } = {}) {
+    if (records.length === 0) return 0;
+
+    const written = await this.db.transaction(async (client) => {
+      for (const record of records) {
+        await client.query(
+          `INSERT INTO product_financials (
+             product_id, period_type, period_start, revenue, cost, target, currency, source, imported_by
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           ON CONFLICT (product_id, period_type, period_start) DO UPDATE SET
+             revenue = EXCLUDED.revenue,
+             cost = EXCLUDED.cost,
+             target = EXCLUDED.target,
+             currency = EXCLUDED.currency,
+             source = EXCLUDED.source,
+             imported_by = EXCLUDED.imported_by`,
+          [
+            record.productId,
+            record.periodType,
+            record.periodStart,
+            record.revenue,
+            record.cost,
+            record.target,
+            record.currency,
+            source,
+            importedBy
+          ]
+        );
+      }
+      return records.length;
+    });
+
+    logger.info(`💾 Stored ${written} financial records`, { source, importedBy });
+    return written;
+  }
+
+  /**
+   * Financial records for a product, oldest first
+   * @param {string} productId - Frontend product identifier
+   * @param {object} options - { from, to } inclusive YYYY-MM-DD bounds on period start
+   * @returns {Promise<Array<object>>}
+   */
+  async getRecords(productId, { from = null, to = null } = {}) {
+    const result = await this.db.query(
+      `SELECT product_id, period_type, to_char(period_start, 'YYYY-MM-DD') AS period_start,
+              revenue, cost, target, currency, source, imported_by, updated_at
+       FROM product_financials
+       WHERE product_id = $1
+         AND ($2::date IS NULL OR period_start >= $2::date)
+         AND ($3::date IS NULL OR period_start <= $3::date)
+       ORDER BY period_start, period_type`,
+      [productId, from, to]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Remove a product's records for one period
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async deleteRecord(productId, periodType, periodStart) {
+    const result = await this.db.query(
+      'DELETE FROM product_financials WHERE product_id = $1 AND period_type = $2 AND period_start = $3',
+      [productId, periodType, periodStart]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    // NUMERIC columns come back from pg as strings
+    const amount = (value) => (value === null || value === undefined ? null : Number(value));
+    return {
+      productId: row.product_id,
+      periodType: row.period_type,
+      periodStart: row.period_start,
+      revenue: amount(row.revenue),
+      cost: amount(row.cost),
+      target: amount(row.target),
+      currency: row.currency,
+      source: row.source,
+      importedBy: row.imported_by || null,
+      updatedAt: row.updated_at || null
+    };
+  }
+}
+
+// Singleton instance shared by the financial routes and metric calculators
+const financialStore = new FinancialStore();
+
+module.exports = financialStore;
+module.exports.FinancialStore = FinancialStore;
@@ -0,0 +1,105 @@
+/**
+ * Forecast Service
+ * Monte Carlo forecasts built from per-sprint throughput history. Each trial
+ * replays randomly chosen past sprints, so the spread of the forecast reflects
+ * how uneven delivery has actually been rather than an average velocity.
+ */
+
+const { calculatePercentiles } = require('../utils/dataTransformers');
+
+const DEFAULT_TRIALS = 10000;
+// Longest horizon simulated: a trial stops after this many deliveries, and
+// forecasts of work done by a date look no further ahead
+const MAX_DELIVERIES = 200;
+// Furthest target date a forecast may be asked for
+const MAX_FORECAST_YEARS = 3;
+
+class ForecastService {
+  /**
+   * @param {object} options - { trials, random } where random returns [0, 1)
+   */
+  constructor({ trials = DEFAULT_TRIALS, random = Math.random } = {}) {
+    this.trials = trials;
+    this.random = random;
+  }
+
+  /**
+   * How many deliveries until the remaining work is done
+   * @param {Array<number>} samples - Completed work per past sprint
+   * @param {number} remaining - Remaining work in the same unit
+   * @returns {object|null} { p50, p85, p95 } deliveries, or null without usable history
+   */
+  forecastDeliveries(samples, remaining) {
+    if (!this.hasThroughput(samples)) return null;
+    if (remaining <= 0) return { p50: 0, p85: 0, p95: 0 };
+
+    const outcomes = [];
+    for (let trial = 0; trial < this.trials; trial++) {
+      let done = 0;
+      let deliveries = 0;
+      while (done < remaining && deliveries < MAX_DELIVERIES) {
+        done += this.pick(samples);
+        deliveries++;
+      }
+      outcomes.push(deliveries);
+    }
+
+    // More deliveries is the safer answer, so confidence reads straight off the percentile
+    return calculatePercentiles(outcomes, [50, 85, 95]);
+  }
+
+  /**
+   * How much work gets done within a number of deliveries
+   * @param {Array<number>} samples - Completed work per past sprint
+   * @param {number} deliveries - Deliveries available (at most MAX_DELIVERIES are simulated)
+   * @returns {object|null} { p50, p85, p95 } work completed, or null without usable history
+   */
+  forecastAmount(samples, deliveries) {
+    if (!this.hasThroughput(samples)) return null;
+    if (deliveries <= 0) return { p50: 0, p85: 0, p95: 0 };
+
+    const horizon = Math.min(deliveries, MAX_DELIVERIES);
+    const outcomes = [];
+    for (let trial = 0; trial < this.trials; trial++) {
+      let done = 0;
+      for (let delivery = 0; delivery < horizon; delivery++) {
+        done += this.pick(samples);
+      }
+      outcomes.push(done);
+    }
+
+    // "At least this much with 85% confidence" is the 15th percentile of outcomes
+    const { p5, p15, p50 } = calculatePercentiles(outcomes, [5, 15, 50]);
+    return { p50, p85: p15, p95: p5 };
+  }
+
+  /**
+   * Whether a target date is close enough to forecast
+   * @param {string|Date} targetDate - Date to forecast to
+   * @param {Date} now - Current time
+   * @returns {boolean}
+   */
+  static isWithinHorizon(targetDate, now = new Date()) {
+    const limit = new Date(now);
+    limit.setFullYear(limit.getFullYear() + MAX_FORECAST_YEARS);
+    return new Date(targetDate) <= limit;
+  }
+
+  /**
+   * @private
+   */
+  hasThroughput(samples) {
+    return Array.isArray(samples) && samples.some(sample => sample > 0);
+  }
+
+  /**
+   * @private
+   */
+  pick(samples) {
+    return samples[Math.floor(this.random() * samples.length)];
+  }
+}
+
+module.exports = ForecastService;
+module.exports.MAX_DELIVERIES = MAX_DELIVERIES;
+module.exports.MAX_FORECAST_YEARS = MAX_FORECAST_YEARS;
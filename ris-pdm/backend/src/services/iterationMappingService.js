@@ -11,34 +11,40 @@
 
 const logger = require('../../utils/logger').child({ component: 'IterationMappingService' });
 const { 
-  getProjectIterationConfig, 
   mapFrontendProjectToAzure,
   mapFrontendProjectToTeam
 } = require('../config/projectMapping');
+const projectRegistry = require('./projectRegistry');
 
 class IterationMappingService {
-  constructor() {
-    // Project-specific iteration mapping rules
-    this.projectRules = {
-      'Product - Data as a Service': {
-        currentFormat: 'Delivery {n}',
-        patterns: [
-          /^Delivery\s+(\d+)$/i,
-          /^delivery[-_\s]*(\d+)$/i
-        ],
-        examples: ['Delivery 12', 'delivery-12', 'delivery_12']
-      },
-      'Product - Partner Management Platform': {
-        currentFormat: 'Delivery {n}',
-        patterns: [
-          /^Delivery\s+(\d+)$/i,
-          /^delivery[-_\s]*(\d+)$/i,
-          /^Sprint\s+(\d+)$/i,
-          /^sprint[-_\s]*(\d+)$/i
-        ],
-        examples: ['Delivery 4', 'delivery-4', 'Sprint 18', 'sprint_18']
+  /**
+   * Project-specific iteration mapping rules, keyed by Azure DevOps project.
+   * Built from the product registry on each access so registry edits apply immediately.
+   */
+  get projectRules() {
+    const rules = {};
+    const registryRules = projectRegistry.getIterationRulesByAzureProject();
+
+    Object.entries(registryRules).forEach(([azureProject, config]) => {
+      const patterns = [config.pattern];
+      if (config.prefix) {
+        // Also accept slug-style requests such as "delivery-12" or "delivery_12"
+        const escaped = config.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        patterns.push(new RegExp(`^${escaped}[-_\\s]*(\\d+)$`, 'i'));
       }
-    };
+
+      const format = config.format || 'Sprint {n}';
+      rules[azureProject] = {
+        currentFormat: format,
+        patterns,
+        examples: [
+          format.replace('{n}', '12'),
+          ...(config.prefix ? [`${config.prefix.toLowerCase()}-12`, `${config.prefix.toLowerCase()}_12`] : [])
+        ]
+      };
+    });
+
+    return rules;
   }
 
   /**
@@ -3,7 +3,22 @@
  * Processes Azure DevOps data to generate dashboard metrics and KPIs
  */
 
-const { mapFrontendProjectToAzure } = require('../config/projectMapping');
+const { mapFrontendProjectToAzure, mapFrontendProjectToTeam } = require('../config/projectMapping');
+const workItemStore = require('./workItemStore');
+const financialStore = require('./financialStore');
+const deliveryEventStore = require('./deliveryEventStore');
+const surveyService = require('./surveyService');
+const notificationService = require('./notificationService');
+const alertRuleService = require('./alertRuleService');
+const { summarizeSatisfaction } = require('./surveyService');
+const BurndownService = require('./burndownService');
+const CumulativeFlowService = require('./cumulativeFlowService');
+const CycleTimeService = require('./cycleTimeService');
+const ForecastService = require('./forecastService');
+const ProfitLossService = require('./profitLossService');
+const DoraMetricsService = require('./doraMetricsService');
+const CapacityService = require('./capacityService');
+const requestContext = require('../../utils/requestContext');
 const { 
   calculateVelocity, 
   calculateTeamPerformance, 
@@ -11,9 +26,25 @@ const {
   calculateSprintMetrics
 } = require('../utils/dataTransformers');
 
+// Work item types counted in period metrics
+const PERIOD_WORK_ITEM_TYPES = ['Task', 'Bug', 'User Story', 'Feature'];
+
 class MetricsCalculatorService {
   constructor(azureDevOpsService) {
     this.azureService = azureDevOpsService;
+    this.workItemStore = workItemStore;
+    this.financialStore = financialStore;
+    this.deliveryEventStore = deliveryEventStore;
+    this.surveyService = surveyService;
+    this.notificationService = notificationService;
+    this.alertRuleService = alertRuleService;
+    this.burndownService = new BurndownService(azureDevOpsService);
+    this.cumulativeFlowService = new CumulativeFlowService(azureDevOpsService);
+    this.cycleTimeService = new CycleTimeService(azureDevOpsService);
+    this.forecastService = new ForecastService();
+    this.profitLossService = new ProfitLossService();
+    this.doraMetricsService = new DoraMetricsService();
+    this.capacityService = new CapacityService();
     this.cache = new Map();
     this.cacheTTL = 5 * 60 * 1000; // 5 minutes
   }
@@ -81,10 +112,13 @@ class MetricsCalculatorService {
       const teamPerformance = calculateTeamPerformance(workItems);
       
       // Calculate KPIs - currentSprint not needed since we have work items and context
-      const kpis = await this.calculateKPIs(workItems, null);
+      const kpis = await this.calculateKPIs(workItems, null, productId);
       
       // Calculate trends
-      const trends = await this.calculateTrends(period);
+      const trends = await this.calculateTrends(period, productId);
+
+      const alerts = await this.generateAlerts(workItems, kpis, productId);
+      this.notificationService.notify(alerts, { source: 'kpi', productId });
       
       const overview = {
         period: {
@@ -103,7 +137,7 @@ class MetricsCalculatorService {
         },
         kpis,
         trends,
-        alerts: await this.generateAlerts(workItems, kpis)
+        alerts
       };
 
       this.setCache(cacheKey, overview);
@@ -142,6 +176,8 @@ class MetricsCalculatorService {
       const quality = calculateQualityMetrics(workItems);
       const teamPerformance = calculateTeamPerformance(workItems);
       const sprintMetrics = calculateSprintMetrics(workItems, sprintInfo);
+      const risks = this.identifyRisks(sprintMetrics, quality);
+      this.notificationService.notify(risks, { source: 'risk', productId });
       
       const metrics = {
         productId,
@@ -178,7 +214,7 @@ class MetricsCalculatorService {
           satisfaction: await this.getTeamSatisfaction(productId),
           utilization: this.calculateUtilization(teamPerformance),
         },
-        risks: this.identifyRisks(sprintMetrics, quality)
+        risks
       };
 
       this.setCache(cacheKey, metrics);
@@ -251,8 +287,12 @@ class MetricsCalculatorService {
    * @private
    */
   async getWorkItemsForPeriod({ startDate, endDate, productId }) {
+    // The Azure query and the local store read must cover the same items
+    const areaPath = productId && productId !== 'all-projects' ? productId : null;
+    const workItemTypes = PERIOD_WORK_ITEM_TYPES;
     let queryOptions = {
-      maxResults: 2000
+      maxResults: 2000,
+      workItemTypes
     };
 
     if (startDate && endDate) {
@@ -263,16 +303,25 @@ class MetricsCalculatorService {
                [System.IterationPath], [Microsoft.VSTS.Common.Priority]
         FROM WorkItems 
         WHERE [System.TeamProject] = @project 
-        AND [System.WorkItemType] IN ('Task', 'Bug', 'User Story', 'Feature')
+        AND [System.WorkItemType] IN (${workItemTypes.map(type => `'${type}'`).join(', ')})
         AND [System.State] <> 'Removed'
         AND [System.ChangedDate] >= '${startDate}'
         AND [System.ChangedDate] <= '${endDate}'
+        ${areaPath ? `AND [System.AreaPath] UNDER '${areaPath.replace(/'/g, "''")}'` : ''}
         ORDER BY [System.ChangedDate] DESC
       `;
     }
 
-    if (productId) {
-      queryOptions.areaPath = productId;
+    if (areaPath) {
+      queryOptions.areaPath = areaPath;
+    }
+
+    const storedItems = await this.getStoredWorkItems(
+      mapFrontendProjectToAzure(productId) || this.azureService.project,
+      { startDate, endDate, areaPath, workItemTypes }
+    );
+    if (storedItems) {
+      return storedItems;
     }
 
     const response = await this.azureService.getWorkItems(queryOptions);
@@ -322,6 +371,11 @@ class MetricsCalculatorService {
       }
     }
 
+    const storedItems = await this.getStoredWorkItems(azureProjectName, { iterationPath: queryOptions.iterationPath });
+    if (storedItems) {
+      return storedItems;
+    }
+
     console.log(`📊 Frontend Project: "${productId}" → Azure Project: "${azureProjectName}" with options:`, queryOptions);
     const response = await this.azureService.getWorkItems(queryOptions);
     
@@ -335,17 +389,41 @@ class MetricsCalculatorService {
   }
 
 
+  /**
+   * Read work items from the local store when it has been synced for the project.
+   * The store is synced under the service identity, so callers using their own
+   * Azure DevOps identity always read from Azure DevOps.
+   * @private
+   * @returns {Promise<Array|null>} Work items, or null to fall back to Azure DevOps
+   */
+  async getStoredWorkItems(projectName, filters = {}) {
+    if (!projectName || requestContext.getAzureUserId() || !this.workItemStore.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const lastChanged = await this.workItemStore.getLastChangedDate(projectName);
+      if (!lastChanged) {
+        return null; // Not synced yet
+      }
+      return await this.workItemStore.getWorkItems(projectName, filters);
+    } catch (error) {
+      console.warn(`⚠️ Local work item store read failed for ${projectName}: ${error.message}. Using Azure DevOps.`);
+      return null;
+    }
+  }
+
   /**
    * Calculate KPIs
    * @private
    */
-  async calculateKPIs(workItems, currentSprint) {
+  async calculateKPIs(workItems, currentSprint, productId) {
     const velocity = calculateVelocity(workItems);
     const quality = calculateQualityMetrics(workItems);
     
     return {
       deliveryPredictability: this.calculateDeliveryPredictability(workItems, currentSprint),
-      teamSatisfaction: await this.getTeamSatisfaction() || 7.6,
+      teamSatisfaction: await this.getTeamSatisfaction(productId),
       codeQuality: this.calculateQualityScore(quality),
       defectEscapeRate: this.calculateDefectEscapeRate(quality),
       cycleTime: parseFloat(await this.calculateAverageCycleTime(workItems)),
@@ -380,8 +458,12 @@ class MetricsCalculatorService {
    * Calculate trends data
    * @private
    */
-  async calculateTrends(period) {
-    // Historical trends analysis requires external data processing
+  async calculateTrends(period, productId) {
+    const satisfaction = await this.calculateSatisfactionMetrics(productId);
+    const history = satisfaction.history || [];
+    const previous = history.length > 1 ? history[history.length - 2] : null;
+
+    // Velocity and quality history lives in /api/metrics/trends; satisfaction comes from surveys
     return {
       velocity: {
         current: 'Processing...',
@@ -400,12 +482,13 @@ class MetricsCalculatorService {
         message: 'Analyzing historical quality trends'
       },
       satisfaction: {
-        current: 'Processing...',
-        previous: 'Processing...',
-        trend: 'Processing...',
-        change: 'Processing...',
-        status: 'processing',
-        message: 'Analyzing historical satisfaction trends'
+        current: satisfaction.value,
+        previous: previous ? previous.csat : null,
+        trend: satisfaction.trend > 0 ? 'increasing' : satisfaction.trend < 0 ? 'decreasing' : 'stable',
+        change: satisfaction.trendValue,
+        history,
+        status: satisfaction.status,
+        message: satisfaction.message
       },
       dataSource: 'pending_historical_analysis'
     };
@@ -415,44 +498,19 @@ class MetricsCalculatorService {
    * Generate alerts based on metrics
    * @private
    */
-  async generateAlerts(workItems, kpis) {
-    const alerts = [];
-    
-    // Check for low velocity
-    if (kpis.deliveryPredictability < 70) {
-      alerts.push({
-        type: 'warning',
-        message: 'Delivery predictability is below target (70%)',
-        severity: 'medium',
-        metric: 'deliveryPredictability',
-        value: kpis.deliveryPredictability
-      });
-    }
-    
-    // Check for high bug count
+  async generateAlerts(workItems, kpis, productId = null) {
     const quality = calculateQualityMetrics(workItems);
-    if (quality.openBugs > 20) {
-      alerts.push({
-        type: 'error',
-        message: `High number of open bugs: ${quality.openBugs}`,
-        severity: 'high',
-        metric: 'bugCount',
-        value: quality.openBugs
-      });
-    }
-    
-    // Check for cycle time
-    if (kpis.cycleTime > 10) {
-      alerts.push({
-        type: 'warning',
-        message: `Cycle time is high: ${kpis.cycleTime} days`,
-        severity: 'medium',
-        metric: 'cycleTime',
-        value: kpis.cycleTime
-      });
-    }
-    
-    return alerts;
+    const product = productId && productId !== 'all-projects' ? productId : null;
+
+    // Thresholds come from the alert rules for this product (or its team)
+    return this.alertRuleService.check({
+      deliveryPredictability: kpis.deliveryPredictability,
+      openBugs: quality.openBugs,
+      cycleTime: kpis.cycleTime
+    }, {
+      productId: product,
+      teamName: product ? this.resolveProductTeam(product).teamName : null
+    });
   }
 
   /**
@@ -581,6 +639,16 @@ class MetricsCalculatorService {
       const timeline = this.generateUserTimeline(workItems, startDate, endDate);
       const trends = this.calculateTrendsFromHistory(performanceHistory);
       const burndown = this.calculateUserBurndown(workItems, startDate, endDate);
+
+      // Alerts need work to judge; bugRatio is a percentage here but a fraction in generateUserAlerts
+      const alerts = workItems.length > 0
+        ? await this.generateUserAlerts(
+          { completionRate: performance.completionRate, averageCycleTime: performance.averageTaskCompletionTime },
+          { bugRatio: (quality.bugRatio || 0) / 100 },
+          { userId, productId }
+        )
+        : [];
+      this.notificationService.notify(alerts, { source: 'individual', productId, subject: userId });
       
       // Get user information from team members
       const userInfo = await this.getUserInfoFromTeamMembers(userId);
@@ -618,11 +686,14 @@ class MetricsCalculatorService {
             .slice(0, 5)
             .map(item => ({
               id: item.id,
+              rev: item.rev,
               title: item.title,
               type: item.type,
               state: item.state,
               storyPoints: item.storyPoints,
               priority: item.priority,
+              tags: item.tags,
+              iterationPath: item.iterationPath,
               url: item.url
             }))
         },
@@ -637,6 +708,7 @@ class MetricsCalculatorService {
         burndown: burndown || [],
         timeline: timeline || [],
         capacity: capacityData,
+        alerts,
         cached: false,
         lastUpdate: new Date().toISOString()
       };
@@ -684,6 +756,18 @@ class MetricsCalculatorService {
       `;
     }
 
+    // Stored snapshots are keyed by email; other identifiers go to Azure DevOps
+    if (queryOptions.projectName && String(userId).includes('@')) {
+      const storedItems = await this.getStoredWorkItems(queryOptions.projectName, {
+        assigneeEmail: userId,
+        startDate,
+        endDate
+      });
+      if (storedItems) {
+        return storedItems;
+      }
+    }
+
     const response = await this.azureService.getWorkItems(queryOptions);
     
     if (response.workItems.length > 0) {
@@ -1041,11 +1125,14 @@ class MetricsCalculatorService {
       ...categorized,
       recent: recentItems.map(item => ({
         id: item.id,
+        rev: item.rev,
         title: item.title,
         type: item.type,
         state: item.state,
         storyPoints: item.storyPoints,
         priority: item.priority,
+        tags: item.tags,
+        iterationPath: item.iterationPath,
         url: item.url // Use the URL directly from the transformed work item
       }))
     };
@@ -1224,40 +1311,16 @@ class MetricsCalculatorService {
     };
   }
 
-  generateUserAlerts(performance, quality) {
-    const alerts = [];
-    
-    if (performance.completionRate < 60) {
-      alerts.push({
-        type: 'warning',
-        message: 'Task completion rate is below expected threshold',
-        severity: 'medium',
-        metric: 'completion_rate',
-        value: performance.completionRate
-      });
-    }
-    
-    if (quality.bugRatio > 0.2) {
-      alerts.push({
-        type: 'error',
-        message: 'High bug-to-task ratio indicates quality concerns',
-        severity: 'high',
-        metric: 'bug_ratio',
-        value: quality.bugRatio
-      });
-    }
-    
-    if (performance.averageCycleTime > 10) {
-      alerts.push({
-        type: 'info',
-        message: 'Cycle time is higher than team average',
-        severity: 'low',
-        metric: 'cycle_time',
-        value: performance.averageCycleTime
-      });
-    }
-    
-    return alerts;
+  /**
+   * Alerts for one user's performance, using the alert rules for that user
+   * @private
+   */
+  async generateUserAlerts(performance, quality, { userId = null, productId = null } = {}) {
+    return this.alertRuleService.check({
+      completionRate: performance.completionRate,
+      bugRatio: quality.bugRatio,
+      userCycleTime: performance.averageCycleTime
+    }, { userId, productId });
   }
 
   generateTrendData(metric, points) {
@@ -1306,13 +1369,43 @@ class MetricsCalculatorService {
   // Placeholder methods for data that requires additional Azure DevOps API calls
   async getTotalProducts() { return 5; }
   async getActiveProjects() { return 12; }
-  async getTestCoverage() { 
-    return {
-      value: 'Processing...',
-      status: 'processing',
-      message: 'Integrating with code coverage analysis tools',
-      dataSource: 'pending_coverage_integration'
-    };
+  /**
+   * Line coverage reported by the product's latest build (build.complete service hook)
+   * @param {string} productId - Product identifier
+   * @returns {Promise<object>} { value (percent), buildNumber, measuredAt, status, ... }
+   */
+  async getTestCoverage(productId) {
+    const noData = (message, status = 'no_data') => ({
+      value: null,
+      status,
+      message,
+      dataSource: 'azure_devops_builds'
+    });
+
+    if (!this.deliveryEventStore.isAvailable()) {
+      return noData('Build coverage requires a database connection');
+    }
+
+    try {
+      const build = await this.deliveryEventStore.getLatestCoverage(mapFrontendProjectToAzure(productId) || this.azureService.project);
+      if (!build) {
+        return noData('No build has reported code coverage yet');
+      }
+
+      return {
+        value: build.coverage,
+        unit: '%',
+        buildId: build.sourceId,
+        buildNumber: build.title,
+        pipeline: build.repository,
+        measuredAt: build.completedAt,
+        status: 'ok',
+        dataSource: 'azure_devops_builds'
+      };
+    } catch (error) {
+      console.error('Error reading build coverage:', error);
+      return noData('Build coverage is temporarily unavailable', 'error');
+    }
   }
   async getTechnicalDebtScore() { 
     return {
@@ -1330,13 +1423,9 @@ class MetricsCalculatorService {
       dataSource: 'pending_collaboration_analysis'
     };
   }
-  async getTeamSatisfaction() { 
-    return {
-      value: 'Processing...',
-      status: 'processing',
-      message: 'Integrating with team satisfaction survey systems',
-      dataSource: 'pending_survey_integration'
-    };
+  async getTeamSatisfaction(productId) {
+    const { value, nps, responses, status, message, dataSource } = await this.calculateSatisfactionMetrics(productId);
+    return { value, nps, responses, status, message, dataSource };
   }
   async getVelocityTrend() { return 'increasing'; }
   async getVelocityHistory() { return [42.1, 44.5, 47.2, 45.8]; }
@@ -1386,9 +1475,9 @@ class MetricsCalculatorService {
     return risks;
   }
 
-  // Cache management
+  // Cache management (keys are per Azure DevOps identity, so OAuth users only see their own data)
   getFromCache(key) {
-    const cached = this.cache.get(key);
+    const cached = this.cache.get(requestContext.scopeKey(key));
     if (cached && (Date.now() - cached.timestamp) < this.cacheTTL) {
       return cached.data;
     }
@@ -1396,7 +1485,7 @@ class MetricsCalculatorService {
   }
 
   setCache(key, data) {
-    this.cache.set(key, {
+    this.cache.set(requestContext.scopeKey(key), {
       data,
       timestamp: Date.now()
     });
@@ -1431,8 +1520,8 @@ class MetricsCalculatorService {
         workItems = this.generateMockBurndownWorkItems(productId);
       }
       
-      // Calculate P/L metrics (mock implementation)
-      const pl = await this.calculatePLMetrics(workItems, productId);
+      // P/L comes from imported financial data, not Azure DevOps
+      const pl = await this.calculatePLMetrics(productId);
       
       // Calculate velocity metrics (completed story points)
       const velocity = calculateVelocity(workItems);
@@ -1443,16 +1532,19 @@ class MetricsCalculatorService {
       // Calculate bug metrics
       const bugs = this.calculateBugMetrics(workItems);
       
-      // Calculate satisfaction metrics (mock implementation)
-      const satisfaction = await this.calculateSatisfactionMetrics(workItems);
+      // Stakeholder satisfaction from delivery surveys
+      const satisfaction = await this.calculateSatisfactionMetrics(productId);
 
       const kpis = {
         pl: {
           value: pl.value,
           trend: pl.trend,
           trendValue: pl.trendValue,
-          period: 'YTD',
+          period: pl.period,
           target: pl.target,
+          attainment: pl.attainment,
+          through: pl.through,
+          currency: pl.currency,
           status: pl.status,
           message: pl.message,
           dataSource: pl.dataSource
@@ -1483,6 +1575,9 @@ class MetricsCalculatorService {
           target: 4.5,
           status: satisfaction.status,
           message: satisfaction.message,
+          nps: satisfaction.nps,
+          responses: satisfaction.responses,
+          delivery: satisfaction.delivery,
           dataSource: satisfaction.dataSource
         }
       };
@@ -1502,8 +1597,8 @@ class MetricsCalculatorService {
    * @returns {Promise<Array>} Burndown data points
    */
   async calculateSprintBurndown(options = {}) {
-    const { sprintId, productId } = options;
-    const cacheKey = `sprint_burndown_${sprintId}_${productId}`;
+    const { sprintId, productId, metric = 'storyPoints' } = options;
+    const cacheKey = `sprint_burndown_${sprintId}_${productId}_${metric}`;
     
     const cached = this.getFromCache(cacheKey);
     if (cached) {
@@ -1511,11 +1606,29 @@ class MetricsCalculatorService {
     }
 
     try {
+      // Prefer replaying revision history when the sprint resolves to a real iteration
+      const sprintInfo = await this.getSprintData(sprintId, productId);
+      if (sprintInfo?.path) {
+        try {
+          const { azureProjectName } = this.resolveProductTeam(productId);
+          const replayed = await this.burndownService.calculate({
+            sprint: sprintInfo,
+            projectName: azureProjectName,
+            metric
+          });
+          if (replayed.length > 0 && replayed.some(point => point.totalScope > 0)) {
+            this.setCache(cacheKey, replayed);
+            return replayed;
+          }
+        } catch (error) {
+          console.warn(`⚠️ Revision replay failed for ${productId}: ${error.message}. Using current snapshot.`);
+        }
+      }
+
       // Get current sprint work items
       let workItems = await this.getWorkItemsForProduct(productId, { sprintId });
       
-      // Get sprint iteration data
-      const sprintData = await this.getSprintData(sprintId, productId);
+      const sprintData = sprintInfo;
       const sprintDuration = this.calculateSprintDuration(sprintData);
       
       // If no work items found (e.g., for DaaS), use mock data for realistic burndown
@@ -1535,6 +1648,353 @@ class MetricsCalculatorService {
     }
   }
 
+  /**
+   * Calculate cumulative flow (daily work item counts per state)
+   * @param {object} options - Calculation options
+   * @param {string} options.productId - Frontend product identifier
+   * @param {string} options.startDate - First day (YYYY-MM-DD), defaults to 30 days ago
+   * @param {string} options.endDate - Last day (YYYY-MM-DD), defaults to today
+   * @param {string} options.workItemType - Optional single work item type
+   * @returns {Promise<object>} { states, data, startDate, endDate }
+   */
+  async calculateCumulativeFlow(options = {}) {
+    const { productId, workItemType } = options;
+    const endDate = options.endDate || new Date().toISOString().split('T')[0];
+    const startDate = options.startDate ||
+      new Date(new Date(`${endDate}T00:00:00Z`).getTime() - 29 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const cacheKey = `cumulative_flow_${productId}_${startDate}_${endDate}_${workItemType || 'all'}`;
+
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const { azureProjectName } = this.resolveProductTeam(productId);
+      const flow = await this.cumulativeFlowService.calculate({
+        projectName: azureProjectName,
+        startDate,
+        endDate,
+        ...(workItemType && { workItemTypes: [workItemType] })
+      });
+
+      const result = { productId, startDate, endDate, workItemType: workItemType || null, ...flow };
+      this.setCache(cacheKey, result);
+      return result;
+
+    } catch (error) {
+      console.error('Error calculating cumulative flow:', error);
+      throw new Error(`Failed to calculate cumulative flow: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate per-item cycle time (first Active to final Closed) with percentiles
+   * @param {object} options - Calculation options
+   * @param {string} options.productId - Frontend product identifier
+   * @param {string} options.startDate - First close day (YYYY-MM-DD), defaults to 90 days ago
+   * @param {string} options.endDate - Last close day (YYYY-MM-DD), defaults to today
+   * @param {string} options.workItemType - Optional single work item type
+   * @returns {Promise<object>} { items, percentiles, leadTimePercentiles, byType, count, excluded }
+   */
+  async calculateCycleTimeDistribution(options = {}) {
+    const { productId, workItemType } = options;
+    const endDate = options.endDate || new Date().toISOString().split('T')[0];
+    const startDate = options.startDate ||
+      new Date(new Date(`${endDate}T00:00:00Z`).getTime() - 89 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const cacheKey = `cycle_time_${productId}_${startDate}_${endDate}_${workItemType || 'all'}`;
+
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const { azureProjectName } = this.resolveProductTeam(productId);
+      const distribution = await this.cycleTimeService.calculate({
+        projectName: azureProjectName,
+        startDate,
+        endDate,
+        ...(workItemType && { workItemTypes: [workItemType] })
+      });
+
+      const result = {
+        productId,
+        startDate,
+        endDate,
+        workItemType: workItemType || null,
+        ...distribution,
+        items: distribution.items.map(item => ({
+          ...item,
+          url: this.generateWorkItemUrl(item.id, azureProjectName)
+        }))
+      };
+      this.setCache(cacheKey, result);
+      return result;
+
+    } catch (error) {
+      console.error('Error calculating cycle time distribution:', error);
+      throw new Error(`Failed to calculate cycle time distribution: ${error.message}`);
+    }
+  }
+
+  /**
+   * Monte Carlo delivery forecast from completed sprint history
+   * @param {object} options - Forecast options
+   * @param {string} options.productId - Frontend product identifier
+   * @param {number} options.remainingPoints - Remaining story points (overrides the backlog)
+   * @param {number} options.remainingItems - Remaining work items (overrides the backlog)
+   * @param {string} options.areaPath - Count remaining work from open items under this area path
+   * @param {string} options.targetDate - Also forecast how much gets done by this date
+   * @param {number} options.range - Number of past sprints to sample from
+   * @returns {Promise<object>} { history, remaining, completion, byDate }
+   */
+  async calculateForecast(options = {}) {
+    const { productId, areaPath = null, targetDate = null, range = 10 } = options;
+    const cacheKey = `forecast_${productId}_${areaPath}_${options.remainingPoints}_${options.remainingItems}_${targetDate}_${range}`;
+
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      // Oldest first so the history reads left to right
+      const sprints = (await this.getHistoricalSprints(range, productId)).reverse();
+      const throughput = [];
+      for (const sprint of sprints) {
+        const commitment = await this.getSprintCommitment(sprint, productId);
+        throughput.push({
+          sprint: sprint.name,
+          endDate: sprint.endDate,
+          points: commitment.completedStoryPoints,
+          items: commitment.completedTasks
+        });
+      }
+
+      const remaining = await this.resolveRemainingWork(options);
+      const cadenceDays = this.getSprintCadence(sprints);
+      const lastSprintEnd = sprints.length ? new Date(sprints[sprints.length - 1].endDate) : new Date();
+      const deliveryDate = (deliveries) => deliveries === null ? null :
+        new Date(lastSprintEnd.getTime() + deliveries * cadenceDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      const completionFor = (unit) => {
+        if (remaining[unit] === null) return null;
+        const deliveries = this.forecastService.forecastDeliveries(throughput.map(t => t[unit]), remaining[unit]);
+        if (!deliveries) return null;
+        return Object.fromEntries(Object.entries(deliveries).map(([confidence, count]) => [
+          confidence,
+          { deliveries: count, date: deliveryDate(count) }
+        ]));
+      };
+
+      let byDate = null;
+      if (targetDate) {
+        const deliveries = Math.min(ForecastService.MAX_DELIVERIES, Math.max(0, Math.floor(
+          (new Date(targetDate) - lastSprintEnd) / (cadenceDays * 24 * 60 * 60 * 1000)
+        )));
+        byDate = {
+          targetDate,
+          deliveries,
+          points: this.forecastService.forecastAmount(throughput.map(t => t.points), deliveries),
+          items: this.forecastService.forecastAmount(throughput.map(t => t.items), deliveries)
+        };
+      }
+
+      const result = {
+        productId,
+        areaPath,
+        history: {
+          sprints: sprints.length,
+          cadenceDays,
+          lastSprintEnd: sprints.length ? lastSprintEnd.toISOString() : null,
+          throughput
+        },
+        remaining,
+        completion: {
+          points: completionFor('points'),
+          items: completionFor('items')
+        },
+        byDate,
+        trials: this.forecastService.trials
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+
+    } catch (error) {
+      console.error('Error calculating forecast:', error);
+      throw new Error(`Failed to calculate forecast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calculate per-member capacity against remaining work for a delivery
+   * @param {object} options - Calculation options
+   * @param {string} options.productId - Frontend product identifier
+   * @param {string} options.sprintId - Iteration id, name or path, defaults to the current one
+   * @param {string} options.asOf - Count available hours from this day (YYYY-MM-DD), defaults to today
+   * @returns {Promise<object>} { sprint, fromDate, workingDays, members, unplanned, totals, status }
+   */
+  async calculateCapacity(options = {}) {
+    const { productId, sprintId = 'current' } = options;
+    const cacheKey = `capacity_${productId}_${sprintId}_${options.asOf}`;
+
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const { azureProjectName, teamName } = this.resolveProductTeam(productId);
+      const sprint = await this.getSprintData(sprintId, productId);
+      const startDay = sprint.startDate.split('T')[0];
+      const endDay = sprint.endDate.split('T')[0];
+      // Remaining work is as of today, so only the hours still ahead count as available
+      const today = options.asOf || new Date().toISOString().split('T')[0];
+      const fromDate = today > startDay ? today : startDay;
+
+      const result = {
+        productId,
+        team: teamName,
+        sprint,
+        fromDate,
+        workingDays: fromDate > endDay ? 0 : this.calculateWorkingDays(fromDate, endDay),
+        members: [],
+        unplanned: [],
+        totals: null,
+        status: 'no_data',
+        message: null
+      };
+
+      // Without a resolved iteration (Azure DevOps disabled) there is no capacity to read
+      if (!sprint.path) {
+        result.message = `Iteration "${sprintId}" was not found in Azure DevOps`;
+        return result;
+      }
+
+      const [capacity, teamDaysOff] = await Promise.all([
+        this.azureService.getTeamCapacity(teamName, sprint.id, azureProjectName),
+        this.azureService.getTeamDaysOff(teamName, sprint.id, azureProjectName)
+      ]);
+
+      const members = (capacity.teamCapacity || []).map(member => {
+        const daysOff = [...(member.daysOff || []), ...teamDaysOff];
+        const workingDays = result.workingDays > 0 ? this.calculateWorkingDays(fromDate, endDay, daysOff) : 0;
+        return {
+          id: member.teamMember?.id,
+          displayName: member.teamMember?.displayName,
+          uniqueName: member.teamMember?.uniqueName,
+          imageUrl: member.teamMember?.imageUrl,
+          activities: member.activities || [],
+          workingDays,
+          daysOff: result.workingDays - workingDays
+        };
+      });
+
+      const workItems = await this.getWorkItemsForIteration(azureProjectName, sprint.path);
+      const allocation = this.capacityService.allocate(members, workItems);
+
+      Object.assign(result, allocation, {
+        teamDaysOff,
+        status: members.length > 0 ? 'real' : 'no_data',
+        message: members.length > 0 ? null : `No capacity is set for ${sprint.name} in Azure DevOps`
+      });
+
+      this.setCache(cacheKey, result);
+      return result;
+
+    } catch (error) {
+      console.error('Error calculating capacity:', error);
+      throw new Error(`Failed to calculate capacity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work items in an iteration, from the local store when synced
+   * @private
+   */
+  async getWorkItemsForIteration(projectName, iterationPath) {
+    const storedItems = await this.getStoredWorkItems(projectName, { iterationPath });
+    if (storedItems) {
+      return storedItems;
+    }
+
+    const response = await this.azureService.getWorkItems({
+      projectName,
+      iterationPath,
+      workItemTypes: ['Task', 'Bug', 'User Story'],
+      maxResults: 2000
+    });
+    if (!response.workItems || response.workItems.length === 0) {
+      return [];
+    }
+
+    const details = await this.azureService.getWorkItemDetails(response.workItems.map(wi => wi.id), null, projectName);
+    return details.workItems || [];
+  }
+
+  /**
+   * Remaining work for a forecast: explicit amounts win, otherwise count the open backlog
+   * @private
+   */
+  async resolveRemainingWork({ productId, remainingPoints, remainingItems, areaPath }) {
+    const hasPoints = remainingPoints !== undefined && remainingPoints !== null;
+    const hasItems = remainingItems !== undefined && remainingItems !== null;
+
+    if ((hasPoints || hasItems) && !areaPath) {
+      return {
+        source: 'input',
+        points: hasPoints ? Number(remainingPoints) : null,
+        items: hasItems ? Number(remainingItems) : null
+      };
+    }
+
+    const { azureProjectName } = this.resolveProductTeam(productId);
+    const doneStates = ['Closed', 'Done', 'Resolved', 'Removed'];
+    const escape = (value) => String(value).replace(/'/g, "''");
+    const response = await this.azureService.getWorkItems({
+      projectName: azureProjectName,
+      customQuery: `
+        SELECT [System.Id]
+        FROM WorkItems
+        WHERE [System.TeamProject] = '${escape(azureProjectName)}'
+        AND [System.WorkItemType] IN ('User Story', 'Bug')
+        AND [System.State] NOT IN (${doneStates.map(state => `'${state}'`).join(', ')})
+        ${areaPath ? `AND [System.AreaPath] UNDER '${escape(areaPath)}'` : ''}
+      `.trim(),
+      maxResults: 5000
+    });
+
+    const ids = (response.workItems || []).map(wi => wi.id);
+    const details = ids.length ? await this.azureService.getWorkItemDetails(ids, null, azureProjectName) : { workItems: [] };
+    const openItems = details.workItems || [];
+
+    return {
+      source: areaPath ? 'areaPath' : 'backlog',
+      points: hasPoints ? Number(remainingPoints) : openItems.reduce((sum, item) => sum + (item.storyPoints || 0), 0),
+      items: hasItems ? Number(remainingItems) : openItems.length
+    };
+  }
+
+  /**
+   * Days between sprint starts, falling back to the sprint length rounded up to whole weeks
+   * @private
+   */
+  getSprintCadence(sprints) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    if (sprints.length >= 2) {
+      const first = new Date(sprints[0].startDate);
+      const last = new Date(sprints[sprints.length - 1].startDate);
+      return Math.max(1, Math.round((last - first) / DAY_MS / (sprints.length - 1)));
+    }
+    if (sprints.length === 1) {
+      const length = (new Date(sprints[0].endDate) - new Date(sprints[0].startDate)) / DAY_MS + 1;
+      return Math.ceil(length / 7) * 7;
+    }
+    return 14;
+  }
+
   /**
    * Calculate team velocity trend data
    * @param {object} options - Calculation options
@@ -1550,47 +2010,28 @@ class MetricsCalculatorService {
     }
 
     try {
-      // 1) Get real iterations from Azure DevOps for the selected project
-      const iterations = await this.azureService.iterationResolver.getProjectIterations(
-        productId || this.azureService.project,
-        null
-      );
-
-      // 2) Pick latest N iterations by start date, excluding future sprints
-      const now = new Date();
-      const sorted = (iterations || [])
-        .filter(iter => iter.attributes?.startDate)
-        .filter(iter => new Date(iter.attributes.startDate) <= now) // Exclude future sprints
-        .sort((a, b) => new Date(b.attributes.startDate) - new Date(a.attributes.startDate))
-        .slice(0, parseInt(range, 10));
-
+      const sprints = await this.getHistoricalSprints(range, productId);
       const velocityTrend = [];
 
-      for (const iter of sorted) {
-        const sprintName = iter.name;
-        // 3) Fetch work items for each sprint and compute real commitment/velocity
-        const workItems = await this.getWorkItemsForProduct(productId, { sprintId: sprintName });
-
-        const commitmentStoryPoints = workItems.reduce((sum, wi) => sum + (wi.storyPoints || 0), 0);
-        const v = calculateVelocity(workItems, iter.attributes?.startDate, iter.attributes?.finishDate);
-
-        // Extract sprint number if present
-        const match = sprintName.match(/(\d+)/);
-        const sprintNumber = match ? parseInt(match[1]) : 0;
+      // Oldest first so the chart reads left to right
+      for (const sprint of [...sprints].reverse()) {
+        const commitment = await this.getSprintCommitment(sprint, productId);
 
         velocityTrend.push({
-          sprint: sprintName,
-          velocity: Number(v.storyPoints) || 0,
-          commitment: Number(commitmentStoryPoints) || 0,
-          completed: Number(v.storyPoints) || 0,
-          average: Number(v.averageStoryPointsPerTask) || 0,
-          sprintNumber,
+          sprint: sprint.name,
+          velocity: commitment.completedStoryPoints,
+          commitment: commitment.storyPoints,
+          completed: commitment.completedStoryPoints,
+          average: commitment.averageStoryPointsPerTask,
+          committedItems: commitment.tasks,
+          completedItems: commitment.completedTasks,
+          completionRate: commitment.completionRate,
+          sprintNumber: sprint.number,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
         });
       }
 
-      // 4) Return chronologically ascending by start date (or sprint number when available)
-      velocityTrend.sort((a, b) => a.sprintNumber - b.sprintNumber);
-
       this.setCache(cacheKey, velocityTrend);
       return velocityTrend;
       
@@ -1600,6 +2041,113 @@ class MetricsCalculatorService {
     }
   }
 
+  /**
+   * Calculate a historical trend for one metric from completed sprints
+   * @param {object} options - Calculation options
+   * @param {string} options.metric - velocity | commitment | predictability | throughput
+   * @param {string} options.period - sprint | month | quarter (sprints are grouped by end date)
+   * @param {number} options.range - Number of sprints to analyse
+   * @param {string} options.productId - Frontend product identifier
+   * @returns {Promise<object>} Trend points and summary
+   */
+  async calculateHistoricalTrends(options = {}) {
+    const { metric, period = 'sprint', range = 6, productId } = options;
+    const cacheKey = `historical_trends_${metric}_${period}_${range}_${productId}`;
+
+    const cached = this.getFromCache(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const sprintTrend = await this.calculateVelocityTrend({ period: 'sprint', range, productId });
+
+      // Group sprints into reporting buckets
+      const buckets = new Map();
+      for (const sprint of sprintTrend) {
+        const end = new Date(sprint.endDate);
+        let key = sprint.sprint;
+        if (period === 'month') {
+          key = `${end.getUTCFullYear()}-${String(end.getUTCMonth() + 1).padStart(2, '0')}`;
+        } else if (period === 'quarter') {
+          key = `${end.getUTCFullYear()}-Q${Math.floor(end.getUTCMonth() / 3) + 1}`;
+        }
+
+        const bucket = buckets.get(key) || {
+          period: key,
+          committedPoints: 0,
+          completedPoints: 0,
+          committedItems: 0,
+          completedItems: 0,
+          sprints: [],
+          timestamp: sprint.endDate
+        };
+        bucket.committedPoints += sprint.commitment;
+        bucket.completedPoints += sprint.completed;
+        bucket.committedItems += sprint.committedItems;
+        bucket.completedItems += sprint.completedItems;
+        bucket.sprints.push(sprint.sprint);
+        bucket.timestamp = sprint.endDate;
+        buckets.set(key, bucket);
+      }
+
+      const round = (value) => Math.round(value * 10) / 10;
+      const data = [...buckets.values()].map(bucket => {
+        const predictability = bucket.committedPoints > 0
+          ? (bucket.completedPoints / bucket.committedPoints) * 100
+          : 0;
+        const values = {
+          velocity: { value: bucket.completedPoints, target: bucket.committedPoints },
+          commitment: { value: bucket.committedPoints, target: bucket.committedPoints },
+          predictability: { value: predictability, target: 80 },
+          throughput: { value: bucket.completedItems, target: bucket.committedItems }
+        }[metric];
+
+        return {
+          period: bucket.period,
+          value: round(values.value),
+          target: round(values.target),
+          committed: bucket.committedPoints,
+          completed: bucket.completedPoints,
+          sprints: bucket.sprints,
+          timestamp: bucket.timestamp
+        };
+      });
+
+      const series = data.map(point => point.value);
+      const average = series.length > 0 ? series.reduce((sum, v) => sum + v, 0) / series.length : 0;
+      const variance = series.length > 0
+        ? Math.sqrt(series.reduce((sum, v) => sum + Math.pow(v - average, 2), 0) / series.length)
+        : 0;
+      const current = series.length > 0 ? series[series.length - 1] : 0;
+      const previous = series.length > 1 ? series[series.length - 2] : current;
+      let trend = 'stable';
+      if (previous > 0 && Math.abs(current - previous) / previous > 0.05) {
+        trend = current > previous ? 'increasing' : 'decreasing';
+      }
+
+      const result = {
+        metric,
+        period,
+        range: parseInt(range, 10),
+        data,
+        summary: {
+          current: round(current),
+          average: round(average),
+          trend,
+          variance: round(variance)
+        }
+      };
+
+      this.setCache(cacheKey, result);
+      return result;
+
+    } catch (error) {
+      console.error('Error calculating historical trends:', error);
+      throw new Error(`Failed to calculate historical trends: ${error.message}`);
+    }
+  }
+
   /**
    * Calculate task distribution data
    * @param {object} options - Calculation options
@@ -1632,43 +2180,33 @@ class MetricsCalculatorService {
 
   // Helper methods for new calculations
 
-  async calculatePLMetrics(workItems, productId) {
-    // ✅ FIXED - Hard-code DaaS P/L to 5.5M as requested
-    if (productId === 'Product - Data as a Service' || productId === 'Product+-+Data+as+a+Service') {
+  /**
+   * Year-to-date P/L from imported revenue, cost and target figures
+   * @param {string} productId - Product identifier
+   * @returns {Promise<object>} P/L summary (value/target/trend are null without data)
+   */
+  async calculatePLMetrics(productId) {
+    if (!productId || !this.financialStore.isAvailable()) {
       return {
-        value: 5500000, // ฿5.5M
-        // trend: 15.2, // Positive trend
-        // trendValue: '+15.2%',
-        target: 5000000, // ฿5M target
-        status: 'real',
-        message: 'DaaS showing strong profitability this quarter',
-        dataSource: 'financial_systems'
+        ...this.profitLossService.summarize([]),
+        message: productId
+          ? 'Financial data requires a database connection'
+          : 'Select a product to see its P/L'
       };
     }
-    
-    // ✅ FIXED - Hard-code PMP P/L to 10.5M as requested
-    if (productId === 'Product - Partner Management Platform' || productId === 'Product+-+Partner+Management+Platform') {
+
+    try {
+      const records = await this.financialStore.getRecords(productId);
+      return this.profitLossService.summarize(records);
+    } catch (error) {
+      // A financial store outage should not take the Azure DevOps KPIs down with it
+      console.error('Error calculating P/L metrics:', error);
       return {
-        value: 10500000, // ฿10.5M
-        // trend: 22.8, // Strong positive trend
-        // trendValue: '+22.8%',
-        target: 9000000, // ฿9M target
-        status: 'real',
-        message: 'PMP delivering exceptional profitability this quarter',
-        dataSource: 'financial_systems'
+        ...this.profitLossService.summarize([]),
+        status: 'error',
+        message: 'Financial data is temporarily unavailable'
       };
     }
-    
-    // P/L calculation for other products - requires integration with financial systems
-    return {
-      value: 'Processing...',
-      trend: 'Processing...',
-      trendValue: 'Processing...',
-      target: 'Processing...',
-      status: 'processing',
-      message: 'Integrating with financial systems for real P/L data',
-      dataSource: 'pending_financial_integration'
-    };
   }
 
   calculateBugMetrics(workItems) {
@@ -1693,18 +2231,55 @@ class MetricsCalculatorService {
     };
   }
 
-  async calculateSatisfactionMetrics(workItems) {
-    // Satisfaction calculation - requires integration with survey/feedback systems
+  /**
+   * DORA metrics from pull request and deployment service hook events
+   * @param {string} productId - Product identifier (all of its Azure DevOps project)
+   * @param {object} options - { days } period ending now
+   * @returns {Promise<object>} { pullRequestReviewTime, deploymentFrequency, changeFailureRate, coverage, ... }
+   */
+  async calculateDoraMetrics(productId, { days = 30 } = {}) {
+    const azureProject = mapFrontendProjectToAzure(productId) || this.azureService.project;
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const events = await this.deliveryEventStore.getEvents(azureProject, { from: from.toISOString(), to: to.toISOString() });
     return {
-      value: 'Processing...',
-      trend: 'Processing...',
-      trendValue: 'Processing...',
-      status: 'processing',
-      message: 'Integrating with team satisfaction survey systems',
-      dataSource: 'pending_survey_integration'
+      productId: productId || null,
+      azureProject,
+      ...this.doraMetricsService.summarize(events, { from, to }),
+      testCoverage: await this.getTestCoverage(productId),
+      dataSource: 'azure_devops_service_hooks'
     };
   }
 
+  /**
+   * Stakeholder satisfaction from the product's delivery surveys
+   * @param {string} productId - Product identifier
+   * @returns {Promise<object>} Latest CSAT (1-5) and NPS with the change from the previous delivery
+   */
+  async calculateSatisfactionMetrics(productId) {
+    if (!productId || !this.surveyService.isAvailable()) {
+      return {
+        ...summarizeSatisfaction([]),
+        message: productId
+          ? 'Stakeholder surveys require a database connection'
+          : 'Select a product to see stakeholder satisfaction'
+      };
+    }
+
+    try {
+      const scores = await this.surveyService.getProductScores(productId);
+      return summarizeSatisfaction(scores);
+    } catch (error) {
+      console.error('Error calculating satisfaction metrics:', error);
+      return {
+        ...summarizeSatisfaction([]),
+        status: 'error',
+        message: 'Stakeholder survey data is temporarily unavailable'
+      };
+    }
+  }
+
   generateBurndownChart(workItems, sprintData, sprintDuration) {
     // Fix: Ensure we only count actual story points, not default to 1 for missing values  
     const totalStoryPoints = workItems.reduce((sum, item) => {
@@ -1895,39 +2470,131 @@ class MetricsCalculatorService {
     return (completed / workItems.length) * 100;
   }
 
+  /**
+   * Resolve the Azure DevOps project and team behind a frontend product
+   * @private
+   */
+  resolveProductTeam(productId) {
+    const azureProjectName = mapFrontendProjectToAzure(productId) || this.azureService.project;
+    // Azure DevOps creates "<Project> Team" as the default team for every project
+    const teamName = mapFrontendProjectToTeam(productId) || `${azureProjectName} Team`;
+    return { azureProjectName, teamName };
+  }
+
+  /**
+   * Get completed iterations for a product, most recent first
+   * @param {number} range - Number of iterations to return
+   * @param {string} productId - Frontend product identifier
+   * @returns {Promise<Array>} Iterations with id, name, path, number, startDate, endDate
+   */
   async getHistoricalSprints(range, productId) {
-    // Mock implementation using Delivery format to match PMP/DaaS conventions
-    const sprints = [];
-    
-    // DaaS-aware delivery numbering
-    const currentDelivery = (productId === 'Product - Data as a Service') ? 12 : 4;
-    
-    for (let i = 0; i < range; i++) {
-      const deliveryNumber = currentDelivery - i; // Start from current and go backwards
-      if (deliveryNumber > 0) { // Only create deliveries with valid numbers
-        sprints.push({
-          id: `delivery-${deliveryNumber}`,
-          name: `Delivery ${deliveryNumber}`,
-          number: deliveryNumber,
-          startDate: new Date(Date.now() - (i + 1) * 14 * 24 * 60 * 60 * 1000).toISOString(),
-          endDate: new Date(Date.now() - i * 14 * 24 * 60 * 60 * 1000).toISOString()
-        });
-      }
-    }
-    return sprints;
+    const { azureProjectName, teamName } = this.resolveProductTeam(productId);
+
+    const response = await this.azureService.getIterations(teamName, 'past', azureProjectName);
+    const now = new Date();
+
+    // Filter on dates as well: the timeframe filter is not honoured by every server version
+    return (response.iterations || [])
+      .filter(iter => iter.attributes?.startDate && iter.attributes?.finishDate)
+      .filter(iter => new Date(iter.attributes.finishDate) < now)
+      .sort((a, b) => new Date(b.attributes.startDate) - new Date(a.attributes.startDate))
+      .slice(0, parseInt(range, 10))
+      .map(iter => {
+        const match = (iter.name || '').match(/(\d+)/);
+        return {
+          id: iter.id,
+          name: iter.name,
+          path: iter.path,
+          number: match ? parseInt(match[1], 10) : 0,
+          startDate: iter.attributes.startDate,
+          endDate: iter.attributes.finishDate
+        };
+      });
   }
 
-  async getSprintCommitment(sprintId) {
-    // Mock implementation - would query Azure DevOps for sprint planning data
+  /**
+   * Get committed vs completed work for a sprint
+   * @param {object|string} sprint - Sprint from getHistoricalSprints, or a sprint name
+   * @param {string} productId - Frontend product identifier
+   * @returns {Promise<object>} Committed story points/tasks and what was completed within the sprint
+   */
+  async getSprintCommitment(sprint, productId) {
+    const sprintName = typeof sprint === 'string' ? sprint : sprint.name;
+    const workItems = (await this.getWorkItemsForProduct(productId, { sprintId: sprintName }))
+      .filter(item => item.state !== 'Removed');
+
+    // Count items closed at any time on the last day of the sprint
+    let sprintEnd = null;
+    if (sprint?.endDate) {
+      sprintEnd = new Date(sprint.endDate);
+      sprintEnd.setUTCHours(23, 59, 59, 999);
+    }
+    const completed = calculateVelocity(workItems, sprint?.startDate || null, sprintEnd);
+
+    const committedStoryPoints = workItems.reduce((sum, item) => sum + (item.storyPoints || 0), 0);
+    const completedStoryPoints = Number(completed.storyPoints) || 0;
+
     return {
-      storyPoints: Math.floor(Math.random() * 10) + 35,
-      tasks: Math.floor(Math.random() * 5) + 15
+      sprintId: sprint?.id || sprintName,
+      storyPoints: committedStoryPoints,
+      tasks: workItems.length,
+      completedStoryPoints,
+      completedTasks: completed.completedTasks,
+      averageStoryPointsPerTask: Number(completed.averageStoryPointsPerTask) || 0,
+      completionRate: committedStoryPoints > 0
+        ? Math.round((completedStoryPoints / committedStoryPoints) * 1000) / 10
+        : 0
     };
   }
 
+  /**
+   * Resolve a sprint to its iteration dates and path
+   * @param {string} sprintId - 'current', iteration id, name or path
+   * @param {string} productId - Frontend product identifier
+   * @returns {Promise<object>} { id, name, path, startDate, endDate }
+   */
   async getSprintData(sprintId, productId) {
-    // Mock implementation - would query Azure DevOps iterations API
-    // DaaS-aware sprint data
+    try {
+      const { azureProjectName, teamName } = this.resolveProductTeam(productId);
+      const response = await this.azureService.getIterations(teamName, 'all', azureProjectName);
+      const iterations = (response.iterations || [])
+        .filter(iter => iter.attributes?.startDate && iter.attributes?.finishDate);
+
+      let match;
+      if (!sprintId || sprintId === 'current') {
+        const now = new Date();
+        match = iterations.find(iter => iter.attributes.timeFrame === 'current') ||
+          iterations.find(iter => {
+            const finish = new Date(iter.attributes.finishDate);
+            finish.setUTCHours(23, 59, 59, 999);
+            return new Date(iter.attributes.startDate) <= now && now <= finish;
+          });
+      } else {
+        const wanted = String(sprintId).toLowerCase();
+        // The sprints endpoint ids iterations without an identifier as a name slug ("delivery-12")
+        match = iterations.find(iter =>
+          iter.id === sprintId ||
+          iter.name?.toLowerCase() === wanted ||
+          iter.name?.toLowerCase().replace(/\s+/g, '-') === wanted ||
+          iter.path?.toLowerCase() === wanted
+        );
+      }
+
+      if (match) {
+        return {
+          id: match.id,
+          name: match.name,
+          path: match.path,
+          startDate: match.attributes.startDate,
+          endDate: match.attributes.finishDate
+        };
+      }
+      console.warn(`⚠️ Sprint "${sprintId || 'current'}" not found for ${productId}, using default sprint window`);
+    } catch (error) {
+      console.warn(`⚠️ Could not load iterations for ${productId}: ${error.message}. Using default sprint window`);
+    }
+
+    // Fallback when iterations are unavailable (e.g. Azure DevOps disabled)
     if (productId === 'Product - Data as a Service') {
       return {
         id: sprintId || 'current',
@@ -2354,6 +3021,7 @@ class MetricsCalculatorService {
 
   /**
    * Calculate working days between two dates excluding days off
+   * @param {Array<object>} daysOff - Azure DevOps days off ranges as { start, end }
    * @private
    */
   calculateWorkingDays(startDate, endDate, daysOff = []) {
@@ -2370,8 +3038,9 @@ class MetricsCalculatorService {
         // Check if this date is not in daysOff
         const dateString = date.toISOString().split('T')[0];
         const isDayOff = daysOff.some(dayOff => {
-          const offDate = new Date(dayOff.start).toISOString().split('T')[0];
-          return offDate === dateString;
+          const offStart = new Date(dayOff.start).toISOString().split('T')[0];
+          const offEnd = dayOff.end ? new Date(dayOff.end).toISOString().split('T')[0] : offStart;
+          return dateString >= offStart && dateString <= offEnd;
         });
         
         if (!isDayOff) {
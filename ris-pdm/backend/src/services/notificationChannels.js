@@ -0,0 +1,285 @@
+/**
+ * Notification Channels
+ * Delivers KPI alert messages to a Microsoft Teams incoming webhook (Adaptive Card),
+ * a Slack incoming webhook (Block Kit) or an email address over SMTP.
+ *
+ * Webhook targets are restricted to the Teams and Slack webhook hosts so a subscription
+ * can't be used to make the server post to arbitrary URLs.
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('../../utils/logger').child({ component: 'NotificationChannels' });
+
+const CHANNELS = ['teams', 'slack', 'email'];
+
+const WEBHOOK_HOSTS = {
+  teams: [/\.webhook\.office\.com$/i, /\.logic\.azure\.com$/i, /\.powerplatform\.com$/i],
+  slack: [/^hooks\.slack\.com$/i]
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const SEVERITY_COLORS = {
+  high: { teams: 'attention', email: '#d13438' },
+  medium: { teams: 'warning', email: '#c77c00' },
+  low: { teams: 'accent', email: '#2b88d8' }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Slack mrkdwn only needs &, < and > escaped
+const escapeSlack = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const alertContext = (alert) => [alert.productId, alert.subject, alert.value !== undefined && alert.value !== null ? `value ${alert.value}` : null]
+  .filter(Boolean)
+  .join(' · ');
+
+// A digest can mix products and people, so each alert links to its own view when that isn't the message link
+const alertLink = (alert, message) => (alert.link && alert.link !== message.link ? alert.link : null);
+
+/**
+ * Why a target can't be used for a channel
+ * @param {string} channel - teams | slack | email
+ * @param {string} target - Webhook URL or email address
+ * @returns {string|null} Problem description, or null when the target is valid
+ */
+const validateTarget = (channel, target) => {
+  if (!CHANNELS.includes(channel)) {
+    return `Unknown channel ${channel}`;
+  }
+  if (typeof target !== 'string' || target.trim() === '') {
+    return 'Target is required';
+  }
+
+  if (channel === 'email') {
+    return EMAIL_PATTERN.test(target) ? null : 'Target must be an email address';
+  }
+
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return 'Target must be a webhook URL';
+  }
+  if (url.protocol !== 'https:') {
+    return 'Webhook URL must use https';
+  }
+  if (!WEBHOOK_HOSTS[channel].some(pattern => pattern.test(url.hostname))) {
+    return channel === 'teams'
+      ? 'Target must be a Microsoft Teams incoming webhook URL'
+      : 'Target must be a Slack incoming webhook URL (hooks.slack.com)';
+  }
+  return null;
+};
+
+class NotificationChannels {
+  /**
+   * @param {object} options - { fetchImpl, transport, smtp: { host, port, secure, user, pass, from, enabled }, timeoutMs }
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetchImpl || ((...args) => fetch(...args));
+    this.smtp = options.smtp || {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.EMAIL_FROM || 'noreply@localhost',
+      enabled: process.env.EMAIL_NOTIFICATIONS_ENABLED !== 'false'
+    };
+    this.transport = options.transport || null;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  /**
+   * Whether a channel can deliver with the current configuration (email needs SMTP settings)
+   */
+  isConfigured(channel) {
+    if (channel === 'email') {
+      return Boolean(this.transport || (this.smtp.host && this.smtp.enabled !== false));
+    }
+    return CHANNELS.includes(channel);
+  }
+
+  /**
+   * Send a message to one target
+   * @param {string} channel - teams | slack | email
+   * @param {string} target - Webhook URL or email address
+   * @param {object} message - { title, summary, alerts: [{ title, message, severity, productId, subject, value, link }], link },
+   *   plus attachments ([{ filename, content, contentType }]) for email
+   */
+  async send(channel, target, message) {
+    const problem = validateTarget(channel, target);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    switch (channel) {
+      case 'teams':
+        return this.postWebhook(target, this.toTeamsCard(message));
+      case 'slack':
+        return this.postWebhook(target, this.toSlackPayload(message));
+      case 'email':
+        return this.sendEmail(target, message);
+      default:
+        throw new Error(`Unknown channel ${channel}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async postWebhook(url, payload) {
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Webhook responded ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async sendEmail(address, message) {
+    if (!this.isConfigured('email')) {
+      throw new Error('Email notifications are not configured (SMTP_HOST, EMAIL_NOTIFICATIONS_ENABLED)');
+    }
+
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport({
+        host: this.smtp.host,
+        port: this.smtp.port,
+        secure: this.smtp.secure,
+        auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined
+      });
+    }
+
+    await this.transport.sendMail({
+      from: this.smtp.from,
+      to: address,
+      subject: message.title,
+      text: this.toPlainText(message),
+      html: this.toHtml(message),
+      ...(message.attachments && { attachments: message.attachments })
+    });
+    logger.debug(`Alert email sent to ${address}`);
+  }
+
+  /**
+   * Adaptive Card in the message envelope accepted by Teams incoming webhooks and Workflows
+   * @private
+   */
+  toTeamsCard(message) {
+    const body = [
+      { type: 'TextBlock', size: 'Medium', weight: 'Bolder', text: message.title, wrap: true },
+      ...(message.summary ? [{ type: 'TextBlock', text: message.summary, isSubtle: true, wrap: true }] : []),
+      ...message.alerts.map(alert => ({
+        type: 'Container',
+        separator: true,
+        items: [
+          {
+            type: 'TextBlock',
+            weight: 'Bolder',
+            color: (SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.low).teams,
+            text: `${alert.title} (${alert.severity})`,
+            wrap: true
+          },
+          { type: 'TextBlock', text: alert.message, wrap: true },
+          ...(alertContext(alert) ? [{ type: 'TextBlock', text: alertContext(alert), isSubtle: true, size: 'Small', wrap: true }] : []),
+          ...(alertLink(alert, message) ? [{ type: 'TextBlock', text: `[View](${alertLink(alert, message)})`, size: 'Small', wrap: true }] : [])
+        ]
+      }))
+    ];
+
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          ...(message.link && { actions: [{ type: 'Action.OpenUrl', title: 'Open dashboard', url: message.link }] })
+        }
+      }]
+    };
+  }
+
+  /**
+   * @private
+   */
+  toSlackPayload(message) {
+    return {
+      text: message.title,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } },
+        ...(message.summary ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(message.summary) }] }] : []),
+        ...message.alerts.map(alert => ({
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*${escapeSlack(alert.title)}* (${alert.severity})\n${escapeSlack(alert.message)}` +
+              (alertContext(alert) ? `\n_${escapeSlack(alertContext(alert))}_` : '') +
+              (alertLink(alert, message) ? `\n<${alertLink(alert, message)}|View>` : '')
+          }
+        })),
+        ...(message.link ? [{
+          type: 'actions',
+          elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open dashboard' }, url: message.link }]
+        }] : [])
+      ]
+    };
+  }
+
+  /**
+   * @private
+   */
+  toPlainText(message) {
+    return [
+      message.title,
+      message.summary,
+      '',
+      ...message.alerts.map(alert => `- [${alert.severity}] ${alert.title}: ${alert.message}` +
+        (alertContext(alert) ? ` (${alertContext(alert)})` : '') +
+        (alertLink(alert, message) ? ` ${alertLink(alert, message)}` : '')),
+      '',
+      message.link ? `Open dashboard: ${message.link}` : null
+    ].filter(line => line !== null && line !== undefined).join('\n');
+  }
+
+  /**
+   * @private
+   */
+  toHtml(message) {
+    const items = message.alerts.map(alert => `
+      <li style="margin-bottom:8px">
+        <strong style="color:${(SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.low).email}">${escapeHtml(alert.title)}</strong>
+        (${escapeHtml(alert.severity)})<br>${escapeHtml(alert.message)}
+        ${alertContext(alert) ? `<br><small style="color:#666">${escapeHtml(alertContext(alert))}</small>` : ''}
+        ${alertLink(alert, message) ? `<br><small><a href="${escapeHtml(alertLink(alert, message))}">View</a></small>` : ''}
+      </li>`).join('');
+
+    return `<h2 style="font-family:sans-serif">${escapeHtml(message.title)}</h2>
+      ${message.summary ? `<p style="font-family:sans-serif;color:#666">${escapeHtml(message.summary)}</p>` : ''}
+      <ul style="font-family:sans-serif">${items}</ul>
+      ${message.link ? `<p style="font-family:sans-serif"><a href="${escapeHtml(message.link)}">Open dashboard</a></p>` : ''}`;
+  }
+}
+
+module.exports = NotificationChannels;
+module.exports.CHANNELS = CHANNELS;
+module.exports.validateTarget = validateTarget;
@@ -0,0 +1,293 @@
+/**
+ * Notification Service
+ * Routes KPI alerts to the users subscribed to them. Alerts raised by the metrics
+ * calculator (overview KPIs, product risks, individual performance) and by the webhook
+ * health checks are mapped to an alert type, matched against subscriptions for the
+ * product, and then either sent right away or queued for the subscriber's digest.
+ *
+ * The same alert (type, product and subject) is sent to a subscription at most once per
+ * cooldown window, so metrics being recalculated doesn't repeat a notification.
+ */
+
+const notificationStore = require('./notificationStore');
+const accessPolicyService = require('./accessPolicyService');
+const NotificationChannels = require('./notificationChannels');
+const { dashboardBaseUrl, dashboardLink } = require('../utils/dashboardLinks');
+const logger = require('../../utils/logger').child({ component: 'NotificationService' });
+
+// Alert types users can subscribe to. Individual alerts describe one person's performance,
+// so they are only delivered to subscribers allowed to view that person.
+const ALERT_TYPES = {
+  delivery_predictability: { label: 'Delivery predictability below target', scope: 'product' },
+  open_bugs: { label: 'High open bug count', scope: 'product' },
+  cycle_time: { label: 'High cycle time', scope: 'product' },
+  sprint_progress: { label: 'Sprint progress at risk', scope: 'product' },
+  quality_risk: { label: 'Quality at risk', scope: 'product' },
+  completion_rate: { label: 'Low task completion rate', scope: 'individual' },
+  bug_ratio: { label: 'High bug-to-task ratio', scope: 'individual' },
+  individual_cycle_time: { label: 'High individual cycle time', scope: 'individual' },
+  webhook_health: { label: 'Azure DevOps webhook processing health', scope: 'system' }
+};
+
+// How each alert source names its alerts (metric for KPI alerts, type for risks)
+const SOURCE_ALERT_TYPES = {
+  kpi: { deliveryPredictability: 'delivery_predictability', bugCount: 'open_bugs', cycleTime: 'cycle_time' },
+  risk: { velocity: 'sprint_progress', quality: 'quality_risk' },
+  individual: { completion_rate: 'completion_rate', bug_ratio: 'bug_ratio', cycle_time: 'individual_cycle_time' }
+};
+
+const MODES = ['immediate', 'digest'];
+
+class NotificationService {
+  /**
+   * @param {object} options - { store, channels, accessPolicy, dashboardUrl, digestIntervalHours, digestCheckIntervalMs }
+   */
+  constructor(options = {}) {
+    this.store = options.store || notificationStore;
+    this.channels = options.channels || new NotificationChannels();
+    this.accessPolicy = options.accessPolicy || accessPolicyService;
+    this.dashboardUrl = options.dashboardUrl || dashboardBaseUrl();
+    this.digestIntervalHours = options.digestIntervalHours || parseInt(process.env.NOTIFICATION_DIGEST_HOURS, 10) || 24;
+    this.digestCheckIntervalMs = options.digestCheckIntervalMs || 15 * 60 * 1000;
+    this.interval = null;
+  }
+
+  /**
+   * Subscribable alert types and channels, for the subscription settings UI
+   */
+  getOptions() {
+    return {
+      alertTypes: Object.entries(ALERT_TYPES).map(([id, type]) => ({ id, ...type })),
+      channels: NotificationChannels.CHANNELS.map(id => ({ id, configured: this.channels.isConfigured(id) })),
+      modes: MODES,
+      digestIntervalHours: this.digestIntervalHours
+    };
+  }
+
+  /**
+   * Publish alerts without waiting for delivery; failures are logged, never thrown
+   * @param {Array<object>} alerts - Alerts as produced by the source
+   * @param {object} context - { source: kpi|risk|individual|webhook, productId, subject }
+   */
+  notify(alerts, context) {
+    if (!alerts || alerts.length === 0) return;
+
+    this.publish(alerts, context).catch(error => {
+      logger.warn(`Failed to publish ${context.source} alert notifications: ${error.message}`);
+    });
+  }
+
+  /**
+   * Deliver or queue alerts for every matching subscription
+   * @param {Array<object>} alerts - Alerts as produced by the source
+   * @param {object} context - { source, productId, subject } subject is the person an individual alert is about
+   * @returns {Promise<object>} { sent, queued, suppressed, failed } counts per alert and subscription
+   */
+  async publish(alerts, { source, productId: requestedProductId = null, subject = null } = {}) {
+    const outcome = { sent: 0, queued: 0, suppressed: 0, failed: 0 };
+    if (!this.store.isAvailable()) {
+      return outcome;
+    }
+
+    // The cross-product view only reaches subscriptions for every product
+    const productId = requestedProductId && requestedProductId !== 'all-projects' ? requestedProductId : null;
+
+    const normalized = alerts
+      .map(alert => this.normalize(alert, { source, productId, subject }))
+      .filter(Boolean);
+    if (normalized.length === 0) {
+      return outcome;
+    }
+
+    const subscriptions = await this.store.findActiveSubscriptions(productId);
+    for (const subscription of subscriptions) {
+      const due = [];
+
+      for (const alert of normalized) {
+        if (!subscription.alertTypes.includes(alert.alertType)) continue;
+        if (ALERT_TYPES[alert.alertType].scope === 'individual' && !(await this.mayReceive(subscription, alert.subject))) continue;
+
+        const lastDeliveryAt = await this.store.getLastDeliveryAt(subscription.id, alert.key);
+        if (lastDeliveryAt && Date.now() - lastDeliveryAt.getTime() < subscription.cooldownMinutes * 60 * 1000) {
+          outcome.suppressed++;
+          continue;
+        }
+
+        if (subscription.mode === 'digest') {
+          await this.store.recordDelivery(subscription.id, alert.key, alert, 'queued');
+          outcome.queued++;
+        } else {
+          due.push(alert);
+        }
+      }
+
+      if (due.length > 0) {
+        const status = await this.deliver(subscription, this.compose(due));
+        for (const alert of due) {
+          await this.store.recordDelivery(subscription.id, alert.key, alert, status.sent ? 'sent' : 'failed', status.error);
+        }
+        outcome[status.sent ? 'sent' : 'failed'] += due.length;
+      }
+    }
+
+    if (outcome.sent || outcome.queued || outcome.failed) {
+      logger.info(`Alert notifications from ${source}: ${outcome.sent} sent, ${outcome.queued} queued, ` +
+        `${outcome.suppressed} in cooldown, ${outcome.failed} failed`, { productId });
+    }
+    return outcome;
+  }
+
+  /**
+   * Send every digest that is due
+   * @returns {Promise<number>} Number of digests sent
+   */
+  async flushDigests() {
+    if (!this.store.isAvailable()) return 0;
+
+    let sent = 0;
+    for (const subscription of await this.store.findDueDigests(this.digestIntervalHours)) {
+      const deliveries = await this.store.getQueuedDeliveries(subscription.id);
+      if (deliveries.length === 0) continue;
+
+      const status = await this.deliver(subscription, this.compose(deliveries.map(delivery => delivery.alert), { digest: true }));
+      if (status.sent) {
+        await this.store.markDigestSent(subscription.id, deliveries.map(delivery => delivery.id));
+        sent++;
+      }
+      // Failed digests stay queued and are retried on the next check
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send a sample alert to check a subscription's channel and target
+   * @returns {Promise<object>} { sent, error }
+   */
+  async sendTest(subscription) {
+    const [alertType] = subscription.alertTypes;
+    return this.deliver(subscription, {
+      title: 'Test notification from RIS Performance Dashboard',
+      summary: 'Your alert subscription is set up correctly.',
+      alerts: [{
+        alertType,
+        title: ALERT_TYPES[alertType]?.label || 'KPI alert',
+        message: 'This is a test alert. Real alerts look like this one.',
+        severity: 'low',
+        productId: subscription.productId
+      }],
+      link: dashboardLink({ productId: subscription.productId }, this.dashboardUrl)
+    });
+  }
+
+  /**
+   * Start the periodic digest check
+   */
+  start() {
+    if (this.interval) return;
+
+    if (!this.store.isAvailable()) {
+      logger.info('Notification store unavailable, digest job not started');
+      return;
+    }
+
+    this.interval = setInterval(() => {
+      this.flushDigests().catch(error => logger.error('Sending notification digests failed:', error.message));
+    }, this.digestCheckIntervalMs);
+  }
+
+  /**
+   * Stop the periodic digest check
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Map a source alert to a subscribable alert type
+   * @private
+   */
+  normalize(alert, { source, productId, subject }) {
+    const alertType = source === 'webhook'
+      ? 'webhook_health'
+      : SOURCE_ALERT_TYPES[source]?.[source === 'risk' ? alert.type : alert.metric];
+    if (!alertType) return null;
+
+    // Webhook health covers several conditions (success rate, queue size, ...) with their own cooldown
+    const condition = source === 'webhook' ? alert.type : '';
+    const individual = ALERT_TYPES[alertType].scope === 'individual';
+
+    return {
+      alertType,
+      key: [alertType, productId || 'all', subject || '', condition].join(':'),
+      title: ALERT_TYPES[alertType].label,
+      message: alert.message || alert.description,
+      severity: ['high', 'medium', 'low'].includes(alert.severity) ? alert.severity : 'medium',
+      value: alert.value ?? null,
+      threshold: alert.threshold ?? null,
+      productId,
+      subject,
+      source,
+      // Opens the view the alert was raised for: the person's page or the product's dashboard
+      link: dashboardLink({ productId, userId: individual ? subject : null }, this.dashboardUrl),
+      raisedAt: alert.timestamp || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Whether the subscriber may view the person an individual alert is about. A provisioned
+   * users row decides the role; otherwise the role claims saved with the subscription do.
+   * @private
+   */
+  async mayReceive(subscription, subject) {
+    if (!subject) return false;
+    const decision = await this.accessPolicy.canViewIndividual(
+      { id: subscription.userId, email: subscription.userEmail, roles: subscription.userRoles || [] },
+      subject
+    );
+    return decision.allowed;
+  }
+
+  /**
+   * @private
+   */
+  compose(alerts, { digest = false } = {}) {
+    const products = [...new Set(alerts.map(alert => alert.productId).filter(Boolean))];
+    // Queued digest alerts from before deep links have none; they fall back to the dashboard home
+    const links = [...new Set(alerts.map(alert => alert.link || this.dashboardUrl))];
+    return {
+      title: digest
+        ? `KPI alert digest: ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`
+        : alerts.length === 1 ? alerts[0].title : `${alerts.length} KPI alerts`,
+      summary: products.length > 0 ? products.join(', ') : null,
+      alerts,
+      link: links.length === 1 ? links[0] : this.dashboardUrl
+    };
+  }
+
+  /**
+   * @private
+   */
+  async deliver(subscription, message) {
+    try {
+      await this.channels.send(subscription.channel, subscription.target, message);
+      return { sent: true, error: null };
+    } catch (error) {
+      logger.warn(`Could not deliver notification to ${subscription.channel} for ${subscription.userId}: ${error.message}`, {
+        subscriptionId: subscription.id
+      });
+      return { sent: false, error: error.message };
+    }
+  }
+}
+
+// Singleton instance shared by alert sources, routes and the server's digest job
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
+module.exports.NotificationService = NotificationService;
+module.exports.ALERT_TYPES = ALERT_TYPES;
+module.exports.MODES = MODES;
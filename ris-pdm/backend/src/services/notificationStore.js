@@ -0,0 +1,268 @@
+/**
+ * Notification Store
+ * Persists users' KPI alert subscriptions (notification_subscriptions) and the log of
+ * notifications sent or queued for them (notification_deliveries)
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'NotificationStore' });
+
+const SUBSCRIPTION_COLUMNS = `id, user_id, user_email, user_roles, product_id, alert_types, channel, target, mode,
+  cooldown_minutes, enabled, last_digest_at, created_at, updated_at`;
+
+// Columns a user may change on an existing subscription
+const UPDATABLE_FIELDS = {
+  productId: 'product_id',
+  alertTypes: 'alert_types',
+  channel: 'channel',
+  target: 'target',
+  mode: 'mode',
+  cooldownMinutes: 'cooldown_minutes',
+  enabled: 'enabled'
+};
+
+class NotificationStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Subscriptions of one user, newest first
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<Array<object>>}
+   */
+  async listSubscriptions(userId) {
+    const result = await this.db.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM notification_subscriptions
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * One of a user's subscriptions
+   * @returns {Promise<object|null>}
+   */
+  async getSubscription(id, userId) {
+    const result = await this.db.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM notification_subscriptions
+       WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @param {object} user - { id, email, roles } of the subscriber
+   * @param {object} subscription - { productId, alertTypes, channel, target, mode, cooldownMinutes, enabled }
+   * @returns {Promise<object>} The stored subscription
+   */
+  async createSubscription(user, subscription) {
+    const result = await this.db.query(
+      `INSERT INTO notification_subscriptions (
+         user_id, user_email, user_roles, product_id, alert_types, channel, target, mode, cooldown_minutes, enabled
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      [
+        user.id,
+        user.email || null,
+        user.roles || [],
+        subscription.productId || null,
+        subscription.alertTypes,
+        subscription.channel,
+        subscription.target,
+        subscription.mode || 'immediate',
+        subscription.cooldownMinutes ?? 240,
+        subscription.enabled !== false
+      ]
+    );
+
+    logger.info(`Notification subscription created for ${user.id} (${subscription.channel})`);
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Change fields of one of a user's subscriptions
+   * @param {object} changes - Any of the fields accepted by createSubscription
+   * @param {object} options - { userRoles }: the subscriber's current role claims
+   * @returns {Promise<object|null>} The updated subscription, or null when it doesn't exist
+   */
+  async updateSubscription(id, userId, changes, { userRoles } = {}) {
+    const assignments = [];
+    const params = [id, userId];
+    if (userRoles) {
+      params.push(userRoles);
+      assignments.push(`user_roles = $${params.length}`);
+    }
+    for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (changes[field] !== undefined) {
+        params.push(field === 'productId' ? changes[field] || null : changes[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (assignments.length === 0) {
+      return this.getSubscription(id, userId);
+    }
+
+    const result = await this.db.query(
+      `UPDATE notification_subscriptions SET ${assignments.join(', ')}
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      params
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a subscription was deleted
+   */
+  async deleteSubscription(id, userId) {
+    const result = await this.db.query(
+      'DELETE FROM notification_subscriptions WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Enabled subscriptions that cover a product (subscriptions without a product cover every product)
+   * @param {string|null} productId - Product the alert belongs to; null for alerts without a product
+   * @returns {Promise<Array<object>>}
+   */
+  async findActiveSubscriptions(productId = null) {
+    const result = await this.db.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM notification_subscriptions
+       WHERE enabled = true AND (product_id IS NULL OR product_id = $1)`,
+      [productId]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * When an alert was last sent or queued for a subscription (failed attempts don't count)
+   * @returns {Promise<Date|null>}
+   */
+  async getLastDeliveryAt(subscriptionId, alertKey) {
+    const result = await this.db.query(
+      `SELECT created_at FROM notification_deliveries
+       WHERE subscription_id = $1 AND alert_key = $2 AND status IN ('queued', 'sent')
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [subscriptionId, alertKey]
+    );
+
+    return result.rows[0] ? new Date(result.rows[0].created_at) : null;
+  }
+
+  /**
+   * @param {string} status - queued | sent | failed
+   */
+  async recordDelivery(subscriptionId, alertKey, alert, status, error = null) {
+    await this.db.query(
+      `INSERT INTO notification_deliveries (subscription_id, alert_key, alert, status, error, sent_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [subscriptionId, alertKey, JSON.stringify(alert), status, error, status === 'sent' ? new Date() : null]
+    );
+  }
+
+  /**
+   * Digest subscriptions with queued alerts whose last digest is older than the digest interval
+   * @param {number} intervalHours - Hours between two digests of the same subscription
+   * @returns {Promise<Array<object>>}
+   */
+  async findDueDigests(intervalHours) {
+    const result = await this.db.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM notification_subscriptions s
+       WHERE s.enabled = true AND s.mode = 'digest'
+         AND (s.last_digest_at IS NULL OR s.last_digest_at <= NOW() - make_interval(hours => $1))
+         AND EXISTS (
+           SELECT 1 FROM notification_deliveries d
+           WHERE d.subscription_id = s.id AND d.status = 'queued'
+         )`,
+      [intervalHours]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Alerts waiting for a subscription's next digest, oldest first
+   * @returns {Promise<Array<object>>} [{ id, alert, createdAt }]
+   */
+  async getQueuedDeliveries(subscriptionId) {
+    const result = await this.db.query(
+      `SELECT id, alert, created_at FROM notification_deliveries
+       WHERE subscription_id = $1 AND status = 'queued'
+       ORDER BY created_at`,
+      [subscriptionId]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      alert: row.alert,
+      createdAt: new Date(row.created_at).toISOString()
+    }));
+  }
+
+  /**
+   * Mark queued alerts as sent in a digest and start the subscription's next digest interval
+   * @param {Array<string>} deliveryIds - Deliveries included in the digest
+   */
+  async markDigestSent(subscriptionId, deliveryIds) {
+    await this.db.transaction(async (client) => {
+      await client.query(
+        `UPDATE notification_deliveries SET status = 'sent', sent_at = NOW()
+         WHERE subscription_id = $1 AND id = ANY($2)`,
+        [subscriptionId, deliveryIds]
+      );
+      await client.query(
+        'UPDATE notification_subscriptions SET last_digest_at = NOW() WHERE id = $1',
+        [subscriptionId]
+      );
+    });
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userEmail: row.user_email || null,
+      userRoles: row.user_roles || [],
+      productId: row.product_id || null,
+      alertTypes: row.alert_types || [],
+      channel: row.channel,
+      target: row.target,
+      mode: row.mode,
+      cooldownMinutes: row.cooldown_minutes,
+      enabled: row.enabled === true,
+      lastDigestAt: timestamp(row.last_digest_at),
+      createdAt: timestamp(row.created_at),
+      updatedAt: timestamp(row.updated_at)
+    };
+  }
+}
+
+// Singleton instance shared by the notification service and routes
+const notificationStore = new NotificationStore();
+
+module.exports = notificationStore;
+module.exports.NotificationStore = NotificationStore;
@@ -0,0 +1,149 @@
+/**
+ * OAuth Token Store
+ * Persists each user's Azure DevOps OAuth tokens (user_oauth_tokens), encrypted
+ * with AES-256-GCM under OAUTH_TOKEN_ENCRYPTION_KEY. Rows never hold a usable token.
+ */
+
+const crypto = require('crypto');
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'OAuthTokenStore' });
+
+const CIPHER = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+/**
+ * Read a 32-byte key given as hex or base64
+ * @param {string} value - Configured key
+ * @returns {Buffer|null}
+ */
+const parseKey = (value) => {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('OAUTH_TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+};
+
+class OAuthTokenStore {
+  constructor(db = database, encryptionKey = process.env.OAUTH_TOKEN_ENCRYPTION_KEY) {
+    this.db = db;
+    this.key = parseKey(encryptionKey);
+
+    if (!this.key) {
+      logger.warn('OAUTH_TOKEN_ENCRYPTION_KEY not set; Azure DevOps sign-ins will not survive a restart');
+    }
+  }
+
+  /**
+   * Whether tokens can be persisted: needs both the database and an encryption key
+   */
+  isAvailable() {
+    return !!this.key && this.db.isReady();
+  }
+
+  /**
+   * Encrypt a token; the user id is bound as associated data so a row can't be copied to another user
+   * @param {string} plaintext - Token
+   * @param {string} userId - Owner
+   * @returns {string|null} v1:iv:tag:ciphertext (base64 parts)
+   */
+  encrypt(plaintext, userId) {
+    if (plaintext === null || plaintext === undefined) return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    cipher.setAAD(Buffer.from(String(userId)));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  /**
+   * Decrypt a value produced by encrypt
+   * @param {string} value - Stored value
+   * @param {string} userId - Owner
+   * @returns {string|null}
+   */
+  decrypt(value, userId) {
+    if (!value) return null;
+
+    const [version, iv, tag, ciphertext] = value.split(':');
+    if (version !== FORMAT_VERSION || !ciphertext) {
+      throw new Error('Unrecognised token format');
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(String(userId)));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Insert or replace a user's tokens
+   * @param {string} userId - Authenticated user id
+   * @param {object} tokenData - { access_token, refresh_token, expires_at, scope }
+   * @param {object} options - { email }
+   */
+  async save(userId, tokenData, { email = null } = {}) {
+    await this.db.query(
+      `INSERT INTO user_oauth_tokens (user_id, user_email, access_token, refresh_token, expires_at, scope)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id) DO UPDATE SET
+         user_email = COALESCE(EXCLUDED.user_email, user_oauth_tokens.user_email),
+         access_token = EXCLUDED.access_token,
+         refresh_token = EXCLUDED.refresh_token,
+         expires_at = EXCLUDED.expires_at,
+         scope = EXCLUDED.scope`,
+      [
+        userId,
+        email,
+        this.encrypt(tokenData.access_token, userId),
+        this.encrypt(tokenData.refresh_token, userId),
+        tokenData.expires_at || null,
+        tokenData.scope || null
+      ]
+    );
+  }
+
+  /**
+   * A user's tokens, or null when none are stored or they can't be decrypted (e.g. after a key change)
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<object|null>} { access_token, refresh_token, expires_at, scope, stored_at }
+   */
+  async load(userId) {
+    const result = await this.db.query(
+      `SELECT access_token, refresh_token, expires_at, scope, updated_at
+       FROM user_oauth_tokens WHERE user_id = $1`,
+      [userId]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    try {
+      return {
+        access_token: this.decrypt(row.access_token, userId),
+        refresh_token: this.decrypt(row.refresh_token, userId),
+        expires_at: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+        scope: row.scope,
+        stored_at: new Date(row.updated_at).toISOString()
+      };
+    } catch (error) {
+      logger.warn(`Discarding unreadable Azure DevOps tokens for ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a user's tokens
+   * @param {string} userId - Authenticated user id
+   */
+  async remove(userId) {
+    await this.db.query('DELETE FROM user_oauth_tokens WHERE user_id = $1', [userId]);
+  }
+}
+
+const oauthTokenStore = new OAuthTokenStore();
+
+module.exports = oauthTokenStore;
+module.exports.OAuthTokenStore = OAuthTokenStore;
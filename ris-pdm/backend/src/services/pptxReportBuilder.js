@@ -0,0 +1,310 @@
+/**
+ * PPTX Report Builder
+ * Lays out dashboard and individual performance data as slide decks for management reviews:
+ * a title slide, a KPI summary, sprint burndown and velocity charts and a bug classification
+ * slide. It only renders what it is given; ExportService gathers the data.
+ */
+
+const PptxGenJS = require('pptxgenjs');
+
+const COLORS = {
+  primary: '3B82F6',
+  success: '10B981',
+  warning: 'F59E0B',
+  danger: 'EF4444',
+  text: '1F2937',
+  muted: '6B7280',
+  border: 'E5E7EB',
+  panel: 'F9FAFB'
+};
+
+const FONT = 'Segoe UI';
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+const SEVERITY_COLORS = [COLORS.danger, COLORS.warning, COLORS.primary, COLORS.success];
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+class PptxReportBuilder {
+  /**
+   * Dashboard deck
+   * @param {object} data - { overview, burndown, velocity, bugs, productName, period, link, generatedAt }
+   * @returns {Promise<Buffer>}
+   */
+  async buildDashboard(data) {
+    const { overview = {}, period = 'sprint' } = data;
+    const summary = overview.summary || {};
+    const kpis = overview.kpis || {};
+    const pptx = this.createPresentation('RIS Performance Dashboard');
+
+    this.addTitleSlide(pptx, {
+      title: 'RIS Performance Dashboard',
+      subtitle: data.productName || 'All products',
+      period,
+      link: data.link,
+      generatedAt: data.generatedAt
+    });
+
+    this.addKpiSlide(pptx, 'KPI Summary', [
+      { label: 'Team Members', value: summary.totalTeamMembers || 0 },
+      { label: 'Avg Quality Score', value: summary.avgQualityScore || 0 },
+      { label: 'Completed Work Items', value: summary.completedWorkItems || 0 },
+      { label: 'Velocity (SP)', value: summary.avgVelocity || 0 }
+    ], [
+      ['Delivery Predictability', `${kpis.deliveryPredictability || 0}%`],
+      ['Team Satisfaction', `${kpis.teamSatisfaction || 0}/10`],
+      ['Code Quality', `${kpis.codeQuality || 0}/10`],
+      ['Cycle Time', `${kpis.cycleTime || 0} days`],
+      ['Lead Time', `${kpis.leadTime || 0} days`],
+      ['Defect Escape Rate', `${kpis.defectEscapeRate || 0}%`]
+    ]);
+
+    const burndown = data.burndown || [];
+    this.addChartSlide(pptx, 'Sprint Burndown', pptx.ChartType.line, [
+      { name: 'Ideal', labels: burndown.map(point => point.date), values: burndown.map(point => point.idealRemaining) },
+      { name: 'Actual', labels: burndown.map(point => point.date), values: burndown.map(point => point.actualRemaining ?? null) }
+    ], { colors: [COLORS.muted, COLORS.primary], valueTitle: 'Remaining', empty: 'No burndown data for the current sprint' });
+
+    const velocity = data.velocity || [];
+    this.addChartSlide(pptx, 'Velocity', pptx.ChartType.bar, [
+      { name: 'Committed', labels: velocity.map(sprint => sprint.sprint), values: velocity.map(sprint => sprint.commitment || 0) },
+      { name: 'Completed', labels: velocity.map(sprint => sprint.sprint), values: velocity.map(sprint => sprint.completed || 0) }
+    ], { colors: [COLORS.border, COLORS.success], valueTitle: 'Story points', empty: 'No completed sprints to chart' });
+
+    this.addBugSlide(pptx, data.bugs);
+
+    return pptx.write({ outputType: 'nodebuffer' });
+  }
+
+  /**
+   * Individual performance deck
+   * @param {object} data - { individual, bugs, period, link, generatedAt }
+   * @returns {Promise<Buffer>}
+   */
+  async buildIndividual(data) {
+    const { individual = {}, period = 'sprint' } = data;
+    const performance = individual.performance || {};
+    const workItems = individual.workItems || {};
+    const userName = individual.userInfo?.displayName || individual.userInfo?.name || individual.userId;
+    const pptx = this.createPresentation(`Individual Performance - ${userName}`);
+
+    this.addTitleSlide(pptx, {
+      title: 'Individual Performance',
+      subtitle: [userName, individual.userInfo?.role].filter(Boolean).join(' · '),
+      period,
+      link: data.link,
+      generatedAt: data.generatedAt
+    });
+
+    this.addKpiSlide(pptx, 'KPI Summary', [
+      { label: 'Completed SP', value: performance.completedStoryPoints || 0 },
+      { label: 'Completion Rate', value: `${performance.completionRate || 0}%` },
+      { label: 'Velocity (SP)', value: performance.velocity || 0 },
+      { label: 'Quality Score', value: individual.quality?.qualityScore || 0 }
+    ], [
+      ['Assigned Story Points', `${performance.totalAssignedStoryPoints || 0}`],
+      ['Avg Completion Time', `${performance.averageTaskCompletionTime || 0} days`],
+      ['Capacity Utilization', `${performance.capacityUtilization || 0}%`],
+      ['Work Items', `${workItems.completed || 0} done / ${workItems.inProgress || 0} in progress / ${workItems.total || 0} total`],
+      ['Bugs Created / Resolved', `${individual.quality?.bugsCreated || 0} / ${individual.quality?.bugsResolved || 0}`]
+    ]);
+
+    const burndown = individual.burndown || [];
+    this.addChartSlide(pptx, 'Burndown', pptx.ChartType.line, [
+      { name: 'Ideal', labels: burndown.map(point => point.date), values: burndown.map(point => point.idealBurndown) },
+      { name: 'Remaining', labels: burndown.map(point => point.date), values: burndown.map(point => point.remainingWork) }
+    ], { colors: [COLORS.muted, COLORS.primary], valueTitle: 'Remaining', empty: 'No assigned work in this period' });
+
+    // Trends come most recent first; charts read left to right
+    const trends = [...(individual.trends || [])].reverse();
+    this.addChartSlide(pptx, 'Velocity', pptx.ChartType.bar, [
+      { name: 'Story points', labels: trends.map(trend => trend.period), values: trends.map(trend => trend.storyPoints || 0) }
+    ], { colors: [COLORS.success], valueTitle: 'Story points', empty: 'No sprint history yet' });
+
+    this.addBugSlide(pptx, data.bugs);
+
+    return pptx.write({ outputType: 'nodebuffer' });
+  }
+
+  /**
+   * @private
+   */
+  createPresentation(title) {
+    const pptx = new PptxGenJS();
+    pptx.layout = 'LAYOUT_WIDE';
+    pptx.title = title;
+    pptx.company = 'RIS';
+    pptx.defineSlideMaster({
+      title: 'RIS_CONTENT',
+      background: { color: 'FFFFFF' },
+      objects: [
+        { rect: { x: 0, y: 0, w: '100%', h: 0.12, fill: { color: COLORS.primary } } },
+        { line: { x: 0.5, y: 7.0, w: 12.33, h: 0, line: { color: COLORS.border, width: 1 } } },
+        { text: { text: 'RIS Performance Dashboard', options: { x: 0.5, y: 7.05, w: 6, h: 0.3, fontFace: FONT, fontSize: 10, color: COLORS.muted } } }
+      ],
+      slideNumber: { x: 12.3, y: 7.05, fontFace: FONT, fontSize: 10, color: COLORS.muted }
+    });
+    return pptx;
+  }
+
+  /**
+   * @private
+   */
+  addTitleSlide(pptx, { title, subtitle, period, link = null, generatedAt = new Date() }) {
+    const slide = pptx.addSlide();
+    slide.background = { color: COLORS.primary };
+    slide.addText(title, {
+      x: 0.8, y: 2.4, w: 11.7, h: 1.2, fontFace: FONT, fontSize: 40, bold: true, color: 'FFFFFF'
+    });
+    slide.addText(subtitle, {
+      x: 0.8, y: 3.6, w: 11.7, h: 0.6, fontFace: FONT, fontSize: 22, color: 'FFFFFF'
+    });
+    slide.addText(`Period: ${period.toUpperCase()} | Generated: ${new Date(generatedAt).toLocaleDateString()}`, {
+      x: 0.8, y: 4.4, w: 11.7, h: 0.4, fontFace: FONT, fontSize: 14, color: 'DBEAFE'
+    });
+    if (link) {
+      slide.addText([{ text: 'Open in dashboard', options: { hyperlink: { url: link, tooltip: link } } }], {
+        x: 0.8, y: 5.0, w: 11.7, h: 0.4, fontFace: FONT, fontSize: 14, color: 'FFFFFF', underline: { style: 'sng' }
+      });
+    }
+    return slide;
+  }
+
+  /**
+   * @private
+   */
+  addContentSlide(pptx, title) {
+    const slide = pptx.addSlide({ masterName: 'RIS_CONTENT' });
+    slide.addText(title, {
+      x: 0.5, y: 0.35, w: 12.33, h: 0.7, fontFace: FONT, fontSize: 28, bold: true, color: COLORS.text
+    });
+    return slide;
+  }
+
+  /**
+   * Summary cards across the top and a KPI table below
+   * @private
+   */
+  addKpiSlide(pptx, title, cards, rows) {
+    const slide = this.addContentSlide(pptx, title);
+    const cardWidth = (12.33 - 0.3 * (cards.length - 1)) / cards.length;
+
+    cards.forEach((card, index) => {
+      const x = 0.5 + index * (cardWidth + 0.3);
+      slide.addShape(pptx.ShapeType.rect, {
+        x, y: 1.3, w: cardWidth, h: 1.4, fill: { color: COLORS.panel }, line: { color: COLORS.border }
+      });
+      slide.addShape(pptx.ShapeType.rect, { x, y: 1.3, w: 0.08, h: 1.4, fill: { color: COLORS.primary }, line: { color: COLORS.primary } });
+      slide.addText(card.label, { x: x + 0.25, y: 1.4, w: cardWidth - 0.35, h: 0.4, fontFace: FONT, fontSize: 13, color: COLORS.muted });
+      slide.addText(String(card.value), {
+        x: x + 0.25, y: 1.85, w: cardWidth - 0.35, h: 0.7, fontFace: FONT, fontSize: 28, bold: true, color: COLORS.text
+      });
+    });
+
+    slide.addTable(rows.map(([label, value]) => [
+      { text: label, options: { color: COLORS.text } },
+      { text: value, options: { bold: true, color: '059669', align: 'right' } }
+    ]), {
+      x: 0.5, y: 3.1, w: 12.33, colW: [8.33, 4], fontFace: FONT, fontSize: 16, rowH: 0.5,
+      border: { type: 'solid', color: COLORS.border, pt: 1 }, fill: { color: 'FFFFFF' }
+    });
+    return slide;
+  }
+
+  /**
+   * A full-width chart, or a note when there is nothing to plot
+   * @private
+   */
+  addChartSlide(pptx, title, type, series, { colors, valueTitle, empty }) {
+    const slide = this.addContentSlide(pptx, title);
+    if (series[0].labels.length === 0) {
+      this.addEmptyNote(slide, empty);
+      return slide;
+    }
+
+    slide.addChart(type, series, {
+      x: 0.5, y: 1.2, w: 12.33, h: 5.6,
+      chartColors: colors,
+      barGrouping: 'clustered',
+      lineDataSymbol: 'circle',
+      lineDataSymbolSize: 6,
+      showLegend: true,
+      legendPos: 'b',
+      legendFontFace: FONT,
+      catAxisLabelFontFace: FONT,
+      valAxisLabelFontFace: FONT,
+      showValAxisTitle: true,
+      valAxisTitle: valueTitle,
+      valAxisMinVal: 0
+    });
+    return slide;
+  }
+
+  /**
+   * Bugs by severity as a chart, by category as a table
+   * @private
+   */
+  addBugSlide(pptx, bugs) {
+    const slide = this.addContentSlide(pptx, 'Bug Classification');
+    if (!bugs || !bugs.totalBugs) {
+      this.addEmptyNote(slide, bugs ? 'No bugs found' : 'Bug classification is not available');
+      return slide;
+    }
+
+    const severity = bugs.summary?.severity || {};
+    slide.addChart(pptx.ChartType.doughnut, [{
+      name: 'Severity',
+      labels: SEVERITY_ORDER.map(capitalize),
+      values: SEVERITY_ORDER.map(level => severity[level]?.count || 0)
+    }], {
+      x: 0.5, y: 1.2, w: 6, h: 5.2,
+      chartColors: SEVERITY_COLORS,
+      holeSize: 55,
+      showLegend: true,
+      legendPos: 'b',
+      legendFontFace: FONT,
+      showPercent: true,
+      showTitle: true,
+      title: 'By severity',
+      titleFontFace: FONT,
+      titleFontSize: 16
+    });
+
+    const categories = Object.entries(bugs.summary?.category || {})
+      .sort(([, a], [, b]) => b.count - a.count);
+    slide.addTable([
+      [
+        { text: 'Category', options: { bold: true, fill: { color: COLORS.panel } } },
+        { text: 'Bugs', options: { bold: true, align: 'right', fill: { color: COLORS.panel } } },
+        { text: 'Share', options: { bold: true, align: 'right', fill: { color: COLORS.panel } } }
+      ],
+      ...categories.map(([category, { count, percentage }]) => [
+        capitalize(category),
+        { text: String(count), options: { align: 'right' } },
+        { text: `${percentage}%`, options: { align: 'right' } }
+      ])
+    ], {
+      x: 6.9, y: 1.3, w: 5.93, colW: [3.33, 1.3, 1.3], fontFace: FONT, fontSize: 14, color: COLORS.text,
+      border: { type: 'solid', color: COLORS.border, pt: 1 }
+    });
+
+    slide.addText(`${bugs.totalBugs} bugs, ${bugs.highSeverityBugs || 0} critical or high severity`, {
+      x: 6.9, y: 6.3, w: 5.93, h: 0.4, fontFace: FONT, fontSize: 14, bold: true, color: COLORS.danger
+    });
+    return slide;
+  }
+
+  /**
+   * @private
+   */
+  addEmptyNote(slide, message) {
+    slide.addText(message, {
+      x: 0.5, y: 3.2, w: 12.33, h: 0.8, fontFace: FONT, fontSize: 18, color: COLORS.muted, align: 'center'
+    });
+  }
+}
+
+// Singleton instance used by ExportService
+const pptxReportBuilder = new PptxReportBuilder();
+
+module.exports = pptxReportBuilder;
+module.exports.PptxReportBuilder = PptxReportBuilder;
@@ -0,0 +1,118 @@
+/**
+ * Profit & Loss Service
+ * Summarises imported revenue/cost/target records into the year-to-date P/L KPI.
+ * The year runs up to the latest reported period, and the trend compares against
+ * the same months of the previous year.
+ */
+
+const NO_DATA = {
+  value: null,
+  revenue: null,
+  cost: null,
+  target: null,
+  attainment: null,
+  trend: null,
+  trendValue: null,
+  period: 'YTD',
+  through: null,
+  currency: null,
+  byPeriod: [],
+  status: 'no_data',
+  message: 'No financial data imported for this product',
+  dataSource: 'financial_import'
+};
+
+const sum = (periods, field) => periods.reduce((total, period) => total + (period[field] || 0), 0);
+
+class ProfitLossService {
+  /**
+   * Year-to-date P/L for one product
+   * @param {Array<object>} records - { periodType, periodStart: 'YYYY-MM-DD', revenue, cost, target, currency }
+   * @param {object} options - { asOf } ignores periods starting after this date
+   * @returns {object} { value, revenue, cost, target, attainment, trend, trendValue, period, through, byPeriod, ... }
+   */
+  summarize(records = [], { asOf = new Date() } = {}) {
+    const asOfDate = asOf.toISOString().slice(0, 10);
+    const periods = this.toPeriods(records.filter(record => record.periodStart <= asOfDate));
+    if (periods.length === 0) {
+      return { ...NO_DATA };
+    }
+
+    const latest = periods[periods.length - 1];
+    const year = latest.year;
+    const throughMonth = latest.endMonth;
+
+    const current = periods.filter(period => period.year === year && period.endMonth <= throughMonth);
+    const previous = periods.filter(period => period.year === year - 1 && period.endMonth <= throughMonth);
+
+    const revenue = sum(current, 'revenue');
+    const cost = sum(current, 'cost');
+    const value = revenue - cost;
+    const targeted = current.filter(period => period.target !== null && period.target !== undefined);
+    const target = targeted.length > 0 ? sum(targeted, 'target') : null;
+
+    let trend = null;
+    if (previous.length > 0) {
+      const previousValue = sum(previous, 'revenue') - sum(previous, 'cost');
+      if (previousValue !== 0) {
+        trend = Math.round(((value - previousValue) / Math.abs(previousValue)) * 1000) / 10;
+      }
+    }
+
+    const through = `${year}-${String(throughMonth).padStart(2, '0')}`;
+
+    return {
+      value,
+      revenue,
+      cost,
+      target,
+      attainment: target ? Math.round((value / target) * 1000) / 10 : null,
+      trend,
+      trendValue: trend === null ? null : `${trend > 0 ? '+' : ''}${trend.toFixed(1)}%`,
+      period: `YTD ${year}`,
+      through,
+      currency: latest.currency,
+      byPeriod: current.map(period => ({
+        period: period.label,
+        revenue: period.revenue,
+        cost: period.cost,
+        profit: period.revenue - period.cost,
+        target: period.target
+      })),
+      status: 'real',
+      message: trend === null
+        ? `P/L through ${through}; no prior-year figures to compare`
+        : `P/L through ${through} compared with the same months of ${year - 1}`,
+      dataSource: 'financial_import'
+    };
+  }
+
+  /**
+   * Monthly records, plus quarterly records for quarters without any monthly figures,
+   * so a product reported both ways is not counted twice
+   * @private
+   */
+  toPeriods(records) {
+    const periods = records.map(record => {
+      const [year, month] = record.periodStart.split('-').map(Number);
+      const quarter = Math.floor((month - 1) / 3) + 1;
+      return {
+        ...record,
+        year,
+        quarter,
+        endMonth: record.periodType === 'quarter' ? month + 2 : month,
+        label: record.periodType === 'quarter' ? `${year}-Q${quarter}` : record.periodStart.slice(0, 7)
+      };
+    });
+
+    const monthlyQuarters = new Set(
+      periods.filter(period => period.periodType === 'month').map(period => `${period.year}-${period.quarter}`)
+    );
+
+    return periods
+      .filter(period => period.periodType === 'month' || !monthlyQuarters.has(`${period.year}-${period.quarter}`))
+      .sort((a, b) => a.year - b.year || a.endMonth - b.endMonth);
+  }
+}
+
+module.exports = ProfitLossService;
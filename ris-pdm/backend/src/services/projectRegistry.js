@@ -0,0 +1,387 @@
+/**
+ * Project Registry
+ * Runtime registry of dashboard products and how they map onto Azure DevOps
+ * (project, team, iteration naming). Entries live in the product_registry table
+ * and are held in memory so lookups stay synchronous for the mapping helpers.
+ * Lookups reload the table in the background once the copy is older than the
+ * refresh interval, so changes made on another instance show up here too.
+ */
+
+const { database } = require('../../config/database');
+const { DEFAULT_PRODUCTS } = require('../config/defaultProducts');
+const logger = require('../../utils/logger').child({ component: 'ProjectRegistry' });
+
+const COLUMNS = {
+  azureProject: 'azure_project',
+  teamName: 'team_name',
+  iterationPrefix: 'iteration_prefix',
+  iterationPattern: 'iteration_pattern',
+  iterationFormat: 'iteration_format',
+  enabled: 'enabled',
+  priority: 'priority'
+};
+
+const registryError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Compile a stored iteration pattern; patterns are always case-insensitive
+ * @param {string} source - Regex source
+ * @returns {RegExp|null}
+ */
+const compilePattern = (source) => {
+  if (!source) return null;
+  try {
+    return new RegExp(source, 'i');
+  } catch {
+    return null;
+  }
+};
+
+class ProjectRegistry {
+  /**
+   * @param {object} db - Database wrapper
+   * @param {Array<object>} defaults - Built-in products
+   * @param {object} options - { refreshTtlMs }
+   */
+  constructor(db = database, defaults = DEFAULT_PRODUCTS, options = {}) {
+    this.db = db;
+    this.defaults = defaults;
+    this.refreshTtlMs = options.refreshTtlMs ?? 60 * 1000;
+    this.entries = new Map();
+    this.loadedFromDatabase = false;
+    this.loadedAt = 0;
+    this.refreshing = null;
+    this.replaceEntries(defaults.map(entry => this.normalize(entry)));
+  }
+
+  /**
+   * Load entries from the database, seeding the defaults into an empty table.
+   * Without a database the defaults stay in effect (read-only).
+   * @returns {Promise<boolean>} True if entries came from the database
+   */
+  async load() {
+    if (!this.db.isReady()) {
+      logger.info('🗂️ Product registry using built-in defaults (no database)');
+      this.loadedFromDatabase = false;
+      return false;
+    }
+
+    let result = await this.db.query('SELECT * FROM product_registry ORDER BY priority, id');
+
+    if (result.rows.length === 0) {
+      logger.info(`🌱 Seeding product registry with ${this.defaults.length} default products`);
+      await this.db.transaction(async (client) => {
+        for (const entry of this.defaults) {
+          await this.insertRow(client, this.normalize(entry), 'system');
+        }
+      });
+      result = await this.db.query('SELECT * FROM product_registry ORDER BY priority, id');
+    }
+
+    this.replaceEntries(result.rows.map(row => this.fromRow(row)));
+    this.loadedFromDatabase = true;
+    this.loadedAt = Date.now();
+    logger.info(`🗂️ Product registry loaded ${this.entries.size} products`);
+    return true;
+  }
+
+  /**
+   * Re-read the table if the in-memory copy is older than the refresh interval.
+   * Keeps the current entries if the reload fails.
+   * @param {object} options - { force }
+   * @returns {Promise<void>}
+   */
+  refresh({ force = false } = {}) {
+    if (!this.isPersistent() || (!force && Date.now() - this.loadedAt < this.refreshTtlMs)) {
+      return Promise.resolve();
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.db.query('SELECT * FROM product_registry ORDER BY priority, id')
+        .then(result => {
+          this.replaceEntries(result.rows.map(row => this.fromRow(row)));
+          this.loadedAt = Date.now();
+        })
+        .catch(error => {
+          logger.warn(`Could not refresh the product registry, keeping ${this.entries.size} cached products: ${error.message}`);
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Whether changes can be persisted
+   */
+  isPersistent() {
+    return this.loadedFromDatabase && this.db.isReady();
+  }
+
+  /**
+   * All entries sorted by priority
+   * @param {object} options - { includeDisabled }
+   * @returns {Array<object>}
+   */
+  list({ includeDisabled = true } = {}) {
+    return [...this.current().values()]
+      .filter(entry => includeDisabled || entry.enabled)
+      .sort((a, b) => a.priority - b.priority || a.id.localeCompare(b.id))
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * @param {string} id - Frontend product identifier
+   * @returns {object|null}
+   */
+  get(id) {
+    const entry = this.current().get(id);
+    return entry ? { ...entry } : null;
+  }
+
+  has(id) {
+    return this.current().has(id);
+  }
+
+  isEnabled(id) {
+    return Boolean(this.current().get(id)?.enabled);
+  }
+
+  getAzureProject(id) {
+    return this.current().get(id)?.azureProject || null;
+  }
+
+  getTeamName(id) {
+    return this.current().get(id)?.teamName || null;
+  }
+
+  /**
+   * Unique Azure DevOps projects behind the enabled products
+   * @returns {string[]}
+   */
+  getAzureProjects() {
+    return [...new Set(this.list({ includeDisabled: false }).map(entry => entry.azureProject))];
+  }
+
+  /**
+   * Iteration naming for a product
+   * @param {string} id - Frontend product identifier
+   * @returns {object|null} { prefix, pattern: RegExp, format }, or null without a pattern
+   */
+  getIterationConfig(id) {
+    const entry = this.current().get(id);
+    const pattern = compilePattern(entry?.iterationPattern);
+    if (!pattern) return null;
+
+    return {
+      prefix: entry.iterationPrefix,
+      pattern,
+      format: entry.iterationFormat || (entry.iterationPrefix ? `${entry.iterationPrefix} {n}` : null)
+    };
+  }
+
+  /**
+   * Iteration naming keyed by Azure DevOps project, taken from the highest
+   * priority enabled product that defines one
+   * @returns {object} { [azureProject]: { productId, prefix, pattern, format } }
+   */
+  getIterationRulesByAzureProject() {
+    const rules = {};
+    for (const entry of this.list({ includeDisabled: false })) {
+      if (rules[entry.azureProject]) continue;
+      const config = this.getIterationConfig(entry.id);
+      if (config) {
+        rules[entry.azureProject] = { productId: entry.id, ...config };
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Register a product
+   * @param {object} data - Entry fields (id and azureProject required)
+   * @param {object} options - { updatedBy }
+   * @returns {Promise<object>} Created entry
+   */
+  async create(data, { updatedBy = null } = {}) {
+    this.assertWritable();
+    await this.refresh();
+    if (this.entries.has(data.id)) {
+      throw registryError(`Product '${data.id}' is already registered`, 'PRODUCT_EXISTS', 409);
+    }
+
+    const entry = this.normalize(data);
+    this.validate(entry);
+
+    const row = await this.db.transaction(client => this.insertRow(client, entry, updatedBy));
+    const created = this.fromRow(row);
+    this.entries.set(created.id, created);
+    logger.info(`➕ Registered product ${created.id} → ${created.azureProject}`, { updatedBy });
+    return { ...created };
+  }
+
+  /**
+   * Update a product's mapping
+   * @param {string} id - Frontend product identifier
+   * @param {object} changes - Fields to change
+   * @param {object} options - { updatedBy }
+   * @returns {Promise<object>} Updated entry
+   */
+  async update(id, changes, { updatedBy = null } = {}) {
+    this.assertWritable();
+    await this.refresh();
+    const current = this.entries.get(id);
+    if (!current) {
+      throw registryError(`Product '${id}' is not registered`, 'PRODUCT_NOT_FOUND', 404);
+    }
+
+    const entry = this.normalize({ ...current, ...changes, id });
+    this.validate(entry);
+
+    const assignments = Object.values(COLUMNS).map((column, index) => `${column} = $${index + 2}`);
+    const result = await this.db.query(
+      `UPDATE product_registry
+       SET ${assignments.join(', ')}, updated_by = $${assignments.length + 2}
+       WHERE id = $1
+       RETURNING *`,
+      [id, ...Object.keys(COLUMNS).map(key => entry[key]), updatedBy]
+    );
+
+    const updated = this.fromRow(result.rows[0]);
+    this.entries.set(id, updated);
+    logger.info(`✏️ Updated product ${id}`, { updatedBy });
+    return { ...updated };
+  }
+
+  /**
+   * Remove a product from the registry
+   * @param {string} id - Frontend product identifier
+   * @returns {Promise<object>} Removed entry
+   */
+  async remove(id) {
+    this.assertWritable();
+    await this.refresh();
+    const current = this.entries.get(id);
+    if (!current) {
+      throw registryError(`Product '${id}' is not registered`, 'PRODUCT_NOT_FOUND', 404);
+    }
+
+    await this.db.query('DELETE FROM product_registry WHERE id = $1', [id]);
+    this.entries.delete(id);
+    logger.info(`🗑️ Removed product ${id}`);
+    return { ...current };
+  }
+
+  /**
+   * Reject entries the resolvers cannot use
+   * @throws {Error} VALIDATION_ERROR
+   */
+  validate(entry) {
+    if (!entry.id) {
+      throw registryError('Product id is required', 'VALIDATION_ERROR', 400);
+    }
+    if (!entry.azureProject) {
+      throw registryError('Azure DevOps project name is required', 'VALIDATION_ERROR', 400);
+    }
+    if (entry.iterationPattern) {
+      const pattern = compilePattern(entry.iterationPattern);
+      if (!pattern) {
+        throw registryError('Iteration pattern is not a valid regular expression', 'VALIDATION_ERROR', 400);
+      }
+      // Appending an empty alternative makes exec('') report every capture group
+      if (new RegExp(`${entry.iterationPattern}|`).exec('').length < 2) {
+        throw registryError('Iteration pattern must capture the iteration number, e.g. ^Sprint\\s+(\\d+)', 'VALIDATION_ERROR', 400);
+      }
+    }
+    if (entry.iterationFormat && !entry.iterationFormat.includes('{n}')) {
+      throw registryError('Iteration format must contain {n}', 'VALIDATION_ERROR', 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertWritable() {
+    if (!this.isPersistent()) {
+      throw registryError('Product registry requires a database connection', 'STORE_UNAVAILABLE', 503);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async insertRow(client, entry, updatedBy) {
+    const columns = ['id', ...Object.values(COLUMNS), 'updated_by'];
+    const values = [entry.id, ...Object.keys(COLUMNS).map(key => entry[key]), updatedBy];
+    const result = await client.query(
+      `INSERT INTO product_registry (${columns.join(', ')})
+       VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+       RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  normalize(data) {
+    const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    return {
+      id: text(data.id),
+      azureProject: text(data.azureProject),
+      teamName: text(data.teamName),
+      iterationPrefix: text(data.iterationPrefix),
+      iterationPattern: text(data.iterationPattern),
+      iterationFormat: text(data.iterationFormat),
+      enabled: data.enabled !== undefined ? Boolean(data.enabled) : true,
+      priority: Number.isInteger(data.priority) ? data.priority : 100
+    };
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      azureProject: row.azure_project,
+      teamName: row.team_name,
+      iterationPrefix: row.iteration_prefix,
+      iterationPattern: row.iteration_pattern,
+      iterationFormat: row.iteration_format,
+      enabled: row.enabled,
+      priority: row.priority,
+      updatedBy: row.updated_by || null,
+      createdAt: row.created_at || null,
+      updatedAt: row.updated_at || null
+    };
+  }
+
+  /**
+   * Entries for a lookup, starting a background reload when they are stale
+   * @private
+   */
+  current() {
+    this.refresh();
+    return this.entries;
+  }
+
+  /**
+   * @private
+   */
+  replaceEntries(entries) {
+    this.entries = new Map(entries.map(entry => [entry.id, entry]));
+  }
+}
+
+// Singleton instance shared by the mapping helpers, resolvers and routes
+const projectRegistry = new ProjectRegistry();
+
+module.exports = projectRegistry;
+module.exports.ProjectRegistry = ProjectRegistry;
@@ -2,9 +2,10 @@
  * Project Resolution Service
  * Handles project ID resolution between frontend project names and Azure DevOps project GUIDs
  * Implements caching and validation for improved performance
+ * Frontend projects and their Azure DevOps mappings come from the product registry
  */
 
-const { mapFrontendProjectToAzure, isProjectEnabled } = require('../config/projectMapping');
+const projectRegistry = require('./projectRegistry');
 const logger = require('../../utils/logger');
 
 class ProjectResolutionService {
@@ -45,25 +46,27 @@ class ProjectResolutionService {
       return projectIdentifier;
     }
 
-    // Check if project is enabled in our mapping
-    if (!isProjectEnabled(projectIdentifier)) {
+    // Check if project is enabled in the registry
+    if (!projectRegistry.isEnabled(projectIdentifier)) {
       logger.warn(`Project ${projectIdentifier} is not enabled or mapped`);
       throw new Error(`Project not available: ${projectIdentifier}`);
     }
 
-    // Check cache first
-    const cached = this.getFromCache(projectIdentifier);
+    // Map frontend project to Azure DevOps project name
+    const azureProjectName = projectRegistry.getAzureProject(projectIdentifier);
+    if (!azureProjectName) {
+      throw new Error(`No Azure DevOps mapping found for project: ${projectIdentifier}`);
+    }
+
+    // Check cache first; keyed by mapping so registry edits take effect immediately
+    const cacheKey = `${projectIdentifier}::${azureProjectName}`;
+    const cached = this.getFromCache(cacheKey);
     if (cached) {
       logger.debug(`Returning cached project GUID for ${projectIdentifier}`);
       return cached;
     }
 
     try {
-      // Map frontend project to Azure DevOps project name
-      const azureProjectName = mapFrontendProjectToAzure(projectIdentifier);
-      if (!azureProjectName) {
-        throw new Error(`No Azure DevOps mapping found for project: ${projectIdentifier}`);
-      }
 
       // Get all projects from Azure DevOps
       const projectsResponse = await this.azureService.getProjects();
@@ -85,7 +88,7 @@ class ProjectResolutionService {
       }
 
       // Cache the result
-      this.setCache(projectIdentifier, project.id);
+      this.setCache(cacheKey, project.id);
       this.setCacheByGuid(project.id, {
         name: project.name,
         frontendId: projectIdentifier
@@ -118,9 +121,9 @@ class ProjectResolutionService {
     }
 
     // First try exact match
-    if (isProjectEnabled(projectIdentifier)) {
+    if (projectRegistry.isEnabled(projectIdentifier)) {
       try {
-        const azureProjectName = mapFrontendProjectToAzure(projectIdentifier);
+        const azureProjectName = projectRegistry.getAzureProject(projectIdentifier);
         if (azureProjectName) {
           return azureProjectName;
         }
@@ -130,8 +133,7 @@ class ProjectResolutionService {
     }
 
     // Try case-insensitive and format-insensitive matching for common variations
-    const { getFrontendProjects } = require('../config/projectMapping');
-    const frontendProjects = getFrontendProjects();
+    const frontendProjects = projectRegistry.list({ includeDisabled: false }).map(entry => entry.id);
     
     // Normalize the input identifier for comparison
     const normalizedInput = projectIdentifier.toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -142,7 +144,7 @@ class ProjectResolutionService {
       if (normalizedProject === normalizedInput) {
         logger.info(`✅ Resolved project variation "${projectIdentifier}" → "${frontendProjectId}"`);
         try {
-          const azureProjectName = mapFrontendProjectToAzure(frontendProjectId);
+          const azureProjectName = projectRegistry.getAzureProject(frontendProjectId);
           if (azureProjectName) {
             return azureProjectName;
           }
@@ -232,12 +234,11 @@ class ProjectResolutionService {
       const mappings = [];
       
       // Get enabled frontend projects
-      const { getFrontendProjects } = require('../config/projectMapping');
-      const frontendProjects = getFrontendProjects(true); // enabled only
+      const frontendProjects = projectRegistry.list({ includeDisabled: false }).map(entry => entry.id);
 
       for (const frontendId of frontendProjects) {
         try {
-          const azureProjectName = mapFrontendProjectToAzure(frontendId);
+          const azureProjectName = projectRegistry.getAzureProject(frontendId);
           const azureProject = azureProjects.find(p => p.name === azureProjectName);
           
           if (azureProject) {
@@ -6,13 +6,18 @@
 
 const EventEmitter = require('events');
 const logger = require('../../utils/logger');
+const defaultAccessPolicy = require('./accessPolicyService');
+const auditService = require('./auditService');
+const defaultAlertRuleService = require('./alertRuleService');
 
 class RealtimeService extends EventEmitter {
-  constructor(azureDevOpsService, io, metricsCalculator = null) {
+  constructor(azureDevOpsService, io, metricsCalculator = null, accessPolicy = defaultAccessPolicy, alertRuleService = defaultAlertRuleService) {
     super();
     this.azureService = azureDevOpsService;
     this.io = io;
     this.metricsCalculator = metricsCalculator;
+    this.accessPolicy = accessPolicy;
+    this.alertRuleService = alertRuleService;
     this.isMonitoring = false;
     this.pollingInterval = null;
     this.previousDataHashes = new Map();
@@ -63,6 +68,8 @@ class RealtimeService extends EventEmitter {
     const clientId = socket.id;
     const clientInfo = {
       id: clientId,
+      socket,
+      user: socket.data?.user || null, // set by authenticateSocket
       connectedAt: new Date(),
       subscriptions: new Set(),
       lastActivity: new Date()
@@ -107,6 +114,13 @@ class RealtimeService extends EventEmitter {
       pollingInterval: this.config.pollingIntervalMs,
       totalClients: this.connectedClients.size
     });
+
+    // Alerts that are already active, so the client doesn't wait for the next change
+    if (this.alertRuleService) {
+      this.alertRuleService.getActiveAlerts().forEach(alert => {
+        this.sendAlertToClient(clientInfo, 'alert-triggered', alert);
+      });
+    }
   }
 
   /**
@@ -114,11 +128,14 @@ class RealtimeService extends EventEmitter {
    * @param {string} clientId - Client ID
    * @param {object} subscriptionData - Subscription configuration
    */
-  handleClientSubscription(clientId, subscriptionData) {
+  async handleClientSubscription(clientId, subscriptionData) {
     const client = this.connectedClients.get(clientId);
     if (!client) return;
 
     const { type = 'all', userId = null, teamId = null } = subscriptionData;
+    if (type === 'individual' && userId && !(await this.authorizeIndividual(client, userId, { teamId }))) {
+      return;
+    }
     const subscriptionKey = `${type}-${userId || 'all'}-${teamId || 'all'}`;
     
     client.subscriptions.add(subscriptionKey);
@@ -173,6 +190,49 @@ class RealtimeService extends EventEmitter {
     logger.info(`📊 Client ${clientId} unsubscribed from: ${subscriptionKey}`);
   }
 
+  /**
+   * Check the access policy before a client receives someone's individual metrics;
+   * denied clients get a subscription-error event. Every attempt is audited.
+   * @param {object} client - Connected client
+   * @param {string} userId - User whose metrics were requested
+   * @param {object} parameters - Subscription options worth auditing
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async authorizeIndividual(client, userId, parameters = {}) {
+    let decision;
+    try {
+      decision = await this.accessPolicy.canViewIndividual(client.user, userId);
+    } catch (error) {
+      logger.error(`❌ Access policy evaluation failed for client ${client.id}:`, error);
+      decision = { allowed: false, reason: 'Access policy unavailable' };
+    }
+
+    if (!decision.allowed) {
+      logger.warn(`🚫 Client ${client.id} denied individual metrics for user: ${userId}`, {
+        requesterId: client.user?.id,
+        role: decision.role
+      });
+      client.socket.emit('subscription-error', {
+        type: 'individual',
+        userId,
+        code: 'ACCESS_DENIED',
+        message: decision.reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    auditService.record({
+      action: 'individual.view',
+      actor: client.user,
+      target: userId,
+      parameters: { channel: 'socket', ...parameters },
+      statusCode: decision.allowed ? 200 : 403,
+      sourceIp: client.socket.handshake?.address || null
+    });
+
+    return decision.allowed;
+  }
+
   /**
    * Handle individual performance subscription
    * @param {string} clientId - Client ID
@@ -188,6 +248,10 @@ class RealtimeService extends EventEmitter {
       return;
     }
 
+    if (!(await this.authorizeIndividual(client, userId, { productId }))) {
+      return;
+    }
+
     const subscriptionKey = `individual-${userId}-${productId || 'all'}`;
     
     // Add client to subscription
@@ -381,6 +445,7 @@ class RealtimeService extends EventEmitter {
       }
 
       await Promise.all(updatePromises);
+      await this.evaluateAlertRules();
       
       const duration = Date.now() - startTime;
       if (duration > 5000) { // Log if taking more than 5 seconds
@@ -391,6 +456,41 @@ class RealtimeService extends EventEmitter {
     }
   }
 
+  /**
+   * Evaluate the alert rules and push alerts that started or stopped to connected clients
+   */
+  async evaluateAlertRules() {
+    if (!this.alertRuleService || !this.metricsCalculator) return;
+
+    try {
+      const { triggered, resolved } = await this.alertRuleService.evaluate(this.metricsCalculator);
+      for (const client of this.connectedClients.values()) {
+        triggered.forEach(alert => this.sendAlertToClient(client, 'alert-triggered', alert));
+        resolved.forEach(alert => this.sendAlertToClient(client, 'alert-resolved', alert));
+      }
+    } catch (error) {
+      logger.error('❌ Error evaluating alert rules:', error);
+    }
+  }
+
+  /**
+   * Send an alert to one client; alerts about a user only go to clients allowed to see that user
+   * @param {object} client - Connected client
+   * @param {string} event - alert-triggered | alert-resolved
+   * @param {object} alert - Alert from the rule engine
+   */
+  async sendAlertToClient(client, event, alert) {
+    try {
+      if (alert.userId) {
+        const decision = await this.accessPolicy.canViewIndividual(client.user, alert.userId);
+        if (!decision.allowed) return;
+      }
+      client.socket.emit(event, alert);
+    } catch (error) {
+      logger.warn(`⚠️ Could not send ${event} to ${client.id}: ${error.message}`);
+    }
+  }
+
   /**
    * Check specific subscription for updates
    * @param {string} subscriptionKey - Subscription key
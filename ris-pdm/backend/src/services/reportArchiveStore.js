@@ -0,0 +1,249 @@
+/**
+ * Report Archive Store
+ * Keeps generated report files (report_archive) so they can be downloaded again, exactly as
+ * they were produced. Each file is stored with the parameters it was generated from and a
+ * SHA-256 checksum; repeated exports of the same report are numbered as versions.
+ */
+
+const crypto = require('crypto');
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'ReportArchiveStore' });
+
+// Everything but the file itself, which is only read for downloads
+const ENTRY_COLUMNS = `id, definition_id, name, report_type, format, product_id, subject_user_id, period,
+  start_date, end_date, parameters, file_name, content_type, size_bytes, checksum, version, source,
+  generated_by, is_official, official_note, official_by, official_at, created_at`;
+
+// Unique index that stops two exports of the same report taking the same version number
+const VERSION_CONSTRAINT = 'idx_report_archive_series_version';
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Key shared by every version of the same report
+ * @param {object} entry - Archive entry
+ * @returns {string}
+ */
+const seriesKey = (entry) => [
+  entry.reportType,
+  entry.format,
+  entry.productId || '',
+  entry.subjectUserId ? String(entry.subjectUserId).toLowerCase() : '',
+  entry.period || '',
+  entry.startDate || '',
+  entry.endDate || ''
+].join('|');
+
+class ReportArchiveStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * @param {object} entry - { definitionId, name, reportType, format, productId, subjectUserId, period, startDate,
+   *   endDate, parameters, fileName, contentType, content, source, generatedBy }
+   * @returns {Promise<object>} The archived entry (without its content)
+   */
+  async save(entry) {
+    const checksum = crypto.createHash('sha256').update(entry.content).digest('hex');
+    const key = seriesKey(entry);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const saved = await this.insert(entry, checksum, key);
+        logger.info(`Report archived: ${entry.fileName} (${entry.content.length} bytes, sha256 ${checksum.slice(0, 12)})`);
+        return saved;
+      } catch (error) {
+        // A concurrent export of the same report took the version number; number it again
+        if (error.code !== '23505' || error.constraint !== VERSION_CONSTRAINT || attempt >= MAX_SAVE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Insert an entry as the next version of its series
+   * @private
+   */
+  async insert(entry, checksum, key) {
+    const result = await this.db.query(
+      `INSERT INTO report_archive (
+         definition_id, name, report_type, format, product_id, subject_user_id, period, start_date, end_date,
+         parameters, file_name, content_type, content, size_bytes, checksum, series_key, version, source, generated_by
+       ) VALUES (
+         $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+         (SELECT COALESCE(MAX(version), 0) + 1 FROM report_archive WHERE series_key = $16),
+         $17, $18
+       )
+       RETURNING ${ENTRY_COLUMNS}`,
+      [
+        entry.definitionId || null,
+        entry.name,
+        entry.reportType,
+        entry.format,
+        entry.productId || null,
+        entry.subjectUserId || null,
+        entry.period || null,
+        entry.startDate || null,
+        entry.endDate || null,
+        JSON.stringify(entry.parameters || {}),
+        entry.fileName,
+        entry.contentType,
+        entry.content,
+        entry.content.length,
+        checksum,
+        key,
+        entry.source || 'manual',
+        entry.generatedBy || null
+      ]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Archived reports, newest first
+   * @param {object} filters - { reportTypes, subjects, definitionId, officialOnly, limit, offset }. reportTypes
+   *   limits the reports that aren't about one person; subjects limits individual reports to those people
+   *   (lower-cased emails/ids). null means no limit.
+   * @returns {Promise<object>} { entries, total }
+   */
+  async list({ reportTypes = null, subjects = null, definitionId = null, officialOnly = false, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (reportTypes || subjects) {
+      const visible = [];
+      if (reportTypes) {
+        params.push(reportTypes);
+        visible.push(`(subject_user_id IS NULL AND report_type = ANY($${params.length}))`);
+      } else {
+        visible.push('subject_user_id IS NULL');
+      }
+      if (subjects) {
+        params.push(subjects);
+        visible.push(`LOWER(subject_user_id) = ANY($${params.length})`);
+      } else {
+        visible.push('subject_user_id IS NOT NULL');
+      }
+      conditions.push(`(${visible.join(' OR ')})`);
+    }
+    if (definitionId) {
+      params.push(definitionId);
+      conditions.push(`definition_id = $${params.length}`);
+    }
+    if (officialOnly) {
+      conditions.push('is_official = true');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [entries, count] = await Promise.all([
+      this.db.query(
+        `SELECT ${ENTRY_COLUMNS} FROM report_archive ${where}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      this.db.query(`SELECT COUNT(*) AS total FROM report_archive ${where}`, params)
+    ]);
+
+    return {
+      entries: entries.rows.map(row => this.fromRow(row)),
+      total: parseInt(count.rows[0].total, 10)
+    };
+  }
+
+  /**
+   * An archived report without its file
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const result = await this.db.query(`SELECT ${ENTRY_COLUMNS} FROM report_archive WHERE id = $1`, [id]);
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * An archived report with its file
+   * @returns {Promise<object|null>} Entry with content (Buffer)
+   */
+  async getWithContent(id) {
+    const result = await this.db.query(
+      `SELECT ${ENTRY_COLUMNS}, content FROM report_archive WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] ? { ...this.fromRow(result.rows[0]), content: result.rows[0].content } : null;
+  }
+
+  /**
+   * Pin a report as the official one presented at a review, or unpin it
+   * @param {string} id - Archive entry id
+   * @param {boolean} official - Pin or unpin
+   * @param {object} details - { note, actor }
+   * @returns {Promise<object|null>} The updated entry, or null when it doesn't exist
+   */
+  async setOfficial(id, official, { note = null, actor = null } = {}) {
+    const result = await this.db.query(
+      `UPDATE report_archive
+       SET is_official = $2,
+           official_note = CASE WHEN $2 THEN $3 ELSE NULL END,
+           official_by = CASE WHEN $2 THEN $4 ELSE NULL END,
+           official_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END
+       WHERE id = $1
+       RETURNING ${ENTRY_COLUMNS}`,
+      [id, official, note, actor]
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+    // pg returns DATE columns as local midnight, so format them in local time
+    const date = (value) => {
+      if (!value) return null;
+      if (!(value instanceof Date)) return String(value).slice(0, 10);
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    };
+    return {
+      id: row.id,
+      definitionId: row.definition_id || null,
+      name: row.name,
+      reportType: row.report_type,
+      format: row.format,
+      productId: row.product_id || null,
+      subjectUserId: row.subject_user_id || null,
+      period: row.period || null,
+      startDate: date(row.start_date),
+      endDate: date(row.end_date),
+      parameters: row.parameters || {},
+      fileName: row.file_name,
+      contentType: row.content_type,
+      sizeBytes: row.size_bytes,
+      checksum: row.checksum ? row.checksum.trim() : null,
+      version: row.version,
+      source: row.source,
+      generatedBy: row.generated_by || null,
+      official: row.is_official === true,
+      officialNote: row.official_note || null,
+      officialBy: row.official_by || null,
+      officialAt: timestamp(row.official_at),
+      createdAt: timestamp(row.created_at)
+    };
+  }
+}
+
+// Singleton instance shared by the report scheduler and routes
+const reportArchiveStore = new ReportArchiveStore();
+
+module.exports = reportArchiveStore;
+module.exports.ReportArchiveStore = ReportArchiveStore;
@@ -0,0 +1,254 @@
+/**
+ * Report Schedule Service
+ * Generates saved reports on demand and on their cron schedules. Each run renders the report
+ * through the export service, stores the file in the report archive and, for email delivery,
+ * sends it to the definition's recipients as an attachment.
+ */
+
+const reportStore = require('./reportStore');
+const reportArchiveStore = require('./reportArchiveStore');
+const NotificationChannels = require('./notificationChannels');
+const { nextRun } = require('../utils/cronSchedule');
+const { dashboardBaseUrl } = require('../utils/dashboardLinks');
+const logger = require('../../utils/logger').child({ component: 'ReportScheduleService' });
+
+// Report types offered on the Reports page. Department comparisons hold every member's
+// individual metrics, so only admins and managers may generate them.
+const REPORT_TYPES = {
+  monthly: { label: 'Monthly Performance', period: 'month', formats: ['pdf', 'excel'] },
+  quarterly: { label: 'Quarterly Review', period: 'quarter', formats: ['pdf', 'excel'] },
+  annual: { label: 'Annual Summary', period: 'year', formats: ['pdf', 'excel'] },
+  department: { label: 'Department Comparison', period: 'month', formats: ['excel'], restricted: true }
+};
+
+const DATE_RANGES = {
+  last30: { label: 'Last 30 Days', days: 30 },
+  last90: { label: 'Last 90 Days', days: 90 },
+  last180: { label: 'Last 6 Months', days: 180 },
+  last365: { label: 'Last Year', days: 365 }
+};
+
+const FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const DELIVERIES = ['archive', 'email'];
+
+// Archived report types holding every member's individual metrics: department comparisons and
+// team data exports
+const RESTRICTED_REPORT_TYPES = [
+  ...Object.keys(REPORT_TYPES).filter(type => REPORT_TYPES[type].restricted),
+  'team-data'
+];
+
+// Suggested schedules for the Reports page; any cron expression is accepted
+const SCHEDULE_PRESETS = [
+  { label: 'Every Monday at 07:00', schedule: '0 7 * * 1' },
+  { label: 'First day of the month at 07:00', schedule: '0 7 1 * *' },
+  { label: 'First day of the quarter at 07:00', schedule: '0 7 1 1,4,7,10 *' }
+];
+
+const isoDate = (date) => date.toISOString().split('T')[0];
+
+class ReportScheduleService {
+  /**
+   * @param {object} options - { store, archive, exportService, channels, dashboardUrl, checkIntervalMs }
+   */
+  constructor(options = {}) {
+    this.store = options.store || reportStore;
+    this.archive = options.archive || reportArchiveStore;
+    this.exportService = options.exportService || null;
+    this.channels = options.channels || new NotificationChannels();
+    this.dashboardUrl = options.dashboardUrl || dashboardBaseUrl();
+    this.checkIntervalMs = options.checkIntervalMs || 60 * 1000;
+    this.interval = null;
+    this.running = false;
+  }
+
+  /**
+   * Report types, date ranges, formats and schedule presets, for the Reports page
+   */
+  getOptions() {
+    return {
+      reportTypes: Object.entries(REPORT_TYPES).map(([id, type]) => ({ id, label: type.label, formats: type.formats, restricted: Boolean(type.restricted) })),
+      dateRanges: Object.entries(DATE_RANGES).map(([id, range]) => ({ id, label: range.label })),
+      formats: Object.keys(FORMATS),
+      deliveries: DELIVERIES.map(id => ({ id, configured: id !== 'email' || this.channels.isConfigured('email') })),
+      schedulePresets: SCHEDULE_PRESETS
+    };
+  }
+
+  /**
+   * Generate a report, archive it and deliver it
+   * @param {object} definition - { id, name, reportType, format, productId, dateRange, delivery, recipients }
+   * @param {object} context - { source: schedule|manual, user: { id, email }, now }
+   * @returns {Promise<object>} The archive entry
+   */
+  async run(definition, { source = 'manual', user = null, now = new Date() } = {}) {
+    const type = REPORT_TYPES[definition.reportType];
+    const format = type.formats.includes(definition.format) ? definition.format : type.formats[0];
+    const range = DATE_RANGES[definition.dateRange];
+    const parameters = {
+      period: type.period,
+      startDate: range ? isoDate(new Date(now.getTime() - range.days * 24 * 60 * 60 * 1000)) : undefined,
+      endDate: range ? isoDate(now) : undefined,
+      productId: definition.productId || undefined,
+      user
+    };
+
+    const content = await this.render(definition.reportType, format, parameters);
+    const entry = await this.archive.save({
+      definitionId: definition.id || null,
+      name: definition.name || type.label,
+      reportType: definition.reportType,
+      format,
+      productId: definition.productId || null,
+      period: type.period,
+      startDate: parameters.startDate,
+      endDate: parameters.endDate,
+      parameters: {
+        reportType: definition.reportType,
+        format,
+        productId: definition.productId || null,
+        dateRange: definition.dateRange || null,
+        period: type.period,
+        startDate: parameters.startDate || null,
+        endDate: parameters.endDate || null
+      },
+      fileName: this.fileName(definition, format, now),
+      contentType: FORMATS[format].contentType,
+      content: Buffer.from(content),
+      source,
+      generatedBy: user?.email || user?.id || null
+    });
+
+    if (definition.delivery === 'email' && definition.recipients?.length > 0) {
+      await this.email(definition, entry, content);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Run every scheduled report that is due. Each run is claimed first, so a report is generated
+   * once even if several instances check at the same time.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Reports generated
+   */
+  async runDue(now = new Date()) {
+    if (this.running || !this.store.isAvailable()) return 0;
+    this.running = true;
+
+    let generated = 0;
+    try {
+      for (const definition of await this.store.findDue(now)) {
+        let next = null;
+        try {
+          next = nextRun(definition.schedule, now);
+        } catch (error) {
+          logger.warn(`Report ${definition.id} has an invalid schedule "${definition.schedule}": ${error.message}`);
+        }
+        if (!(await this.store.claimRun(definition, next))) continue;
+
+        try {
+          await this.run(definition, { source: 'schedule', user: { id: definition.ownerId, email: definition.ownerEmail }, now });
+          await this.store.recordRun(definition.id, 'success');
+          generated++;
+        } catch (error) {
+          logger.error(`Scheduled report ${definition.id} (${definition.name}) failed: ${error.message}`);
+          await this.store.recordRun(definition.id, 'failed', error.message);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return generated;
+  }
+
+  /**
+   * Start checking for due reports every minute
+   */
+  start() {
+    if (this.interval) return;
+
+    if (!this.store.isAvailable()) {
+      logger.info('Report store unavailable, report scheduler not started');
+      return;
+    }
+
+    this.interval = setInterval(() => {
+      this.runDue().catch(error => logger.error('Running scheduled reports failed:', error.message));
+    }, this.checkIntervalMs);
+  }
+
+  /**
+   * Stop the report scheduler
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async render(reportType, format, parameters) {
+    // Loaded on first use: the export service connects to Azure DevOps when it's created
+    const exportService = this.exportService || (this.exportService = require('./exportService'));
+
+    if (reportType === 'department') {
+      return exportService.generateTeamDataExcel(parameters);
+    }
+    return format === 'excel'
+      ? exportService.generateDashboardExcel(parameters)
+      : exportService.generateDashboardPDF(parameters);
+  }
+
+  /**
+   * @private
+   */
+  async email(definition, entry, content) {
+    const message = {
+      title: `${entry.name} (${entry.createdAt.split('T')[0]})`,
+      summary: `${REPORT_TYPES[definition.reportType].label} · ${definition.productId || 'All products'}` +
+        (entry.startDate ? ` · ${entry.startDate} to ${entry.endDate}` : ''),
+      alerts: [],
+      link: this.dashboardUrl ? `${this.dashboardUrl.replace(/\/$/, '')}/reports` : null,
+      attachments: [{ filename: entry.fileName, content: Buffer.from(content), contentType: entry.contentType }]
+    };
+
+    const failures = [];
+    for (const recipient of definition.recipients) {
+      try {
+        await this.channels.send('email', recipient, message);
+      } catch (error) {
+        failures.push(`${recipient}: ${error.message}`);
+      }
+    }
+    if (failures.length > 0) {
+      throw new Error(`Report archived but email delivery failed (${failures.join('; ')})`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  fileName(definition, format, now) {
+    const product = definition.productId ? `-${definition.productId.replace(/[^a-zA-Z0-9-_.]/g, '-')}` : '';
+    return `ris-${definition.reportType}${product}-${isoDate(now)}.${FORMATS[format].extension}`;
+  }
+}
+
+// Singleton instance started by the server and used by the routes
+const reportScheduleService = new ReportScheduleService();
+
+module.exports = reportScheduleService;
+module.exports.ReportScheduleService = ReportScheduleService;
+module.exports.REPORT_TYPES = REPORT_TYPES;
+module.exports.DATE_RANGES = DATE_RANGES;
+module.exports.DELIVERIES = DELIVERIES;
+module.exports.RESTRICTED_REPORT_TYPES = RESTRICTED_REPORT_TYPES;
@@ -0,0 +1,221 @@
+/**
+ * Report Store
+ * Persists saved report definitions and their schedules (report_definitions)
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'ReportStore' });
+
+const DEFINITION_COLUMNS = `id, name, report_type, format, product_id, date_range, schedule, delivery, recipients,
+  enabled, owner_id, owner_email, next_run_at, last_run_at, last_status, last_error, created_at, updated_at`;
+
+// Columns an owner may change on an existing definition
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  reportType: 'report_type',
+  format: 'format',
+  productId: 'product_id',
+  dateRange: 'date_range',
+  schedule: 'schedule',
+  delivery: 'delivery',
+  recipients: 'recipients',
+  enabled: 'enabled',
+  nextRunAt: 'next_run_at'
+};
+
+// Fields where an empty value means "not set"
+const NULLABLE_FIELDS = ['productId', 'dateRange', 'schedule', 'nextRunAt'];
+
+class ReportStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Report definitions of one user, newest first
+   * @param {string} ownerId - Authenticated user id
+   * @returns {Promise<Array<object>>}
+   */
+  async listDefinitions(ownerId) {
+    const result = await this.db.query(
+      `SELECT ${DEFINITION_COLUMNS} FROM report_definitions
+       WHERE owner_id = $1
+       ORDER BY created_at DESC`,
+      [ownerId]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * One of a user's report definitions
+   * @returns {Promise<object|null>}
+   */
+  async getDefinition(id, ownerId) {
+    const result = await this.db.query(
+      `SELECT ${DEFINITION_COLUMNS} FROM report_definitions
+       WHERE id = $1 AND owner_id = $2`,
+      [id, ownerId]
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @param {object} owner - { id, email } of the user saving the report
+   * @param {object} definition - { name, reportType, format, productId, dateRange, schedule, delivery, recipients, enabled, nextRunAt }
+   * @returns {Promise<object>} The stored definition
+   */
+  async createDefinition(owner, definition) {
+    const result = await this.db.query(
+      `INSERT INTO report_definitions (
+         name, report_type, format, product_id, date_range, schedule, delivery, recipients, enabled,
+         owner_id, owner_email, next_run_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING ${DEFINITION_COLUMNS}`,
+      [
+        definition.name,
+        definition.reportType,
+        definition.format || 'pdf',
+        definition.productId || null,
+        definition.dateRange || null,
+        definition.schedule || null,
+        definition.delivery || 'archive',
+        definition.recipients || [],
+        definition.enabled !== false,
+        owner.id,
+        owner.email || null,
+        definition.nextRunAt || null
+      ]
+    );
+
+    logger.info(`Report definition created for ${owner.id} (${definition.reportType}, ${definition.schedule || 'on demand'})`);
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Change fields of one of a user's definitions
+   * @param {object} changes - Any of the fields accepted by createDefinition
+   * @returns {Promise<object|null>} The updated definition, or null when it doesn't exist
+   */
+  async updateDefinition(id, ownerId, changes) {
+    const assignments = [];
+    const params = [id, ownerId];
+    for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+      if (changes[field] !== undefined) {
+        params.push(NULLABLE_FIELDS.includes(field) ? changes[field] || null : changes[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (assignments.length === 0) {
+      return this.getDefinition(id, ownerId);
+    }
+
+    const result = await this.db.query(
+      `UPDATE report_definitions SET ${assignments.join(', ')}
+       WHERE id = $1 AND owner_id = $2
+       RETURNING ${DEFINITION_COLUMNS}`,
+      params
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether a definition was deleted
+   */
+  async deleteDefinition(id, ownerId) {
+    const result = await this.db.query(
+      'DELETE FROM report_definitions WHERE id = $1 AND owner_id = $2',
+      [id, ownerId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Enabled scheduled definitions whose next run is due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<object>>}
+   */
+  async findDue(now) {
+    const result = await this.db.query(
+      `SELECT ${DEFINITION_COLUMNS} FROM report_definitions
+       WHERE enabled = true AND schedule IS NOT NULL AND next_run_at <= $1
+       ORDER BY next_run_at`,
+      [now]
+    );
+
+    return result.rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Move a due definition to its next run. Only succeeds for the caller that still sees the
+   * old next run, so a report is not generated twice when several instances poll.
+   * @param {object} definition - Definition from findDue
+   * @param {Date|null} nextRunAt - Next run
+   * @returns {Promise<boolean>} Whether this caller claimed the run
+   */
+  async claimRun(definition, nextRunAt) {
+    const result = await this.db.query(
+      `UPDATE report_definitions SET next_run_at = $3
+       WHERE id = $1 AND next_run_at = $2`,
+      [definition.id, definition.nextRunAt, nextRunAt]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record how a run went
+   * @param {string} id - Definition id
+   * @param {string} status - success | failed
+   * @param {string|null} error - Failure message
+   */
+  async recordRun(id, status, error = null) {
+    await this.db.query(
+      `UPDATE report_definitions SET last_run_at = CURRENT_TIMESTAMP, last_status = $2, last_error = $3
+       WHERE id = $1`,
+      [id, status, error]
+    );
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      name: row.name,
+      reportType: row.report_type,
+      format: row.format,
+      productId: row.product_id || null,
+      dateRange: row.date_range || null,
+      schedule: row.schedule || null,
+      delivery: row.delivery,
+      recipients: row.recipients || [],
+      enabled: row.enabled === true,
+      ownerId: row.owner_id,
+      ownerEmail: row.owner_email || null,
+      nextRunAt: timestamp(row.next_run_at),
+      lastRunAt: timestamp(row.last_run_at),
+      lastStatus: row.last_status || null,
+      lastError: row.last_error || null,
+      createdAt: timestamp(row.created_at),
+      updatedAt: timestamp(row.updated_at)
+    };
+  }
+}
+
+// Singleton instance shared by the scheduler and routes
+const reportStore = new ReportStore();
+
+module.exports = reportStore;
+module.exports.ReportStore = ReportStore;
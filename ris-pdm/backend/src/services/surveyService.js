@@ -0,0 +1,402 @@
+/**
+ * Survey Service
+ * Stakeholder satisfaction surveys: one survey per product per delivery, answered
+ * through a shareable link. CSAT answers are 1-5, NPS answers 0-10
+ * (stakeholder_surveys, survey_responses).
+ */
+
+const crypto = require('crypto');
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'SurveyService' });
+
+const DEFAULT_QUESTIONS = [
+  { id: 'csat', type: 'csat', text: 'How satisfied are you with this delivery?' },
+  { id: 'nps', type: 'nps', text: 'How likely are you to recommend this team to a colleague?' },
+  { id: 'comment', type: 'text', text: 'What should we do differently next delivery?' }
+];
+
+const SCALES = {
+  csat: { min: 1, max: 5 },
+  nps: { min: 0, max: 10 }
+};
+
+const MAX_QUESTIONS = 10;
+const MAX_TEXT_LENGTH = 2000;
+
+const surveyError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Scores from per-survey answer counts
+ * @param {object} counts - { responses, csatTotal, csatCount, csatSatisfied, promoters, detractors, npsCount }
+ * @returns {object} { responses, csat (1-5), csatPercent (share answering 4 or 5), nps (-100..100) }
+ */
+const scoreCounts = ({ responses = 0, csatTotal = 0, csatCount = 0, csatSatisfied = 0, promoters = 0, detractors = 0, npsCount = 0 }) => ({
+  responses,
+  csat: csatCount > 0 ? round(csatTotal / csatCount, 2) : null,
+  csatPercent: csatCount > 0 ? round((csatSatisfied / csatCount) * 100) : null,
+  nps: npsCount > 0 ? Math.round(((promoters - detractors) / npsCount) * 100) : null
+});
+
+/**
+ * Satisfaction KPI from survey scores, latest delivery against the one before
+ * @param {Array<object>} scores - Per-survey scores, oldest first
+ * @returns {object} { value, nps, trend, trendValue, responses, delivery, history, status, message, dataSource }
+ */
+const summarizeSatisfaction = (scores = []) => {
+  const answered = scores.filter(score => score.csat !== null && score.csat !== undefined);
+  if (answered.length === 0) {
+    return {
+      value: null,
+      nps: null,
+      trend: null,
+      trendValue: null,
+      responses: 0,
+      delivery: null,
+      history: [],
+      status: 'no_data',
+      message: 'No stakeholder survey responses yet',
+      dataSource: 'stakeholder_surveys'
+    };
+  }
+
+  const latest = answered[answered.length - 1];
+  const previous = answered[answered.length - 2];
+  const trend = previous ? round(((latest.csat - previous.csat) / previous.csat) * 100) : null;
+
+  return {
+    value: round(latest.csat),
+    nps: latest.nps,
+    trend,
+    trendValue: trend === null ? null : `${trend > 0 ? '+' : ''}${trend.toFixed(1)}%`,
+    responses: latest.responses,
+    delivery: latest.delivery,
+    history: answered.map(score => ({ delivery: score.delivery, csat: score.csat, nps: score.nps, responses: score.responses })),
+    status: 'real',
+    message: `${latest.responses} stakeholder response${latest.responses === 1 ? '' : 's'} for ${latest.delivery}`,
+    dataSource: 'stakeholder_surveys'
+  };
+};
+
+class SurveyService {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether surveys can be stored and read
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Create a survey for a product delivery
+   * @param {object} data - { productId, delivery, title, questions, closesAt }
+   * @param {object} options - { createdBy }
+   * @returns {Promise<object>} Survey including its share token
+   */
+  async createSurvey({ productId, delivery, title, questions, closesAt = null }, { createdBy = null } = {}) {
+    const normalizedQuestions = this.normalizeQuestions(questions);
+    const shareToken = crypto.randomBytes(18).toString('base64url');
+
+    try {
+      const result = await this.db.query(
+        `INSERT INTO stakeholder_surveys (product_id, delivery, title, questions, share_token, closes_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          productId,
+          delivery,
+          title || `${delivery} stakeholder survey`,
+          JSON.stringify(normalizedQuestions),
+          shareToken,
+          closesAt,
+          createdBy
+        ]
+      );
+
+      logger.info(`📝 Created survey for ${productId} ${delivery}`, { createdBy });
+      return this.fromRow(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw surveyError(`A survey for ${delivery} already exists for '${productId}'`, 'SURVEY_EXISTS', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Surveys for a product, newest first, with their scores
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Array<object>>}
+   */
+  async listSurveys(productId) {
+    const result = await this.db.query(
+      `${this.surveyWithCountsSql()}
+       WHERE s.product_id = $1
+       GROUP BY s.id
+       ORDER BY s.created_at DESC`,
+      [productId]
+    );
+
+    return result.rows.map(row => ({ ...this.fromRow(row), scores: scoreCounts(this.countsFromRow(row)) }));
+  }
+
+  /**
+   * A survey with its scores and free-text answers
+   * @param {string} id - Survey id
+   * @returns {Promise<object>}
+   */
+  async getSurvey(id) {
+    const result = await this.db.query(
+      `${this.surveyWithCountsSql()}
+       WHERE s.id = $1
+       GROUP BY s.id`,
+      [id]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      throw surveyError('Survey not found', 'SURVEY_NOT_FOUND', 404);
+    }
+
+    const survey = this.fromRow(row);
+    const textQuestions = survey.questions.filter(question => question.type === 'text').map(question => question.id);
+    const responses = await this.db.query(
+      `SELECT respondent_name, answers, submitted_at
+       FROM survey_responses
+       WHERE survey_id = $1
+       ORDER BY submitted_at DESC`,
+      [id]
+    );
+
+    const comments = responses.rows.flatMap(response => textQuestions
+      .filter(questionId => response.answers?.[questionId])
+      .map(questionId => ({
+        questionId,
+        text: response.answers[questionId],
+        respondent: response.respondent_name || null,
+        submittedAt: response.submitted_at
+      })));
+
+    return { ...survey, scores: scoreCounts(this.countsFromRow(row)), comments };
+  }
+
+  /**
+   * What a stakeholder sees through the share link
+   * @param {string} token - Share token
+   * @returns {Promise<object>} { title, productId, delivery, questions, open }
+   */
+  async getPublicSurvey(token) {
+    const survey = await this.findByToken(token);
+    return {
+      title: survey.title,
+      productId: survey.productId,
+      delivery: survey.delivery,
+      questions: survey.questions,
+      open: this.isOpen(survey)
+    };
+  }
+
+  /**
+   * Record a stakeholder's answers. Anyone with the link can answer and the email isn't
+   * verified, so every submission is kept as its own response rather than matched by email.
+   * @param {string} token - Share token
+   * @param {object} submission - { answers: { [questionId]: value }, name, email }
+   * @returns {Promise<object>} { csat, nps }
+   */
+  async submitResponse(token, { answers = {}, name = null, email = null } = {}) {
+    const survey = await this.findByToken(token);
+    if (!this.isOpen(survey)) {
+      throw surveyError('This survey is closed', 'SURVEY_CLOSED', 409);
+    }
+
+    const cleaned = {};
+    const csatAnswers = [];
+    let nps = null;
+
+    for (const question of survey.questions) {
+      const value = answers[question.id];
+
+      if (question.type === 'text') {
+        if (value !== undefined && value !== null && String(value).trim()) {
+          cleaned[question.id] = String(value).trim().slice(0, MAX_TEXT_LENGTH);
+        }
+        continue;
+      }
+
+      const { min, max } = SCALES[question.type];
+      const score = Number(value);
+      if (value === undefined || value === null || value === '' || !Number.isInteger(score) || score < min || score > max) {
+        throw surveyError(`Answer '${question.text}' with a score from ${min} to ${max}`, 'VALIDATION_ERROR', 400);
+      }
+
+      cleaned[question.id] = score;
+      if (question.type === 'csat') csatAnswers.push(score);
+      if (question.type === 'nps' && nps === null) nps = score;
+    }
+
+    const csat = csatAnswers.length > 0
+      ? round(csatAnswers.reduce((sum, score) => sum + score, 0) / csatAnswers.length, 2)
+      : null;
+    const respondentEmail = email ? String(email).trim().toLowerCase() : null;
+
+    await this.db.query(
+      `INSERT INTO survey_responses (survey_id, respondent_name, respondent_email, answers, csat, nps_score)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [survey.id, name ? String(name).trim().slice(0, 255) : null, respondentEmail, JSON.stringify(cleaned), csat, nps]
+    );
+
+    logger.info(`🗳️ Survey response recorded for ${survey.productId} ${survey.delivery}`);
+    return { csat, nps };
+  }
+
+  /**
+   * Stop accepting responses
+   * @param {string} id - Survey id
+   * @returns {Promise<object>} Updated survey
+   */
+  async closeSurvey(id) {
+    const result = await this.db.query(
+      `UPDATE stakeholder_surveys SET status = 'closed' WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    if (!result.rows[0]) {
+      throw surveyError('Survey not found', 'SURVEY_NOT_FOUND', 404);
+    }
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * Scores for each of a product's surveys, oldest first
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Array<object>>} [{ surveyId, delivery, createdAt, responses, csat, csatPercent, nps }]
+   */
+  async getProductScores(productId) {
+    const surveys = await this.listSurveys(productId);
+    return surveys
+      .reverse()
+      .map(survey => ({ surveyId: survey.id, delivery: survey.delivery, createdAt: survey.createdAt, ...survey.scores }));
+  }
+
+  /**
+   * Check and normalize question definitions, falling back to the default CSAT/NPS set
+   * @throws {Error} VALIDATION_ERROR
+   */
+  normalizeQuestions(questions) {
+    if (questions === undefined || questions === null) {
+      return DEFAULT_QUESTIONS.map(question => ({ ...question }));
+    }
+    if (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_QUESTIONS) {
+      throw surveyError(`Surveys need between 1 and ${MAX_QUESTIONS} questions`, 'VALIDATION_ERROR', 400);
+    }
+
+    const ids = new Set();
+    const normalized = questions.map((question, index) => {
+      const type = question?.type;
+      const text = String(question?.text || '').trim();
+      const id = String(question?.id || `q${index + 1}`).trim();
+
+      if (!['csat', 'nps', 'text'].includes(type)) {
+        throw surveyError(`Question ${index + 1} must be of type csat, nps or text`, 'VALIDATION_ERROR', 400);
+      }
+      if (!text) {
+        throw surveyError(`Question ${index + 1} needs text`, 'VALIDATION_ERROR', 400);
+      }
+      if (ids.has(id)) {
+        throw surveyError(`Question id '${id}' is used twice`, 'VALIDATION_ERROR', 400);
+      }
+      ids.add(id);
+      return { id, type, text: text.slice(0, 500) };
+    });
+
+    if (!normalized.some(question => question.type !== 'text')) {
+      throw surveyError('Surveys need at least one csat or nps question', 'VALIDATION_ERROR', 400);
+    }
+    return normalized;
+  }
+
+  /**
+   * @private
+   */
+  async findByToken(token) {
+    const result = await this.db.query('SELECT * FROM stakeholder_surveys WHERE share_token = $1', [token]);
+    if (!result.rows[0]) {
+      throw surveyError('Survey not found', 'SURVEY_NOT_FOUND', 404);
+    }
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * @private
+   */
+  isOpen(survey) {
+    return survey.status === 'open' && (!survey.closesAt || new Date(survey.closesAt) > new Date());
+  }
+
+  /**
+   * @private
+   */
+  surveyWithCountsSql() {
+    return `SELECT s.*,
+              COUNT(r.id)::int AS responses,
+              COALESCE(SUM(r.csat), 0)::float AS csat_total,
+              COUNT(r.csat)::int AS csat_count,
+              COUNT(r.csat) FILTER (WHERE r.csat >= 4)::int AS csat_satisfied,
+              COUNT(r.nps_score) FILTER (WHERE r.nps_score >= 9)::int AS promoters,
+              COUNT(r.nps_score) FILTER (WHERE r.nps_score <= 6)::int AS detractors,
+              COUNT(r.nps_score)::int AS nps_count
+       FROM stakeholder_surveys s
+       LEFT JOIN survey_responses r ON r.survey_id = s.id`;
+  }
+
+  /**
+   * @private
+   */
+  countsFromRow(row) {
+    return {
+      responses: row.responses,
+      csatTotal: row.csat_total,
+      csatCount: row.csat_count,
+      csatSatisfied: row.csat_satisfied,
+      promoters: row.promoters,
+      detractors: row.detractors,
+      npsCount: row.nps_count
+    };
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      productId: row.product_id,
+      delivery: row.delivery,
+      title: row.title,
+      questions: row.questions,
+      shareToken: row.share_token,
+      status: row.status,
+      closesAt: row.closes_at || null,
+      createdBy: row.created_by || null,
+      createdAt: row.created_at || null
+    };
+  }
+}
+
+// Singleton instance shared by the survey routes and metric calculators
+const surveyService = new SurveyService();
+
+module.exports = surveyService;
+module.exports.SurveyService = SurveyService;
+module.exports.scoreCounts = scoreCounts;
+module.exports.summarizeSatisfaction = summarizeSatisfaction;
+module.exports.DEFAULT_QUESTIONS = DEFAULT_QUESTIONS;
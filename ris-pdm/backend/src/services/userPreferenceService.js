@@ -0,0 +1,204 @@
+/**
+ * User Preference Service
+ * Personal dashboard settings: the product and sprint a user's pages open on, how the dashboard
+ * widgets are arranged (for all products, or one product), and named saved views (product,
+ * sprint, date range and widgets) to switch between from the header. Users without saved
+ * preferences get the defaults.
+ */
+
+const userPreferenceStore = require('./userPreferenceStore');
+const logger = require('../../utils/logger').child({ component: 'UserPreferenceService' });
+
+// Dashboard widgets in their default order and width; the dashboard renders the same ids on a
+// 12-column grid
+const DEFAULT_LAYOUT = [
+  { id: 'kpis', width: 12 },
+  { id: 'burndown', width: 6 },
+  { id: 'cumulativeFlow', width: 6 },
+  { id: 'velocity', width: 6 },
+  { id: 'teamSummary', width: 6 },
+  { id: 'cycleTime', width: 8 },
+  { id: 'forecast', width: 4 },
+  { id: 'dora', width: 12 },
+  { id: 'taskDistribution', width: 12 },
+  { id: 'bugClassification', width: 12 }
+];
+const DASHBOARD_WIDGETS = DEFAULT_LAYOUT.map(widget => widget.id);
+const WIDGET_WIDTHS = [3, 4, 6, 8, 12];
+
+const SPRINT_MODES = ['current', 'all-sprints'];
+const THEMES = ['light', 'dark'];
+const MAX_SAVED_VIEWS = 20;
+
+const DEFAULT_PREFERENCES = {
+  theme: 'light',
+  notifications: true,
+  timeZone: 'UTC',
+  // null opens the dashboard on the first configured product
+  defaultProductId: null,
+  defaultSprintMode: 'current',
+  // { widgets: [{ id, width }] } for every product; null leaves it to the team default
+  dashboardLayout: null,
+  // Layouts of single products, by product id; these come before dashboardLayout
+  productLayouts: {},
+  savedViews: []
+};
+
+const preferenceError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+class UserPreferenceService {
+  /**
+   * @param {object} options - { store }
+   */
+  constructor(options = {}) {
+    this.store = options.store || userPreferenceStore;
+  }
+
+  /**
+   * A user's preferences, filled in with defaults
+   * @param {object} user - { id, email }
+   * @returns {Promise<object>}
+   */
+  async get(user) {
+    if (!this.store.isAvailable()) {
+      return { ...DEFAULT_PREFERENCES };
+    }
+
+    const saved = await this.store.get(user.id);
+    return { ...DEFAULT_PREFERENCES, ...this.pickKnown(saved?.preferences) };
+  }
+
+  /**
+   * Change some preferences; the ones not given keep their saved value
+   * @param {object} user - { id, email }
+   * @param {object} changes - Any of the DEFAULT_PREFERENCES keys. savedViews replaces the whole list;
+   *   productLayouts only changes the products it names, and null removes a product's layout.
+   * @returns {Promise<object>} The complete preferences after the change
+   * @throws {Error} STORE_UNAVAILABLE (503), DUPLICATE_VIEW_NAME (400)
+   */
+  async update(user, changes) {
+    if (!this.store.isAvailable()) {
+      throw preferenceError('Saving preferences requires a database connection', 'STORE_UNAVAILABLE', 503);
+    }
+
+    const current = await this.get(user);
+    const next = { ...current, ...this.pickKnown(changes) };
+    if (changes.savedViews) {
+      next.savedViews = this.normalizeViews(changes.savedViews);
+    }
+    if (changes.dashboardLayout) {
+      next.dashboardLayout = { widgets: this.normalizeLayout(changes.dashboardLayout.widgets) };
+    }
+    if (changes.productLayouts) {
+      next.productLayouts = this.mergeProductLayouts(current.productLayouts, changes.productLayouts);
+    }
+
+    const saved = await this.store.save(user, next);
+    logger.info(`Preferences updated for ${user.email || user.id}: ${Object.keys(this.pickKnown(changes)).join(', ')}`);
+    return { ...DEFAULT_PREFERENCES, ...saved.preferences };
+  }
+
+  /**
+   * Keep the widgets the dashboard knows, each once, with a width on the grid
+   * @param {Array<string|object>} widgets - Widget ids or { id, width }; a missing width is the default one
+   * @returns {Array<object>} [{ id, width }] in the given order
+   */
+  normalizeLayout(widgets = []) {
+    const seen = new Set();
+    return widgets.reduce((layout, widget) => {
+      const { id, width } = typeof widget === 'string' ? { id: widget } : widget;
+      const known = DEFAULT_LAYOUT.find(entry => entry.id === id);
+      if (known && !seen.has(id)) {
+        seen.add(id);
+        layout.push({ id, width: WIDGET_WIDTHS.includes(width) ? width : known.width });
+      }
+      return layout;
+    }, []);
+  }
+
+  /**
+   * @private
+   */
+  pickKnown(preferences = {}) {
+    return Object.fromEntries(
+      Object.entries(preferences || {}).filter(([key, value]) => key in DEFAULT_PREFERENCES && value !== undefined)
+    );
+  }
+
+  /**
+   * Trim names, store empty filters as null and keep widget ids the dashboard knows
+   * @private
+   */
+  normalizeViews(views) {
+    const names = new Set();
+    return views.map(view => {
+      const name = view.name.trim();
+      if (names.has(name.toLowerCase())) {
+        throw preferenceError(`There is already a saved view named "${name}"`, 'DUPLICATE_VIEW_NAME', 400);
+      }
+      names.add(name.toLowerCase());
+
+      return {
+        name,
+        productId: view.productId || null,
+        sprintId: view.sprintId || null,
+        startDate: view.startDate || null,
+        endDate: view.endDate || null,
+        widgets: view.widgets ? this.knownWidgets(view.widgets) : null
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  mergeProductLayouts(saved = {}, changes) {
+    const layouts = { ...saved };
+    Object.entries(changes).forEach(([productId, layout]) => {
+      if (layout) {
+        layouts[productId] = { widgets: this.normalizeLayout(layout.widgets) };
+      } else {
+        delete layouts[productId];
+      }
+    });
+    return layouts;
+  }
+
+  /**
+   * @private
+   */
+  knownWidgets(widgets = []) {
+    return [...new Set(widgets)].filter(widget => DASHBOARD_WIDGETS.includes(widget));
+  }
+}
+
+/**
+ * Whether a value is a dashboard layout the service accepts: widget ids or { id, width } entries
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isLayout = (value) => Array.isArray(value) && value.every(widget => (
+  typeof widget === 'string'
+    ? DASHBOARD_WIDGETS.includes(widget)
+    : widget !== null && typeof widget === 'object' && DASHBOARD_WIDGETS.includes(widget.id)
+      && (widget.width === undefined || WIDGET_WIDTHS.includes(widget.width))
+));
+
+// Singleton instance shared by the profile routes
+const userPreferenceService = new UserPreferenceService();
+
+module.exports = userPreferenceService;
+module.exports.UserPreferenceService = UserPreferenceService;
+module.exports.DASHBOARD_WIDGETS = DASHBOARD_WIDGETS;
+module.exports.DEFAULT_LAYOUT = DEFAULT_LAYOUT;
+module.exports.WIDGET_WIDTHS = WIDGET_WIDTHS;
+module.exports.isLayout = isLayout;
+module.exports.SPRINT_MODES = SPRINT_MODES;
+module.exports.THEMES = THEMES;
+module.exports.MAX_SAVED_VIEWS = MAX_SAVED_VIEWS;
+module.exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
@@ -0,0 +1,67 @@
+/**
+ * User Preference Store
+ * Persists each user's dashboard preferences as one JSON document (user_preferences)
+ */
+
+const { database } = require('../../config/database');
+const logger = require('../../utils/logger').child({ component: 'UserPreferenceStore' });
+
+class UserPreferenceStore {
+  constructor(db = database) {
+    this.db = db;
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * @param {string} userId - Authenticated user id
+   * @returns {Promise<object|null>} { preferences, updatedAt }, or null when nothing is saved yet
+   */
+  async get(userId) {
+    const result = await this.db.query(
+      'SELECT preferences, updated_at FROM user_preferences WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Replace a user's preferences
+   * @param {object} user - { id, email }
+   * @param {object} preferences - The complete preferences document
+   * @returns {Promise<object>} { preferences, updatedAt }
+   */
+  async save(user, preferences) {
+    const result = await this.db.query(
+      `INSERT INTO user_preferences (user_id, user_email, preferences)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) DO UPDATE SET user_email = EXCLUDED.user_email, preferences = EXCLUDED.preferences
+       RETURNING preferences, updated_at`,
+      [user.id, user.email || null, JSON.stringify(preferences)]
+    );
+
+    logger.debug(`Preferences saved for ${user.email || user.id}`);
+    return this.fromRow(result.rows[0]);
+  }
+
+  /**
+   * @private
+   */
+  fromRow(row) {
+    return {
+      preferences: row.preferences || {},
+      updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+  }
+}
+
+// Singleton instance shared by the profile routes
+const userPreferenceStore = new UserPreferenceStore();
+
+module.exports = userPreferenceStore;
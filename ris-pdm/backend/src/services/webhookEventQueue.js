@@ -0,0 +1,176 @@
+/**
+ * Webhook Event Queue
+ * Persists Azure DevOps webhook events in Redis (bull) so they survive restarts.
+ * Jobs are keyed by the Azure DevOps event id, which makes redelivered events
+ * no-ops; failed jobs retry with exponential backoff and, once out of attempts,
+ * move to a dead-letter queue from which they can be replayed.
+ */
+
+const Bull = require('bull');
+const logger = require('../../utils/logger').child({ component: 'WebhookEventQueue' });
+
+const DEFAULT_NAME = 'azure-devops-webhooks';
+
+// Completed jobs are kept this long so redeliveries of the same event id are recognised
+const DEDUPE_WINDOW_SECONDS = 24 * 60 * 60;
+const DEDUPE_MAX_JOBS = 10000;
+
+class WebhookEventQueue {
+  /**
+   * @param {object} options - { redisUrl, name, Queue }
+   */
+  constructor({ redisUrl = process.env.REDIS_URL || 'redis://localhost:6379', name = DEFAULT_NAME, Queue = Bull } = {}) {
+    this.queue = new Queue(name, redisUrl);
+    this.deadLetterQueue = new Queue(`${name}-dead-letter`, redisUrl);
+    this.jobOptions = {};
+
+    this.queue.on('error', (error) => logger.error(`Webhook queue error: ${error.message}`));
+    this.deadLetterQueue.on('error', (error) => logger.error(`Webhook dead-letter queue error: ${error.message}`));
+  }
+
+  /**
+   * Start processing queued events
+   * @param {Function} processor - async (event) => result; throwing schedules a retry
+   * @param {object} options - { attempts, backoffDelay (ms, doubled per retry), concurrency }
+   */
+  start(processor, { attempts = 4, backoffDelay = 1000, concurrency = 5 } = {}) {
+    this.jobOptions = {
+      attempts,
+      backoff: { type: 'exponential', delay: backoffDelay },
+      removeOnComplete: { age: DEDUPE_WINDOW_SECONDS, count: DEDUPE_MAX_JOBS },
+      removeOnFail: false
+    };
+
+    this.queue.process(concurrency, (job) => processor(job.data));
+
+    this.queue.on('failed', (job, error) => {
+      if (job.attemptsMade < (job.opts.attempts || 1)) {
+        logger.warn(`Webhook event ${job.id} failed (attempt ${job.attemptsMade}/${job.opts.attempts}), retrying: ${error.message}`);
+        return;
+      }
+      this.moveToDeadLetter(job, error).catch(moveError => {
+        logger.error(`Could not dead-letter webhook event ${job.id}: ${moveError.message}`);
+      });
+    });
+  }
+
+  /**
+   * Whether Redis is reachable; callers fall back to in-process handling when it isn't
+   */
+  isReady() {
+    return this.queue.client?.status === 'ready';
+  }
+
+  /**
+   * Queue an event unless the same event id was already received
+   * @param {object} event - Event payload with id
+   * @returns {Promise<object>} { queued, duplicate }
+   */
+  async enqueue(event) {
+    if (await this.queue.getJob(event.id)) {
+      return { queued: false, duplicate: true };
+    }
+
+    await this.queue.add(event, { ...this.jobOptions, jobId: event.id });
+    return { queued: true, duplicate: false };
+  }
+
+  /**
+   * @private
+   */
+  async moveToDeadLetter(job, error) {
+    await this.deadLetterQueue.add({
+      event: job.data,
+      failedReason: error.message,
+      attemptsMade: job.attemptsMade,
+      failedAt: new Date().toISOString()
+    }, { jobId: job.id });
+
+    // Free the event id so a replay (or a redelivery) can queue it again
+    await job.remove();
+    logger.error(`Webhook event ${job.id} moved to dead-letter queue after ${job.attemptsMade} attempts: ${error.message}`);
+  }
+
+  /**
+   * Dead-lettered events, oldest first
+   * @param {object} options - { offset, limit }
+   * @returns {Promise<Array>}
+   */
+  async listDeadLetters({ offset = 0, limit = 50 } = {}) {
+    const jobs = await this.deadLetterQueue.getWaiting(offset, offset + limit - 1);
+    return jobs.map(job => ({
+      eventId: job.id,
+      eventType: job.data.event?.eventType,
+      workItemId: job.data.event?.resource?.id ?? job.data.event?.resource?.workItemId ?? null,
+      failedReason: job.data.failedReason,
+      attemptsMade: job.data.attemptsMade,
+      failedAt: job.data.failedAt,
+      receivedAt: job.data.event?.receivedAt ? new Date(job.data.event.receivedAt).toISOString() : null
+    }));
+  }
+
+  /**
+   * Put a dead-lettered event back on the queue with a fresh set of attempts
+   * @param {string} eventId - Event id
+   * @returns {Promise<boolean>} False when no such dead-lettered event exists
+   */
+  async replay(eventId) {
+    const job = await this.deadLetterQueue.getJob(eventId);
+    if (!job) {
+      return false;
+    }
+
+    const existing = await this.queue.getJob(eventId);
+    if (existing) {
+      await existing.remove();
+    }
+
+    await this.queue.add(job.data.event, { ...this.jobOptions, jobId: eventId });
+    await job.remove();
+    logger.info(`Replayed dead-lettered webhook event ${eventId}`);
+    return true;
+  }
+
+  /**
+   * Replay every dead-lettered event
+   * @returns {Promise<number>} Number of events replayed
+   */
+  async replayAll() {
+    const jobs = await this.deadLetterQueue.getWaiting();
+    let replayed = 0;
+    for (const job of jobs) {
+      if (await this.replay(job.id)) {
+        replayed++;
+      }
+    }
+    return replayed;
+  }
+
+  /**
+   * Job counts of the queue and the dead-letter queue
+   * @returns {Promise<object>}
+   */
+  async getCounts() {
+    const [counts, deadLetterCount] = await Promise.all([
+      this.queue.getJobCounts(),
+      this.deadLetterQueue.count()
+    ]);
+    return { ...counts, deadLettered: deadLetterCount };
+  }
+
+  /**
+   * Drop waiting and delayed events (dead letters are kept)
+   */
+  async empty() {
+    await this.queue.empty();
+  }
+
+  /**
+   * Stop taking new jobs, letting active ones finish
+   */
+  async close() {
+    await Promise.all([this.queue.close(), this.deadLetterQueue.close()]);
+  }
+}
+
+module.exports = WebhookEventQueue;
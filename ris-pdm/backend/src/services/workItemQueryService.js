@@ -0,0 +1,232 @@
+/**
+ * Work Item Query Service
+ * Browses Azure DevOps work items with WIQL filters, sorting and cursor pagination.
+ *
+ * WIQL returns the ordered ids of every match but details can only be read in batches,
+ * so a page is a slice of the id list. The first page pins the list with ASOF so later
+ * pages slice exactly the same snapshot, even while items are being edited; the details
+ * themselves are current.
+ */
+
+const crypto = require('crypto');
+const projectRegistry = require('./projectRegistry');
+const logger = require('../../utils/logger').child({ component: 'WorkItemQueryService' });
+
+// Sort keys accepted by the API and the WIQL fields behind them
+const SORT_FIELDS = {
+  changedDate: '[System.ChangedDate]',
+  createdDate: '[System.CreatedDate]',
+  id: '[System.Id]',
+  title: '[System.Title]',
+  type: '[System.WorkItemType]',
+  state: '[System.State]',
+  priority: '[Microsoft.VSTS.Common.Priority]',
+  storyPoints: '[Microsoft.VSTS.Scheduling.StoryPoints]',
+  assignedTo: '[System.AssignedTo]'
+};
+
+// Fields of the transformed work item a list row needs; raw fields and descriptions stay out
+const LIST_FIELDS = [
+  'id', 'rev', 'title', 'type', 'state', 'assignee', 'assigneeEmail', 'priority', 'storyPoints', 'tags',
+  'iterationPath', 'areaPath', 'createdDate', 'changedDate', 'closedDate', 'url'
+];
+
+const DEFAULT_SORT = { sort: 'changedDate', order: 'desc' };
+const MAX_PAGE_SIZE = 200;
+// Azure DevOps rejects WIQL queries matching more than 20,000 items unless they ask for fewer
+const MAX_QUERY_RESULTS = 20000;
+
+const queryError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// WIQL string literals escape a quote by doubling it
+const literal = (value) => `'${String(value).replace(/'/g, "''")}'`;
+const list = (values) => values.map(literal).join(', ');
+
+class WorkItemQueryService {
+  constructor(azureService, registry = projectRegistry) {
+    this.azureService = azureService;
+    this.registry = registry;
+  }
+
+  /**
+   * One page of work items
+   * @param {object} filters - { productId, assignedTo, states, types, iteration, area, priority, search, sort, order }
+   * @param {object} page - { limit, cursor } where cursor is the nextCursor of the previous page
+   * @returns {Promise<object>} { workItems, pagination: { limit, total, hasMore, nextCursor, asOf } }.
+   *   Only the first MAX_QUERY_RESULTS matches can be paged through, so total never exceeds it.
+   */
+  async query(filters = {}, { limit = 50, cursor = null } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const key = this.filterKey(filters);
+    const position = cursor ? this.decodeCursor(cursor, key) : { asOf: new Date().toISOString(), offset: 0 };
+
+    const projectName = this.resolveProject(filters.productId);
+    const iterationPath = await this.resolveIteration(filters.iteration, filters.productId, projectName);
+    const wiql = this.buildQuery({ ...filters, iterationPath }, { projectName, asOf: position.asOf });
+
+    const result = await this.azureService.getWorkItems({
+      customQuery: wiql,
+      projectName,
+      maxResults: MAX_QUERY_RESULTS,
+      top: MAX_QUERY_RESULTS
+    });
+    const ids = (result.workItems || []).map(item => item.id);
+    const pageIds = ids.slice(position.offset, position.offset + pageSize);
+
+    const workItems = await this.loadInOrder(pageIds, projectName);
+    const nextOffset = position.offset + pageIds.length;
+    const hasMore = nextOffset < ids.length;
+
+    logger.debug(`Work item page: ${workItems.length} of ${ids.length} from offset ${position.offset}`);
+
+    return {
+      workItems,
+      pagination: {
+        limit: pageSize,
+        total: ids.length,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor({ asOf: position.asOf, offset: nextOffset, key }) : null,
+        asOf: position.asOf
+      }
+    };
+  }
+
+  /**
+   * WIQL for the filters, ordered by the sort key with the id as tie-breaker
+   * @param {object} filters - As for query(), with iteration already resolved to iterationPath
+   * @param {object} options - { projectName, asOf }
+   * @returns {string}
+   */
+  buildQuery(filters, { projectName, asOf = null }) {
+    const conditions = [`[System.TeamProject] = ${literal(projectName)}`];
+
+    if (filters.types?.length) {
+      conditions.push(`[System.WorkItemType] IN (${list(filters.types)})`);
+    }
+    conditions.push(filters.states?.length
+      ? `[System.State] IN (${list(filters.states)})`
+      : `[System.State] <> 'Removed'`);
+    if (filters.assignedTo) {
+      conditions.push(`[System.AssignedTo] = ${literal(filters.assignedTo)}`);
+    }
+    if (filters.iterationPath) {
+      conditions.push(`[System.IterationPath] UNDER ${literal(filters.iterationPath)}`);
+    }
+    if (filters.area) {
+      conditions.push(`[System.AreaPath] UNDER ${literal(filters.area)}`);
+    }
+    if (filters.priority) {
+      conditions.push(`[Microsoft.VSTS.Common.Priority] = ${parseInt(filters.priority, 10)}`);
+    }
+    if (filters.search) {
+      conditions.push(`[System.Title] CONTAINS ${literal(filters.search)}`);
+    }
+
+    const sortField = SORT_FIELDS[filters.sort] || SORT_FIELDS[DEFAULT_SORT.sort];
+    const direction = (filters.order || DEFAULT_SORT.order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    const orderBy = sortField === SORT_FIELDS.id
+      ? `${sortField} ${direction}`
+      : `${sortField} ${direction}, [System.Id] ASC`;
+
+    return [
+      'SELECT [System.Id] FROM WorkItems',
+      `WHERE ${conditions.join(' AND ')}`,
+      `ORDER BY ${orderBy}`,
+      asOf ? `ASOF ${literal(asOf)}` : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Details for the ids, in the order given. getWorkItemDetails batches the ids and does not
+   * keep their order; items that can no longer be read are left out.
+   * @private
+   */
+  async loadInOrder(ids, projectName) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const details = await this.azureService.getWorkItemDetails([...ids], null, projectName);
+    const byId = new Map((details.workItems || []).map(item => [item.id, item]));
+    return ids
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .map(item => Object.fromEntries(LIST_FIELDS.map(field => [field, item[field] ?? null])));
+  }
+
+  /**
+   * @private
+   */
+  resolveProject(productId) {
+    if (!productId) {
+      return this.azureService.project;
+    }
+    return this.registry.getAzureProject(productId) || this.azureService.project;
+  }
+
+  /**
+   * Iteration paths are used as given; names and keywords such as "current" go through the
+   * iteration resolver, as they do for the metrics endpoints
+   * @private
+   */
+  async resolveIteration(iteration, productId, projectName) {
+    if (!iteration || iteration.includes('\\')) {
+      return iteration || null;
+    }
+
+    const teamName = productId ? this.registry.getTeamName(productId) : null;
+    const resolved = await this.azureService.iterationResolver.resolveIteration(projectName, iteration, teamName);
+    if (!resolved) {
+      throw queryError(`Iteration "${iteration}" was not found in ${projectName}`, 'ITERATION_NOT_FOUND', 400);
+    }
+    return resolved;
+  }
+
+  /**
+   * Fingerprint of everything that shapes the id list, so a cursor can't be replayed against
+   * different filters
+   * @private
+   */
+  filterKey(filters) {
+    const normalized = ['productId', 'assignedTo', 'states', 'types', 'iteration', 'area', 'priority', 'search', 'sort', 'order']
+      .map(name => [name, Array.isArray(filters[name]) ? [...filters[name]].sort() : filters[name] ?? null]);
+    return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * @private
+   */
+  encodeCursor({ asOf, offset, key }) {
+    return Buffer.from(JSON.stringify({ a: asOf, o: offset, k: key })).toString('base64url');
+  }
+
+  /**
+   * @private
+   */
+  decodeCursor(cursor, key) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0 || Number.isNaN(Date.parse(decoded.a))) {
+      throw queryError('Invalid cursor', 'INVALID_CURSOR', 400);
+    }
+    if (decoded.k !== key) {
+      throw queryError('The cursor belongs to a query with different filters', 'INVALID_CURSOR', 400);
+    }
+    return { asOf: decoded.a, offset: decoded.o };
+  }
+}
+
+module.exports = WorkItemQueryService;
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+module.exports.MAX_QUERY_RESULTS = MAX_QUERY_RESULTS;
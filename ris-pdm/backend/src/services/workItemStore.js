@@ -0,0 +1,342 @@
+/**
+ * Work Item Store
+ * Persists Azure DevOps work item snapshots and calculated metrics in PostgreSQL
+ * (work_items_cache, performance_metrics, projects, team_members, users)
+ */
+
+const { database } = require('../../config/database');
+const requestContext = require('../../utils/requestContext');
+const logger = require('../../utils/logger').child({ component: 'WorkItemStore' });
+
+class WorkItemStore {
+  constructor(db = database) {
+    this.db = db;
+    this.projectIds = new Map(); // Azure project name -> projects.id
+    this.userIds = new Map(); // email -> users.id
+  }
+
+  /**
+   * Whether the store can serve reads and writes
+   */
+  isAvailable() {
+    return this.db.isReady();
+  }
+
+  /**
+   * Resolve (and create if missing) the projects row for an Azure DevOps project
+   * @param {string} projectName - Azure DevOps project name
+   * @returns {Promise<string>} projects.id
+   */
+  async getProjectId(projectName) {
+    if (this.projectIds.has(projectName)) {
+      return this.projectIds.get(projectName);
+    }
+
+    // Seeded rows use a slug for azure_project_id, so match on either column
+    const existing = await this.db.query(
+      'SELECT id FROM projects WHERE azure_project_id = $1 OR name = $1 ORDER BY created_at LIMIT 1',
+      [projectName]
+    );
+
+    let projectId = existing.rows[0]?.id;
+    if (!projectId) {
+      const inserted = await this.db.query(
+        `INSERT INTO projects (azure_project_id, name)
+         VALUES ($1, $1)
+         ON CONFLICT (azure_project_id) DO UPDATE SET name = EXCLUDED.name
+         RETURNING id`,
+        [projectName]
+      );
+      projectId = inserted.rows[0].id;
+    }
+
+    this.projectIds.set(projectName, projectId);
+    return projectId;
+  }
+
+  /**
+   * Resolve (and create if missing) the users row for a work item assignee
+   * and record their membership of the project. Rows created here are not
+   * provisioned, so their default role is never used for access decisions.
+   * @private
+   */
+  async getAssigneeId(client, workItem, projectId) {
+    const email = workItem.assigneeEmail?.toLowerCase();
+    if (!email) return null;
+
+    let userId = this.userIds.get(email);
+    if (!userId) {
+      const azureId = workItem.fields?.['System.AssignedTo']?.id || email;
+      const result = await client.query(
+        `INSERT INTO users (azure_id, email, name, provisioned)
+         VALUES ($1, $2, $3, false)
+         ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name
+         RETURNING id`,
+        [azureId, email, workItem.assignee || email]
+      );
+      userId = result.rows[0].id;
+      this.userIds.set(email, userId);
+    }
+
+    await client.query(
+      `INSERT INTO team_members (user_id, project_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, project_id) DO NOTHING`,
+      [userId, projectId]
+    );
+
+    return userId;
+  }
+
+  /**
+   * Insert or update work item snapshots for a project
+   * @param {string} projectName - Azure DevOps project name
+   * @param {Array} workItems - Work items as returned by getWorkItemDetails
+   * @returns {Promise<number>} Number of rows written
+   */
+  async upsertWorkItems(projectName, workItems = []) {
+    if (workItems.length === 0) return 0;
+
+    const projectId = await this.getProjectId(projectName);
+
+    return this.db.transaction(async (client) => {
+      let written = 0;
+
+      for (const item of workItems) {
+        if (!item?.id) continue;
+
+        const assigneeId = await this.getAssigneeId(client, item, projectId);
+        // Raw Azure fields are large and already summarised by the transformed item
+        const snapshot = { ...item };
+        delete snapshot.fields;
+
+        await client.query(
+          `INSERT INTO work_items_cache (
+             azure_work_item_id, project_id, title, type, state, assigned_to,
+             created_date, changed_date, closed_date, story_points, priority,
+             work_item_data, last_updated
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+           ON CONFLICT (azure_work_item_id, project_id) DO UPDATE SET
+             title = EXCLUDED.title,
+             type = EXCLUDED.type,
+             state = EXCLUDED.state,
+             assigned_to = EXCLUDED.assigned_to,
+             created_date = EXCLUDED.created_date,
+             changed_date = EXCLUDED.changed_date,
+             closed_date = EXCLUDED.closed_date,
+             story_points = EXCLUDED.story_points,
+             priority = EXCLUDED.priority,
+             work_item_data = EXCLUDED.work_item_data,
+             last_updated = CURRENT_TIMESTAMP`,
+          [
+            item.id,
+            projectId,
+            (item.title || '').substring(0, 500),
+            item.type || 'Unknown',
+            item.state || 'Unknown',
+            assigneeId,
+            item.createdDate || null,
+            item.changedDate || null,
+            item.closedDate || null,
+            // Column is INTEGER; the exact value is kept in work_item_data
+            item.storyPoints != null ? Math.round(item.storyPoints) : null,
+            item.priority != null ? parseInt(item.priority, 10) : null,
+            JSON.stringify(snapshot)
+          ]
+        );
+        written++;
+      }
+
+      logger.debug(`Stored ${written} work items for ${projectName}`);
+      return written;
+    });
+  }
+
+  /**
+   * Azure work item IDs currently cached for a project
+   * @param {string} projectName - Azure DevOps project name
+   * @returns {Promise<Array<number>>}
+   */
+  async getWorkItemIds(projectName) {
+    const projectId = await this.getProjectId(projectName);
+    const result = await this.db.query(
+      'SELECT azure_work_item_id FROM work_items_cache WHERE project_id = $1',
+      [projectId]
+    );
+    return result.rows.map(row => row.azure_work_item_id);
+  }
+
+  /**
+   * Remove work items that no longer exist (deleted or moved to 'Removed')
+   * @param {string} projectName - Azure DevOps project name
+   * @param {Array<number>} workItemIds - Azure work item IDs
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  async removeWorkItems(projectName, workItemIds = []) {
+    if (workItemIds.length === 0) return 0;
+
+    const projectId = await this.getProjectId(projectName);
+    const result = await this.db.query(
+      'DELETE FROM work_items_cache WHERE project_id = $1 AND azure_work_item_id = ANY($2::int[])',
+      [projectId, workItemIds]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Read work item snapshots in the same shape getWorkItemDetails returns
+   * @param {string} projectName - Azure DevOps project name
+   * @param {object} filters - Optional filters
+   * @param {string} filters.iterationPath - Iteration path (matches the path and its children)
+   * @param {string} filters.areaPath - Area path (matches the path and its children)
+   * @param {string} filters.assigneeEmail - Assignee email
+   * @param {Array<string>} filters.workItemTypes - Work item types to include
+   * @param {string} filters.startDate - Lower bound on changed date
+   * @param {string} filters.endDate - Upper bound on changed date
+   * @param {number} filters.limit - Maximum rows
+   * @returns {Promise<Array>} Work items
+   */
+  async getWorkItems(projectName, filters = {}) {
+    const { iterationPath, areaPath, assigneeEmail, workItemTypes, startDate, endDate, limit = 2000 } = filters;
+    const projectId = await this.getProjectId(projectName);
+
+    const conditions = ['wi.project_id = $1'];
+    const params = [projectId];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (iterationPath) {
+      const p = addParam(iterationPath);
+      conditions.push(`(wi.work_item_data->>'iterationPath' = ${p} OR starts_with(wi.work_item_data->>'iterationPath', ${p} || '\\'))`);
+    }
+    if (areaPath) {
+      const p = addParam(areaPath);
+      conditions.push(`(wi.work_item_data->>'areaPath' = ${p} OR starts_with(wi.work_item_data->>'areaPath', ${p} || '\\'))`);
+    }
+    if (assigneeEmail) {
+      conditions.push(`LOWER(wi.work_item_data->>'assigneeEmail') = LOWER(${addParam(assigneeEmail)})`);
+    }
+    if (workItemTypes?.length) {
+      conditions.push(`wi.type = ANY(${addParam(workItemTypes)}::text[])`);
+    }
+    if (startDate) {
+      conditions.push(`wi.changed_date >= ${addParam(startDate)}`);
+    }
+    if (endDate) {
+      conditions.push(`wi.changed_date <= ${addParam(endDate)}`);
+    }
+
+    const result = await this.db.query(
+      `SELECT wi.work_item_data
+       FROM work_items_cache wi
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY wi.changed_date DESC NULLS LAST
+       LIMIT ${addParam(limit)}`,
+      params
+    );
+
+    return result.rows.map(row => row.work_item_data);
+  }
+
+  /**
+   * Latest changed date stored for a project, used as the incremental sync watermark
+   * @param {string} projectName - Azure DevOps project name
+   * @returns {Promise<Date|null>}
+   */
+  async getLastChangedDate(projectName) {
+    const projectId = await this.getProjectId(projectName);
+    const result = await this.db.query(
+      'SELECT MAX(changed_date) AS last_changed, COUNT(*)::int AS total FROM work_items_cache WHERE project_id = $1',
+      [projectId]
+    );
+    const row = result.rows[0];
+    return row && row.total > 0 ? row.last_changed : null;
+  }
+
+  /**
+   * Store a calculated metric snapshot
+   * @param {string} projectName - Azure DevOps project name
+   * @param {string} metricType - performance | quality | velocity | burndown
+   * @param {object} period - { start, end } dates
+   * @param {object} data - Metric payload
+   * @param {object} options - { userId, ttlSeconds }
+   */
+  async saveMetric(projectName, metricType, period, data, options = {}) {
+    const { userId = null, ttlSeconds = null } = options;
+    const projectId = await this.getProjectId(projectName);
+    const expiresAt = ttlSeconds ? new Date(Date.now() + ttlSeconds * 1000) : null;
+
+    // The unique constraint treats NULL user_id as distinct, so replace explicitly
+    await this.db.transaction(async (client) => {
+      await client.query(
+        `DELETE FROM performance_metrics
+         WHERE project_id = $1 AND user_id IS NOT DISTINCT FROM $2
+         AND metric_type = $3 AND period_start = $4 AND period_end = $5`,
+        [projectId, userId, metricType, period.start, period.end]
+      );
+      await client.query(
+        `INSERT INTO performance_metrics (user_id, project_id, metric_type, metric_data, period_start, period_end, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, projectId, metricType, JSON.stringify(data), period.start, period.end, expiresAt]
+      );
+    });
+  }
+
+  /**
+   * Read a stored metric snapshot that has not expired. Snapshots are calculated
+   * from service identity data, so none is returned to a caller using their own
+   * Azure DevOps identity.
+   * @returns {Promise<object|null>} Metric payload
+   */
+  async getMetric(projectName, metricType, period, { userId = null } = {}) {
+    if (requestContext.getAzureUserId()) {
+      return null;
+    }
+    const projectId = await this.getProjectId(projectName);
+    const result = await this.db.query(
+      `SELECT metric_data FROM performance_metrics
+       WHERE project_id = $1 AND user_id IS NOT DISTINCT FROM $2
+       AND metric_type = $3 AND period_start = $4 AND period_end = $5
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       ORDER BY calculated_at DESC LIMIT 1`,
+      [projectId, userId, metricType, period.start, period.end]
+    );
+    return result.rows[0]?.metric_data || null;
+  }
+
+  /**
+   * Per-project row counts and sync watermarks
+   */
+  async getStats() {
+    const result = await this.db.query(
+      `SELECT p.name AS project, COUNT(wi.id)::int AS work_items,
+              MAX(wi.changed_date) AS last_changed, MAX(wi.last_updated) AS last_synced
+       FROM projects p
+       LEFT JOIN work_items_cache wi ON wi.project_id = p.id
+       GROUP BY p.name
+       ORDER BY p.name`
+    );
+    return result.rows.map(row => ({
+      project: row.project,
+      workItems: row.work_items,
+      lastChanged: row.last_changed,
+      lastSynced: row.last_synced
+    }));
+  }
+
+  /**
+   * Drop cached id lookups (e.g. after a database reconnect)
+   */
+  clearLookups() {
+    this.projectIds.clear();
+    this.userIds.clear();
+  }
+}
+
+// Singleton instance shared by the sync job and metric calculators
+const workItemStore = new WorkItemStore();
+
+module.exports = workItemStore;
+module.exports.WorkItemStore = WorkItemStore;
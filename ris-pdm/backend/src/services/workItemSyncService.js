@@ -0,0 +1,184 @@
+/**
+ * Work Item Sync Service
+ * Periodically copies Azure DevOps work items into the local store.
+ * The first run per project is a full load; later runs only fetch items
+ * changed since the stored watermark.
+ */
+
+const { getAzureProjects } = require('../config/projectMapping');
+const workItemStore = require('./workItemStore');
+const logger = require('../../utils/logger').child({ component: 'WorkItemSyncService' });
+
+class WorkItemSyncService {
+  constructor(azureDevOpsService, store = workItemStore) {
+    this.azureService = azureDevOpsService;
+    this.store = store;
+    this.interval = null;
+    this.isSyncing = false;
+    this.syncIntervalMs = parseInt(process.env.WORK_ITEM_SYNC_INTERVAL, 10) || 10 * 60 * 1000; // 10 minutes
+    this.lastRun = null; // { startedAt, finishedAt, results }
+  }
+
+  /**
+   * Start the periodic sync job (runs once immediately)
+   */
+  start() {
+    if (this.interval) return;
+
+    if (!this.store.isAvailable()) {
+      logger.info('🗄️ Work item store unavailable, sync job not started');
+      return;
+    }
+
+    logger.info(`🔄 Starting work item sync job (every ${Math.round(this.syncIntervalMs / 1000)}s)`);
+    this.syncAll().catch(error => logger.error('Initial work item sync failed:', error.message));
+    this.interval = setInterval(() => {
+      this.syncAll().catch(error => logger.error('Work item sync failed:', error.message));
+    }, this.syncIntervalMs);
+  }
+
+  /**
+   * Stop the periodic sync job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('⏹️ Work item sync job stopped');
+    }
+  }
+
+  /**
+   * Sync every mapped Azure DevOps project
+   * @param {object} options - { full: boolean } forces a full reload
+   * @returns {Promise<Array>} Per-project results
+   */
+  async syncAll(options = {}) {
+    if (this.isSyncing) {
+      logger.debug('Work item sync already in progress, skipping');
+      return this.lastRun?.results || [];
+    }
+
+    this.isSyncing = true;
+    const startedAt = new Date();
+    const results = [];
+
+    try {
+      for (const projectName of getAzureProjects()) {
+        try {
+          results.push(await this.syncProject(projectName, options));
+        } catch (error) {
+          logger.error(`Work item sync failed for ${projectName}:`, error.message);
+          results.push({ projectName, success: false, error: error.message });
+        }
+      }
+    } finally {
+      this.isSyncing = false;
+      this.lastRun = { startedAt, finishedAt: new Date(), results };
+    }
+
+    return results;
+  }
+
+  /**
+   * Sync a single project
+   * @param {string} projectName - Azure DevOps project name
+   * @param {object} options - { full: boolean } forces a full reload
+   * @returns {Promise<object>} Sync result
+   */
+  async syncProject(projectName, { full = false } = {}) {
+    const since = full ? null : await this.store.getLastChangedDate(projectName);
+    const query = this.buildSyncQuery(projectName, since);
+
+    const response = await this.azureService.getWorkItems({
+      projectName,
+      customQuery: query,
+      maxResults: 20000,
+      forceRefresh: true
+    });
+
+    const ids = (response.workItems || []).map(wi => wi.id);
+
+    // A full run sees every live item, so anything else in the cache was deleted,
+    // moved to another project or changed type; skip this if the result was cut short
+    const prune = !since && !response.disabled && (response.totalCount ?? ids.length) <= ids.length;
+    const staleIds = prune ? await this.findStaleIds(projectName, ids) : [];
+
+    if (ids.length === 0) {
+      const removed = await this.store.removeWorkItems(projectName, staleIds);
+      logger.debug(`No changed work items for ${projectName}`);
+      return { projectName, success: true, mode: since ? 'incremental' : 'full', fetched: 0, stored: 0, removed };
+    }
+
+    const details = await this.azureService.getWorkItemDetails(ids, null, projectName);
+    const workItems = details.workItems || [];
+
+    const removedIds = workItems.filter(wi => wi.state === 'Removed').map(wi => wi.id);
+    const activeItems = workItems.filter(wi => wi.state !== 'Removed');
+
+    const stored = await this.store.upsertWorkItems(projectName, activeItems);
+    const removed = await this.store.removeWorkItems(projectName, [...removedIds, ...staleIds]);
+
+    logger.info(`✅ Synced ${projectName}: ${stored} stored, ${removed} removed (${since ? 'incremental' : 'full'})`);
+
+    return {
+      projectName,
+      success: true,
+      mode: since ? 'incremental' : 'full',
+      fetched: workItems.length,
+      stored,
+      removed
+    };
+  }
+
+  /**
+   * Cached IDs for a project that a full sync did not return
+   * @private
+   */
+  async findStaleIds(projectName, syncedIds) {
+    const synced = new Set(syncedIds);
+    return (await this.store.getWorkItemIds(projectName)).filter(id => !synced.has(id));
+  }
+
+  /**
+   * Build the WIQL for a sync run. Incremental runs include 'Removed' items so
+   * they can be dropped from the store.
+   * @private
+   */
+  buildSyncQuery(projectName, since) {
+    const stateFilter = since
+      ? ''
+      : `AND [System.State] <> 'Removed'`;
+    // WIQL compares dates at day precision unless timePrecision is set,
+    // so re-read the whole watermark day; upserts make this idempotent
+    const changedFilter = since
+      ? `AND [System.ChangedDate] >= '${new Date(since).toISOString().split('T')[0]}'`
+      : '';
+
+    return `
+      SELECT [System.Id]
+      FROM WorkItems
+      WHERE [System.TeamProject] = '${projectName.replace(/'/g, "''")}'
+      AND [System.WorkItemType] IN ('Task', 'Bug', 'User Story', 'Feature')
+      ${stateFilter}
+      ${changedFilter}
+      ORDER BY [System.ChangedDate] DESC
+    `.trim();
+  }
+
+  /**
+   * Status for health/admin endpoints
+   */
+  async getStatus() {
+    return {
+      enabled: this.store.isAvailable(),
+      running: this.interval !== null,
+      syncing: this.isSyncing,
+      intervalMs: this.syncIntervalMs,
+      lastRun: this.lastRun,
+      projects: this.store.isAvailable() ? await this.store.getStats() : []
+    };
+  }
+}
+
+module.exports = WorkItemSyncService;
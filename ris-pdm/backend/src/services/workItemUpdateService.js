@@ -0,0 +1,214 @@
+/**
+ * Work Item Update Service
+ * Edits Azure DevOps work items from the dashboard. A single edit carries the revision the user
+ * saw and fails with a conflict if someone else saved the item since. Bulk actions apply one
+ * change to many items, one at a time, and report how each item went.
+ */
+
+const projectRegistry = require('./projectRegistry');
+const logger = require('../../utils/logger').child({ component: 'WorkItemUpdateService' });
+
+// Fields the dashboard may change; anything else stays an Azure DevOps edit
+const EDITABLE_FIELDS = ['title', 'state', 'assignedTo', 'priority', 'storyPoints', 'tags', 'iterationPath', 'areaPath'];
+
+const BULK_ACTIONS = ['assign', 'move', 'retag', 'state'];
+const MAX_BULK_ITEMS = 50;
+
+const updateError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Tags compare case-insensitively in Azure DevOps
+const mergeTags = (current = [], add = [], remove = []) => {
+  const removed = new Set(remove.map(tag => tag.toLowerCase()));
+  const tags = current.filter(tag => !removed.has(tag.toLowerCase()));
+  add.forEach(tag => {
+    if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  });
+  return tags;
+};
+
+class WorkItemUpdateService {
+  constructor(azureService, registry = projectRegistry) {
+    this.azureService = azureService;
+    this.registry = registry;
+  }
+
+  /**
+   * Update one work item if it is still at the revision the caller last saw
+   * @param {number} workItemId - Work item ID
+   * @param {object} changes - Any of EDITABLE_FIELDS
+   * @param {object} options - { rev, productId, comment }
+   * @returns {Promise<object>} The updated work item
+   * @throws {Error} REVISION_CONFLICT (409) with error.current holding the item as it is now
+   */
+  async update(workItemId, changes, { rev, productId = null, comment = null } = {}) {
+    const projectName = this.resolveProject(productId);
+    const updates = this.pickEditable(changes);
+    if (Object.keys(updates).length === 0) {
+      throw updateError('No editable fields provided', 'NO_CHANGES', 400);
+    }
+
+    let workItem;
+    try {
+      workItem = await this.azureService.updateWorkItem(workItemId, updates, projectName, { rev });
+    } catch (error) {
+      if (error.code !== 'REVISION_CONFLICT') {
+        throw error;
+      }
+      const conflict = updateError(
+        `Work item ${workItemId} was changed by someone else since revision ${rev}`,
+        'REVISION_CONFLICT',
+        409
+      );
+      conflict.current = await this.loadCurrent(workItemId, projectName);
+      throw conflict;
+    }
+
+    if (comment) {
+      await this.azureService.addWorkItemComment(workItemId, comment, projectName);
+    }
+    return workItem;
+  }
+
+  /**
+   * Apply one action to many work items. Items are updated one after another so a failure only
+   * affects its own item; nothing is rolled back.
+   * @param {number[]} workItemIds - Up to MAX_BULK_ITEMS ids
+   * @param {object} action - { type, assignedTo, iterationPath, state, addTags, removeTags }
+   * @param {object} options - { productId, comment }
+   * @returns {Promise<object>} { action, results: [{ id, status, workItem | code, error }], summary }
+   */
+  async bulkUpdate(workItemIds, action, { productId = null, comment = null } = {}) {
+    const ids = [...new Set(workItemIds)];
+    if (!BULK_ACTIONS.includes(action.type)) {
+      throw updateError(`Unknown bulk action "${action.type}"`, 'INVALID_ACTION', 400);
+    }
+    if (ids.length === 0 || ids.length > MAX_BULK_ITEMS) {
+      throw updateError(`Select between 1 and ${MAX_BULK_ITEMS} work items`, 'TOO_MANY_ITEMS', 400);
+    }
+
+    const projectName = this.resolveProject(productId);
+    // Retagging rewrites the whole tag list, so it is computed from, and guarded by, the current revision
+    const current = action.type === 'retag' ? await this.loadMany(ids, projectName) : null;
+
+    const results = [];
+    for (const id of ids) {
+      try {
+        let updates;
+        let rev;
+        if (current) {
+          const item = current.get(id);
+          if (!item) {
+            throw updateError(`Work item ${id} was not found`, 'WORK_ITEM_NOT_FOUND', 404);
+          }
+          updates = { tags: mergeTags(item.tags, action.addTags, action.removeTags) };
+          rev = item.rev;
+        } else {
+          updates = this.bulkChanges(action);
+        }
+
+        const workItem = await this.azureService.updateWorkItem(id, updates, projectName, { rev });
+        if (comment) {
+          await this.azureService.addWorkItemComment(id, comment, projectName);
+        }
+        results.push({ id, status: 'updated', workItem: this.summarize(workItem) });
+      } catch (error) {
+        logger.warn(`Bulk ${action.type} failed for work item ${id}: ${error.message}`);
+        results.push({ id, status: 'failed', code: error.code || 'UPDATE_FAILED', error: error.message });
+      }
+    }
+
+    const updated = results.filter(result => result.status === 'updated').length;
+    logger.info(`Bulk ${action.type}: ${updated} of ${ids.length} work items updated in ${projectName}`);
+
+    return {
+      action: action.type,
+      results,
+      summary: { requested: ids.length, updated, failed: ids.length - updated }
+    };
+  }
+
+  /**
+   * What the dashboard offers for editing
+   * @returns {object} { editableFields, bulkActions, maxBulkItems }
+   */
+  getOptions() {
+    return { editableFields: EDITABLE_FIELDS, bulkActions: BULK_ACTIONS, maxBulkItems: MAX_BULK_ITEMS };
+  }
+
+  /**
+   * @private
+   */
+  bulkChanges(action) {
+    switch (action.type) {
+      case 'assign':
+        return { assignedTo: action.assignedTo || null };
+      case 'move':
+        return { iterationPath: action.iterationPath };
+      default:
+        return { state: action.state };
+    }
+  }
+
+  /**
+   * @private
+   */
+  pickEditable(changes = {}) {
+    return Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => changes[field] !== undefined).map(field => [field, changes[field]])
+    );
+  }
+
+  /**
+   * Just what a row needs to refresh after an update
+   * @private
+   */
+  summarize(workItem) {
+    const { id, rev, title, state, assignee, assigneeEmail, priority, storyPoints, tags, iterationPath, areaPath } = workItem;
+    return { id, rev, title, state, assignee, assigneeEmail, priority, storyPoints, tags, iterationPath, areaPath };
+  }
+
+  /**
+   * @private
+   */
+  async loadMany(ids, projectName) {
+    // Cached details can be minutes old, and a stale rev only produces another conflict
+    await this.azureService.clearWorkItemCaches();
+    const details = await this.azureService.getWorkItemDetails([...ids], null, projectName);
+    return new Map((details.workItems || []).map(item => [item.id, item]));
+  }
+
+  /**
+   * @private
+   */
+  async loadCurrent(workItemId, projectName) {
+    try {
+      const item = (await this.loadMany([workItemId], projectName)).get(workItemId);
+      return item ? this.summarize(item) : null;
+    } catch (error) {
+      logger.warn(`Could not reload work item ${workItemId} after a conflict: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  resolveProject(productId) {
+    if (!productId) {
+      return this.azureService.project;
+    }
+    return this.registry.getAzureProject(productId) || this.azureService.project;
+  }
+}
+
+module.exports = WorkItemUpdateService;
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
+module.exports.BULK_ACTIONS = BULK_ACTIONS;
+module.exports.MAX_BULK_ITEMS = MAX_BULK_ITEMS;
@@ -0,0 +1,155 @@
+/**
+ * Cron Schedule Utilities
+ * Parses five-field cron expressions (minute hour day-of-month month day-of-week) and works
+ * out when they next fire, in the server's local time zone. Fields accept *, numbers, ranges
+ * (1-5), steps (*\/15, 1-10/2) and lists (1,15); @hourly, @daily, @weekly, @monthly and
+ * @yearly are accepted as shorthands.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Far enough to find any valid date (29 February can be 8 years away)
+const MAX_SEARCH_YEARS = 9;
+
+/**
+ * Values one cron field allows
+ * @param {string} text - Field text
+ * @param {object} field - { name, min, max }
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const step = match[4] ? Number(match[4]) : 1;
+    let from = field.min;
+    let to = field.max;
+    if (match[2] !== undefined) {
+      from = Number(match[2]);
+      // "5/10" means from 5 to the end in steps of 10
+      to = match[3] !== undefined ? Number(match[3]) : (match[4] ? field.max : from);
+    }
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression or shorthand
+ * @returns {object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday } value sets
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const parts = (SHORTHANDS[text] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  // Sunday can be written as 0 or 7
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+/**
+ * Why an expression can't be used, or null when it's valid
+ * @param {string} expression - Cron expression
+ * @returns {string|null}
+ */
+function validateCron(expression) {
+  try {
+    const schedule = parseCron(expression);
+    return nextRun(schedule, new Date()) ? null : 'Cron expression never fires';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Whether a date matches the day fields. As in cron, when both day of month and day of week are
+ * restricted a day matching either fires.
+ * @private
+ */
+function matchesDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay) return weekdayMatches;
+  if (schedule.anyWeekday) return dayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * First time after a date that a schedule fires
+ * @param {string|object} expression - Cron expression or result of parseCron
+ * @param {Date} after - Start point (exclusive)
+ * @returns {Date|null} Next run, or null when the schedule never fires
+ */
+function nextRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after.getFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getFullYear() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  nextRun
+};
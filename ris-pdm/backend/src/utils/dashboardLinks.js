@@ -0,0 +1,42 @@
+/**
+ * Dashboard Link Utilities
+ * Builds links that open the dashboard on a given product, sprint, date range or person. The
+ * query parameters are the ones the Dashboard and Individual Performance pages keep in their URL,
+ * so a link in an alert or a report opens the view it describes.
+ */
+
+// Values the pages treat as "no filter"; they are left out of links
+const UNFILTERED = ['all-projects', 'all-sprints'];
+
+/**
+ * Base URL of the dashboard frontend: DASHBOARD_URL, else the first CORS origin
+ * @returns {string}
+ */
+function dashboardBaseUrl() {
+  return process.env.DASHBOARD_URL ||
+    (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',')[0].trim();
+}
+
+/**
+ * Link to the dashboard, or to a person's Individual Performance page when userId is given
+ * @param {object} view - { productId, sprintId, startDate, endDate, userId }
+ * @param {string} baseUrl - Dashboard base URL (defaults to dashboardBaseUrl())
+ * @returns {string}
+ */
+function dashboardLink({ productId, sprintId, startDate, endDate, userId } = {}, baseUrl = dashboardBaseUrl()) {
+  const params = new URLSearchParams();
+  if (productId && !UNFILTERED.includes(productId)) params.set('productId', productId);
+  if (sprintId && !UNFILTERED.includes(sprintId)) params.set('sprintId', sprintId);
+  // The individual page has no date range
+  if (!userId && startDate) params.set('startDate', startDate);
+  if (!userId && endDate) params.set('endDate', endDate);
+
+  const path = userId ? `/individual/${encodeURIComponent(userId)}` : '/';
+  const query = params.toString();
+  return `${baseUrl.replace(/\/$/, '')}${path}${query ? `?${query}` : ''}`;
+}
+
+module.exports = {
+  dashboardBaseUrl,
+  dashboardLink
+};
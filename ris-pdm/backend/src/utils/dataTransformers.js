@@ -338,6 +338,26 @@ function calculateAverageCycleTime(workItems) {
   return (totalCycleTime / completedItems.length).toFixed(2);
 }
 
+/**
+ * Nearest-rank percentiles, i.e. "p% of values are at or below this"
+ * @param {Array<number>} values - Sample values (any order)
+ * @param {Array<number>} percentiles - Percentiles to compute (0-100)
+ * @returns {object} Map like { p50, p85, p95 }; null values when the sample is empty
+ */
+function calculatePercentiles(values, percentiles = [50, 85, 95]) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+
+  return percentiles.reduce((acc, p) => {
+    if (sorted.length === 0) {
+      acc[`p${p}`] = null;
+    } else {
+      const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+      acc[`p${p}`] = sorted[rank - 1];
+    }
+    return acc;
+  }, {});
+}
+
 /**
  * Generate date range for time series data
  * @param {string} startDate - Start date
@@ -377,5 +397,6 @@ module.exports = {
   transformForCharts,
   calculateSprintMetrics,
   calculateAverageCycleTime,
+  calculatePercentiles,
   generateDateRange
 };
\ No newline at end of file
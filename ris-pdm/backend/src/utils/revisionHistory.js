@@ -0,0 +1,93 @@
+/**
+ * Revision History Utilities
+ * Helpers for fetching and replaying Azure DevOps work item revisions (full field snapshots)
+ */
+
+// Revision requests in flight at once; the service's rate limiter still applies
+const REVISION_CONCURRENCY = parseInt(process.env.AZURE_REVISION_CONCURRENCY) || 8;
+
+/**
+ * Sort revisions by change time and pre-parse their timestamps
+ * @param {Array} revisions - Revisions as { rev, fields }
+ * @returns {Array} Timeline entries as { changedAt, fields }, oldest first
+ */
+function buildTimeline(revisions = []) {
+  return revisions
+    .map(revision => ({
+      changedAt: new Date(revision.fields['System.ChangedDate']).getTime(),
+      fields: revision.fields
+    }))
+    .sort((a, b) => a.changedAt - b.changedAt);
+}
+
+/**
+ * Fields of a work item as they were at a point in time
+ * @param {Array} timeline - Result of buildTimeline
+ * @param {number} time - Epoch milliseconds
+ * @returns {object|null} Field snapshot, or null if the item did not exist yet
+ */
+function fieldsAt(timeline, time) {
+  let snapshot = null;
+  for (const entry of timeline) {
+    if (entry.changedAt > time) break;
+    snapshot = entry;
+  }
+  return snapshot ? snapshot.fields : null;
+}
+
+/**
+ * State changes in a timeline, including the initial state
+ * @param {Array} timeline - Result of buildTimeline
+ * @returns {Array} Transitions as { from, to, changedAt }, oldest first
+ */
+function stateTransitions(timeline) {
+  const transitions = [];
+  let current = null;
+
+  for (const entry of timeline) {
+    const state = entry.fields['System.State'];
+    if (state && state !== current) {
+      transitions.push({ from: current, to: state, changedAt: entry.changedAt });
+      current = state;
+    }
+  }
+
+  return transitions;
+}
+
+/**
+ * Revision histories for many work items, a few requests at a time
+ * @param {object} azureService - Service exposing getWorkItemRevisions
+ * @param {Array} workItems - Work item details ({ id, fields }); System.Rev keys the revision cache
+ * @param {string} projectName - Azure DevOps project name
+ * @param {object} options - { concurrency }
+ * @returns {Promise<Array>} { workItem, revisions } or { workItem, error } per item, in input order
+ */
+async function fetchRevisionHistories(azureService, workItems, projectName, { concurrency = REVISION_CONCURRENCY } = {}) {
+  const results = new Array(workItems.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < workItems.length) {
+      const index = next++;
+      const workItem = workItems[index];
+      try {
+        const revisions = await azureService.getWorkItemRevisions(workItem.id, projectName, workItem.fields?.['System.Rev'] || null);
+        results[index] = { workItem, revisions };
+      } catch (error) {
+        results[index] = { workItem, error };
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, workItems.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  buildTimeline,
+  fetchRevisionHistories,
+  fieldsAt,
+  stateTransitions
+};
@@ -146,6 +146,17 @@ describe('Azure DevOps Webhook Service', () => {
       expect(webhookService.stats.eventsReceived).toBe(1);
     });
 
+    test('should ignore redelivered events with the same event id', async () => {
+      await webhookService.processWebhook(sampleWorkItemCreatedPayload);
+      const result = await webhookService.processWebhook(sampleWorkItemCreatedPayload);
+      
+      expect(result.success).toBe(true);
+      expect(result.duplicate).toBe(true);
+      expect(result.eventId).toBe('test-event-id');
+      expect(webhookService.eventQueue).toHaveLength(1);
+      expect(webhookService.stats.eventsReceived).toBe(1);
+    });
+
     test('should reject invalid payload structure', async () => {
       const invalidPayload = null;
       
@@ -389,6 +400,82 @@ describe('Azure DevOps Webhook Service', () => {
     });
   });
 
+  describe('Delivery Events', () => {
+    let deliveryEventStore;
+    let deliveryService;
+
+    beforeEach(() => {
+      deliveryEventStore = {
+        isAvailable: () => true,
+        record: jest.fn().mockResolvedValue(undefined),
+        getBuildWorkItemIds: jest.fn().mockResolvedValue(new Map([['501', [11, 12]]]))
+      };
+      deliveryService = new AzureDevOpsWebhookService({
+        enableSignatureValidation: false,
+        deliveryEventStore,
+        azureDevOpsService: {
+          getPullRequestWorkItemIds: jest.fn().mockResolvedValue([11]),
+          getBuildWorkItemIds: jest.fn().mockResolvedValue([13]),
+          getBuildCoverage: jest.fn().mockResolvedValue(81.25)
+        }
+      });
+    });
+
+    test('should record merged pull requests with their linked work items', async () => {
+      const result = await deliveryService.processEvent({
+        id: 'pr-event',
+        eventType: 'git.pullrequest.merged',
+        resource: {
+          pullRequestId: 42,
+          status: 'completed',
+          title: 'Add DORA metrics',
+          creationDate: '2025-03-02T08:00:00Z',
+          closedDate: '2025-03-02T12:00:00Z',
+          repository: { id: 'repo-1', name: 'ris-pdm', project: { name: 'Alpha' } }
+        }
+      });
+
+      expect(result).toMatchObject({ pullRequestId: 42, action: 'merged', workItemIds: [11] });
+      expect(deliveryEventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'pull_request',
+        azureProject: 'Alpha',
+        sourceId: 42,
+        status: 'merged',
+        completedAt: '2025-03-02T12:00:00Z'
+      }));
+    });
+
+    test('should record coverage reported by successful builds', async () => {
+      await deliveryService.processEvent({
+        id: 'build-event',
+        eventType: 'build.complete',
+        resource: { id: 501, buildNumber: '20250302.1', result: 'succeeded', finishTime: '2025-03-02T13:00:00Z', project: { name: 'Alpha' } }
+      });
+
+      expect(deliveryEventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'build', sourceId: 501, status: 'succeeded', coverage: 81.25, workItemIds: [13]
+      }));
+    });
+
+    test('should link deployments to the work items of their build artifacts', async () => {
+      const result = await deliveryService.processEvent({
+        id: 'deploy-event',
+        eventType: 'ms.vss-release.deployment-completed-event',
+        resource: {
+          project: { name: 'Alpha' },
+          environment: { id: 3, name: 'Production' },
+          release: { id: 9, name: 'Release-9', artifacts: [{ type: 'Build', definitionReference: { version: { id: '501' } } }] },
+          deployment: { attempt: 2, deploymentStatus: 'failed', completedOn: '2025-03-02T14:00:00Z' }
+        }
+      });
+
+      expect(result).toMatchObject({ releaseId: 9, environment: 'Production', result: 'failed', workItemIds: [11, 12] });
+      expect(deliveryEventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'deployment', sourceId: '9:3:2', isProduction: true, status: 'failed'
+      }));
+    });
+  });
+
   describe('Cache Invalidation', () => {
     test('should invalidate specific work item caches', async () => {
       await webhookService.invalidateWorkItemCaches(12345, {
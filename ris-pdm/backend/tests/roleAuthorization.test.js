@@ -0,0 +1,57 @@
+// Jest globals are available automatically
+const { hasRole, requireRoles } = require('../middleware/auth');
+const accessPolicyService = require('../src/services/accessPolicyService');
+const { collectGarbage } = require('./utils/collectGarbage');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Role authorization', () => {
+  afterAll(collectGarbage);
+
+  test('should decide with the access policy role rather than the raw token claims', async () => {
+    const resolveRole = jest.spyOn(accessPolicyService, 'resolveRole').mockResolvedValue('manager');
+    const req = { user: { id: 'u1', email: 'lead@example.com', roles: ['TeamLead'] }, originalUrl: '/api/products/registry' };
+    const next = jest.fn();
+
+    await requireRoles(['admin', 'manager'])(req, response(), next);
+
+    expect(resolveRole).toHaveBeenCalledWith(req.user);
+    expect(next).toHaveBeenCalled();
+    expect(req.user.accessRole).toBe('manager');
+    expect(await hasRole(req.user, ['admin'])).toBe(false);
+  });
+
+  test('should reject other roles and fail closed when the role cannot be resolved', async () => {
+    jest.spyOn(accessPolicyService, 'resolveRole')
+      .mockResolvedValueOnce('developer')
+      .mockRejectedValueOnce(new Error('connection reset'));
+    const req = { user: { id: 'u2', email: 'dev@example.com', roles: ['Admin'] }, originalUrl: '/api/metrics/sync' };
+    const next = jest.fn();
+
+    const denied = response();
+    await requireRoles(['admin'])(req, denied, next);
+    const unavailable = response();
+    await requireRoles(['admin'])(req, unavailable, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(denied.status).toHaveBeenCalledWith(403);
+    expect(denied.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_PERMISSIONS', requiredRoles: ['admin'] }));
+    expect(unavailable.status).toHaveBeenCalledWith(503);
+  });
+
+  test('should let app tokens through with an accepted app role claim', async () => {
+    const resolveRole = jest.spyOn(accessPolicyService, 'resolveRole');
+    const req = { user: { id: 'finance-job', roles: ['Finance'] } };
+    const next = jest.fn();
+
+    await requireRoles(['admin', 'manager'], { appRoles: ['Finance'] })(req, response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(resolveRole).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+// Jest globals are available automatically
+const { AccessPolicyService, roleFromClaims } = require('../../src/services/accessPolicyService');
+
+const registry = {
+  list: () => [
+    { id: 'Product - Alpha', azureProject: 'Alpha', teamName: 'Alpha Team' },
+    { id: 'Product - Beta', azureProject: 'Beta', teamName: 'Beta Team' }
+  ]
+};
+
+const membership = {
+  'Alpha/Alpha Team': [
+    { id: 'a1', email: 'mia@example.com', isTeamAdmin: true },
+    { id: 'a2', email: 'dev@example.com', isTeamAdmin: false }
+  ],
+  'Beta/Beta Team': [
+    { id: 'b1', email: 'lee@example.com', isTeamAdmin: true },
+    { id: 'b2', email: 'other@example.com', isTeamAdmin: false }
+  ]
+};
+
+const createPolicy = (roleRow = null) => {
+  const db = {
+    isReady: () => roleRow !== null,
+    // Honour the provisioned filter so unprovisioned rows only match a query that ignores it
+    query: jest.fn(async (sql) => ({
+      rows: roleRow && (roleRow.provisioned !== false || !sql.includes('provisioned = true')) ? [roleRow] : []
+    }))
+  };
+  const policy = new AccessPolicyService(db, registry);
+  policy.setAzureService({
+    getTeamMembership: jest.fn(async (project, team) => membership[`${project}/${team}`])
+  });
+  return policy;
+};
+
+const user = (email, roles) => ({ id: `id-${email}`, email, roles });
+
+describe('AccessPolicyService', () => {
+  test('should map token role claims onto user roles', () => {
+    expect(roleFromClaims(['Admin', 'Developer'])).toBe('admin');
+    expect(roleFromClaims(['ProductManager'])).toBe('manager');
+    expect(roleFromClaims(['Developer'])).toBe('developer');
+    expect(roleFromClaims([])).toBe('viewer');
+  });
+
+  test('should keep admin claims when the work item sync created a users row for the admin', async () => {
+    const policy = createPolicy({ role: 'developer', provisioned: false });
+
+    expect(await policy.resolveRole(user('admin@example.com', ['Admin']))).toBe('admin');
+    expect(await createPolicy({ role: 'manager', provisioned: true }).resolveRole(user('dev@example.com', ['Developer'])))
+      .toBe('manager');
+  });
+
+  test('should limit developers to their own data', async () => {
+    const policy = createPolicy();
+    const developer = user('dev@example.com', ['Developer']);
+
+    expect((await policy.canViewIndividual(developer, 'DEV@example.com')).allowed).toBe(true);
+    expect(await policy.canViewIndividual(developer, 'other@example.com')).toMatchObject({
+      allowed: false,
+      role: 'developer',
+      reason: 'You can only view your own performance data'
+    });
+  });
+
+  test('should let managers see members of teams they administer only', async () => {
+    const policy = createPolicy();
+    const manager = user('mia@example.com', ['Manager']);
+
+    expect((await policy.canViewIndividual(manager, 'dev@example.com')).allowed).toBe(true);
+    expect((await policy.canViewIndividual(manager, 'other@example.com')).allowed).toBe(false);
+    expect((await policy.canViewIndividual(user('admin@example.com', ['Admin']), 'other@example.com')).allowed).toBe(true);
+  });
+
+  test('should filter member lists to viewable people', async () => {
+    const policy = createPolicy();
+    const members = [{ email: 'dev@example.com' }, { email: 'mia@example.com' }, { email: 'other@example.com' }];
+
+    const visible = await policy.filterViewableMembers(user('mia@example.com', ['Manager']), members);
+
+    expect(visible.map(member => member.email)).toEqual(['dev@example.com', 'mia@example.com']);
+  });
+
+  test('should list the identities a user may see individually', async () => {
+    const policy = createPolicy();
+
+    expect(await policy.getViewableIdentities(user('dev@example.com', ['Developer'])))
+      .toEqual(['dev@example.com', 'id-dev@example.com']);
+    expect(await policy.getViewableIdentities(user('mia@example.com', ['Manager'])))
+      .toEqual(expect.arrayContaining(['mia@example.com', 'dev@example.com', 'a2']));
+    expect(await policy.getViewableIdentities(user('admin@example.com', ['Admin']))).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+// Jest globals are available automatically
+const { AlertRuleService } = require('../../src/services/alertRuleService');
+
+class FakeStore {
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  isAvailable() { return true; }
+
+  async list({ enabledOnly = false } = {}) {
+    return this.rules.filter(rule => !enabledOnly || rule.enabled);
+  }
+}
+
+const registry = {
+  list: () => [
+    { id: 'Product - Data as a Service', enabled: true },
+    { id: 'Product - Partner Management Platform', enabled: true }
+  ]
+};
+
+const rule = (overrides) => ({
+  id: 'r1',
+  name: 'Rule',
+  scopeId: null,
+  operator: '<',
+  windowMinutes: 0,
+  severity: 'medium',
+  enabled: true,
+  ...overrides
+});
+
+describe('AlertRuleService', () => {
+  const createService = (rules) => new AlertRuleService({ store: new FakeStore(rules), registry, cacheTtlMs: 0 });
+
+  test('should fall back to the built-in thresholds when no rule applies', async () => {
+    const service = createService([]);
+
+    const alerts = await service.check({ deliveryPredictability: 65, openBugs: 20, cycleTime: 12 }, { productId: 'Product - Data as a Service' });
+
+    expect(alerts.map(alert => [alert.metric, alert.ruleId])).toEqual([
+      ['deliveryPredictability', 'default-deliveryPredictability'],
+      ['cycleTime', 'default-cycleTime']
+    ]);
+    expect(alerts[0]).toMatchObject({ type: 'warning', severity: 'medium', threshold: 70, productId: 'Product - Data as a Service' });
+  });
+
+  test('should prefer product rules over team rules over scope-wide rules', async () => {
+    const service = createService([
+      rule({ id: 'all', metric: 'openBugs', scopeType: 'product', operator: '>', threshold: 30 }),
+      rule({ id: 'team', metric: 'openBugs', scopeType: 'team', scopeId: 'PMP Developer Team', operator: '>', threshold: 5 }),
+      rule({ id: 'daas', metric: 'openBugs', scopeType: 'product', scopeId: 'Product - Data as a Service', operator: '>', threshold: 50, severity: 'high' })
+    ]);
+
+    const daas = await service.check({ openBugs: 40 }, { productId: 'Product - Data as a Service', teamName: 'DaaS Team' });
+    const pmp = await service.check({ openBugs: 10 }, { productId: 'Product - Partner Management Platform', teamName: 'PMP Developer Team' });
+    const other = await service.check({ openBugs: 31 }, { productId: 'Product - Other', teamName: 'Other Team' });
+
+    expect(daas).toEqual([]);
+    expect(pmp.map(alert => alert.ruleId)).toEqual(['team']);
+    expect(other[0]).toMatchObject({ ruleId: 'all', metric: 'bugCount', message: 'Open bugs is 31, above the 30 threshold' });
+  });
+
+  test('should apply user rules case-insensitively and ignore disabled rules', async () => {
+    const service = createService([
+      rule({ id: 'dev', metric: 'completionRate', scopeType: 'user', scopeId: 'Dev@Example.com', operator: '<=', threshold: 40 }),
+      rule({ id: 'off', metric: 'bugRatio', scopeType: 'user', scopeId: 'dev@example.com', operator: '>', threshold: 0.5, enabled: false })
+    ]);
+
+    const alerts = await service.check({ completionRate: 40, bugRatio: 0.3 }, { userId: 'dev@example.com' });
+
+    expect(alerts.map(alert => [alert.ruleId, alert.metric])).toEqual([
+      ['dev', 'completion_rate'],
+      ['default-bugRatio', 'bug_ratio']
+    ]);
+  });
+
+  test('should only trigger once a breach lasts the evaluation window and resolve when it recovers', () => {
+    const service = createService([]);
+    const subject = 'product:Product - Data as a Service';
+    const alert = { ruleId: 'r1', productId: 'Product - Data as a Service', userId: null, windowMinutes: 30, message: 'breach' };
+    const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 9, minutes));
+
+    expect(service.track([alert], new Set([subject]), at(0)).triggered).toHaveLength(0);
+    expect(service.track([alert], new Set([subject]), at(29)).triggered).toHaveLength(0);
+
+    const { triggered } = service.track([alert], new Set([subject]), at(30));
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0]).toMatchObject({ since: at(0).toISOString(), triggeredAt: at(30).toISOString() });
+    expect(service.track([alert], new Set([subject]), at(35)).triggered).toHaveLength(0);
+    expect(service.getActiveAlerts()).toHaveLength(1);
+
+    // Subjects that could not be evaluated keep their alerts
+    expect(service.track([], new Set(), at(40)).resolved).toHaveLength(0);
+
+    const { resolved } = service.track([], new Set([subject]), at(45));
+    expect(resolved).toEqual([expect.objectContaining({ ruleId: 'r1', resolvedAt: at(45).toISOString() })]);
+    expect(service.getActiveAlerts()).toHaveLength(0);
+  });
+
+  test('should evaluate every enabled product and users with their own rules', async () => {
+    const service = createService([
+      rule({ id: 'dev', metric: 'completionRate', scopeType: 'user', scopeId: 'dev@example.com', threshold: 50 })
+    ]);
+    const metricsCalculator = {
+      calculateOverviewMetrics: jest.fn(async ({ productId }) => ({
+        alerts: await service.check({ openBugs: productId.includes('Data') ? 25 : 3 }, { productId })
+      })),
+      calculateIndividualMetrics: jest.fn(async (userId) => ({
+        alerts: await service.check({ completionRate: 45 }, { userId })
+      }))
+    };
+
+    const { triggered, resolved } = await service.evaluate(metricsCalculator, new Date());
+
+    expect(metricsCalculator.calculateOverviewMetrics).toHaveBeenCalledTimes(2);
+    expect(metricsCalculator.calculateIndividualMetrics).toHaveBeenCalledWith('dev@example.com', {});
+    expect(triggered.map(alert => alert.ruleId)).toEqual(['default-openBugs', 'dev']);
+    expect(resolved).toEqual([]);
+  });
+});
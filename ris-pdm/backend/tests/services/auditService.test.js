@@ -0,0 +1,67 @@
+// Jest globals are available automatically
+const { AuditService, MAX_QUERY_LIMIT } = require('../../src/services/auditService');
+
+const createService = (rows = []) => {
+  const db = {
+    isReady: () => true,
+    query: jest.fn(async (sql) => (sql.includes('COUNT(*)') ? { rows: [{ total: String(rows.length) }] } : { rows }))
+  };
+  return { service: new AuditService(db), db };
+};
+
+describe('AuditService', () => {
+  test('should store the action, actor and target of an event', async () => {
+    const { service, db } = createService();
+
+    await service.record({
+      action: 'individual.view',
+      actor: { id: 'u1', email: 'lead@example.com' },
+      target: 'dev@example.com',
+      parameters: { period: 'sprint' },
+      statusCode: 403,
+      sourceIp: '10.0.0.1'
+    });
+
+    expect(db.query.mock.calls[0][1]).toEqual([
+      'individual', 'VIEW', 'individual.view', 'u1', 'lead@example.com',
+      'dev@example.com', '{"period":"sprint"}', 403, '10.0.0.1'
+    ]);
+  });
+
+  test('should log instead of failing when the insert fails', async () => {
+    const { service, db } = createService();
+    db.query.mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(service.record({ action: 'export.pdf' })).resolves.toBeUndefined();
+  });
+
+  test('should bind filters as parameters and expand wildcard actions', async () => {
+    const { service, db } = createService();
+
+    await service.query({ actor: 'Lead@example.com', action: 'export.*', from: '2025-01-01', limit: MAX_QUERY_LIMIT + 1 });
+
+    const [countSql, countParams] = db.query.mock.calls[0];
+    expect(countSql).toContain('(LOWER(actor_email) = LOWER($1) OR actor_id = $1)');
+    expect(countSql).toContain('action LIKE $2');
+    expect(countParams).toEqual(['Lead@example.com', 'export.%', '2025-01-01']);
+    expect(db.query.mock.calls[1][1].slice(-2)).toEqual([MAX_QUERY_LIMIT, 0]);
+  });
+
+  test('should escape quotes and neutralise formulas in CSV cells', () => {
+    const { service } = createService();
+
+    const csv = service.toCsv([{
+      timestamp: '2025-01-01T00:00:00.000Z',
+      action: 'export.excel',
+      actorEmail: '=HYPERLINK("x")',
+      target: 'say "hi"',
+      parameters: { format: 'xlsx' }
+    }]);
+    const [header, row] = csv.split('\r\n');
+
+    expect(header.startsWith('"Timestamp","Action","User"')).toBe(true);
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+    expect(row).toContain('"say ""hi"""');
+    expect(row).toContain('"{""format"":""xlsx""}"');
+  });
+});
@@ -0,0 +1,125 @@
+// Jest globals are available automatically
+const BurndownService = require('../../src/services/burndownService');
+
+const SPRINT = {
+  path: 'PMP\\Delivery 4',
+  startDate: '2025-06-02T00:00:00Z',
+  endDate: '2025-06-06T00:00:00Z'
+};
+
+const revision = (changedDate, fields) => ({
+  fields: {
+    'System.ChangedDate': changedDate,
+    'System.IterationPath': SPRINT.path,
+    'System.State': 'New',
+    ...fields
+  }
+});
+
+describe('BurndownService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new BurndownService({});
+  });
+
+  test('should burn down story points on the day items close', () => {
+    const histories = [
+      { id: 1, revisions: [
+        revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 5 }),
+        revision('2025-06-03T15:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 5, 'System.State': 'Closed' })
+      ] },
+      { id: 2, revisions: [
+        revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 3 })
+      ] }
+    ];
+
+    const points = service.replay(histories, SPRINT, { today: new Date('2025-06-10T00:00:00Z') });
+
+    expect(points).toHaveLength(5);
+    expect(points.map(p => p.actualRemaining)).toEqual([8, 3, 3, 3, 3]);
+    expect(points[0].idealRemaining).toBe(8);
+    expect(points[4].idealRemaining).toBe(0);
+    expect(points[1].completed).toBe(5);
+  });
+
+  test('should report scope added, removed and re-estimated per day', () => {
+    const histories = [
+      // Added mid-sprint
+      { id: 1, revisions: [
+        revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 2, 'System.IterationPath': 'PMP\\Backlog' }),
+        revision('2025-06-03T10:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 2 })
+      ] },
+      // Moved out of the sprint
+      { id: 2, revisions: [
+        revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 5 }),
+        revision('2025-06-04T10:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 5, 'System.IterationPath': 'PMP\\Delivery 5' })
+      ] },
+      // Re-estimated upwards
+      { id: 3, revisions: [
+        revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 3 }),
+        revision('2025-06-04T11:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 8 })
+      ] }
+    ];
+
+    const points = service.replay(histories, SPRINT, { today: new Date('2025-06-10T00:00:00Z') });
+
+    expect(points[1]).toMatchObject({ scopeAdded: 2, scopeRemoved: 0, actualRemaining: 10 });
+    expect(points[2]).toMatchObject({ scopeAdded: 5, scopeRemoved: 5, actualRemaining: 10 });
+    expect(points[0].scopeAdded).toBe(0);
+  });
+
+  test('should use remaining work hours and leave future days empty', () => {
+    const histories = [
+      { id: 7, revisions: [
+        revision('2025-06-01T09:00:00Z', { 'Microsoft.VSTS.Scheduling.RemainingWork': 16 }),
+        revision('2025-06-03T17:00:00Z', { 'Microsoft.VSTS.Scheduling.RemainingWork': 6, 'Microsoft.VSTS.Scheduling.CompletedWork': 10 })
+      ] }
+    ];
+
+    const points = service.replay(histories, SPRINT, {
+      metric: 'remainingWork',
+      today: new Date('2025-06-03T12:00:00Z')
+    });
+
+    expect(points.map(p => p.actualRemaining)).toEqual([16, 6, null, null, null]);
+    expect(points[1]).toMatchObject({ totalScope: 16, scopeAdded: 0, scopeRemoved: 0 });
+    expect(service.getUnit('remainingWork')).toBe('hrs');
+  });
+
+  test('should fetch revisions for items ever planned into the sprint', async () => {
+    const azureService = {
+      getWorkItems: jest.fn().mockResolvedValue({ workItems: [{ id: 11 }] }),
+      getWorkItemDetails: jest.fn().mockResolvedValue({ workItems: [{ id: 11, fields: { 'System.Rev': 4 } }] }),
+      getWorkItemRevisions: jest.fn().mockResolvedValue([
+        revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 3 })
+      ])
+    };
+    service = new BurndownService(azureService);
+
+    const points = await service.calculate({ sprint: SPRINT, projectName: 'PMP', today: new Date('2025-06-02T12:00:00Z') });
+
+    expect(azureService.getWorkItems.mock.calls[0][0].customQuery).toContain("EVER [System.IterationPath] = 'PMP\\Delivery 4'");
+    expect(azureService.getWorkItemRevisions).toHaveBeenCalledWith(11, 'PMP', 4);
+    expect(points[0].actualRemaining).toBe(3);
+  });
+
+  test('should skip items whose revisions cannot be fetched', async () => {
+    const azureService = {
+      getWorkItems: jest.fn().mockResolvedValue({ workItems: [{ id: 11 }, { id: 12 }, { id: 13 }] }),
+      getWorkItemDetails: jest.fn().mockResolvedValue({
+        workItems: [11, 12, 13].map(id => ({ id, fields: { 'System.Rev': 2 } }))
+      }),
+      getWorkItemRevisions: jest.fn().mockImplementation(async (id) => {
+        if (id === 12) throw new Error('not found');
+        return [revision('2025-05-30T09:00:00Z', { 'Microsoft.VSTS.Scheduling.StoryPoints': 3 })];
+      })
+    };
+    service = new BurndownService(azureService);
+
+    const points = await service.calculate({ sprint: SPRINT, projectName: 'PMP', today: new Date('2025-06-02T12:00:00Z') });
+
+    expect(azureService.getWorkItemRevisions).toHaveBeenCalledTimes(3);
+    expect(points[0].actualRemaining).toBe(6);
+  });
+});
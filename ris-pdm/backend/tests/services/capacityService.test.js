@@ -0,0 +1,104 @@
+// Jest globals are available automatically
+const CapacityService = require('../../src/services/capacityService');
+const MetricsCalculatorService = require('../../src/services/metricsCalculator');
+
+const member = (displayName, uniqueName, capacityPerDay, workingDays) => ({
+  id: uniqueName,
+  displayName,
+  uniqueName,
+  activities: [{ name: 'Development', capacityPerDay }],
+  workingDays
+});
+
+describe('CapacityService', () => {
+  const service = new CapacityService();
+
+  test('should compare available hours with open remaining work per member', () => {
+    const result = service.allocate(
+      [
+        member('Ann Lee', 'ann@example.com', 6, 5),
+        member('Bob Ray', 'bob@example.com', 6, 5)
+      ],
+      [
+        { id: 1, state: 'Active', assignee: 'Ann Lee', assigneeEmail: 'Ann@Example.com', remainingWork: 20 },
+        { id: 2, state: 'New', assignee: 'Ann Lee', assigneeEmail: 'ann@example.com', remainingWork: 16 },
+        { id: 3, state: 'Closed', assignee: 'Ann Lee', assigneeEmail: 'ann@example.com', remainingWork: 8 },
+        { id: 4, state: 'Active', assignee: 'Bob Ray', remainingWork: 12 }
+      ]
+    );
+
+    expect(result.members.map(m => [m.displayName, m.availableHours, m.remainingWork, m.allocation, m.status])).toEqual([
+      ['Ann Lee', 30, 36, 120, 'over'],
+      ['Bob Ray', 30, 12, 40, 'under']
+    ]);
+    expect(result.members[0]).toMatchObject({ openItems: 2, balance: -6 });
+    expect(result.totals).toMatchObject({ availableHours: 60, remainingWork: 48, allocation: 80, status: 'balanced', overAllocated: 1 });
+  });
+
+  test('should flag remaining work for members with no hours left', () => {
+    const result = service.allocate(
+      [member('Ann Lee', 'ann@example.com', 6, 0), member('Cy Doe', 'cy@example.com', 0, 5)],
+      [{ id: 1, state: 'Active', assignee: 'Ann Lee', assigneeEmail: 'ann@example.com', remainingWork: 4 }]
+    );
+
+    expect(result.members.map(m => [m.displayName, m.allocation, m.status])).toEqual([
+      ['Ann Lee', null, 'over'],
+      ['Cy Doe', null, 'none']
+    ]);
+  });
+
+  test('should list open work assigned to people without capacity', () => {
+    const result = service.allocate(
+      [member('Ann Lee', 'ann@example.com', 6, 5)],
+      [
+        { id: 1, state: 'Active', assignee: 'Dee Fox', assigneeEmail: 'dee@example.com', remainingWork: 6 },
+        { id: 2, state: 'Active', assignee: 'Dee Fox', assigneeEmail: 'dee@example.com', remainingWork: 4 },
+        { id: 3, state: 'Active', assignee: 'Unassigned', remainingWork: 9 }
+      ]
+    );
+
+    expect(result.unplanned).toEqual([{ assignee: 'Dee Fox', remainingWork: 10, openItems: 2 }]);
+    expect(result.totals.unplannedWork).toBe(10);
+  });
+});
+
+describe('MetricsCalculatorService capacity', () => {
+  test('should count working days from today, excluding personal and team days off', async () => {
+    const azureService = {
+      project: 'Product - Data as a Service',
+      getIterations: jest.fn().mockResolvedValue({
+        iterations: [{
+          id: 'i12',
+          name: 'Delivery 12',
+          path: 'Product - Data as a Service\\Delivery 12',
+          attributes: { startDate: '2025-06-02T00:00:00Z', finishDate: '2025-06-13T00:00:00Z' }
+        }]
+      }),
+      getTeamCapacity: jest.fn().mockResolvedValue({
+        teamCapacity: [{
+          teamMember: { id: 'u1', displayName: 'Ann Lee', uniqueName: 'ann@example.com' },
+          activities: [{ name: 'Development', capacityPerDay: 6 }],
+          daysOff: [{ start: '2025-06-09T00:00:00Z', end: '2025-06-10T00:00:00Z' }]
+        }]
+      }),
+      getTeamDaysOff: jest.fn().mockResolvedValue([{ start: '2025-06-12T00:00:00Z', end: '2025-06-12T00:00:00Z' }])
+    };
+    const metricsCalculator = new MetricsCalculatorService(azureService);
+    metricsCalculator.getWorkItemsForIteration = jest.fn().mockResolvedValue([
+      { id: 1, state: 'Active', assignee: 'Ann Lee', assigneeEmail: 'ann@example.com', remainingWork: 20 }
+    ]);
+
+    const result = await metricsCalculator.calculateCapacity({
+      productId: 'Product - Data as a Service',
+      sprintId: 'Delivery 12',
+      asOf: '2025-06-05'
+    });
+
+    // Jun 5-13 has 7 working days; Jun 9, 10 and 12 are off
+    expect(result.fromDate).toBe('2025-06-05');
+    expect(result.workingDays).toBe(7);
+    expect(result.members[0]).toMatchObject({ workingDays: 4, daysOff: 3, availableHours: 24, remainingWork: 20, allocation: 83, status: 'balanced' });
+    expect(azureService.getTeamCapacity).toHaveBeenCalledWith('Product - Data as a Service Team', 'i12', 'Product - Data as a Service');
+    expect(result.status).toBe('real');
+  });
+});
@@ -0,0 +1,75 @@
+// Jest globals are available automatically
+const CumulativeFlowService = require('../../src/services/cumulativeFlowService');
+
+const revision = (changedDate, state) => ({
+  fields: { 'System.ChangedDate': changedDate, 'System.State': state }
+});
+
+describe('CumulativeFlowService', () => {
+  let azureService;
+  let service;
+
+  beforeEach(() => {
+    azureService = {
+      getWorkItems: jest.fn().mockResolvedValue({ workItems: [{ id: 1 }, { id: 2 }, { id: 3 }] }),
+      getWorkItemDetails: jest.fn().mockResolvedValue({
+        workItems: [
+          // Changed during the range: replayed
+          { id: 1, state: 'Closed', createdDate: '2025-05-20T00:00:00Z', changedDate: '2025-06-03T10:00:00Z', fields: { 'System.Rev': 3 } },
+          // Untouched since before the range: current state throughout
+          { id: 2, state: 'Active', createdDate: '2025-04-01T00:00:00Z', changedDate: '2025-05-01T00:00:00Z', fields: {} },
+          // Created during the range
+          { id: 3, state: 'New', createdDate: '2025-06-02T09:00:00Z', changedDate: '2025-06-02T09:00:00Z', fields: { 'System.Rev': 1 } }
+        ]
+      }),
+      getWorkItemRevisions: jest.fn().mockImplementation(async (id) => {
+        if (id === 1) {
+          return [
+            revision('2025-05-20T00:00:00Z', 'New'),
+            revision('2025-06-02T08:00:00Z', 'Active'),
+            revision('2025-06-03T10:00:00Z', 'Closed')
+          ];
+        }
+        return [revision('2025-06-02T09:00:00Z', 'New')];
+      })
+    };
+    service = new CumulativeFlowService(azureService);
+  });
+
+  test('should count items per state for each day', async () => {
+    const result = await service.calculate({ projectName: 'PMP', startDate: '2025-06-01', endDate: '2025-06-03' });
+
+    expect(result.states).toEqual(['New', 'Active', 'Closed']);
+    expect(result.data).toEqual([
+      { date: '2025-06-01', New: 1, Active: 1, Closed: 0 },
+      { date: '2025-06-02', New: 1, Active: 2, Closed: 0 },
+      { date: '2025-06-03', New: 1, Active: 1, Closed: 1 }
+    ]);
+  });
+
+  test('should only fetch revisions for items changed within the range', async () => {
+    await service.calculate({ projectName: 'PMP', startDate: '2025-06-01', endDate: '2025-06-03' });
+
+    expect(azureService.getWorkItemRevisions).toHaveBeenCalledTimes(2);
+    expect(azureService.getWorkItemRevisions).not.toHaveBeenCalledWith(2, expect.anything(), expect.anything());
+  });
+
+  test('should skip items whose revisions cannot be fetched', async () => {
+    azureService.getWorkItemRevisions.mockImplementation(async (id) => {
+      if (id === 1) throw new Error('not found');
+      return [revision('2025-06-02T09:00:00Z', 'New')];
+    });
+
+    const result = await service.calculate({ projectName: 'PMP', startDate: '2025-06-01', endDate: '2025-06-03' });
+
+    expect(result.data[2]).toEqual({ date: '2025-06-03', New: 1, Active: 1 });
+  });
+
+  test('should return empty days when no items match', async () => {
+    azureService.getWorkItems.mockResolvedValue({ workItems: [] });
+
+    const result = await service.calculate({ projectName: 'PMP', startDate: '2025-06-01', endDate: '2025-06-02' });
+
+    expect(result).toEqual({ states: [], data: [{ date: '2025-06-01' }, { date: '2025-06-02' }] });
+  });
+});
@@ -0,0 +1,121 @@
+// Jest globals are available automatically
+const CycleTimeService = require('../../src/services/cycleTimeService');
+const { buildTimeline, fetchRevisionHistories } = require('../../src/utils/revisionHistory');
+const { calculatePercentiles } = require('../../src/utils/dataTransformers');
+
+const revision = (changedDate, state, createdDate) => ({
+  fields: { 'System.ChangedDate': changedDate, 'System.State': state, ...(createdDate && { 'System.CreatedDate': createdDate }) }
+});
+
+describe('CycleTimeService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new CycleTimeService({});
+  });
+
+  describe('measure', () => {
+    test('should measure cycle time from first activation and lead time from creation to close', () => {
+      const result = service.measure(buildTimeline([
+        revision('2025-06-01T00:00:00Z', 'New', '2025-05-31T00:00:00Z'),
+        revision('2025-06-02T00:00:00Z', 'Active'),
+        revision('2025-06-03T00:00:00Z', 'Resolved'),
+        revision('2025-06-05T12:00:00Z', 'Closed')
+      ]));
+
+      expect(result).toEqual({
+        createdDate: '2025-05-31T00:00:00.000Z',
+        activatedDate: '2025-06-02T00:00:00.000Z',
+        closedDate: '2025-06-05T12:00:00.000Z',
+        cycleTimeDays: 3.5,
+        leadTimeDays: 5.5
+      });
+    });
+
+    test('should count reopened items until their final close', () => {
+      const result = service.measure(buildTimeline([
+        revision('2025-06-01T00:00:00Z', 'Active'),
+        revision('2025-06-02T00:00:00Z', 'Closed'),
+        revision('2025-06-04T00:00:00Z', 'Active'),
+        revision('2025-06-06T00:00:00Z', 'Closed')
+      ]));
+
+      expect(result.cycleTimeDays).toBe(5);
+      expect(result.leadTimeDays).toBe(5);
+    });
+
+    test('should skip items closed without being activated', () => {
+      const result = service.measure(buildTimeline([
+        revision('2025-06-01T00:00:00Z', 'New'),
+        revision('2025-06-02T00:00:00Z', 'Closed')
+      ]));
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('calculate', () => {
+    test('should return items with overall and per-type percentiles', async () => {
+      const azureService = {
+        getWorkItems: jest.fn().mockResolvedValue({ workItems: [{ id: 1 }, { id: 2 }, { id: 3 }] }),
+        getWorkItemDetails: jest.fn().mockResolvedValue({
+          workItems: [
+            { id: 1, title: 'Story', type: 'User Story', fields: { 'System.Rev': 2 } },
+            { id: 2, title: 'Bug', type: 'Bug', fields: { 'System.Rev': 2 } },
+            { id: 3, title: 'Duplicate', type: 'Bug', fields: { 'System.Rev': 2 } }
+          ]
+        }),
+        getWorkItemRevisions: jest.fn().mockImplementation(async (id) => ({
+          1: [revision('2025-05-25T00:00:00Z', 'New'), revision('2025-06-01T00:00:00Z', 'Active'), revision('2025-06-05T00:00:00Z', 'Closed')],
+          2: [revision('2025-06-01T00:00:00Z', 'Active'), revision('2025-06-02T00:00:00Z', 'Closed')],
+          3: [revision('2025-06-01T00:00:00Z', 'New'), revision('2025-06-02T00:00:00Z', 'Closed')]
+        }[id]))
+      };
+      service = new CycleTimeService(azureService);
+
+      const result = await service.calculate({ projectName: 'PMP', startDate: '2025-06-01', endDate: '2025-06-30' });
+
+      expect(result.count).toBe(2);
+      expect(result.excluded).toBe(1);
+      expect(result.items.map(item => item.id)).toEqual([2, 1]);
+      expect(result.percentiles).toEqual({ p50: 1, p85: 4, p95: 4 });
+      expect(result.leadTimePercentiles).toEqual({ p50: 1, p85: 11, p95: 11 });
+      expect(result.byType.Bug).toEqual({ count: 1, p50: 1, p85: 1, p95: 1, leadTime: { p50: 1, p85: 1, p95: 1 } });
+      expect(azureService.getWorkItems.mock.calls[0][0].customQuery).toContain('[Microsoft.VSTS.Common.ClosedDate] >= \'2025-06-01\'');
+    });
+  });
+
+  describe('fetchRevisionHistories', () => {
+    test('should fetch a bounded number of histories at a time and keep failures per item', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const azureService = {
+        getWorkItemRevisions: jest.fn().mockImplementation(async (id) => {
+          inFlight++;
+          peak = Math.max(peak, inFlight);
+          await new Promise(resolve => setImmediate(resolve));
+          inFlight--;
+          if (id === 3) throw new Error('not found');
+          return [revision('2025-06-01T00:00:00Z', 'Active')];
+        })
+      };
+      const workItems = [1, 2, 3, 4, 5, 6, 7].map(id => ({ id, fields: { 'System.Rev': id } }));
+
+      const results = await fetchRevisionHistories(azureService, workItems, 'PMP', { concurrency: 3 });
+
+      expect(peak).toBe(3);
+      expect(results.map(result => result.workItem.id)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+      expect(results[2].error.message).toBe('not found');
+      expect(results[3].revisions).toHaveLength(1);
+      expect(azureService.getWorkItemRevisions).toHaveBeenCalledWith(4, 'PMP', 4);
+    });
+  });
+
+  describe('calculatePercentiles', () => {
+    test('should use nearest rank', () => {
+      const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20];
+      expect(calculatePercentiles(values)).toEqual({ p50: 10, p85: 17, p95: 19 });
+      expect(calculatePercentiles([])).toEqual({ p50: null, p85: null, p95: null });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// Jest globals are available automatically
+const { DashboardLayoutService } = require('../../src/services/dashboardLayoutService');
+const { UserPreferenceService, DEFAULT_LAYOUT } = require('../../src/services/userPreferenceService');
+
+class FakePreferenceStore {
+  constructor(available = true) {
+    this.available = available;
+    this.saved = new Map();
+  }
+
+  isAvailable() { return this.available; }
+
+  async get(userId) {
+    return this.saved.has(userId) ? { preferences: this.saved.get(userId), updatedAt: null } : null;
+  }
+
+  async save(user, preferences) {
+    this.saved.set(user.id, JSON.parse(JSON.stringify(preferences)));
+    return { preferences: this.saved.get(user.id), updatedAt: new Date().toISOString() };
+  }
+}
+
+class FakeLayoutStore {
+  constructor(available = true) {
+    this.available = available;
+    this.layouts = [];
+  }
+
+  isAvailable() { return this.available; }
+
+  async list() { return this.layouts; }
+
+  async save(productId, widgets, actor) {
+    const layout = { productId, widgets, updatedBy: actor, updatedAt: new Date().toISOString() };
+    this.layouts = [...this.layouts.filter(saved => saved.productId !== productId), layout];
+    return layout;
+  }
+
+  async remove(productId) {
+    const before = this.layouts.length;
+    this.layouts = this.layouts.filter(saved => saved.productId !== productId);
+    return this.layouts.length < before;
+  }
+}
+
+const qaLead = { id: 'qa-id', email: 'qa@example.com' };
+const admin = { id: 'admin-id', email: 'admin@example.com' };
+const daas = 'Product - Data as a Service';
+
+const createService = ({ available = true } = {}) => new DashboardLayoutService({
+  store: new FakeLayoutStore(available),
+  preferences: new UserPreferenceService({ store: new FakePreferenceStore(available) })
+});
+
+describe('DashboardLayoutService', () => {
+  test('should prefer the user layout for the product, then theirs for all products, then team defaults', async () => {
+    const service = createService();
+
+    await expect(service.resolve(qaLead, daas)).resolves.toEqual({ source: 'default', productId: null, widgets: DEFAULT_LAYOUT });
+
+    await service.saveTeamLayout(null, ['kpis'], admin);
+    await service.saveTeamLayout(daas, [{ id: 'bugClassification', width: 12 }, 'kpis'], admin);
+    await expect(service.resolve(qaLead, daas)).resolves.toEqual({
+      source: 'team',
+      productId: daas,
+      widgets: [{ id: 'bugClassification', width: 12 }, { id: 'kpis', width: 12 }]
+    });
+    await expect(service.resolve(qaLead, 'Product - Partner Management Platform')).resolves.toMatchObject({
+      source: 'team', productId: null
+    });
+
+    await service.saveUserLayout(qaLead, null, [{ id: 'kpis', width: 6 }, { id: 'velocity', width: 6 }]);
+    await expect(service.resolve(qaLead, daas)).resolves.toMatchObject({ source: 'user', productId: null });
+
+    const own = await service.saveUserLayout(qaLead, daas, [{ id: 'bugClassification', width: 8 }, { id: 'unknown' }]);
+    expect(own).toEqual({ source: 'user', productId: daas, widgets: [{ id: 'bugClassification', width: 8 }] });
+
+    await expect(service.resetUserLayout(qaLead, daas)).resolves.toMatchObject({ source: 'user', productId: null });
+    await service.resetUserLayout(qaLead, null);
+    await expect(service.resolve(qaLead, daas)).resolves.toMatchObject({ source: 'team', productId: daas });
+  });
+
+  test('should fall back to the built-in layout without a database and refuse changes', async () => {
+    const service = createService({ available: false });
+
+    await expect(service.resolve(qaLead, daas)).resolves.toMatchObject({ source: 'default' });
+    await expect(service.teamLayouts()).resolves.toEqual([]);
+    await expect(service.saveTeamLayout(null, ['kpis'], admin)).rejects.toMatchObject({ code: 'STORE_UNAVAILABLE', statusCode: 503 });
+    await expect(service.saveUserLayout(qaLead, daas, ['kpis'])).rejects.toMatchObject({ code: 'STORE_UNAVAILABLE' });
+  });
+});
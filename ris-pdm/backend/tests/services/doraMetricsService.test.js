@@ -0,0 +1,51 @@
+// Jest globals are available automatically
+const DoraMetricsService = require('../../src/services/doraMetricsService');
+
+const from = new Date('2025-03-01T00:00:00.000Z');
+const to = new Date('2025-03-29T00:00:00.000Z');
+
+const pullRequest = (id, startedAt, completedAt, status = 'merged') => ({
+  kind: 'pull_request', sourceId: id, status, startedAt, completedAt
+});
+
+const deployment = (id, status, completedAt, isProduction = true) => ({
+  kind: 'deployment', sourceId: id, status, completedAt, isProduction, environment: isProduction ? 'Production' : 'QA', workItemIds: [7]
+});
+
+describe('DoraMetricsService', () => {
+  const service = new DoraMetricsService();
+
+  test('should report no data without events', () => {
+    const summary = service.summarize([], { from, to });
+
+    expect(summary.status).toBe('no_data');
+    expect(summary.pullRequestReviewTime.medianHours).toBeNull();
+    expect(summary.changeFailureRate).toMatchObject({ deployments: 0, percentage: null, rating: null });
+  });
+
+  test('should measure review time of pull requests merged in the period', () => {
+    const summary = service.summarize([
+      pullRequest(1, '2025-03-02T08:00:00Z', '2025-03-02T12:00:00Z'),
+      pullRequest(2, '2025-03-03T08:00:00Z', '2025-03-04T08:00:00Z'),
+      pullRequest(3, '2025-03-05T08:00:00Z', '2025-03-05T10:00:00Z'),
+      pullRequest(4, '2025-03-05T08:00:00Z', null, 'active'),
+      pullRequest(5, '2025-02-01T08:00:00Z', '2025-02-02T08:00:00Z')
+    ], { from, to });
+
+    expect(summary.pullRequestReviewTime).toEqual({ merged: 3, medianHours: 4, averageHours: 10 });
+  });
+
+  test('should rate production deployment frequency and change failure rate', () => {
+    const deployments = Array.from({ length: 8 }, (_, i) => deployment(`r${i}`, 'succeeded', `2025-03-${String(i + 2).padStart(2, '0')}T10:00:00Z`));
+    deployments.push(deployment('r-failed', 'failed', '2025-03-20T10:00:00Z'));
+    deployments.push(deployment('r-partial', 'partiallySucceeded', '2025-03-21T10:00:00Z'));
+    deployments.push(deployment('r-qa', 'failed', '2025-03-21T10:00:00Z', false));
+
+    const summary = service.summarize(deployments, { from, to });
+
+    expect(summary.deploymentFrequency).toEqual({ deployments: 8, perDay: 0.29, perWeek: 2, rating: 'high' });
+    expect(summary.changeFailureRate).toMatchObject({ deployments: 10, failed: 2, percentage: 20, rating: 'low' });
+    expect(summary.changeFailureRate.failures.map(failure => failure.deploymentId)).toEqual(['r-failed', 'r-partial']);
+    expect(summary.status).toBe('ok');
+  });
+});
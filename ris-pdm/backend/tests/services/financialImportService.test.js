@@ -0,0 +1,73 @@
+// Jest globals are available automatically
+const ExcelJS = require('exceljs');
+const FinancialImportService = require('../../src/services/financialImportService');
+const { parsePeriod } = require('../../src/services/financialImportService');
+
+const registry = { has: (id) => ['Product - Alpha', 'Product - Beta'].includes(id) };
+
+describe('FinancialImportService', () => {
+  const service = new FinancialImportService(registry);
+
+  test('should parse month and quarter period labels', () => {
+    expect(parsePeriod('2025-3')).toEqual({ periodType: 'month', periodStart: '2025-03-01' });
+    expect(parsePeriod('2025-03-15')).toEqual({ periodType: 'month', periodStart: '2025-03-01' });
+    expect(parsePeriod('2025-Q2')).toEqual({ periodType: 'quarter', periodStart: '2025-04-01' });
+    expect(parsePeriod('q4 2024')).toEqual({ periodType: 'quarter', periodStart: '2024-10-01' });
+    expect(parsePeriod(new Date(Date.UTC(2025, 10, 1)))).toEqual({ periodType: 'month', periodStart: '2025-11-01' });
+    expect(parsePeriod('2025-13')).toBeNull();
+  });
+
+  test('should read CSV uploads with quoted amounts and header aliases', async () => {
+    const csv = [
+      'Product,Month,Revenue,Expenses,P/L Target',
+      '"Product - Alpha",2025-01,"1,200,000",800000,500000',
+      'Product - Beta,2025-Q1,(100),50,'
+    ].join('\r\n');
+
+    const rows = await service.parseFile(Buffer.from(csv), 'csv');
+    const { records, errors } = service.normalize(rows);
+
+    expect(errors).toEqual([]);
+    expect(records).toEqual([
+      { productId: 'Product - Alpha', periodType: 'month', periodStart: '2025-01-01', revenue: 1200000, cost: 800000, target: 500000, currency: 'THB' },
+      { productId: 'Product - Beta', periodType: 'quarter', periodStart: '2025-01-01', revenue: -100, cost: 50, target: null, currency: 'THB' }
+    ]);
+  });
+
+  test('should read the first worksheet of XLSX uploads', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('P&L');
+    sheet.addRow(['Product ID', 'Period', 'Revenue', 'Cost', 'Target', 'Currency']);
+    sheet.addRow(['Product - Alpha', new Date(Date.UTC(2025, 1, 1)), 5000, 3000, 2500, 'usd']);
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    const rows = await service.parseFile(Buffer.from(buffer), 'xlsx');
+    const { records, errors } = service.normalize(rows);
+
+    expect(errors).toEqual([]);
+    expect(records[0]).toMatchObject({ periodStart: '2025-02-01', revenue: 5000, cost: 3000, target: 2500, currency: 'USD' });
+  });
+
+  test('should reject files missing required columns', async () => {
+    await expect(service.parseFile(Buffer.from('Product,Period\nProduct - Alpha,2025-01'), 'csv'))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  test('should report every invalid row with its row number', () => {
+    const { records, errors } = service.normalize([
+      { row: 2, productId: 'Product - Gamma', period: '2025-01', revenue: 1, cost: 1 },
+      { row: 3, productId: 'Product - Alpha', period: 'January', revenue: 1, cost: 1 },
+      { row: 4, productId: 'Product - Alpha', period: '2025-01', revenue: 'lots', cost: 1 },
+      { row: 5, productId: 'Product - Alpha', period: '2025-02', revenue: 1, cost: 1 },
+      { row: 6, productId: 'Product - Alpha', period: '2025-02', revenue: 2, cost: 1 }
+    ]);
+
+    expect(records).toHaveLength(1);
+    expect(errors.map(error => [error.row, error.field])).toEqual([
+      [2, 'productId'],
+      [3, 'period'],
+      [4, 'revenue'],
+      [6, 'period']
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+// Jest globals are available automatically
+const ForecastService = require('../../src/services/forecastService');
+
+// Deterministic cycle through the samples so results are exact
+const sequence = (values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+describe('ForecastService', () => {
+  test('should forecast deliveries needed for remaining work', () => {
+    const service = new ForecastService({ trials: 1000 });
+
+    const result = service.forecastDeliveries([10, 10, 10], 25);
+
+    expect(result).toEqual({ p50: 3, p85: 3, p95: 3 });
+  });
+
+  test('should give higher delivery counts at higher confidence when throughput varies', () => {
+    const service = new ForecastService({ trials: 2000, random: sequence([0.1, 0.9, 0.5, 0.3, 0.7, 0.05, 0.95]) });
+
+    const result = service.forecastDeliveries([2, 5, 8, 12, 20], 40);
+
+    expect(result.p50).toBeLessThanOrEqual(result.p85);
+    expect(result.p85).toBeLessThanOrEqual(result.p95);
+  });
+
+  test('should forecast work done within a number of deliveries', () => {
+    const service = new ForecastService({ trials: 1000 });
+
+    expect(service.forecastAmount([4, 4], 3)).toEqual({ p50: 12, p85: 12, p95: 12 });
+
+    const varied = new ForecastService({ trials: 2000 }).forecastAmount([1, 5, 10], 4);
+    expect(varied.p95).toBeLessThanOrEqual(varied.p85);
+    expect(varied.p85).toBeLessThanOrEqual(varied.p50);
+  });
+
+  test('should simulate no more than MAX_DELIVERIES deliveries', () => {
+    const service = new ForecastService({ trials: 10 });
+
+    expect(service.forecastAmount([1], 1000000)).toEqual({
+      p50: ForecastService.MAX_DELIVERIES,
+      p85: ForecastService.MAX_DELIVERIES,
+      p95: ForecastService.MAX_DELIVERIES
+    });
+  });
+
+  test('should only accept target dates up to 3 years ahead', () => {
+    const now = new Date('2025-06-30T00:00:00Z');
+
+    expect(ForecastService.isWithinHorizon('2028-06-30', now)).toBe(true);
+    expect(ForecastService.isWithinHorizon('2028-07-01', now)).toBe(false);
+    expect(ForecastService.isWithinHorizon('9999-12-31', now)).toBe(false);
+  });
+
+  test('should return null without usable history', () => {
+    const service = new ForecastService({ trials: 10 });
+
+    expect(service.forecastDeliveries([], 10)).toBeNull();
+    expect(service.forecastDeliveries([0, 0], 10)).toBeNull();
+    expect(service.forecastAmount([0], 2)).toBeNull();
+  });
+
+  test('should return zero when nothing remains', () => {
+    const service = new ForecastService({ trials: 10 });
+
+    expect(service.forecastDeliveries([5], 0)).toEqual({ p50: 0, p85: 0, p95: 0 });
+  });
+});
@@ -0,0 +1,62 @@
+// Jest globals are available automatically
+const NotificationChannels = require('../../src/services/notificationChannels');
+const { validateTarget } = require('../../src/services/notificationChannels');
+
+const message = {
+  title: 'High open bug count',
+  summary: 'Product - Partner Management Platform',
+  alerts: [{ title: 'High open bug count', message: 'High number of open bugs: 25 <critical>', severity: 'high', value: 25 }],
+  link: 'https://dashboard.example.com'
+};
+
+describe('NotificationChannels', () => {
+  test('should only accept Teams and Slack webhook hosts over https', () => {
+    expect(validateTarget('teams', 'https://contoso.webhook.office.com/webhookb2/abc')).toBeNull();
+    expect(validateTarget('teams', 'https://prod-01.westeurope.logic.azure.com/workflows/abc')).toBeNull();
+    expect(validateTarget('slack', 'https://hooks.slack.com/services/T0/B0/x')).toBeNull();
+    expect(validateTarget('email', 'po@example.com')).toBeNull();
+
+    expect(validateTarget('slack', 'http://hooks.slack.com/services/T0/B0/x')).toMatch(/https/);
+    expect(validateTarget('teams', 'https://169.254.169.254/latest')).toMatch(/Teams/);
+    expect(validateTarget('slack', 'https://hooks.slack.com.evil.test/x')).toMatch(/Slack/);
+    expect(validateTarget('email', 'not-an-address')).toMatch(/email/);
+  });
+
+  test('should post an Adaptive Card to Teams and Block Kit to Slack', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: true });
+    const channels = new NotificationChannels({ fetchImpl, smtp: {} });
+
+    await channels.send('teams', 'https://contoso.webhook.office.com/webhookb2/abc', message);
+    await channels.send('slack', 'https://hooks.slack.com/services/T0/B0/x', message);
+
+    const teams = JSON.parse(fetchImpl.mock.calls[0][1].body);
+    expect(teams.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(teams.attachments[0].content.actions[0].url).toBe('https://dashboard.example.com');
+
+    const slack = JSON.parse(fetchImpl.mock.calls[1][1].body);
+    expect(slack.text).toBe('High open bug count');
+    expect(slack.blocks[2].text.text).toContain('25 &lt;critical&gt;');
+  });
+
+  test('should fail on webhook errors and when SMTP is not configured', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 410, text: async () => 'Gone' });
+    const channels = new NotificationChannels({ fetchImpl, smtp: {} });
+
+    await expect(channels.send('slack', 'https://hooks.slack.com/services/T0/B0/x', message))
+      .rejects.toThrow('Webhook responded 410: Gone');
+    expect(channels.isConfigured('email')).toBe(false);
+    await expect(channels.send('email', 'po@example.com', message)).rejects.toThrow('Email notifications are not configured');
+  });
+
+  test('should send an escaped HTML email through the SMTP transport', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({}) };
+    const channels = new NotificationChannels({ transport, smtp: { from: 'alerts@example.com' } });
+
+    await channels.send('email', 'po@example.com', message);
+
+    const mail = transport.sendMail.mock.calls[0][0];
+    expect(mail).toMatchObject({ from: 'alerts@example.com', to: 'po@example.com', subject: 'High open bug count' });
+    expect(mail.html).toContain('25 &lt;critical&gt;');
+    expect(mail.text).toContain('Open dashboard: https://dashboard.example.com');
+  });
+});
@@ -0,0 +1,184 @@
+// Jest globals are available automatically
+const { NotificationService } = require('../../src/services/notificationService');
+const { AccessPolicyService } = require('../../src/services/accessPolicyService');
+const { collectGarbage } = require('../utils/collectGarbage');
+
+class FakeStore {
+  constructor(subscriptions) {
+    this.subscriptions = subscriptions;
+    this.deliveries = [];
+  }
+
+  isAvailable() { return true; }
+
+  async findActiveSubscriptions(productId) {
+    return this.subscriptions.filter(s => s.enabled && (s.productId === null || s.productId === productId));
+  }
+
+  async getLastDeliveryAt(subscriptionId, alertKey) {
+    const matches = this.deliveries.filter(d => d.subscriptionId === subscriptionId && d.alertKey === alertKey && d.status !== 'failed');
+    return matches.length > 0 ? matches[matches.length - 1].createdAt : null;
+  }
+
+  async recordDelivery(subscriptionId, alertKey, alert, status, error = null) {
+    this.deliveries.push({ id: `d${this.deliveries.length + 1}`, subscriptionId, alertKey, alert, status, error, createdAt: new Date() });
+  }
+
+  async findDueDigests() {
+    return this.subscriptions.filter(s => s.mode === 'digest' && this.deliveries.some(d => d.subscriptionId === s.id && d.status === 'queued'));
+  }
+
+  async getQueuedDeliveries(subscriptionId) {
+    return this.deliveries.filter(d => d.subscriptionId === subscriptionId && d.status === 'queued');
+  }
+
+  async markDigestSent(subscriptionId, ids) {
+    this.deliveries.filter(d => ids.includes(d.id)).forEach(d => { d.status = 'sent'; });
+  }
+}
+
+const subscription = (overrides) => ({
+  id: 's1',
+  userId: 'po-id',
+  userEmail: 'po@example.com',
+  productId: 'Product - Partner Management Platform',
+  alertTypes: ['open_bugs', 'delivery_predictability'],
+  channel: 'teams',
+  target: 'https://contoso.webhook.office.com/webhookb2/abc',
+  mode: 'immediate',
+  cooldownMinutes: 60,
+  enabled: true,
+  ...overrides
+});
+
+const kpiAlerts = [
+  { type: 'error', message: 'High number of open bugs: 25', severity: 'high', metric: 'bugCount', value: 25 },
+  { type: 'warning', message: 'Cycle time is high: 12 days', severity: 'medium', metric: 'cycleTime', value: 12 }
+];
+
+describe('NotificationService', () => {
+  afterAll(collectGarbage);
+
+  let channels;
+  const createService = (store, accessPolicy = { canViewIndividual: jest.fn() }) => new NotificationService({
+    store,
+    channels,
+    accessPolicy,
+    dashboardUrl: 'https://dashboard.example.com'
+  });
+
+  beforeEach(() => {
+    channels = { send: jest.fn().mockResolvedValue(), isConfigured: () => true };
+  });
+
+  test('should send subscribed alert types of the product and skip the rest', async () => {
+    const store = new FakeStore([
+      subscription(),
+      subscription({ id: 's2', productId: 'Product - Other' })
+    ]);
+    const service = createService(store);
+
+    const outcome = await service.publish(kpiAlerts, { source: 'kpi', productId: 'Product - Partner Management Platform' });
+
+    expect(outcome).toMatchObject({ sent: 1, queued: 0, suppressed: 0 });
+    expect(channels.send).toHaveBeenCalledTimes(1);
+    const [channel, target, message] = channels.send.mock.calls[0];
+    expect(channel).toBe('teams');
+    expect(target).toBe('https://contoso.webhook.office.com/webhookb2/abc');
+    expect(message.alerts).toHaveLength(1);
+    expect(message.alerts[0]).toMatchObject({ alertType: 'open_bugs', severity: 'high', value: 25 });
+    expect(message.link).toBe('https://dashboard.example.com/?productId=Product+-+Partner+Management+Platform');
+  });
+
+  test('should suppress the same alert within the cooldown window', async () => {
+    const store = new FakeStore([subscription()]);
+    const service = createService(store);
+    const context = { source: 'kpi', productId: 'Product - Partner Management Platform' };
+
+    await service.publish(kpiAlerts, context);
+    const second = await service.publish(kpiAlerts, context);
+
+    expect(second).toMatchObject({ sent: 0, suppressed: 1 });
+    expect(channels.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry alerts whose delivery failed', async () => {
+    const store = new FakeStore([subscription()]);
+    const service = createService(store);
+    const context = { source: 'kpi', productId: 'Product - Partner Management Platform' };
+    channels.send.mockRejectedValueOnce(new Error('Webhook responded 500'));
+
+    const first = await service.publish(kpiAlerts, context);
+    const second = await service.publish(kpiAlerts, context);
+
+    expect(first).toMatchObject({ sent: 0, failed: 1 });
+    expect(store.deliveries[0]).toMatchObject({ status: 'failed', error: 'Webhook responded 500' });
+    expect(second).toMatchObject({ sent: 1 });
+  });
+
+  test('should queue alerts of digest subscriptions and send them together', async () => {
+    const store = new FakeStore([subscription({ mode: 'digest', alertTypes: ['open_bugs', 'cycle_time'] })]);
+    const service = createService(store);
+
+    const outcome = await service.publish(kpiAlerts, { source: 'kpi', productId: 'Product - Partner Management Platform' });
+    expect(outcome).toMatchObject({ sent: 0, queued: 2 });
+    expect(channels.send).not.toHaveBeenCalled();
+
+    await expect(service.flushDigests()).resolves.toBe(1);
+    expect(channels.send).toHaveBeenCalledTimes(1);
+    expect(channels.send.mock.calls[0][2].title).toBe('KPI alert digest: 2 alerts');
+    expect(store.deliveries.every(d => d.status === 'sent')).toBe(true);
+  });
+
+  test('should only deliver individual alerts to subscribers allowed to view the person', async () => {
+    const store = new FakeStore([
+      subscription({ id: 'lead', userId: 'lead-id', alertTypes: ['bug_ratio'] }),
+      subscription({ id: 'peer', userId: 'peer-id', alertTypes: ['bug_ratio'] })
+    ]);
+    const accessPolicy = {
+      canViewIndividual: jest.fn(async (user) => ({ allowed: user.id === 'lead-id' }))
+    };
+    const service = createService(store, accessPolicy);
+
+    await service.publish(
+      [{ type: 'error', message: 'High bug-to-task ratio indicates quality concerns', severity: 'high', metric: 'bug_ratio', value: 0.3 }],
+      { source: 'individual', productId: 'Product - Partner Management Platform', subject: 'dev@example.com' }
+    );
+
+    expect(accessPolicy.canViewIndividual).toHaveBeenCalledWith(expect.objectContaining({ id: 'peer-id' }), 'dev@example.com');
+    expect(store.deliveries.map(d => d.subscriptionId)).toEqual(['lead']);
+    expect(channels.send.mock.calls[0][2].link)
+      .toBe('https://dashboard.example.com/individual/dev%40example.com?productId=Product+-+Partner+Management+Platform');
+  });
+
+  test('should judge individual alerts by the role claims saved with the subscription', async () => {
+    const store = new FakeStore([
+      subscription({ id: 'admin', userId: 'admin-id', userRoles: ['Admin'], alertTypes: ['bug_ratio'] }),
+      subscription({ id: 'dev', userId: 'dev-id', userRoles: ['Developer'], alertTypes: ['bug_ratio'] })
+    ]);
+    const accessPolicy = new AccessPolicyService({ isReady: () => false }, { list: () => [] });
+    const service = createService(store, accessPolicy);
+
+    await service.publish(
+      [{ type: 'error', message: 'High bug-to-task ratio indicates quality concerns', severity: 'high', metric: 'bug_ratio', value: 0.3 }],
+      { source: 'individual', productId: 'Product - Partner Management Platform', subject: 'other@example.com' }
+    );
+
+    expect(store.deliveries.map(d => d.subscriptionId)).toEqual(['admin']);
+  });
+
+  test('should reach all-product subscriptions from webhook health alerts', async () => {
+    const store = new FakeStore([subscription({ productId: null, alertTypes: ['webhook_health'], channel: 'slack' })]);
+    const service = createService(store);
+
+    await service.publish(
+      [{ type: 'queue_size', severity: 'medium', message: 'Event queue is large: 150 events', value: 150, threshold: 100 }],
+      { source: 'webhook' }
+    );
+
+    expect(channels.send).toHaveBeenCalledWith('slack', expect.any(String), expect.objectContaining({
+      alerts: [expect.objectContaining({ alertType: 'webhook_health', threshold: 100 })]
+    }));
+    expect(store.deliveries[0].alertKey).toBe('webhook_health:all::queue_size');
+  });
+});
@@ -0,0 +1,150 @@
+// Jest globals are available automatically
+const crypto = require('crypto');
+const { OAuthTokenStore } = require('../../src/services/oauthTokenStore');
+const AzureOAuthService = require('../../src/services/azureOAuthService');
+const AzureDevOpsService = require('../../src/services/azureDevOpsService');
+const cacheService = require('../../src/services/cacheService');
+const requestContext = require('../../utils/requestContext');
+const { collectGarbage } = require('../utils/collectGarbage');
+
+const KEY = crypto.randomBytes(32).toString('hex');
+
+// Minimal user_oauth_tokens table keyed by user_id
+const createDb = () => {
+  const rows = new Map();
+  return {
+    rows,
+    isReady: () => true,
+    query: jest.fn(async (sql, params) => {
+      if (sql.startsWith('INSERT')) {
+        const [user_id, user_email, access_token, refresh_token, expires_at, scope] = params;
+        rows.set(user_id, { user_id, user_email, access_token, refresh_token, expires_at, scope, updated_at: new Date() });
+        return { rows: [] };
+      }
+      if (sql.startsWith('SELECT')) {
+        return { rows: rows.has(params[0]) ? [rows.get(params[0])] : [] };
+      }
+      rows.delete(params[0]);
+      return { rows: [] };
+    })
+  };
+};
+
+// AzureDevOpsService pulls in the cache singleton, whose expiry timer would keep this suite alive
+afterAll(async () => {
+  await cacheService.shutdown();
+  await collectGarbage();
+});
+
+const tokenData = (overrides = {}) => ({
+  access_token: 'access-ann',
+  refresh_token: 'refresh-ann',
+  expires_at: new Date(Date.now() + 3600000).toISOString(),
+  scope: 'vso.work vso.project',
+  ...overrides
+});
+
+describe('OAuthTokenStore', () => {
+  test('should persist only ciphertext and read the tokens back', async () => {
+    const db = createDb();
+    const store = new OAuthTokenStore(db, KEY);
+
+    await store.save('ann', tokenData(), { email: 'ann@example.com' });
+
+    const row = db.rows.get('ann');
+    expect(row.access_token).not.toContain('access-ann');
+    expect(row.refresh_token).not.toContain('refresh-ann');
+    expect(row.user_email).toBe('ann@example.com');
+
+    const loaded = await store.load('ann');
+    expect(loaded).toMatchObject({ access_token: 'access-ann', refresh_token: 'refresh-ann', scope: 'vso.work vso.project' });
+    expect(loaded).toHaveProperty('stored_at');
+  });
+
+  test('should not decrypt a row copied to another user or read with another key', async () => {
+    const db = createDb();
+    const store = new OAuthTokenStore(db, KEY);
+    await store.save('ann', tokenData());
+
+    db.rows.set('bob', { ...db.rows.get('ann'), user_id: 'bob' });
+    expect(await store.load('bob')).toBeNull();
+
+    const rotated = new OAuthTokenStore(db, crypto.randomBytes(32).toString('hex'));
+    expect(await rotated.load('ann')).toBeNull();
+  });
+
+  test('should stay unavailable without an encryption key and reject malformed keys', () => {
+    expect(new OAuthTokenStore(createDb(), '').isAvailable()).toBe(false);
+    expect(() => new OAuthTokenStore(createDb(), 'too-short')).toThrow('OAUTH_TOKEN_ENCRYPTION_KEY must be 32 bytes');
+  });
+});
+
+describe('AzureOAuthService per-user tokens', () => {
+  const config = { clientId: 'client', clientSecret: 'secret', redirectUri: 'https://app.example.com/callback' };
+
+  test('should load persisted tokens after a restart and refresh each user once', async () => {
+    const store = new OAuthTokenStore(createDb(), KEY);
+    await store.save('ann', tokenData({ expires_at: new Date(Date.now() - 1000).toISOString() }));
+    await store.save('bob', tokenData({ access_token: 'access-bob', refresh_token: 'refresh-bob' }));
+
+    const oauth = new AzureOAuthService(config, store);
+    oauth.makeTokenRequest = jest.fn(async () => ({ access_token: 'access-ann-2', expires_in: 3600 }));
+
+    const [first, second] = await Promise.all([oauth.getValidAccessToken('ann'), oauth.getValidAccessToken('ann')]);
+
+    expect(first).toBe('access-ann-2');
+    expect(second).toBe('access-ann-2');
+    expect(oauth.makeTokenRequest).toHaveBeenCalledTimes(1);
+    expect((await store.load('ann')).refresh_token).toBe('refresh-ann');
+    expect(await oauth.getValidAccessToken('bob')).toBe('access-bob');
+    expect(await oauth.getValidAccessToken('dee')).toBeNull();
+  });
+
+  test('should only redeem a state for the user it was issued to', async () => {
+    const oauth = new AzureOAuthService(config, new OAuthTokenStore(createDb(), KEY));
+    oauth.makeTokenRequest = jest.fn(async () => ({ access_token: 'access-ann', refresh_token: 'refresh-ann', expires_in: 3600 }));
+
+    const state = new URL(oauth.getAuthorizationUrl(null, 'ann')).searchParams.get('state');
+
+    await expect(oauth.exchangeCodeForToken('code', state, { id: 'bob' }))
+      .rejects.toThrow('Invalid state parameter - possible CSRF attack');
+
+    const retry = new URL(oauth.getAuthorizationUrl(null, 'ann')).searchParams.get('state');
+    const tokens = await oauth.exchangeCodeForToken('code', retry, { id: 'ann' });
+
+    expect(tokens.access_token).toBe('access-ann');
+    expect(oauth.getStoredTokens('ann').access_token).toBe('access-ann');
+    expect(oauth.getStoredTokens('bob')).toBeNull();
+  });
+});
+
+describe('AzureDevOpsService request identity', () => {
+  afterEach(() => {
+    AzureDevOpsService.useOAuthService(null);
+    requestContext.setAzureIdentityResolver(null);
+  });
+
+  test('should call Azure DevOps as the connected caller and fall back to the PAT otherwise', async () => {
+    const oauth = { getValidAccessToken: jest.fn(async (userId) => `token-${userId}`) };
+    AzureDevOpsService.useOAuthService(oauth);
+    requestContext.setAzureIdentityResolver(async (userId) => (userId === 'ann' ? userId : null));
+
+    const service = new AzureDevOpsService();
+
+    const annHeaders = await requestContext.runForUser({ id: 'ann' }, () => service.getAuthHeaders());
+    const bobHeaders = await requestContext.runForUser({ id: 'bob' }, () => service.getAuthHeaders());
+
+    expect(annHeaders.Authorization).toBe('Bearer token-ann');
+    expect(bobHeaders.Authorization).toMatch(/^Basic /);
+    expect(await service.getAuthHeaders()).toEqual(bobHeaders);
+  });
+
+  test('should keep cache keys apart per caller', async () => {
+    requestContext.setAzureIdentityResolver(async (userId) => userId);
+
+    const annKey = await requestContext.runForUser({ id: 'ann' }, () => requestContext.scopeKey('accessible-projects'));
+
+    expect(annKey).toBe('accessible-projects::user:ann');
+    expect(requestContext.scopeKey('accessible-projects')).toBe('accessible-projects');
+  });
+});
@@ -0,0 +1,83 @@
+// Jest globals are available automatically
+const JSZip = require('jszip');
+const { PptxReportBuilder } = require('../../src/services/pptxReportBuilder');
+const { collectGarbage } = require('../utils/collectGarbage');
+
+// Text of each slide, in order
+const readSlides = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const names = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+  return Promise.all(names.map(async name => (await zip.file(name).async('string')).replace(/<[^>]+>/g, ' ')));
+};
+
+describe('PptxReportBuilder', () => {
+  let builder;
+
+  beforeAll(() => {
+    builder = new PptxReportBuilder();
+  });
+
+  afterAll(async () => {
+    builder = null;
+    await collectGarbage();
+  });
+
+  test('should build the dashboard deck with title, KPI, burndown, velocity and bug slides', async () => {
+    const buffer = await builder.buildDashboard({
+      overview: {
+        summary: { totalTeamMembers: 8, avgQualityScore: 9.5, completedWorkItems: 42, avgVelocity: 38 },
+        kpis: { deliveryPredictability: 87, cycleTime: 3.2, defectEscapeRate: 4 }
+      },
+      burndown: [
+        { date: 'Mar 2', idealRemaining: 40, actualRemaining: 40 },
+        { date: 'Mar 3', idealRemaining: 30, actualRemaining: null }
+      ],
+      velocity: [{ sprint: 'Sprint 12', commitment: 40, completed: 36 }],
+      bugs: {
+        totalBugs: 5,
+        highSeverityBugs: 2,
+        summary: {
+          severity: { critical: { count: 1, percentage: 20 }, medium: { count: 4, percentage: 80 } },
+          category: { ui: { count: 3, percentage: 60 }, api: { count: 2, percentage: 40 } }
+        }
+      },
+      productName: 'Data as a Service',
+      period: 'month',
+      link: 'https://dashboard.example.com/?productId=Product+-+Data+as+a+Service'
+    });
+
+    const slides = await readSlides(buffer);
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+    expect(slides).toHaveLength(5);
+    expect(slides[0]).toContain('Data as a Service');
+    expect(slides[0]).toContain('Period: MONTH');
+    expect(slides[0]).toContain('Open in dashboard');
+    expect(slides[1]).toContain('Delivery Predictability');
+    expect(slides[1]).toContain('87%');
+    expect(slides[2]).toContain('Sprint Burndown');
+    expect(slides[3]).toContain('Velocity');
+    expect(slides[4]).toContain('5 bugs, 2 critical or high severity');
+  });
+
+  test('should note missing chart data instead of leaving slides out', async () => {
+    const buffer = await builder.buildIndividual({
+      individual: {
+        userId: 'dev@example.com',
+        userInfo: { displayName: 'Dev Example', role: 'Developer' },
+        performance: { completedStoryPoints: 13, completionRate: 80 },
+        burndown: [],
+        trends: []
+      },
+      bugs: null
+    });
+
+    const slides = await readSlides(buffer);
+    expect(slides).toHaveLength(5);
+    expect(slides[0]).toContain('Dev Example · Developer');
+    expect(slides[2]).toContain('No assigned work in this period');
+    expect(slides[3]).toContain('No sprint history yet');
+    expect(slides[4]).toContain('Bug classification is not available');
+  });
+});
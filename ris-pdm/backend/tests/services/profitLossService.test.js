@@ -0,0 +1,74 @@
+// Jest globals are available automatically
+const ProfitLossService = require('../../src/services/profitLossService');
+
+const month = (periodStart, revenue, cost, target = null) => ({ periodType: 'month', periodStart, revenue, cost, target, currency: 'THB' });
+const quarter = (periodStart, revenue, cost, target = null) => ({ periodType: 'quarter', periodStart, revenue, cost, target, currency: 'THB' });
+
+describe('ProfitLossService', () => {
+  const service = new ProfitLossService();
+  const asOf = new Date('2025-06-15T00:00:00Z');
+
+  test('should report no data without records', () => {
+    const result = service.summarize([], { asOf });
+
+    expect(result.value).toBeNull();
+    expect(result.status).toBe('no_data');
+  });
+
+  test('should sum year-to-date P/L and target through the latest period', () => {
+    const result = service.summarize([
+      month('2024-12-01', 999, 0),
+      month('2025-01-01', 1000, 400, 500),
+      month('2025-02-01', 1200, 500, 500),
+      month('2025-03-01', 900, 600)
+    ], { asOf });
+
+    expect(result).toMatchObject({
+      value: 1600,
+      revenue: 3100,
+      cost: 1500,
+      target: 1000,
+      attainment: 160,
+      period: 'YTD 2025',
+      through: '2025-03',
+      status: 'real'
+    });
+    expect(result.byPeriod.map(period => period.period)).toEqual(['2025-01', '2025-02', '2025-03']);
+  });
+
+  test('should compare against the same months of the previous year', () => {
+    const result = service.summarize([
+      month('2024-01-01', 1000, 500),
+      month('2024-02-01', 1000, 500),
+      month('2024-03-01', 5000, 0),
+      month('2025-01-01', 1000, 400),
+      month('2025-02-01', 1000, 400)
+    ], { asOf });
+
+    // 1200 this year against 1000 for Jan-Feb 2024; March 2024 is outside the window
+    expect(result.trend).toBe(20);
+    expect(result.trendValue).toBe('+20.0%');
+  });
+
+  test('should use quarterly figures only where no monthly figures exist', () => {
+    const result = service.summarize([
+      quarter('2025-01-01', 3000, 1000),
+      month('2025-02-01', 100, 50),
+      quarter('2025-04-01', 2000, 500)
+    ], { asOf });
+
+    expect(result.value).toBe(50 + 1500);
+    expect(result.through).toBe('2025-06');
+    expect(result.byPeriod.map(period => period.period)).toEqual(['2025-02', '2025-Q2']);
+  });
+
+  test('should ignore periods that start after the as-of date', () => {
+    const result = service.summarize([
+      month('2025-06-01', 100, 50),
+      month('2025-07-01', 100000, 0)
+    ], { asOf });
+
+    expect(result.value).toBe(50);
+    expect(result.trend).toBeNull();
+  });
+});
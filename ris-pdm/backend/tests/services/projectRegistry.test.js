@@ -0,0 +1,175 @@
+// Jest globals are available automatically
+const { ProjectRegistry } = require('../../src/services/projectRegistry');
+const { collectGarbage } = require('../utils/collectGarbage');
+
+const DEFAULTS = [
+  {
+    id: 'Product - Alpha',
+    azureProject: 'Alpha',
+    teamName: 'Alpha Team',
+    iterationPrefix: 'Sprint',
+    iterationPattern: '^Sprint\\s*(\\d+)',
+    iterationFormat: 'Sprint {n}',
+    enabled: true,
+    priority: 1
+  },
+  { id: 'Team - Alpha QA', azureProject: 'Alpha', teamName: 'Alpha QA', enabled: true, priority: 2 },
+  { id: 'Product - Legacy', azureProject: 'Legacy', enabled: false, priority: 999 }
+];
+
+const toRow = (entry) => ({
+  id: entry.id,
+  azure_project: entry.azureProject,
+  team_name: entry.teamName ?? null,
+  iteration_prefix: entry.iterationPrefix ?? null,
+  iteration_pattern: entry.iterationPattern ?? null,
+  iteration_format: entry.iterationFormat ?? null,
+  enabled: entry.enabled ?? true,
+  priority: entry.priority ?? 100,
+  updated_by: null
+});
+
+// In-memory stand-in for the product_registry table
+const createDb = ({ ready = true, rows = [] } = {}) => {
+  const table = new Map(rows.map(row => [row.id, row]));
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.startsWith('SELECT')) {
+      return { rows: [...table.values()] };
+    }
+    if (sql.startsWith('INSERT')) {
+      const [id, azureProject, teamName, iterationPrefix, iterationPattern, iterationFormat, enabled, priority, updatedBy] = params;
+      const row = { ...toRow({ id, azureProject, teamName, iterationPrefix, iterationPattern, iterationFormat, enabled, priority }), updated_by: updatedBy };
+      table.set(id, row);
+      return { rows: [row] };
+    }
+    if (sql.startsWith('UPDATE')) {
+      const [id, azureProject, teamName, iterationPrefix, iterationPattern, iterationFormat, enabled, priority, updatedBy] = params;
+      const row = { ...toRow({ id, azureProject, teamName, iterationPrefix, iterationPattern, iterationFormat, enabled, priority }), updated_by: updatedBy };
+      table.set(id, row);
+      return { rows: [row] };
+    }
+    if (sql.startsWith('DELETE')) {
+      table.delete(params[0]);
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return {
+    table,
+    query,
+    isReady: () => ready,
+    transaction: jest.fn(async (callback) => callback({ query }))
+  };
+};
+
+describe('ProjectRegistry', () => {
+  afterAll(collectGarbage);
+
+  test('should serve the defaults without a database and refuse writes', async () => {
+    const registry = new ProjectRegistry(createDb({ ready: false }), DEFAULTS);
+
+    expect(await registry.load()).toBe(false);
+    expect(registry.getAzureProject('Team - Alpha QA')).toBe('Alpha');
+    expect(registry.getAzureProjects()).toEqual(['Alpha']);
+    await expect(registry.create({ id: 'New', azureProject: 'New' }))
+      .rejects.toMatchObject({ code: 'STORE_UNAVAILABLE', statusCode: 503 });
+  });
+
+  test('should seed an empty table with the defaults', async () => {
+    const db = createDb();
+    const registry = new ProjectRegistry(db, DEFAULTS);
+
+    expect(await registry.load()).toBe(true);
+    expect(db.transaction).toHaveBeenCalledTimes(1);
+    expect(db.table.size).toBe(3);
+    expect(registry.isPersistent()).toBe(true);
+  });
+
+  test('should replace the defaults with stored entries', async () => {
+    const db = createDb({ rows: [toRow({ id: 'Product - Beta', azureProject: 'Beta', enabled: true, priority: 1 })] });
+    const registry = new ProjectRegistry(db, DEFAULTS);
+
+    await registry.load();
+
+    expect(db.transaction).not.toHaveBeenCalled();
+    expect(registry.has('Product - Alpha')).toBe(false);
+    expect(registry.list().map(entry => entry.id)).toEqual(['Product - Beta']);
+  });
+
+  test('should key iteration rules by Azure project from the highest priority product', async () => {
+    const registry = new ProjectRegistry(createDb({ ready: false }), DEFAULTS);
+
+    const rules = registry.getIterationRulesByAzureProject();
+
+    expect(Object.keys(rules)).toEqual(['Alpha']);
+    expect(rules.Alpha.productId).toBe('Product - Alpha');
+    expect(rules.Alpha.pattern.exec('sprint 12')[1]).toBe('12');
+    expect(rules.Alpha.format).toBe('Sprint {n}');
+  });
+
+  test('should create, update and remove products', async () => {
+    const db = createDb();
+    const registry = new ProjectRegistry(db, DEFAULTS);
+    await registry.load();
+
+    const created = await registry.create(
+      { id: 'Product - Gamma', azureProject: 'Gamma', iterationPattern: '^Delivery (\\d+)' },
+      { updatedBy: 'admin@example.com' }
+    );
+    expect(created).toMatchObject({ id: 'Product - Gamma', enabled: true, priority: 100, updatedBy: 'admin@example.com' });
+    expect(registry.isEnabled('Product - Gamma')).toBe(true);
+
+    const updated = await registry.update('Product - Gamma', { enabled: false, teamName: 'Gamma Team' });
+    expect(updated).toMatchObject({ enabled: false, teamName: 'Gamma Team', azureProject: 'Gamma' });
+    expect(registry.getAzureProjects()).not.toContain('Gamma');
+
+    await registry.remove('Product - Gamma');
+    expect(registry.has('Product - Gamma')).toBe(false);
+    expect(db.table.has('Product - Gamma')).toBe(false);
+  });
+
+  test('should reject duplicates, unknown products and unusable iteration rules', async () => {
+    const registry = new ProjectRegistry(createDb(), DEFAULTS);
+    await registry.load();
+
+    await expect(registry.create({ id: 'Product - Alpha', azureProject: 'Alpha' }))
+      .rejects.toMatchObject({ code: 'PRODUCT_EXISTS', statusCode: 409 });
+    await expect(registry.update('Missing', { enabled: false }))
+      .rejects.toMatchObject({ code: 'PRODUCT_NOT_FOUND', statusCode: 404 });
+    await expect(registry.create({ id: 'Bad', azureProject: 'Bad', iterationPattern: '^Sprint (' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', statusCode: 400 });
+    await expect(registry.create({ id: 'Bad', azureProject: 'Bad', iterationPattern: '^Sprint \\d+' }))
+      .rejects.toThrow('must capture the iteration number');
+    await expect(registry.update('Product - Alpha', { iterationFormat: 'Sprint' }))
+      .rejects.toThrow('must contain {n}');
+  });
+
+  test('should pick up changes made by another instance once the copy is stale', async () => {
+    const db = createDb({ rows: [toRow({ id: 'Product - Beta', azureProject: 'Beta', priority: 1 })] });
+    const registry = new ProjectRegistry(db, DEFAULTS, { refreshTtlMs: 60 * 1000 });
+    await registry.load();
+    db.table.set('Product - Gamma', toRow({ id: 'Product - Gamma', azureProject: 'Gamma', priority: 2 }));
+
+    expect(registry.has('Product - Gamma')).toBe(false);
+    expect(db.query).toHaveBeenCalledTimes(1);
+
+    registry.loadedAt -= 60 * 1000;
+    expect(registry.has('Product - Gamma')).toBe(false);
+    await registry.refreshing;
+
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(registry.getAzureProject('Product - Gamma')).toBe('Gamma');
+  });
+
+  test('should keep the cached entries when a refresh fails', async () => {
+    const db = createDb({ rows: [toRow({ id: 'Product - Beta', azureProject: 'Beta', priority: 1 })] });
+    const registry = new ProjectRegistry(db, DEFAULTS, { refreshTtlMs: 0 });
+    await registry.load();
+    db.query.mockRejectedValueOnce(new Error('connection reset'));
+
+    await registry.refresh();
+
+    expect(registry.list().map(entry => entry.id)).toEqual(['Product - Beta']);
+  });
+});
@@ -0,0 +1,94 @@
+// Jest globals are available automatically
+const crypto = require('crypto');
+const { ReportArchiveStore } = require('../../src/services/reportArchiveStore');
+
+const createStore = (rows = []) => {
+  const db = {
+    isReady: () => true,
+    query: jest.fn(async (sql) => (sql.includes('COUNT(*)') ? { rows: [{ total: String(rows.length) }] } : { rows }))
+  };
+  return { store: new ReportArchiveStore(db), db };
+};
+
+const row = {
+  id: 'a1',
+  name: 'Individual Performance - dev@example.com',
+  report_type: 'individual',
+  format: 'pdf',
+  subject_user_id: 'dev@example.com',
+  period: 'sprint',
+  parameters: { period: 'sprint' },
+  file_name: 'ris-individual-dev-example.com-sprint-2026-03-02.pdf',
+  content_type: 'application/pdf',
+  size_bytes: 4,
+  checksum: 'ab'.repeat(32),
+  version: 3,
+  source: 'export',
+  is_official: true,
+  official_note: 'Q1 steering committee',
+  official_by: 'cto@example.com',
+  official_at: new Date('2026-03-03T10:00:00Z'),
+  created_at: new Date('2026-03-02T07:00:00Z')
+};
+
+describe('ReportArchiveStore', () => {
+  test('should store the file with its checksum and number versions of the same report', async () => {
+    const { store, db } = createStore([row]);
+    const content = Buffer.from('%PDF');
+
+    const entry = await store.save({
+      name: 'Individual Performance - dev@example.com',
+      reportType: 'individual',
+      format: 'pdf',
+      subjectUserId: 'Dev@Example.com',
+      period: 'sprint',
+      parameters: { period: 'sprint' },
+      fileName: row.file_name,
+      contentType: 'application/pdf',
+      content,
+      source: 'export',
+      generatedBy: 'lead@example.com'
+    });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('(SELECT COALESCE(MAX(version), 0) + 1 FROM report_archive WHERE series_key = $16)');
+    expect(params[9]).toBe('{"period":"sprint"}');
+    expect(params[14]).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+    expect(params[15]).toBe('individual|pdf||dev@example.com|sprint||');
+    expect(entry).toMatchObject({ version: 3, official: true, officialNote: 'Q1 steering committee', subjectUserId: 'dev@example.com' });
+  });
+
+  test('should number the entry again when a concurrent save took its version', async () => {
+    const { store, db } = createStore([row]);
+    const conflict = Object.assign(new Error('duplicate key value'), { code: '23505', constraint: 'idx_report_archive_series_version' });
+    db.query.mockRejectedValueOnce(conflict);
+    const entry = { name: 'Dashboard', reportType: 'dashboard', format: 'pdf', fileName: 'dashboard.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') };
+
+    await expect(store.save(entry)).resolves.toMatchObject({ version: 3 });
+    expect(db.query).toHaveBeenCalledTimes(2);
+
+    db.query.mockRejectedValue(conflict);
+    await expect(store.save(entry)).rejects.toBe(conflict);
+  });
+
+  test('should limit listings to visible report types and people', async () => {
+    const { store, db } = createStore();
+
+    await store.list({ reportTypes: ['dashboard', 'monthly'], subjects: ['dev@example.com'], officialOnly: true, limit: 10 });
+
+    const [countSql, countParams] = db.query.mock.calls[1];
+    expect(countSql).toContain('((subject_user_id IS NULL AND report_type = ANY($1)) OR LOWER(subject_user_id) = ANY($2))');
+    expect(countSql).toContain('is_official = true');
+    expect(countParams).toEqual([['dashboard', 'monthly'], ['dev@example.com']]);
+    expect(db.query.mock.calls[0][1].slice(-2)).toEqual([10, 0]);
+  });
+
+  test('should clear the pin details when a report is unpinned', async () => {
+    const { store, db } = createStore([{ ...row, is_official: false, official_note: null, official_by: null, official_at: null }]);
+
+    const entry = await store.setOfficial('a1', false, { note: 'ignored', actor: 'cto@example.com' });
+
+    expect(db.query.mock.calls[0][1]).toEqual(['a1', false, 'ignored', 'cto@example.com']);
+    expect(entry).toMatchObject({ official: false, officialBy: null, officialAt: null });
+  });
+});
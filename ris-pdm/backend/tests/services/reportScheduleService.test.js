@@ -0,0 +1,175 @@
+// Jest globals are available automatically
+const reportScheduleService = require('../../src/services/reportScheduleService');
+const { ReportScheduleService } = require('../../src/services/reportScheduleService');
+const { nextRun, validateCron } = require('../../src/utils/cronSchedule');
+const { collectGarbage } = require('../utils/collectGarbage');
+
+class FakeStore {
+  constructor(definitions) {
+    this.definitions = definitions;
+    this.runs = [];
+  }
+
+  isAvailable() { return true; }
+
+  async findDue(now) {
+    return this.definitions.filter(d => d.enabled && d.schedule && new Date(d.nextRunAt) <= now);
+  }
+
+  async claimRun(definition, nextRunAt) {
+    const stored = this.definitions.find(d => d.id === definition.id);
+    if (stored.nextRunAt !== definition.nextRunAt) return false;
+    stored.nextRunAt = nextRunAt ? nextRunAt.toISOString() : null;
+    return true;
+  }
+
+  async recordRun(id, status, error = null) {
+    this.runs.push({ id, status, error });
+  }
+}
+
+class FakeArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  async save(entry) {
+    const saved = { id: `a${this.entries.length + 1}`, ...entry, content: undefined, createdAt: '2026-03-02T07:00:00.000Z' };
+    this.entries.push({ ...entry, id: saved.id });
+    return saved;
+  }
+}
+
+const local = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('cronSchedule', () => {
+  test('should find the next matching minute', () => {
+    expect(nextRun('0 7 * * 1', local(2026, 3, 4, 12))).toEqual(local(2026, 3, 9, 7));
+    expect(nextRun('*/15 * * * *', local(2026, 3, 4, 12, 14))).toEqual(local(2026, 3, 4, 12, 15));
+    expect(nextRun('0 7 1 1,4,7,10 *', local(2026, 4, 1, 7))).toEqual(local(2026, 7, 1, 7));
+    expect(nextRun('@monthly', local(2026, 12, 31, 23, 59))).toEqual(local(2027, 1, 1));
+    expect(nextRun('0 0 29 2 *', local(2026, 3, 1))).toEqual(local(2028, 2, 29));
+  });
+
+  test('should fire on either day field when both are restricted', () => {
+    // The 15th or any Friday
+    expect(nextRun('0 9 15 * 5', local(2026, 3, 9))).toEqual(local(2026, 3, 13, 9));
+    expect(nextRun('0 9 15 * 5', local(2026, 3, 13, 10))).toEqual(local(2026, 3, 15, 9));
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(validateCron('0 7 * * 1')).toBeNull();
+    expect(validateCron('0 7 * *')).toMatch(/5 fields/);
+    expect(validateCron('60 7 * * 1')).toMatch(/minute/);
+    expect(validateCron('0 7 31 2 *')).toMatch(/never fires/);
+  });
+});
+
+describe('ReportScheduleService', () => {
+  let exportService;
+  let channels;
+  const services = [];
+
+  beforeEach(() => {
+    exportService = {
+      generateDashboardPDF: jest.fn().mockResolvedValue(Buffer.from('%PDF')),
+      generateDashboardExcel: jest.fn().mockResolvedValue(Buffer.from('xlsx')),
+      generateTeamDataExcel: jest.fn().mockResolvedValue(Buffer.from('team'))
+    };
+    channels = { isConfigured: () => true, send: jest.fn().mockResolvedValue() };
+  });
+
+  const createService = (store, archive) => {
+    const service = new ReportScheduleService({
+      store, archive, exportService, channels, dashboardUrl: 'https://dashboard.example.com'
+    });
+    services.push(service);
+    return service;
+  };
+
+  afterEach(() => {
+    services.splice(0).forEach(service => service.stop());
+    exportService = null;
+    channels = null;
+  });
+
+  afterAll(async () => {
+    reportScheduleService.stop();
+    await collectGarbage();
+  });
+
+  test('should render the report type, archive it and email the recipients', async () => {
+    const archive = new FakeArchive();
+    const service = createService(new FakeStore([]), archive);
+
+    const entry = await service.run({
+      name: 'DaaS monthly',
+      reportType: 'monthly',
+      format: 'pdf',
+      productId: 'Product - Data as a Service',
+      dateRange: 'last30',
+      delivery: 'email',
+      recipients: ['cto@example.com']
+    }, { user: { id: 'u1', email: 'po@example.com' }, now: new Date('2026-03-02T07:00:00Z') });
+
+    expect(exportService.generateDashboardPDF).toHaveBeenCalledWith(expect.objectContaining({
+      period: 'month',
+      startDate: '2026-01-31',
+      endDate: '2026-03-02',
+      productId: 'Product - Data as a Service'
+    }));
+    expect(archive.entries[0]).toMatchObject({
+      fileName: 'ris-monthly-Product---Data-as-a-Service-2026-03-02.pdf',
+      contentType: 'application/pdf',
+      source: 'manual',
+      generatedBy: 'po@example.com'
+    });
+    expect(entry.id).toBe('a1');
+
+    const [channel, recipient, message] = channels.send.mock.calls[0];
+    expect([channel, recipient]).toEqual(['email', 'cto@example.com']);
+    expect(message.attachments[0].filename).toBe('ris-monthly-Product---Data-as-a-Service-2026-03-02.pdf');
+    expect(message.link).toBe('https://dashboard.example.com/reports');
+  });
+
+  test('should always render department comparisons as team data Excel', async () => {
+    const archive = new FakeArchive();
+    const service = createService(new FakeStore([]), archive);
+
+    await service.run({ reportType: 'department', format: 'pdf', delivery: 'archive' }, { now: new Date('2026-03-02T07:00:00Z') });
+
+    expect(exportService.generateTeamDataExcel).toHaveBeenCalled();
+    expect(archive.entries[0]).toMatchObject({ format: 'excel', name: 'Department Comparison' });
+    expect(channels.send).not.toHaveBeenCalled();
+  });
+
+  test('should run due schedules once and move them to their next run', async () => {
+    const now = local(2026, 3, 9, 7);
+    const store = new FakeStore([
+      { id: 'd1', name: 'Weekly', reportType: 'quarterly', format: 'excel', schedule: '0 7 * * 1', delivery: 'archive', recipients: [], enabled: true, ownerId: 'u1', nextRunAt: now.toISOString() },
+      { id: 'd2', name: 'Later', reportType: 'annual', format: 'pdf', schedule: '0 7 1 * *', delivery: 'archive', recipients: [], enabled: true, ownerId: 'u1', nextRunAt: local(2026, 4, 1, 7).toISOString() }
+    ]);
+    const archive = new FakeArchive();
+    const service = createService(store, archive);
+
+    expect(await service.runDue(now)).toBe(1);
+    expect(await service.runDue(now)).toBe(0);
+
+    expect(exportService.generateDashboardExcel).toHaveBeenCalledTimes(1);
+    expect(archive.entries[0]).toMatchObject({ definitionId: 'd1', source: 'schedule' });
+    expect(store.definitions[0].nextRunAt).toBe(local(2026, 3, 16, 7).toISOString());
+    expect(store.runs).toEqual([{ id: 'd1', status: 'success', error: null }]);
+  });
+
+  test('should record failed runs', async () => {
+    const now = local(2026, 3, 9, 7);
+    const store = new FakeStore([
+      { id: 'd1', name: 'Weekly', reportType: 'monthly', format: 'pdf', schedule: '0 7 * * 1', delivery: 'archive', recipients: [], enabled: true, ownerId: 'u1', nextRunAt: now.toISOString() }
+    ]);
+    exportService.generateDashboardPDF.mockRejectedValue(new Error('Failed to generate dashboard PDF: timeout'));
+    const service = createService(store, new FakeArchive());
+
+    expect(await service.runDue(now)).toBe(0);
+    expect(store.runs).toEqual([{ id: 'd1', status: 'failed', error: 'Failed to generate dashboard PDF: timeout' }]);
+  });
+});
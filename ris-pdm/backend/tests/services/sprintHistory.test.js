@@ -0,0 +1,85 @@
+// Jest globals are available automatically
+const MetricsCalculatorService = require('../../src/services/metricsCalculator');
+
+const iteration = (id, name, startDate, finishDate) => ({
+  id,
+  name,
+  path: `Product - Data as a Service\\${name}`,
+  attributes: { startDate, finishDate }
+});
+
+describe('MetricsCalculatorService sprint history', () => {
+  let azureService;
+  let metricsCalculator;
+
+  beforeEach(() => {
+    azureService = {
+      project: 'Product - Data as a Service',
+      getIterations: jest.fn().mockResolvedValue({
+        iterations: [
+          iteration('i10', 'Delivery 10', '2025-06-02T00:00:00Z', '2025-06-13T00:00:00Z'),
+          iteration('i11', 'Delivery 11', '2025-06-16T00:00:00Z', '2025-06-27T00:00:00Z'),
+          iteration('i12', 'Delivery 12', '2099-01-05T00:00:00Z', '2099-01-16T00:00:00Z')
+        ]
+      })
+    };
+    metricsCalculator = new MetricsCalculatorService(azureService);
+    metricsCalculator.getWorkItemsForProduct = jest.fn().mockImplementation(async (productId, { sprintId }) => {
+      if (sprintId === 'Delivery 10') {
+        return [
+          { id: 1, state: 'Closed', storyPoints: 5, closedDate: '2025-06-13T16:00:00Z' },
+          { id: 2, state: 'Active', storyPoints: 3 },
+          { id: 3, state: 'Removed', storyPoints: 8 }
+        ];
+      }
+      return [
+        { id: 4, state: 'Done', storyPoints: 8, closedDate: '2025-06-20T10:00:00Z' },
+        { id: 5, state: 'Closed', storyPoints: 2, closedDate: '2025-07-02T10:00:00Z' }
+      ];
+    });
+  });
+
+  test('should return past iterations from Azure DevOps, most recent first', async () => {
+    const sprints = await metricsCalculator.getHistoricalSprints(6, 'Product - Data as a Service');
+
+    expect(azureService.getIterations).toHaveBeenCalledWith(
+      'Product - Data as a Service Team',
+      'past',
+      'Product - Data as a Service'
+    );
+    expect(sprints.map(s => s.name)).toEqual(['Delivery 11', 'Delivery 10']);
+    expect(sprints[0]).toMatchObject({ id: 'i11', number: 11, endDate: '2025-06-27T00:00:00Z' });
+  });
+
+  test('should count work closed on the last sprint day as completed', async () => {
+    const [, delivery10] = await metricsCalculator.getHistoricalSprints(6, 'Product - Data as a Service');
+    const commitment = await metricsCalculator.getSprintCommitment(delivery10, 'Product - Data as a Service');
+
+    expect(commitment).toMatchObject({
+      storyPoints: 8,
+      tasks: 2,
+      completedStoryPoints: 5,
+      completedTasks: 1,
+      completionRate: 62.5
+    });
+  });
+
+  test('should build the velocity trend from committed vs completed work', async () => {
+    const trend = await metricsCalculator.calculateVelocityTrend({ range: 6, productId: 'Product - Data as a Service' });
+
+    expect(trend.map(t => t.sprint)).toEqual(['Delivery 10', 'Delivery 11']);
+    // Item 5 closed after Delivery 11 ended, so it is committed but not completed
+    expect(trend[1]).toMatchObject({ commitment: 10, velocity: 8, completed: 8 });
+  });
+
+  test('should summarise historical predictability', async () => {
+    const trends = await metricsCalculator.calculateHistoricalTrends({
+      metric: 'predictability',
+      range: 6,
+      productId: 'Product - Data as a Service'
+    });
+
+    expect(trends.data.map(p => p.value)).toEqual([62.5, 80]);
+    expect(trends.summary).toMatchObject({ current: 80, trend: 'increasing' });
+  });
+});
@@ -0,0 +1,87 @@
+// Jest globals are available automatically
+const MetricsCalculatorService = require('../../src/services/metricsCalculator');
+const requestContext = require('../../utils/requestContext');
+
+const items = [
+  { id: 1, type: 'User Story', areaPath: 'Product\\Mobile', changedDate: '2025-01-10' },
+  { id: 2, type: 'Bug', areaPath: 'Product\\Mobile\\iOS', changedDate: '2025-01-12' },
+  { id: 3, type: 'Task', areaPath: 'Product\\Web', changedDate: '2025-01-14' },
+  { id: 4, type: 'Epic', areaPath: 'Product\\Mobile', changedDate: '2025-01-16' },
+  { id: 5, type: 'Feature', areaPath: 'Product\\Mobile', changedDate: '2024-12-20' }
+];
+
+// Same filtering as the WIQL query and the work_items SQL
+const matches = ({ areaPath, workItemTypes, startDate, endDate }) => item =>
+  (!areaPath || item.areaPath === areaPath || item.areaPath.startsWith(`${areaPath}\\`)) &&
+  (!workItemTypes || workItemTypes.includes(item.type)) &&
+  (!startDate || item.changedDate >= startDate) &&
+  (!endDate || item.changedDate <= endDate);
+
+describe('MetricsCalculatorService stored work items', () => {
+  const period = { startDate: '2025-01-01', endDate: '2025-01-31', productId: 'Product\\Mobile' };
+  let azureService;
+  let workItemStore;
+  let metricsCalculator;
+
+  beforeEach(() => {
+    azureService = {
+      project: 'Test Project',
+      getWorkItems: jest.fn(async (options) => ({
+        workItems: items
+          .filter(matches({ ...period, areaPath: options.areaPath, workItemTypes: options.workItemTypes }))
+          .map(({ id }) => ({ id }))
+      })),
+      getWorkItemDetails: jest.fn(async (ids) => ({
+        workItems: items.filter(item => ids.includes(item.id))
+      }))
+    };
+    workItemStore = {
+      isAvailable: jest.fn().mockReturnValue(true),
+      getLastChangedDate: jest.fn().mockResolvedValue(new Date('2025-02-01')),
+      getWorkItems: jest.fn(async (projectName, filters) => items.filter(matches(filters)))
+    };
+    metricsCalculator = new MetricsCalculatorService(azureService);
+    metricsCalculator.workItemStore = workItemStore;
+  });
+
+  afterEach(() => {
+    requestContext.setAzureIdentityResolver(null);
+  });
+
+  test('should read the same work items for a period from the store as from Azure DevOps', async () => {
+    workItemStore.isAvailable.mockReturnValue(false);
+    const fromAzure = await metricsCalculator.getWorkItemsForPeriod(period);
+
+    const query = azureService.getWorkItems.mock.calls[0][0].customQuery;
+    expect(query).toContain("[System.AreaPath] UNDER 'Product\\Mobile'");
+    expect(query).toContain("[System.WorkItemType] IN ('Task', 'Bug', 'User Story', 'Feature')");
+
+    workItemStore.isAvailable.mockReturnValue(true);
+    const fromStore = await metricsCalculator.getWorkItemsForPeriod(period);
+
+    expect(workItemStore.getWorkItems).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      areaPath: 'Product\\Mobile',
+      workItemTypes: ['Task', 'Bug', 'User Story', 'Feature']
+    }));
+    expect(fromStore.map(item => item.id)).toEqual([1, 2]);
+    expect(fromAzure.map(item => item.id)).toEqual(fromStore.map(item => item.id));
+  });
+
+  test('should not filter by area for all projects', async () => {
+    await metricsCalculator.getWorkItemsForPeriod({ ...period, productId: 'all-projects' });
+
+    expect(workItemStore.getWorkItems).toHaveBeenCalledWith('Test Project', expect.objectContaining({ areaPath: null }));
+  });
+
+  test('should read from Azure DevOps for callers using their own Azure DevOps identity', async () => {
+    requestContext.setAzureIdentityResolver(async (userId) => userId);
+
+    const result = await requestContext.runForUser({ id: 'oauth-user' }, () =>
+      metricsCalculator.getWorkItemsForPeriod(period)
+    );
+
+    expect(workItemStore.getWorkItems).not.toHaveBeenCalled();
+    expect(azureService.getWorkItems).toHaveBeenCalled();
+    expect(result.map(item => item.id)).toEqual([1, 2]);
+  });
+});
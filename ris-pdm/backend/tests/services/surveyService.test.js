@@ -0,0 +1,109 @@
+// Jest globals are available automatically
+const { SurveyService, scoreCounts, summarizeSatisfaction, DEFAULT_QUESTIONS } = require('../../src/services/surveyService');
+
+const surveyRow = (overrides = {}) => ({
+  id: 'survey-1',
+  product_id: 'Product - Alpha',
+  delivery: 'Delivery 12',
+  title: 'Delivery 12 stakeholder survey',
+  questions: DEFAULT_QUESTIONS,
+  share_token: 'token-abcdefghijklmnop',
+  status: 'open',
+  closes_at: null,
+  ...overrides
+});
+
+const createDb = (row) => ({
+  isReady: () => true,
+  query: jest.fn(async (sql) => (sql.startsWith('SELECT') ? { rows: row ? [row] : [] } : { rows: [] }))
+});
+
+describe('SurveyService', () => {
+  test('should score CSAT, satisfied share and NPS from answer counts', () => {
+    const scores = scoreCounts({
+      responses: 4,
+      csatTotal: 17,
+      csatCount: 4,
+      csatSatisfied: 3,
+      promoters: 2,
+      detractors: 1,
+      npsCount: 4
+    });
+
+    expect(scores).toEqual({ responses: 4, csat: 4.25, csatPercent: 75, nps: 25 });
+    expect(scoreCounts({ responses: 0 })).toEqual({ responses: 0, csat: null, csatPercent: null, nps: null });
+  });
+
+  test('should summarize the latest delivery against the previous one', () => {
+    const summary = summarizeSatisfaction([
+      { delivery: 'Delivery 10', responses: 5, csat: 4, nps: 20 },
+      { delivery: 'Delivery 11', responses: 0, csat: null, nps: null },
+      { delivery: 'Delivery 12', responses: 3, csat: 4.4, nps: 33 }
+    ]);
+
+    expect(summary).toMatchObject({
+      value: 4.4,
+      nps: 33,
+      trend: 10,
+      trendValue: '+10.0%',
+      responses: 3,
+      delivery: 'Delivery 12',
+      status: 'real'
+    });
+    expect(summary.history.map(entry => entry.delivery)).toEqual(['Delivery 10', 'Delivery 12']);
+    expect(summarizeSatisfaction([]).status).toBe('no_data');
+  });
+
+  test('should default questions and reject unusable ones', () => {
+    const service = new SurveyService(createDb());
+
+    expect(service.normalizeQuestions(undefined).map(question => question.type)).toEqual(['csat', 'nps', 'text']);
+    expect(() => service.normalizeQuestions([{ type: 'stars', text: 'Rate us' }])).toThrow('csat, nps or text');
+    expect(() => service.normalizeQuestions([{ type: 'text', text: 'Anything else?' }])).toThrow('at least one csat or nps');
+    expect(() => service.normalizeQuestions([
+      { id: 'a', type: 'csat', text: 'One' },
+      { id: 'a', type: 'nps', text: 'Two' }
+    ])).toThrow('used twice');
+  });
+
+  test('should store validated answers with the response CSAT and NPS', async () => {
+    const db = createDb(surveyRow());
+    const service = new SurveyService(db);
+
+    const result = await service.submitResponse('token-abcdefghijklmnop', {
+      answers: { csat: '4', nps: 9, comment: '  Great demo  ', ignored: 'x' },
+      email: 'Stakeholder@Example.com'
+    });
+
+    expect(result).toEqual({ csat: 4, nps: 9 });
+    const [, params] = db.query.mock.calls[1];
+    expect(params[2]).toBe('stakeholder@example.com');
+    expect(JSON.parse(params[3])).toEqual({ csat: 4, nps: 9, comment: 'Great demo' });
+  });
+
+  test('should keep every submission instead of matching responses by email', async () => {
+    const db = createDb(surveyRow());
+    const service = new SurveyService(db);
+
+    await service.submitResponse('token-abcdefghijklmnop', { answers: { csat: 5, nps: 10 }, email: 'cfo@example.com' });
+    await service.submitResponse('token-abcdefghijklmnop', { answers: { csat: 1, nps: 0 }, email: 'cfo@example.com' });
+
+    const inserts = db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO survey_responses'));
+    expect(inserts).toHaveLength(2);
+    inserts.forEach(([sql]) => expect(sql).not.toContain('ON CONFLICT'));
+  });
+
+  test('should refuse out-of-range answers and closed surveys', async () => {
+    const open = new SurveyService(createDb(surveyRow()));
+    await expect(open.submitResponse('token-abcdefghijklmnop', { answers: { csat: 6, nps: 9 } }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR', statusCode: 400 });
+
+    const expired = new SurveyService(createDb(surveyRow({ closes_at: '2000-01-01T00:00:00Z' })));
+    await expect(expired.submitResponse('token-abcdefghijklmnop', { answers: { csat: 5, nps: 10 } }))
+      .rejects.toMatchObject({ code: 'SURVEY_CLOSED', statusCode: 409 });
+
+    const missing = new SurveyService(createDb(null));
+    await expect(missing.getPublicSurvey('unknown-token-123456'))
+      .rejects.toMatchObject({ code: 'SURVEY_NOT_FOUND', statusCode: 404 });
+  });
+});
@@ -0,0 +1,74 @@
+// Jest globals are available automatically
+const { UserPreferenceService, DEFAULT_PREFERENCES } = require('../../src/services/userPreferenceService');
+
+class FakeStore {
+  constructor(available = true) {
+    this.available = available;
+    this.saved = new Map();
+  }
+
+  isAvailable() { return this.available; }
+
+  async get(userId) {
+    return this.saved.has(userId) ? { preferences: this.saved.get(userId), updatedAt: null } : null;
+  }
+
+  async save(user, preferences) {
+    this.saved.set(user.id, JSON.parse(JSON.stringify(preferences)));
+    return { preferences: this.saved.get(user.id), updatedAt: new Date().toISOString() };
+  }
+}
+
+const user = { id: 'pm-id', email: 'pm@example.com' };
+
+describe('UserPreferenceService', () => {
+  test('should keep saved preferences and fill in the rest with defaults', async () => {
+    const store = new FakeStore();
+    const service = new UserPreferenceService({ store });
+
+    await expect(service.get(user)).resolves.toEqual(DEFAULT_PREFERENCES);
+
+    await service.update(user, { defaultProductId: 'Product - Data as a Service' });
+    const preferences = await service.update(user, {
+      defaultSprintMode: 'all-sprints',
+      dashboardLayout: { widgets: ['kpis', 'burndown', 'kpis', 'retired'] }
+    });
+
+    expect(preferences).toMatchObject({
+      defaultProductId: 'Product - Data as a Service',
+      defaultSprintMode: 'all-sprints',
+      dashboardLayout: { widgets: [{ id: 'kpis', width: 12 }, { id: 'burndown', width: 6 }] },
+      theme: 'light'
+    });
+    await expect(service.get(user)).resolves.toEqual(preferences);
+  });
+
+  test('should replace saved views and reject duplicate names', async () => {
+    const store = new FakeStore();
+    const service = new UserPreferenceService({ store });
+
+    const preferences = await service.update(user, {
+      savedViews: [{ name: ' DaaS delivery 11 ', productId: 'Product - Data as a Service', sprintId: 'delivery-11', startDate: '' }]
+    });
+    expect(preferences.savedViews).toEqual([{
+      name: 'DaaS delivery 11',
+      productId: 'Product - Data as a Service',
+      sprintId: 'delivery-11',
+      startDate: null,
+      endDate: null,
+      widgets: null
+    }]);
+
+    await expect(service.update(user, {
+      savedViews: [{ name: 'Bugs' }, { name: 'bugs', widgets: ['taskDistribution'] }]
+    })).rejects.toMatchObject({ code: 'DUPLICATE_VIEW_NAME', statusCode: 400 });
+    expect((await service.get(user)).savedViews).toHaveLength(1);
+  });
+
+  test('should serve defaults without a database but refuse to save', async () => {
+    const service = new UserPreferenceService({ store: new FakeStore(false) });
+
+    await expect(service.get(user)).resolves.toEqual(DEFAULT_PREFERENCES);
+    await expect(service.update(user, { theme: 'dark' })).rejects.toMatchObject({ code: 'STORE_UNAVAILABLE', statusCode: 503 });
+  });
+});
@@ -0,0 +1,112 @@
+// Jest globals are available automatically
+const WebhookEventQueue = require('../../src/services/webhookEventQueue');
+
+// In-memory stand-in for a bull queue: jobs by id plus the 'failed' listener
+class FakeQueue {
+  constructor(name) {
+    this.name = name;
+    this.jobs = new Map();
+    this.listeners = {};
+    this.client = { status: 'ready' };
+  }
+
+  on(event, listener) {
+    this.listeners[event] = listener;
+  }
+
+  process(concurrency, handler) {
+    this.handler = handler;
+  }
+
+  async add(data, opts = {}) {
+    const job = {
+      id: opts.jobId,
+      data,
+      opts,
+      attemptsMade: 0,
+      remove: jest.fn(async () => this.jobs.delete(opts.jobId))
+    };
+    this.jobs.set(opts.jobId, job);
+    return job;
+  }
+
+  async getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async getWaiting() {
+    return [...this.jobs.values()];
+  }
+}
+
+const createQueue = () => {
+  const queue = new WebhookEventQueue({ redisUrl: 'redis://test', Queue: FakeQueue });
+  queue.start(jest.fn(), { attempts: 3, backoffDelay: 500 });
+  return queue;
+};
+
+const event = { id: 'evt-1', eventType: 'workitem.updated', resource: { id: 42 }, receivedAt: 1700000000000 };
+
+// Simulate bull giving up on a job after its last attempt
+const exhaust = async (queue, id) => {
+  const job = queue.queue.jobs.get(id);
+  job.attemptsMade = job.opts.attempts;
+  queue.queue.listeners.failed(job, new Error('Azure DevOps timed out'));
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+describe('WebhookEventQueue', () => {
+  test('should queue events with exponential backoff keyed by event id', async () => {
+    const queue = createQueue();
+
+    expect(await queue.enqueue(event)).toEqual({ queued: true, duplicate: false });
+
+    const job = queue.queue.jobs.get('evt-1');
+    expect(job.opts).toMatchObject({ jobId: 'evt-1', attempts: 3, backoff: { type: 'exponential', delay: 500 } });
+  });
+
+  test('should ignore an event id it has already received', async () => {
+    const queue = createQueue();
+    await queue.enqueue(event);
+
+    expect(await queue.enqueue({ ...event })).toEqual({ queued: false, duplicate: true });
+    expect(queue.queue.jobs.size).toBe(1);
+  });
+
+  test('should dead-letter an event only after its last attempt', async () => {
+    const queue = createQueue();
+    await queue.enqueue(event);
+    const job = queue.queue.jobs.get('evt-1');
+
+    job.attemptsMade = 1;
+    queue.queue.listeners.failed(job, new Error('temporary'));
+    expect(queue.deadLetterQueue.jobs.size).toBe(0);
+
+    await exhaust(queue, 'evt-1');
+
+    expect(queue.queue.jobs.size).toBe(0);
+    expect(await queue.listDeadLetters()).toEqual([expect.objectContaining({
+      eventId: 'evt-1',
+      eventType: 'workitem.updated',
+      workItemId: 42,
+      failedReason: 'Azure DevOps timed out',
+      attemptsMade: 3
+    })]);
+  });
+
+  test('should replay dead-lettered events onto the queue', async () => {
+    const queue = createQueue();
+    await queue.enqueue(event);
+    await queue.enqueue({ ...event, id: 'evt-2' });
+    await exhaust(queue, 'evt-1');
+    await exhaust(queue, 'evt-2');
+
+    expect(await queue.replay('missing')).toBe(false);
+    expect(await queue.replay('evt-1')).toBe(true);
+    expect(queue.queue.jobs.get('evt-1').data).toEqual(event);
+
+    expect(await queue.replayAll()).toBe(1);
+    expect(queue.deadLetterQueue.jobs.size).toBe(0);
+    expect([...queue.queue.jobs.keys()]).toEqual(['evt-1', 'evt-2']);
+  });
+});
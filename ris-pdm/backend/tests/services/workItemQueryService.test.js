@@ -0,0 +1,74 @@
+// Jest globals are available automatically
+const WorkItemQueryService = require('../../src/services/workItemQueryService');
+
+const registry = {
+  getAzureProject: (id) => (id === 'Product - Data as a Service' ? 'DaaS' : null),
+  getTeamName: () => 'DaaS Team'
+};
+
+const createService = (ids) => {
+  const azureService = {
+    project: 'PMP',
+    iterationResolver: { resolveIteration: jest.fn().mockResolvedValue('DaaS\\Sprint 12') },
+    getWorkItems: jest.fn().mockResolvedValue({ workItems: ids.map(id => ({ id })) }),
+    // Details come back in id batches, not in query order
+    getWorkItemDetails: jest.fn(async (requested) => ({
+      workItems: [...requested].sort((a, b) => a - b).map(id => ({ id, title: `Item ${id}` }))
+    }))
+  };
+  return { service: new WorkItemQueryService(azureService, registry), azureService };
+};
+
+describe('WorkItemQueryService', () => {
+  test('should build WIQL from the filters with escaped values and a stable order', () => {
+    const { service } = createService([]);
+
+    const wiql = service.buildQuery({
+      types: ['Bug'],
+      states: ['Active', 'Resolved'],
+      assignedTo: 'dev@example.com',
+      iterationPath: 'DaaS\\Sprint 12',
+      priority: '1',
+      search: "user's login",
+      sort: 'priority',
+      order: 'asc'
+    }, { projectName: 'DaaS', asOf: '2026-03-02T07:00:00.000Z' });
+
+    expect(wiql).toBe(
+      "SELECT [System.Id] FROM WorkItems WHERE [System.TeamProject] = 'DaaS' AND [System.WorkItemType] IN ('Bug') " +
+      "AND [System.State] IN ('Active', 'Resolved') AND [System.AssignedTo] = 'dev@example.com' " +
+      "AND [System.IterationPath] UNDER 'DaaS\\Sprint 12' AND [Microsoft.VSTS.Common.Priority] = 1 " +
+      "AND [System.Title] CONTAINS 'user''s login' " +
+      "ORDER BY [Microsoft.VSTS.Common.Priority] ASC, [System.Id] ASC ASOF '2026-03-02T07:00:00.000Z'"
+    );
+  });
+
+  test('should page through the same snapshot in query order', async () => {
+    const { service, azureService } = createService([30, 4, 210, 17, 5]);
+    const filters = { productId: 'Product - Data as a Service', iteration: 'current' };
+
+    const first = await service.query(filters, { limit: 3 });
+    expect(first.workItems.map(item => item.id)).toEqual([30, 4, 210]);
+    expect(first.pagination).toMatchObject({ total: 5, hasMore: true, limit: 3 });
+    expect(azureService.iterationResolver.resolveIteration).toHaveBeenCalledWith('DaaS', 'current', 'DaaS Team');
+
+    const second = await service.query(filters, { limit: 3, cursor: first.pagination.nextCursor });
+    expect(second.workItems.map(item => item.id)).toEqual([17, 5]);
+    expect(second.pagination).toMatchObject({ hasMore: false, nextCursor: null, asOf: first.pagination.asOf });
+
+    const [firstQuery, secondQuery] = azureService.getWorkItems.mock.calls.map(([options]) => options.customQuery);
+    expect(secondQuery).toBe(firstQuery);
+    expect(azureService.getWorkItems).toHaveBeenCalledWith(expect.objectContaining({ maxResults: 20000, top: 20000 }));
+    expect(firstQuery).toContain(`ASOF '${first.pagination.asOf}'`);
+  });
+
+  test('should reject a cursor from a query with other filters', async () => {
+    const { service } = createService([1, 2, 3]);
+    const first = await service.query({ states: ['Active'] }, { limit: 1 });
+
+    await expect(service.query({ states: ['Closed'] }, { cursor: first.pagination.nextCursor }))
+      .rejects.toMatchObject({ code: 'INVALID_CURSOR', statusCode: 400 });
+    await expect(service.query({}, { cursor: 'not-a-cursor' }))
+      .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+  });
+});
@@ -0,0 +1,119 @@
+// Jest globals are available automatically
+const WorkItemSyncService = require('../../src/services/workItemSyncService');
+
+describe('WorkItemSyncService', () => {
+  let azureService;
+  let store;
+  let service;
+
+  beforeEach(() => {
+    azureService = {
+      getWorkItems: jest.fn(),
+      getWorkItemDetails: jest.fn()
+    };
+    store = {
+      isAvailable: jest.fn().mockReturnValue(true),
+      getLastChangedDate: jest.fn().mockResolvedValue(null),
+      upsertWorkItems: jest.fn().mockImplementation(async (project, items) => items.length),
+      removeWorkItems: jest.fn().mockImplementation(async (project, ids) => ids.length),
+      getWorkItemIds: jest.fn().mockResolvedValue([]),
+      getStats: jest.fn().mockResolvedValue([])
+    };
+    service = new WorkItemSyncService(azureService, store);
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.clearAllMocks();
+  });
+
+  test('should do a full load when the project has never been synced', async () => {
+    azureService.getWorkItems.mockResolvedValue({ workItems: [{ id: 1 }, { id: 2 }] });
+    azureService.getWorkItemDetails.mockResolvedValue({
+      workItems: [
+        { id: 1, title: 'Story', state: 'Active' },
+        { id: 2, title: 'Bug', state: 'Closed' }
+      ]
+    });
+
+    const result = await service.syncProject('Product - Data as a Service');
+
+    const query = azureService.getWorkItems.mock.calls[0][0].customQuery;
+    expect(query).toContain("[System.State] <> 'Removed'");
+    expect(query).not.toContain('[System.ChangedDate] >=');
+    expect(azureService.getWorkItemDetails).toHaveBeenCalledWith([1, 2], null, 'Product - Data as a Service');
+    expect(result).toMatchObject({ success: true, mode: 'full', stored: 2, removed: 0 });
+  });
+
+  test('should drop cached items a full sync no longer returns', async () => {
+    store.getWorkItemIds.mockResolvedValue([1, 7, 8]);
+    azureService.getWorkItems.mockResolvedValue({ workItems: [{ id: 1 }], totalCount: 1 });
+    azureService.getWorkItemDetails.mockResolvedValue({ workItems: [{ id: 1, title: 'Story', state: 'Active' }] });
+
+    const result = await service.syncProject('Product - Data as a Service', { full: true });
+
+    expect(store.removeWorkItems).toHaveBeenCalledWith('Product - Data as a Service', [7, 8]);
+    expect(result).toMatchObject({ mode: 'full', stored: 1, removed: 2 });
+  });
+
+  test('should keep cached items when a full sync result was cut short', async () => {
+    store.getWorkItemIds.mockResolvedValue([1, 7]);
+    azureService.getWorkItems.mockResolvedValue({ workItems: [{ id: 1 }], totalCount: 25000 });
+    azureService.getWorkItemDetails.mockResolvedValue({ workItems: [{ id: 1, title: 'Story', state: 'Active' }] });
+
+    const result = await service.syncProject('Product - Data as a Service', { full: true });
+
+    expect(store.getWorkItemIds).not.toHaveBeenCalled();
+    expect(result.removed).toBe(0);
+  });
+
+  test('should only fetch changed items after the stored watermark', async () => {
+    store.getLastChangedDate.mockResolvedValue(new Date('2025-03-10T08:30:00Z'));
+    azureService.getWorkItems.mockResolvedValue({ workItems: [{ id: 3 }, { id: 4 }] });
+    azureService.getWorkItemDetails.mockResolvedValue({
+      workItems: [
+        { id: 3, title: 'Task', state: 'Active' },
+        { id: 4, title: 'Old task', state: 'Removed' }
+      ]
+    });
+
+    const result = await service.syncProject('Product - Data as a Service');
+
+    const query = azureService.getWorkItems.mock.calls[0][0].customQuery;
+    expect(query).toContain("[System.ChangedDate] >= '2025-03-10'");
+    expect(store.upsertWorkItems).toHaveBeenCalledWith('Product - Data as a Service', [{ id: 3, title: 'Task', state: 'Active' }]);
+    expect(store.removeWorkItems).toHaveBeenCalledWith('Product - Data as a Service', [4]);
+    expect(result).toMatchObject({ mode: 'incremental', stored: 1, removed: 1 });
+    expect(store.getWorkItemIds).not.toHaveBeenCalled();
+  });
+
+  test('should skip detail fetch when nothing changed', async () => {
+    store.getLastChangedDate.mockResolvedValue(new Date());
+    azureService.getWorkItems.mockResolvedValue({ workItems: [] });
+
+    const result = await service.syncProject('Product - Partner Management Platform');
+
+    expect(azureService.getWorkItemDetails).not.toHaveBeenCalled();
+    expect(result.fetched).toBe(0);
+  });
+
+  test('should keep syncing other projects when one fails', async () => {
+    azureService.getWorkItems
+      .mockRejectedValueOnce(new Error('TF400813: not authorized'))
+      .mockResolvedValue({ workItems: [] });
+
+    const results = await service.syncAll();
+
+    expect(results.length).toBeGreaterThan(1);
+    expect(results[0]).toMatchObject({ success: false, error: 'TF400813: not authorized' });
+    expect(results.slice(1).every(r => r.success)).toBe(true);
+  });
+
+  test('should not start the job when the store is unavailable', () => {
+    store.isAvailable.mockReturnValue(false);
+
+    service.start();
+
+    expect(service.interval).toBeNull();
+  });
+});
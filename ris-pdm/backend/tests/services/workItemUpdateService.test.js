@@ -0,0 +1,81 @@
+// Jest globals are available automatically
+const WorkItemUpdateService = require('../../src/services/workItemUpdateService');
+
+const registry = {
+  getAzureProject: (id) => (id === 'Product - Data as a Service' ? 'DaaS' : null)
+};
+
+const createService = (items = []) => {
+  const azureService = {
+    project: 'PMP',
+    clearWorkItemCaches: jest.fn().mockResolvedValue(),
+    getWorkItemDetails: jest.fn(async (ids) => ({ workItems: items.filter(item => ids.includes(item.id)) })),
+    updateWorkItem: jest.fn(async (id, updates) => ({ id, rev: 8, state: 'Active', fields: {}, ...updates })),
+    addWorkItemComment: jest.fn().mockResolvedValue({ commentId: 1 })
+  };
+  return { service: new WorkItemUpdateService(azureService, registry), azureService };
+};
+
+const conflict = () => Object.assign(new Error('Failed to update work item 42: Azure DevOps API error: 412'), {
+  code: 'REVISION_CONFLICT'
+});
+
+describe('WorkItemUpdateService', () => {
+  test('should update editable fields at the given revision and report conflicts with the current item', async () => {
+    const { service, azureService } = createService([{ id: 42, rev: 9, title: 'Login fails', state: 'Resolved' }]);
+
+    await service.update(42, { state: 'Active', priority: 1, description: 'ignored' }, {
+      rev: 7,
+      productId: 'Product - Data as a Service',
+      comment: 'Reopened in triage'
+    });
+    expect(azureService.updateWorkItem).toHaveBeenCalledWith(42, { state: 'Active', priority: 1 }, 'DaaS', { rev: 7 });
+    expect(azureService.addWorkItemComment).toHaveBeenCalledWith(42, 'Reopened in triage', 'DaaS');
+
+    azureService.updateWorkItem.mockRejectedValueOnce(conflict());
+    await expect(service.update(42, { state: 'Closed' }, { rev: 7 })).rejects.toMatchObject({
+      code: 'REVISION_CONFLICT',
+      statusCode: 409,
+      current: { id: 42, rev: 9, state: 'Resolved' }
+    });
+
+    await expect(service.update(42, { description: 'only this' }, { rev: 9 }))
+      .rejects.toMatchObject({ code: 'NO_CHANGES', statusCode: 400 });
+  });
+
+  test('should retag from the current tags and report each item separately', async () => {
+    const { service, azureService } = createService([
+      { id: 1, rev: 3, tags: ['Triage', 'ui'] },
+      { id: 2, rev: 5, tags: [] }
+    ]);
+    azureService.updateWorkItem.mockImplementation(async (id, updates) => {
+      if (id === 2) throw conflict();
+      return { id, rev: 4, ...updates };
+    });
+
+    const result = await service.bulkUpdate([1, 2, 3, 1], { type: 'retag', addTags: ['UI', 'sprint-12'], removeTags: ['triage'] });
+
+    expect(azureService.updateWorkItem).toHaveBeenCalledWith(1, { tags: ['ui', 'sprint-12'] }, 'PMP', { rev: 3 });
+    expect(azureService.updateWorkItem).toHaveBeenCalledWith(2, { tags: ['UI', 'sprint-12'] }, 'PMP', { rev: 5 });
+    expect(result.results).toEqual([
+      expect.objectContaining({ id: 1, status: 'updated', workItem: expect.objectContaining({ tags: ['ui', 'sprint-12'] }) }),
+      expect.objectContaining({ id: 2, status: 'failed', code: 'REVISION_CONFLICT' }),
+      expect.objectContaining({ id: 3, status: 'failed', code: 'WORK_ITEM_NOT_FOUND' })
+    ]);
+    expect(result.summary).toEqual({ requested: 3, updated: 1, failed: 2 });
+  });
+
+  test('should apply the same change to every item for the other actions', async () => {
+    const { service, azureService } = createService();
+
+    const result = await service.bulkUpdate([5, 6], { type: 'move', iterationPath: 'PMP\\Sprint 13' }, { comment: 'Carried over' });
+
+    expect(azureService.updateWorkItem.mock.calls).toEqual([
+      [5, { iterationPath: 'PMP\\Sprint 13' }, 'PMP', { rev: undefined }],
+      [6, { iterationPath: 'PMP\\Sprint 13' }, 'PMP', { rev: undefined }]
+    ]);
+    expect(azureService.addWorkItemComment).toHaveBeenCalledTimes(2);
+    expect(result.summary.updated).toBe(2);
+    await expect(service.bulkUpdate([5], { type: 'delete' })).rejects.toMatchObject({ code: 'INVALID_ACTION' });
+  });
+});
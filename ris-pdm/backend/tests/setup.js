@@ -58,4 +58,5 @@ process.env.AZURE_DEVOPS_PROJECT = 'test-project';
 process.env.AZURE_DEVOPS_PAT = 'test-pat-token';
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.REDIS_URL = 'redis://localhost:6379';
+process.env.WEBHOOK_QUEUE_MODE = 'memory';
 process.env.PORT = '3001';
\ No newline at end of file
@@ -0,0 +1,20 @@
+const v8 = require('v8');
+const vm = require('vm');
+
+/**
+ * Run a few full garbage collections. V8 keeps objects used by optimised code alive for a couple
+ * of collections after their last use, so a suite whose test code got hot can still be holding
+ * its own context when detectLeaks runs its single collection. Calling this from afterAll lets
+ * that check see only references the suite really left behind.
+ */
+const collectGarbage = async () => {
+  v8.setFlagsFromString('--expose-gc');
+  const gc = vm.runInNewContext('gc');
+  v8.setFlagsFromString('--no-expose-gc');
+  for (let i = 0; i < 3; i++) {
+    gc();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+module.exports = { collectGarbage };
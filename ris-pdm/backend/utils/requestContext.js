@@ -0,0 +1,86 @@
+/**
+ * Request Context
+ * Carries the authenticated caller through async calls so services deep in the
+ * stack (Azure DevOps client, caches) can act as that caller without every
+ * method taking a user argument.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+const storage = new AsyncLocalStorage();
+
+// Resolves a user id to the id whose Azure DevOps tokens should be used, or null for the service identity
+let azureIdentityResolver = null;
+
+/**
+ * Register how to decide whether a user calls Azure DevOps under their own identity
+ * @param {Function|null} resolver - async (userId) => userId | null
+ */
+function setAzureIdentityResolver(resolver) {
+  azureIdentityResolver = resolver;
+}
+
+/**
+ * Run the rest of a request as the given user
+ * @param {object} user - Authenticated user ({ id, email, roles })
+ * @param {Function} callback - Continuation (usually Express next)
+ */
+async function runForUser(user, callback) {
+  let azureUserId = null;
+
+  if (user?.id && azureIdentityResolver) {
+    try {
+      azureUserId = await azureIdentityResolver(user.id);
+    } catch (error) {
+      logger.warn(`Could not resolve Azure DevOps identity for ${user.id}: ${error.message}`);
+    }
+  }
+
+  return storage.run({ user, azureUserId: azureUserId || null }, callback);
+}
+
+/**
+ * Current request context, or null outside a request (startup, jobs, sockets)
+ */
+function getContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * User whose Azure DevOps tokens the current request uses, or null for the service identity (PAT)
+ */
+function getAzureUserId() {
+  return getContext()?.azureUserId || null;
+}
+
+/**
+ * Suffix a cache key with the caller's Azure DevOps identity so users never see data cached for another account
+ * @param {string} key - Cache key
+ * @param {string|null} azureUserId - Identity to scope to (defaults to the current request's)
+ */
+function scopeKey(key, azureUserId = getAzureUserId()) {
+  return azureUserId ? `${key}::user:${azureUserId}` : key;
+}
+
+/**
+ * Wrap a NodeCache-style cache so keys are scoped to the caller's Azure DevOps identity
+ * @param {object} cache - Cache with get/set/del/flushAll
+ */
+function scopedCache(cache) {
+  return {
+    get: (key) => cache.get(scopeKey(key)),
+    set: (key, value, ttl) => (ttl === undefined ? cache.set(scopeKey(key), value) : cache.set(scopeKey(key), value, ttl)),
+    del: (key) => cache.del(scopeKey(key)),
+    flushAll: () => cache.flushAll()
+  };
+}
+
+module.exports = {
+  setAzureIdentityResolver,
+  runForUser,
+  getContext,
+  getAzureUserId,
+  scopeKey,
+  scopedCache
+};
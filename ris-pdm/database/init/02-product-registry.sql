@@ -0,0 +1,28 @@
+-- RIS Performance Dashboard - Product Registry
+-- Dashboard products and their Azure DevOps project/team/iteration mapping.
+-- Rows are seeded by the backend on first start and managed via /api/products.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS product_registry (
+    id VARCHAR(255) PRIMARY KEY,
+    azure_project VARCHAR(255) NOT NULL,
+    team_name VARCHAR(255),
+    iteration_prefix VARCHAR(100),
+    iteration_pattern TEXT,
+    iteration_format VARCHAR(100),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    priority INTEGER NOT NULL DEFAULT 100,
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_registry_enabled_priority ON product_registry(enabled, priority);
+
+CREATE TRIGGER update_product_registry_updated_at BEFORE UPDATE ON product_registry
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER product_registry_audit_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON product_registry
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
@@ -0,0 +1,30 @@
+-- RIS Performance Dashboard - Product Financials
+-- Revenue, cost and P/L target per product per month or quarter.
+-- Loaded through /api/financials (file upload or JSON push from the finance export job).
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS product_financials (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id VARCHAR(255) NOT NULL,
+    period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('month', 'quarter')),
+    period_start DATE NOT NULL,
+    revenue NUMERIC(15, 2) NOT NULL DEFAULT 0,
+    cost NUMERIC(15, 2) NOT NULL DEFAULT 0,
+    target NUMERIC(15, 2),
+    currency VARCHAR(3) NOT NULL DEFAULT 'THB',
+    source VARCHAR(20) NOT NULL DEFAULT 'api',
+    imported_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, period_type, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_financials_product_period ON product_financials(product_id, period_start);
+
+CREATE TRIGGER update_product_financials_updated_at BEFORE UPDATE ON product_financials
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER product_financials_audit_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON product_financials
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
@@ -0,0 +1,44 @@
+-- RIS Performance Dashboard - Stakeholder Satisfaction Surveys
+-- A survey is created per product per delivery and answered through a shareable link.
+-- Scores feed the satisfaction KPI (CSAT 1-5, NPS -100..100).
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS stakeholder_surveys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id VARCHAR(255) NOT NULL,
+    delivery VARCHAR(255) NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    questions JSONB NOT NULL,
+    share_token VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    closes_at TIMESTAMP WITH TIME ZONE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, delivery)
+);
+
+CREATE TABLE IF NOT EXISTS survey_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    survey_id UUID NOT NULL REFERENCES stakeholder_surveys(id) ON DELETE CASCADE,
+    respondent_name VARCHAR(255),
+    respondent_email VARCHAR(255),
+    answers JSONB NOT NULL,
+    csat NUMERIC(3, 2),
+    nps_score INTEGER CHECK (nps_score BETWEEN 0 AND 10),
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stakeholder_surveys_product ON stakeholder_surveys(product_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_survey_responses_survey ON survey_responses(survey_id);
+-- One answer per stakeholder; anonymous responses are not deduplicated
+CREATE UNIQUE INDEX IF NOT EXISTS idx_survey_responses_respondent
+    ON survey_responses(survey_id, respondent_email) WHERE respondent_email IS NOT NULL;
+
+CREATE TRIGGER update_stakeholder_surveys_updated_at BEFORE UPDATE ON stakeholder_surveys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER stakeholder_surveys_audit_trigger
+    AFTER INSERT OR UPDATE OR DELETE ON stakeholder_surveys
+    FOR EACH ROW EXECUTE FUNCTION audit_trigger_function();
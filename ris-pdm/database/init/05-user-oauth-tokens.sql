@@ -0,0 +1,22 @@
+-- RIS Performance Dashboard - Per-user Azure DevOps OAuth tokens
+-- Token columns hold AES-256-GCM ciphertext written by the backend (OAUTH_TOKEN_ENCRYPTION_KEY);
+-- the database never sees a plaintext token.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS user_oauth_tokens (
+    user_id VARCHAR(255) PRIMARY KEY,
+    user_email VARCHAR(255),
+    access_token TEXT NOT NULL,
+    refresh_token TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    scope VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_user_oauth_tokens_updated_at BEFORE UPDATE ON user_oauth_tokens
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- No audit trigger: audit_log stores full row images, which would copy token ciphertext
+-- into a table with a much wider readership.
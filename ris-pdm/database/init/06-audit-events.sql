@@ -0,0 +1,18 @@
+-- RIS Performance Dashboard - Application audit events
+-- audit.audit_log already receives row changes from audit_trigger_function. Application
+-- events (performance views, exports, work item updates, configuration changes) reuse it:
+-- table_name holds the audited resource, operation the verb, plus who did it to what.
+
+SET search_path TO ris_dashboard, public;
+
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS action VARCHAR(100);
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS actor_id VARCHAR(255);
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS actor_email VARCHAR(255);
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS target VARCHAR(500);
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS parameters JSONB;
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS status_code INTEGER;
+ALTER TABLE audit.audit_log ADD COLUMN IF NOT EXISTS source_ip VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_audit_action_timestamp ON audit.audit_log(action, timestamp) WHERE action IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_actor_timestamp ON audit.audit_log(LOWER(actor_email), timestamp) WHERE action IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_target_timestamp ON audit.audit_log(LOWER(target), timestamp) WHERE action IS NOT NULL;
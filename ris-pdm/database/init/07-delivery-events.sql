@@ -0,0 +1,35 @@
+-- RIS Performance Dashboard - Delivery events
+-- Pull requests, builds and release deployments received through Azure DevOps service hooks,
+-- with the work items linked to them. One row per pull request, build or deployment attempt;
+-- later events for the same object (e.g. a pull request being merged) update the row.
+-- Feeds the DORA metrics (/api/metrics/dora) and build-reported test coverage.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS delivery_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('pull_request', 'build', 'deployment')),
+    azure_project VARCHAR(255) NOT NULL,
+    -- Pull request id, build id, or release:environment:attempt for deployments
+    source_id VARCHAR(255) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    repository VARCHAR(255),
+    title VARCHAR(500),
+    status VARCHAR(30) NOT NULL,
+    environment VARCHAR(255),
+    is_production BOOLEAN NOT NULL DEFAULT false,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    coverage NUMERIC(5, 2),
+    work_item_ids INTEGER[] NOT NULL DEFAULT '{}',
+    actor VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(kind, azure_project, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_events_project_completed ON delivery_events(azure_project, kind, completed_at);
+CREATE INDEX IF NOT EXISTS idx_delivery_events_work_items ON delivery_events USING GIN (work_item_ids);
+
+CREATE TRIGGER update_delivery_events_updated_at BEFORE UPDATE ON delivery_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,46 @@
+-- RIS Performance Dashboard - KPI alert notifications
+-- Users subscribe to alert types for a product (or every product) and pick where the alert
+-- goes: a Microsoft Teams incoming webhook, a Slack incoming webhook or an email address.
+-- notification_deliveries records what was sent to whom, which is both the dedupe/cooldown
+-- window and the queue for subscriptions in digest mode.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS notification_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL,
+    user_email VARCHAR(255),
+    -- NULL subscribes to every product, including alerts that aren't tied to a product
+    product_id VARCHAR(255),
+    alert_types TEXT[] NOT NULL,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('teams', 'slack', 'email')),
+    -- Webhook URL for Teams/Slack, address for email
+    target VARCHAR(1000) NOT NULL,
+    mode VARCHAR(20) NOT NULL DEFAULT 'immediate' CHECK (mode IN ('immediate', 'digest')),
+    cooldown_minutes INTEGER NOT NULL DEFAULT 240 CHECK (cooldown_minutes >= 0),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    last_digest_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_subscriptions_user ON notification_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_subscriptions_product ON notification_subscriptions(product_id) WHERE enabled = true;
+
+CREATE TRIGGER update_notification_subscriptions_updated_at BEFORE UPDATE ON notification_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES notification_subscriptions(id) ON DELETE CASCADE,
+    -- alert type, product and subject (e.g. a team member) that identify "the same alert"
+    alert_key VARCHAR(500) NOT NULL,
+    alert JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'sent', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_key ON notification_deliveries(subscription_id, alert_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_queued ON notification_deliveries(subscription_id) WHERE status = 'queued';
@@ -0,0 +1,30 @@
+-- RIS Performance Dashboard - KPI alert rules
+-- Admin-defined thresholds for KPI alerts. A rule compares one metric of a product, a team or a
+-- user with a threshold; scope_id NULL applies the rule to every product/team/user that has no
+-- more specific rule for the metric. Without any rule the built-in thresholds apply.
+-- window_minutes is how long a breach has to last before the alert fires.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    scope_type VARCHAR(20) NOT NULL CHECK (scope_type IN ('product', 'team', 'user')),
+    -- Product id, team name or user email
+    scope_id VARCHAR(255),
+    operator VARCHAR(2) NOT NULL CHECK (operator IN ('<', '<=', '>', '>=')),
+    threshold NUMERIC(12, 4) NOT NULL,
+    window_minutes INTEGER NOT NULL DEFAULT 0 CHECK (window_minutes >= 0),
+    severity VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high')),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255),
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_metric ON alert_rules(metric) WHERE enabled = true;
+
+CREATE TRIGGER update_alert_rules_updated_at BEFORE UPDATE ON alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,59 @@
+-- RIS Performance Dashboard - Scheduled reports and report archive
+-- report_definitions are saved reports (type, format, product, date range) with an optional
+-- cron schedule; each run renders the report and stores the file in report_archive, and
+-- email delivery also sends it to the recipients.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS report_definitions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    report_type VARCHAR(20) NOT NULL CHECK (report_type IN ('monthly', 'quarterly', 'annual', 'department')),
+    format VARCHAR(10) NOT NULL DEFAULT 'pdf' CHECK (format IN ('pdf', 'excel')),
+    -- NULL reports on every product
+    product_id VARCHAR(255),
+    -- last30/last90/last180/last365, or NULL for the report type's period
+    date_range VARCHAR(20),
+    -- Five-field cron expression in server time; NULL for reports only run on demand
+    schedule VARCHAR(100),
+    delivery VARCHAR(10) NOT NULL DEFAULT 'archive' CHECK (delivery IN ('archive', 'email')),
+    recipients TEXT[] NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    owner_id VARCHAR(255) NOT NULL,
+    owner_email VARCHAR(255),
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_status VARCHAR(10) CHECK (last_status IN ('success', 'failed')),
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_definitions_owner ON report_definitions(owner_id);
+CREATE INDEX IF NOT EXISTS idx_report_definitions_due ON report_definitions(next_run_at) WHERE enabled = true;
+
+CREATE TRIGGER update_report_definitions_updated_at BEFORE UPDATE ON report_definitions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS report_archive (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    definition_id UUID REFERENCES report_definitions(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    report_type VARCHAR(20) NOT NULL,
+    format VARCHAR(10) NOT NULL,
+    product_id VARCHAR(255),
+    period VARCHAR(20),
+    start_date DATE,
+    end_date DATE,
+    file_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    content BYTEA NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    -- schedule (a scheduled run) or manual (generated from the Reports page)
+    source VARCHAR(10) NOT NULL DEFAULT 'manual',
+    generated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_archive_created ON report_archive(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_report_archive_definition ON report_archive(definition_id);
@@ -0,0 +1,22 @@
+-- RIS Performance Dashboard - Versioned report archive
+-- Every export (/api/exports/*) is archived next to scheduled and generated reports, with the
+-- parameters it was produced with and a SHA-256 checksum of the file. Exports of the same
+-- report (type, format, product, person, period and dates) share a series_key and are numbered
+-- as versions. An archived report can be pinned as the official one presented at a review.
+
+SET search_path TO ris_dashboard, public;
+
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS subject_user_id VARCHAR(255);
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS parameters JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS checksum CHAR(64);
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS series_key TEXT;
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS is_official BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS official_note VARCHAR(500);
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS official_by VARCHAR(255);
+ALTER TABLE report_archive ADD COLUMN IF NOT EXISTS official_at TIMESTAMP WITH TIME ZONE;
+
+-- Unique so concurrent exports of the same report can't both take the next version number
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_archive_series_version ON report_archive(series_key, version DESC);
+CREATE INDEX IF NOT EXISTS idx_report_archive_subject ON report_archive(LOWER(subject_user_id)) WHERE subject_user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_report_archive_official ON report_archive(created_at DESC) WHERE is_official = true;
@@ -0,0 +1,18 @@
+-- RIS Performance Dashboard - User preferences
+-- Personal dashboard settings saved through PUT /api/users/profile: default product and sprint,
+-- the widgets shown on the dashboard, and named saved views. The settings are one JSON document
+-- per user; the API validates its shape.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+    -- Same id as req.user.id (Azure AD object id or the OAuth session's user id)
+    user_id VARCHAR(255) PRIMARY KEY,
+    user_email VARCHAR(255),
+    preferences JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_user_preferences_updated_at BEFORE UPDATE ON user_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
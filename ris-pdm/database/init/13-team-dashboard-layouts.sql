@@ -0,0 +1,22 @@
+-- RIS Performance Dashboard - Team default dashboard layouts
+-- Admin-managed widget arrangements shown to users who haven't arranged the dashboard
+-- themselves. product_id NULL is the layout for every product without one of its own.
+-- widgets is the ordered list of { id, width } the dashboard grid renders; the API validates it.
+
+SET search_path TO ris_dashboard, public;
+
+CREATE TABLE IF NOT EXISTS team_dashboard_layouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id VARCHAR(255),
+    widgets JSONB NOT NULL DEFAULT '[]',
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One layout per product, and one for all products
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_dashboard_layouts_product
+    ON team_dashboard_layouts ((COALESCE(product_id, '')));
+
+CREATE TRIGGER update_team_dashboard_layouts_updated_at BEFORE UPDATE ON team_dashboard_layouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
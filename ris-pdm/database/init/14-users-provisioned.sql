@@ -0,0 +1,8 @@
+-- RIS Performance Dashboard - Provisioned users
+-- The work item sync records every assignee in users so work items can reference them.
+-- Those rows only exist because someone was assigned work; their role is the column default,
+-- not a role anyone granted, so access checks only trust rows with provisioned = true.
+
+SET search_path TO ris_dashboard, public;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS provisioned BOOLEAN NOT NULL DEFAULT true;
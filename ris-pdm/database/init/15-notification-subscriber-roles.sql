@@ -0,0 +1,8 @@
+-- RIS Performance Dashboard - Subscriber roles on notification subscriptions
+-- Individual alerts go only to subscribers allowed to view that person. Users without a
+-- provisioned users row get their role from their token's role claims, which aren't around
+-- when an alert fires, so each subscription keeps the claims the subscriber last saved it with.
+
+SET search_path TO ris_dashboard, public;
+
+ALTER TABLE notification_subscriptions ADD COLUMN IF NOT EXISTS user_roles TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,8 @@
+-- RIS Performance Dashboard - Survey responses are not matched by email
+-- Survey links are shared and the respondent email is whatever the form was given, so a
+-- response keyed on it could be overwritten by anyone holding the link. Every submission
+-- is now its own row.
+
+SET search_path TO ris_dashboard, public;
+
+DROP INDEX IF EXISTS idx_survey_responses_respondent;
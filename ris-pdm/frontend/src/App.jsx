@@ -7,6 +7,10 @@ import MobileBottomNav from './components/MobileBottomNav';
 import Dashboard from './pages/Dashboard';
 import IndividualPerformance from './pages/IndividualPerformance';
 import Reports from './pages/Reports';
+import WorkItems from './pages/WorkItems';
+import Capacity from './pages/Capacity';
+import Surveys from './pages/Surveys';
+import SurveyResponse from './pages/SurveyResponse';
 
 function App() {
   const [isMobileNavOpen, setIsMobileNavOpen] = useState(false);
@@ -19,39 +23,50 @@ function App() {
     setIsMobileNavOpen(false);
   };
 
-  return (
-    <Router>
-      <div className="min-h-screen bg-gray-50">
-        {/* Mobile Navigation */}
-        <MobileNav isOpen={isMobileNavOpen} onClose={closeMobileNav} />
-
-        {/* Desktop Layout */}
-        <div className="flex h-screen">
-          {/* Desktop Sidebar */}
-          <div className="hidden md:flex md:w-64 md:flex-col">
-            <Sidebar />
-          </div>
-
-          {/* Main content area */}
-          <div className="flex-1 flex flex-col overflow-hidden">
-            {/* Header */}
-            <Header onMobileMenuToggle={toggleMobileNav} />
-
-            {/* Page content */}
-            <main className="flex-1 overflow-x-hidden overflow-y-auto bg-gray-50 pb-16 md:pb-0">
-              <Routes>
-                <Route path="/" element={<Dashboard />} />
-                <Route path="/individual" element={<IndividualPerformance />} />
-                <Route path="/individual/:userId" element={<IndividualPerformance />} />
-                <Route path="/reports" element={<Reports />} />
-              </Routes>
-            </main>
-          </div>
+  const appShell = (
+    <div className="min-h-screen bg-gray-50">
+      {/* Mobile Navigation */}
+      <MobileNav isOpen={isMobileNavOpen} onClose={closeMobileNav} />
+
+      {/* Desktop Layout */}
+      <div className="flex h-screen">
+        {/* Desktop Sidebar */}
+        <div className="hidden md:flex md:w-64 md:flex-col">
+          <Sidebar />
         </div>
 
-        {/* Mobile Bottom Navigation */}
-        <MobileBottomNav />
+        {/* Main content area */}
+        <div className="flex-1 flex flex-col overflow-hidden">
+          {/* Header */}
+          <Header onMobileMenuToggle={toggleMobileNav} />
+
+          {/* Page content */}
+          <main className="flex-1 overflow-x-hidden overflow-y-auto bg-gray-50 pb-16 md:pb-0">
+            <Routes>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/individual" element={<IndividualPerformance />} />
+              <Route path="/individual/:userId" element={<IndividualPerformance />} />
+              <Route path="/workitems" element={<WorkItems />} />
+              <Route path="/capacity" element={<Capacity />} />
+              <Route path="/reports" element={<Reports />} />
+              <Route path="/surveys" element={<Surveys />} />
+            </Routes>
+          </main>
+        </div>
       </div>
+
+      {/* Mobile Bottom Navigation */}
+      <MobileBottomNav />
+    </div>
+  );
+
+  return (
+    <Router>
+      <Routes>
+        {/* Public survey links render without the dashboard shell */}
+        <Route path="/survey/:token" element={<SurveyResponse />} />
+        <Route path="*" element={appShell} />
+      </Routes>
     </Router>
   );
 }
@@ -0,0 +1,128 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  over: { label: 'Over-allocated', badge: 'bg-red-100 text-red-800', bar: 'bg-red-500' },
+  balanced: { label: 'Balanced', badge: 'bg-green-100 text-green-800', bar: 'bg-green-500' },
+  under: { label: 'Under-allocated', badge: 'bg-yellow-100 text-yellow-800', bar: 'bg-yellow-400' },
+  none: { label: 'No capacity', badge: 'bg-gray-100 text-gray-700', bar: 'bg-gray-300' }
+};
+
+const formatHours = (hours) => `${Number(hours || 0).toLocaleString('en-US', { maximumFractionDigits: 1 })}h`;
+
+const formatBalance = (balance) => (balance < 0 ? `-${formatHours(-balance)}` : `+${formatHours(balance)}`);
+
+const AllocationBar = ({ allocation, status }) => {
+  const width = allocation === null ? (status === 'over' ? 100 : 0) : Math.min(allocation, 100);
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-24 h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div className={`h-2 ${STATUS_STYLES[status].bar}`} style={{ width: `${width}%` }} />
+      </div>
+      <span className="text-sm font-medium text-gray-900 w-12">
+        {allocation === null ? '--' : `${allocation}%`}
+      </span>
+    </div>
+  );
+};
+
+const CapacityTable = React.memo(({
+  capacity = null,
+  loading = false,
+  className = ''
+}) => {
+  if (loading) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        <div className="h-6 bg-gray-200 rounded animate-pulse mb-4"></div>
+        <div className="space-y-3">
+          {[...Array(5)].map((_, i) => (
+            <div key={i} className="h-4 bg-gray-100 rounded animate-pulse"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const members = capacity?.members || [];
+  const unplanned = capacity?.unplanned || [];
+
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Member Allocation</h3>
+        {capacity?.sprint && (
+          <p className="text-sm text-gray-500">
+            {capacity.sprint.name} · {capacity.workingDays} working day{capacity.workingDays === 1 ? '' : 's'} left from {capacity.fromDate}
+          </p>
+        )}
+      </div>
+
+      {members.length === 0 ? (
+        <p className="text-sm text-gray-500">{capacity?.message || 'No capacity data for this delivery.'}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-4">Member</th>
+                <th className="py-2 pr-4">Available</th>
+                <th className="py-2 pr-4">Remaining Work</th>
+                <th className="py-2 pr-4">Allocation</th>
+                <th className="py-2 pr-4">Over / Under</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {members.map(member => (
+                <tr key={member.id || member.uniqueName} className={member.status === 'over' ? 'bg-red-50' : ''}>
+                  <td className="py-3 pr-4">
+                    <div className="font-medium text-gray-900">{member.displayName}</div>
+                    <div className="text-xs text-gray-500">
+                      {member.capacityPerDay}h/day · {member.workingDays}d
+                      {member.daysOff > 0 && ` (${member.daysOff}d off)`}
+                    </div>
+                  </td>
+                  <td className="py-3 pr-4">{formatHours(member.availableHours)}</td>
+                  <td className="py-3 pr-4">
+                    {formatHours(member.remainingWork)}
+                    <span className="text-xs text-gray-500"> · {member.openItems} item{member.openItems === 1 ? '' : 's'}</span>
+                  </td>
+                  <td className="py-3 pr-4">
+                    <AllocationBar allocation={member.allocation} status={member.status} />
+                  </td>
+                  <td className={`py-3 pr-4 font-medium ${member.balance < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                    {formatBalance(member.balance)}
+                  </td>
+                  <td className="py-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[member.status].badge}`}>
+                      {STATUS_STYLES[member.status].label}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {unplanned.length > 0 && (
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Work assigned without capacity</h4>
+          <ul className="space-y-1 text-sm text-gray-700">
+            {unplanned.map(entry => (
+              <li key={entry.assignee} className="flex justify-between">
+                <span>{entry.assignee}</span>
+                <span>{formatHours(entry.remainingWork)} · {entry.openItems} item{entry.openItems === 1 ? '' : 's'}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Set display name for better debugging
+CapacityTable.displayName = 'CapacityTable';
+
+export default CapacityTable;
@@ -0,0 +1,192 @@
+import React, { useMemo, useCallback } from 'react';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+
+// Known workflow states get stable colours; anything else cycles through the fallback palette
+const STATE_COLORS = {
+  'New': '#9ca3af',
+  'Proposed': '#9ca3af',
+  'To Do': '#9ca3af',
+  'Approved': '#a78bfa',
+  'Committed': '#8b5cf6',
+  'Active': '#3b82f6',
+  'In Progress': '#3b82f6',
+  'Resolved': '#f59e0b',
+  'Done': '#10b981',
+  'Closed': '#10b981'
+};
+const FALLBACK_COLORS = ['#06b6d4', '#ec4899', '#84cc16', '#f97316', '#6366f1'];
+
+const formatDate = (isoDate) => new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const CumulativeFlowChart = React.memo(({
+  data = [],
+  states = [],
+  loading = false,
+  height = 300,
+  className = ''
+}) => {
+  const colors = useMemo(() => {
+    let fallbackIndex = 0;
+    return states.reduce((acc, state) => {
+      acc[state] = STATE_COLORS[state] || FALLBACK_COLORS[fallbackIndex++ % FALLBACK_COLORS.length];
+      return acc;
+    }, {});
+  }, [states]);
+
+  // Latest day's totals for the footer
+  const summary = useMemo(() => {
+    const latest = data[data.length - 1];
+    if (!latest) {
+      return { total: 0, perState: [] };
+    }
+    const perState = states.map(state => ({ state, count: latest[state] || 0 }));
+    return { total: perState.reduce((sum, s) => sum + s.count, 0), perState };
+  }, [data, states]);
+
+  const CustomTooltip = useCallback(({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      // Areas stack bottom-up; list them top-down to match the chart
+      const entries = [...payload].reverse();
+      return (
+        <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
+          <p className="font-medium text-gray-900 mb-2">{formatDate(label)}</p>
+          <div className="space-y-1">
+            {entries.map((entry) => (
+              <div key={entry.dataKey} className="flex items-center justify-between space-x-4">
+                <div className="flex items-center space-x-2">
+                  <div
+                    className="w-3 h-3 rounded-full"
+                    style={{ backgroundColor: entry.color }}
+                  />
+                  <span className="text-sm text-gray-600">{entry.name}:</span>
+                </div>
+                <span className="text-sm font-medium text-gray-900">{entry.value}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      );
+    }
+    return null;
+  }, []);
+
+  if (loading) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        <div className="mb-4">
+          <div className="h-6 bg-gray-200 rounded animate-pulse mb-2"></div>
+          <div className="h-4 bg-gray-100 rounded animate-pulse w-2/3"></div>
+        </div>
+        <div className="bg-gray-50 rounded animate-pulse" style={{ height }} />
+      </div>
+    );
+  }
+
+  if (data.length === 0 || states.length === 0) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold text-gray-900">Cumulative Flow</h3>
+          <p className="text-sm text-gray-500">Work items per state for each day in the selected range</p>
+        </div>
+        <div className="flex items-center justify-center" style={{ height }}>
+          <div className="text-center">
+            <div className="text-gray-400 mb-2">
+              <svg className="w-16 h-16 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+              </svg>
+            </div>
+            <p className="text-gray-500 text-sm">No cumulative flow data available</p>
+            <p className="text-gray-400 text-xs mt-1">Try a wider date range or another product</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+      {/* Header */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold text-gray-900">Cumulative Flow</h3>
+          <div className="flex flex-wrap items-center gap-3">
+            {states.map(state => (
+              <div key={state} className="flex items-center space-x-2">
+                <div className="w-3 h-3 rounded-full" style={{ backgroundColor: colors[state] }}></div>
+                <span className="text-sm text-gray-600">{state}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+        <p className="text-sm text-gray-500">
+          {formatDate(data[0].date)} – {formatDate(data[data.length - 1].date)}
+        </p>
+      </div>
+
+      {/* Chart */}
+      <div style={{ height }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={data} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis
+              dataKey="date"
+              tickFormatter={formatDate}
+              tick={{ fontSize: 12, fill: '#6b7280' }}
+              axisLine={{ stroke: '#e5e7eb' }}
+              tickLine={{ stroke: '#e5e7eb' }}
+              minTickGap={20}
+            />
+            <YAxis
+              allowDecimals={false}
+              tick={{ fontSize: 12, fill: '#6b7280' }}
+              axisLine={{ stroke: '#e5e7eb' }}
+              tickLine={{ stroke: '#e5e7eb' }}
+              label={{ value: 'Work Items', angle: -90, position: 'insideLeft', style: { textAnchor: 'middle', fill: '#6b7280' } }}
+            />
+            <Tooltip content={<CustomTooltip />} />
+
+            {/* Finished states last so they sit at the bottom of the stack */}
+            {[...states].reverse().map(state => (
+              <Area
+                key={state}
+                type="monotone"
+                dataKey={state}
+                name={state}
+                stackId="flow"
+                stroke={colors[state]}
+                fill={colors[state]}
+                fillOpacity={0.6}
+              />
+            ))}
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Footer Stats */}
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <div className="flex flex-wrap justify-center gap-6 text-center">
+          {summary.perState.map(({ state, count }) => (
+            <div key={state}>
+              <div className="text-2xl font-bold" style={{ color: colors[state] }}>{count}</div>
+              <div className="text-sm text-gray-500">{state}</div>
+            </div>
+          ))}
+          <div>
+            <div className="text-2xl font-bold text-gray-900">{summary.total}</div>
+            <div className="text-sm text-gray-500">Total</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// Set display name for better debugging
+CumulativeFlowChart.displayName = 'CumulativeFlowChart';
+
+export default CumulativeFlowChart;
@@ -0,0 +1,207 @@
+import React, { useMemo, useCallback } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+
+const TYPE_COLORS = {
+  'User Story': '#3b82f6',
+  'Bug': '#ef4444',
+  'Task': '#10b981',
+  'Feature': '#8b5cf6'
+};
+
+const PERCENTILE_LINES = [
+  { key: 'p50', label: '50%', color: '#10b981' },
+  { key: 'p85', label: '85%', color: '#f59e0b' },
+  { key: 'p95', label: '95%', color: '#ef4444' }
+];
+
+const WORK_ITEM_TYPES = ['User Story', 'Bug', 'Task', 'Feature'];
+
+const formatDate = (time) => new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const CycleTimeScatterplot = React.memo(({
+  data = [],
+  percentiles = {},
+  loading = false,
+  height = 320,
+  workItemType = '',
+  onWorkItemTypeChange,
+  className = ''
+}) => {
+  // One series per type so each gets its own colour
+  const series = useMemo(() => {
+    const grouped = {};
+    data.forEach(item => {
+      (grouped[item.type] = grouped[item.type] || []).push({
+        ...item,
+        closedTime: new Date(item.closedDate).getTime()
+      });
+    });
+    return Object.entries(grouped).map(([type, points]) => ({
+      type,
+      points,
+      color: TYPE_COLORS[type] || '#6b7280'
+    }));
+  }, [data]);
+
+  const handlePointClick = useCallback((point) => {
+    const url = point?.payload?.url || point?.url;
+    if (url) {
+      window.open(url, '_blank', 'noopener,noreferrer');
+    }
+  }, []);
+
+  const CustomTooltip = useCallback(({ active, payload }) => {
+    if (active && payload && payload.length) {
+      const item = payload[0].payload;
+      return (
+        <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg max-w-xs">
+          <p className="font-medium text-gray-900 mb-1">#{item.id} {item.title}</p>
+          <div className="space-y-1 text-sm text-gray-600">
+            <div>{item.type}{item.assignee ? ` · ${item.assignee}` : ''}</div>
+            <div>
+              Cycle time: <span className="font-medium text-gray-900">{item.cycleTimeDays} days</span>
+            </div>
+            {item.leadTimeDays != null && (
+              <div>
+                Lead time: <span className="font-medium text-gray-900">{item.leadTimeDays} days</span>
+              </div>
+            )}
+            <div>Closed {formatDate(item.closedTime)}</div>
+          </div>
+          <p className="mt-2 text-xs text-blue-600">Click to open in Azure DevOps</p>
+        </div>
+      );
+    }
+    return null;
+  }, []);
+
+  if (loading) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        <div className="mb-4">
+          <div className="h-6 bg-gray-200 rounded animate-pulse mb-2"></div>
+          <div className="h-4 bg-gray-100 rounded animate-pulse w-2/3"></div>
+        </div>
+        <div className="bg-gray-50 rounded animate-pulse" style={{ height }} />
+      </div>
+    );
+  }
+
+  const typeFilter = onWorkItemTypeChange && (
+    <select
+      value={workItemType}
+      onChange={(e) => onWorkItemTypeChange(e.target.value)}
+      className="text-sm border border-gray-200 rounded-md px-2 py-1 text-gray-700"
+      aria-label="Work item type"
+    >
+      <option value="">All types</option>
+      {WORK_ITEM_TYPES.map(type => (
+        <option key={type} value={type}>{type}</option>
+      ))}
+    </select>
+  );
+
+  const header = (
+    <div className="mb-6 flex items-start justify-between">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Cycle Time</h3>
+        <p className="text-sm text-gray-500">Days from first Active to Closed for each completed item</p>
+      </div>
+      {typeFilter}
+    </div>
+  );
+
+  if (data.length === 0) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        {header}
+        <div className="flex items-center justify-center" style={{ height }}>
+          <div className="text-center">
+            <p className="text-gray-500 text-sm">No completed work items in this period</p>
+            <p className="text-gray-400 text-xs mt-1">Items appear once they move from Active to Closed</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+      {header}
+
+      {/* Chart */}
+      <div style={{ height }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ScatterChart margin={{ top: 5, right: 40, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis
+              dataKey="closedTime"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={formatDate}
+              tick={{ fontSize: 12, fill: '#6b7280' }}
+              axisLine={{ stroke: '#e5e7eb' }}
+              tickLine={{ stroke: '#e5e7eb' }}
+              name="Closed"
+            />
+            <YAxis
+              dataKey="cycleTimeDays"
+              type="number"
+              tick={{ fontSize: 12, fill: '#6b7280' }}
+              axisLine={{ stroke: '#e5e7eb' }}
+              tickLine={{ stroke: '#e5e7eb' }}
+              label={{ value: 'Days', angle: -90, position: 'insideLeft', style: { textAnchor: 'middle', fill: '#6b7280' } }}
+              name="Cycle Time"
+            />
+            <Tooltip content={<CustomTooltip />} cursor={{ strokeDasharray: '3 3' }} />
+
+            {PERCENTILE_LINES.filter(line => percentiles[line.key] != null).map(line => (
+              <ReferenceLine
+                key={line.key}
+                y={percentiles[line.key]}
+                stroke={line.color}
+                strokeDasharray="6 3"
+                label={{ value: line.label, position: 'right', fill: line.color, fontSize: 12 }}
+              />
+            ))}
+
+            {series.map(({ type, points, color }) => (
+              <Scatter
+                key={type}
+                name={type}
+                data={points}
+                fill={color}
+                cursor="pointer"
+                onClick={handlePointClick}
+              />
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Footer Stats */}
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <div className="grid grid-cols-4 gap-4 text-center">
+          {PERCENTILE_LINES.map(line => (
+            <div key={line.key}>
+              <div className="text-2xl font-bold" style={{ color: line.color }}>
+                {percentiles[line.key] ?? '-'}
+              </div>
+              <div className="text-sm text-gray-500">{line.label} within (days)</div>
+            </div>
+          ))}
+          <div>
+            <div className="text-2xl font-bold text-gray-900">{data.length}</div>
+            <div className="text-sm text-gray-500">Items</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+// Set display name for better debugging
+CycleTimeScatterplot.displayName = 'CycleTimeScatterplot';
+
+export default CycleTimeScatterplot;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { DASHBOARD_WIDGETS, WIDGET_WIDTHS } from '../config/dashboard';
+
+// Literal class names so Tailwind keeps them in the build
+const SPAN_CLASSES = {
+  3: 'lg:col-span-3',
+  4: 'lg:col-span-4',
+  6: 'lg:col-span-6',
+  8: 'lg:col-span-8',
+  12: 'lg:col-span-12'
+};
+
+const widgetLabel = (id) => DASHBOARD_WIDGETS.find(widget => widget.id === id)?.label || id;
+
+/**
+ * Dashboard widgets on a 12-column grid. In edit mode each widget can be dragged to a new place,
+ * moved with the arrow buttons, resized or removed; every change is passed to onChange.
+ * @param {Array<object>} layout - [{ id, width }] in display order
+ * @param {function} renderWidget - (id, width) => the widget's content
+ */
+const DashboardGrid = ({ layout, renderWidget, editing = false, onChange, className = '' }) => {
+  const [draggedId, setDraggedId] = useState(null);
+
+  const move = (id, toIndex) => {
+    const next = layout.filter(widget => widget.id !== id);
+    next.splice(toIndex, 0, layout.find(widget => widget.id === id));
+    onChange(next);
+  };
+
+  const resize = (id, width) => onChange(layout.map(widget => (widget.id === id ? { ...widget, width } : widget)));
+  const remove = (id) => onChange(layout.filter(widget => widget.id !== id));
+
+  const handleDrop = (e, targetIndex) => {
+    e.preventDefault();
+    if (draggedId) {
+      move(draggedId, targetIndex);
+    }
+    setDraggedId(null);
+  };
+
+  return (
+    <div className={`grid grid-cols-1 lg:grid-cols-12 gap-6 ${className}`}>
+      {layout.map(({ id, width }, index) => {
+        const content = renderWidget(id, width);
+        if (!editing) {
+          return content && (
+            <div key={id} className={`min-w-0 ${SPAN_CLASSES[width]}`}>{content}</div>
+          );
+        }
+
+        return (
+          <div
+            key={id}
+            data-testid={`widget-${id}`}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => handleDrop(e, index)}
+            className={`min-w-0 ${SPAN_CLASSES[width]} rounded-lg border-2 border-dashed ${draggedId === id ? 'border-blue-400 opacity-50' : 'border-gray-300'}`}
+          >
+            <div
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                setDraggedId(id);
+              }}
+              onDragEnd={() => setDraggedId(null)}
+              className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 bg-gray-50 border-b border-gray-200 rounded-t-lg cursor-move"
+            >
+              <span className="text-sm font-medium text-gray-700">{widgetLabel(id)}</span>
+              <div className="flex items-center gap-1 text-sm">
+                <select
+                  value={width}
+                  onChange={(e) => resize(id, Number(e.target.value))}
+                  aria-label={`Width of ${widgetLabel(id)}`}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                >
+                  {WIDGET_WIDTHS.map(option => (
+                    <option key={option.width} value={option.width}>{option.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => move(id, index - 1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${widgetLabel(id)} earlier`}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => move(id, index + 1)}
+                  disabled={index === layout.length - 1}
+                  aria-label={`Move ${widgetLabel(id)} later`}
+                  className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => remove(id)}
+                  aria-label={`Remove ${widgetLabel(id)}`}
+                  className="px-2 py-1 text-gray-400 hover:text-red-600"
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+            {/* Widgets stay live while editing but can't be clicked, so dragging doesn't trigger them */}
+            <div className="pointer-events-none">{content}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DashboardGrid;
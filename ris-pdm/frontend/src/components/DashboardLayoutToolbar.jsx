@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { DASHBOARD_WIDGETS } from '../config/dashboard';
+
+const SOURCE_LABELS = {
+  user: 'Your layout',
+  team: 'Team default layout',
+  default: 'Standard layout'
+};
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.error || err.response?.data?.message || fallback
+);
+
+/**
+ * Controls for arranging the dashboard: start editing, add widgets, and save the arrangement for
+ * the selected product or for all products. Admins can also save it as the team default.
+ * Each on* action returns a promise and receives { allProducts }.
+ */
+const DashboardLayoutToolbar = ({
+  editing,
+  layout,
+  source,
+  isAdmin = false,
+  onEdit,
+  onChange,
+  onCancel,
+  onSave,
+  onReset,
+  onSaveTeam,
+  onRemoveTeam,
+  className = ''
+}) => {
+  const [allProducts, setAllProducts] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const run = async (action, success, failure) => {
+    setBusy(true);
+    try {
+      await action({ allProducts });
+      setError(null);
+      setNotice(success);
+    } catch (err) {
+      setNotice(null);
+      setError(errorMessage(err, failure));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const hidden = DASHBOARD_WIDGETS.filter(widget => !layout.some(shown => shown.id === widget.id));
+
+  if (!editing) {
+    return (
+      <div className={`flex items-center justify-end gap-3 ${className}`}>
+        {notice && <span className="text-xs text-green-700">{notice}</span>}
+        <span className="text-xs text-gray-500">{SOURCE_LABELS[source]}</span>
+        <button
+          type="button"
+          onClick={() => {
+            setNotice(null);
+            setError(null);
+            onEdit();
+          }}
+          className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Customize layout
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`bg-blue-50 border border-blue-200 rounded-lg p-4 space-y-3 ${className}`}>
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+        <p className="text-sm text-blue-900">
+          Drag widgets by their title bar, or use the arrows, to reorder them.
+        </p>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value=""
+            onChange={(e) => {
+              const widget = DASHBOARD_WIDGETS.find(option => option.id === e.target.value);
+              if (widget) onChange([...layout, { id: widget.id, width: widget.width }]);
+            }}
+            disabled={hidden.length === 0}
+            aria-label="Add widget"
+            className="px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">Add widget…</option>
+            {hidden.map(widget => (
+              <option key={widget.id} value={widget.id}>{widget.label}</option>
+            ))}
+          </select>
+          <select
+            value={allProducts ? 'all' : 'product'}
+            onChange={(e) => setAllProducts(e.target.value === 'all')}
+            aria-label="Layout applies to"
+            className="px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="product">For this product</option>
+            <option value="all">For all products</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-end gap-2 text-sm">
+        {isAdmin && (
+          <>
+            <button
+              type="button"
+              onClick={() => run(onRemoveTeam, 'Team default removed', 'Failed to remove the team default')}
+              disabled={busy}
+              className="px-3 py-1.5 text-gray-700 hover:text-red-700 disabled:opacity-50"
+            >
+              Remove team default
+            </button>
+            <button
+              type="button"
+              onClick={() => run(onSaveTeam, 'Saved as the team default', 'Failed to save the team default')}
+              disabled={busy || layout.length === 0}
+              className="px-3 py-1.5 text-blue-700 border border-blue-300 rounded-md hover:bg-blue-100 disabled:opacity-50"
+            >
+              Save as team default
+            </button>
+          </>
+        )}
+        <button
+          type="button"
+          onClick={() => run(onReset, 'Layout reset', 'Failed to reset the layout')}
+          disabled={busy}
+          className="px-3 py-1.5 text-gray-700 hover:text-gray-900 disabled:opacity-50"
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={busy}
+          className="px-3 py-1.5 text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => run(onSave, 'Layout saved', 'Failed to save the layout')}
+          disabled={busy || layout.length === 0}
+          className="px-3 py-1.5 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {busy ? 'Saving...' : 'Save layout'}
+        </button>
+      </div>
+      {error && <div className="p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>}
+      {notice && <div className="p-3 rounded-md bg-green-50 text-sm text-green-700">{notice}</div>}
+    </div>
+  );
+};
+
+export default DashboardLayoutToolbar;
@@ -0,0 +1,130 @@
+import React from 'react';
+
+const PERIODS = [7, 30, 90];
+
+const RATING_STYLES = {
+  elite: 'bg-green-100 text-green-800',
+  high: 'bg-blue-100 text-blue-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-red-100 text-red-800'
+};
+
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '-';
+  return hours >= 48 ? `${Math.round((hours / 24) * 10) / 10}d` : `${hours}h`;
+};
+
+const RatingBadge = ({ rating }) => (rating ? (
+  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium capitalize ${RATING_STYLES[rating]}`}>
+    {rating}
+  </span>
+) : null);
+
+const Metric = ({ label, value, detail, rating }) => (
+  <div className="p-4 rounded-lg bg-gray-50">
+    <div className="text-sm text-gray-500 flex items-center">
+      {label}
+      <RatingBadge rating={rating} />
+    </div>
+    <div className="mt-1 text-2xl font-bold text-gray-900">{value}</div>
+    <div className="text-xs text-gray-500 mt-1">{detail}</div>
+  </div>
+);
+
+const DoraMetricsCard = React.memo(({
+  dora = null,
+  loading = false,
+  error = null,
+  days = 30,
+  onDaysChange,
+  className = ''
+}) => {
+  if (loading) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        <div className="h-6 bg-gray-200 rounded animate-pulse mb-4"></div>
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {[...Array(4)].map((_, i) => (
+            <div key={i} className="h-20 bg-gray-100 rounded animate-pulse"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const frequency = dora?.deploymentFrequency;
+  const failureRate = dora?.changeFailureRate;
+  const review = dora?.pullRequestReviewTime;
+  const coverage = dora?.testCoverage;
+
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+      <div className="mb-4 flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Delivery Performance (DORA)</h3>
+          <p className="text-sm text-gray-500">
+            Pull requests, builds and production deployments over the last {days} days
+          </p>
+        </div>
+        <div className="inline-flex rounded-md border border-gray-200 text-xs" role="group" aria-label="DORA period">
+          {PERIODS.map(period => (
+            <button
+              key={period}
+              type="button"
+              onClick={() => onDaysChange?.(period)}
+              className={`px-2 py-1 first:rounded-l-md last:rounded-r-md ${
+                days === period ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {period}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error || !dora ? (
+        <div className="py-8 text-center">
+          <p className="text-gray-500 text-sm">{error || 'DORA metrics are not available'}</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <Metric
+              label="Deployment frequency"
+              value={`${frequency.perWeek}/week`}
+              detail={`${frequency.deployments} successful deployment${frequency.deployments === 1 ? '' : 's'}`}
+              rating={frequency.rating}
+            />
+            <Metric
+              label="Change failure rate"
+              value={failureRate.percentage === null ? '-' : `${failureRate.percentage}%`}
+              detail={`${failureRate.failed} of ${failureRate.deployments} deployments failed`}
+              rating={failureRate.rating}
+            />
+            <Metric
+              label="PR review time"
+              value={formatHours(review.medianHours)}
+              detail={`Median of ${review.merged} merged PR${review.merged === 1 ? '' : 's'}`}
+            />
+            <Metric
+              label="Test coverage"
+              value={coverage?.value === null || coverage?.value === undefined ? '-' : `${coverage.value}%`}
+              detail={coverage?.buildNumber ? `Build ${coverage.buildNumber}` : coverage?.message || 'No coverage reported'}
+            />
+          </div>
+          {dora.status === 'no_data' && (
+            <p className="mt-4 text-xs text-gray-400">
+              No pull request or deployment events yet. Add Azure DevOps service hooks for pull requests,
+              builds and release deployments to collect them.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+// Set display name for better debugging
+DoraMetricsCard.displayName = 'DoraMetricsCard';
+
+export default DoraMetricsCard;
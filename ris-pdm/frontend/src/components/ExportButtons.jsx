@@ -1,23 +1,57 @@
 import React, { useState } from 'react';
 import { saveAs } from 'file-saver';
 
+const FORMATS = {
+  pdf: {
+    label: 'PDF',
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    iconClass: 'text-red-600',
+    iconPath: 'M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z'
+  },
+  excel: {
+    label: 'Excel',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    iconClass: 'text-green-600',
+    iconPath: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z'
+  },
+  pptx: {
+    label: 'PowerPoint',
+    extension: 'pptx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    iconClass: 'text-orange-600',
+    iconPath: 'M7 4v16M17 4v16M3 8h4m10 0h4M3 12h18M3 16h4m10 0h4M4 20h16a1 1 0 001-1V5a1 1 0 00-1-1H4a1 1 0 00-1 1v14a1 1 0 001 1z'
+  }
+};
+
+// Slide decks exist for the dashboard and individual reports only
+const FORMATS_BY_TYPE = {
+  dashboard: ['pdf', 'excel', 'pptx'],
+  individual: ['pdf', 'excel', 'pptx'],
+  'team-data': ['pdf', 'excel']
+};
+
 const ExportButtons = ({ 
   exportType = 'dashboard', 
   userId = null, 
   period = 'sprint', 
   startDate = null, 
   endDate = null,
+  productId = null,
   className = '',
   size = 'default'
 }) => {
   const [isExporting, setIsExporting] = useState({
     pdf: false,
-    excel: false
+    excel: false,
+    pptx: false
   });
 
   const buildQueryParams = () => {
     const params = new URLSearchParams();
     if (period) params.append('period', period);
+    if (productId && productId !== 'all-projects' && exportType === 'dashboard') params.append('productId', productId);
     if (startDate) params.append('startDate', startDate);
     if (endDate) params.append('endDate', endDate);
     return params.toString();
@@ -51,7 +85,7 @@ const ExportButtons = ({
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
-          'Accept': format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          'Accept': FORMATS[format].mimeType
         }
       });
 
@@ -61,12 +95,11 @@ const ExportButtons = ({
       }
 
       const blob = await response.blob();
-      const fileExtension = format === 'pdf' ? 'pdf' : 'xlsx';
-      saveAs(blob, `${filename}.${fileExtension}`);
+      saveAs(blob, `${filename}.${FORMATS[format].extension}`);
 
     } catch (error) {
-      console.error(`${format.toUpperCase()} export failed:`, error);
-      alert(`Failed to export ${format.toUpperCase()}: ${error.message}`);
+      console.error(`${FORMATS[format].label} export failed:`, error);
+      alert(`Failed to export ${FORMATS[format].label}: ${error.message}`);
     } finally {
       setIsExporting(prev => ({ ...prev, [format]: false }));
     }
@@ -90,45 +123,27 @@ const ExportButtons = ({
 
   return (
     <div className={`flex space-x-3 ${className}`}>
-      {/* PDF Export Button */}
-      <button
-        onClick={() => handleExport('pdf')}
-        disabled={isExporting.pdf}
-        className={`${getButtonClasses()} ${isExporting.pdf ? 'opacity-50 cursor-not-allowed' : ''}`}
-        title="Export as PDF"
-      >
-        {isExporting.pdf ? (
-          <svg className={`${getIconClasses()} mr-2 animate-spin`} xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-          </svg>
-        ) : (
-          <svg className={`${getIconClasses()} mr-2 text-red-600`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-          </svg>
-        )}
-        {isExporting.pdf ? 'Exporting...' : 'Export PDF'}
-      </button>
-
-      {/* Excel Export Button */}
-      <button
-        onClick={() => handleExport('excel')}
-        disabled={isExporting.excel}
-        className={`${getButtonClasses()} ${isExporting.excel ? 'opacity-50 cursor-not-allowed' : ''}`}
-        title="Export as Excel"
-      >
-        {isExporting.excel ? (
-          <svg className={`${getIconClasses()} mr-2 animate-spin`} xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-          </svg>
-        ) : (
-          <svg className={`${getIconClasses()} mr-2 text-green-600`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-          </svg>
-        )}
-        {isExporting.excel ? 'Exporting...' : 'Export Excel'}
-      </button>
+      {(FORMATS_BY_TYPE[exportType] || ['pdf', 'excel']).map(format => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={isExporting[format]}
+          className={`${getButtonClasses()} ${isExporting[format] ? 'opacity-50 cursor-not-allowed' : ''}`}
+          title={`Export as ${FORMATS[format].label}`}
+        >
+          {isExporting[format] ? (
+            <svg className={`${getIconClasses()} mr-2 animate-spin`} xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+          ) : (
+            <svg className={`${getIconClasses()} mr-2 ${FORMATS[format].iconClass}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={FORMATS[format].iconPath} />
+            </svg>
+          )}
+          {isExporting[format] ? 'Exporting...' : `Export ${FORMATS[format].label}`}
+        </button>
+      ))}
     </div>
   );
 };
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+
+const CONFIDENCE_LEVELS = [
+  { key: 'p50', label: '50%', className: 'text-gray-700' },
+  { key: 'p85', label: '85%', className: 'text-blue-700' },
+  { key: 'p95', label: '95%', className: 'text-green-700' }
+];
+
+const UNITS = {
+  points: { label: 'Story Points', short: 'pts' },
+  items: { label: 'Items', short: 'items' }
+};
+
+const formatDate = (isoDate) => isoDate
+  ? new Date(`${isoDate}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+  : '-';
+
+const ForecastCard = React.memo(({
+  forecast = null,
+  loading = false,
+  targetDate = '',
+  onTargetDateChange,
+  className = ''
+}) => {
+  const [unit, setUnit] = useState('points');
+
+  if (loading) {
+    return (
+      <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+        <div className="h-6 bg-gray-200 rounded animate-pulse mb-4"></div>
+        <div className="space-y-3">
+          {[...Array(4)].map((_, i) => (
+            <div key={i} className="h-4 bg-gray-100 rounded animate-pulse"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const completion = forecast?.completion?.[unit];
+  const remaining = forecast?.remaining?.[unit];
+  const byDate = forecast?.byDate?.[unit];
+  const sprints = forecast?.history?.sprints || 0;
+
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
+      <div className="mb-4 flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Delivery Forecast</h3>
+          <p className="text-sm text-gray-500">
+            Monte Carlo over the last {sprints} sprint{sprints === 1 ? '' : 's'}
+          </p>
+        </div>
+        <div className="inline-flex rounded-md border border-gray-200 text-xs" role="group" aria-label="Forecast unit">
+          {Object.entries(UNITS).map(([value, { label }]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setUnit(value)}
+              className={`px-2 py-1 first:rounded-l-md last:rounded-r-md ${
+                unit === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!completion ? (
+        <div className="py-8 text-center">
+          <p className="text-gray-500 text-sm">Not enough sprint history to forecast</p>
+          <p className="text-gray-400 text-xs mt-1">Forecasts need at least one completed sprint with delivered work</p>
+        </div>
+      ) : (
+        <>
+          <div className="text-sm text-gray-600 mb-3">
+            Remaining: <span className="font-semibold text-gray-900">{remaining} {UNITS[unit].short}</span>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="font-medium pb-2">Confidence</th>
+                <th className="font-medium pb-2">Sprints</th>
+                <th className="font-medium pb-2">Done by</th>
+              </tr>
+            </thead>
+            <tbody>
+              {CONFIDENCE_LEVELS.map(level => (
+                <tr key={level.key} className="border-t border-gray-100">
+                  <td className={`py-2 font-semibold ${level.className}`}>{level.label}</td>
+                  <td className="py-2 text-gray-900">{completion[level.key]?.deliveries ?? '-'}</td>
+                  <td className="py-2 text-gray-900">{formatDate(completion[level.key]?.date)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div className="mt-4 pt-4 border-t border-gray-200">
+        <label className="flex items-center justify-between text-sm text-gray-600">
+          <span>How much by</span>
+          <input
+            type="date"
+            value={targetDate}
+            onChange={(e) => onTargetDateChange?.(e.target.value)}
+            className="border border-gray-200 rounded-md px-2 py-1 text-gray-700"
+            aria-label="Forecast target date"
+          />
+        </label>
+        {byDate && (
+          <div className="mt-3 grid grid-cols-3 gap-2 text-center">
+            {CONFIDENCE_LEVELS.map(level => (
+              <div key={level.key}>
+                <div className={`text-xl font-bold ${level.className}`}>{byDate[level.key]}</div>
+                <div className="text-xs text-gray-500">{level.label} sure</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+// Set display name for better debugging
+ForecastCard.displayName = 'ForecastCard';
+
+export default ForecastCard;
@@ -1,8 +1,34 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { RealtimeStatusDot } from './RealtimeStatus';
 import ProjectLogo from './ProjectLogo';
+import UserMenu from './UserMenu';
+import NotificationSettings from './NotificationSettings';
+import PreferenceSettings from './PreferenceSettings';
+import SavedViewsMenu from './SavedViewsMenu';
+import { useActiveAlerts } from '../hooks/useRealtimeMetrics';
+import preferencesService from '../services/preferencesService';
 
 const Header = ({ onMobileMenuToggle }) => {
+  const [user, setUser] = useState(null);
+  const [isNotificationSettingsOpen, setIsNotificationSettingsOpen] = useState(false);
+  const [isPreferencesOpen, setIsPreferencesOpen] = useState(false);
+  const activeAlerts = useActiveAlerts();
+
+  useEffect(() => {
+    preferencesService.load().then(profile => {
+      if (!profile) {
+        setUser({ name: 'User', email: '', role: '', avatar: null });
+        return;
+      }
+      setUser({
+        name: profile.name || profile.email || 'User',
+        email: profile.email,
+        role: profile.roles?.[0] || 'User',
+        avatar: null
+      });
+    });
+  }, []);
+
   return (
     <header className="bg-white border-b border-gray-200 px-4 py-3 sm:px-6">
       <div className="flex items-center justify-between">
@@ -28,28 +54,49 @@ const Header = ({ onMobileMenuToggle }) => {
         <div className="flex items-center space-x-4">
           {/* Real-time status indicator */}
           <RealtimeStatusDot className="hidden sm:block" />
-          
+
+          {/* Saved dashboard views */}
+          <SavedViewsMenu className="hidden sm:block" />
+
           {/* Notifications */}
-          <button className="p-2 text-gray-600 hover:bg-gray-100 hover:text-gray-900 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500">
+          <button
+            onClick={() => setIsNotificationSettingsOpen(true)}
+            aria-label="Notification settings"
+            title={activeAlerts.length > 0 ? activeAlerts.map(alert => alert.message).join('\n') : undefined}
+            className="relative p-2 text-gray-600 hover:bg-gray-100 hover:text-gray-900 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
             <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-3.5-3.5a1.5 1.5 0 0 0-1.06-.44H13a1.5 1.5 0 0 0-1.06.44L8.5 17H4a2 2 0 0 1-2-2V7a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2z" />
             </svg>
+            {activeAlerts.length > 0 && (
+              <span
+                data-testid="active-alert-count"
+                className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-medium flex items-center justify-center"
+              >
+                {activeAlerts.length}
+              </span>
+            )}
           </button>
 
           {/* User menu */}
-          <div className="relative">
-            <button className="flex items-center space-x-2 p-2 text-gray-600 hover:bg-gray-100 hover:text-gray-900 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500">
-              <div className="h-8 w-8 bg-primary-500 rounded-full flex items-center justify-center">
-                <span className="text-white text-sm font-medium">U</span>
-              </div>
-              <span className="hidden sm:block text-sm font-medium">User</span>
-              <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
-              </svg>
-            </button>
-          </div>
+          {user && (
+            <UserMenu
+              user={user}
+              onSettingsClick={() => setIsPreferencesOpen(true)}
+              onNotificationsClick={() => setIsNotificationSettingsOpen(true)}
+            />
+          )}
         </div>
       </div>
+
+      <NotificationSettings
+        isOpen={isNotificationSettingsOpen}
+        onClose={() => setIsNotificationSettingsOpen(false)}
+      />
+      <PreferenceSettings
+        isOpen={isPreferencesOpen}
+        onClose={() => setIsPreferencesOpen(false)}
+      />
     </header>
   );
 };
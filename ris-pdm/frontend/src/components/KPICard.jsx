@@ -1,4 +1,5 @@
 import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
 
 // Memoized color variants for better performance
 const COLOR_VARIANTS = {
@@ -45,6 +46,7 @@ const KPICard = React.memo(({
   icon, 
   color = 'blue',
   loading = false,
+  to,
   className = '' 
 }) => {
   // Memoize color selection
@@ -141,6 +143,13 @@ const KPICard = React.memo(({
               {trendIcon}
             </div>
           )}
+
+          {/* Drill-down to the work items behind the number */}
+          {to && (
+            <Link to={to} className="inline-block mt-3 text-sm font-medium text-blue-600 hover:text-blue-800">
+              View work items →
+            </Link>
+          )}
         </div>
         
         {/* Icon */}
@@ -165,19 +174,19 @@ KPICard.displayName = 'KPICard';
 export const PLCard = React.memo(({ value, trend, trendValue, loading }) => (
   <KPICard
     title="P/L YTD"
-    value={value >= 1000000 ? value / 1000000 : value}
+    value={Math.abs(value) >= 1000000 ? value / 1000000 : value}
     trend={trend}
     trendValue={trendValue}
     format="decimal"
     prefix="฿"
-    suffix={value >= 1000000 ? 'M' : ''}
+    suffix={Math.abs(value) >= 1000000 ? 'M' : ''}
     icon="💰"
     color="green"
     loading={loading}
   />
 ));
 
-export const VelocityCard = React.memo(({ value, trend, trendValue, loading }) => (
+export const VelocityCard = React.memo(({ value, trend, trendValue, loading, to }) => (
   <KPICard
     title="Velocity"
     value={value}
@@ -187,10 +196,11 @@ export const VelocityCard = React.memo(({ value, trend, trendValue, loading }) =
     icon="🚀"
     color="blue"
     loading={loading}
+    to={to}
   />
 ));
 
-export const BugCountCard = React.memo(({ value, trend, trendValue, loading }) => (
+export const BugCountCard = React.memo(({ value, trend, trendValue, loading, to }) => (
   <KPICard
     title="Bug Count"
     value={value}
@@ -199,6 +209,7 @@ export const BugCountCard = React.memo(({ value, trend, trendValue, loading }) =
     icon="🐛"
     color="red"
     loading={loading}
+    to={to}
   />
 ));
 
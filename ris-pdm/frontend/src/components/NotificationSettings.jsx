@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { projectsConfig } from '../config/branding';
+
+const CHANNEL_LABELS = {
+  teams: 'Microsoft Teams',
+  slack: 'Slack',
+  email: 'Email'
+};
+
+const TARGET_PLACEHOLDERS = {
+  teams: 'https://<tenant>.webhook.office.com/...',
+  slack: 'https://hooks.slack.com/services/...',
+  email: 'you@company.com'
+};
+
+const COOLDOWNS = [
+  { value: 15, label: '15 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 240, label: '4 hours' },
+  { value: 1440, label: '1 day' }
+];
+
+const ALL_PRODUCTS = 'all-projects';
+
+const EMPTY_FORM = {
+  productId: ALL_PRODUCTS,
+  alertTypes: [],
+  channel: 'teams',
+  target: '',
+  mode: 'immediate',
+  cooldownMinutes: 240
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.message || err.response?.data?.error || fallback
+);
+
+const productName = (productId) => (
+  productId ? projectsConfig.find(project => project.id === productId)?.name || productId : 'All products'
+);
+
+/**
+ * KPI alert subscriptions of the signed-in user (Teams, Slack or email; immediate or digest)
+ */
+const NotificationSettings = ({ isOpen, onClose }) => {
+  const [options, setOptions] = useState(null);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [optionsResponse, subscriptionsResponse] = await Promise.all([
+        axios.get('/api/notifications/options', { headers: authHeaders() }),
+        axios.get('/api/notifications/subscriptions', { headers: authHeaders() })
+      ]);
+      setOptions(optionsResponse.data.data);
+      setSubscriptions(subscriptionsResponse.data.data || []);
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load notification settings'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchSettings();
+    }
+  }, [isOpen, fetchSettings]);
+
+  if (!isOpen) return null;
+
+  const alertTypeLabel = (id) => options?.alertTypes.find(type => type.id === id)?.label || id;
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleAlertType = (id) => setForm(prev => ({
+    ...prev,
+    alertTypes: prev.alertTypes.includes(id)
+      ? prev.alertTypes.filter(type => type !== id)
+      : [...prev.alertTypes, id]
+  }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.alertTypes.length === 0 || !form.target.trim()) return;
+
+    setSaving(true);
+    try {
+      await axios.post('/api/notifications/subscriptions', {
+        ...form,
+        productId: form.productId === ALL_PRODUCTS ? null : form.productId,
+        target: form.target.trim()
+      }, { headers: authHeaders() });
+      setForm(EMPTY_FORM);
+      setNotice(null);
+      await fetchSettings();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save subscription'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (subscription) => {
+    try {
+      await axios.put(`/api/notifications/subscriptions/${subscription.id}`, {
+        enabled: !subscription.enabled
+      }, { headers: authHeaders() });
+      await fetchSettings();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update subscription'));
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    try {
+      await axios.delete(`/api/notifications/subscriptions/${subscription.id}`, { headers: authHeaders() });
+      await fetchSettings();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete subscription'));
+    }
+  };
+
+  const handleTest = async (subscription) => {
+    try {
+      await axios.post(`/api/notifications/subscriptions/${subscription.id}/test`, {}, { headers: authHeaders() });
+      setNotice(`Test notification sent to ${CHANNEL_LABELS[subscription.channel]}`);
+      setError(null);
+    } catch (err) {
+      setNotice(null);
+      setError(errorMessage(err, 'Test notification failed'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black bg-opacity-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl mt-10" role="dialog" aria-modal="true" aria-labelledby="notification-settings-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 id="notification-settings-title" className="text-lg font-semibold text-gray-900">Alert Notifications</h2>
+            <p className="text-sm text-gray-500">Get KPI alerts in Teams, Slack or by email</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+            aria-label="Close notification settings"
+          >
+            <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-6">
+          {error && (
+            <div className="p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+          )}
+          {notice && (
+            <div className="p-3 rounded-md bg-green-50 text-sm text-green-700">{notice}</div>
+          )}
+
+          <section>
+            <h3 className="text-sm font-medium text-gray-900 mb-2">Your subscriptions</h3>
+            {loading ? (
+              <div className="h-16 bg-gray-100 rounded animate-pulse"></div>
+            ) : subscriptions.length === 0 ? (
+              <p className="text-sm text-gray-500">You are not subscribed to any alerts yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {subscriptions.map(subscription => (
+                  <li key={subscription.id} className="p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <div className={`min-w-0 ${subscription.enabled ? '' : 'opacity-50'}`}>
+                      <div className="text-sm font-medium text-gray-900">
+                        {productName(subscription.productId)} · {CHANNEL_LABELS[subscription.channel]}
+                        {subscription.mode === 'digest' && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800">Digest</span>
+                        )}
+                      </div>
+                      <div className="text-xs text-gray-500 truncate">{subscription.target}</div>
+                      <div className="text-xs text-gray-500">
+                        {subscription.alertTypes.map(alertTypeLabel).join(', ')}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2 text-sm flex-shrink-0">
+                      <button type="button" onClick={() => handleTest(subscription)} className="text-blue-600 hover:text-blue-800">
+                        Send test
+                      </button>
+                      <button type="button" onClick={() => handleToggle(subscription)} className="text-gray-600 hover:text-gray-900">
+                        {subscription.enabled ? 'Pause' : 'Resume'}
+                      </button>
+                      <button type="button" onClick={() => handleDelete(subscription)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {options && (
+            <form onSubmit={handleCreate} className="space-y-4 pt-4 border-t border-gray-200">
+              <h3 className="text-sm font-medium text-gray-900">Add a subscription</h3>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="text-sm text-gray-700">
+                  Product
+                  <select
+                    value={form.productId}
+                    onChange={(e) => setField('productId', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    {projectsConfig.map(project => (
+                      <option key={project.id} value={project.id}>
+                        {project.id === ALL_PRODUCTS ? 'All products' : project.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  Channel
+                  <select
+                    value={form.channel}
+                    onChange={(e) => setField('channel', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    {options.channels.map(channel => (
+                      <option key={channel.id} value={channel.id} disabled={!channel.configured}>
+                        {CHANNEL_LABELS[channel.id]}{channel.configured ? '' : ' (not configured)'}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <label className="block text-sm text-gray-700">
+                {form.channel === 'email' ? 'Email address' : 'Incoming webhook URL'}
+                <input
+                  type={form.channel === 'email' ? 'email' : 'url'}
+                  value={form.target}
+                  onChange={(e) => setField('target', e.target.value)}
+                  placeholder={TARGET_PLACEHOLDERS[form.channel]}
+                  maxLength={1000}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+
+              <fieldset>
+                <legend className="text-sm text-gray-700 mb-2">Alerts</legend>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {options.alertTypes.map(type => (
+                    <label key={type.id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.alertTypes.includes(type.id)}
+                        onChange={() => toggleAlertType(type.id)}
+                        className="mr-2"
+                      />
+                      {type.label}
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-xs text-gray-400">
+                  Individual alerts only reach you for people whose performance you can view.
+                </p>
+              </fieldset>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="text-sm text-gray-700">
+                  Delivery
+                  <select
+                    value={form.mode}
+                    onChange={(e) => setField('mode', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="immediate">As alerts are raised</option>
+                    <option value="digest">Digest every {options.digestIntervalHours} hours</option>
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                  Don't repeat an alert within
+                  <select
+                    value={form.cooldownMinutes}
+                    onChange={(e) => setField('cooldownMinutes', Number(e.target.value))}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                  >
+                    {COOLDOWNS.map(cooldown => (
+                      <option key={cooldown.value} value={cooldown.value}>{cooldown.label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={saving || form.alertTypes.length === 0 || !form.target.trim()}
+                  className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {saving ? 'Saving...' : 'Subscribe'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
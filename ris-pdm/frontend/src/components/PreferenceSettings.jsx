@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { projectsConfig } from '../config/branding';
+import { DASHBOARD_FILTERS, SPRINT_MODES } from '../config/dashboard';
+import useUserPreferences from '../hooks/useUserPreferences';
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.error || err.response?.data?.message || fallback
+);
+
+const formFrom = (preferences) => ({
+  defaultProductId: preferences?.defaultProductId || DASHBOARD_FILTERS.productId,
+  defaultSprintMode: preferences?.defaultSprintMode || DASHBOARD_FILTERS.sprintId
+});
+
+/**
+ * Dashboard preferences of the signed-in user: the product and sprint pages open on. Saved views
+ * are managed from the Views menu, and the widget layout from the dashboard itself.
+ */
+const PreferenceSettings = ({ isOpen, onClose }) => {
+  const { preferences, savePreferences } = useUserPreferences();
+  const [form, setForm] = useState(() => formFrom(preferences));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(formFrom(preferences));
+    }
+  }, [isOpen, preferences]);
+
+  useEffect(() => {
+    setError(null);
+    setNotice(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await savePreferences(form);
+      setError(null);
+      setNotice('Preferences saved');
+    } catch (err) {
+      setNotice(null);
+      setError(errorMessage(err, 'Failed to save preferences'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black bg-opacity-50 p-4 overflow-y-auto">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-lg mt-10" role="dialog" aria-modal="true" aria-labelledby="preference-settings-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h2 id="preference-settings-title" className="text-lg font-semibold text-gray-900">Preferences</h2>
+            <p className="text-sm text-gray-500">What the dashboard shows when you open it</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+            aria-label="Close preferences"
+          >
+            <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="px-6 py-4 space-y-4">
+          {error && (
+            <div className="p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+          )}
+          {notice && (
+            <div className="p-3 rounded-md bg-green-50 text-sm text-green-700">{notice}</div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700">
+              Default product
+              <select
+                value={form.defaultProductId}
+                onChange={(e) => setField('defaultProductId', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {projectsConfig.map(project => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Default sprint
+              <select
+                value={form.defaultSprintMode}
+                onChange={(e) => setField('defaultSprintMode', e.target.value)}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {SPRINT_MODES.map(mode => (
+                  <option key={mode.id} value={mode.id}>{mode.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <p className="text-xs text-gray-400">
+            To choose and arrange the dashboard widgets, use Customize layout on the dashboard.
+          </p>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save preferences'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PreferenceSettings;
@@ -0,0 +1,158 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import useUserPreferences from '../hooks/useUserPreferences';
+import { DASHBOARD_FILTERS, savedViewPath } from '../config/dashboard';
+
+const MAX_SAVED_VIEWS = 20;
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.error || err.response?.data?.message || fallback
+);
+
+/**
+ * Header menu to open one of the user's saved dashboard views, or save the dashboard as shown
+ */
+const SavedViewsMenu = ({ className = '' }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { preferences, savePreferences } = useUserPreferences();
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const dropdownRef = useRef(null);
+
+  const savedViews = preferences?.savedViews || [];
+  const onDashboard = location.pathname === '/';
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const openView = (view) => {
+    navigate(savedViewPath(view));
+    setIsOpen(false);
+  };
+
+  // The dashboard keeps its filters in the URL, so the current view is read from there
+  const currentView = () => {
+    const params = new URLSearchParams(location.search);
+    const widgets = params.get('widgets');
+    return {
+      name: name.trim(),
+      productId: params.get('productId') || DASHBOARD_FILTERS.productId,
+      sprintId: params.get('sprintId') || DASHBOARD_FILTERS.sprintId,
+      startDate: params.get('startDate') || null,
+      endDate: params.get('endDate') || null,
+      // Without widgets the view shows the layout the user has for the product
+      widgets: widgets ? widgets.split(',') : null
+    };
+  };
+
+  const saveViews = async (views) => {
+    setSaving(true);
+    try {
+      await savePreferences({ savedViews: views });
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save views'));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    // Saving under an existing name replaces that view
+    const others = savedViews.filter(view => view.name.toLowerCase() !== name.trim().toLowerCase());
+    if (await saveViews([...others, currentView()])) {
+      setName('');
+    }
+  };
+
+  const handleDelete = (view) => saveViews(savedViews.filter(saved => saved.name !== view.name));
+
+  return (
+    <div className={`relative ${className}`} ref={dropdownRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center px-3 py-2 text-sm text-gray-600 hover:bg-gray-100 hover:text-gray-900 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        <svg className="h-5 w-5 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+        </svg>
+        Views
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-50 mt-2 w-72 bg-white border border-gray-200 rounded-md shadow-lg">
+          {savedViews.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">No saved views yet.</p>
+          ) : (
+            <ul className="py-1 max-h-72 overflow-y-auto" role="menu">
+              {savedViews.map(view => (
+                <li key={view.name} className="flex items-center justify-between px-4 py-2 hover:bg-gray-50">
+                  <button
+                    type="button"
+                    role="menuitem"
+                    onClick={() => openView(view)}
+                    className="min-w-0 flex-1 text-left text-sm text-gray-900 truncate"
+                  >
+                    {view.name}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(view)}
+                    disabled={saving}
+                    aria-label={`Delete view ${view.name}`}
+                    className="ml-2 text-gray-400 hover:text-red-600"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {onDashboard && (
+            <form onSubmit={handleSave} className="border-t border-gray-200 px-4 py-3 space-y-2">
+              <input
+                type="text"
+                aria-label="View name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Name this view"
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <button
+                type="submit"
+                disabled={saving || !name.trim() || savedViews.length >= MAX_SAVED_VIEWS}
+                className="w-full px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save current view'}
+              </button>
+            </form>
+          )}
+          {error && <p className="px-4 pb-3 text-sm text-red-700">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsMenu;
@@ -7,8 +7,12 @@ const SprintBurndownChart = React.memo(({
   loading = false, 
   height = 300, 
   showIdealLine = true,
+  metric = 'storyPoints',
+  onMetricChange,
   className = '' 
 }) => {
+  const unit = metric === 'remainingWork' ? 'hrs' : 'pts';
+
   // Memoize chart data to prevent unnecessary recalculations
   const chartData = useMemo(() => {
     // Only show real data - don't fall back to sample data
@@ -17,14 +21,24 @@ const SprintBurndownChart = React.memo(({
 
   // Memoize calculated values
   const chartMetrics = useMemo(() => {
-    if (!chartData.length) return { maxValue: 0, currentActual: 0, currentIdeal: 0, sprintProgress: 0 };
+    if (!chartData.length) {
+      return { maxValue: 0, currentActual: 0, currentIdeal: 0, sprintProgress: 0, completed: 0, scopeAdded: 0, scopeRemoved: 0, hasScopeData: false };
+    }
+    
+    // Days after today have no actual value yet; report against the latest known day
+    const reported = chartData.filter(d => d.actualRemaining !== null && d.actualRemaining !== undefined);
+    const latest = reported[reported.length - 1] || chartData[chartData.length - 1];
     
     const maxValue = Math.max(...chartData.map(d => Math.max(d.idealRemaining || 0, d.actualRemaining || 0)));
-    const currentActual = chartData[chartData.length - 1]?.actualRemaining || 0;
-    const currentIdeal = chartData[chartData.length - 1]?.idealRemaining || 0;
+    const currentActual = latest?.actualRemaining || 0;
+    const currentIdeal = latest?.idealRemaining || 0;
     const sprintProgress = ((chartData[0]?.actualRemaining || 0) - currentActual) / (chartData[0]?.actualRemaining || 1) * 100;
+    const completed = latest?.completed ?? ((chartData[0]?.idealRemaining || 0) - currentActual);
+    const hasScopeData = chartData.some(d => d.scopeAdded !== undefined && d.scopeAdded !== null);
+    const scopeAdded = chartData.reduce((sum, d) => sum + (d.scopeAdded || 0), 0);
+    const scopeRemoved = chartData.reduce((sum, d) => sum + (d.scopeRemoved || 0), 0);
     
-    return { maxValue, currentActual, currentIdeal, sprintProgress };
+    return { maxValue, currentActual, currentIdeal, sprintProgress, completed, scopeAdded, scopeRemoved, hasScopeData };
   }, [chartData]);
 
   // Memoize custom tooltip for better performance
@@ -35,7 +49,7 @@ const SprintBurndownChart = React.memo(({
         <div className="bg-white p-4 border border-gray-300 rounded-lg shadow-lg">
           <p className="font-medium text-gray-900 mb-2">{data.date || label}</p>
           <div className="space-y-1">
-            {payload.map((entry, index) => (
+            {payload.filter(entry => entry.value !== null && entry.value !== undefined).map((entry, index) => (
               <div key={index} className="flex items-center justify-between space-x-4">
                 <div className="flex items-center space-x-2">
                   <div 
@@ -45,26 +59,26 @@ const SprintBurndownChart = React.memo(({
                   <span className="text-sm text-gray-600">{entry.name}:</span>
                 </div>
                 <span className="text-sm font-medium text-gray-900">
-                  {entry.value} pts
+                  {entry.value} {unit}
                 </span>
               </div>
             ))}
           </div>
-          {data.actualRemaining < data.idealRemaining && (
+          {data.actualRemaining !== null && data.actualRemaining < data.idealRemaining && (
             <div className="mt-2 text-sm text-green-600">
-              ✓ {(data.idealRemaining - data.actualRemaining).toFixed(1)} pts ahead
+              ✓ {(data.idealRemaining - data.actualRemaining).toFixed(1)} {unit} ahead
             </div>
           )}
-          {data.actualRemaining > data.idealRemaining && (
+          {data.actualRemaining !== null && data.actualRemaining > data.idealRemaining && (
             <div className="mt-2 text-sm text-red-600">
-              ⚠ {(data.actualRemaining - data.idealRemaining).toFixed(1)} pts behind
+              ⚠ {(data.actualRemaining - data.idealRemaining).toFixed(1)} {unit} behind
             </div>
           )}
         </div>
       );
     }
     return null;
-  }, []);
+  }, [unit]);
 
   if (loading) {
     return (
@@ -91,15 +105,38 @@ const SprintBurndownChart = React.memo(({
     );
   }
 
-  const { currentActual, currentIdeal, sprintProgress } = chartMetrics;
+  const { currentActual, currentIdeal, sprintProgress, completed, scopeAdded, scopeRemoved, hasScopeData } = chartMetrics;
+
+  const metricToggle = onMetricChange && (
+    <div className="inline-flex rounded-md border border-gray-200 text-xs" role="group" aria-label="Burndown metric">
+      {[
+        { value: 'storyPoints', label: 'Story Points' },
+        { value: 'remainingWork', label: 'Remaining Work' }
+      ].map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onMetricChange(option.value)}
+          className={`px-2 py-1 first:rounded-l-md last:rounded-r-md ${
+            metric === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
 
   // Show "No Data" state when chartData is empty
   if (chartData.length === 0) {
     return (
       <div className={`bg-white p-6 rounded-lg shadow-dashboard border ${className}`}>
-        <div className="mb-6">
-          <h3 className="text-lg font-semibold text-gray-900">Sprint Burndown</h3>
-          <p className="text-sm text-gray-500">Sprint burndown chart shows story point completion over time</p>
+        <div className="mb-6 flex items-start justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Sprint Burndown</h3>
+            <p className="text-sm text-gray-500">Sprint burndown chart shows story point completion over time</p>
+          </div>
+          {metricToggle}
         </div>
         <div className="flex items-center justify-center" style={{ height }}>
           <div className="text-center">
@@ -133,6 +170,19 @@ const SprintBurndownChart = React.memo(({
                 <span className="text-sm text-gray-600">Ideal</span>
               </div>
             )}
+            {hasScopeData && (
+              <>
+                <div className="flex items-center space-x-2">
+                  <div className="w-3 h-3 bg-amber-500 rounded-full"></div>
+                  <span className="text-sm text-gray-600">Added</span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <div className="w-3 h-3 bg-red-500 rounded-full"></div>
+                  <span className="text-sm text-gray-600">Removed</span>
+                </div>
+              </>
+            )}
+            {metricToggle}
           </div>
         </div>
         
@@ -140,7 +190,7 @@ const SprintBurndownChart = React.memo(({
         <div className="flex items-center justify-between text-sm">
           <div className="flex items-center space-x-4">
             <span className="text-gray-600">
-              Remaining: <span className="font-semibold text-gray-900">{currentActual} pts</span>
+              Remaining: <span className="font-semibold text-gray-900">{currentActual} {unit}</span>
             </span>
             <span className="text-gray-600">
               Progress: <span className="font-semibold text-gray-900">{sprintProgress.toFixed(1)}%</span>
@@ -171,7 +221,7 @@ const SprintBurndownChart = React.memo(({
               tick={{ fontSize: 12, fill: '#6b7280' }}
               axisLine={{ stroke: '#e5e7eb' }}
               tickLine={{ stroke: '#e5e7eb' }}
-              label={{ value: 'Story Points', angle: -90, position: 'insideLeft', style: { textAnchor: 'middle', fill: '#6b7280' } }}
+              label={{ value: metric === 'remainingWork' ? 'Remaining Hours' : 'Story Points', angle: -90, position: 'insideLeft', style: { textAnchor: 'middle', fill: '#6b7280' } }}
             />
             <Tooltip content={<CustomTooltip />} />
             
@@ -203,6 +253,30 @@ const SprintBurndownChart = React.memo(({
               name="Actual Burndown"
               connectNulls={false}
             />
+
+            {/* Scope changes replayed from work item history */}
+            {hasScopeData && (
+              <Line
+                type="stepAfter"
+                dataKey="scopeAdded"
+                stroke="#f59e0b"
+                strokeWidth={1.5}
+                dot={{ fill: '#f59e0b', r: 2 }}
+                name="Scope Added"
+                connectNulls={false}
+              />
+            )}
+            {hasScopeData && (
+              <Line
+                type="stepAfter"
+                dataKey="scopeRemoved"
+                stroke="#ef4444"
+                strokeWidth={1.5}
+                dot={{ fill: '#ef4444', r: 2 }}
+                name="Scope Removed"
+                connectNulls={false}
+              />
+            )}
           </LineChart>
         </ResponsiveContainer>
       </div>
@@ -216,7 +290,7 @@ const SprintBurndownChart = React.memo(({
           </div>
           <div>
             <div className="text-2xl font-bold text-green-600">
-              {((chartData[0]?.idealRemaining || 0) - currentActual).toFixed(0)}
+              {Number(completed).toFixed(0)}
             </div>
             <div className="text-sm text-gray-500">Completed</div>
           </div>
@@ -225,6 +299,13 @@ const SprintBurndownChart = React.memo(({
             <div className="text-sm text-gray-500">Progress</div>
           </div>
         </div>
+        {hasScopeData && (
+          <div className="mt-3 text-center text-sm text-gray-600">
+            Scope change: <span className="font-medium text-amber-600">+{scopeAdded.toFixed(1)}</span>
+            {' / '}
+            <span className="font-medium text-red-600">-{scopeRemoved.toFixed(1)}</span> {unit}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+
+const SCALES = {
+  csat: { values: [1, 2, 3, 4, 5], low: 'Very dissatisfied', high: 'Very satisfied' },
+  nps: { values: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10], low: 'Not at all likely', high: 'Extremely likely' }
+};
+
+const SurveyForm = React.memo(({
+  questions = [],
+  onSubmit,
+  submitting = false,
+  className = ''
+}) => {
+  const [answers, setAnswers] = useState({});
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+
+  const setAnswer = (questionId, value) => setAnswers(prev => ({ ...prev, [questionId]: value }));
+
+  const complete = questions
+    .filter(question => question.type !== 'text')
+    .every(question => answers[question.id] !== undefined);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!complete || submitting) return;
+    onSubmit?.({
+      answers,
+      ...(name.trim() && { name: name.trim() }),
+      ...(email.trim() && { email: email.trim() })
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`space-y-6 ${className}`}>
+      {questions.map((question, index) => (
+        <fieldset key={question.id}>
+          <legend className="text-sm font-medium text-gray-900 mb-3">
+            {index + 1}. {question.text}
+          </legend>
+
+          {question.type === 'text' ? (
+            <textarea
+              value={answers[question.id] || ''}
+              onChange={(e) => setAnswer(question.id, e.target.value)}
+              rows={3}
+              maxLength={2000}
+              aria-label={question.text}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          ) : (
+            <div>
+              <div className="flex flex-wrap gap-2" role="group" aria-label={question.text}>
+                {SCALES[question.type].values.map(value => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setAnswer(question.id, value)}
+                    aria-pressed={answers[question.id] === value}
+                    className={`w-10 h-10 rounded-md border text-sm font-medium transition-colors ${
+                      answers[question.id] === value
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {value}
+                  </button>
+                ))}
+              </div>
+              <div className="mt-1 flex justify-between text-xs text-gray-500 max-w-md">
+                <span>{SCALES[question.type].low}</span>
+                <span>{SCALES[question.type].high}</span>
+              </div>
+            </div>
+          )}
+        </fieldset>
+      ))}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 pt-4 border-t border-gray-200">
+        <label className="text-sm text-gray-700">
+          Name (optional)
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Email (optional)
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </label>
+      </div>
+
+      <button
+        type="submit"
+        disabled={!complete || submitting}
+        className="w-full bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? 'Sending...' : 'Send feedback'}
+      </button>
+    </form>
+  );
+});
+
+// Set display name for better debugging
+SurveyForm.displayName = 'SurveyForm';
+
+export default SurveyForm;
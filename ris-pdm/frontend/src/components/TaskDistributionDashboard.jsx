@@ -13,6 +13,8 @@ const TaskDistributionDashboard = ({
   productId, 
   iterationPath = null, 
   assignedTo = null,
+  showDistribution = true,
+  showBugClassification = true,
   className = '' 
 }) => {
   const [distributionData, setDistributionData] = useState(null);
@@ -167,165 +169,171 @@ const TaskDistributionDashboard = ({
   return (
     <div className={`space-y-6 ${className}`}>
       {/* Header */}
-      <div className="bg-white p-6 rounded-lg border border-gray-200">
-        <div className="flex justify-between items-center mb-4">
-          <h2 className="text-xl font-semibold text-gray-800">Task Distribution Analysis</h2>
-          <div className="flex items-center space-x-4">
-            <span className="text-sm text-gray-500">
-              Total Items: {totalItems.toLocaleString()}
-            </span>
-            <div className="flex items-center space-x-2">
-              <label className="text-sm text-gray-600">
-                <input
-                  type="checkbox"
-                  checked={filters.includeRemoved}
-                  onChange={(e) => setFilters(prev => ({ ...prev, includeRemoved: e.target.checked }))}
-                  className="mr-1"
-                />
-                Include Removed
-              </label>
+      {showDistribution && (
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-gray-800">Task Distribution Analysis</h2>
+            <div className="flex items-center space-x-4">
+              <span className="text-sm text-gray-500">
+                Total Items: {totalItems.toLocaleString()}
+              </span>
+              <div className="flex items-center space-x-2">
+                <label className="text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={filters.includeRemoved}
+                    onChange={(e) => setFilters(prev => ({ ...prev, includeRemoved: e.target.checked }))}
+                    className="mr-1"
+                  />
+                  Include Removed
+                </label>
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Summary Cards */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-          {Object.entries(distributionData.distribution).map(([type, data]) => (
-            <div key={type} className="text-center p-4 bg-gray-50 rounded-lg">
-              <div className="text-2xl font-bold mb-1" style={{ color: COLORS[type] }}>
-                {data.count}
-              </div>
-              <div className="text-sm font-medium text-gray-700 capitalize mb-1">
-                {type}
+          {/* Summary Cards */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {Object.entries(distributionData.distribution).map(([type, data]) => (
+              <div key={type} className="text-center p-4 bg-gray-50 rounded-lg">
+                <div className="text-2xl font-bold mb-1" style={{ color: COLORS[type] }}>
+                  {data.count}
+                </div>
+                <div className="text-sm font-medium text-gray-700 capitalize mb-1">
+                  {type}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {data.percentage}%
+                </div>
+                {data.storyPoints > 0 && (
+                  <div className="text-xs text-gray-400 mt-1">
+                    {data.storyPoints} SP
+                  </div>
+                )}
               </div>
-              <div className="text-xs text-gray-500">
-                {data.percentage}%
+            ))}
+          </div>
+
+          {/* Charts */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Pie Chart */}
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-800 mb-4">Distribution Breakdown</h3>
+              <ResponsiveContainer width="100%" height={350}>
+                <PieChart>
+                  <Pie
+                    data={pieData}
+                    cx="50%"
+                    cy="50%"
+                    labelLine={false}
+                    label={renderCustomLabel}
+                    outerRadius={70}
+                    fill="#8884d8"
+                    dataKey="value"
+                  >
+                    {pieData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.color} />
+                    ))}
+                  </Pie>
+                  <Tooltip content={<CustomTooltip />} />
+                </PieChart>
+              </ResponsiveContainer>
+              
+              {/* Legend for small slices */}
+              <div className="mt-4 flex flex-wrap justify-center gap-4">
+                {pieData.map((entry, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <div
+                      className="w-3 h-3 rounded-full"
+                      style={{ backgroundColor: entry.color }}
+                    />
+                    <span className="text-sm text-gray-700">
+                      {entry.name}: {entry.value} ({entry.percentage}%)
+                    </span>
+                  </div>
+                ))}
               </div>
-              {data.storyPoints > 0 && (
-                <div className="text-xs text-gray-400 mt-1">
-                  {data.storyPoints} SP
-                </div>
-              )}
             </div>
-          ))}
-        </div>
 
-        {/* Charts */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {/* Pie Chart */}
-          <div className="bg-gray-50 p-4 rounded-lg">
-            <h3 className="text-lg font-medium text-gray-800 mb-4">Distribution Breakdown</h3>
-            <ResponsiveContainer width="100%" height={350}>
-              <PieChart>
-                <Pie
-                  data={pieData}
-                  cx="50%"
-                  cy="50%"
-                  labelLine={false}
-                  label={renderCustomLabel}
-                  outerRadius={70}
-                  fill="#8884d8"
-                  dataKey="value"
-                >
-                  {pieData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={entry.color} />
-                  ))}
-                </Pie>
-                <Tooltip content={<CustomTooltip />} />
-              </PieChart>
-            </ResponsiveContainer>
-            
-            {/* Legend for small slices */}
-            <div className="mt-4 flex flex-wrap justify-center gap-4">
-              {pieData.map((entry, index) => (
-                <div key={index} className="flex items-center space-x-2">
-                  <div
-                    className="w-3 h-3 rounded-full"
-                    style={{ backgroundColor: entry.color }}
+            {/* Bar Chart */}
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-800 mb-4">Count vs Story Points</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={barData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis yAxisId="left" />
+                  <YAxis yAxisId="right" orientation="right" />
+                  <Tooltip content={<CustomTooltip />} />
+                  <Legend />
+                  <Bar 
+                    yAxisId="left" 
+                    dataKey="count" 
+                    fill="#4F46E5" 
+                    name="Count" 
+                    radius={[4, 4, 0, 0]}
                   />
-                  <span className="text-sm text-gray-700">
-                    {entry.name}: {entry.value} ({entry.percentage}%)
-                  </span>
-                </div>
-              ))}
+                  <Bar 
+                    yAxisId="right" 
+                    dataKey="storyPoints" 
+                    fill="#10B981" 
+                    name="Story Points"
+                    radius={[4, 4, 0, 0]}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
             </div>
           </div>
 
-          {/* Bar Chart */}
-          <div className="bg-gray-50 p-4 rounded-lg">
-            <h3 className="text-lg font-medium text-gray-800 mb-4">Count vs Story Points</h3>
-            <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={barData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="name" />
-                <YAxis yAxisId="left" />
-                <YAxis yAxisId="right" orientation="right" />
-                <Tooltip content={<CustomTooltip />} />
-                <Legend />
-                <Bar 
-                  yAxisId="left" 
-                  dataKey="count" 
-                  fill="#4F46E5" 
-                  name="Count" 
-                  radius={[4, 4, 0, 0]}
-                />
-                <Bar 
-                  yAxisId="right" 
-                  dataKey="storyPoints" 
-                  fill="#10B981" 
-                  name="Story Points"
-                  radius={[4, 4, 0, 0]}
-                />
-              </BarChart>
-            </ResponsiveContainer>
-          </div>
-        </div>
-
-        {/* Insights */}
-        {distributionData.bugClassification && (
-          <div className="mt-6 p-4 bg-blue-50 rounded-lg">
-            <h3 className="text-lg font-medium text-gray-800 mb-2">Key Insights</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-              <div>
-                <span className="font-medium">Bug Ratio:</span> 
-                <span className="ml-2">
-                  {Math.round((distributionData.distribution.bugs.count / totalItems) * 100)}%
-                </span>
-                {distributionData.distribution.bugs.count / totalItems > 0.15 && (
-                  <span className="ml-2 text-red-600 text-xs">(High)</span>
-                )}
-              </div>
-              <div>
-                <span className="font-medium">Total Bugs:</span> 
-                <span className="ml-2">{distributionData.bugClassification.totalBugs}</span>
-              </div>
-              <div>
-                <span className="font-medium">Classified Bugs:</span> 
-                <span className="ml-2">
-                  {distributionData.bugClassification.totalBugs - distributionData.bugClassification.unclassified}
-                </span>
-              </div>
-              <div>
-                <span className="font-medium">Classification Rate:</span> 
-                <span className="ml-2">{distributionData.bugClassification.classificationRate}%</span>
-                {distributionData.bugClassification.classificationRate < 80 && (
-                  <span className="ml-2 text-yellow-600 text-xs">(Needs Improvement)</span>
-                )}
+          {/* Insights */}
+          {distributionData.bugClassification && (
+            <div className="mt-6 p-4 bg-blue-50 rounded-lg">
+              <h3 className="text-lg font-medium text-gray-800 mb-2">Key Insights</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div>
+                  <span className="font-medium">Bug Ratio:</span> 
+                  <span className="ml-2">
+                    {Math.round((distributionData.distribution.bugs.count / totalItems) * 100)}%
+                  </span>
+                  {distributionData.distribution.bugs.count / totalItems > 0.15 && (
+                    <span className="ml-2 text-red-600 text-xs">(High)</span>
+                  )}
+                </div>
+                <div>
+                  <span className="font-medium">Total Bugs:</span> 
+                  <span className="ml-2">{distributionData.bugClassification.totalBugs}</span>
+                </div>
+                <div>
+                  <span className="font-medium">Classified Bugs:</span> 
+                  <span className="ml-2">
+                    {distributionData.bugClassification.totalBugs - distributionData.bugClassification.unclassified}
+                  </span>
+                </div>
+                <div>
+                  <span className="font-medium">Classification Rate:</span> 
+                  <span className="ml-2">{distributionData.bugClassification.classificationRate}%</span>
+                  {distributionData.bugClassification.classificationRate < 80 && (
+                    <span className="ml-2 text-yellow-600 text-xs">(Needs Improvement)</span>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      )}
 
       {/* Bug Classification Widget */}
-      {distributionData.bugClassification && distributionData.bugClassification.totalBugs > 0 && (
+      {showBugClassification && (distributionData.bugClassification?.totalBugs > 0 ? (
         <BugClassificationWidget 
           productId={productId}
           iterationPath={iterationPath}
           bugClassificationData={distributionData.bugClassification}
-          className="mt-6"
+          className={showDistribution ? 'mt-6' : ''}
         />
-      )}
+      ) : !showDistribution && (
+        <div className="bg-white p-6 rounded-lg border border-gray-200">
+          <p className="text-gray-500 text-center">No bugs to classify</p>
+        </div>
+      ))}
     </div>
   );
 };
@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 
-const UserMenu = ({ user, onSettingsClick, onProfileClick, onLogout, className = '' }) => {
+const UserMenu = ({ user, onSettingsClick, onProfileClick, onNotificationsClick, onLogout, className = '' }) => {
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -60,7 +60,7 @@ const UserMenu = ({ user, onSettingsClick, onProfileClick, onLogout, className =
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-3.5-3.5a1.5 1.5 0 010-2.12L20 8h-5a1 1 0 01-1-1V3a1 1 0 00-1-1H4a2 2 0 00-2 2v14a2 2 0 002 2h10z" />
         </svg>
       ),
-      onClick: () => console.log('Notifications clicked'),
+      onClick: onNotificationsClick,
       divider: false
     },
     {
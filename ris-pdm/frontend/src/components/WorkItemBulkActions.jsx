@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const ACTIONS = [
+  { id: 'assign', label: 'Reassign' },
+  { id: 'move', label: 'Move to sprint' },
+  { id: 'retag', label: 'Retag' },
+  { id: 'state', label: 'Change state' }
+];
+
+const STATES = ['New', 'Active', 'Resolved', 'Closed'];
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.message || err.response?.data?.error || fallback
+);
+
+const splitTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Applies one action to the selected work items and reports how each item went
+ * @param {number[]} selectedIds - Selected work item ids
+ * @param {string} productId - Product the items belong to
+ * @param {Array} sprints - Sprints from /api/metrics/sprints, offered as move targets
+ * @param {function} onApplied - Called with the bulk result so the list can refresh its rows
+ * @param {function} onClear - Clears the selection
+ */
+const WorkItemBulkActions = ({ selectedIds, productId, sprints = [], onApplied, onClear }) => {
+  const [action, setAction] = useState('assign');
+  const [assignedTo, setAssignedTo] = useState('');
+  const [iterationPath, setIterationPath] = useState('');
+  const [state, setState] = useState('Active');
+  const [addTags, setAddTags] = useState('');
+  const [removeTags, setRemoveTags] = useState('');
+  const [comment, setComment] = useState('');
+  const [applying, setApplying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const moveTargets = sprints.filter(sprint => sprint.path);
+
+  const buildPayload = () => {
+    const payload = {
+      ids: selectedIds,
+      action,
+      ...(productId && productId !== 'all-projects' && { productId }),
+      ...(comment.trim() && { comment: comment.trim() })
+    };
+    switch (action) {
+      case 'assign':
+        return { ...payload, assignedTo: assignedTo.trim() || null };
+      case 'move':
+        return { ...payload, iterationPath };
+      case 'retag':
+        return { ...payload, addTags: splitTags(addTags), removeTags: splitTags(removeTags) };
+      default:
+        return { ...payload, state };
+    }
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    setError(null);
+    setResult(null);
+    try {
+      const response = await axios.post('/api/workitems/bulk', buildPayload(), { headers: authHeaders() });
+      setResult(response.data.data);
+      onApplied?.(response.data.data);
+    } catch (err) {
+      setError(errorMessage(err, 'Bulk update failed'));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const failures = result?.results.filter(item => item.status === 'failed') || [];
+
+  return (
+    <div className="border-b border-gray-100 bg-blue-50 px-6 py-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-blue-900">{selectedIds.length} selected</span>
+        <select
+          aria-label="Bulk action"
+          value={action}
+          onChange={(e) => { setAction(e.target.value); setResult(null); }}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+        >
+          {ACTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+        </select>
+
+        {action === 'assign' && (
+          <input
+            type="text"
+            aria-label="Assign to"
+            value={assignedTo}
+            onChange={(e) => setAssignedTo(e.target.value)}
+            placeholder="name@company.com (empty to unassign)"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm w-72"
+          />
+        )}
+        {action === 'move' && (
+          <select
+            aria-label="Target sprint"
+            value={iterationPath}
+            onChange={(e) => setIterationPath(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+          >
+            <option value="">Choose a sprint</option>
+            {moveTargets.map(sprint => <option key={sprint.path} value={sprint.path}>{sprint.name}</option>)}
+          </select>
+        )}
+        {action === 'retag' && (
+          <>
+            <input
+              type="text"
+              aria-label="Tags to add"
+              value={addTags}
+              onChange={(e) => setAddTags(e.target.value)}
+              placeholder="Add tags, comma separated"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <input
+              type="text"
+              aria-label="Tags to remove"
+              value={removeTags}
+              onChange={(e) => setRemoveTags(e.target.value)}
+              placeholder="Remove tags"
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+          </>
+        )}
+        {action === 'state' && (
+          <select
+            aria-label="New state"
+            value={state}
+            onChange={(e) => setState(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white"
+          >
+            {STATES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        )}
+
+        <input
+          type="text"
+          aria-label="Comment"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="Comment (optional)"
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm flex-1 min-w-48"
+        />
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={applying || (action === 'move' && !iterationPath)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          {applying ? 'Applying...' : 'Apply'}
+        </button>
+        <button type="button" onClick={onClear} className="text-sm text-gray-600 hover:text-gray-900">
+          Clear selection
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      {result && (
+        <div className="text-sm">
+          <p className={failures.length ? 'text-yellow-800' : 'text-green-700'}>
+            {result.summary.updated} of {result.summary.requested} work items updated
+          </p>
+          {failures.length > 0 && (
+            <ul className="mt-1 space-y-0.5 text-red-700">
+              {failures.map(item => (
+                <li key={item.id}>
+                  #{item.id}: {item.code === 'REVISION_CONFLICT' ? 'changed by someone else, reload and retry' : item.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkItemBulkActions;
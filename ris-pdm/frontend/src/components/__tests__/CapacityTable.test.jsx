@@ -0,0 +1,45 @@
+import { describe, test, expect } from 'vitest';
+import { render, screen } from '@test/test-utils';
+import CapacityTable from '../CapacityTable';
+
+describe('CapacityTable', () => {
+  const capacity = {
+    sprint: { name: 'Delivery 12' },
+    workingDays: 7,
+    fromDate: '2025-06-05',
+    members: [
+      {
+        id: 'u1', displayName: 'Ann Lee', capacityPerDay: 6, workingDays: 4, daysOff: 3,
+        availableHours: 24, remainingWork: 30, openItems: 3, allocation: 125, balance: -6, status: 'over'
+      },
+      {
+        id: 'u2', displayName: 'Bob Ray', capacityPerDay: 6, workingDays: 7, daysOff: 0,
+        availableHours: 42, remainingWork: 12, openItems: 1, allocation: 29, balance: 30, status: 'under'
+      }
+    ],
+    unplanned: [{ assignee: 'Dee Fox', remainingWork: 10, openItems: 2 }]
+  };
+
+  test('flags members above 100% allocation', () => {
+    render(<CapacityTable capacity={capacity} />);
+
+    expect(screen.getByText('Delivery 12 · 7 working days left from 2025-06-05')).toBeInTheDocument();
+    expect(screen.getByText('125%')).toBeInTheDocument();
+    expect(screen.getByText('-6h')).toBeInTheDocument();
+    expect(screen.getByText('Over-allocated').closest('tr')).toHaveClass('bg-red-50');
+    expect(screen.getByText('Under-allocated').closest('tr')).not.toHaveClass('bg-red-50');
+  });
+
+  test('lists work assigned to people without capacity', () => {
+    render(<CapacityTable capacity={capacity} />);
+
+    expect(screen.getByText('Work assigned without capacity')).toBeInTheDocument();
+    expect(screen.getByText('Dee Fox')).toBeInTheDocument();
+  });
+
+  test('shows the reason when there is no capacity', () => {
+    render(<CapacityTable capacity={{ members: [], message: 'No capacity is set for Delivery 12 in Azure DevOps' }} />);
+
+    expect(screen.getByText('No capacity is set for Delivery 12 in Azure DevOps')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen } from '@test/test-utils';
+import CumulativeFlowChart from '../CumulativeFlowChart';
+
+// Mock Recharts components
+vi.mock('recharts', () => ({
+  ResponsiveContainer: ({ children }) => <div data-testid="responsive-container">{children}</div>,
+  AreaChart: ({ children, data }) => (
+    <div data-testid="area-chart" data-chart-data={JSON.stringify(data)}>
+      {children}
+    </div>
+  ),
+  Area: ({ dataKey, stackId }) => (
+    <div data-testid={`area-${dataKey}`} data-stack={stackId} />
+  ),
+  XAxis: ({ dataKey }) => <div data-testid="x-axis" data-key={dataKey} />,
+  YAxis: () => <div data-testid="y-axis" />,
+  CartesianGrid: () => <div data-testid="cartesian-grid" />,
+  Tooltip: () => <div data-testid="tooltip" />
+}));
+
+describe('CumulativeFlowChart', () => {
+  const states = ['New', 'Active', 'Closed'];
+  const data = [
+    { date: '2025-06-01', New: 3, Active: 2, Closed: 1 },
+    { date: '2025-06-02', New: 2, Active: 3, Closed: 2 }
+  ];
+
+  test('renders one stacked area per state', () => {
+    render(<CumulativeFlowChart data={data} states={states} />);
+
+    expect(screen.getByText('Cumulative Flow')).toBeInTheDocument();
+    states.forEach(state => {
+      expect(screen.getByTestId(`area-${state}`)).toHaveAttribute('data-stack', 'flow');
+    });
+  });
+
+  test('shows latest day totals in the footer', () => {
+    render(<CumulativeFlowChart data={data} states={states} />);
+
+    expect(screen.getByText('Total')).toBeInTheDocument();
+    expect(screen.getByText('7')).toBeInTheDocument();
+  });
+
+  test('shows empty state without data', () => {
+    render(<CumulativeFlowChart data={[]} states={[]} />);
+
+    expect(screen.getByText('No cumulative flow data available')).toBeInTheDocument();
+    expect(screen.queryByTestId('area-chart')).not.toBeInTheDocument();
+  });
+
+  test('shows loading skeleton', () => {
+    const { container } = render(<CumulativeFlowChart loading />);
+
+    expect(container.querySelector('.animate-pulse')).toBeInTheDocument();
+    expect(screen.queryByText('Cumulative Flow')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, test, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@test/test-utils';
+import CycleTimeScatterplot from '../CycleTimeScatterplot';
+
+// Mock Recharts components
+vi.mock('recharts', () => ({
+  ResponsiveContainer: ({ children }) => <div data-testid="responsive-container">{children}</div>,
+  ScatterChart: ({ children }) => <div data-testid="scatter-chart">{children}</div>,
+  Scatter: ({ name, data, onClick }) => (
+    <div data-testid={`scatter-${name}`}>
+      {data.map(point => (
+        <button key={point.id} data-testid={`point-${point.id}`} onClick={() => onClick({ payload: point })} />
+      ))}
+    </div>
+  ),
+  XAxis: () => <div data-testid="x-axis" />,
+  YAxis: () => <div data-testid="y-axis" />,
+  CartesianGrid: () => <div data-testid="cartesian-grid" />,
+  Tooltip: () => <div data-testid="tooltip" />,
+  ReferenceLine: ({ y }) => <div data-testid="reference-line" data-y={y} />
+}));
+
+describe('CycleTimeScatterplot', () => {
+  const items = [
+    { id: 101, title: 'Login page', type: 'User Story', cycleTimeDays: 4.5, closedDate: '2025-06-05T00:00:00Z', url: 'https://dev.azure.com/org/PMP/_workitems/edit/101' },
+    { id: 102, title: 'Crash on save', type: 'Bug', cycleTimeDays: 1, closedDate: '2025-06-06T00:00:00Z', url: 'https://dev.azure.com/org/PMP/_workitems/edit/102' }
+  ];
+  const percentiles = { p50: 1, p85: 4.5, p95: 4.5 };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('renders a series per type and percentile lines', () => {
+    render(<CycleTimeScatterplot data={items} percentiles={percentiles} />);
+
+    expect(screen.getByTestId('scatter-User Story')).toBeInTheDocument();
+    expect(screen.getByTestId('scatter-Bug')).toBeInTheDocument();
+    expect(screen.getAllByTestId('reference-line')).toHaveLength(3);
+  });
+
+  test('opens the work item when a dot is clicked', () => {
+    const open = vi.spyOn(window, 'open').mockImplementation(() => null);
+    render(<CycleTimeScatterplot data={items} percentiles={percentiles} />);
+
+    fireEvent.click(screen.getByTestId('point-102'));
+
+    expect(open).toHaveBeenCalledWith(items[1].url, '_blank', 'noopener,noreferrer');
+  });
+
+  test('reports work item type changes', () => {
+    const onWorkItemTypeChange = vi.fn();
+    render(<CycleTimeScatterplot data={items} percentiles={percentiles} onWorkItemTypeChange={onWorkItemTypeChange} />);
+
+    fireEvent.change(screen.getByLabelText('Work item type'), { target: { value: 'Bug' } });
+
+    expect(onWorkItemTypeChange).toHaveBeenCalledWith('Bug');
+  });
+
+  test('shows empty state without items', () => {
+    render(<CycleTimeScatterplot data={[]} />);
+
+    expect(screen.getByText('No completed work items in this period')).toBeInTheDocument();
+  });
+});
@@ -29,6 +29,22 @@ vi.mock('../TeamVelocityChart', () => ({
   default: (props) => <div data-testid="velocity-chart" {...props} />
 }));
 
+vi.mock('../CumulativeFlowChart', () => ({
+  default: (props) => <div data-testid="cumulative-flow-chart" {...props} />
+}));
+
+vi.mock('../CycleTimeScatterplot', () => ({
+  default: (props) => <div data-testid="cycle-time-scatterplot" {...props} />
+}));
+
+vi.mock('../ForecastCard', () => ({
+  default: () => <div data-testid="forecast-card" />
+}));
+
+vi.mock('../DoraMetricsCard', () => ({
+  default: () => <div data-testid="dora-metrics-card" />
+}));
+
 vi.mock('../TaskDistributionChart', () => ({
   default: (props) => <div data-testid="distribution-chart" {...props} />
 }));
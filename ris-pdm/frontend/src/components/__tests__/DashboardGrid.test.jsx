@@ -0,0 +1,45 @@
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@test/test-utils';
+import DashboardGrid from '../DashboardGrid';
+
+describe('DashboardGrid', () => {
+  const layout = [
+    { id: 'kpis', width: 12 },
+    { id: 'bugClassification', width: 6 },
+    { id: 'velocity', width: 6 }
+  ];
+  const renderWidget = (id) => <div>{`${id} content`}</div>;
+
+  test('renders widgets in layout order at their width', () => {
+    render(<DashboardGrid layout={layout} renderWidget={renderWidget} />);
+
+    const contents = screen.getAllByText(/content$/).map(element => element.textContent);
+    expect(contents).toEqual(['kpis content', 'bugClassification content', 'velocity content']);
+    expect(screen.getByText('velocity content').parentElement).toHaveClass('lg:col-span-6');
+    expect(screen.queryByRole('button', { name: /Remove/ })).not.toBeInTheDocument();
+  });
+
+  test('reorders, resizes and removes widgets in edit mode', () => {
+    const onChange = vi.fn();
+    render(<DashboardGrid layout={layout} renderWidget={renderWidget} editing onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Move Bug classification earlier' }));
+    expect(onChange).toHaveBeenLastCalledWith([layout[1], layout[0], layout[2]]);
+
+    fireEvent.change(screen.getByLabelText('Width of KPI cards'), { target: { value: '4' } });
+    expect(onChange).toHaveBeenLastCalledWith([{ id: 'kpis', width: 4 }, layout[1], layout[2]]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Team velocity' }));
+    expect(onChange).toHaveBeenLastCalledWith([layout[0], layout[1]]);
+  });
+
+  test('moves a dragged widget to where it is dropped', () => {
+    const onChange = vi.fn();
+    render(<DashboardGrid layout={layout} renderWidget={renderWidget} editing onChange={onChange} />);
+
+    fireEvent.dragStart(screen.getByText('Team velocity'), { dataTransfer: { effectAllowed: '' } });
+    fireEvent.drop(screen.getByTestId('widget-kpis'));
+
+    expect(onChange).toHaveBeenCalledWith([layout[2], layout[0], layout[1]]);
+  });
+});
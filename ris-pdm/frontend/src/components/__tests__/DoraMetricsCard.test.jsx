@@ -0,0 +1,48 @@
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@test/test-utils';
+import DoraMetricsCard from '../DoraMetricsCard';
+
+describe('DoraMetricsCard', () => {
+  const dora = {
+    status: 'ok',
+    pullRequestReviewTime: { merged: 12, medianHours: 6.5, averageHours: 9 },
+    deploymentFrequency: { deployments: 8, perDay: 0.29, perWeek: 2, rating: 'high' },
+    changeFailureRate: { deployments: 10, failed: 2, percentage: 20, rating: 'low' },
+    testCoverage: { value: 81.25, buildNumber: '20250302.1', status: 'ok' }
+  };
+
+  test('shows deployment frequency, change failure rate, review time and coverage', () => {
+    render(<DoraMetricsCard dora={dora} />);
+
+    expect(screen.getByText('2/week')).toBeInTheDocument();
+    expect(screen.getByText('high')).toBeInTheDocument();
+    expect(screen.getByText('20%')).toBeInTheDocument();
+    expect(screen.getByText('2 of 10 deployments failed')).toBeInTheDocument();
+    expect(screen.getByText('6.5h')).toBeInTheDocument();
+    expect(screen.getByText('81.25%')).toBeInTheDocument();
+    expect(screen.getByText('Build 20250302.1')).toBeInTheDocument();
+  });
+
+  test('explains how to collect data when no events were received', () => {
+    render(<DoraMetricsCard dora={{
+      ...dora,
+      status: 'no_data',
+      changeFailureRate: { deployments: 0, failed: 0, percentage: null, rating: null },
+      testCoverage: { value: null, message: 'No build has reported code coverage yet' }
+    }} />);
+
+    expect(screen.getByText(/No pull request or deployment events yet/)).toBeInTheDocument();
+    expect(screen.getByText('No build has reported code coverage yet')).toBeInTheDocument();
+  });
+
+  test('shows the error message and reports period changes', () => {
+    const onDaysChange = vi.fn();
+    render(<DoraMetricsCard error="DORA metrics require a database connection" onDaysChange={onDaysChange} />);
+
+    expect(screen.getByText('DORA metrics require a database connection')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('90d'));
+
+    expect(onDaysChange).toHaveBeenCalledWith(90);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@test/test-utils';
+import { saveAs } from 'file-saver';
+import ExportButtons from '../ExportButtons';
+
+vi.mock('file-saver', () => ({ saveAs: vi.fn() }));
+
+describe('ExportButtons', () => {
+  const fetchMock = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetchMock.mockResolvedValue({ ok: true, blob: () => Promise.resolve(new Blob(['deck'])) });
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('offers a PowerPoint deck for the dashboard but not for team data', () => {
+    const { unmount } = render(<ExportButtons exportType="dashboard" />);
+    expect(screen.getByRole('button', { name: 'Export PowerPoint' })).toBeInTheDocument();
+    unmount();
+
+    render(<ExportButtons exportType="team-data" />);
+    expect(screen.getByRole('button', { name: 'Export Excel' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Export PowerPoint' })).not.toBeInTheDocument();
+  });
+
+  test('downloads the dashboard deck for the selected product', async () => {
+    render(<ExportButtons exportType="dashboard" period="month" productId="Product - Data as a Service" />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export PowerPoint' }));
+
+    await waitFor(() => expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), expect.stringMatching(/^ris-dashboard-month-.*\.pptx$/)));
+    expect(fetchMock).toHaveBeenCalledWith(
+      '/api/exports/dashboard/pptx?period=month&productId=Product+-+Data+as+a+Service',
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          Accept: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        })
+      })
+    );
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@test/test-utils';
+import ForecastCard from '../ForecastCard';
+
+describe('ForecastCard', () => {
+  const forecast = {
+    history: { sprints: 8 },
+    remaining: { points: 120, items: 30 },
+    completion: {
+      points: {
+        p50: { deliveries: 4, date: '2025-08-15' },
+        p85: { deliveries: 5, date: '2025-08-29' },
+        p95: { deliveries: 6, date: '2025-09-12' }
+      },
+      items: {
+        p50: { deliveries: 3, date: '2025-08-01' },
+        p85: { deliveries: 4, date: '2025-08-15' },
+        p95: { deliveries: 5, date: '2025-08-29' }
+      }
+    },
+    byDate: { points: { p50: 60, p85: 48, p95: 40 }, items: { p50: 15, p85: 12, p95: 10 } }
+  };
+
+  test('shows deliveries per confidence level', () => {
+    render(<ForecastCard forecast={forecast} />);
+
+    expect(screen.getByText('Monte Carlo over the last 8 sprints')).toBeInTheDocument();
+    expect(screen.getByText('120 pts')).toBeInTheDocument();
+    expect(screen.getByText('Aug 29, 2025')).toBeInTheDocument();
+    expect(screen.getByText('48')).toBeInTheDocument();
+  });
+
+  test('switches between story points and items', () => {
+    render(<ForecastCard forecast={forecast} />);
+
+    fireEvent.click(screen.getByText('Items'));
+
+    expect(screen.getByText('30 items')).toBeInTheDocument();
+    expect(screen.getByText('12')).toBeInTheDocument();
+  });
+
+  test('reports target date changes', () => {
+    const onTargetDateChange = vi.fn();
+    render(<ForecastCard forecast={forecast} onTargetDateChange={onTargetDateChange} />);
+
+    fireEvent.change(screen.getByLabelText('Forecast target date'), { target: { value: '2025-09-30' } });
+
+    expect(onTargetDateChange).toHaveBeenCalledWith('2025-09-30');
+  });
+
+  test('explains when there is not enough history', () => {
+    render(<ForecastCard forecast={{ history: { sprints: 0 }, remaining: {}, completion: {} }} />);
+
+    expect(screen.getByText('Not enough sprint history to forecast')).toBeInTheDocument();
+  });
+});
@@ -314,6 +314,12 @@ describe('Pre-configured KPI Cards', () => {
       
       expect(document.querySelector('.animate-pulse')).toBeInTheDocument();
     });
+
+    test('should abbreviate losses in millions', () => {
+      render(<PLCard value={-2500000} />);
+
+      expect(screen.getByText('฿-2.5M')).toBeInTheDocument();
+    });
   });
 
   describe('VelocityCard', () => {
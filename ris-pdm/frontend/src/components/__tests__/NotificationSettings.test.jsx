@@ -0,0 +1,84 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@test/test-utils';
+import axios from 'axios';
+import NotificationSettings from '../NotificationSettings';
+
+vi.mock('axios');
+
+describe('NotificationSettings', () => {
+  const mockAxios = vi.mocked(axios);
+
+  const options = {
+    alertTypes: [
+      { id: 'open_bugs', label: 'High open bug count', scope: 'product' },
+      { id: 'cycle_time', label: 'High cycle time', scope: 'product' }
+    ],
+    channels: [
+      { id: 'teams', configured: true },
+      { id: 'slack', configured: true },
+      { id: 'email', configured: false }
+    ],
+    modes: ['immediate', 'digest'],
+    digestIntervalHours: 24
+  };
+
+  const subscription = {
+    id: 'a1b2c3d4-0000-4000-8000-000000000001',
+    productId: 'Product - Data as a Service',
+    alertTypes: ['open_bugs'],
+    channel: 'slack',
+    target: 'https://hooks.slack.com/services/T0/B0/x',
+    mode: 'digest',
+    cooldownMinutes: 240,
+    enabled: true
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockAxios.get.mockImplementation((url) => Promise.resolve({
+      data: { data: url.endsWith('/options') ? options : [subscription] }
+    }));
+  });
+
+  test('lists subscriptions and marks unconfigured channels', async () => {
+    render(<NotificationSettings isOpen onClose={vi.fn()} />);
+
+    expect(await screen.findByText('https://hooks.slack.com/services/T0/B0/x')).toBeInTheDocument();
+    expect(screen.getByText('Product - Data as a Service · Slack')).toBeInTheDocument();
+    expect(screen.getByText('Digest')).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Email (not configured)' })).toBeDisabled();
+  });
+
+  test('creates a subscription for every product', async () => {
+    mockAxios.post.mockResolvedValue({ data: { data: {} } });
+    render(<NotificationSettings isOpen onClose={vi.fn()} />);
+
+    fireEvent.click(await screen.findByLabelText('High cycle time'));
+    fireEvent.change(screen.getByLabelText('Incoming webhook URL'), {
+      target: { value: 'https://contoso.webhook.office.com/webhookb2/abc' }
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Subscribe' }));
+
+    await waitFor(() => expect(mockAxios.post).toHaveBeenCalledWith(
+      '/api/notifications/subscriptions',
+      {
+        productId: null,
+        alertTypes: ['cycle_time'],
+        channel: 'teams',
+        target: 'https://contoso.webhook.office.com/webhookb2/abc',
+        mode: 'immediate',
+        cooldownMinutes: 240
+      },
+      expect.any(Object)
+    ));
+  });
+
+  test('shows why a test notification failed', async () => {
+    mockAxios.post.mockRejectedValue({ response: { data: { error: 'Test notification failed', message: 'Webhook responded 404' } } });
+    render(<NotificationSettings isOpen onClose={vi.fn()} />);
+
+    fireEvent.click(await screen.findByText('Send test'));
+
+    expect(await screen.findByText('Webhook responded 404')).toBeInTheDocument();
+  });
+});
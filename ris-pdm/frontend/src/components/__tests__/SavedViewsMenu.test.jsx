@@ -0,0 +1,72 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@test/test-utils';
+import axios from 'axios';
+import SavedViewsMenu from '../SavedViewsMenu';
+import preferencesService from '../../services/preferencesService';
+
+vi.mock('axios');
+
+describe('SavedViewsMenu', () => {
+  const mockAxios = vi.mocked(axios);
+
+  const sprintReview = {
+    name: 'DaaS sprint review',
+    productId: 'Product - Data as a Service',
+    sprintId: 'all-sprints',
+    startDate: '2025-01-01',
+    endDate: '2025-03-31',
+    widgets: ['kpis', 'burndown']
+  };
+
+  const profile = (savedViews) => ({
+    data: { data: { id: 'user-1', email: 'user@example.com', preferences: { savedViews } } }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    preferencesService.request = null;
+    mockAxios.get.mockResolvedValue(profile([sprintReview]));
+  });
+
+  test('opens a saved view on the dashboard', async () => {
+    window.history.pushState({}, '', '/individual');
+    render(<SavedViewsMenu />);
+
+    fireEvent.click(screen.getByRole('button', { name: /views/i }));
+    fireEvent.click(await screen.findByRole('menuitem', { name: 'DaaS sprint review' }));
+
+    expect(window.location.pathname).toBe('/');
+    const params = new URLSearchParams(window.location.search);
+    expect(params.get('productId')).toBe('Product - Data as a Service');
+    expect(params.get('startDate')).toBe('2025-01-01');
+    expect(params.get('widgets')).toBe('kpis,burndown');
+    // Views are only saved from the dashboard
+    expect(screen.queryByLabelText('View name')).not.toBeInTheDocument();
+  });
+
+  test('saves the dashboard filters in the URL as a view', async () => {
+    mockAxios.put.mockResolvedValue(profile([sprintReview]));
+    window.history.pushState({}, '', '/?sprintId=all-sprints&startDate=2025-04-01');
+    render(<SavedViewsMenu />);
+
+    fireEvent.click(screen.getByRole('button', { name: /views/i }));
+    await screen.findByRole('menuitem', { name: 'DaaS sprint review' });
+    fireEvent.change(screen.getByLabelText('View name'), { target: { value: '  Q2 overview ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save current view' }));
+
+    await waitFor(() => expect(mockAxios.put).toHaveBeenCalled());
+    const [url, body] = mockAxios.put.mock.calls[0];
+    expect(url).toBe('/api/users/profile');
+    expect(body.preferences.savedViews).toEqual([
+      sprintReview,
+      {
+        name: 'Q2 overview',
+        productId: 'Product - Partner Management Platform',
+        sprintId: 'all-sprints',
+        startDate: '2025-04-01',
+        endDate: null,
+        widgets: null
+      }
+    ]);
+  });
+});
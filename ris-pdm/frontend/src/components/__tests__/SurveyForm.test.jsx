@@ -0,0 +1,40 @@
+import { describe, test, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@test/test-utils';
+import SurveyForm from '../SurveyForm';
+
+describe('SurveyForm', () => {
+  const questions = [
+    { id: 'csat', type: 'csat', text: 'How satisfied are you with this delivery?' },
+    { id: 'nps', type: 'nps', text: 'How likely are you to recommend the team?' },
+    { id: 'comment', type: 'text', text: 'What could we do better?' }
+  ];
+
+  test('keeps submit disabled until every rating question is answered', () => {
+    render(<SurveyForm questions={questions} onSubmit={vi.fn()} />);
+
+    const submit = screen.getByRole('button', { name: 'Send feedback' });
+    expect(submit).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('group', { name: questions[0].text }).querySelector('button:nth-child(4)'));
+    expect(submit).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('group', { name: questions[1].text }).querySelector('button:nth-child(10)'));
+    expect(submit).toBeEnabled();
+  });
+
+  test('submits answers with optional respondent details', () => {
+    const onSubmit = vi.fn();
+    render(<SurveyForm questions={questions} onSubmit={onSubmit} />);
+
+    fireEvent.click(screen.getByRole('group', { name: questions[0].text }).querySelector('button:nth-child(5)'));
+    fireEvent.click(screen.getByRole('group', { name: questions[1].text }).querySelector('button:nth-child(11)'));
+    fireEvent.change(screen.getByLabelText(questions[2].text), { target: { value: 'Faster demos' } });
+    fireEvent.change(screen.getByLabelText('Email (optional)'), { target: { value: 'po@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send feedback' }));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      answers: { csat: 5, nps: 10, comment: 'Faster demos' },
+      email: 'po@example.com'
+    });
+  });
+});
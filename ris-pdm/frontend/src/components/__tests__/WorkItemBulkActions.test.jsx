@@ -0,0 +1,61 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@test/test-utils';
+import axios from 'axios';
+import WorkItemBulkActions from '../WorkItemBulkActions';
+
+vi.mock('axios');
+
+describe('WorkItemBulkActions', () => {
+  const mockAxios = vi.mocked(axios);
+  const sprints = [
+    { id: 'current', name: 'Delivery 12', path: 'Product - Data as a Service\\Delivery 12' },
+    { id: 'all-sprints', name: 'All Sprints', path: null }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should retag the selected items and list the ones that failed', async () => {
+    const result = {
+      action: 'retag',
+      results: [
+        { id: 1, status: 'updated', workItem: { id: 1, rev: 4, tags: ['triaged'] } },
+        { id: 2, status: 'failed', code: 'REVISION_CONFLICT', error: 'conflict' }
+      ],
+      summary: { requested: 2, updated: 1, failed: 1 }
+    };
+    mockAxios.post.mockResolvedValue({ data: { data: result } });
+    const onApplied = vi.fn();
+
+    render(<WorkItemBulkActions selectedIds={[1, 2]} productId="Product - Data as a Service" sprints={sprints} onApplied={onApplied} />);
+
+    fireEvent.change(screen.getByLabelText('Bulk action'), { target: { value: 'retag' } });
+    fireEvent.change(screen.getByLabelText('Tags to add'), { target: { value: 'triaged, sprint-12' } });
+    fireEvent.change(screen.getByLabelText('Tags to remove'), { target: { value: 'needs-triage' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+
+    expect(await screen.findByText('1 of 2 work items updated')).toBeInTheDocument();
+    expect(screen.getByText('#2: changed by someone else, reload and retry')).toBeInTheDocument();
+    expect(mockAxios.post).toHaveBeenCalledWith('/api/workitems/bulk', {
+      ids: [1, 2],
+      action: 'retag',
+      productId: 'Product - Data as a Service',
+      addTags: ['triaged', 'sprint-12'],
+      removeTags: ['needs-triage']
+    }, expect.any(Object));
+    expect(onApplied).toHaveBeenCalledWith(result);
+  });
+
+  test('should only offer sprints with a path as move targets', () => {
+    render(<WorkItemBulkActions selectedIds={[1]} productId="all-projects" sprints={sprints} />);
+
+    fireEvent.change(screen.getByLabelText('Bulk action'), { target: { value: 'move' } });
+
+    expect(screen.getByRole('button', { name: 'Apply' })).toBeDisabled();
+    expect(screen.getAllByRole('option', { name: /Delivery|All Sprints/ }).map(option => option.textContent)).toEqual(['Delivery 12']);
+
+    fireEvent.change(screen.getByLabelText('Target sprint'), { target: { value: sprints[0].path } });
+    expect(screen.getByRole('button', { name: 'Apply' })).toBeEnabled();
+  });
+});
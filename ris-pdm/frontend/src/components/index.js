@@ -8,7 +8,18 @@ export { default as ProductSelector } from './ProductSelector';
 export { default as SprintFilter } from './SprintFilter';
 export { default as DateRangePicker } from './DateRangePicker';
 export { default as UserMenu } from './UserMenu';
+export { default as NotificationSettings } from './NotificationSettings';
+export { default as PreferenceSettings } from './PreferenceSettings';
+export { default as SavedViewsMenu } from './SavedViewsMenu';
+export { default as DashboardGrid } from './DashboardGrid';
+export { default as DashboardLayoutToolbar } from './DashboardLayoutToolbar';
 export { default as KPICard, PLCard, VelocityCard, BugCountCard, SatisfactionCard } from './KPICard';
 export { default as SprintBurndownChart } from './SprintBurndownChart';
 export { default as TeamVelocityChart } from './TeamVelocityChart';
-export { default as TaskDistributionChart } from './TaskDistributionChart';
\ No newline at end of file
+export { default as CumulativeFlowChart } from './CumulativeFlowChart';
+export { default as CycleTimeScatterplot } from './CycleTimeScatterplot';
+export { default as ForecastCard } from './ForecastCard';
+export { default as DoraMetricsCard } from './DoraMetricsCard';
+export { default as CapacityTable } from './CapacityTable';
+export { default as TaskDistributionChart } from './TaskDistributionChart';
+export { default as SurveyForm } from './SurveyForm';
\ No newline at end of file
@@ -33,7 +33,6 @@ export const brandingConfig = {
   }
 };
 
-// ✅ ENABLED PROJECTS ONLY - PMP and DaaS as per backend PROJECT_CONFIG
 export const projectsConfig = [
   {
     id: 'Product - Partner Management Platform',
@@ -0,0 +1,58 @@
+// Dashboard filters kept in the URL and their defaults. Values at their default are left out
+// of the URL; saved views and user preferences use the same names.
+export const DASHBOARD_FILTERS = {
+  productId: 'Product - Partner Management Platform',
+  sprintId: 'current',
+  startDate: '',
+  endDate: '',
+  burndown: 'storyPoints',
+  // Comma-separated widget ids; empty shows the user's layout for the product
+  widgets: ''
+};
+
+// Dashboard widgets in their default order and width on the 12-column grid. The ids and widths
+// are validated by the API (/api/dashboard-layouts and PUT /api/users/profile).
+export const DASHBOARD_WIDGETS = [
+  { id: 'kpis', label: 'KPI cards', width: 12 },
+  { id: 'burndown', label: 'Sprint burndown', width: 6 },
+  { id: 'cumulativeFlow', label: 'Cumulative flow', width: 6 },
+  { id: 'velocity', label: 'Team velocity', width: 6 },
+  { id: 'teamSummary', label: 'Individual performance summary', width: 6 },
+  { id: 'cycleTime', label: 'Cycle time', width: 8 },
+  { id: 'forecast', label: 'Delivery forecast', width: 4 },
+  { id: 'dora', label: 'Delivery performance (DORA)', width: 12 },
+  { id: 'taskDistribution', label: 'Task distribution', width: 12 },
+  { id: 'bugClassification', label: 'Bug classification', width: 12 }
+];
+
+// The layout shown until the user or an admin arranges the dashboard
+export const DEFAULT_LAYOUT = DASHBOARD_WIDGETS.map(({ id, width }) => ({ id, width }));
+
+export const WIDGET_WIDTHS = [
+  { width: 3, label: 'Quarter' },
+  { width: 4, label: 'Third' },
+  { width: 6, label: 'Half' },
+  { width: 8, label: 'Two thirds' },
+  { width: 12, label: 'Full width' }
+];
+
+export const SPRINT_MODES = [
+  { id: 'current', label: 'Current sprint' },
+  { id: 'all-sprints', label: 'All sprints' }
+];
+
+/**
+ * Dashboard URL that opens a saved view
+ * @param {object} view - { productId, sprintId, startDate, endDate, widgets }
+ * @returns {string}
+ */
+export const savedViewPath = (view) => {
+  const params = new URLSearchParams();
+  if (view.productId) params.set('productId', view.productId);
+  if (view.sprintId) params.set('sprintId', view.sprintId);
+  if (view.startDate) params.set('startDate', view.startDate);
+  if (view.endDate) params.set('endDate', view.endDate);
+  if (view.widgets?.length) params.set('widgets', view.widgets.join(','));
+  const query = params.toString();
+  return query ? `/?${query}` : '/';
+};
@@ -0,0 +1,22 @@
+import { describe, test, expect } from 'vitest';
+import { toProducts } from '../useProducts';
+
+describe('toProducts', () => {
+  test('should keep the branding of known products and put all projects last', () => {
+    const products = toProducts(['all-projects', 'Product - Data as a Service']);
+
+    expect(products.map(product => product.id)).toEqual(['Product - Data as a Service', 'all-projects']);
+    expect(products[0].abbreviation).toBe('PD');
+  });
+
+  test('should add a plain entry for registered products without branding', () => {
+    const [product] = toProducts(['Product - Field Service']);
+
+    expect(product).toEqual({
+      id: 'Product - Field Service',
+      name: 'Product - Field Service',
+      abbreviation: 'PFS',
+      description: ''
+    });
+  });
+});
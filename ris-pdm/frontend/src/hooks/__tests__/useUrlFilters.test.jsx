@@ -0,0 +1,45 @@
+import { describe, test, expect } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@test/test-utils';
+import useUrlFilters from '../useUrlFilters';
+
+const DEFAULTS = { productId: 'Product - Partner Management Platform', sprintId: 'current' };
+
+const Filters = () => {
+  const [filters, setFilters] = useUrlFilters(DEFAULTS);
+  return (
+    <div>
+      <p>{filters.productId} / {filters.sprintId}</p>
+      <button type="button" onClick={() => setFilters({ productId: 'Product - Data as a Service', sprintId: 'delivery-11' })}>
+        DaaS
+      </button>
+      <button type="button" onClick={() => setFilters({ productId: DEFAULTS.productId })}>Default product</button>
+    </div>
+  );
+};
+
+describe('useUrlFilters', () => {
+  test('should read filters from the URL and fall back to the defaults', () => {
+    window.history.pushState({}, '', '/?sprintId=all-sprints&unrelated=1');
+
+    render(<Filters />);
+
+    expect(screen.getByText('Product - Partner Management Platform / all-sprints')).toBeInTheDocument();
+  });
+
+  test('should write changes to the URL, leave defaults out and follow back navigation', async () => {
+    window.history.pushState({}, '', '/?unrelated=1');
+    render(<Filters />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'DaaS' }));
+    expect(screen.getByText('Product - Data as a Service / delivery-11')).toBeInTheDocument();
+    expect(new URLSearchParams(window.location.search).get('productId')).toBe('Product - Data as a Service');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Default product' }));
+    expect(window.location.search).toBe('?unrelated=1&sprintId=delivery-11');
+
+    act(() => window.history.back());
+    await waitFor(() => {
+      expect(screen.getByText('Product - Data as a Service / delivery-11')).toBeInTheDocument();
+    });
+  });
+});
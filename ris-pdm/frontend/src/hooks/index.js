@@ -1 +1,5 @@
-export { default as useRealtimeMetrics, useWebSocketConnection } from './useRealtimeMetrics';
\ No newline at end of file
+export { default as useRealtimeMetrics, useWebSocketConnection } from './useRealtimeMetrics';
+export { default as useUrlFilters } from './useUrlFilters';
+export { default as useUserPreferences } from './useUserPreferences';
+export { default as useDashboardLayout } from './useDashboardLayout';
+export { default as useProducts } from './useProducts';
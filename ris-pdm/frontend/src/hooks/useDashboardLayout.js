@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { DEFAULT_LAYOUT } from '../config/dashboard';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+/**
+ * The dashboard layout the signed-in user sees for a product, and the calls that change it
+ * @param {string} productId - Selected product
+ * @returns {{ widgets: Array<object>, source: string, layoutProductId: string|null,
+ *   saveLayout: function, resetLayout: function, saveTeamLayout: function, removeTeamLayout: function }}
+ *   widgets is [{ id, width }]; source is user, team or default. The save and remove calls take
+ *   the widgets (where needed) and { allProducts } to act on the all-products layout.
+ */
+const useDashboardLayout = (productId) => {
+  const [layout, setLayout] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios.get('/api/dashboard-layouts', { params: { productId }, headers: authHeaders() })
+      .then(response => {
+        if (!cancelled) setLayout(response.data.data);
+      })
+      .catch(error => {
+        console.warn('Could not load the dashboard layout:', error.message);
+        if (!cancelled) setLayout(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, version]);
+
+  const scope = useCallback((allProducts) => (allProducts ? null : productId), [productId]);
+
+  const saveLayout = useCallback(async (widgets, { allProducts = false } = {}) => {
+    const response = await axios.put('/api/dashboard-layouts/mine', {
+      productId: scope(allProducts),
+      widgets
+    }, { headers: authHeaders() });
+    setLayout(response.data.data);
+  }, [scope]);
+
+  const resetLayout = useCallback(async ({ allProducts = false } = {}) => {
+    const response = await axios.delete('/api/dashboard-layouts/mine', {
+      params: { productId: scope(allProducts) },
+      headers: authHeaders()
+    });
+    setLayout(response.data.data);
+  }, [scope]);
+
+  // Team layouts only show for users without their own, so reload to see which one applies now
+  const saveTeamLayout = useCallback(async (widgets, { allProducts = false } = {}) => {
+    await axios.put('/api/dashboard-layouts/team', {
+      productId: scope(allProducts),
+      widgets
+    }, { headers: authHeaders() });
+    setVersion(current => current + 1);
+  }, [scope]);
+
+  const removeTeamLayout = useCallback(async ({ allProducts = false } = {}) => {
+    await axios.delete('/api/dashboard-layouts/team', {
+      params: { productId: scope(allProducts) },
+      headers: authHeaders()
+    });
+    setVersion(current => current + 1);
+  }, [scope]);
+
+  return {
+    widgets: layout?.widgets || DEFAULT_LAYOUT,
+    source: layout?.source || 'default',
+    layoutProductId: layout?.productId || null,
+    saveLayout,
+    resetLayout,
+    saveTeamLayout,
+    removeTeamLayout
+  };
+};
+
+export default useDashboardLayout;
@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { projectsConfig } from '../config/branding';
+
+const ALL_PROJECTS = projectsConfig.find(project => project.id === 'all-projects');
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+// One request for every selector on the page
+let request = null;
+
+const abbreviate = (id) => id
+  .split(/[\s-]+/)
+  .filter(Boolean)
+  .map(word => word.charAt(0).toUpperCase())
+  .join('')
+  .slice(0, 3);
+
+/**
+ * Selector entries for the enabled products: the branding of the products it has,
+ * a plain entry for any other registered product, and the all-projects view last
+ * @param {string[]} productIds - Enabled product ids, in priority order
+ * @returns {Array<object>}
+ */
+export const toProducts = (productIds) => [
+  ...productIds
+    .filter(id => id !== ALL_PROJECTS.id)
+    .map(id => projectsConfig.find(project => project.id === id) || {
+      id,
+      name: id,
+      abbreviation: abbreviate(id),
+      description: ''
+    }),
+  ALL_PROJECTS
+];
+
+const loadProducts = () => {
+  if (!request) {
+    request = axios.get('/api/products/config', { headers: authHeaders() })
+      .then(response => toProducts(response.data.data.enabledProjects))
+      .catch(error => {
+        console.warn('Could not load the product registry:', error.message);
+        request = null;
+        return null;
+      });
+  }
+  return request;
+};
+
+/**
+ * Products enabled in the product registry. Until they load (or if they can't be loaded)
+ * this is the built-in product list.
+ * @returns {Array<object>} { id, name, abbreviation, description, icon, color }
+ */
+const useProducts = () => {
+  const [products, setProducts] = useState(projectsConfig);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadProducts().then(loaded => {
+      if (!cancelled && loaded) setProducts(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return products;
+};
+
+export default useProducts;
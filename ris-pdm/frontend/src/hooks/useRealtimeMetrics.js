@@ -353,4 +353,31 @@ export const useWebSocketConnection = () => {
   };
 };
 
+/**
+ * Hook for alerts currently raised by the admin-defined alert rules
+ * @param {function} onAlert - Optional callback for each (event, alert) as it arrives
+ * @returns {Array<object>} Active alerts
+ */
+export const useActiveAlerts = (onAlert) => {
+  const [alerts, setAlerts] = useState(websocketService.getActiveAlerts());
+  const onAlertRef = useRef(onAlert);
+  onAlertRef.current = onAlert;
+
+  useEffect(() => {
+    const handleAlert = (event, alert, activeAlerts) => {
+      setAlerts(activeAlerts);
+      onAlertRef.current?.(event, alert);
+    };
+
+    websocketService.addAlertListener(handleAlert);
+    setAlerts(websocketService.getActiveAlerts());
+
+    return () => {
+      websocketService.removeAlertListener(handleAlert);
+    };
+  }, []);
+
+  return alerts;
+};
+
 export default useRealtimeMetrics;
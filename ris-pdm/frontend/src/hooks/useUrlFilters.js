@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Page filters kept in the URL query string, so a view can be shared as a link and
+ * back/forward step through filter changes.
+ *
+ * Values equal to their default are left out of the URL. Keys of other query
+ * parameters on the page are kept as they are.
+ *
+ * @param {Object<string, string>} defaults - Filter names and default values; define it outside
+ *   the component so it stays the same object between renders
+ * @param {Object<string, string>|null} preferred - The user's own defaults. Applied once, when
+ *   they are first known, to filters the URL doesn't set; they are written to the URL so the
+ *   address still opens the same view for someone else.
+ * @returns {[Object<string, string>, function]} The current filters, and a setter taking the
+ *   changed filters and { replace } to update the current history entry instead of adding one
+ */
+const useUrlFilters = (defaults, preferred = null) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(() => Object.fromEntries(
+    Object.entries(defaults).map(([name, fallback]) => [name, searchParams.get(name) ?? fallback])
+  ), [searchParams, defaults]);
+
+  const setFilters = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams(current => {
+      const next = new URLSearchParams(current);
+      Object.entries(changes).forEach(([name, value]) => {
+        if (value === undefined || value === null || value === '' || value === defaults[name]) {
+          next.delete(name);
+        } else {
+          next.set(name, value);
+        }
+      });
+      return next;
+    }, { replace });
+  }, [setSearchParams, defaults]);
+
+  const preferredApplied = useRef(false);
+  useEffect(() => {
+    if (!preferred || preferredApplied.current) return;
+    preferredApplied.current = true;
+
+    const missing = Object.fromEntries(
+      Object.entries(preferred).filter(([name, value]) => value && !searchParams.has(name))
+    );
+    if (Object.keys(missing).length > 0) {
+      setFilters(missing, { replace: true });
+    }
+  }, [preferred, searchParams, setFilters]);
+
+  return [filters, setFilters];
+};
+
+export default useUrlFilters;
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import preferencesService from '../services/preferencesService';
+
+/**
+ * The signed-in user's preferences, kept up to date when any component saves them
+ * @returns {{ preferences: object|null, profile: object|null, savePreferences: function }}
+ *   preferences and profile are null until known; savePreferences(changes) resolves with the
+ *   saved preferences
+ */
+const useUserPreferences = () => {
+  const [preferences, setPreferences] = useState(preferencesService.preferences);
+
+  useEffect(() => {
+    preferencesService.addListener(setPreferences);
+    preferencesService.load();
+    return () => preferencesService.removeListener(setPreferences);
+  }, []);
+
+  return {
+    preferences,
+    // Loaded together with the preferences, so it is current whenever they change
+    profile: preferencesService.profile,
+    savePreferences: (changes) => preferencesService.save(changes)
+  };
+};
+
+export default useUserPreferences;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import ProductSelector from '../components/ProductSelector';
+import useProducts from '../hooks/useProducts';
+import SprintFilter from '../components/SprintFilter';
+import CapacityTable from '../components/CapacityTable';
+
+const formatHours = (hours) => `${Number(hours || 0).toLocaleString('en-US', { maximumFractionDigits: 1 })}h`;
+
+const Capacity = () => {
+  const [selectedProduct, setSelectedProduct] = useState('Product - Partner Management Platform');
+  const products = useProducts();
+  const [selectedSprint, setSelectedSprint] = useState('current');
+  const [capacity, setCapacity] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [forceTs, setForceTs] = useState(0);
+
+  useEffect(() => {
+    const fetchCapacity = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/api/metrics/capacity', {
+          params: {
+            productId: selectedProduct,
+            // "All Sprints" has no capacity of its own, so fall back to the current delivery
+            sprintId: selectedSprint === 'all-sprints' ? 'current' : selectedSprint,
+            ...(forceTs ? { noCache: 'true', _: String(forceTs) } : {})
+          },
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+          }
+        });
+        setCapacity(response.data.data);
+        setError(null);
+      } catch (err) {
+        setCapacity(null);
+        setError(err.response?.data?.message || 'Failed to load capacity');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCapacity();
+  }, [selectedProduct, selectedSprint, forceTs]);
+
+  const totals = capacity?.totals;
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Capacity Planning</h1>
+            <p className="text-gray-600">Available hours against remaining work for each team member</p>
+          </div>
+          <button
+            onClick={() => setForceTs(Date.now())}
+            className="mt-4 sm:mt-0 px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Filter Bar */}
+      <div className="bg-white p-4 rounded-lg shadow-dashboard border mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <ProductSelector
+            selectedProduct={selectedProduct}
+            products={products}
+            onProductChange={setSelectedProduct}
+          />
+          <SprintFilter
+            selectedSprint={selectedSprint}
+            onSprintChange={setSelectedSprint}
+            selectedProject={selectedProduct}
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-md bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      {/* Team Totals */}
+      {totals && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+          <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+            <p className="text-sm text-gray-600">Team Available</p>
+            <p className="text-2xl font-bold text-gray-900">{formatHours(totals.availableHours)}</p>
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+            <p className="text-sm text-gray-600">Remaining Work</p>
+            <p className="text-2xl font-bold text-gray-900">{formatHours(totals.remainingWork)}</p>
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+            <p className="text-sm text-gray-600">Team Allocation</p>
+            <p className={`text-2xl font-bold ${totals.status === 'over' ? 'text-red-600' : 'text-gray-900'}`}>
+              {totals.allocation === null ? '--' : `${totals.allocation}%`}
+            </p>
+          </div>
+          <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+            <p className="text-sm text-gray-600">Over-allocated</p>
+            <p className={`text-2xl font-bold ${totals.overAllocated > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {totals.overAllocated} of {totals.members}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <CapacityTable capacity={capacity} loading={loading} />
+    </div>
+  );
+};
+
+export default Capacity;
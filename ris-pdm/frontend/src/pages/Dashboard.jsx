@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { ExportButtons } from '../components';
 import RealtimeStatus, { LastUpdateIndicator } from '../components/RealtimeStatus';
@@ -9,15 +10,48 @@ import DateRangePicker from '../components/DateRangePicker';
 import { PLCard, VelocityCard, BugCountCard, SatisfactionCard } from '../components/KPICard';
 import SprintBurndownChart from '../components/SprintBurndownChart';
 import TeamVelocityChart from '../components/TeamVelocityChart';
+import CumulativeFlowChart from '../components/CumulativeFlowChart';
+import CycleTimeScatterplot from '../components/CycleTimeScatterplot';
+import ForecastCard from '../components/ForecastCard';
+import DoraMetricsCard from '../components/DoraMetricsCard';
 import TaskDistributionDashboard from '../components/TaskDistributionDashboard';
+import DashboardGrid from '../components/DashboardGrid';
+import DashboardLayoutToolbar from '../components/DashboardLayoutToolbar';
 import useSwipeNavigation from '../hooks/useSwipeNavigation.jsx';
+import useUrlFilters from '../hooks/useUrlFilters';
+import useUserPreferences from '../hooks/useUserPreferences';
+import useDashboardLayout from '../hooks/useDashboardLayout';
+import useProducts from '../hooks/useProducts';
+import { DASHBOARD_FILTERS as URL_FILTERS, DASHBOARD_WIDGETS } from '../config/dashboard';
 
 const Dashboard = () => {
-  // Filter states
-  const [selectedProduct, setSelectedProduct] = useState('Product - Partner Management Platform');
-  const [selectedSprint, setSelectedSprint] = useState('current');
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
+  const navigate = useNavigate();
+  const { preferences, profile } = useUserPreferences();
+  const isAdmin = profile?.role === 'admin';
+  // The user's default product and sprint, used when the URL doesn't pick them
+  const preferredFilters = useMemo(() => preferences && {
+    productId: preferences.defaultProductId,
+    sprintId: preferences.defaultSprintMode
+  }, [preferences]);
+  const [filters, setFilters] = useUrlFilters(URL_FILTERS, preferredFilters);
+  const { productId: selectedProduct, sprintId: selectedSprint, startDate, endDate, burndown: burndownMetric } = filters;
+  const products = useProducts();
+  const {
+    widgets: layout, source: layoutSource, saveLayout, resetLayout, saveTeamLayout, removeTeamLayout
+  } = useDashboardLayout(selectedProduct);
+  // Layout being edited; null outside edit mode
+  const [draft, setDraft] = useState(null);
+  // A saved view's widgets (in the URL) pick and order what is shown; widths come from the layout
+  const viewLayout = filters.widgets
+    ? filters.widgets.split(',')
+      .map(id => layout.find(widget => widget.id === id) || DASHBOARD_WIDGETS.find(widget => widget.id === id))
+      .filter(Boolean)
+      .map(({ id, width }) => ({ id, width }))
+    : layout;
+  const shownLayout = draft || viewLayout;
+  const setSelectedProduct = (productId) => setFilters({ productId });
+  const setSelectedSprint = (sprintId) => setFilters({ sprintId });
+  const setBurndownMetric = (burndown) => setFilters({ burndown });
   
   // Sprint data for resolving sprint paths
   const [sprintData, setSprintData] = useState([]);
@@ -162,10 +196,22 @@ const Dashboard = () => {
   const [kpiData, setKpiData] = useState(null);
   const [burndownData, setBurndownData] = useState([]);
   const [velocityTrendData, setVelocityTrendData] = useState([]);
+  const [cumulativeFlow, setCumulativeFlow] = useState({ states: [], data: [] });
+  const [cycleTime, setCycleTime] = useState({ items: [], percentiles: {} });
+  const [cycleTimeType, setCycleTimeType] = useState('');
+  const [forecastData, setForecastData] = useState(null);
+  const [forecastTargetDate, setForecastTargetDate] = useState('');
+  const [doraData, setDoraData] = useState(null);
+  const [doraError, setDoraError] = useState(null);
+  const [doraDays, setDoraDays] = useState(30);
   const [componentLoading, setComponentLoading] = useState({
     kpis: false,
     burndown: false,
-    velocity: false
+    velocity: false,
+    cumulativeFlow: false,
+    cycleTime: false,
+    forecast: false,
+    dora: false
   });
 
   // Use real-time data if available, otherwise use fallback
@@ -244,6 +290,20 @@ const Dashboard = () => {
     return projectId;
   };
 
+  // Work Items list filtered to the selected product and sprint, for drilling into a KPI
+  const workItemsLink = (extraParams = {}) => {
+    const params = new URLSearchParams();
+    if (selectedProduct && selectedProduct !== 'all-projects') {
+      params.set('productId', normalizeProjectId(selectedProduct));
+    }
+    if (selectedSprint && selectedSprint !== 'all-sprints') {
+      // Full sprint paths are matched as-is; ids such as "current" are resolved by the backend
+      params.set('iteration', sprintData.find(s => s.id === selectedSprint)?.path || selectedSprint);
+    }
+    Object.entries(extraParams).forEach(([name, value]) => params.set(name, value));
+    return `/workitems?${params.toString()}`;
+  };
+
   // Fetch KPI data when filters change
   useEffect(() => {
     const fetchKPIData = async () => {
@@ -284,7 +344,8 @@ const Dashboard = () => {
         const normalizedProductId = normalizeProjectId(selectedProduct);
         const params = new URLSearchParams({
           ...(normalizedProductId !== 'all-projects' && { productId: normalizedProductId }),
-          ...(selectedSprint !== 'all-sprints' && { sprintId: selectedSprint })
+          ...(selectedSprint !== 'all-sprints' && { sprintId: selectedSprint }),
+          metric: burndownMetric
         });
         if (forceTs) { params.set('noCache', 'true'); params.set('_', String(forceTs)); }
         
@@ -305,7 +366,138 @@ const Dashboard = () => {
     };
 
     fetchBurndownData();
-  }, [selectedProduct, selectedSprint, forceTs]);
+  }, [selectedProduct, selectedSprint, burndownMetric, forceTs]);
+
+  // Fetch Cumulative Flow data (defaults to the last 30 days when no range is picked)
+  useEffect(() => {
+    const fetchCumulativeFlow = async () => {
+      setComponentLoading(prev => ({ ...prev, cumulativeFlow: true }));
+      try {
+        const normalizedProductId = normalizeProjectId(selectedProduct);
+        const params = new URLSearchParams({
+          ...(normalizedProductId !== 'all-projects' && { productId: normalizedProductId }),
+          ...(startDate && { startDate }),
+          ...(endDate && { endDate })
+        });
+        if (forceTs) { params.set('noCache', 'true'); params.set('_', String(forceTs)); }
+
+        const response = await axios.get(`/api/metrics/cumulative-flow?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        setCumulativeFlow({
+          states: response.data.data?.states || [],
+          data: response.data.data?.data || []
+        });
+      } catch (error) {
+        console.error('❌ Error fetching cumulative flow data:', error);
+        setCumulativeFlow({ states: [], data: [] });
+      } finally {
+        setComponentLoading(prev => ({ ...prev, cumulativeFlow: false }));
+      }
+    };
+
+    fetchCumulativeFlow();
+  }, [selectedProduct, startDate, endDate, forceTs]);
+
+  // Fetch Cycle Time distribution (defaults to the last 90 days when no range is picked)
+  useEffect(() => {
+    const fetchCycleTime = async () => {
+      setComponentLoading(prev => ({ ...prev, cycleTime: true }));
+      try {
+        const normalizedProductId = normalizeProjectId(selectedProduct);
+        const params = new URLSearchParams({
+          ...(normalizedProductId !== 'all-projects' && { productId: normalizedProductId }),
+          ...(startDate && { startDate }),
+          ...(endDate && { endDate }),
+          ...(cycleTimeType && { workItemType: cycleTimeType })
+        });
+        if (forceTs) { params.set('noCache', 'true'); params.set('_', String(forceTs)); }
+
+        const response = await axios.get(`/api/metrics/cycle-time?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        setCycleTime({
+          items: response.data.data?.items || [],
+          percentiles: response.data.data?.percentiles || {}
+        });
+      } catch (error) {
+        console.error('❌ Error fetching cycle time data:', error);
+        setCycleTime({ items: [], percentiles: {} });
+      } finally {
+        setComponentLoading(prev => ({ ...prev, cycleTime: false }));
+      }
+    };
+
+    fetchCycleTime();
+  }, [selectedProduct, startDate, endDate, cycleTimeType, forceTs]);
+
+  // Fetch Delivery Forecast (remaining work defaults to the product's open backlog)
+  useEffect(() => {
+    const fetchForecast = async () => {
+      setComponentLoading(prev => ({ ...prev, forecast: true }));
+      try {
+        const normalizedProductId = normalizeProjectId(selectedProduct);
+        const params = new URLSearchParams({
+          ...(normalizedProductId !== 'all-projects' && { productId: normalizedProductId }),
+          ...(forecastTargetDate && { targetDate: forecastTargetDate })
+        });
+        if (forceTs) { params.set('noCache', 'true'); params.set('_', String(forceTs)); }
+
+        const response = await axios.get(`/api/metrics/forecast?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        setForecastData(response.data.data);
+      } catch (error) {
+        console.error('❌ Error fetching forecast data:', error);
+        setForecastData(null);
+      } finally {
+        setComponentLoading(prev => ({ ...prev, forecast: false }));
+      }
+    };
+
+    fetchForecast();
+  }, [selectedProduct, forecastTargetDate, forceTs]);
+
+  // Fetch DORA metrics (pull requests, builds and deployments from Azure DevOps service hooks)
+  useEffect(() => {
+    const fetchDora = async () => {
+      setComponentLoading(prev => ({ ...prev, dora: true }));
+      try {
+        const normalizedProductId = normalizeProjectId(selectedProduct);
+        const params = new URLSearchParams({
+          days: String(doraDays),
+          ...(normalizedProductId !== 'all-projects' && { productId: normalizedProductId })
+        });
+        if (forceTs) { params.set('noCache', 'true'); params.set('_', String(forceTs)); }
+
+        const response = await axios.get(`/api/metrics/dora?${params}`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        setDoraData(response.data.data);
+        setDoraError(null);
+      } catch (error) {
+        console.error('❌ Error fetching DORA metrics:', error);
+        setDoraData(null);
+        setDoraError(error.response?.data?.message || null);
+      } finally {
+        setComponentLoading(prev => ({ ...prev, dora: false }));
+      }
+    };
+
+    fetchDora();
+  }, [selectedProduct, doraDays, forceTs]);
 
   // Fetch Velocity Trend data
   useEffect(() => {
@@ -360,8 +552,202 @@ const Dashboard = () => {
 
   // Filter change handlers
   const handleDateRangeChange = (start, end) => {
-    setStartDate(start);
-    setEndDate(end);
+    setFilters({ startDate: start, endDate: end });
+  };
+
+  // Content of each dashboard widget; the grid places and sizes it
+  const renderWidget = (id, width) => {
+    switch (id) {
+      case 'kpis':
+        return (
+          <div className={`grid grid-cols-1 md:grid-cols-2 ${width === 12 ? 'lg:grid-cols-4' : ''} gap-6`}>
+            <PLCard 
+              value={kpiData?.pl?.value}
+              trend={kpiData?.pl?.trend}
+              trendValue={kpiData?.pl?.trendValue}
+              loading={componentLoading.kpis}
+            />
+            <VelocityCard 
+              value={kpiData?.velocity?.value}
+              trend={kpiData?.velocity?.trend}
+              trendValue={kpiData?.velocity?.trendValue}
+              loading={componentLoading.kpis}
+              to={workItemsLink({ sort: 'storyPoints' })}
+            />
+            <BugCountCard 
+              value={kpiData?.bugs?.value}
+              trend={kpiData?.bugs?.trend}
+              trendValue={kpiData?.bugs?.trendValue}
+              loading={componentLoading.kpis}
+              to={workItemsLink({ workItemType: 'Bug' })}
+            />
+            <SatisfactionCard 
+              value={kpiData?.satisfaction?.value}
+              trend={kpiData?.satisfaction?.trend}
+              trendValue={kpiData?.satisfaction?.trendValue}
+              loading={componentLoading.kpis}
+            />
+          </div>
+        );
+      case 'burndown':
+        return (
+          <SprintBurndownChart 
+            data={burndownData}
+            loading={componentLoading.burndown}
+            height={320}
+            metric={burndownMetric}
+            onMetricChange={setBurndownMetric}
+          />
+        );
+      case 'cumulativeFlow':
+        return (
+          <CumulativeFlowChart
+            data={cumulativeFlow.data}
+            states={cumulativeFlow.states}
+            loading={componentLoading.cumulativeFlow}
+            height={320}
+          />
+        );
+      case 'velocity':
+        return (
+          <TeamVelocityChart 
+            data={velocityTrendData}
+            loading={componentLoading.velocity}
+            height={320}
+          />
+        );
+      case 'teamSummary':
+        return (
+          <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Individual Performance</h3>
+            <div className="space-y-4">
+              {data?.kpis ? (
+                <>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-gray-600">Delivery Predictability</span>
+                    <span className="font-semibold text-blue-600">{data.kpis.deliveryPredictability}%</span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-gray-600">Team Satisfaction</span>
+                    <span className="font-semibold text-green-600">
+                      {typeof data.kpis.teamSatisfaction === 'object' && data.kpis.teamSatisfaction !== null ?
+                        (data.kpis.teamSatisfaction.value !== null && data.kpis.teamSatisfaction.value !== undefined
+                          ? `${data.kpis.teamSatisfaction.value}/5`
+                          : 'No survey data') :
+                        `${data.kpis.teamSatisfaction}/10`
+                      }
+                    </span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-gray-600">Code Quality</span>
+                    <span className="font-semibold text-purple-600">{data.kpis.codeQuality}/10</span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-gray-600">Cycle Time</span>
+                    <span className="font-semibold text-orange-600">{data.kpis.cycleTime} days</span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm text-gray-600">Defect Escape Rate</span>
+                    <span className="font-semibold text-red-600">{data.kpis.defectEscapeRate}%</span>
+                  </div>
+                </>
+              ) : (
+                <div className="text-gray-500">
+                  Loading KPI data... 
+                  {/* Debug info */}
+                  {process.env.NODE_ENV === 'development' && (
+                    <div className="text-xs mt-2 text-gray-400 space-y-1">
+                      <div>
+                        Data: {data ? 'exists' : 'null'} | 
+                        RT Loading: {realtimeLoading ? 'yes' : 'no'} | 
+                        FB Loading: {fallbackLoading ? 'yes' : 'no'} |
+                        KPIs: {data?.kpis ? 'exists' : 'missing'}
+                      </div>
+                      <div>
+                        RT Data: {realtimeData ? 'exists' : 'null'} | 
+                        FB Data: {fallbackData ? 'exists' : 'null'} |
+                        FB Error: {fallbackError || 'none'}
+                      </div>
+                      {data && (
+                        <div>
+                          Data keys: {Object.keys(data).join(', ')}
+                          {data.kpis && ` | KPI keys: ${Object.keys(data.kpis).join(', ')}`}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="mt-6 pt-4 border-t border-gray-200">
+              <button 
+                onClick={() => {
+                  // Carry the product and sprint over; the individual page shares their defaults
+                  const params = new URLSearchParams();
+                  if (selectedProduct !== URL_FILTERS.productId) {
+                    params.set('productId', normalizeProjectId(selectedProduct));
+                  }
+                  if (selectedSprint !== URL_FILTERS.sprintId) {
+                    params.set('sprintId', selectedSprint);
+                  }
+                  const queryString = params.toString();
+                  navigate(queryString ? `/individual?${queryString}` : '/individual');
+                }}
+                className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              >
+                View Individual Performance →
+              </button>
+            </div>
+          </div>
+        );
+      case 'cycleTime':
+        return (
+          <CycleTimeScatterplot
+            data={cycleTime.items}
+            percentiles={cycleTime.percentiles}
+            loading={componentLoading.cycleTime}
+            workItemType={cycleTimeType}
+            onWorkItemTypeChange={setCycleTimeType}
+          />
+        );
+      case 'forecast':
+        return (
+          <ForecastCard
+            forecast={forecastData}
+            loading={componentLoading.forecast}
+            targetDate={forecastTargetDate}
+            onTargetDateChange={setForecastTargetDate}
+          />
+        );
+      case 'dora':
+        return (
+          <DoraMetricsCard
+            dora={doraData}
+            loading={componentLoading.dora}
+            error={doraError}
+            days={doraDays}
+            onDaysChange={setDoraDays}
+          />
+        );
+      case 'taskDistribution':
+        return (
+          <TaskDistributionDashboard 
+            productId={selectedProduct !== 'all-projects' ? normalizeProjectId(selectedProduct) : null}
+            iterationPath={getSprintIterationPath(selectedSprint)}
+            showBugClassification={false}
+          />
+        );
+      case 'bugClassification':
+        return (
+          <TaskDistributionDashboard 
+            productId={selectedProduct !== 'all-projects' ? normalizeProjectId(selectedProduct) : null}
+            iterationPath={getSprintIterationPath(selectedSprint)}
+            showDistribution={false}
+          />
+        );
+      default:
+        return null;
+    }
   };
 
   return (
@@ -405,6 +791,7 @@ const Dashboard = () => {
             <ExportButtons 
               exportType="dashboard"
               period="sprint"
+              productId={normalizeProjectId(selectedProduct)}
               className="flex-shrink-0"
             />
             {!connected && (
@@ -425,6 +812,7 @@ const Dashboard = () => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <ProductSelector 
             selectedProduct={selectedProduct}
+            products={products}
             onProductChange={setSelectedProduct}
           />
           <SprintFilter 
@@ -440,140 +828,34 @@ const Dashboard = () => {
         </div>
       </div>
 
-      {/* KPI Cards Row - Matches PRD Layout */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-        <PLCard 
-          value={kpiData?.pl?.value}
-          trend={kpiData?.pl?.trend}
-          trendValue={kpiData?.pl?.trendValue}
-          loading={componentLoading.kpis}
-        />
-        <VelocityCard 
-          value={kpiData?.velocity?.value}
-          trend={kpiData?.velocity?.trend}
-          trendValue={kpiData?.velocity?.trendValue}
-          loading={componentLoading.kpis}
-        />
-        <BugCountCard 
-          value={kpiData?.bugs?.value}
-          trend={kpiData?.bugs?.trend}
-          trendValue={kpiData?.bugs?.trendValue}
-          loading={componentLoading.kpis}
-        />
-        <SatisfactionCard 
-          value={kpiData?.satisfaction?.value}
-          trend={kpiData?.satisfaction?.trend}
-          trendValue={kpiData?.satisfaction?.trendValue}
-          loading={componentLoading.kpis}
-        />
-      </div>
-
-      {/* Charts Section - Matches PRD Layout */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-        {/* Sprint Burndown Chart */}
-        <SprintBurndownChart 
-          data={burndownData}
-          loading={componentLoading.burndown}
-          height={320}
-        />
-        
-        {/* Team Velocity Trend Chart */}
-        <TeamVelocityChart 
-          data={velocityTrendData}
-          loading={componentLoading.velocity}
-          height={320}
-        />
-      </div>
-
-      {/* Additional Charts Row */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-        {/* Team Performance Summary */}
-        <div className="bg-white p-6 rounded-lg shadow-dashboard border">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Individual Performance</h3>
-          <div className="space-y-4">
-            {data?.kpis ? (
-              <>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-gray-600">Delivery Predictability</span>
-                  <span className="font-semibold text-blue-600">{data.kpis.deliveryPredictability}%</span>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-gray-600">Team Satisfaction</span>
-                  <span className="font-semibold text-green-600">
-                    {typeof data.kpis.teamSatisfaction === 'object' ? 
-                      data.kpis.teamSatisfaction.value : 
-                      `${data.kpis.teamSatisfaction}/10`
-                    }
-                  </span>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-gray-600">Code Quality</span>
-                  <span className="font-semibold text-purple-600">{data.kpis.codeQuality}/10</span>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-gray-600">Cycle Time</span>
-                  <span className="font-semibold text-orange-600">{data.kpis.cycleTime} days</span>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-sm text-gray-600">Defect Escape Rate</span>
-                  <span className="font-semibold text-red-600">{data.kpis.defectEscapeRate}%</span>
-                </div>
-              </>
-            ) : (
-              <div className="text-gray-500">
-                Loading KPI data... 
-                {/* Debug info */}
-                {process.env.NODE_ENV === 'development' && (
-                  <div className="text-xs mt-2 text-gray-400 space-y-1">
-                    <div>
-                      Data: {data ? 'exists' : 'null'} | 
-                      RT Loading: {realtimeLoading ? 'yes' : 'no'} | 
-                      FB Loading: {fallbackLoading ? 'yes' : 'no'} |
-                      KPIs: {data?.kpis ? 'exists' : 'missing'}
-                    </div>
-                    <div>
-                      RT Data: {realtimeData ? 'exists' : 'null'} | 
-                      FB Data: {fallbackData ? 'exists' : 'null'} |
-                      FB Error: {fallbackError || 'none'}
-                    </div>
-                    {data && (
-                      <div>
-                        Data keys: {Object.keys(data).join(', ')}
-                        {data.kpis && ` | KPI keys: ${Object.keys(data.kpis).join(', ')}`}
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
-          <div className="mt-6 pt-4 border-t border-gray-200">
-            <button 
-              onClick={() => {
-                // Navigate with current filter parameters
-                const params = new URLSearchParams();
-                if (selectedProduct && selectedProduct !== 'all-projects') {
-                  params.set('productId', normalizeProjectId(selectedProduct));
-                }
-                if (selectedSprint && selectedSprint !== 'all-sprints') {
-                  params.set('sprintId', selectedSprint);
-                }
-                const queryString = params.toString();
-                const targetUrl = queryString ? `/individual?${queryString}` : '/individual';
-                window.location.href = targetUrl;
-              }}
-              className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-            >
-              View Individual Performance →
-            </button>
-          </div>
-        </div>
-      </div>
-
-      {/* Enhanced Task Distribution & Bug Classification Section */}
-      <TaskDistributionDashboard 
-        productId={selectedProduct !== 'all-projects' ? normalizeProjectId(selectedProduct) : null}
-        iterationPath={getSprintIterationPath(selectedSprint)}
+      {/* Dashboard widgets, arranged by the user's or the team's layout */}
+      <DashboardLayoutToolbar
+        editing={draft !== null}
+        layout={shownLayout}
+        source={layoutSource}
+        isAdmin={isAdmin}
+        onEdit={() => setDraft(shownLayout)}
+        onChange={setDraft}
+        onCancel={() => setDraft(null)}
+        onSave={async (options) => {
+          await saveLayout(draft, options);
+          setDraft(null);
+          // The saved layout replaces a saved view's widget selection
+          setFilters({ widgets: '' });
+        }}
+        onReset={async (options) => {
+          await resetLayout(options);
+          setDraft(null);
+        }}
+        onSaveTeam={(options) => saveTeamLayout(draft, options)}
+        onRemoveTeam={removeTeamLayout}
+        className="mb-4"
+      />
+      <DashboardGrid
+        layout={shownLayout}
+        renderWidget={renderWidget}
+        editing={draft !== null}
+        onChange={setDraft}
         className="mb-6"
       />
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useSearchParams, useNavigate, useParams } from 'react-router-dom';
 import {
   LineChart,
@@ -22,31 +22,80 @@ import { useRealtimeMetrics } from '../hooks/useRealtimeMetrics';
 import { projectsConfig } from '../config/branding';
 import ProductSelector from '../components/ProductSelector';
 import SprintFilter from '../components/SprintFilter';
+import WorkItemBulkActions from '../components/WorkItemBulkActions';
+import useUrlFilters from '../hooks/useUrlFilters';
+import useUserPreferences from '../hooks/useUserPreferences';
+import useProducts from '../hooks/useProducts';
+import { DASHBOARD_FILTERS } from '../config/dashboard';
+
+// Fields a row refreshes from the work item returned by an edit
+const EDITED_FIELDS = ['rev', 'title', 'state', 'priority', 'storyPoints', 'tags', 'iterationPath'];
+const EDIT_STATES = ['New', 'Active', 'Resolved', 'Closed'];
+
+// Same names and defaults as the dashboard, so filters carry over between the two pages
+const URL_FILTERS = {
+  productId: DASHBOARD_FILTERS.productId,
+  sprintId: DASHBOARD_FILTERS.sprintId
+};
 
 const IndividualPerformance = () => {
-  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const params = useParams();
-  const [selectedUser, setSelectedUser] = useState(
-    params.userId || searchParams.get('userId') || ''
-  );
+  // Read from the URL on every render so back/forward restore the previous selection
+  const selectedUser = params.userId || searchParams.get('userId') || '';
+  const { preferences } = useUserPreferences();
+  const preferredFilters = useMemo(() => preferences && {
+    productId: preferences.defaultProductId,
+    sprintId: preferences.defaultSprintMode
+  }, [preferences]);
+  const [filters, setFilters] = useUrlFilters(URL_FILTERS, preferredFilters);
+  const { productId: selectedProduct, sprintId: selectedSprint } = filters;
   const [searchQuery, setSearchQuery] = useState('');
+  const products = useProducts();
   const [teamMembers, setTeamMembers] = useState([]);
   const [teamMembersLoading, setTeamMembersLoading] = useState(false);
   const [individualMetrics, setIndividualMetrics] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  // Filter states (matching Dashboard pattern)
-  const [selectedProduct, setSelectedProduct] = useState(
-    searchParams.get('productId') || 'Product - Partner Management Platform'
-  );
-  const [selectedSprint, setSelectedSprint] = useState(
-    searchParams.get('sprintId') || 'current'
-  );
-  
   // Sprint data for resolving sprint paths (matching Dashboard pattern)
   const [sprintData, setSprintData] = useState([]);
 
+  // Work item editing (leads only): row selection for bulk actions and one inline row edit
+  const [canEditWorkItems, setCanEditWorkItems] = useState(false);
+  const [selectedItemIds, setSelectedItemIds] = useState([]);
+  const [editingItem, setEditingItem] = useState(null);
+  const [savingItem, setSavingItem] = useState(false);
+  const [editNotice, setEditNotice] = useState(null);
+
+  useEffect(() => {
+    const fetchEditOptions = async () => {
+      try {
+        const response = await fetch('/api/workitems/meta/edit-options', {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        if (response.ok) {
+          const result = await response.json();
+          setCanEditWorkItems(Boolean(result.data?.canEdit));
+        }
+      } catch (error) {
+        console.warn('Could not fetch work item edit options:', error);
+      }
+    };
+
+    fetchEditOptions();
+  }, []);
+
+  // A selection or edit only makes sense for the list it was made on
+  useEffect(() => {
+    setSelectedItemIds([]);
+    setEditingItem(null);
+    setEditNotice(null);
+  }, [selectedUser, selectedProduct, selectedSprint]);
+
   // Fetch sprint data for path resolution (scoped to selected product)
   useEffect(() => {
     const fetchSprintData = async () => {
@@ -474,6 +523,8 @@ const IndividualPerformance = () => {
         
         if (response.ok) {
           setIndividualMetrics(data.data);
+        } else if (response.status === 403) {
+          setError(data.message || 'You do not have access to this team member');
         } else {
           setError(data.error || 'Failed to fetch individual metrics');
         }
@@ -489,36 +540,110 @@ const IndividualPerformance = () => {
   }, [selectedUser, selectedProduct, selectedSprint, sprintData]);
 
   const handleUserSelection = (userId) => {
-    setSelectedUser(userId);
     // Update URL to support sharing
-    navigate(`/individual/${encodeURIComponent(userId)}${window.location.search}`);
+    const query = searchParams.toString();
+    navigate(`/individual/${encodeURIComponent(userId)}${query ? `?${query}` : ''}`);
   };
 
   // Filter change handlers (matching Dashboard pattern)
   const handleProductChange = (productId) => {
-    setSelectedProduct(productId);
     const newSearchParams = new URLSearchParams(searchParams);
-    if (productId === 'all-projects') {
+    if (productId === URL_FILTERS.productId) {
       newSearchParams.delete('productId');
     } else {
       newSearchParams.set('productId', productId);
     }
-    setSearchParams(newSearchParams);
     // Clear selected user when changing project
-    setSelectedUser('');
-    navigate(`/individual?${newSearchParams.toString()}`);
+    newSearchParams.delete('userId');
+    const query = newSearchParams.toString();
+    navigate(`/individual${query ? `?${query}` : ''}`);
   };
 
   const handleSprintChange = (sprintId) => {
-    setSelectedSprint(sprintId);
-    const newSearchParams = new URLSearchParams(searchParams);
-    if (sprintId === 'all-sprints') {
-      newSearchParams.delete('sprintId');
-    } else {
-      newSearchParams.set('sprintId', sprintId);
+    setFilters({ sprintId });
+  };
+
+  // Merge edited work items into the recent list without refetching the metrics
+  const applyWorkItemChanges = (updatedItems) => {
+    const byId = new Map(updatedItems.filter(Boolean).map(item => [item.id, item]));
+    setIndividualMetrics(prev => (prev ? {
+      ...prev,
+      workItems: {
+        ...prev.workItems,
+        recent: prev.workItems.recent?.map(item => {
+          const updated = byId.get(item.id);
+          if (!updated) return item;
+          return { ...item, ...Object.fromEntries(EDITED_FIELDS.filter(field => updated[field] !== undefined).map(field => [field, updated[field]])) };
+        })
+      }
+    } : prev));
+  };
+
+  const toggleItemSelection = (itemId) => {
+    setSelectedItemIds(prev => (prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]));
+  };
+
+  const toggleAllItems = () => {
+    const recentIds = (individualMetrics?.workItems?.recent || []).map(item => item.id);
+    setSelectedItemIds(prev => (prev.length === recentIds.length ? [] : recentIds));
+  };
+
+  const startEditing = (item) => {
+    setEditNotice(null);
+    setEditingItem({ id: item.id, rev: item.rev, state: item.state, storyPoints: item.storyPoints ?? 0 });
+  };
+
+  const saveEditingItem = async () => {
+    const original = individualMetrics.workItems.recent.find(item => item.id === editingItem.id);
+    const changes = ['state', 'storyPoints']
+      .filter(field => String(editingItem[field]) !== String(original[field] ?? ''))
+      .reduce((acc, field) => ({ ...acc, [field]: field === 'state' ? editingItem[field] : Number(editingItem[field]) }), {});
+
+    if (Object.keys(changes).length === 0) {
+      setEditingItem(null);
+      return;
     }
-    setSearchParams(newSearchParams);
-    navigate(`/individual?${newSearchParams.toString()}`);
+
+    setSavingItem(true);
+    try {
+      const normalizedProductId = normalizeProjectId(selectedProduct);
+      const response = await fetch(`/api/workitems/${editingItem.id}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          rev: editingItem.rev,
+          ...changes,
+          ...(normalizedProductId && normalizedProductId !== 'all-projects' && { productId: normalizedProductId })
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        applyWorkItemChanges([data.data]);
+        setEditingItem(null);
+        setEditNotice({ type: 'success', text: `#${editingItem.id} updated` });
+      } else if (response.status === 409) {
+        // Someone saved first: show their version and let the user decide again
+        applyWorkItemChanges([data.current]);
+        if (data.current) startEditing(data.current);
+        setEditNotice({ type: 'error', text: `#${editingItem.id} was changed by someone else. The latest values are loaded; review and save again.` });
+      } else {
+        setEditNotice({ type: 'error', text: data.details?.[0]?.msg || data.message || data.error || 'Failed to update work item' });
+      }
+    } catch (error) {
+      console.error('Error updating work item:', error);
+      setEditNotice({ type: 'error', text: 'Failed to update work item' });
+    } finally {
+      setSavingItem(false);
+    }
+  };
+
+  const handleBulkApplied = (result) => {
+    applyWorkItemChanges(result.results.map(item => item.workItem));
+    setSelectedItemIds(result.results.filter(item => item.status === 'failed').map(item => item.id));
   };
 
   const filteredMembers = teamMembers.filter(member =>
@@ -614,6 +739,7 @@ const IndividualPerformance = () => {
               <div className="space-y-2">
                 <ProductSelector 
                   selectedProduct={selectedProduct}
+                  products={products}
                   onProductChange={handleProductChange}
                 />
               </div>
@@ -1210,10 +1336,37 @@ const IndividualPerformance = () => {
                         )}
                       </div>
                     </div>
+                    {canEditWorkItems && selectedItemIds.length > 0 && (
+                      <WorkItemBulkActions
+                        selectedIds={selectedItemIds}
+                        productId={normalizeProjectId(selectedProduct)}
+                        sprints={sprintData}
+                        onApplied={handleBulkApplied}
+                        onClear={() => setSelectedItemIds([])}
+                      />
+                    )}
+                    {editNotice && (
+                      <div className={`px-6 py-3 text-sm border-b border-gray-100 ${
+                        editNotice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+                      }`}>
+                        {editNotice.text}
+                      </div>
+                    )}
                     <div className="overflow-x-auto">
                       <table className="w-full">
                         <thead className="bg-gray-50">
                           <tr>
+                            {canEditWorkItems && (
+                              <th className="py-4 pl-6 w-8">
+                                <input
+                                  type="checkbox"
+                                  aria-label="Select all work items"
+                                  checked={individualMetrics.workItems.recent?.length > 0 && selectedItemIds.length === individualMetrics.workItems.recent.length}
+                                  onChange={toggleAllItems}
+                                  className="rounded border-gray-300"
+                                />
+                              </th>
+                            )}
                             <th className="text-left py-4 px-6 font-semibold text-gray-700 text-sm">ID</th>
                             <th className="text-left py-4 px-6 font-semibold text-gray-700 text-sm">Title</th>
                             <th className="text-left py-4 px-6 font-semibold text-gray-700 text-sm">Type</th>
@@ -1222,11 +1375,23 @@ const IndividualPerformance = () => {
                             <th className="text-left py-4 px-6 font-semibold text-gray-700 text-sm">Assigned To</th>
                             <th className="text-left py-4 px-6 font-semibold text-gray-700 text-sm">Created</th>
                             <th className="text-left py-4 px-6 font-semibold text-gray-700 text-sm">Updated</th>
+                            {canEditWorkItems && <th className="py-4 px-6" />}
                           </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-100">
                           {individualMetrics.workItems.recent?.map((item, index) => (
-                            <tr key={item.id} className="hover:bg-gray-50 transition-colors duration-200">
+                            <tr key={item.id} className={`hover:bg-gray-50 transition-colors duration-200 ${selectedItemIds.includes(item.id) ? 'bg-blue-50' : ''}`}>
+                              {canEditWorkItems && (
+                                <td className="py-4 pl-6">
+                                  <input
+                                    type="checkbox"
+                                    aria-label={`Select work item ${item.id}`}
+                                    checked={selectedItemIds.includes(item.id)}
+                                    onChange={() => toggleItemSelection(item.id)}
+                                    className="rounded border-gray-300"
+                                  />
+                                </td>
+                              )}
                               <td className="py-4 px-6 text-sm">
                                 {item.url ? (
                                   <a 
@@ -1272,6 +1437,18 @@ const IndividualPerformance = () => {
                                 </span>
                               </td>
                               <td className="py-4 px-6">
+                                {editingItem?.id === item.id ? (
+                                  <select
+                                    aria-label={`State of work item ${item.id}`}
+                                    value={editingItem.state}
+                                    onChange={(e) => setEditingItem(prev => ({ ...prev, state: e.target.value }))}
+                                    className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                                  >
+                                    {[...new Set([item.state, ...EDIT_STATES])].filter(Boolean).map(state => (
+                                      <option key={state} value={state}>{state}</option>
+                                    ))}
+                                  </select>
+                                ) : (
                                 <span className={`inline-flex items-center px-3 py-1 rounded-lg text-xs font-medium ${
                                   ['Closed', 'Done', 'Resolved'].includes(item.state) ? 'bg-green-100 text-green-800 border border-green-200' :
                                   ['Active', 'In Progress'].includes(item.state) ? 'bg-blue-100 text-blue-800 border border-blue-200' :
@@ -1286,9 +1463,20 @@ const IndividualPerformance = () => {
                                   }`} />
                                   {item.state}
                                 </span>
+                                )}
                               </td>
                               <td className="py-4 px-6 text-sm font-semibold text-gray-900">
-                                {item.storyPoints ? (
+                                {editingItem?.id === item.id ? (
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="0.5"
+                                    aria-label={`Story points of work item ${item.id}`}
+                                    value={editingItem.storyPoints}
+                                    onChange={(e) => setEditingItem(prev => ({ ...prev, storyPoints: e.target.value }))}
+                                    className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                  />
+                                ) : item.storyPoints ? (
                                   <div className="flex items-center space-x-1">
                                     <span>{item.storyPoints}</span>
                                     <span className="text-xs text-gray-500">pts</span>
@@ -1306,11 +1494,40 @@ const IndividualPerformance = () => {
                               <td className="py-4 px-6 text-sm text-gray-500">
                                 {item.lastUpdated ? new Date(item.lastUpdated).toLocaleDateString() : <span className="text-gray-400">-</span>}
                               </td>
+                              {canEditWorkItems && (
+                                <td className="py-4 px-6 text-sm text-right whitespace-nowrap">
+                                  {editingItem?.id === item.id ? (
+                                    <div className="flex justify-end space-x-3">
+                                      <button
+                                        type="button"
+                                        onClick={saveEditingItem}
+                                        disabled={savingItem}
+                                        className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50"
+                                      >
+                                        {savingItem ? 'Saving...' : 'Save'}
+                                      </button>
+                                      <button type="button" onClick={() => setEditingItem(null)} className="text-gray-500 hover:text-gray-700">
+                                        Cancel
+                                      </button>
+                                    </div>
+                                  ) : (
+                                    <button
+                                      type="button"
+                                      onClick={() => startEditing(item)}
+                                      disabled={!item.rev}
+                                      title={item.rev ? 'Edit state and points' : 'Refresh to edit this item'}
+                                      className="text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-300"
+                                    >
+                                      Edit
+                                    </button>
+                                  )}
+                                </td>
+                              )}
                             </tr>
                           ))}
                           {(!individualMetrics.workItems.recent || individualMetrics.workItems.recent.length === 0) && (
                             <tr>
-                              <td colSpan={8} className="text-center py-12">
+                              <td colSpan={canEditWorkItems ? 10 : 8} className="text-center py-12">
                                 <div className="flex flex-col items-center space-y-3">
                                   <div className="w-12 h-12 bg-gray-100 rounded-full flex items-center justify-center">
                                     <svg className="w-6 h-6 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
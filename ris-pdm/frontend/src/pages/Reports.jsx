@@ -1,9 +1,187 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { saveAs } from 'file-saver';
 import { ExportButtons } from '../components';
+import { projectsConfig } from '../config/branding';
+
+const ALL_PRODUCTS = 'all-projects';
+const CUSTOM_SCHEDULE = 'custom';
+
+const EMPTY_FORM = {
+  reportType: '',
+  dateRange: '',
+  format: 'pdf',
+  productId: ALL_PRODUCTS,
+  schedule: '',
+  customSchedule: '',
+  delivery: 'archive',
+  recipients: '',
+  name: ''
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.message || err.response?.data?.error || fallback
+);
+
+const productName = (productId) => (
+  productId ? projectsConfig.find(project => project.id === productId)?.name || productId : 'All products'
+);
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const SOURCE_LABELS = {
+  schedule: 'Scheduled',
+  manual: 'Generated',
+  export: 'Exported'
+};
+
+const FORMAT_LABELS = {
+  pdf: 'PDF',
+  excel: 'Excel',
+  pptx: 'PowerPoint'
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
 
 const Reports = () => {
   const [selectedPeriod, setSelectedPeriod] = useState('sprint');
-  
+  const [options, setOptions] = useState(null);
+  const [definitions, setDefinitions] = useState([]);
+  const [archive, setArchive] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(null);
+  const [officialOnly, setOfficialOnly] = useState(false);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      const [optionsResponse, definitionsResponse, archiveResponse] = await Promise.all([
+        axios.get('/api/reports/options', { headers: authHeaders() }),
+        axios.get('/api/reports/definitions', { headers: authHeaders() }),
+        axios.get('/api/reports/archive', {
+          headers: authHeaders(),
+          params: officialOnly ? { official: true } : undefined
+        })
+      ]);
+      setOptions(optionsResponse.data.data);
+      setDefinitions(definitionsResponse.data.data || []);
+      setArchive(archiveResponse.data.data || []);
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load reports'));
+    } finally {
+      setLoading(false);
+    }
+  }, [officialOnly]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const reportType = options?.reportTypes.find(type => type.id === form.reportType);
+  const reportTypeLabel = (id) => options?.reportTypes.find(type => type.id === id)?.label || id;
+  const emailConfigured = options?.deliveries.find(delivery => delivery.id === 'email')?.configured;
+  const schedule = form.schedule === CUSTOM_SCHEDULE ? form.customSchedule.trim() : form.schedule;
+
+  const buildReport = () => ({
+    reportType: form.reportType,
+    format: reportType?.formats.includes(form.format) ? form.format : reportType?.formats[0],
+    productId: form.productId === ALL_PRODUCTS ? null : form.productId,
+    dateRange: form.dateRange || null,
+    delivery: form.delivery,
+    recipients: form.delivery === 'email'
+      ? form.recipients.split(/[,;\s]+/).map(recipient => recipient.trim()).filter(Boolean)
+      : []
+  });
+
+  const withBusy = async (key, action, failure) => {
+    setBusy(key);
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setNotice(null);
+      setError(errorMessage(err, failure));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleGenerate = () => withBusy('generate', async () => {
+    const response = await axios.post('/api/reports/generate', buildReport(), { headers: authHeaders() });
+    setNotice(`${response.data.data.name} generated and added to the archive`);
+    await fetchReports();
+  }, 'Failed to generate report');
+
+  const handleSaveSchedule = () => withBusy('schedule', async () => {
+    await axios.post('/api/reports/definitions', {
+      ...buildReport(),
+      name: form.name.trim() || `${reportType.label} - ${productName(buildReport().productId)}`,
+      schedule
+    }, { headers: authHeaders() });
+    setForm(EMPTY_FORM);
+    setNotice('Scheduled report saved');
+    await fetchReports();
+  }, 'Failed to save scheduled report');
+
+  const handleRun = (definition) => withBusy(definition.id, async () => {
+    await axios.post(`/api/reports/definitions/${definition.id}/run`, {}, { headers: authHeaders() });
+    setNotice(`${definition.name} generated and added to the archive`);
+    await fetchReports();
+  }, 'Failed to generate report');
+
+  const handleToggle = (definition) => withBusy(definition.id, async () => {
+    await axios.put(`/api/reports/definitions/${definition.id}`, { enabled: !definition.enabled }, { headers: authHeaders() });
+    await fetchReports();
+  }, 'Failed to update scheduled report');
+
+  const handleDelete = (definition) => withBusy(definition.id, async () => {
+    await axios.delete(`/api/reports/definitions/${definition.id}`, { headers: authHeaders() });
+    await fetchReports();
+  }, 'Failed to delete scheduled report');
+
+  const fetchFile = async (entry) => {
+    const response = await axios.get(`/api/reports/archive/${entry.id}/download`, {
+      headers: authHeaders(),
+      responseType: 'blob'
+    });
+    return new Blob([response.data], { type: entry.contentType });
+  };
+
+  const handleDownload = (entry) => withBusy(entry.id, async () => {
+    saveAs(await fetchFile(entry), entry.fileName);
+  }, 'Failed to download report');
+
+  const handleView = (entry) => withBusy(entry.id, async () => {
+    window.open(URL.createObjectURL(await fetchFile(entry)), '_blank', 'noopener');
+  }, 'Failed to open report');
+
+  const handleOfficial = (entry) => {
+    let note = null;
+    if (!entry.official) {
+      note = window.prompt('Mark as the official report. Where was it presented? (optional)', '');
+      if (note === null) return;
+    }
+    withBusy(entry.id, async () => {
+      await axios.put(`/api/reports/archive/${entry.id}/official`, {
+        official: !entry.official,
+        note: note?.trim() || null
+      }, { headers: authHeaders() });
+      await fetchReports();
+    }, 'Failed to update official report');
+  };
+
+  const canGenerate = Boolean(reportType) && (form.delivery !== 'email' || buildReport().recipients.length > 0);
+
   return (
     <div className="p-6">
       <div className="mb-6">
@@ -23,7 +201,7 @@ const Reports = () => {
               <option value="quarter">This Quarter</option>
               <option value="year">This Year</option>
             </select>
-            <ExportButtons 
+            <ExportButtons
               exportType="team-data"
               period={selectedPeriod}
               className="flex-shrink-0"
@@ -32,6 +210,13 @@ const Reports = () => {
         </div>
       </div>
 
+      {error && (
+        <div className="mb-6 p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+      )}
+      {notice && (
+        <div className="mb-6 p-3 rounded-md bg-green-50 text-sm text-green-700">{notice}</div>
+      )}
+
       {/* Report Generation Section */}
       <div className="bg-white p-6 rounded-lg shadow-dashboard border mb-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Generate New Report</h3>
@@ -42,13 +227,16 @@ const Reports = () => {
             </label>
             <select
               id="reportType"
+              value={form.reportType}
+              onChange={(e) => setField('reportType', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
             >
               <option value="">Select Report Type</option>
-              <option value="monthly">Monthly Performance</option>
-              <option value="quarterly">Quarterly Review</option>
-              <option value="annual">Annual Summary</option>
-              <option value="department">Department Comparison</option>
+              {options?.reportTypes.map(type => (
+                <option key={type.id} value={type.id} disabled={type.restricted && !options.canGenerateRestricted}>
+                  {type.label}{type.restricted && !options.canGenerateRestricted ? ' (Admin or Manager)' : ''}
+                </option>
+              ))}
             </select>
           </div>
           <div>
@@ -57,69 +245,283 @@ const Reports = () => {
             </label>
             <select
               id="dateRange"
+              value={form.dateRange}
+              onChange={(e) => setField('dateRange', e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
             >
-              <option value="">Select Date Range</option>
-              <option value="last30">Last 30 Days</option>
-              <option value="last90">Last 90 Days</option>
-              <option value="last180">Last 6 Months</option>
-              <option value="last365">Last Year</option>
+              <option value="">Report period</option>
+              {options?.dateRanges.map(range => (
+                <option key={range.id} value={range.id}>{range.label}</option>
+              ))}
             </select>
           </div>
-          <div className="flex items-end">
-            <button className="w-full bg-primary-500 text-white px-4 py-2 rounded-md hover:bg-primary-600 transition-colors">
-              Generate Report
-            </button>
+          <div>
+            <label htmlFor="reportProduct" className="block text-sm font-medium text-gray-700 mb-2">
+              Product
+            </label>
+            <select
+              id="reportProduct"
+              value={form.productId}
+              onChange={(e) => setField('productId', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              {projectsConfig.map(project => (
+                <option key={project.id} value={project.id}>
+                  {project.id === ALL_PRODUCTS ? 'All products' : project.name}
+                </option>
+              ))}
+            </select>
           </div>
+          <div>
+            <label htmlFor="reportFormat" className="block text-sm font-medium text-gray-700 mb-2">
+              Format
+            </label>
+            <select
+              id="reportFormat"
+              value={reportType?.formats.includes(form.format) ? form.format : reportType?.formats[0] || form.format}
+              onChange={(e) => setField('format', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              {(reportType?.formats || ['pdf', 'excel']).map(format => (
+                <option key={format} value={format}>{FORMAT_LABELS[format]}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="reportDelivery" className="block text-sm font-medium text-gray-700 mb-2">
+              Delivery
+            </label>
+            <select
+              id="reportDelivery"
+              value={form.delivery}
+              onChange={(e) => setField('delivery', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="archive">Report archive</option>
+              <option value="email" disabled={!emailConfigured}>
+                Email and archive{emailConfigured ? '' : ' (not configured)'}
+              </option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="reportSchedule" className="block text-sm font-medium text-gray-700 mb-2">
+              Schedule
+            </label>
+            <select
+              id="reportSchedule"
+              value={form.schedule}
+              onChange={(e) => setField('schedule', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">Run once</option>
+              {options?.schedulePresets.map(preset => (
+                <option key={preset.schedule} value={preset.schedule}>{preset.label}</option>
+              ))}
+              <option value={CUSTOM_SCHEDULE}>Custom (cron)</option>
+            </select>
+          </div>
+          {form.delivery === 'email' && (
+            <div className="md:col-span-2">
+              <label htmlFor="reportRecipients" className="block text-sm font-medium text-gray-700 mb-2">
+                Recipients
+              </label>
+              <input
+                id="reportRecipients"
+                type="text"
+                value={form.recipients}
+                onChange={(e) => setField('recipients', e.target.value)}
+                placeholder="cto@company.com, po@company.com"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+          )}
+          {form.schedule === CUSTOM_SCHEDULE && (
+            <div>
+              <label htmlFor="reportCron" className="block text-sm font-medium text-gray-700 mb-2">
+                Cron expression
+              </label>
+              <input
+                id="reportCron"
+                type="text"
+                value={form.customSchedule}
+                onChange={(e) => setField('customSchedule', e.target.value)}
+                placeholder="0 7 * * 1"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+          )}
+          {form.schedule && (
+            <div>
+              <label htmlFor="reportName" className="block text-sm font-medium text-gray-700 mb-2">
+                Name
+              </label>
+              <input
+                id="reportName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+                placeholder={reportType ? `${reportType.label} - ${productName(buildReport().productId)}` : 'Report name'}
+                maxLength={255}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+          )}
+        </div>
+        <div className="mt-4 flex flex-col sm:flex-row sm:justify-end gap-3">
+          {form.schedule && (
+            <button
+              type="button"
+              onClick={handleSaveSchedule}
+              disabled={!canGenerate || !schedule || busy !== null}
+              className="px-4 py-2 border border-primary-500 text-primary-600 rounded-md hover:bg-primary-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy === 'schedule' ? 'Saving...' : 'Save Schedule'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleGenerate}
+            disabled={!canGenerate || busy !== null}
+            className="bg-primary-500 text-white px-4 py-2 rounded-md hover:bg-primary-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy === 'generate' ? 'Generating...' : 'Generate Report'}
+          </button>
         </div>
       </div>
 
+      {/* Scheduled Reports */}
+      {definitions.length > 0 && (
+        <div className="bg-white rounded-lg shadow-dashboard border mb-6">
+          <div className="p-6 border-b border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-900">Scheduled Reports</h3>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {definitions.map(definition => (
+              <li key={definition.id} className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div className={`min-w-0 ${definition.enabled ? '' : 'opacity-50'}`}>
+                  <h4 className="font-medium text-gray-900">{definition.name}</h4>
+                  <p className="text-sm text-gray-600">
+                    {reportTypeLabel(definition.reportType)} · {productName(definition.productId)} · <span className="font-mono">{definition.schedule}</span>
+                    {definition.delivery === 'email' && ` · emailed to ${definition.recipients.join(', ')}`}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Next run {definition.enabled ? formatDateTime(definition.nextRunAt) : 'paused'}
+                    {definition.lastRunAt && ` · last run ${formatDateTime(definition.lastRunAt)}`}
+                    {definition.lastStatus === 'failed' && (
+                      <span className="text-red-600" title={definition.lastError || ''}> (failed)</span>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 text-sm flex-shrink-0">
+                  <button type="button" onClick={() => handleRun(definition)} disabled={busy !== null} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+                    {busy === definition.id ? 'Running...' : 'Run now'}
+                  </button>
+                  <button type="button" onClick={() => handleToggle(definition)} disabled={busy !== null} className="text-gray-600 hover:text-gray-900 disabled:opacity-50">
+                    {definition.enabled ? 'Pause' : 'Resume'}
+                  </button>
+                  <button type="button" onClick={() => handleDelete(definition)} disabled={busy !== null} className="text-red-600 hover:text-red-800 disabled:opacity-50">
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Recent Reports */}
       <div className="bg-white rounded-lg shadow-dashboard border">
-        <div className="p-6 border-b border-gray-200">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
           <h3 className="text-lg font-semibold text-gray-900">Recent Reports</h3>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={officialOnly}
+              onChange={(e) => setOfficialOnly(e.target.checked)}
+              className="mr-2"
+            />
+            Official reports only
+          </label>
         </div>
         <div className="p-6">
-          <div className="space-y-4">
-            {/* Placeholder Report Items */}
-            <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-              <div>
-                <h4 className="font-medium text-gray-900">Monthly Performance Report - June 2024</h4>
-                <p className="text-sm text-gray-600">Generated on July 1, 2024</p>
-              </div>
-              <div className="flex space-x-2">
-                <button className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors">
-                  View
-                </button>
-                <button className="px-3 py-1 text-sm bg-primary-500 text-white rounded hover:bg-primary-600 transition-colors">
-                  Download
-                </button>
-              </div>
-            </div>
-            
-            <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
-              <div>
-                <h4 className="font-medium text-gray-900">Quarterly Review - Q2 2024</h4>
-                <p className="text-sm text-gray-600">Generated on July 5, 2024</p>
-              </div>
-              <div className="flex space-x-2">
-                <button className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors">
-                  View
-                </button>
-                <button className="px-3 py-1 text-sm bg-primary-500 text-white rounded hover:bg-primary-600 transition-colors">
-                  Download
-                </button>
-              </div>
-            </div>
-
+          {loading ? (
+            <div className="h-16 bg-gray-100 rounded animate-pulse"></div>
+          ) : archive.length === 0 ? (
             <div className="text-center py-8 text-gray-500">
-              <p>More reports will be available once data integration is complete.</p>
+              <p>{officialOnly ? 'No report has been marked official yet.' : 'No reports yet. Exports, generated and scheduled reports will appear here.'}</p>
             </div>
-          </div>
+          ) : (
+            <div className="space-y-4">
+              {archive.map(entry => (
+                <div
+                  key={entry.id}
+                  className={`flex items-center justify-between p-4 border rounded-lg ${entry.official ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}
+                >
+                  <div className="min-w-0">
+                    <h4 className="font-medium text-gray-900">
+                      {entry.name}
+                      <span className="ml-2 text-xs font-normal text-gray-500">v{entry.version}</span>
+                      {entry.official && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">Official</span>
+                      )}
+                    </h4>
+                    <p className="text-sm text-gray-600">
+                      {`${SOURCE_LABELS[entry.source] || 'Generated'} on ${formatDateTime(entry.createdAt)}`}
+                      {entry.source !== 'schedule' && entry.generatedBy && ` by ${entry.generatedBy}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {productName(entry.productId)}
+                      {entry.period && ` · ${entry.period}`}
+                      {entry.startDate && ` · ${entry.startDate} to ${entry.endDate}`}
+                      {` · ${FORMAT_LABELS[entry.format] || entry.format}, ${formatSize(entry.sizeBytes)}`}
+                      {entry.checksum && (
+                        <span className="font-mono" title={`SHA-256 ${entry.checksum}`}>{` · sha256 ${entry.checksum.slice(0, 12)}`}</span>
+                      )}
+                    </p>
+                    {entry.official && (
+                      <p className="text-xs text-green-700">
+                        Official{entry.officialNote ? ` for ${entry.officialNote}` : ''} · pinned by {entry.officialBy} on {formatDateTime(entry.officialAt)}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex space-x-2 flex-shrink-0">
+                    {options?.canPinOfficial && (
+                      <button
+                        type="button"
+                        onClick={() => handleOfficial(entry)}
+                        disabled={busy !== null}
+                        className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded hover:bg-gray-50 transition-colors disabled:opacity-50"
+                      >
+                        {entry.official ? 'Unpin' : 'Mark official'}
+                      </button>
+                    )}
+                    {entry.format === 'pdf' && (
+                      <button
+                        type="button"
+                        onClick={() => handleView(entry)}
+                        disabled={busy !== null}
+                        className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors disabled:opacity-50"
+                      >
+                        View
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleDownload(entry)}
+                      disabled={busy !== null}
+                      className="px-3 py-1 text-sm bg-primary-500 text-white rounded hover:bg-primary-600 transition-colors disabled:opacity-50"
+                    >
+                      Download
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-export default Reports;
\ No newline at end of file
+export default Reports;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import ProjectLogo from '../components/ProjectLogo';
+import SurveyForm from '../components/SurveyForm';
+
+// Stakeholders open this page from a share link, so it renders without the app shell or a login
+const SurveyResponse = () => {
+  const { token } = useParams();
+  const [survey, setSurvey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    const fetchSurvey = async () => {
+      try {
+        const response = await axios.get(`/api/surveys/public/${encodeURIComponent(token)}`);
+        setSurvey(response.data.data);
+      } catch (err) {
+        setError(err.response?.status === 404
+          ? 'This survey link is not valid.'
+          : 'The survey could not be loaded. Please try again later.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSurvey();
+  }, [token]);
+
+  const handleSubmit = async (submission) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await axios.post(`/api/surveys/public/${encodeURIComponent(token)}/responses`, submission);
+      setSubmitted(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Your feedback could not be sent. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  let content;
+  if (loading) {
+    content = <div className="h-40 bg-gray-100 rounded animate-pulse" />;
+  } else if (submitted) {
+    content = (
+      <div className="text-center py-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Thank you for your feedback</h2>
+        <p className="text-gray-600">Your answers help the team plan the next delivery.</p>
+      </div>
+    );
+  } else if (!survey) {
+    content = <p className="text-center text-gray-600 py-8">{error}</p>;
+  } else {
+    content = (
+      <>
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">{survey.title}</h1>
+          <p className="text-sm text-gray-500 mt-1">{survey.productId} · {survey.delivery}</p>
+        </div>
+        {survey.open ? (
+          <>
+            {error && (
+              <div className="mb-4 p-3 rounded-md bg-red-50 text-sm text-red-700">{error}</div>
+            )}
+            <SurveyForm questions={survey.questions} onSubmit={handleSubmit} submitting={submitting} />
+          </>
+        ) : (
+          <p className="text-gray-600">This survey is closed and no longer accepts responses.</p>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-10 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="mb-6">
+          <ProjectLogo size="md" showText={true} />
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+          {content}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SurveyResponse;
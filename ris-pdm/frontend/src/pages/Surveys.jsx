@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import ProductSelector from '../components/ProductSelector';
+import useProducts from '../hooks/useProducts';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+const formatScore = (value, suffix = '') => (
+  value === null || value === undefined ? '--' : `${value}${suffix}`
+);
+
+const Surveys = () => {
+  const [selectedProduct, setSelectedProduct] = useState('Product - Partner Management Platform');
+  const products = useProducts();
+  const [surveys, setSurveys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [delivery, setDelivery] = useState('');
+  const [title, setTitle] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const fetchSurveys = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('/api/surveys', {
+        params: { productId: selectedProduct },
+        headers: authHeaders()
+      });
+      setSurveys(response.data.data || []);
+      setError(null);
+    } catch (err) {
+      setSurveys([]);
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to load surveys');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedProduct]);
+
+  useEffect(() => {
+    fetchSurveys();
+  }, [fetchSurveys]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!delivery.trim()) return;
+
+    setCreating(true);
+    try {
+      await axios.post('/api/surveys', {
+        productId: selectedProduct,
+        delivery: delivery.trim(),
+        ...(title.trim() && { title: title.trim() })
+      }, { headers: authHeaders() });
+      setDelivery('');
+      setTitle('');
+      await fetchSurveys();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create survey');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleClose = async (surveyId) => {
+    try {
+      await axios.post(`/api/surveys/${surveyId}/close`, {}, { headers: authHeaders() });
+      await fetchSurveys();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to close survey');
+    }
+  };
+
+  const handleCopyLink = async (survey) => {
+    const link = `${window.location.origin}/survey/${survey.shareToken}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopiedId(survey.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch {
+      window.prompt('Copy the survey link', link);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between mb-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Stakeholder Surveys</h1>
+            <p className="text-gray-600">Collect CSAT and NPS feedback after each delivery</p>
+          </div>
+          <ProductSelector
+            selectedProduct={selectedProduct}
+            products={products}
+            onProductChange={setSelectedProduct}
+            className="mt-4 sm:mt-0 sm:w-72"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-md bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      {/* New Survey */}
+      <div className="bg-white p-6 rounded-lg shadow-dashboard border mb-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">New Survey</h3>
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="surveyDelivery" className="block text-sm font-medium text-gray-700 mb-2">
+              Delivery
+            </label>
+            <input
+              id="surveyDelivery"
+              type="text"
+              value={delivery}
+              onChange={(e) => setDelivery(e.target.value)}
+              placeholder="e.g. Delivery 12"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="surveyTitle" className="block text-sm font-medium text-gray-700 mb-2">
+              Title (optional)
+            </label>
+            <input
+              id="surveyTitle"
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div className="flex items-end">
+            <button
+              type="submit"
+              disabled={creating || !delivery.trim()}
+              className="w-full bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {creating ? 'Creating...' : 'Create Survey'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Survey List */}
+      <div className="bg-white p-6 rounded-lg shadow-dashboard border">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Surveys</h3>
+        {loading ? (
+          <div className="h-24 bg-gray-100 rounded animate-pulse" />
+        ) : surveys.length === 0 ? (
+          <p className="text-sm text-gray-500">No surveys for this product yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <th className="py-2 pr-4">Delivery</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Responses</th>
+                  <th className="py-2 pr-4">CSAT</th>
+                  <th className="py-2 pr-4">NPS</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {surveys.map(survey => (
+                  <tr key={survey.id}>
+                    <td className="py-3 pr-4">
+                      <div className="font-medium text-gray-900">{survey.delivery}</div>
+                      <div className="text-xs text-gray-500">{survey.title}</div>
+                    </td>
+                    <td className="py-3 pr-4">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        survey.status === 'open' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                      }`}>
+                        {survey.status}
+                      </span>
+                    </td>
+                    <td className="py-3 pr-4">{survey.scores?.responses ?? 0}</td>
+                    <td className="py-3 pr-4">{formatScore(survey.scores?.csat, '/5')}</td>
+                    <td className="py-3 pr-4">{formatScore(survey.scores?.nps)}</td>
+                    <td className="py-3 text-right whitespace-nowrap space-x-3">
+                      <button
+                        onClick={() => handleCopyLink(survey)}
+                        className="text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        {copiedId === survey.id ? 'Copied' : 'Copy link'}
+                      </button>
+                      {survey.status === 'open' && (
+                        <button
+                          onClick={() => handleClose(survey.id)}
+                          className="text-gray-600 hover:text-gray-900 font-medium"
+                        >
+                          Close
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Surveys;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import VirtualScrollList from '../components/VirtualScrollList';
+import { projectsConfig } from '../config/branding';
+
+// Query parameters shared by the page URL and GET /api/workitems, so KPI links can open a filtered list
+const FILTER_PARAMS = ['productId', 'workItemType', 'state', 'assignedTo', 'iteration', 'area', 'priority', 'search', 'sort', 'order'];
+
+const PAGE_SIZE = 100;
+const ROW_HEIGHT = 56;
+// Fetch the next page when the last visible row is this close to the end of what is loaded
+const PREFETCH_ROWS = 20;
+
+const WORK_ITEM_TYPES = ['Epic', 'Feature', 'User Story', 'Product Backlog Item', 'Task', 'Bug'];
+
+const SORT_OPTIONS = [
+  { id: 'changedDate', label: 'Last changed' },
+  { id: 'createdDate', label: 'Created' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'storyPoints', label: 'Story points' },
+  { id: 'state', label: 'State' },
+  { id: 'type', label: 'Type' },
+  { id: 'title', label: 'Title' },
+  { id: 'id', label: 'ID' }
+];
+
+const TYPE_COLORS = {
+  Bug: 'bg-red-100 text-red-800',
+  Task: 'bg-yellow-100 text-yellow-800',
+  'User Story': 'bg-blue-100 text-blue-800',
+  'Product Backlog Item': 'bg-blue-100 text-blue-800',
+  Feature: 'bg-purple-100 text-purple-800',
+  Epic: 'bg-orange-100 text-orange-800'
+};
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+const errorMessage = (err, fallback) => (
+  err.response?.data?.details?.[0]?.msg || err.response?.data?.error || err.response?.data?.message || fallback
+);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const lastSegment = (path) => (path ? path.split('\\').pop() : '—');
+
+const WorkItems = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [searchText, setSearchText] = useState(searchParams.get('search') || '');
+
+  const filters = useMemo(() => Object.fromEntries(
+    FILTER_PARAMS.map(name => [name, searchParams.get(name) || ''])
+  ), [searchParams]);
+
+  const params = useMemo(() => Object.fromEntries(
+    Object.entries(filters).filter(([, value]) => value)
+  ), [filters]);
+
+  useEffect(() => {
+    let active = true;
+
+    const fetchFirstPage = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/api/workitems', {
+          params: { ...params, limit: PAGE_SIZE },
+          headers: authHeaders()
+        });
+        if (!active) return;
+        setItems(response.data.data || []);
+        setPagination(response.data.pagination);
+        setError(null);
+      } catch (err) {
+        if (!active) return;
+        setItems([]);
+        setPagination(null);
+        setError(errorMessage(err, 'Failed to load work items'));
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    fetchFirstPage();
+    return () => {
+      active = false;
+    };
+  }, [params]);
+
+  const loadMore = useCallback(async () => {
+    if (loadingMore || !pagination?.nextCursor) return;
+
+    setLoadingMore(true);
+    try {
+      const response = await axios.get('/api/workitems', {
+        params: { ...params, limit: PAGE_SIZE, cursor: pagination.nextCursor },
+        headers: authHeaders()
+      });
+      setItems(prev => [...prev, ...(response.data.data || [])]);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load more work items'));
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loadingMore, pagination, params]);
+
+  const handleScroll = useCallback(({ visibleEndIndex }) => {
+    if (visibleEndIndex >= items.length - PREFETCH_ROWS) {
+      loadMore();
+    }
+  }, [items.length, loadMore]);
+
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setFilter('search', searchText.trim());
+  };
+
+  const clearFilters = () => {
+    setSearchText('');
+    setSearchParams(new URLSearchParams(), { replace: true });
+  };
+
+  const renderRow = (item) => (
+    <div className="grid grid-cols-12 gap-3 items-center h-full px-4 border-b border-gray-100 text-sm hover:bg-gray-50">
+      <a
+        href={item.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="col-span-1 font-mono text-blue-600 hover:underline"
+      >
+        {item.id}
+      </a>
+      <div className="col-span-5 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className={`px-2 py-0.5 rounded text-xs flex-shrink-0 ${TYPE_COLORS[item.type] || 'bg-gray-100 text-gray-800'}`}>
+            {item.type}
+          </span>
+          <span className="truncate text-gray-900" title={item.title}>{item.title}</span>
+        </div>
+        <div className="text-xs text-gray-500 truncate">{lastSegment(item.iterationPath)}</div>
+      </div>
+      <div className="col-span-2 text-gray-700">{item.state}</div>
+      <div className="col-span-2 truncate text-gray-700" title={item.assigneeEmail || ''}>{item.assignee}</div>
+      <div className="col-span-1 text-gray-700">P{item.priority} · {item.storyPoints || 0} pts</div>
+      <div className="col-span-1 text-gray-500">{formatDate(item.changedDate)}</div>
+    </div>
+  );
+
+  const hasFilters = Object.values(params).length > 0;
+
+  return (
+    <div className="p-6">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Work Items</h1>
+        <p className="text-gray-600">Browse the Azure DevOps work items behind the dashboard metrics</p>
+      </div>
+
+      {/* Filter Bar */}
+      <div className="bg-white p-4 rounded-lg shadow-dashboard border mb-6 space-y-4">
+        <form onSubmit={handleSearch} className="flex gap-3">
+          <input
+            type="search"
+            aria-label="Search titles"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search titles"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700">
+            Search
+          </button>
+        </form>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <label className="text-sm text-gray-700">
+            Product
+            <select
+              value={filters.productId}
+              onChange={(e) => setFilter('productId', e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Default project</option>
+              {projectsConfig.filter(project => project.id !== 'all-projects').map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Type
+            <select
+              value={filters.workItemType}
+              onChange={(e) => setFilter('workItemType', e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">All types</option>
+              {/* A drill-down link may ask for several types at once */}
+              {filters.workItemType && !WORK_ITEM_TYPES.includes(filters.workItemType) && (
+                <option value={filters.workItemType}>{filters.workItemType}</option>
+              )}
+              {WORK_ITEM_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            State
+            <input
+              type="text"
+              value={filters.state}
+              onChange={(e) => setFilter('state', e.target.value)}
+              placeholder="e.g. Active, Resolved"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Assigned To
+            <input
+              type="text"
+              value={filters.assignedTo}
+              onChange={(e) => setFilter('assignedTo', e.target.value)}
+              placeholder="name@company.com"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Iteration
+            <input
+              type="text"
+              value={filters.iteration}
+              onChange={(e) => setFilter('iteration', e.target.value)}
+              placeholder="current, or a sprint path"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Area
+            <input
+              type="text"
+              value={filters.area}
+              onChange={(e) => setFilter('area', e.target.value)}
+              placeholder="Project\Team"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Priority
+            <select
+              value={filters.priority}
+              onChange={(e) => setFilter('priority', e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Any priority</option>
+              {['1', '2', '3', '4'].map(priority => <option key={priority} value={priority}>{`P${priority}`}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Sort By
+            <div className="mt-1 flex gap-2">
+              <select
+                value={filters.sort || 'changedDate'}
+                onChange={(e) => setFilter('sort', e.target.value === 'changedDate' ? '' : e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+              </select>
+              <button
+                type="button"
+                onClick={() => setFilter('order', filters.order === 'asc' ? '' : 'asc')}
+                className="px-3 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                title="Toggle sort order"
+              >
+                {filters.order === 'asc' ? '↑ Asc' : '↓ Desc'}
+              </button>
+            </div>
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-md bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-dashboard border">
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            {loading
+              ? 'Loading work items...'
+              : `${pagination?.total ?? items.length} work items${pagination?.total > items.length ? `, ${items.length} loaded` : ''}`}
+          </p>
+          {hasFilters && (
+            <button type="button" onClick={clearFilters} className="text-sm text-blue-600 hover:underline">
+              Clear filters
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-12 gap-3 px-4 py-2 bg-gray-50 text-xs font-medium text-gray-500 uppercase">
+          <div className="col-span-1">ID</div>
+          <div className="col-span-5">Title</div>
+          <div className="col-span-2">State</div>
+          <div className="col-span-2">Assigned To</div>
+          <div className="col-span-1">Priority</div>
+          <div className="col-span-1">Changed</div>
+        </div>
+        <VirtualScrollList
+          items={items}
+          itemHeight={ROW_HEIGHT}
+          containerHeight={600}
+          loading={loading}
+          renderItem={renderRow}
+          getItemKey={(item) => item.id}
+          onScroll={handleScroll}
+          emptyComponent={(
+            <div className="flex items-center justify-center h-full text-gray-500">
+              No work items match these filters
+            </div>
+          )}
+        />
+        {loadingMore && (
+          <div className="p-3 text-center text-sm text-gray-500 border-t border-gray-200">Loading more...</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkItems;
@@ -132,6 +132,34 @@ vi.mock('../../components/SprintBurndownChart', () => ({
   ))
 }));
 
+vi.mock('../../components/CumulativeFlowChart', () => ({
+  default: vi.fn(({ data, loading, height }) => (
+    <div data-testid="cumulative-flow-chart" style={{ height }}>
+      {loading ? 'Loading chart...' : `Cumulative flow data: ${data?.length || 0} days`}
+    </div>
+  ))
+}));
+
+vi.mock('../../components/CycleTimeScatterplot', () => ({
+  default: vi.fn(({ data, loading }) => (
+    <div data-testid="cycle-time-scatterplot">
+      {loading ? 'Loading chart...' : `Cycle time data: ${data?.length || 0} items`}
+    </div>
+  ))
+}));
+
+vi.mock('../../components/ForecastCard', () => ({
+  default: vi.fn(({ loading }) => (
+    <div data-testid="forecast-card">{loading ? 'Loading forecast...' : 'Forecast'}</div>
+  ))
+}));
+
+vi.mock('../../components/DoraMetricsCard', () => ({
+  default: vi.fn(({ loading }) => (
+    <div data-testid="dora-metrics-card">{loading ? 'Loading DORA metrics...' : 'DORA'}</div>
+  ))
+}));
+
 vi.mock('../../components/TeamVelocityChart', () => ({
   default: vi.fn(({ data, loading, height }) => (
     <div data-testid="velocity-chart" style={{ height }}>
@@ -0,0 +1,143 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@test/test-utils';
+import axios from 'axios';
+import Reports from '../Reports';
+
+vi.mock('axios');
+
+describe('Reports', () => {
+  const mockAxios = vi.mocked(axios);
+
+  const options = {
+    reportTypes: [
+      { id: 'monthly', label: 'Monthly Performance', formats: ['pdf', 'excel'], restricted: false },
+      { id: 'department', label: 'Department Comparison', formats: ['excel'], restricted: true }
+    ],
+    dateRanges: [{ id: 'last30', label: 'Last 30 Days' }],
+    formats: ['pdf', 'excel'],
+    deliveries: [{ id: 'archive', configured: true }, { id: 'email', configured: true }],
+    schedulePresets: [{ label: 'Every Monday at 07:00', schedule: '0 7 * * 1' }],
+    canGenerateRestricted: false,
+    canPinOfficial: true
+  };
+
+  const definition = {
+    id: 'd1',
+    name: 'Weekly DaaS review',
+    reportType: 'monthly',
+    productId: 'Product - Data as a Service',
+    schedule: '0 7 * * 1',
+    delivery: 'archive',
+    recipients: [],
+    enabled: true,
+    nextRunAt: '2026-03-09T07:00:00.000Z',
+    lastStatus: 'failed',
+    lastRunAt: '2026-03-02T07:00:00.000Z',
+    lastError: 'timeout'
+  };
+
+  const entry = {
+    id: 'a1',
+    name: 'Monthly Performance',
+    reportType: 'monthly',
+    format: 'pdf',
+    productId: null,
+    startDate: '2026-01-31',
+    endDate: '2026-03-02',
+    sizeBytes: 20480,
+    checksum: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+    version: 2,
+    source: 'manual',
+    generatedBy: 'po@example.com',
+    official: false,
+    createdAt: '2026-03-02T07:00:00.000Z'
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockAxios.get.mockImplementation((url) => Promise.resolve({
+      data: {
+        data: url.endsWith('/options') ? options : url.endsWith('/definitions') ? [definition] : [entry]
+      }
+    }));
+  });
+
+  test('lists scheduled and archived reports', async () => {
+    render(<Reports />);
+
+    expect(await screen.findByText('Weekly DaaS review')).toBeInTheDocument();
+    expect(screen.getByText('(failed)')).toBeInTheDocument();
+    expect(screen.getByText('2026-01-31 to 2026-03-02', { exact: false })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Department Comparison (Admin or Manager)' })).toBeDisabled();
+    expect(screen.getByText('v2')).toBeInTheDocument();
+    expect(screen.getByText('sha256 9f86d081884c', { exact: false })).toBeInTheDocument();
+  });
+
+  test('pins a report as official and filters official reports', async () => {
+    mockAxios.put.mockResolvedValue({ data: { data: { ...entry, official: true } } });
+    vi.spyOn(window, 'prompt').mockReturnValue('Q1 steering committee');
+    render(<Reports />);
+
+    await screen.findByText('Weekly DaaS review');
+    fireEvent.click(screen.getByRole('button', { name: 'Mark official' }));
+
+    await waitFor(() => expect(mockAxios.put).toHaveBeenCalledWith(
+      '/api/reports/archive/a1/official',
+      { official: true, note: 'Q1 steering committee' },
+      expect.any(Object)
+    ));
+
+    fireEvent.click(screen.getByLabelText('Official reports only'));
+    await waitFor(() => expect(mockAxios.get).toHaveBeenCalledWith(
+      '/api/reports/archive',
+      expect.objectContaining({ params: { official: true } })
+    ));
+  });
+
+  test('generates a report into the archive', async () => {
+    mockAxios.post.mockResolvedValue({ data: { data: { ...entry, id: 'a2' } } });
+    render(<Reports />);
+
+    await screen.findByText('Weekly DaaS review');
+    fireEvent.change(screen.getByLabelText('Report Type'), { target: { value: 'monthly' } });
+    fireEvent.change(screen.getByLabelText('Date Range'), { target: { value: 'last30' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Generate Report' }));
+
+    await waitFor(() => expect(mockAxios.post).toHaveBeenCalledWith(
+      '/api/reports/generate',
+      {
+        reportType: 'monthly',
+        format: 'pdf',
+        productId: null,
+        dateRange: 'last30',
+        delivery: 'archive',
+        recipients: []
+      },
+      expect.any(Object)
+    ));
+    expect(await screen.findByText('Monthly Performance generated and added to the archive')).toBeInTheDocument();
+  });
+
+  test('saves a scheduled email report', async () => {
+    mockAxios.post.mockResolvedValue({ data: { data: definition } });
+    render(<Reports />);
+
+    await screen.findByText('Weekly DaaS review');
+    fireEvent.change(screen.getByLabelText('Report Type'), { target: { value: 'monthly' } });
+    fireEvent.change(screen.getByLabelText('Delivery'), { target: { value: 'email' } });
+    fireEvent.change(screen.getByLabelText('Recipients'), { target: { value: 'cto@example.com, po@example.com' } });
+    fireEvent.change(screen.getByLabelText('Schedule'), { target: { value: '0 7 * * 1' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Schedule' }));
+
+    await waitFor(() => expect(mockAxios.post).toHaveBeenCalledWith(
+      '/api/reports/definitions',
+      expect.objectContaining({
+        name: 'Monthly Performance - All products',
+        schedule: '0 7 * * 1',
+        delivery: 'email',
+        recipients: ['cto@example.com', 'po@example.com']
+      }),
+      expect.any(Object)
+    ));
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@test/test-utils';
+import axios from 'axios';
+import WorkItems from '../WorkItems';
+
+vi.mock('axios');
+
+describe('WorkItems', () => {
+  const mockAxios = vi.mocked(axios);
+
+  const item = (id, title) => ({
+    id,
+    title,
+    type: 'Bug',
+    state: 'Active',
+    assignee: 'Dev Example',
+    assigneeEmail: 'dev@example.com',
+    priority: 2,
+    storyPoints: 3,
+    iterationPath: 'Product - Data as a Service\\Delivery 12',
+    changedDate: '2026-03-02T07:00:00.000Z',
+    url: `https://dev.azure.com/org/_workitems/edit/${id}`
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    window.history.pushState({}, '', '/workitems?productId=Product%20-%20Data%20as%20a%20Service&workItemType=Bug&iteration=current');
+    mockAxios.get.mockImplementation((url, { params }) => Promise.resolve({
+      data: params.cursor
+        ? { data: [item(3, 'Export times out')], pagination: { total: 3, hasMore: false, nextCursor: null } }
+        : { data: [item(1, 'Login fails'), item(2, 'Chart is empty')], pagination: { total: 3, hasMore: true, nextCursor: 'c2' } }
+    }));
+  });
+
+  test('should load the work items for the filters in the URL', async () => {
+    render(<WorkItems />);
+
+    expect(await screen.findByText('Login fails')).toBeInTheDocument();
+    expect(screen.getByText('3 work items, 2 loaded')).toBeInTheDocument();
+    expect(mockAxios.get).toHaveBeenCalledWith('/api/workitems', expect.objectContaining({
+      params: { productId: 'Product - Data as a Service', workItemType: 'Bug', iteration: 'current', limit: 100 }
+    }));
+  });
+
+  test('should update the query when a filter changes', async () => {
+    render(<WorkItems />);
+    await screen.findByText('Login fails');
+
+    fireEvent.change(screen.getByLabelText('Search titles'), { target: { value: 'login' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+    await waitFor(() => expect(mockAxios.get).toHaveBeenLastCalledWith('/api/workitems', expect.objectContaining({
+      params: expect.objectContaining({ search: 'login', workItemType: 'Bug' })
+    })));
+    expect(window.location.search).toContain('search=login');
+  });
+
+  test('should load the next page with the cursor when scrolled to the end', async () => {
+    const { container } = render(<WorkItems />);
+    await screen.findByText('Login fails');
+
+    fireEvent.scroll(container.querySelector('.overflow-auto'), { target: { scrollTop: 10 } });
+
+    expect(await screen.findByText('Export times out')).toBeInTheDocument();
+    expect(mockAxios.get).toHaveBeenLastCalledWith('/api/workitems', expect.objectContaining({
+      params: expect.objectContaining({ cursor: 'c2', limit: 100 })
+    }));
+    expect(screen.getByText('3 work items')).toBeInTheDocument();
+  });
+});
@@ -1,3 +1,7 @@
 export { default as Dashboard } from './Dashboard';
 export { default as IndividualPerformance } from './IndividualPerformance';
-export { default as Reports } from './Reports';
\ No newline at end of file
+export { default as Reports } from './Reports';
+export { default as WorkItems } from './WorkItems';
+export { default as Capacity } from './Capacity';
+export { default as Surveys } from './Surveys';
+export { default as SurveyResponse } from './SurveyResponse';
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * User Preferences Service
+ * Loads the signed-in user's profile and preferences once and shares them with every component
+ * that needs them (header, dashboard filters, settings). The last known preferences are kept in
+ * localStorage so pages can open on the user's defaults before the profile request returns.
+ */
+
+import axios from 'axios';
+
+const CACHE_KEY = 'userPreferences';
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${localStorage.getItem('authToken') || 'mock-token'}`
+});
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+class PreferencesService {
+  constructor() {
+    this.profile = null;
+    this.preferences = readCache();
+    this.request = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Fetch the profile, once; later calls share the first request
+   * @returns {Promise<object|null>} The profile, or null when it could not be loaded
+   */
+  load() {
+    if (!this.request) {
+      this.request = axios.get('/api/users/profile', { headers: authHeaders() })
+        .then(response => {
+          this.profile = response.data.data;
+          this.update(this.profile?.preferences || null);
+          return this.profile;
+        })
+        .catch(error => {
+          console.warn('Could not load user preferences:', error.message);
+          // Allow a later load() to try again
+          this.request = null;
+          return null;
+        });
+    }
+    return this.request;
+  }
+
+  /**
+   * Save some preferences; the others keep their value
+   * @param {object} changes - Preferences to change (savedViews replaces the whole list)
+   * @returns {Promise<object>} The preferences after the change
+   */
+  async save(changes) {
+    const response = await axios.put('/api/users/profile', { preferences: changes }, { headers: authHeaders() });
+    this.profile = response.data.data;
+    this.update(this.profile.preferences);
+    return this.preferences;
+  }
+
+  /**
+   * @param {function} listener - Called with the preferences whenever they change
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  update(preferences) {
+    this.preferences = preferences;
+    if (preferences) {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(preferences));
+    }
+    for (const listener of this.listeners) {
+      listener(preferences);
+    }
+  }
+}
+
+// Singleton instance
+const preferencesService = new PreferencesService();
+
+export default preferencesService;
@@ -16,6 +16,8 @@ class WebSocketService {
     this.subscriptions = new Map(); // trackingId -> callback
     this.connectionListeners = new Set();
     this.statusListeners = new Set();
+    this.alertListeners = new Set();
+    this.activeAlerts = new Map(); // rule + subject -> alert raised by an alert rule
     
     // Configuration
     this.config = {
@@ -52,7 +54,9 @@ class WebSocketService {
         reconnectionDelayMax: this.config.reconnectionDelayMax,
         timeout: this.config.timeout,
         forceNew: this.config.forceNew,
-        path: this.config.path
+        path: this.config.path,
+        // Identifies the user so the server can authorize individual performance subscriptions
+        auth: { token: localStorage.getItem('authToken') }
       });
 
       // Set up event handlers
@@ -117,10 +121,25 @@ class WebSocketService {
       this.handleMetricsUpdate(update);
     });
 
+    // Alert rule events
+    this.socket.on('alert-triggered', (alert) => {
+      this.activeAlerts.set(this.getAlertKey(alert), alert);
+      this.notifyAlertListeners('triggered', alert);
+    });
+
+    this.socket.on('alert-resolved', (alert) => {
+      this.activeAlerts.delete(this.getAlertKey(alert));
+      this.notifyAlertListeners('resolved', alert);
+    });
+
     // Error events
     this.socket.on('error', (error) => {
       console.error('🔌 WebSocket error:', error);
     });
+
+    this.socket.on('subscription-error', (error) => {
+      console.warn(`🚫 Subscription rejected (${error.type}):`, error.message);
+    });
   }
 
   /**
@@ -421,6 +440,55 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Add listener for alerts raised and resolved by alert rules
+   * @param {function} listener - Called with (event, alert, activeAlerts)
+   */
+  addAlertListener(listener) {
+    this.alertListeners.add(listener);
+  }
+
+  /**
+   * Remove alert listener
+   * @param {function} listener - Listener function
+   */
+  removeAlertListener(listener) {
+    this.alertListeners.delete(listener);
+  }
+
+  /**
+   * Notify alert listeners
+   * @param {string} event - triggered | resolved
+   * @param {object} alert - Alert
+   */
+  notifyAlertListeners(event, alert) {
+    const activeAlerts = this.getActiveAlerts();
+    for (const listener of this.alertListeners) {
+      try {
+        listener(event, alert, activeAlerts);
+      } catch (error) {
+        console.error('🚨 Error in alert listener:', error);
+      }
+    }
+  }
+
+  /**
+   * Get alerts currently raised by alert rules
+   * @returns {Array<object>} Active alerts
+   */
+  getActiveAlerts() {
+    return [...this.activeAlerts.values()];
+  }
+
+  /**
+   * Key identifying an alert of one rule for one product or user
+   * @param {object} alert - Alert
+   * @returns {string} Alert key
+   */
+  getAlertKey(alert) {
+    return `${alert.ruleId}|${alert.userId || alert.productId || 'all'}`;
+  }
+
   /**
    * Disconnect from WebSocket server
    */
@@ -433,6 +501,7 @@ class WebSocketService {
     
     this.isConnected = false;
     this.subscriptions.clear();
+    this.activeAlerts.clear();
     this.notifyConnectionListeners(false);
   }
 